@@ -1,5 +1,10 @@
+import 'dotenv/config';
 import { defineConfig, devices } from '@playwright/test';
 
+// Tests log in as the server admin with GM_PASSWORD (see tests/helpers/session-fixtures.ts).
+// The dev server reads the same .env; without one, both get a throwaway password.
+process.env.GM_PASSWORD = process.env.GM_PASSWORD || 'lightdeck-test-admin';
+
 /**
  * Playwright configuration for Light Deck VTT
  * @see https://playwright.dev/docs/test-configuration
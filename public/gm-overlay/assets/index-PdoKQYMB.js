@@ -0,0 +1,463 @@
+function Qp(e,t){for(var n=0;n<t.length;n++){const r=t[n];if(typeof r!="string"&&!Array.isArray(r)){for(const s in r)if(s!=="default"&&!(s in e)){const l=Object.getOwnPropertyDescriptor(r,s);l&&Object.defineProperty(e,s,l.get?l:{enumerable:!0,get:()=>r[s]})}}}return Object.freeze(Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}))}(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const s of document.querySelectorAll('link[rel="modulepreload"]'))r(s);new MutationObserver(s=>{for(const l of s)if(l.type==="childList")for(const a of l.addedNodes)a.tagName==="LINK"&&a.rel==="modulepreload"&&r(a)}).observe(document,{childList:!0,subtree:!0});function n(s){const l={};return s.integrity&&(l.integrity=s.integrity),s.referrerPolicy&&(l.referrerPolicy=s.referrerPolicy),s.crossOrigin==="use-credentials"?l.credentials="include":s.crossOrigin==="anonymous"?l.credentials="omit":l.credentials="same-origin",l}function r(s){if(s.ep)return;s.ep=!0;const l=n(s);fetch(s.href,l)}})();function Ma(e){return e&&e.__esModule&&Object.prototype.hasOwnProperty.call(e,"default")?e.default:e}var Eu={exports:{}},gl={},Pu={exports:{}},U={};/**
+ * @license React
+ * react.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var Jr=Symbol.for("react.element"),Yp=Symbol.for("react.portal"),Xp=Symbol.for("react.fragment"),Jp=Symbol.for("react.strict_mode"),Zp=Symbol.for("react.profiler"),qp=Symbol.for("react.provider"),em=Symbol.for("react.context"),tm=Symbol.for("react.forward_ref"),nm=Symbol.for("react.suspense"),rm=Symbol.for("react.memo"),sm=Symbol.for("react.lazy"),Oi=Symbol.iterator;function lm(e){return e===null||typeof e!="object"?null:(e=Oi&&e[Oi]||e["@@iterator"],typeof e=="function"?e:null)}var Mu={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},Tu=Object.assign,Iu={};function qn(e,t,n){this.props=e,this.context=t,this.refs=Iu,this.updater=n||Mu}qn.prototype.isReactComponent={};qn.prototype.setState=function(e,t){if(typeof e!="object"&&typeof e!="function"&&e!=null)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")};qn.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")};function _u(){}_u.prototype=qn.prototype;function Ta(e,t,n){this.props=e,this.context=t,this.refs=Iu,this.updater=n||Mu}var Ia=Ta.prototype=new _u;Ia.constructor=Ta;Tu(Ia,qn.prototype);Ia.isPureReactComponent=!0;var Ai=Array.isArray,Ru=Object.prototype.hasOwnProperty,_a={current:null},zu={key:!0,ref:!0,__self:!0,__source:!0};function Lu(e,t,n){var r,s={},l=null,a=null;if(t!=null)for(r in t.ref!==void 0&&(a=t.ref),t.key!==void 0&&(l=""+t.key),t)Ru.call(t,r)&&!zu.hasOwnProperty(r)&&(s[r]=t[r]);var i=arguments.length-2;if(i===1)s.children=n;else if(1<i){for(var c=Array(i),u=0;u<i;u++)c[u]=arguments[u+2];s.children=c}if(e&&e.defaultProps)for(r in i=e.defaultProps,i)s[r]===void 0&&(s[r]=i[r]);return{$$typeof:Jr,type:e,key:l,ref:a,props:s,_owner:_a.current}}function om(e,t){return{$$typeof:Jr,type:e.type,key:t,ref:e.ref,props:e.props,_owner:e._owner}}function Ra(e){return typeof e=="object"&&e!==null&&e.$$typeof===Jr}function am(e){var t={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(n){return t[n]})}var Di=/\/+/g;function Bl(e,t){return typeof e=="object"&&e!==null&&e.key!=null?am(""+e.key):t.toString(36)}function Is(e,t,n,r,s){var l=typeof e;(l==="undefined"||l==="boolean")&&(e=null);var a=!1;if(e===null)a=!0;else switch(l){case"string":case"number":a=!0;break;case"object":switch(e.$$typeof){case Jr:case Yp:a=!0}}if(a)return a=e,s=s(a),e=r===""?"."+Bl(a,0):r,Ai(s)?(n="",e!=null&&(n=e.replace(Di,"$&/")+"/"),Is(s,t,n,"",function(u){return u})):s!=null&&(Ra(s)&&(s=om(s,n+(!s.key||a&&a.key===s.key?"":(""+s.key).replace(Di,"$&/")+"/")+e)),t.push(s)),1;if(a=0,r=r===""?".":r+":",Ai(e))for(var i=0;i<e.length;i++){l=e[i];var c=r+Bl(l,i);a+=Is(l,t,n,c,s)}else if(c=lm(e),typeof c=="function")for(e=c.call(e),i=0;!(l=e.next()).done;)l=l.value,c=r+Bl(l,i++),a+=Is(l,t,n,c,s);else if(l==="object")throw t=String(e),Error("Objects are not valid as a React child (found: "+(t==="[object Object]"?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.");return a}function ls(e,t,n){if(e==null)return e;var r=[],s=0;return Is(e,r,"","",function(l){return t.call(n,l,s++)}),r}function im(e){if(e._status===-1){var t=e._result;t=t(),t.then(function(n){(e._status===0||e._status===-1)&&(e._status=1,e._result=n)},function(n){(e._status===0||e._status===-1)&&(e._status=2,e._result=n)}),e._status===-1&&(e._status=0,e._result=t)}if(e._status===1)return e._result.default;throw e._result}var Ne={current:null},_s={transition:null},cm={ReactCurrentDispatcher:Ne,ReactCurrentBatchConfig:_s,ReactCurrentOwner:_a};function Ou(){throw Error("act(...) is not supported in production builds of React.")}U.Children={map:ls,forEach:function(e,t,n){ls(e,function(){t.apply(this,arguments)},n)},count:function(e){var t=0;return ls(e,function(){t++}),t},toArray:function(e){return ls(e,function(t){return t})||[]},only:function(e){if(!Ra(e))throw Error("React.Children.only expected to receive a single React element child.");return e}};U.Component=qn;U.Fragment=Xp;U.Profiler=Zp;U.PureComponent=Ta;U.StrictMode=Jp;U.Suspense=nm;U.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=cm;U.act=Ou;U.cloneElement=function(e,t,n){if(e==null)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var r=Tu({},e.props),s=e.key,l=e.ref,a=e._owner;if(t!=null){if(t.ref!==void 0&&(l=t.ref,a=_a.current),t.key!==void 0&&(s=""+t.key),e.type&&e.type.defaultProps)var i=e.type.defaultProps;for(c in t)Ru.call(t,c)&&!zu.hasOwnProperty(c)&&(r[c]=t[c]===void 0&&i!==void 0?i[c]:t[c])}var c=arguments.length-2;if(c===1)r.children=n;else if(1<c){i=Array(c);for(var u=0;u<c;u++)i[u]=arguments[u+2];r.children=i}return{$$typeof:Jr,type:e.type,key:s,ref:l,props:r,_owner:a}};U.createContext=function(e){return e={$$typeof:em,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null},e.Provider={$$typeof:qp,_context:e},e.Consumer=e};U.createElement=Lu;U.createFactory=function(e){var t=Lu.bind(null,e);return t.type=e,t};U.createRef=function(){return{current:null}};U.forwardRef=function(e){return{$$typeof:tm,render:e}};U.isValidElement=Ra;U.lazy=function(e){return{$$typeof:sm,_payload:{_status:-1,_result:e},_init:im}};U.memo=function(e,t){return{$$typeof:rm,type:e,compare:t===void 0?null:t}};U.startTransition=function(e){var t=_s.transition;_s.transition={};try{e()}finally{_s.transition=t}};U.unstable_act=Ou;U.useCallback=function(e,t){return Ne.current.useCallback(e,t)};U.useContext=function(e){return Ne.current.useContext(e)};U.useDebugValue=function(){};U.useDeferredValue=function(e){return Ne.current.useDeferredValue(e)};U.useEffect=function(e,t){return Ne.current.useEffect(e,t)};U.useId=function(){return Ne.current.useId()};U.useImperativeHandle=function(e,t,n){return Ne.current.useImperativeHandle(e,t,n)};U.useInsertionEffect=function(e,t){return Ne.current.useInsertionEffect(e,t)};U.useLayoutEffect=function(e,t){return Ne.current.useLayoutEffect(e,t)};U.useMemo=function(e,t){return Ne.current.useMemo(e,t)};U.useReducer=function(e,t,n){return Ne.current.useReducer(e,t,n)};U.useRef=function(e){return Ne.current.useRef(e)};U.useState=function(e){return Ne.current.useState(e)};U.useSyncExternalStore=function(e,t,n){return Ne.current.useSyncExternalStore(e,t,n)};U.useTransition=function(){return Ne.current.useTransition()};U.version="18.3.1";Pu.exports=U;var w=Pu.exports;const xl=Ma(w),Au=Qp({__proto__:null,default:xl},[w]);/**
+ * @license React
+ * react-jsx-runtime.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var um=w,dm=Symbol.for("react.element"),fm=Symbol.for("react.fragment"),pm=Object.prototype.hasOwnProperty,mm=um.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,hm={key:!0,ref:!0,__self:!0,__source:!0};function Du(e,t,n){var r,s={},l=null,a=null;n!==void 0&&(l=""+n),t.key!==void 0&&(l=""+t.key),t.ref!==void 0&&(a=t.ref);for(r in t)pm.call(t,r)&&!hm.hasOwnProperty(r)&&(s[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps,t)s[r]===void 0&&(s[r]=t[r]);return{$$typeof:dm,type:e,key:l,ref:a,props:s,_owner:mm.current}}gl.Fragment=fm;gl.jsx=Du;gl.jsxs=Du;Eu.exports=gl;var o=Eu.exports,Fu={exports:{}},Le={},$u={exports:{}},Uu={};/**
+ * @license React
+ * scheduler.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */(function(e){function t(I,O){var D=I.length;I.push(O);e:for(;0<D;){var B=D-1>>>1,de=I[B];if(0<s(de,O))I[B]=O,I[D]=de,D=B;else break e}}function n(I){return I.length===0?null:I[0]}function r(I){if(I.length===0)return null;var O=I[0],D=I.pop();if(D!==O){I[0]=D;e:for(var B=0,de=I.length,rs=de>>>1;B<rs;){var Wt=2*(B+1)-1,Hl=I[Wt],Gt=Wt+1,ss=I[Gt];if(0>s(Hl,D))Gt<de&&0>s(ss,Hl)?(I[B]=ss,I[Gt]=D,B=Gt):(I[B]=Hl,I[Wt]=D,B=Wt);else if(Gt<de&&0>s(ss,D))I[B]=ss,I[Gt]=D,B=Gt;else break e}}return O}function s(I,O){var D=I.sortIndex-O.sortIndex;return D!==0?D:I.id-O.id}if(typeof performance=="object"&&typeof performance.now=="function"){var l=performance;e.unstable_now=function(){return l.now()}}else{var a=Date,i=a.now();e.unstable_now=function(){return a.now()-i}}var c=[],u=[],p=1,m=null,h=3,g=!1,y=!1,d=!1,j=typeof setTimeout=="function"?setTimeout:null,v=typeof clearTimeout=="function"?clearTimeout:null,f=typeof setImmediate<"u"?setImmediate:null;typeof navigator<"u"&&navigator.scheduling!==void 0&&navigator.scheduling.isInputPending!==void 0&&navigator.scheduling.isInputPending.bind(navigator.scheduling);function x(I){for(var O=n(u);O!==null;){if(O.callback===null)r(u);else if(O.startTime<=I)r(u),O.sortIndex=O.expirationTime,t(c,O);else break;O=n(u)}}function k(I){if(d=!1,x(I),!y)if(n(c)!==null)y=!0,Te(N);else{var O=n(u);O!==null&&wt(k,O.startTime-I)}}function N(I,O){y=!1,d&&(d=!1,v(b),b=-1),g=!0;var D=h;try{for(x(O),m=n(c);m!==null&&(!(m.expirationTime>O)||I&&!E());){var B=m.callback;if(typeof B=="function"){m.callback=null,h=m.priorityLevel;var de=B(m.expirationTime<=O);O=e.unstable_now(),typeof de=="function"?m.callback=de:m===n(c)&&r(c),x(O)}else r(c);m=n(c)}if(m!==null)var rs=!0;else{var Wt=n(u);Wt!==null&&wt(k,Wt.startTime-O),rs=!1}return rs}finally{m=null,h=D,g=!1}}var P=!1,C=null,b=-1,_=5,R=-1;function E(){return!(e.unstable_now()-R<_)}function S(){if(C!==null){var I=e.unstable_now();R=I;var O=!0;try{O=C(!0,I)}finally{O?A():(P=!1,C=null)}}else P=!1}var A;if(typeof f=="function")A=function(){f(S)};else if(typeof MessageChannel<"u"){var $=new MessageChannel,ae=$.port2;$.port1.onmessage=S,A=function(){ae.postMessage(null)}}else A=function(){j(S,0)};function Te(I){C=I,P||(P=!0,A())}function wt(I,O){b=j(function(){I(e.unstable_now())},O)}e.unstable_IdlePriority=5,e.unstable_ImmediatePriority=1,e.unstable_LowPriority=4,e.unstable_NormalPriority=3,e.unstable_Profiling=null,e.unstable_UserBlockingPriority=2,e.unstable_cancelCallback=function(I){I.callback=null},e.unstable_continueExecution=function(){y||g||(y=!0,Te(N))},e.unstable_forceFrameRate=function(I){0>I||125<I?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):_=0<I?Math.floor(1e3/I):5},e.unstable_getCurrentPriorityLevel=function(){return h},e.unstable_getFirstCallbackNode=function(){return n(c)},e.unstable_next=function(I){switch(h){case 1:case 2:case 3:var O=3;break;default:O=h}var D=h;h=O;try{return I()}finally{h=D}},e.unstable_pauseExecution=function(){},e.unstable_requestPaint=function(){},e.unstable_runWithPriority=function(I,O){switch(I){case 1:case 2:case 3:case 4:case 5:break;default:I=3}var D=h;h=I;try{return O()}finally{h=D}},e.unstable_scheduleCallback=function(I,O,D){var B=e.unstable_now();switch(typeof D=="object"&&D!==null?(D=D.delay,D=typeof D=="number"&&0<D?B+D:B):D=B,I){case 1:var de=-1;break;case 2:de=250;break;case 5:de=1073741823;break;case 4:de=1e4;break;default:de=5e3}return de=D+de,I={id:p++,callback:O,priorityLevel:I,startTime:D,expirationTime:de,sortIndex:-1},D>B?(I.sortIndex=D,t(u,I),n(c)===null&&I===n(u)&&(d?(v(b),b=-1):d=!0,wt(k,D-B))):(I.sortIndex=de,t(c,I),y||g||(y=!0,Te(N))),I},e.unstable_shouldYield=E,e.unstable_wrapCallback=function(I){var O=h;return function(){var D=h;h=O;try{return I.apply(this,arguments)}finally{h=D}}}})(Uu);$u.exports=Uu;var vm=$u.exports;/**
+ * @license React
+ * react-dom.production.min.js
+ *
+ * Copyright (c) Facebook, Inc. and its affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var gm=w,ze=vm;function M(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,n=1;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var Vu=new Set,Tr={};function on(e,t){Bn(e,t),Bn(e+"Capture",t)}function Bn(e,t){for(Tr[e]=t,e=0;e<t.length;e++)Vu.add(t[e])}var ft=!(typeof window>"u"||typeof window.document>"u"||typeof window.document.createElement>"u"),_o=Object.prototype.hasOwnProperty,xm=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,Fi={},$i={};function ym(e){return _o.call($i,e)?!0:_o.call(Fi,e)?!1:xm.test(e)?$i[e]=!0:(Fi[e]=!0,!1)}function wm(e,t,n,r){if(n!==null&&n.type===0)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":return r?!1:n!==null?!n.acceptsBooleans:(e=e.toLowerCase().slice(0,5),e!=="data-"&&e!=="aria-");default:return!1}}function jm(e,t,n,r){if(t===null||typeof t>"u"||wm(e,t,n,r))return!0;if(r)return!1;if(n!==null)switch(n.type){case 3:return!t;case 4:return t===!1;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}function ke(e,t,n,r,s,l,a){this.acceptsBooleans=t===2||t===3||t===4,this.attributeName=r,this.attributeNamespace=s,this.mustUseProperty=n,this.propertyName=e,this.type=t,this.sanitizeURL=l,this.removeEmptyString=a}var ve={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){ve[e]=new ke(e,0,!1,e,null,!1,!1)});[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];ve[t]=new ke(t,1,!1,e[1],null,!1,!1)});["contentEditable","draggable","spellCheck","value"].forEach(function(e){ve[e]=new ke(e,2,!1,e.toLowerCase(),null,!1,!1)});["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){ve[e]=new ke(e,2,!1,e,null,!1,!1)});"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){ve[e]=new ke(e,3,!1,e.toLowerCase(),null,!1,!1)});["checked","multiple","muted","selected"].forEach(function(e){ve[e]=new ke(e,3,!0,e,null,!1,!1)});["capture","download"].forEach(function(e){ve[e]=new ke(e,4,!1,e,null,!1,!1)});["cols","rows","size","span"].forEach(function(e){ve[e]=new ke(e,6,!1,e,null,!1,!1)});["rowSpan","start"].forEach(function(e){ve[e]=new ke(e,5,!1,e.toLowerCase(),null,!1,!1)});var za=/[\-:]([a-z])/g;function La(e){return e[1].toUpperCase()}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(za,La);ve[t]=new ke(t,1,!1,e,null,!1,!1)});"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(za,La);ve[t]=new ke(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)});["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(za,La);ve[t]=new ke(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)});["tabIndex","crossOrigin"].forEach(function(e){ve[e]=new ke(e,1,!1,e.toLowerCase(),null,!1,!1)});ve.xlinkHref=new ke("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1);["src","href","action","formAction"].forEach(function(e){ve[e]=new ke(e,1,!1,e.toLowerCase(),null,!0,!0)});function Oa(e,t,n,r){var s=ve.hasOwnProperty(t)?ve[t]:null;(s!==null?s.type!==0:r||!(2<t.length)||t[0]!=="o"&&t[0]!=="O"||t[1]!=="n"&&t[1]!=="N")&&(jm(t,n,s,r)&&(n=null),r||s===null?ym(t)&&(n===null?e.removeAttribute(t):e.setAttribute(t,""+n)):s.mustUseProperty?e[s.propertyName]=n===null?s.type===3?!1:"":n:(t=s.attributeName,r=s.attributeNamespace,n===null?e.removeAttribute(t):(s=s.type,n=s===3||s===4&&n===!0?"":""+n,r?e.setAttributeNS(r,t,n):e.setAttribute(t,n))))}var xt=gm.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,os=Symbol.for("react.element"),Nn=Symbol.for("react.portal"),kn=Symbol.for("react.fragment"),Aa=Symbol.for("react.strict_mode"),Ro=Symbol.for("react.profiler"),Hu=Symbol.for("react.provider"),Bu=Symbol.for("react.context"),Da=Symbol.for("react.forward_ref"),zo=Symbol.for("react.suspense"),Lo=Symbol.for("react.suspense_list"),Fa=Symbol.for("react.memo"),Ct=Symbol.for("react.lazy"),Wu=Symbol.for("react.offscreen"),Ui=Symbol.iterator;function lr(e){return e===null||typeof e!="object"?null:(e=Ui&&e[Ui]||e["@@iterator"],typeof e=="function"?e:null)}var se=Object.assign,Wl;function gr(e){if(Wl===void 0)try{throw Error()}catch(n){var t=n.stack.trim().match(/\n( *(at )?)/);Wl=t&&t[1]||""}return`
+`+Wl+e}var Gl=!1;function Kl(e,t){if(!e||Gl)return"";Gl=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t)if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),typeof Reflect=="object"&&Reflect.construct){try{Reflect.construct(t,[])}catch(u){var r=u}Reflect.construct(e,[],t)}else{try{t.call()}catch(u){r=u}e.call(t.prototype)}else{try{throw Error()}catch(u){r=u}e()}}catch(u){if(u&&r&&typeof u.stack=="string"){for(var s=u.stack.split(`
+`),l=r.stack.split(`
+`),a=s.length-1,i=l.length-1;1<=a&&0<=i&&s[a]!==l[i];)i--;for(;1<=a&&0<=i;a--,i--)if(s[a]!==l[i]){if(a!==1||i!==1)do if(a--,i--,0>i||s[a]!==l[i]){var c=`
+`+s[a].replace(" at new "," at ");return e.displayName&&c.includes("<anonymous>")&&(c=c.replace("<anonymous>",e.displayName)),c}while(1<=a&&0<=i);break}}}finally{Gl=!1,Error.prepareStackTrace=n}return(e=e?e.displayName||e.name:"")?gr(e):""}function Sm(e){switch(e.tag){case 5:return gr(e.type);case 16:return gr("Lazy");case 13:return gr("Suspense");case 19:return gr("SuspenseList");case 0:case 2:case 15:return e=Kl(e.type,!1),e;case 11:return e=Kl(e.type.render,!1),e;case 1:return e=Kl(e.type,!0),e;default:return""}}function Oo(e){if(e==null)return null;if(typeof e=="function")return e.displayName||e.name||null;if(typeof e=="string")return e;switch(e){case kn:return"Fragment";case Nn:return"Portal";case Ro:return"Profiler";case Aa:return"StrictMode";case zo:return"Suspense";case Lo:return"SuspenseList"}if(typeof e=="object")switch(e.$$typeof){case Bu:return(e.displayName||"Context")+".Consumer";case Hu:return(e._context.displayName||"Context")+".Provider";case Da:var t=e.render;return e=e.displayName,e||(e=t.displayName||t.name||"",e=e!==""?"ForwardRef("+e+")":"ForwardRef"),e;case Fa:return t=e.displayName||null,t!==null?t:Oo(e.type)||"Memo";case Ct:t=e._payload,e=e._init;try{return Oo(e(t))}catch{}}return null}function Nm(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=t.render,e=e.displayName||e.name||"",t.displayName||(e!==""?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return Oo(t);case 8:return t===Aa?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if(typeof t=="function")return t.displayName||t.name||null;if(typeof t=="string")return t}return null}function $t(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":return e;case"object":return e;default:return""}}function Gu(e){var t=e.type;return(e=e.nodeName)&&e.toLowerCase()==="input"&&(t==="checkbox"||t==="radio")}function km(e){var t=Gu(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&typeof n<"u"&&typeof n.get=="function"&&typeof n.set=="function"){var s=n.get,l=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return s.call(this)},set:function(a){r=""+a,l.call(this,a)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(a){r=""+a},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}function as(e){e._valueTracker||(e._valueTracker=km(e))}function Ku(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=Gu(e)?e.checked?"true":"false":e.value),e=r,e!==n?(t.setValue(e),!0):!1}function Ws(e){if(e=e||(typeof document<"u"?document:void 0),typeof e>"u")return null;try{return e.activeElement||e.body}catch{return e.body}}function Ao(e,t){var n=t.checked;return se({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:n??e._wrapperState.initialChecked})}function Vi(e,t){var n=t.defaultValue==null?"":t.defaultValue,r=t.checked!=null?t.checked:t.defaultChecked;n=$t(t.value!=null?t.value:n),e._wrapperState={initialChecked:r,initialValue:n,controlled:t.type==="checkbox"||t.type==="radio"?t.checked!=null:t.value!=null}}function Qu(e,t){t=t.checked,t!=null&&Oa(e,"checked",t,!1)}function Do(e,t){Qu(e,t);var n=$t(t.value),r=t.type;if(n!=null)r==="number"?(n===0&&e.value===""||e.value!=n)&&(e.value=""+n):e.value!==""+n&&(e.value=""+n);else if(r==="submit"||r==="reset"){e.removeAttribute("value");return}t.hasOwnProperty("value")?Fo(e,t.type,n):t.hasOwnProperty("defaultValue")&&Fo(e,t.type,$t(t.defaultValue)),t.checked==null&&t.defaultChecked!=null&&(e.defaultChecked=!!t.defaultChecked)}function Hi(e,t,n){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!(r!=="submit"&&r!=="reset"||t.value!==void 0&&t.value!==null))return;t=""+e._wrapperState.initialValue,n||t===e.value||(e.value=t),e.defaultValue=t}n=e.name,n!==""&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,n!==""&&(e.name=n)}function Fo(e,t,n){(t!=="number"||Ws(e.ownerDocument)!==e)&&(n==null?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+n&&(e.defaultValue=""+n))}var xr=Array.isArray;function On(e,t,n,r){if(e=e.options,t){t={};for(var s=0;s<n.length;s++)t["$"+n[s]]=!0;for(n=0;n<e.length;n++)s=t.hasOwnProperty("$"+e[n].value),e[n].selected!==s&&(e[n].selected=s),s&&r&&(e[n].defaultSelected=!0)}else{for(n=""+$t(n),t=null,s=0;s<e.length;s++){if(e[s].value===n){e[s].selected=!0,r&&(e[s].defaultSelected=!0);return}t!==null||e[s].disabled||(t=e[s])}t!==null&&(t.selected=!0)}}function $o(e,t){if(t.dangerouslySetInnerHTML!=null)throw Error(M(91));return se({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function Bi(e,t){var n=t.value;if(n==null){if(n=t.children,t=t.defaultValue,n!=null){if(t!=null)throw Error(M(92));if(xr(n)){if(1<n.length)throw Error(M(93));n=n[0]}t=n}t==null&&(t=""),n=t}e._wrapperState={initialValue:$t(n)}}function Yu(e,t){var n=$t(t.value),r=$t(t.defaultValue);n!=null&&(n=""+n,n!==e.value&&(e.value=n),t.defaultValue==null&&e.defaultValue!==n&&(e.defaultValue=n)),r!=null&&(e.defaultValue=""+r)}function Wi(e){var t=e.textContent;t===e._wrapperState.initialValue&&t!==""&&t!==null&&(e.value=t)}function Xu(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function Uo(e,t){return e==null||e==="http://www.w3.org/1999/xhtml"?Xu(t):e==="http://www.w3.org/2000/svg"&&t==="foreignObject"?"http://www.w3.org/1999/xhtml":e}var is,Ju=function(e){return typeof MSApp<"u"&&MSApp.execUnsafeLocalFunction?function(t,n,r,s){MSApp.execUnsafeLocalFunction(function(){return e(t,n,r,s)})}:e}(function(e,t){if(e.namespaceURI!=="http://www.w3.org/2000/svg"||"innerHTML"in e)e.innerHTML=t;else{for(is=is||document.createElement("div"),is.innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=is.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}});function Ir(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&n.nodeType===3){n.nodeValue=t;return}}e.textContent=t}var jr={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},Cm=["Webkit","ms","Moz","O"];Object.keys(jr).forEach(function(e){Cm.forEach(function(t){t=t+e.charAt(0).toUpperCase()+e.substring(1),jr[t]=jr[e]})});function Zu(e,t,n){return t==null||typeof t=="boolean"||t===""?"":n||typeof t!="number"||t===0||jr.hasOwnProperty(e)&&jr[e]?(""+t).trim():t+"px"}function qu(e,t){e=e.style;for(var n in t)if(t.hasOwnProperty(n)){var r=n.indexOf("--")===0,s=Zu(n,t[n],r);n==="float"&&(n="cssFloat"),r?e.setProperty(n,s):e[n]=s}}var bm=se({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function Vo(e,t){if(t){if(bm[e]&&(t.children!=null||t.dangerouslySetInnerHTML!=null))throw Error(M(137,e));if(t.dangerouslySetInnerHTML!=null){if(t.children!=null)throw Error(M(60));if(typeof t.dangerouslySetInnerHTML!="object"||!("__html"in t.dangerouslySetInnerHTML))throw Error(M(61))}if(t.style!=null&&typeof t.style!="object")throw Error(M(62))}}function Ho(e,t){if(e.indexOf("-")===-1)return typeof t.is=="string";switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var Bo=null;function $a(e){return e=e.target||e.srcElement||window,e.correspondingUseElement&&(e=e.correspondingUseElement),e.nodeType===3?e.parentNode:e}var Wo=null,An=null,Dn=null;function Gi(e){if(e=es(e)){if(typeof Wo!="function")throw Error(M(280));var t=e.stateNode;t&&(t=Nl(t),Wo(e.stateNode,e.type,t))}}function ed(e){An?Dn?Dn.push(e):Dn=[e]:An=e}function td(){if(An){var e=An,t=Dn;if(Dn=An=null,Gi(e),t)for(e=0;e<t.length;e++)Gi(t[e])}}function nd(e,t){return e(t)}function rd(){}var Ql=!1;function sd(e,t,n){if(Ql)return e(t,n);Ql=!0;try{return nd(e,t,n)}finally{Ql=!1,(An!==null||Dn!==null)&&(rd(),td())}}function _r(e,t){var n=e.stateNode;if(n===null)return null;var r=Nl(n);if(r===null)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(e=e.type,r=!(e==="button"||e==="input"||e==="select"||e==="textarea")),e=!r;break e;default:e=!1}if(e)return null;if(n&&typeof n!="function")throw Error(M(231,t,typeof n));return n}var Go=!1;if(ft)try{var or={};Object.defineProperty(or,"passive",{get:function(){Go=!0}}),window.addEventListener("test",or,or),window.removeEventListener("test",or,or)}catch{Go=!1}function Em(e,t,n,r,s,l,a,i,c){var u=Array.prototype.slice.call(arguments,3);try{t.apply(n,u)}catch(p){this.onError(p)}}var Sr=!1,Gs=null,Ks=!1,Ko=null,Pm={onError:function(e){Sr=!0,Gs=e}};function Mm(e,t,n,r,s,l,a,i,c){Sr=!1,Gs=null,Em.apply(Pm,arguments)}function Tm(e,t,n,r,s,l,a,i,c){if(Mm.apply(this,arguments),Sr){if(Sr){var u=Gs;Sr=!1,Gs=null}else throw Error(M(198));Ks||(Ks=!0,Ko=u)}}function an(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do t=e,t.flags&4098&&(n=t.return),e=t.return;while(e)}return t.tag===3?n:null}function ld(e){if(e.tag===13){var t=e.memoizedState;if(t===null&&(e=e.alternate,e!==null&&(t=e.memoizedState)),t!==null)return t.dehydrated}return null}function Ki(e){if(an(e)!==e)throw Error(M(188))}function Im(e){var t=e.alternate;if(!t){if(t=an(e),t===null)throw Error(M(188));return t!==e?null:e}for(var n=e,r=t;;){var s=n.return;if(s===null)break;var l=s.alternate;if(l===null){if(r=s.return,r!==null){n=r;continue}break}if(s.child===l.child){for(l=s.child;l;){if(l===n)return Ki(s),e;if(l===r)return Ki(s),t;l=l.sibling}throw Error(M(188))}if(n.return!==r.return)n=s,r=l;else{for(var a=!1,i=s.child;i;){if(i===n){a=!0,n=s,r=l;break}if(i===r){a=!0,r=s,n=l;break}i=i.sibling}if(!a){for(i=l.child;i;){if(i===n){a=!0,n=l,r=s;break}if(i===r){a=!0,r=l,n=s;break}i=i.sibling}if(!a)throw Error(M(189))}}if(n.alternate!==r)throw Error(M(190))}if(n.tag!==3)throw Error(M(188));return n.stateNode.current===n?e:t}function od(e){return e=Im(e),e!==null?ad(e):null}function ad(e){if(e.tag===5||e.tag===6)return e;for(e=e.child;e!==null;){var t=ad(e);if(t!==null)return t;e=e.sibling}return null}var id=ze.unstable_scheduleCallback,Qi=ze.unstable_cancelCallback,_m=ze.unstable_shouldYield,Rm=ze.unstable_requestPaint,oe=ze.unstable_now,zm=ze.unstable_getCurrentPriorityLevel,Ua=ze.unstable_ImmediatePriority,cd=ze.unstable_UserBlockingPriority,Qs=ze.unstable_NormalPriority,Lm=ze.unstable_LowPriority,ud=ze.unstable_IdlePriority,yl=null,rt=null;function Om(e){if(rt&&typeof rt.onCommitFiberRoot=="function")try{rt.onCommitFiberRoot(yl,e,void 0,(e.current.flags&128)===128)}catch{}}var Ye=Math.clz32?Math.clz32:Fm,Am=Math.log,Dm=Math.LN2;function Fm(e){return e>>>=0,e===0?32:31-(Am(e)/Dm|0)|0}var cs=64,us=4194304;function yr(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return e&4194240;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return e&130023424;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function Ys(e,t){var n=e.pendingLanes;if(n===0)return 0;var r=0,s=e.suspendedLanes,l=e.pingedLanes,a=n&268435455;if(a!==0){var i=a&~s;i!==0?r=yr(i):(l&=a,l!==0&&(r=yr(l)))}else a=n&~s,a!==0?r=yr(a):l!==0&&(r=yr(l));if(r===0)return 0;if(t!==0&&t!==r&&!(t&s)&&(s=r&-r,l=t&-t,s>=l||s===16&&(l&4194240)!==0))return t;if(r&4&&(r|=n&16),t=e.entangledLanes,t!==0)for(e=e.entanglements,t&=r;0<t;)n=31-Ye(t),s=1<<n,r|=e[n],t&=~s;return r}function $m(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return-1;case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function Um(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,s=e.expirationTimes,l=e.pendingLanes;0<l;){var a=31-Ye(l),i=1<<a,c=s[a];c===-1?(!(i&n)||i&r)&&(s[a]=$m(i,t)):c<=t&&(e.expiredLanes|=i),l&=~i}}function Qo(e){return e=e.pendingLanes&-1073741825,e!==0?e:e&1073741824?1073741824:0}function dd(){var e=cs;return cs<<=1,!(cs&4194240)&&(cs=64),e}function Yl(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function Zr(e,t,n){e.pendingLanes|=t,t!==536870912&&(e.suspendedLanes=0,e.pingedLanes=0),e=e.eventTimes,t=31-Ye(t),e[t]=n}function Vm(e,t){var n=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<n;){var s=31-Ye(n),l=1<<s;t[s]=0,r[s]=-1,e[s]=-1,n&=~l}}function Va(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-Ye(n),s=1<<r;s&t|e[r]&t&&(e[r]|=t),n&=~s}}var W=0;function fd(e){return e&=-e,1<e?4<e?e&268435455?16:536870912:4:1}var pd,Ha,md,hd,vd,Yo=!1,ds=[],It=null,_t=null,Rt=null,Rr=new Map,zr=new Map,Et=[],Hm="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function Yi(e,t){switch(e){case"focusin":case"focusout":It=null;break;case"dragenter":case"dragleave":_t=null;break;case"mouseover":case"mouseout":Rt=null;break;case"pointerover":case"pointerout":Rr.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":zr.delete(t.pointerId)}}function ar(e,t,n,r,s,l){return e===null||e.nativeEvent!==l?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:l,targetContainers:[s]},t!==null&&(t=es(t),t!==null&&Ha(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,s!==null&&t.indexOf(s)===-1&&t.push(s),e)}function Bm(e,t,n,r,s){switch(t){case"focusin":return It=ar(It,e,t,n,r,s),!0;case"dragenter":return _t=ar(_t,e,t,n,r,s),!0;case"mouseover":return Rt=ar(Rt,e,t,n,r,s),!0;case"pointerover":var l=s.pointerId;return Rr.set(l,ar(Rr.get(l)||null,e,t,n,r,s)),!0;case"gotpointercapture":return l=s.pointerId,zr.set(l,ar(zr.get(l)||null,e,t,n,r,s)),!0}return!1}function gd(e){var t=Yt(e.target);if(t!==null){var n=an(t);if(n!==null){if(t=n.tag,t===13){if(t=ld(n),t!==null){e.blockedOn=t,vd(e.priority,function(){md(n)});return}}else if(t===3&&n.stateNode.current.memoizedState.isDehydrated){e.blockedOn=n.tag===3?n.stateNode.containerInfo:null;return}}}e.blockedOn=null}function Rs(e){if(e.blockedOn!==null)return!1;for(var t=e.targetContainers;0<t.length;){var n=Xo(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(n===null){n=e.nativeEvent;var r=new n.constructor(n.type,n);Bo=r,n.target.dispatchEvent(r),Bo=null}else return t=es(n),t!==null&&Ha(t),e.blockedOn=n,!1;t.shift()}return!0}function Xi(e,t,n){Rs(e)&&n.delete(t)}function Wm(){Yo=!1,It!==null&&Rs(It)&&(It=null),_t!==null&&Rs(_t)&&(_t=null),Rt!==null&&Rs(Rt)&&(Rt=null),Rr.forEach(Xi),zr.forEach(Xi)}function ir(e,t){e.blockedOn===t&&(e.blockedOn=null,Yo||(Yo=!0,ze.unstable_scheduleCallback(ze.unstable_NormalPriority,Wm)))}function Lr(e){function t(s){return ir(s,e)}if(0<ds.length){ir(ds[0],e);for(var n=1;n<ds.length;n++){var r=ds[n];r.blockedOn===e&&(r.blockedOn=null)}}for(It!==null&&ir(It,e),_t!==null&&ir(_t,e),Rt!==null&&ir(Rt,e),Rr.forEach(t),zr.forEach(t),n=0;n<Et.length;n++)r=Et[n],r.blockedOn===e&&(r.blockedOn=null);for(;0<Et.length&&(n=Et[0],n.blockedOn===null);)gd(n),n.blockedOn===null&&Et.shift()}var Fn=xt.ReactCurrentBatchConfig,Xs=!0;function Gm(e,t,n,r){var s=W,l=Fn.transition;Fn.transition=null;try{W=1,Ba(e,t,n,r)}finally{W=s,Fn.transition=l}}function Km(e,t,n,r){var s=W,l=Fn.transition;Fn.transition=null;try{W=4,Ba(e,t,n,r)}finally{W=s,Fn.transition=l}}function Ba(e,t,n,r){if(Xs){var s=Xo(e,t,n,r);if(s===null)lo(e,t,r,Js,n),Yi(e,r);else if(Bm(s,e,t,n,r))r.stopPropagation();else if(Yi(e,r),t&4&&-1<Hm.indexOf(e)){for(;s!==null;){var l=es(s);if(l!==null&&pd(l),l=Xo(e,t,n,r),l===null&&lo(e,t,r,Js,n),l===s)break;s=l}s!==null&&r.stopPropagation()}else lo(e,t,r,null,n)}}var Js=null;function Xo(e,t,n,r){if(Js=null,e=$a(r),e=Yt(e),e!==null)if(t=an(e),t===null)e=null;else if(n=t.tag,n===13){if(e=ld(t),e!==null)return e;e=null}else if(n===3){if(t.stateNode.current.memoizedState.isDehydrated)return t.tag===3?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null);return Js=e,null}function xd(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(zm()){case Ua:return 1;case cd:return 4;case Qs:case Lm:return 16;case ud:return 536870912;default:return 16}default:return 16}}var Mt=null,Wa=null,zs=null;function yd(){if(zs)return zs;var e,t=Wa,n=t.length,r,s="value"in Mt?Mt.value:Mt.textContent,l=s.length;for(e=0;e<n&&t[e]===s[e];e++);var a=n-e;for(r=1;r<=a&&t[n-r]===s[l-r];r++);return zs=s.slice(e,1<r?1-r:void 0)}function Ls(e){var t=e.keyCode;return"charCode"in e?(e=e.charCode,e===0&&t===13&&(e=13)):e=t,e===10&&(e=13),32<=e||e===13?e:0}function fs(){return!0}function Ji(){return!1}function Oe(e){function t(n,r,s,l,a){this._reactName=n,this._targetInst=s,this.type=r,this.nativeEvent=l,this.target=a,this.currentTarget=null;for(var i in e)e.hasOwnProperty(i)&&(n=e[i],this[i]=n?n(l):l[i]);return this.isDefaultPrevented=(l.defaultPrevented!=null?l.defaultPrevented:l.returnValue===!1)?fs:Ji,this.isPropagationStopped=Ji,this}return se(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var n=this.nativeEvent;n&&(n.preventDefault?n.preventDefault():typeof n.returnValue!="unknown"&&(n.returnValue=!1),this.isDefaultPrevented=fs)},stopPropagation:function(){var n=this.nativeEvent;n&&(n.stopPropagation?n.stopPropagation():typeof n.cancelBubble!="unknown"&&(n.cancelBubble=!0),this.isPropagationStopped=fs)},persist:function(){},isPersistent:fs}),t}var er={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Ga=Oe(er),qr=se({},er,{view:0,detail:0}),Qm=Oe(qr),Xl,Jl,cr,wl=se({},qr,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:Ka,button:0,buttons:0,relatedTarget:function(e){return e.relatedTarget===void 0?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==cr&&(cr&&e.type==="mousemove"?(Xl=e.screenX-cr.screenX,Jl=e.screenY-cr.screenY):Jl=Xl=0,cr=e),Xl)},movementY:function(e){return"movementY"in e?e.movementY:Jl}}),Zi=Oe(wl),Ym=se({},wl,{dataTransfer:0}),Xm=Oe(Ym),Jm=se({},qr,{relatedTarget:0}),Zl=Oe(Jm),Zm=se({},er,{animationName:0,elapsedTime:0,pseudoElement:0}),qm=Oe(Zm),eh=se({},er,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),th=Oe(eh),nh=se({},er,{data:0}),qi=Oe(nh),rh={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},sh={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},lh={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function oh(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):(e=lh[e])?!!t[e]:!1}function Ka(){return oh}var ah=se({},qr,{key:function(e){if(e.key){var t=rh[e.key]||e.key;if(t!=="Unidentified")return t}return e.type==="keypress"?(e=Ls(e),e===13?"Enter":String.fromCharCode(e)):e.type==="keydown"||e.type==="keyup"?sh[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:Ka,charCode:function(e){return e.type==="keypress"?Ls(e):0},keyCode:function(e){return e.type==="keydown"||e.type==="keyup"?e.keyCode:0},which:function(e){return e.type==="keypress"?Ls(e):e.type==="keydown"||e.type==="keyup"?e.keyCode:0}}),ih=Oe(ah),ch=se({},wl,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),ec=Oe(ch),uh=se({},qr,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:Ka}),dh=Oe(uh),fh=se({},er,{propertyName:0,elapsedTime:0,pseudoElement:0}),ph=Oe(fh),mh=se({},wl,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),hh=Oe(mh),vh=[9,13,27,32],Qa=ft&&"CompositionEvent"in window,Nr=null;ft&&"documentMode"in document&&(Nr=document.documentMode);var gh=ft&&"TextEvent"in window&&!Nr,wd=ft&&(!Qa||Nr&&8<Nr&&11>=Nr),tc=" ",nc=!1;function jd(e,t){switch(e){case"keyup":return vh.indexOf(t.keyCode)!==-1;case"keydown":return t.keyCode!==229;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Sd(e){return e=e.detail,typeof e=="object"&&"data"in e?e.data:null}var Cn=!1;function xh(e,t){switch(e){case"compositionend":return Sd(t);case"keypress":return t.which!==32?null:(nc=!0,tc);case"textInput":return e=t.data,e===tc&&nc?null:e;default:return null}}function yh(e,t){if(Cn)return e==="compositionend"||!Qa&&jd(e,t)?(e=yd(),zs=Wa=Mt=null,Cn=!1,e):null;switch(e){case"paste":return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return wd&&t.locale!=="ko"?null:t.data;default:return null}}var wh={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function rc(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t==="input"?!!wh[e.type]:t==="textarea"}function Nd(e,t,n,r){ed(r),t=Zs(t,"onChange"),0<t.length&&(n=new Ga("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var kr=null,Or=null;function jh(e){zd(e,0)}function jl(e){var t=Pn(e);if(Ku(t))return e}function Sh(e,t){if(e==="change")return t}var kd=!1;if(ft){var ql;if(ft){var eo="oninput"in document;if(!eo){var sc=document.createElement("div");sc.setAttribute("oninput","return;"),eo=typeof sc.oninput=="function"}ql=eo}else ql=!1;kd=ql&&(!document.documentMode||9<document.documentMode)}function lc(){kr&&(kr.detachEvent("onpropertychange",Cd),Or=kr=null)}function Cd(e){if(e.propertyName==="value"&&jl(Or)){var t=[];Nd(t,Or,e,$a(e)),sd(jh,t)}}function Nh(e,t,n){e==="focusin"?(lc(),kr=t,Or=n,kr.attachEvent("onpropertychange",Cd)):e==="focusout"&&lc()}function kh(e){if(e==="selectionchange"||e==="keyup"||e==="keydown")return jl(Or)}function Ch(e,t){if(e==="click")return jl(t)}function bh(e,t){if(e==="input"||e==="change")return jl(t)}function Eh(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var Je=typeof Object.is=="function"?Object.is:Eh;function Ar(e,t){if(Je(e,t))return!0;if(typeof e!="object"||e===null||typeof t!="object"||t===null)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var s=n[r];if(!_o.call(t,s)||!Je(e[s],t[s]))return!1}return!0}function oc(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function ac(e,t){var n=oc(e);e=0;for(var r;n;){if(n.nodeType===3){if(r=e+n.textContent.length,e<=t&&r>=t)return{node:n,offset:t-e};e=r}e:{for(;n;){if(n.nextSibling){n=n.nextSibling;break e}n=n.parentNode}n=void 0}n=oc(n)}}function bd(e,t){return e&&t?e===t?!0:e&&e.nodeType===3?!1:t&&t.nodeType===3?bd(e,t.parentNode):"contains"in e?e.contains(t):e.compareDocumentPosition?!!(e.compareDocumentPosition(t)&16):!1:!1}function Ed(){for(var e=window,t=Ws();t instanceof e.HTMLIFrameElement;){try{var n=typeof t.contentWindow.location.href=="string"}catch{n=!1}if(n)e=t.contentWindow;else break;t=Ws(e.document)}return t}function Ya(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&(t==="input"&&(e.type==="text"||e.type==="search"||e.type==="tel"||e.type==="url"||e.type==="password")||t==="textarea"||e.contentEditable==="true")}function Ph(e){var t=Ed(),n=e.focusedElem,r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&bd(n.ownerDocument.documentElement,n)){if(r!==null&&Ya(n)){if(t=r.start,e=r.end,e===void 0&&(e=t),"selectionStart"in n)n.selectionStart=t,n.selectionEnd=Math.min(e,n.value.length);else if(e=(t=n.ownerDocument||document)&&t.defaultView||window,e.getSelection){e=e.getSelection();var s=n.textContent.length,l=Math.min(r.start,s);r=r.end===void 0?l:Math.min(r.end,s),!e.extend&&l>r&&(s=r,r=l,l=s),s=ac(n,l);var a=ac(n,r);s&&a&&(e.rangeCount!==1||e.anchorNode!==s.node||e.anchorOffset!==s.offset||e.focusNode!==a.node||e.focusOffset!==a.offset)&&(t=t.createRange(),t.setStart(s.node,s.offset),e.removeAllRanges(),l>r?(e.addRange(t),e.extend(a.node,a.offset)):(t.setEnd(a.node,a.offset),e.addRange(t)))}}for(t=[],e=n;e=e.parentNode;)e.nodeType===1&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for(typeof n.focus=="function"&&n.focus(),n=0;n<t.length;n++)e=t[n],e.element.scrollLeft=e.left,e.element.scrollTop=e.top}}var Mh=ft&&"documentMode"in document&&11>=document.documentMode,bn=null,Jo=null,Cr=null,Zo=!1;function ic(e,t,n){var r=n.window===n?n.document:n.nodeType===9?n:n.ownerDocument;Zo||bn==null||bn!==Ws(r)||(r=bn,"selectionStart"in r&&Ya(r)?r={start:r.selectionStart,end:r.selectionEnd}:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection(),r={anchorNode:r.anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset}),Cr&&Ar(Cr,r)||(Cr=r,r=Zs(Jo,"onSelect"),0<r.length&&(t=new Ga("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=bn)))}function ps(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var En={animationend:ps("Animation","AnimationEnd"),animationiteration:ps("Animation","AnimationIteration"),animationstart:ps("Animation","AnimationStart"),transitionend:ps("Transition","TransitionEnd")},to={},Pd={};ft&&(Pd=document.createElement("div").style,"AnimationEvent"in window||(delete En.animationend.animation,delete En.animationiteration.animation,delete En.animationstart.animation),"TransitionEvent"in window||delete En.transitionend.transition);function Sl(e){if(to[e])return to[e];if(!En[e])return e;var t=En[e],n;for(n in t)if(t.hasOwnProperty(n)&&n in Pd)return to[e]=t[n];return e}var Md=Sl("animationend"),Td=Sl("animationiteration"),Id=Sl("animationstart"),_d=Sl("transitionend"),Rd=new Map,cc="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Vt(e,t){Rd.set(e,t),on(t,[e])}for(var no=0;no<cc.length;no++){var ro=cc[no],Th=ro.toLowerCase(),Ih=ro[0].toUpperCase()+ro.slice(1);Vt(Th,"on"+Ih)}Vt(Md,"onAnimationEnd");Vt(Td,"onAnimationIteration");Vt(Id,"onAnimationStart");Vt("dblclick","onDoubleClick");Vt("focusin","onFocus");Vt("focusout","onBlur");Vt(_d,"onTransitionEnd");Bn("onMouseEnter",["mouseout","mouseover"]);Bn("onMouseLeave",["mouseout","mouseover"]);Bn("onPointerEnter",["pointerout","pointerover"]);Bn("onPointerLeave",["pointerout","pointerover"]);on("onChange","change click focusin focusout input keydown keyup selectionchange".split(" "));on("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" "));on("onBeforeInput",["compositionend","keypress","textInput","paste"]);on("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" "));on("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" "));on("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var wr="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),_h=new Set("cancel close invalid load scroll toggle".split(" ").concat(wr));function uc(e,t,n){var r=e.type||"unknown-event";e.currentTarget=n,Tm(r,t,void 0,e),e.currentTarget=null}function zd(e,t){t=(t&4)!==0;for(var n=0;n<e.length;n++){var r=e[n],s=r.event;r=r.listeners;e:{var l=void 0;if(t)for(var a=r.length-1;0<=a;a--){var i=r[a],c=i.instance,u=i.currentTarget;if(i=i.listener,c!==l&&s.isPropagationStopped())break e;uc(s,i,u),l=c}else for(a=0;a<r.length;a++){if(i=r[a],c=i.instance,u=i.currentTarget,i=i.listener,c!==l&&s.isPropagationStopped())break e;uc(s,i,u),l=c}}}if(Ks)throw e=Ko,Ks=!1,Ko=null,e}function X(e,t){var n=t[ra];n===void 0&&(n=t[ra]=new Set);var r=e+"__bubble";n.has(r)||(Ld(t,e,2,!1),n.add(r))}function so(e,t,n){var r=0;t&&(r|=4),Ld(n,e,r,t)}var ms="_reactListening"+Math.random().toString(36).slice(2);function Dr(e){if(!e[ms]){e[ms]=!0,Vu.forEach(function(n){n!=="selectionchange"&&(_h.has(n)||so(n,!1,e),so(n,!0,e))});var t=e.nodeType===9?e:e.ownerDocument;t===null||t[ms]||(t[ms]=!0,so("selectionchange",!1,t))}}function Ld(e,t,n,r){switch(xd(t)){case 1:var s=Gm;break;case 4:s=Km;break;default:s=Ba}n=s.bind(null,t,n,e),s=void 0,!Go||t!=="touchstart"&&t!=="touchmove"&&t!=="wheel"||(s=!0),r?s!==void 0?e.addEventListener(t,n,{capture:!0,passive:s}):e.addEventListener(t,n,!0):s!==void 0?e.addEventListener(t,n,{passive:s}):e.addEventListener(t,n,!1)}function lo(e,t,n,r,s){var l=r;if(!(t&1)&&!(t&2)&&r!==null)e:for(;;){if(r===null)return;var a=r.tag;if(a===3||a===4){var i=r.stateNode.containerInfo;if(i===s||i.nodeType===8&&i.parentNode===s)break;if(a===4)for(a=r.return;a!==null;){var c=a.tag;if((c===3||c===4)&&(c=a.stateNode.containerInfo,c===s||c.nodeType===8&&c.parentNode===s))return;a=a.return}for(;i!==null;){if(a=Yt(i),a===null)return;if(c=a.tag,c===5||c===6){r=l=a;continue e}i=i.parentNode}}r=r.return}sd(function(){var u=l,p=$a(n),m=[];e:{var h=Rd.get(e);if(h!==void 0){var g=Ga,y=e;switch(e){case"keypress":if(Ls(n)===0)break e;case"keydown":case"keyup":g=ih;break;case"focusin":y="focus",g=Zl;break;case"focusout":y="blur",g=Zl;break;case"beforeblur":case"afterblur":g=Zl;break;case"click":if(n.button===2)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":g=Zi;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":g=Xm;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":g=dh;break;case Md:case Td:case Id:g=qm;break;case _d:g=ph;break;case"scroll":g=Qm;break;case"wheel":g=hh;break;case"copy":case"cut":case"paste":g=th;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":g=ec}var d=(t&4)!==0,j=!d&&e==="scroll",v=d?h!==null?h+"Capture":null:h;d=[];for(var f=u,x;f!==null;){x=f;var k=x.stateNode;if(x.tag===5&&k!==null&&(x=k,v!==null&&(k=_r(f,v),k!=null&&d.push(Fr(f,k,x)))),j)break;f=f.return}0<d.length&&(h=new g(h,y,null,n,p),m.push({event:h,listeners:d}))}}if(!(t&7)){e:{if(h=e==="mouseover"||e==="pointerover",g=e==="mouseout"||e==="pointerout",h&&n!==Bo&&(y=n.relatedTarget||n.fromElement)&&(Yt(y)||y[pt]))break e;if((g||h)&&(h=p.window===p?p:(h=p.ownerDocument)?h.defaultView||h.parentWindow:window,g?(y=n.relatedTarget||n.toElement,g=u,y=y?Yt(y):null,y!==null&&(j=an(y),y!==j||y.tag!==5&&y.tag!==6)&&(y=null)):(g=null,y=u),g!==y)){if(d=Zi,k="onMouseLeave",v="onMouseEnter",f="mouse",(e==="pointerout"||e==="pointerover")&&(d=ec,k="onPointerLeave",v="onPointerEnter",f="pointer"),j=g==null?h:Pn(g),x=y==null?h:Pn(y),h=new d(k,f+"leave",g,n,p),h.target=j,h.relatedTarget=x,k=null,Yt(p)===u&&(d=new d(v,f+"enter",y,n,p),d.target=x,d.relatedTarget=j,k=d),j=k,g&&y)t:{for(d=g,v=y,f=0,x=d;x;x=vn(x))f++;for(x=0,k=v;k;k=vn(k))x++;for(;0<f-x;)d=vn(d),f--;for(;0<x-f;)v=vn(v),x--;for(;f--;){if(d===v||v!==null&&d===v.alternate)break t;d=vn(d),v=vn(v)}d=null}else d=null;g!==null&&dc(m,h,g,d,!1),y!==null&&j!==null&&dc(m,j,y,d,!0)}}e:{if(h=u?Pn(u):window,g=h.nodeName&&h.nodeName.toLowerCase(),g==="select"||g==="input"&&h.type==="file")var N=Sh;else if(rc(h))if(kd)N=bh;else{N=kh;var P=Nh}else(g=h.nodeName)&&g.toLowerCase()==="input"&&(h.type==="checkbox"||h.type==="radio")&&(N=Ch);if(N&&(N=N(e,u))){Nd(m,N,n,p);break e}P&&P(e,h,u),e==="focusout"&&(P=h._wrapperState)&&P.controlled&&h.type==="number"&&Fo(h,"number",h.value)}switch(P=u?Pn(u):window,e){case"focusin":(rc(P)||P.contentEditable==="true")&&(bn=P,Jo=u,Cr=null);break;case"focusout":Cr=Jo=bn=null;break;case"mousedown":Zo=!0;break;case"contextmenu":case"mouseup":case"dragend":Zo=!1,ic(m,n,p);break;case"selectionchange":if(Mh)break;case"keydown":case"keyup":ic(m,n,p)}var C;if(Qa)e:{switch(e){case"compositionstart":var b="onCompositionStart";break e;case"compositionend":b="onCompositionEnd";break e;case"compositionupdate":b="onCompositionUpdate";break e}b=void 0}else Cn?jd(e,n)&&(b="onCompositionEnd"):e==="keydown"&&n.keyCode===229&&(b="onCompositionStart");b&&(wd&&n.locale!=="ko"&&(Cn||b!=="onCompositionStart"?b==="onCompositionEnd"&&Cn&&(C=yd()):(Mt=p,Wa="value"in Mt?Mt.value:Mt.textContent,Cn=!0)),P=Zs(u,b),0<P.length&&(b=new qi(b,e,null,n,p),m.push({event:b,listeners:P}),C?b.data=C:(C=Sd(n),C!==null&&(b.data=C)))),(C=gh?xh(e,n):yh(e,n))&&(u=Zs(u,"onBeforeInput"),0<u.length&&(p=new qi("onBeforeInput","beforeinput",null,n,p),m.push({event:p,listeners:u}),p.data=C))}zd(m,t)})}function Fr(e,t,n){return{instance:e,listener:t,currentTarget:n}}function Zs(e,t){for(var n=t+"Capture",r=[];e!==null;){var s=e,l=s.stateNode;s.tag===5&&l!==null&&(s=l,l=_r(e,n),l!=null&&r.unshift(Fr(e,l,s)),l=_r(e,t),l!=null&&r.push(Fr(e,l,s))),e=e.return}return r}function vn(e){if(e===null)return null;do e=e.return;while(e&&e.tag!==5);return e||null}function dc(e,t,n,r,s){for(var l=t._reactName,a=[];n!==null&&n!==r;){var i=n,c=i.alternate,u=i.stateNode;if(c!==null&&c===r)break;i.tag===5&&u!==null&&(i=u,s?(c=_r(n,l),c!=null&&a.unshift(Fr(n,c,i))):s||(c=_r(n,l),c!=null&&a.push(Fr(n,c,i)))),n=n.return}a.length!==0&&e.push({event:t,listeners:a})}var Rh=/\r\n?/g,zh=/\u0000|\uFFFD/g;function fc(e){return(typeof e=="string"?e:""+e).replace(Rh,`
+`).replace(zh,"")}function hs(e,t,n){if(t=fc(t),fc(e)!==t&&n)throw Error(M(425))}function qs(){}var qo=null,ea=null;function ta(e,t){return e==="textarea"||e==="noscript"||typeof t.children=="string"||typeof t.children=="number"||typeof t.dangerouslySetInnerHTML=="object"&&t.dangerouslySetInnerHTML!==null&&t.dangerouslySetInnerHTML.__html!=null}var na=typeof setTimeout=="function"?setTimeout:void 0,Lh=typeof clearTimeout=="function"?clearTimeout:void 0,pc=typeof Promise=="function"?Promise:void 0,Oh=typeof queueMicrotask=="function"?queueMicrotask:typeof pc<"u"?function(e){return pc.resolve(null).then(e).catch(Ah)}:na;function Ah(e){setTimeout(function(){throw e})}function oo(e,t){var n=t,r=0;do{var s=n.nextSibling;if(e.removeChild(n),s&&s.nodeType===8)if(n=s.data,n==="/$"){if(r===0){e.removeChild(s),Lr(t);return}r--}else n!=="$"&&n!=="$?"&&n!=="$!"||r++;n=s}while(n);Lr(t)}function zt(e){for(;e!=null;e=e.nextSibling){var t=e.nodeType;if(t===1||t===3)break;if(t===8){if(t=e.data,t==="$"||t==="$!"||t==="$?")break;if(t==="/$")return null}}return e}function mc(e){e=e.previousSibling;for(var t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="$"||n==="$!"||n==="$?"){if(t===0)return e;t--}else n==="/$"&&t++}e=e.previousSibling}return null}var tr=Math.random().toString(36).slice(2),tt="__reactFiber$"+tr,$r="__reactProps$"+tr,pt="__reactContainer$"+tr,ra="__reactEvents$"+tr,Dh="__reactListeners$"+tr,Fh="__reactHandles$"+tr;function Yt(e){var t=e[tt];if(t)return t;for(var n=e.parentNode;n;){if(t=n[pt]||n[tt]){if(n=t.alternate,t.child!==null||n!==null&&n.child!==null)for(e=mc(e);e!==null;){if(n=e[tt])return n;e=mc(e)}return t}e=n,n=e.parentNode}return null}function es(e){return e=e[tt]||e[pt],!e||e.tag!==5&&e.tag!==6&&e.tag!==13&&e.tag!==3?null:e}function Pn(e){if(e.tag===5||e.tag===6)return e.stateNode;throw Error(M(33))}function Nl(e){return e[$r]||null}var sa=[],Mn=-1;function Ht(e){return{current:e}}function Z(e){0>Mn||(e.current=sa[Mn],sa[Mn]=null,Mn--)}function Q(e,t){Mn++,sa[Mn]=e.current,e.current=t}var Ut={},we=Ht(Ut),Ee=Ht(!1),en=Ut;function Wn(e,t){var n=e.type.contextTypes;if(!n)return Ut;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var s={},l;for(l in n)s[l]=t[l];return r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=s),s}function Pe(e){return e=e.childContextTypes,e!=null}function el(){Z(Ee),Z(we)}function hc(e,t,n){if(we.current!==Ut)throw Error(M(168));Q(we,t),Q(Ee,n)}function Od(e,t,n){var r=e.stateNode;if(t=t.childContextTypes,typeof r.getChildContext!="function")return n;r=r.getChildContext();for(var s in r)if(!(s in t))throw Error(M(108,Nm(e)||"Unknown",s));return se({},n,r)}function tl(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||Ut,en=we.current,Q(we,e),Q(Ee,Ee.current),!0}function vc(e,t,n){var r=e.stateNode;if(!r)throw Error(M(169));n?(e=Od(e,t,en),r.__reactInternalMemoizedMergedChildContext=e,Z(Ee),Z(we),Q(we,e)):Z(Ee),Q(Ee,n)}var it=null,kl=!1,ao=!1;function Ad(e){it===null?it=[e]:it.push(e)}function $h(e){kl=!0,Ad(e)}function Bt(){if(!ao&&it!==null){ao=!0;var e=0,t=W;try{var n=it;for(W=1;e<n.length;e++){var r=n[e];do r=r(!0);while(r!==null)}it=null,kl=!1}catch(s){throw it!==null&&(it=it.slice(e+1)),id(Ua,Bt),s}finally{W=t,ao=!1}}return null}var Tn=[],In=0,nl=null,rl=0,Ae=[],De=0,tn=null,ct=1,ut="";function Kt(e,t){Tn[In++]=rl,Tn[In++]=nl,nl=e,rl=t}function Dd(e,t,n){Ae[De++]=ct,Ae[De++]=ut,Ae[De++]=tn,tn=e;var r=ct;e=ut;var s=32-Ye(r)-1;r&=~(1<<s),n+=1;var l=32-Ye(t)+s;if(30<l){var a=s-s%5;l=(r&(1<<a)-1).toString(32),r>>=a,s-=a,ct=1<<32-Ye(t)+s|n<<s|r,ut=l+e}else ct=1<<l|n<<s|r,ut=e}function Xa(e){e.return!==null&&(Kt(e,1),Dd(e,1,0))}function Ja(e){for(;e===nl;)nl=Tn[--In],Tn[In]=null,rl=Tn[--In],Tn[In]=null;for(;e===tn;)tn=Ae[--De],Ae[De]=null,ut=Ae[--De],Ae[De]=null,ct=Ae[--De],Ae[De]=null}var Re=null,_e=null,q=!1,Ke=null;function Fd(e,t){var n=Fe(5,null,null,0);n.elementType="DELETED",n.stateNode=t,n.return=e,t=e.deletions,t===null?(e.deletions=[n],e.flags|=16):t.push(n)}function gc(e,t){switch(e.tag){case 5:var n=e.type;return t=t.nodeType!==1||n.toLowerCase()!==t.nodeName.toLowerCase()?null:t,t!==null?(e.stateNode=t,Re=e,_e=zt(t.firstChild),!0):!1;case 6:return t=e.pendingProps===""||t.nodeType!==3?null:t,t!==null?(e.stateNode=t,Re=e,_e=null,!0):!1;case 13:return t=t.nodeType!==8?null:t,t!==null?(n=tn!==null?{id:ct,overflow:ut}:null,e.memoizedState={dehydrated:t,treeContext:n,retryLane:1073741824},n=Fe(18,null,null,0),n.stateNode=t,n.return=e,e.child=n,Re=e,_e=null,!0):!1;default:return!1}}function la(e){return(e.mode&1)!==0&&(e.flags&128)===0}function oa(e){if(q){var t=_e;if(t){var n=t;if(!gc(e,t)){if(la(e))throw Error(M(418));t=zt(n.nextSibling);var r=Re;t&&gc(e,t)?Fd(r,n):(e.flags=e.flags&-4097|2,q=!1,Re=e)}}else{if(la(e))throw Error(M(418));e.flags=e.flags&-4097|2,q=!1,Re=e}}}function xc(e){for(e=e.return;e!==null&&e.tag!==5&&e.tag!==3&&e.tag!==13;)e=e.return;Re=e}function vs(e){if(e!==Re)return!1;if(!q)return xc(e),q=!0,!1;var t;if((t=e.tag!==3)&&!(t=e.tag!==5)&&(t=e.type,t=t!=="head"&&t!=="body"&&!ta(e.type,e.memoizedProps)),t&&(t=_e)){if(la(e))throw $d(),Error(M(418));for(;t;)Fd(e,t),t=zt(t.nextSibling)}if(xc(e),e.tag===13){if(e=e.memoizedState,e=e!==null?e.dehydrated:null,!e)throw Error(M(317));e:{for(e=e.nextSibling,t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="/$"){if(t===0){_e=zt(e.nextSibling);break e}t--}else n!=="$"&&n!=="$!"&&n!=="$?"||t++}e=e.nextSibling}_e=null}}else _e=Re?zt(e.stateNode.nextSibling):null;return!0}function $d(){for(var e=_e;e;)e=zt(e.nextSibling)}function Gn(){_e=Re=null,q=!1}function Za(e){Ke===null?Ke=[e]:Ke.push(e)}var Uh=xt.ReactCurrentBatchConfig;function ur(e,t,n){if(e=n.ref,e!==null&&typeof e!="function"&&typeof e!="object"){if(n._owner){if(n=n._owner,n){if(n.tag!==1)throw Error(M(309));var r=n.stateNode}if(!r)throw Error(M(147,e));var s=r,l=""+e;return t!==null&&t.ref!==null&&typeof t.ref=="function"&&t.ref._stringRef===l?t.ref:(t=function(a){var i=s.refs;a===null?delete i[l]:i[l]=a},t._stringRef=l,t)}if(typeof e!="string")throw Error(M(284));if(!n._owner)throw Error(M(290,e))}return e}function gs(e,t){throw e=Object.prototype.toString.call(t),Error(M(31,e==="[object Object]"?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function yc(e){var t=e._init;return t(e._payload)}function Ud(e){function t(v,f){if(e){var x=v.deletions;x===null?(v.deletions=[f],v.flags|=16):x.push(f)}}function n(v,f){if(!e)return null;for(;f!==null;)t(v,f),f=f.sibling;return null}function r(v,f){for(v=new Map;f!==null;)f.key!==null?v.set(f.key,f):v.set(f.index,f),f=f.sibling;return v}function s(v,f){return v=Dt(v,f),v.index=0,v.sibling=null,v}function l(v,f,x){return v.index=x,e?(x=v.alternate,x!==null?(x=x.index,x<f?(v.flags|=2,f):x):(v.flags|=2,f)):(v.flags|=1048576,f)}function a(v){return e&&v.alternate===null&&(v.flags|=2),v}function i(v,f,x,k){return f===null||f.tag!==6?(f=ho(x,v.mode,k),f.return=v,f):(f=s(f,x),f.return=v,f)}function c(v,f,x,k){var N=x.type;return N===kn?p(v,f,x.props.children,k,x.key):f!==null&&(f.elementType===N||typeof N=="object"&&N!==null&&N.$$typeof===Ct&&yc(N)===f.type)?(k=s(f,x.props),k.ref=ur(v,f,x),k.return=v,k):(k=Vs(x.type,x.key,x.props,null,v.mode,k),k.ref=ur(v,f,x),k.return=v,k)}function u(v,f,x,k){return f===null||f.tag!==4||f.stateNode.containerInfo!==x.containerInfo||f.stateNode.implementation!==x.implementation?(f=vo(x,v.mode,k),f.return=v,f):(f=s(f,x.children||[]),f.return=v,f)}function p(v,f,x,k,N){return f===null||f.tag!==7?(f=qt(x,v.mode,k,N),f.return=v,f):(f=s(f,x),f.return=v,f)}function m(v,f,x){if(typeof f=="string"&&f!==""||typeof f=="number")return f=ho(""+f,v.mode,x),f.return=v,f;if(typeof f=="object"&&f!==null){switch(f.$$typeof){case os:return x=Vs(f.type,f.key,f.props,null,v.mode,x),x.ref=ur(v,null,f),x.return=v,x;case Nn:return f=vo(f,v.mode,x),f.return=v,f;case Ct:var k=f._init;return m(v,k(f._payload),x)}if(xr(f)||lr(f))return f=qt(f,v.mode,x,null),f.return=v,f;gs(v,f)}return null}function h(v,f,x,k){var N=f!==null?f.key:null;if(typeof x=="string"&&x!==""||typeof x=="number")return N!==null?null:i(v,f,""+x,k);if(typeof x=="object"&&x!==null){switch(x.$$typeof){case os:return x.key===N?c(v,f,x,k):null;case Nn:return x.key===N?u(v,f,x,k):null;case Ct:return N=x._init,h(v,f,N(x._payload),k)}if(xr(x)||lr(x))return N!==null?null:p(v,f,x,k,null);gs(v,x)}return null}function g(v,f,x,k,N){if(typeof k=="string"&&k!==""||typeof k=="number")return v=v.get(x)||null,i(f,v,""+k,N);if(typeof k=="object"&&k!==null){switch(k.$$typeof){case os:return v=v.get(k.key===null?x:k.key)||null,c(f,v,k,N);case Nn:return v=v.get(k.key===null?x:k.key)||null,u(f,v,k,N);case Ct:var P=k._init;return g(v,f,x,P(k._payload),N)}if(xr(k)||lr(k))return v=v.get(x)||null,p(f,v,k,N,null);gs(f,k)}return null}function y(v,f,x,k){for(var N=null,P=null,C=f,b=f=0,_=null;C!==null&&b<x.length;b++){C.index>b?(_=C,C=null):_=C.sibling;var R=h(v,C,x[b],k);if(R===null){C===null&&(C=_);break}e&&C&&R.alternate===null&&t(v,C),f=l(R,f,b),P===null?N=R:P.sibling=R,P=R,C=_}if(b===x.length)return n(v,C),q&&Kt(v,b),N;if(C===null){for(;b<x.length;b++)C=m(v,x[b],k),C!==null&&(f=l(C,f,b),P===null?N=C:P.sibling=C,P=C);return q&&Kt(v,b),N}for(C=r(v,C);b<x.length;b++)_=g(C,v,b,x[b],k),_!==null&&(e&&_.alternate!==null&&C.delete(_.key===null?b:_.key),f=l(_,f,b),P===null?N=_:P.sibling=_,P=_);return e&&C.forEach(function(E){return t(v,E)}),q&&Kt(v,b),N}function d(v,f,x,k){var N=lr(x);if(typeof N!="function")throw Error(M(150));if(x=N.call(x),x==null)throw Error(M(151));for(var P=N=null,C=f,b=f=0,_=null,R=x.next();C!==null&&!R.done;b++,R=x.next()){C.index>b?(_=C,C=null):_=C.sibling;var E=h(v,C,R.value,k);if(E===null){C===null&&(C=_);break}e&&C&&E.alternate===null&&t(v,C),f=l(E,f,b),P===null?N=E:P.sibling=E,P=E,C=_}if(R.done)return n(v,C),q&&Kt(v,b),N;if(C===null){for(;!R.done;b++,R=x.next())R=m(v,R.value,k),R!==null&&(f=l(R,f,b),P===null?N=R:P.sibling=R,P=R);return q&&Kt(v,b),N}for(C=r(v,C);!R.done;b++,R=x.next())R=g(C,v,b,R.value,k),R!==null&&(e&&R.alternate!==null&&C.delete(R.key===null?b:R.key),f=l(R,f,b),P===null?N=R:P.sibling=R,P=R);return e&&C.forEach(function(S){return t(v,S)}),q&&Kt(v,b),N}function j(v,f,x,k){if(typeof x=="object"&&x!==null&&x.type===kn&&x.key===null&&(x=x.props.children),typeof x=="object"&&x!==null){switch(x.$$typeof){case os:e:{for(var N=x.key,P=f;P!==null;){if(P.key===N){if(N=x.type,N===kn){if(P.tag===7){n(v,P.sibling),f=s(P,x.props.children),f.return=v,v=f;break e}}else if(P.elementType===N||typeof N=="object"&&N!==null&&N.$$typeof===Ct&&yc(N)===P.type){n(v,P.sibling),f=s(P,x.props),f.ref=ur(v,P,x),f.return=v,v=f;break e}n(v,P);break}else t(v,P);P=P.sibling}x.type===kn?(f=qt(x.props.children,v.mode,k,x.key),f.return=v,v=f):(k=Vs(x.type,x.key,x.props,null,v.mode,k),k.ref=ur(v,f,x),k.return=v,v=k)}return a(v);case Nn:e:{for(P=x.key;f!==null;){if(f.key===P)if(f.tag===4&&f.stateNode.containerInfo===x.containerInfo&&f.stateNode.implementation===x.implementation){n(v,f.sibling),f=s(f,x.children||[]),f.return=v,v=f;break e}else{n(v,f);break}else t(v,f);f=f.sibling}f=vo(x,v.mode,k),f.return=v,v=f}return a(v);case Ct:return P=x._init,j(v,f,P(x._payload),k)}if(xr(x))return y(v,f,x,k);if(lr(x))return d(v,f,x,k);gs(v,x)}return typeof x=="string"&&x!==""||typeof x=="number"?(x=""+x,f!==null&&f.tag===6?(n(v,f.sibling),f=s(f,x),f.return=v,v=f):(n(v,f),f=ho(x,v.mode,k),f.return=v,v=f),a(v)):n(v,f)}return j}var Kn=Ud(!0),Vd=Ud(!1),sl=Ht(null),ll=null,_n=null,qa=null;function ei(){qa=_n=ll=null}function ti(e){var t=sl.current;Z(sl),e._currentValue=t}function aa(e,t,n){for(;e!==null;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,r!==null&&(r.childLanes|=t)):r!==null&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function $n(e,t){ll=e,qa=_n=null,e=e.dependencies,e!==null&&e.firstContext!==null&&(e.lanes&t&&(be=!0),e.firstContext=null)}function Ue(e){var t=e._currentValue;if(qa!==e)if(e={context:e,memoizedValue:t,next:null},_n===null){if(ll===null)throw Error(M(308));_n=e,ll.dependencies={lanes:0,firstContext:e}}else _n=_n.next=e;return t}var Xt=null;function ni(e){Xt===null?Xt=[e]:Xt.push(e)}function Hd(e,t,n,r){var s=t.interleaved;return s===null?(n.next=n,ni(t)):(n.next=s.next,s.next=n),t.interleaved=n,mt(e,r)}function mt(e,t){e.lanes|=t;var n=e.alternate;for(n!==null&&(n.lanes|=t),n=e,e=e.return;e!==null;)e.childLanes|=t,n=e.alternate,n!==null&&(n.childLanes|=t),n=e,e=e.return;return n.tag===3?n.stateNode:null}var bt=!1;function ri(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function Bd(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function dt(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function Lt(e,t,n){var r=e.updateQueue;if(r===null)return null;if(r=r.shared,V&2){var s=r.pending;return s===null?t.next=t:(t.next=s.next,s.next=t),r.pending=t,mt(e,n)}return s=r.interleaved,s===null?(t.next=t,ni(r)):(t.next=s.next,s.next=t),r.interleaved=t,mt(e,n)}function Os(e,t,n){if(t=t.updateQueue,t!==null&&(t=t.shared,(n&4194240)!==0)){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Va(e,n)}}function wc(e,t){var n=e.updateQueue,r=e.alternate;if(r!==null&&(r=r.updateQueue,n===r)){var s=null,l=null;if(n=n.firstBaseUpdate,n!==null){do{var a={eventTime:n.eventTime,lane:n.lane,tag:n.tag,payload:n.payload,callback:n.callback,next:null};l===null?s=l=a:l=l.next=a,n=n.next}while(n!==null);l===null?s=l=t:l=l.next=t}else s=l=t;n={baseState:r.baseState,firstBaseUpdate:s,lastBaseUpdate:l,shared:r.shared,effects:r.effects},e.updateQueue=n;return}e=n.lastBaseUpdate,e===null?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}function ol(e,t,n,r){var s=e.updateQueue;bt=!1;var l=s.firstBaseUpdate,a=s.lastBaseUpdate,i=s.shared.pending;if(i!==null){s.shared.pending=null;var c=i,u=c.next;c.next=null,a===null?l=u:a.next=u,a=c;var p=e.alternate;p!==null&&(p=p.updateQueue,i=p.lastBaseUpdate,i!==a&&(i===null?p.firstBaseUpdate=u:i.next=u,p.lastBaseUpdate=c))}if(l!==null){var m=s.baseState;a=0,p=u=c=null,i=l;do{var h=i.lane,g=i.eventTime;if((r&h)===h){p!==null&&(p=p.next={eventTime:g,lane:0,tag:i.tag,payload:i.payload,callback:i.callback,next:null});e:{var y=e,d=i;switch(h=t,g=n,d.tag){case 1:if(y=d.payload,typeof y=="function"){m=y.call(g,m,h);break e}m=y;break e;case 3:y.flags=y.flags&-65537|128;case 0:if(y=d.payload,h=typeof y=="function"?y.call(g,m,h):y,h==null)break e;m=se({},m,h);break e;case 2:bt=!0}}i.callback!==null&&i.lane!==0&&(e.flags|=64,h=s.effects,h===null?s.effects=[i]:h.push(i))}else g={eventTime:g,lane:h,tag:i.tag,payload:i.payload,callback:i.callback,next:null},p===null?(u=p=g,c=m):p=p.next=g,a|=h;if(i=i.next,i===null){if(i=s.shared.pending,i===null)break;h=i,i=h.next,h.next=null,s.lastBaseUpdate=h,s.shared.pending=null}}while(!0);if(p===null&&(c=m),s.baseState=c,s.firstBaseUpdate=u,s.lastBaseUpdate=p,t=s.shared.interleaved,t!==null){s=t;do a|=s.lane,s=s.next;while(s!==t)}else l===null&&(s.shared.lanes=0);rn|=a,e.lanes=a,e.memoizedState=m}}function jc(e,t,n){if(e=t.effects,t.effects=null,e!==null)for(t=0;t<e.length;t++){var r=e[t],s=r.callback;if(s!==null){if(r.callback=null,r=n,typeof s!="function")throw Error(M(191,s));s.call(r)}}}var ts={},st=Ht(ts),Ur=Ht(ts),Vr=Ht(ts);function Jt(e){if(e===ts)throw Error(M(174));return e}function si(e,t){switch(Q(Vr,t),Q(Ur,e),Q(st,ts),e=t.nodeType,e){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:Uo(null,"");break;default:e=e===8?t.parentNode:t,t=e.namespaceURI||null,e=e.tagName,t=Uo(t,e)}Z(st),Q(st,t)}function Qn(){Z(st),Z(Ur),Z(Vr)}function Wd(e){Jt(Vr.current);var t=Jt(st.current),n=Uo(t,e.type);t!==n&&(Q(Ur,e),Q(st,n))}function li(e){Ur.current===e&&(Z(st),Z(Ur))}var ee=Ht(0);function al(e){for(var t=e;t!==null;){if(t.tag===13){var n=t.memoizedState;if(n!==null&&(n=n.dehydrated,n===null||n.data==="$?"||n.data==="$!"))return t}else if(t.tag===19&&t.memoizedProps.revealOrder!==void 0){if(t.flags&128)return t}else if(t.child!==null){t.child.return=t,t=t.child;continue}if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var io=[];function oi(){for(var e=0;e<io.length;e++)io[e]._workInProgressVersionPrimary=null;io.length=0}var As=xt.ReactCurrentDispatcher,co=xt.ReactCurrentBatchConfig,nn=0,ne=null,ce=null,fe=null,il=!1,br=!1,Hr=0,Vh=0;function ge(){throw Error(M(321))}function ai(e,t){if(t===null)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!Je(e[n],t[n]))return!1;return!0}function ii(e,t,n,r,s,l){if(nn=l,ne=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,As.current=e===null||e.memoizedState===null?Gh:Kh,e=n(r,s),br){l=0;do{if(br=!1,Hr=0,25<=l)throw Error(M(301));l+=1,fe=ce=null,t.updateQueue=null,As.current=Qh,e=n(r,s)}while(br)}if(As.current=cl,t=ce!==null&&ce.next!==null,nn=0,fe=ce=ne=null,il=!1,t)throw Error(M(300));return e}function ci(){var e=Hr!==0;return Hr=0,e}function et(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return fe===null?ne.memoizedState=fe=e:fe=fe.next=e,fe}function Ve(){if(ce===null){var e=ne.alternate;e=e!==null?e.memoizedState:null}else e=ce.next;var t=fe===null?ne.memoizedState:fe.next;if(t!==null)fe=t,ce=e;else{if(e===null)throw Error(M(310));ce=e,e={memoizedState:ce.memoizedState,baseState:ce.baseState,baseQueue:ce.baseQueue,queue:ce.queue,next:null},fe===null?ne.memoizedState=fe=e:fe=fe.next=e}return fe}function Br(e,t){return typeof t=="function"?t(e):t}function uo(e){var t=Ve(),n=t.queue;if(n===null)throw Error(M(311));n.lastRenderedReducer=e;var r=ce,s=r.baseQueue,l=n.pending;if(l!==null){if(s!==null){var a=s.next;s.next=l.next,l.next=a}r.baseQueue=s=l,n.pending=null}if(s!==null){l=s.next,r=r.baseState;var i=a=null,c=null,u=l;do{var p=u.lane;if((nn&p)===p)c!==null&&(c=c.next={lane:0,action:u.action,hasEagerState:u.hasEagerState,eagerState:u.eagerState,next:null}),r=u.hasEagerState?u.eagerState:e(r,u.action);else{var m={lane:p,action:u.action,hasEagerState:u.hasEagerState,eagerState:u.eagerState,next:null};c===null?(i=c=m,a=r):c=c.next=m,ne.lanes|=p,rn|=p}u=u.next}while(u!==null&&u!==l);c===null?a=r:c.next=i,Je(r,t.memoizedState)||(be=!0),t.memoizedState=r,t.baseState=a,t.baseQueue=c,n.lastRenderedState=r}if(e=n.interleaved,e!==null){s=e;do l=s.lane,ne.lanes|=l,rn|=l,s=s.next;while(s!==e)}else s===null&&(n.lanes=0);return[t.memoizedState,n.dispatch]}function fo(e){var t=Ve(),n=t.queue;if(n===null)throw Error(M(311));n.lastRenderedReducer=e;var r=n.dispatch,s=n.pending,l=t.memoizedState;if(s!==null){n.pending=null;var a=s=s.next;do l=e(l,a.action),a=a.next;while(a!==s);Je(l,t.memoizedState)||(be=!0),t.memoizedState=l,t.baseQueue===null&&(t.baseState=l),n.lastRenderedState=l}return[l,r]}function Gd(){}function Kd(e,t){var n=ne,r=Ve(),s=t(),l=!Je(r.memoizedState,s);if(l&&(r.memoizedState=s,be=!0),r=r.queue,ui(Xd.bind(null,n,r,e),[e]),r.getSnapshot!==t||l||fe!==null&&fe.memoizedState.tag&1){if(n.flags|=2048,Wr(9,Yd.bind(null,n,r,s,t),void 0,null),pe===null)throw Error(M(349));nn&30||Qd(n,t,s)}return s}function Qd(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},t=ne.updateQueue,t===null?(t={lastEffect:null,stores:null},ne.updateQueue=t,t.stores=[e]):(n=t.stores,n===null?t.stores=[e]:n.push(e))}function Yd(e,t,n,r){t.value=n,t.getSnapshot=r,Jd(t)&&Zd(e)}function Xd(e,t,n){return n(function(){Jd(t)&&Zd(e)})}function Jd(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!Je(e,n)}catch{return!0}}function Zd(e){var t=mt(e,1);t!==null&&Xe(t,e,1,-1)}function Sc(e){var t=et();return typeof e=="function"&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:Br,lastRenderedState:e},t.queue=e,e=e.dispatch=Wh.bind(null,ne,e),[t.memoizedState,e]}function Wr(e,t,n,r){return e={tag:e,create:t,destroy:n,deps:r,next:null},t=ne.updateQueue,t===null?(t={lastEffect:null,stores:null},ne.updateQueue=t,t.lastEffect=e.next=e):(n=t.lastEffect,n===null?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e)),e}function qd(){return Ve().memoizedState}function Ds(e,t,n,r){var s=et();ne.flags|=e,s.memoizedState=Wr(1|t,n,void 0,r===void 0?null:r)}function Cl(e,t,n,r){var s=Ve();r=r===void 0?null:r;var l=void 0;if(ce!==null){var a=ce.memoizedState;if(l=a.destroy,r!==null&&ai(r,a.deps)){s.memoizedState=Wr(t,n,l,r);return}}ne.flags|=e,s.memoizedState=Wr(1|t,n,l,r)}function Nc(e,t){return Ds(8390656,8,e,t)}function ui(e,t){return Cl(2048,8,e,t)}function ef(e,t){return Cl(4,2,e,t)}function tf(e,t){return Cl(4,4,e,t)}function nf(e,t){if(typeof t=="function")return e=e(),t(e),function(){t(null)};if(t!=null)return e=e(),t.current=e,function(){t.current=null}}function rf(e,t,n){return n=n!=null?n.concat([e]):null,Cl(4,4,nf.bind(null,t,e),n)}function di(){}function sf(e,t){var n=Ve();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&ai(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function lf(e,t){var n=Ve();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&ai(t,r[1])?r[0]:(e=e(),n.memoizedState=[e,t],e)}function of(e,t,n){return nn&21?(Je(n,t)||(n=dd(),ne.lanes|=n,rn|=n,e.baseState=!0),t):(e.baseState&&(e.baseState=!1,be=!0),e.memoizedState=n)}function Hh(e,t){var n=W;W=n!==0&&4>n?n:4,e(!0);var r=co.transition;co.transition={};try{e(!1),t()}finally{W=n,co.transition=r}}function af(){return Ve().memoizedState}function Bh(e,t,n){var r=At(e);if(n={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null},cf(e))uf(t,n);else if(n=Hd(e,t,n,r),n!==null){var s=Se();Xe(n,e,r,s),df(n,t,r)}}function Wh(e,t,n){var r=At(e),s={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null};if(cf(e))uf(t,s);else{var l=e.alternate;if(e.lanes===0&&(l===null||l.lanes===0)&&(l=t.lastRenderedReducer,l!==null))try{var a=t.lastRenderedState,i=l(a,n);if(s.hasEagerState=!0,s.eagerState=i,Je(i,a)){var c=t.interleaved;c===null?(s.next=s,ni(t)):(s.next=c.next,c.next=s),t.interleaved=s;return}}catch{}finally{}n=Hd(e,t,s,r),n!==null&&(s=Se(),Xe(n,e,r,s),df(n,t,r))}}function cf(e){var t=e.alternate;return e===ne||t!==null&&t===ne}function uf(e,t){br=il=!0;var n=e.pending;n===null?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function df(e,t,n){if(n&4194240){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,Va(e,n)}}var cl={readContext:Ue,useCallback:ge,useContext:ge,useEffect:ge,useImperativeHandle:ge,useInsertionEffect:ge,useLayoutEffect:ge,useMemo:ge,useReducer:ge,useRef:ge,useState:ge,useDebugValue:ge,useDeferredValue:ge,useTransition:ge,useMutableSource:ge,useSyncExternalStore:ge,useId:ge,unstable_isNewReconciler:!1},Gh={readContext:Ue,useCallback:function(e,t){return et().memoizedState=[e,t===void 0?null:t],e},useContext:Ue,useEffect:Nc,useImperativeHandle:function(e,t,n){return n=n!=null?n.concat([e]):null,Ds(4194308,4,nf.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Ds(4194308,4,e,t)},useInsertionEffect:function(e,t){return Ds(4,2,e,t)},useMemo:function(e,t){var n=et();return t=t===void 0?null:t,e=e(),n.memoizedState=[e,t],e},useReducer:function(e,t,n){var r=et();return t=n!==void 0?n(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=Bh.bind(null,ne,e),[r.memoizedState,e]},useRef:function(e){var t=et();return e={current:e},t.memoizedState=e},useState:Sc,useDebugValue:di,useDeferredValue:function(e){return et().memoizedState=e},useTransition:function(){var e=Sc(!1),t=e[0];return e=Hh.bind(null,e[1]),et().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,n){var r=ne,s=et();if(q){if(n===void 0)throw Error(M(407));n=n()}else{if(n=t(),pe===null)throw Error(M(349));nn&30||Qd(r,t,n)}s.memoizedState=n;var l={value:n,getSnapshot:t};return s.queue=l,Nc(Xd.bind(null,r,l,e),[e]),r.flags|=2048,Wr(9,Yd.bind(null,r,l,n,t),void 0,null),n},useId:function(){var e=et(),t=pe.identifierPrefix;if(q){var n=ut,r=ct;n=(r&~(1<<32-Ye(r)-1)).toString(32)+n,t=":"+t+"R"+n,n=Hr++,0<n&&(t+="H"+n.toString(32)),t+=":"}else n=Vh++,t=":"+t+"r"+n.toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},Kh={readContext:Ue,useCallback:sf,useContext:Ue,useEffect:ui,useImperativeHandle:rf,useInsertionEffect:ef,useLayoutEffect:tf,useMemo:lf,useReducer:uo,useRef:qd,useState:function(){return uo(Br)},useDebugValue:di,useDeferredValue:function(e){var t=Ve();return of(t,ce.memoizedState,e)},useTransition:function(){var e=uo(Br)[0],t=Ve().memoizedState;return[e,t]},useMutableSource:Gd,useSyncExternalStore:Kd,useId:af,unstable_isNewReconciler:!1},Qh={readContext:Ue,useCallback:sf,useContext:Ue,useEffect:ui,useImperativeHandle:rf,useInsertionEffect:ef,useLayoutEffect:tf,useMemo:lf,useReducer:fo,useRef:qd,useState:function(){return fo(Br)},useDebugValue:di,useDeferredValue:function(e){var t=Ve();return ce===null?t.memoizedState=e:of(t,ce.memoizedState,e)},useTransition:function(){var e=fo(Br)[0],t=Ve().memoizedState;return[e,t]},useMutableSource:Gd,useSyncExternalStore:Kd,useId:af,unstable_isNewReconciler:!1};function We(e,t){if(e&&e.defaultProps){t=se({},t),e=e.defaultProps;for(var n in e)t[n]===void 0&&(t[n]=e[n]);return t}return t}function ia(e,t,n,r){t=e.memoizedState,n=n(r,t),n=n==null?t:se({},t,n),e.memoizedState=n,e.lanes===0&&(e.updateQueue.baseState=n)}var bl={isMounted:function(e){return(e=e._reactInternals)?an(e)===e:!1},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=Se(),s=At(e),l=dt(r,s);l.payload=t,n!=null&&(l.callback=n),t=Lt(e,l,s),t!==null&&(Xe(t,e,s,r),Os(t,e,s))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=Se(),s=At(e),l=dt(r,s);l.tag=1,l.payload=t,n!=null&&(l.callback=n),t=Lt(e,l,s),t!==null&&(Xe(t,e,s,r),Os(t,e,s))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=Se(),r=At(e),s=dt(n,r);s.tag=2,t!=null&&(s.callback=t),t=Lt(e,s,r),t!==null&&(Xe(t,e,r,n),Os(t,e,r))}};function kc(e,t,n,r,s,l,a){return e=e.stateNode,typeof e.shouldComponentUpdate=="function"?e.shouldComponentUpdate(r,l,a):t.prototype&&t.prototype.isPureReactComponent?!Ar(n,r)||!Ar(s,l):!0}function ff(e,t,n){var r=!1,s=Ut,l=t.contextType;return typeof l=="object"&&l!==null?l=Ue(l):(s=Pe(t)?en:we.current,r=t.contextTypes,l=(r=r!=null)?Wn(e,s):Ut),t=new t(n,l),e.memoizedState=t.state!==null&&t.state!==void 0?t.state:null,t.updater=bl,e.stateNode=t,t._reactInternals=e,r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=s,e.__reactInternalMemoizedMaskedChildContext=l),t}function Cc(e,t,n,r){e=t.state,typeof t.componentWillReceiveProps=="function"&&t.componentWillReceiveProps(n,r),typeof t.UNSAFE_componentWillReceiveProps=="function"&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&bl.enqueueReplaceState(t,t.state,null)}function ca(e,t,n,r){var s=e.stateNode;s.props=n,s.state=e.memoizedState,s.refs={},ri(e);var l=t.contextType;typeof l=="object"&&l!==null?s.context=Ue(l):(l=Pe(t)?en:we.current,s.context=Wn(e,l)),s.state=e.memoizedState,l=t.getDerivedStateFromProps,typeof l=="function"&&(ia(e,t,l,n),s.state=e.memoizedState),typeof t.getDerivedStateFromProps=="function"||typeof s.getSnapshotBeforeUpdate=="function"||typeof s.UNSAFE_componentWillMount!="function"&&typeof s.componentWillMount!="function"||(t=s.state,typeof s.componentWillMount=="function"&&s.componentWillMount(),typeof s.UNSAFE_componentWillMount=="function"&&s.UNSAFE_componentWillMount(),t!==s.state&&bl.enqueueReplaceState(s,s.state,null),ol(e,n,s,r),s.state=e.memoizedState),typeof s.componentDidMount=="function"&&(e.flags|=4194308)}function Yn(e,t){try{var n="",r=t;do n+=Sm(r),r=r.return;while(r);var s=n}catch(l){s=`
+Error generating stack: `+l.message+`
+`+l.stack}return{value:e,source:t,stack:s,digest:null}}function po(e,t,n){return{value:e,source:null,stack:n??null,digest:t??null}}function ua(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var Yh=typeof WeakMap=="function"?WeakMap:Map;function pf(e,t,n){n=dt(-1,n),n.tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){dl||(dl=!0,wa=r),ua(e,t)},n}function mf(e,t,n){n=dt(-1,n),n.tag=3;var r=e.type.getDerivedStateFromError;if(typeof r=="function"){var s=t.value;n.payload=function(){return r(s)},n.callback=function(){ua(e,t)}}var l=e.stateNode;return l!==null&&typeof l.componentDidCatch=="function"&&(n.callback=function(){ua(e,t),typeof r!="function"&&(Ot===null?Ot=new Set([this]):Ot.add(this));var a=t.stack;this.componentDidCatch(t.value,{componentStack:a!==null?a:""})}),n}function bc(e,t,n){var r=e.pingCache;if(r===null){r=e.pingCache=new Yh;var s=new Set;r.set(t,s)}else s=r.get(t),s===void 0&&(s=new Set,r.set(t,s));s.has(n)||(s.add(n),e=c0.bind(null,e,t,n),t.then(e,e))}function Ec(e){do{var t;if((t=e.tag===13)&&(t=e.memoizedState,t=t!==null?t.dehydrated!==null:!0),t)return e;e=e.return}while(e!==null);return null}function Pc(e,t,n,r,s){return e.mode&1?(e.flags|=65536,e.lanes=s,e):(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,n.tag===1&&(n.alternate===null?n.tag=17:(t=dt(-1,1),t.tag=2,Lt(n,t,1))),n.lanes|=1),e)}var Xh=xt.ReactCurrentOwner,be=!1;function je(e,t,n,r){t.child=e===null?Vd(t,null,n,r):Kn(t,e.child,n,r)}function Mc(e,t,n,r,s){n=n.render;var l=t.ref;return $n(t,s),r=ii(e,t,n,r,l,s),n=ci(),e!==null&&!be?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~s,ht(e,t,s)):(q&&n&&Xa(t),t.flags|=1,je(e,t,r,s),t.child)}function Tc(e,t,n,r,s){if(e===null){var l=n.type;return typeof l=="function"&&!yi(l)&&l.defaultProps===void 0&&n.compare===null&&n.defaultProps===void 0?(t.tag=15,t.type=l,hf(e,t,l,r,s)):(e=Vs(n.type,null,r,t,t.mode,s),e.ref=t.ref,e.return=t,t.child=e)}if(l=e.child,!(e.lanes&s)){var a=l.memoizedProps;if(n=n.compare,n=n!==null?n:Ar,n(a,r)&&e.ref===t.ref)return ht(e,t,s)}return t.flags|=1,e=Dt(l,r),e.ref=t.ref,e.return=t,t.child=e}function hf(e,t,n,r,s){if(e!==null){var l=e.memoizedProps;if(Ar(l,r)&&e.ref===t.ref)if(be=!1,t.pendingProps=r=l,(e.lanes&s)!==0)e.flags&131072&&(be=!0);else return t.lanes=e.lanes,ht(e,t,s)}return da(e,t,n,r,s)}function vf(e,t,n){var r=t.pendingProps,s=r.children,l=e!==null?e.memoizedState:null;if(r.mode==="hidden")if(!(t.mode&1))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},Q(zn,Ie),Ie|=n;else{if(!(n&1073741824))return e=l!==null?l.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,Q(zn,Ie),Ie|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=l!==null?l.baseLanes:n,Q(zn,Ie),Ie|=r}else l!==null?(r=l.baseLanes|n,t.memoizedState=null):r=n,Q(zn,Ie),Ie|=r;return je(e,t,s,n),t.child}function gf(e,t){var n=t.ref;(e===null&&n!==null||e!==null&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function da(e,t,n,r,s){var l=Pe(n)?en:we.current;return l=Wn(t,l),$n(t,s),n=ii(e,t,n,r,l,s),r=ci(),e!==null&&!be?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~s,ht(e,t,s)):(q&&r&&Xa(t),t.flags|=1,je(e,t,n,s),t.child)}function Ic(e,t,n,r,s){if(Pe(n)){var l=!0;tl(t)}else l=!1;if($n(t,s),t.stateNode===null)Fs(e,t),ff(t,n,r),ca(t,n,r,s),r=!0;else if(e===null){var a=t.stateNode,i=t.memoizedProps;a.props=i;var c=a.context,u=n.contextType;typeof u=="object"&&u!==null?u=Ue(u):(u=Pe(n)?en:we.current,u=Wn(t,u));var p=n.getDerivedStateFromProps,m=typeof p=="function"||typeof a.getSnapshotBeforeUpdate=="function";m||typeof a.UNSAFE_componentWillReceiveProps!="function"&&typeof a.componentWillReceiveProps!="function"||(i!==r||c!==u)&&Cc(t,a,r,u),bt=!1;var h=t.memoizedState;a.state=h,ol(t,r,a,s),c=t.memoizedState,i!==r||h!==c||Ee.current||bt?(typeof p=="function"&&(ia(t,n,p,r),c=t.memoizedState),(i=bt||kc(t,n,i,r,h,c,u))?(m||typeof a.UNSAFE_componentWillMount!="function"&&typeof a.componentWillMount!="function"||(typeof a.componentWillMount=="function"&&a.componentWillMount(),typeof a.UNSAFE_componentWillMount=="function"&&a.UNSAFE_componentWillMount()),typeof a.componentDidMount=="function"&&(t.flags|=4194308)):(typeof a.componentDidMount=="function"&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=c),a.props=r,a.state=c,a.context=u,r=i):(typeof a.componentDidMount=="function"&&(t.flags|=4194308),r=!1)}else{a=t.stateNode,Bd(e,t),i=t.memoizedProps,u=t.type===t.elementType?i:We(t.type,i),a.props=u,m=t.pendingProps,h=a.context,c=n.contextType,typeof c=="object"&&c!==null?c=Ue(c):(c=Pe(n)?en:we.current,c=Wn(t,c));var g=n.getDerivedStateFromProps;(p=typeof g=="function"||typeof a.getSnapshotBeforeUpdate=="function")||typeof a.UNSAFE_componentWillReceiveProps!="function"&&typeof a.componentWillReceiveProps!="function"||(i!==m||h!==c)&&Cc(t,a,r,c),bt=!1,h=t.memoizedState,a.state=h,ol(t,r,a,s);var y=t.memoizedState;i!==m||h!==y||Ee.current||bt?(typeof g=="function"&&(ia(t,n,g,r),y=t.memoizedState),(u=bt||kc(t,n,u,r,h,y,c)||!1)?(p||typeof a.UNSAFE_componentWillUpdate!="function"&&typeof a.componentWillUpdate!="function"||(typeof a.componentWillUpdate=="function"&&a.componentWillUpdate(r,y,c),typeof a.UNSAFE_componentWillUpdate=="function"&&a.UNSAFE_componentWillUpdate(r,y,c)),typeof a.componentDidUpdate=="function"&&(t.flags|=4),typeof a.getSnapshotBeforeUpdate=="function"&&(t.flags|=1024)):(typeof a.componentDidUpdate!="function"||i===e.memoizedProps&&h===e.memoizedState||(t.flags|=4),typeof a.getSnapshotBeforeUpdate!="function"||i===e.memoizedProps&&h===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=y),a.props=r,a.state=y,a.context=c,r=u):(typeof a.componentDidUpdate!="function"||i===e.memoizedProps&&h===e.memoizedState||(t.flags|=4),typeof a.getSnapshotBeforeUpdate!="function"||i===e.memoizedProps&&h===e.memoizedState||(t.flags|=1024),r=!1)}return fa(e,t,n,r,l,s)}function fa(e,t,n,r,s,l){gf(e,t);var a=(t.flags&128)!==0;if(!r&&!a)return s&&vc(t,n,!1),ht(e,t,l);r=t.stateNode,Xh.current=t;var i=a&&typeof n.getDerivedStateFromError!="function"?null:r.render();return t.flags|=1,e!==null&&a?(t.child=Kn(t,e.child,null,l),t.child=Kn(t,null,i,l)):je(e,t,i,l),t.memoizedState=r.state,s&&vc(t,n,!0),t.child}function xf(e){var t=e.stateNode;t.pendingContext?hc(e,t.pendingContext,t.pendingContext!==t.context):t.context&&hc(e,t.context,!1),si(e,t.containerInfo)}function _c(e,t,n,r,s){return Gn(),Za(s),t.flags|=256,je(e,t,n,r),t.child}var pa={dehydrated:null,treeContext:null,retryLane:0};function ma(e){return{baseLanes:e,cachePool:null,transitions:null}}function yf(e,t,n){var r=t.pendingProps,s=ee.current,l=!1,a=(t.flags&128)!==0,i;if((i=a)||(i=e!==null&&e.memoizedState===null?!1:(s&2)!==0),i?(l=!0,t.flags&=-129):(e===null||e.memoizedState!==null)&&(s|=1),Q(ee,s&1),e===null)return oa(t),e=t.memoizedState,e!==null&&(e=e.dehydrated,e!==null)?(t.mode&1?e.data==="$!"?t.lanes=8:t.lanes=1073741824:t.lanes=1,null):(a=r.children,e=r.fallback,l?(r=t.mode,l=t.child,a={mode:"hidden",children:a},!(r&1)&&l!==null?(l.childLanes=0,l.pendingProps=a):l=Ml(a,r,0,null),e=qt(e,r,n,null),l.return=t,e.return=t,l.sibling=e,t.child=l,t.child.memoizedState=ma(n),t.memoizedState=pa,e):fi(t,a));if(s=e.memoizedState,s!==null&&(i=s.dehydrated,i!==null))return Jh(e,t,a,r,i,s,n);if(l){l=r.fallback,a=t.mode,s=e.child,i=s.sibling;var c={mode:"hidden",children:r.children};return!(a&1)&&t.child!==s?(r=t.child,r.childLanes=0,r.pendingProps=c,t.deletions=null):(r=Dt(s,c),r.subtreeFlags=s.subtreeFlags&14680064),i!==null?l=Dt(i,l):(l=qt(l,a,n,null),l.flags|=2),l.return=t,r.return=t,r.sibling=l,t.child=r,r=l,l=t.child,a=e.child.memoizedState,a=a===null?ma(n):{baseLanes:a.baseLanes|n,cachePool:null,transitions:a.transitions},l.memoizedState=a,l.childLanes=e.childLanes&~n,t.memoizedState=pa,r}return l=e.child,e=l.sibling,r=Dt(l,{mode:"visible",children:r.children}),!(t.mode&1)&&(r.lanes=n),r.return=t,r.sibling=null,e!==null&&(n=t.deletions,n===null?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=r,t.memoizedState=null,r}function fi(e,t){return t=Ml({mode:"visible",children:t},e.mode,0,null),t.return=e,e.child=t}function xs(e,t,n,r){return r!==null&&Za(r),Kn(t,e.child,null,n),e=fi(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function Jh(e,t,n,r,s,l,a){if(n)return t.flags&256?(t.flags&=-257,r=po(Error(M(422))),xs(e,t,a,r)):t.memoizedState!==null?(t.child=e.child,t.flags|=128,null):(l=r.fallback,s=t.mode,r=Ml({mode:"visible",children:r.children},s,0,null),l=qt(l,s,a,null),l.flags|=2,r.return=t,l.return=t,r.sibling=l,t.child=r,t.mode&1&&Kn(t,e.child,null,a),t.child.memoizedState=ma(a),t.memoizedState=pa,l);if(!(t.mode&1))return xs(e,t,a,null);if(s.data==="$!"){if(r=s.nextSibling&&s.nextSibling.dataset,r)var i=r.dgst;return r=i,l=Error(M(419)),r=po(l,r,void 0),xs(e,t,a,r)}if(i=(a&e.childLanes)!==0,be||i){if(r=pe,r!==null){switch(a&-a){case 4:s=2;break;case 16:s=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:s=32;break;case 536870912:s=268435456;break;default:s=0}s=s&(r.suspendedLanes|a)?0:s,s!==0&&s!==l.retryLane&&(l.retryLane=s,mt(e,s),Xe(r,e,s,-1))}return xi(),r=po(Error(M(421))),xs(e,t,a,r)}return s.data==="$?"?(t.flags|=128,t.child=e.child,t=u0.bind(null,e),s._reactRetry=t,null):(e=l.treeContext,_e=zt(s.nextSibling),Re=t,q=!0,Ke=null,e!==null&&(Ae[De++]=ct,Ae[De++]=ut,Ae[De++]=tn,ct=e.id,ut=e.overflow,tn=t),t=fi(t,r.children),t.flags|=4096,t)}function Rc(e,t,n){e.lanes|=t;var r=e.alternate;r!==null&&(r.lanes|=t),aa(e.return,t,n)}function mo(e,t,n,r,s){var l=e.memoizedState;l===null?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:s}:(l.isBackwards=t,l.rendering=null,l.renderingStartTime=0,l.last=r,l.tail=n,l.tailMode=s)}function wf(e,t,n){var r=t.pendingProps,s=r.revealOrder,l=r.tail;if(je(e,t,r.children,n),r=ee.current,r&2)r=r&1|2,t.flags|=128;else{if(e!==null&&e.flags&128)e:for(e=t.child;e!==null;){if(e.tag===13)e.memoizedState!==null&&Rc(e,n,t);else if(e.tag===19)Rc(e,n,t);else if(e.child!==null){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;e.sibling===null;){if(e.return===null||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(Q(ee,r),!(t.mode&1))t.memoizedState=null;else switch(s){case"forwards":for(n=t.child,s=null;n!==null;)e=n.alternate,e!==null&&al(e)===null&&(s=n),n=n.sibling;n=s,n===null?(s=t.child,t.child=null):(s=n.sibling,n.sibling=null),mo(t,!1,s,n,l);break;case"backwards":for(n=null,s=t.child,t.child=null;s!==null;){if(e=s.alternate,e!==null&&al(e)===null){t.child=s;break}e=s.sibling,s.sibling=n,n=s,s=e}mo(t,!0,n,null,l);break;case"together":mo(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function Fs(e,t){!(t.mode&1)&&e!==null&&(e.alternate=null,t.alternate=null,t.flags|=2)}function ht(e,t,n){if(e!==null&&(t.dependencies=e.dependencies),rn|=t.lanes,!(n&t.childLanes))return null;if(e!==null&&t.child!==e.child)throw Error(M(153));if(t.child!==null){for(e=t.child,n=Dt(e,e.pendingProps),t.child=n,n.return=t;e.sibling!==null;)e=e.sibling,n=n.sibling=Dt(e,e.pendingProps),n.return=t;n.sibling=null}return t.child}function Zh(e,t,n){switch(t.tag){case 3:xf(t),Gn();break;case 5:Wd(t);break;case 1:Pe(t.type)&&tl(t);break;case 4:si(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,s=t.memoizedProps.value;Q(sl,r._currentValue),r._currentValue=s;break;case 13:if(r=t.memoizedState,r!==null)return r.dehydrated!==null?(Q(ee,ee.current&1),t.flags|=128,null):n&t.child.childLanes?yf(e,t,n):(Q(ee,ee.current&1),e=ht(e,t,n),e!==null?e.sibling:null);Q(ee,ee.current&1);break;case 19:if(r=(n&t.childLanes)!==0,e.flags&128){if(r)return wf(e,t,n);t.flags|=128}if(s=t.memoizedState,s!==null&&(s.rendering=null,s.tail=null,s.lastEffect=null),Q(ee,ee.current),r)break;return null;case 22:case 23:return t.lanes=0,vf(e,t,n)}return ht(e,t,n)}var jf,ha,Sf,Nf;jf=function(e,t){for(var n=t.child;n!==null;){if(n.tag===5||n.tag===6)e.appendChild(n.stateNode);else if(n.tag!==4&&n.child!==null){n.child.return=n,n=n.child;continue}if(n===t)break;for(;n.sibling===null;){if(n.return===null||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}};ha=function(){};Sf=function(e,t,n,r){var s=e.memoizedProps;if(s!==r){e=t.stateNode,Jt(st.current);var l=null;switch(n){case"input":s=Ao(e,s),r=Ao(e,r),l=[];break;case"select":s=se({},s,{value:void 0}),r=se({},r,{value:void 0}),l=[];break;case"textarea":s=$o(e,s),r=$o(e,r),l=[];break;default:typeof s.onClick!="function"&&typeof r.onClick=="function"&&(e.onclick=qs)}Vo(n,r);var a;n=null;for(u in s)if(!r.hasOwnProperty(u)&&s.hasOwnProperty(u)&&s[u]!=null)if(u==="style"){var i=s[u];for(a in i)i.hasOwnProperty(a)&&(n||(n={}),n[a]="")}else u!=="dangerouslySetInnerHTML"&&u!=="children"&&u!=="suppressContentEditableWarning"&&u!=="suppressHydrationWarning"&&u!=="autoFocus"&&(Tr.hasOwnProperty(u)?l||(l=[]):(l=l||[]).push(u,null));for(u in r){var c=r[u];if(i=s!=null?s[u]:void 0,r.hasOwnProperty(u)&&c!==i&&(c!=null||i!=null))if(u==="style")if(i){for(a in i)!i.hasOwnProperty(a)||c&&c.hasOwnProperty(a)||(n||(n={}),n[a]="");for(a in c)c.hasOwnProperty(a)&&i[a]!==c[a]&&(n||(n={}),n[a]=c[a])}else n||(l||(l=[]),l.push(u,n)),n=c;else u==="dangerouslySetInnerHTML"?(c=c?c.__html:void 0,i=i?i.__html:void 0,c!=null&&i!==c&&(l=l||[]).push(u,c)):u==="children"?typeof c!="string"&&typeof c!="number"||(l=l||[]).push(u,""+c):u!=="suppressContentEditableWarning"&&u!=="suppressHydrationWarning"&&(Tr.hasOwnProperty(u)?(c!=null&&u==="onScroll"&&X("scroll",e),l||i===c||(l=[])):(l=l||[]).push(u,c))}n&&(l=l||[]).push("style",n);var u=l;(t.updateQueue=u)&&(t.flags|=4)}};Nf=function(e,t,n,r){n!==r&&(t.flags|=4)};function dr(e,t){if(!q)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;t!==null;)t.alternate!==null&&(n=t),t=t.sibling;n===null?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;n!==null;)n.alternate!==null&&(r=n),n=n.sibling;r===null?t||e.tail===null?e.tail=null:e.tail.sibling=null:r.sibling=null}}function xe(e){var t=e.alternate!==null&&e.alternate.child===e.child,n=0,r=0;if(t)for(var s=e.child;s!==null;)n|=s.lanes|s.childLanes,r|=s.subtreeFlags&14680064,r|=s.flags&14680064,s.return=e,s=s.sibling;else for(s=e.child;s!==null;)n|=s.lanes|s.childLanes,r|=s.subtreeFlags,r|=s.flags,s.return=e,s=s.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function qh(e,t,n){var r=t.pendingProps;switch(Ja(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return xe(t),null;case 1:return Pe(t.type)&&el(),xe(t),null;case 3:return r=t.stateNode,Qn(),Z(Ee),Z(we),oi(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(e===null||e.child===null)&&(vs(t)?t.flags|=4:e===null||e.memoizedState.isDehydrated&&!(t.flags&256)||(t.flags|=1024,Ke!==null&&(Na(Ke),Ke=null))),ha(e,t),xe(t),null;case 5:li(t);var s=Jt(Vr.current);if(n=t.type,e!==null&&t.stateNode!=null)Sf(e,t,n,r,s),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(t.stateNode===null)throw Error(M(166));return xe(t),null}if(e=Jt(st.current),vs(t)){r=t.stateNode,n=t.type;var l=t.memoizedProps;switch(r[tt]=t,r[$r]=l,e=(t.mode&1)!==0,n){case"dialog":X("cancel",r),X("close",r);break;case"iframe":case"object":case"embed":X("load",r);break;case"video":case"audio":for(s=0;s<wr.length;s++)X(wr[s],r);break;case"source":X("error",r);break;case"img":case"image":case"link":X("error",r),X("load",r);break;case"details":X("toggle",r);break;case"input":Vi(r,l),X("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!l.multiple},X("invalid",r);break;case"textarea":Bi(r,l),X("invalid",r)}Vo(n,l),s=null;for(var a in l)if(l.hasOwnProperty(a)){var i=l[a];a==="children"?typeof i=="string"?r.textContent!==i&&(l.suppressHydrationWarning!==!0&&hs(r.textContent,i,e),s=["children",i]):typeof i=="number"&&r.textContent!==""+i&&(l.suppressHydrationWarning!==!0&&hs(r.textContent,i,e),s=["children",""+i]):Tr.hasOwnProperty(a)&&i!=null&&a==="onScroll"&&X("scroll",r)}switch(n){case"input":as(r),Hi(r,l,!0);break;case"textarea":as(r),Wi(r);break;case"select":case"option":break;default:typeof l.onClick=="function"&&(r.onclick=qs)}r=s,t.updateQueue=r,r!==null&&(t.flags|=4)}else{a=s.nodeType===9?s:s.ownerDocument,e==="http://www.w3.org/1999/xhtml"&&(e=Xu(n)),e==="http://www.w3.org/1999/xhtml"?n==="script"?(e=a.createElement("div"),e.innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):typeof r.is=="string"?e=a.createElement(n,{is:r.is}):(e=a.createElement(n),n==="select"&&(a=e,r.multiple?a.multiple=!0:r.size&&(a.size=r.size))):e=a.createElementNS(e,n),e[tt]=t,e[$r]=r,jf(e,t,!1,!1),t.stateNode=e;e:{switch(a=Ho(n,r),n){case"dialog":X("cancel",e),X("close",e),s=r;break;case"iframe":case"object":case"embed":X("load",e),s=r;break;case"video":case"audio":for(s=0;s<wr.length;s++)X(wr[s],e);s=r;break;case"source":X("error",e),s=r;break;case"img":case"image":case"link":X("error",e),X("load",e),s=r;break;case"details":X("toggle",e),s=r;break;case"input":Vi(e,r),s=Ao(e,r),X("invalid",e);break;case"option":s=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},s=se({},r,{value:void 0}),X("invalid",e);break;case"textarea":Bi(e,r),s=$o(e,r),X("invalid",e);break;default:s=r}Vo(n,s),i=s;for(l in i)if(i.hasOwnProperty(l)){var c=i[l];l==="style"?qu(e,c):l==="dangerouslySetInnerHTML"?(c=c?c.__html:void 0,c!=null&&Ju(e,c)):l==="children"?typeof c=="string"?(n!=="textarea"||c!=="")&&Ir(e,c):typeof c=="number"&&Ir(e,""+c):l!=="suppressContentEditableWarning"&&l!=="suppressHydrationWarning"&&l!=="autoFocus"&&(Tr.hasOwnProperty(l)?c!=null&&l==="onScroll"&&X("scroll",e):c!=null&&Oa(e,l,c,a))}switch(n){case"input":as(e),Hi(e,r,!1);break;case"textarea":as(e),Wi(e);break;case"option":r.value!=null&&e.setAttribute("value",""+$t(r.value));break;case"select":e.multiple=!!r.multiple,l=r.value,l!=null?On(e,!!r.multiple,l,!1):r.defaultValue!=null&&On(e,!!r.multiple,r.defaultValue,!0);break;default:typeof s.onClick=="function"&&(e.onclick=qs)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}t.ref!==null&&(t.flags|=512,t.flags|=2097152)}return xe(t),null;case 6:if(e&&t.stateNode!=null)Nf(e,t,e.memoizedProps,r);else{if(typeof r!="string"&&t.stateNode===null)throw Error(M(166));if(n=Jt(Vr.current),Jt(st.current),vs(t)){if(r=t.stateNode,n=t.memoizedProps,r[tt]=t,(l=r.nodeValue!==n)&&(e=Re,e!==null))switch(e.tag){case 3:hs(r.nodeValue,n,(e.mode&1)!==0);break;case 5:e.memoizedProps.suppressHydrationWarning!==!0&&hs(r.nodeValue,n,(e.mode&1)!==0)}l&&(t.flags|=4)}else r=(n.nodeType===9?n:n.ownerDocument).createTextNode(r),r[tt]=t,t.stateNode=r}return xe(t),null;case 13:if(Z(ee),r=t.memoizedState,e===null||e.memoizedState!==null&&e.memoizedState.dehydrated!==null){if(q&&_e!==null&&t.mode&1&&!(t.flags&128))$d(),Gn(),t.flags|=98560,l=!1;else if(l=vs(t),r!==null&&r.dehydrated!==null){if(e===null){if(!l)throw Error(M(318));if(l=t.memoizedState,l=l!==null?l.dehydrated:null,!l)throw Error(M(317));l[tt]=t}else Gn(),!(t.flags&128)&&(t.memoizedState=null),t.flags|=4;xe(t),l=!1}else Ke!==null&&(Na(Ke),Ke=null),l=!0;if(!l)return t.flags&65536?t:null}return t.flags&128?(t.lanes=n,t):(r=r!==null,r!==(e!==null&&e.memoizedState!==null)&&r&&(t.child.flags|=8192,t.mode&1&&(e===null||ee.current&1?ue===0&&(ue=3):xi())),t.updateQueue!==null&&(t.flags|=4),xe(t),null);case 4:return Qn(),ha(e,t),e===null&&Dr(t.stateNode.containerInfo),xe(t),null;case 10:return ti(t.type._context),xe(t),null;case 17:return Pe(t.type)&&el(),xe(t),null;case 19:if(Z(ee),l=t.memoizedState,l===null)return xe(t),null;if(r=(t.flags&128)!==0,a=l.rendering,a===null)if(r)dr(l,!1);else{if(ue!==0||e!==null&&e.flags&128)for(e=t.child;e!==null;){if(a=al(e),a!==null){for(t.flags|=128,dr(l,!1),r=a.updateQueue,r!==null&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;n!==null;)l=n,e=r,l.flags&=14680066,a=l.alternate,a===null?(l.childLanes=0,l.lanes=e,l.child=null,l.subtreeFlags=0,l.memoizedProps=null,l.memoizedState=null,l.updateQueue=null,l.dependencies=null,l.stateNode=null):(l.childLanes=a.childLanes,l.lanes=a.lanes,l.child=a.child,l.subtreeFlags=0,l.deletions=null,l.memoizedProps=a.memoizedProps,l.memoizedState=a.memoizedState,l.updateQueue=a.updateQueue,l.type=a.type,e=a.dependencies,l.dependencies=e===null?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return Q(ee,ee.current&1|2),t.child}e=e.sibling}l.tail!==null&&oe()>Xn&&(t.flags|=128,r=!0,dr(l,!1),t.lanes=4194304)}else{if(!r)if(e=al(a),e!==null){if(t.flags|=128,r=!0,n=e.updateQueue,n!==null&&(t.updateQueue=n,t.flags|=4),dr(l,!0),l.tail===null&&l.tailMode==="hidden"&&!a.alternate&&!q)return xe(t),null}else 2*oe()-l.renderingStartTime>Xn&&n!==1073741824&&(t.flags|=128,r=!0,dr(l,!1),t.lanes=4194304);l.isBackwards?(a.sibling=t.child,t.child=a):(n=l.last,n!==null?n.sibling=a:t.child=a,l.last=a)}return l.tail!==null?(t=l.tail,l.rendering=t,l.tail=t.sibling,l.renderingStartTime=oe(),t.sibling=null,n=ee.current,Q(ee,r?n&1|2:n&1),t):(xe(t),null);case 22:case 23:return gi(),r=t.memoizedState!==null,e!==null&&e.memoizedState!==null!==r&&(t.flags|=8192),r&&t.mode&1?Ie&1073741824&&(xe(t),t.subtreeFlags&6&&(t.flags|=8192)):xe(t),null;case 24:return null;case 25:return null}throw Error(M(156,t.tag))}function e0(e,t){switch(Ja(t),t.tag){case 1:return Pe(t.type)&&el(),e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 3:return Qn(),Z(Ee),Z(we),oi(),e=t.flags,e&65536&&!(e&128)?(t.flags=e&-65537|128,t):null;case 5:return li(t),null;case 13:if(Z(ee),e=t.memoizedState,e!==null&&e.dehydrated!==null){if(t.alternate===null)throw Error(M(340));Gn()}return e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 19:return Z(ee),null;case 4:return Qn(),null;case 10:return ti(t.type._context),null;case 22:case 23:return gi(),null;case 24:return null;default:return null}}var ys=!1,ye=!1,t0=typeof WeakSet=="function"?WeakSet:Set,z=null;function Rn(e,t){var n=e.ref;if(n!==null)if(typeof n=="function")try{n(null)}catch(r){le(e,t,r)}else n.current=null}function va(e,t,n){try{n()}catch(r){le(e,t,r)}}var zc=!1;function n0(e,t){if(qo=Xs,e=Ed(),Ya(e)){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{n=(n=e.ownerDocument)&&n.defaultView||window;var r=n.getSelection&&n.getSelection();if(r&&r.rangeCount!==0){n=r.anchorNode;var s=r.anchorOffset,l=r.focusNode;r=r.focusOffset;try{n.nodeType,l.nodeType}catch{n=null;break e}var a=0,i=-1,c=-1,u=0,p=0,m=e,h=null;t:for(;;){for(var g;m!==n||s!==0&&m.nodeType!==3||(i=a+s),m!==l||r!==0&&m.nodeType!==3||(c=a+r),m.nodeType===3&&(a+=m.nodeValue.length),(g=m.firstChild)!==null;)h=m,m=g;for(;;){if(m===e)break t;if(h===n&&++u===s&&(i=a),h===l&&++p===r&&(c=a),(g=m.nextSibling)!==null)break;m=h,h=m.parentNode}m=g}n=i===-1||c===-1?null:{start:i,end:c}}else n=null}n=n||{start:0,end:0}}else n=null;for(ea={focusedElem:e,selectionRange:n},Xs=!1,z=t;z!==null;)if(t=z,e=t.child,(t.subtreeFlags&1028)!==0&&e!==null)e.return=t,z=e;else for(;z!==null;){t=z;try{var y=t.alternate;if(t.flags&1024)switch(t.tag){case 0:case 11:case 15:break;case 1:if(y!==null){var d=y.memoizedProps,j=y.memoizedState,v=t.stateNode,f=v.getSnapshotBeforeUpdate(t.elementType===t.type?d:We(t.type,d),j);v.__reactInternalSnapshotBeforeUpdate=f}break;case 3:var x=t.stateNode.containerInfo;x.nodeType===1?x.textContent="":x.nodeType===9&&x.documentElement&&x.removeChild(x.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(M(163))}}catch(k){le(t,t.return,k)}if(e=t.sibling,e!==null){e.return=t.return,z=e;break}z=t.return}return y=zc,zc=!1,y}function Er(e,t,n){var r=t.updateQueue;if(r=r!==null?r.lastEffect:null,r!==null){var s=r=r.next;do{if((s.tag&e)===e){var l=s.destroy;s.destroy=void 0,l!==void 0&&va(t,n,l)}s=s.next}while(s!==r)}}function El(e,t){if(t=t.updateQueue,t=t!==null?t.lastEffect:null,t!==null){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function ga(e){var t=e.ref;if(t!==null){var n=e.stateNode;switch(e.tag){case 5:e=n;break;default:e=n}typeof t=="function"?t(e):t.current=e}}function kf(e){var t=e.alternate;t!==null&&(e.alternate=null,kf(t)),e.child=null,e.deletions=null,e.sibling=null,e.tag===5&&(t=e.stateNode,t!==null&&(delete t[tt],delete t[$r],delete t[ra],delete t[Dh],delete t[Fh])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function Cf(e){return e.tag===5||e.tag===3||e.tag===4}function Lc(e){e:for(;;){for(;e.sibling===null;){if(e.return===null||Cf(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;e.tag!==5&&e.tag!==6&&e.tag!==18;){if(e.flags&2||e.child===null||e.tag===4)continue e;e.child.return=e,e=e.child}if(!(e.flags&2))return e.stateNode}}function xa(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.nodeType===8?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(n.nodeType===8?(t=n.parentNode,t.insertBefore(e,n)):(t=n,t.appendChild(e)),n=n._reactRootContainer,n!=null||t.onclick!==null||(t.onclick=qs));else if(r!==4&&(e=e.child,e!==null))for(xa(e,t,n),e=e.sibling;e!==null;)xa(e,t,n),e=e.sibling}function ya(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(r!==4&&(e=e.child,e!==null))for(ya(e,t,n),e=e.sibling;e!==null;)ya(e,t,n),e=e.sibling}var me=null,Ge=!1;function jt(e,t,n){for(n=n.child;n!==null;)bf(e,t,n),n=n.sibling}function bf(e,t,n){if(rt&&typeof rt.onCommitFiberUnmount=="function")try{rt.onCommitFiberUnmount(yl,n)}catch{}switch(n.tag){case 5:ye||Rn(n,t);case 6:var r=me,s=Ge;me=null,jt(e,t,n),me=r,Ge=s,me!==null&&(Ge?(e=me,n=n.stateNode,e.nodeType===8?e.parentNode.removeChild(n):e.removeChild(n)):me.removeChild(n.stateNode));break;case 18:me!==null&&(Ge?(e=me,n=n.stateNode,e.nodeType===8?oo(e.parentNode,n):e.nodeType===1&&oo(e,n),Lr(e)):oo(me,n.stateNode));break;case 4:r=me,s=Ge,me=n.stateNode.containerInfo,Ge=!0,jt(e,t,n),me=r,Ge=s;break;case 0:case 11:case 14:case 15:if(!ye&&(r=n.updateQueue,r!==null&&(r=r.lastEffect,r!==null))){s=r=r.next;do{var l=s,a=l.destroy;l=l.tag,a!==void 0&&(l&2||l&4)&&va(n,t,a),s=s.next}while(s!==r)}jt(e,t,n);break;case 1:if(!ye&&(Rn(n,t),r=n.stateNode,typeof r.componentWillUnmount=="function"))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(i){le(n,t,i)}jt(e,t,n);break;case 21:jt(e,t,n);break;case 22:n.mode&1?(ye=(r=ye)||n.memoizedState!==null,jt(e,t,n),ye=r):jt(e,t,n);break;default:jt(e,t,n)}}function Oc(e){var t=e.updateQueue;if(t!==null){e.updateQueue=null;var n=e.stateNode;n===null&&(n=e.stateNode=new t0),t.forEach(function(r){var s=d0.bind(null,e,r);n.has(r)||(n.add(r),r.then(s,s))})}}function Be(e,t){var n=t.deletions;if(n!==null)for(var r=0;r<n.length;r++){var s=n[r];try{var l=e,a=t,i=a;e:for(;i!==null;){switch(i.tag){case 5:me=i.stateNode,Ge=!1;break e;case 3:me=i.stateNode.containerInfo,Ge=!0;break e;case 4:me=i.stateNode.containerInfo,Ge=!0;break e}i=i.return}if(me===null)throw Error(M(160));bf(l,a,s),me=null,Ge=!1;var c=s.alternate;c!==null&&(c.return=null),s.return=null}catch(u){le(s,t,u)}}if(t.subtreeFlags&12854)for(t=t.child;t!==null;)Ef(t,e),t=t.sibling}function Ef(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(Be(t,e),qe(e),r&4){try{Er(3,e,e.return),El(3,e)}catch(d){le(e,e.return,d)}try{Er(5,e,e.return)}catch(d){le(e,e.return,d)}}break;case 1:Be(t,e),qe(e),r&512&&n!==null&&Rn(n,n.return);break;case 5:if(Be(t,e),qe(e),r&512&&n!==null&&Rn(n,n.return),e.flags&32){var s=e.stateNode;try{Ir(s,"")}catch(d){le(e,e.return,d)}}if(r&4&&(s=e.stateNode,s!=null)){var l=e.memoizedProps,a=n!==null?n.memoizedProps:l,i=e.type,c=e.updateQueue;if(e.updateQueue=null,c!==null)try{i==="input"&&l.type==="radio"&&l.name!=null&&Qu(s,l),Ho(i,a);var u=Ho(i,l);for(a=0;a<c.length;a+=2){var p=c[a],m=c[a+1];p==="style"?qu(s,m):p==="dangerouslySetInnerHTML"?Ju(s,m):p==="children"?Ir(s,m):Oa(s,p,m,u)}switch(i){case"input":Do(s,l);break;case"textarea":Yu(s,l);break;case"select":var h=s._wrapperState.wasMultiple;s._wrapperState.wasMultiple=!!l.multiple;var g=l.value;g!=null?On(s,!!l.multiple,g,!1):h!==!!l.multiple&&(l.defaultValue!=null?On(s,!!l.multiple,l.defaultValue,!0):On(s,!!l.multiple,l.multiple?[]:"",!1))}s[$r]=l}catch(d){le(e,e.return,d)}}break;case 6:if(Be(t,e),qe(e),r&4){if(e.stateNode===null)throw Error(M(162));s=e.stateNode,l=e.memoizedProps;try{s.nodeValue=l}catch(d){le(e,e.return,d)}}break;case 3:if(Be(t,e),qe(e),r&4&&n!==null&&n.memoizedState.isDehydrated)try{Lr(t.containerInfo)}catch(d){le(e,e.return,d)}break;case 4:Be(t,e),qe(e);break;case 13:Be(t,e),qe(e),s=e.child,s.flags&8192&&(l=s.memoizedState!==null,s.stateNode.isHidden=l,!l||s.alternate!==null&&s.alternate.memoizedState!==null||(hi=oe())),r&4&&Oc(e);break;case 22:if(p=n!==null&&n.memoizedState!==null,e.mode&1?(ye=(u=ye)||p,Be(t,e),ye=u):Be(t,e),qe(e),r&8192){if(u=e.memoizedState!==null,(e.stateNode.isHidden=u)&&!p&&e.mode&1)for(z=e,p=e.child;p!==null;){for(m=z=p;z!==null;){switch(h=z,g=h.child,h.tag){case 0:case 11:case 14:case 15:Er(4,h,h.return);break;case 1:Rn(h,h.return);var y=h.stateNode;if(typeof y.componentWillUnmount=="function"){r=h,n=h.return;try{t=r,y.props=t.memoizedProps,y.state=t.memoizedState,y.componentWillUnmount()}catch(d){le(r,n,d)}}break;case 5:Rn(h,h.return);break;case 22:if(h.memoizedState!==null){Dc(m);continue}}g!==null?(g.return=h,z=g):Dc(m)}p=p.sibling}e:for(p=null,m=e;;){if(m.tag===5){if(p===null){p=m;try{s=m.stateNode,u?(l=s.style,typeof l.setProperty=="function"?l.setProperty("display","none","important"):l.display="none"):(i=m.stateNode,c=m.memoizedProps.style,a=c!=null&&c.hasOwnProperty("display")?c.display:null,i.style.display=Zu("display",a))}catch(d){le(e,e.return,d)}}}else if(m.tag===6){if(p===null)try{m.stateNode.nodeValue=u?"":m.memoizedProps}catch(d){le(e,e.return,d)}}else if((m.tag!==22&&m.tag!==23||m.memoizedState===null||m===e)&&m.child!==null){m.child.return=m,m=m.child;continue}if(m===e)break e;for(;m.sibling===null;){if(m.return===null||m.return===e)break e;p===m&&(p=null),m=m.return}p===m&&(p=null),m.sibling.return=m.return,m=m.sibling}}break;case 19:Be(t,e),qe(e),r&4&&Oc(e);break;case 21:break;default:Be(t,e),qe(e)}}function qe(e){var t=e.flags;if(t&2){try{e:{for(var n=e.return;n!==null;){if(Cf(n)){var r=n;break e}n=n.return}throw Error(M(160))}switch(r.tag){case 5:var s=r.stateNode;r.flags&32&&(Ir(s,""),r.flags&=-33);var l=Lc(e);ya(e,l,s);break;case 3:case 4:var a=r.stateNode.containerInfo,i=Lc(e);xa(e,i,a);break;default:throw Error(M(161))}}catch(c){le(e,e.return,c)}e.flags&=-3}t&4096&&(e.flags&=-4097)}function r0(e,t,n){z=e,Pf(e)}function Pf(e,t,n){for(var r=(e.mode&1)!==0;z!==null;){var s=z,l=s.child;if(s.tag===22&&r){var a=s.memoizedState!==null||ys;if(!a){var i=s.alternate,c=i!==null&&i.memoizedState!==null||ye;i=ys;var u=ye;if(ys=a,(ye=c)&&!u)for(z=s;z!==null;)a=z,c=a.child,a.tag===22&&a.memoizedState!==null?Fc(s):c!==null?(c.return=a,z=c):Fc(s);for(;l!==null;)z=l,Pf(l),l=l.sibling;z=s,ys=i,ye=u}Ac(e)}else s.subtreeFlags&8772&&l!==null?(l.return=s,z=l):Ac(e)}}function Ac(e){for(;z!==null;){var t=z;if(t.flags&8772){var n=t.alternate;try{if(t.flags&8772)switch(t.tag){case 0:case 11:case 15:ye||El(5,t);break;case 1:var r=t.stateNode;if(t.flags&4&&!ye)if(n===null)r.componentDidMount();else{var s=t.elementType===t.type?n.memoizedProps:We(t.type,n.memoizedProps);r.componentDidUpdate(s,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var l=t.updateQueue;l!==null&&jc(t,l,r);break;case 3:var a=t.updateQueue;if(a!==null){if(n=null,t.child!==null)switch(t.child.tag){case 5:n=t.child.stateNode;break;case 1:n=t.child.stateNode}jc(t,a,n)}break;case 5:var i=t.stateNode;if(n===null&&t.flags&4){n=i;var c=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":c.autoFocus&&n.focus();break;case"img":c.src&&(n.src=c.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(t.memoizedState===null){var u=t.alternate;if(u!==null){var p=u.memoizedState;if(p!==null){var m=p.dehydrated;m!==null&&Lr(m)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(M(163))}ye||t.flags&512&&ga(t)}catch(h){le(t,t.return,h)}}if(t===e){z=null;break}if(n=t.sibling,n!==null){n.return=t.return,z=n;break}z=t.return}}function Dc(e){for(;z!==null;){var t=z;if(t===e){z=null;break}var n=t.sibling;if(n!==null){n.return=t.return,z=n;break}z=t.return}}function Fc(e){for(;z!==null;){var t=z;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{El(4,t)}catch(c){le(t,n,c)}break;case 1:var r=t.stateNode;if(typeof r.componentDidMount=="function"){var s=t.return;try{r.componentDidMount()}catch(c){le(t,s,c)}}var l=t.return;try{ga(t)}catch(c){le(t,l,c)}break;case 5:var a=t.return;try{ga(t)}catch(c){le(t,a,c)}}}catch(c){le(t,t.return,c)}if(t===e){z=null;break}var i=t.sibling;if(i!==null){i.return=t.return,z=i;break}z=t.return}}var s0=Math.ceil,ul=xt.ReactCurrentDispatcher,pi=xt.ReactCurrentOwner,$e=xt.ReactCurrentBatchConfig,V=0,pe=null,ie=null,he=0,Ie=0,zn=Ht(0),ue=0,Gr=null,rn=0,Pl=0,mi=0,Pr=null,Ce=null,hi=0,Xn=1/0,at=null,dl=!1,wa=null,Ot=null,ws=!1,Tt=null,fl=0,Mr=0,ja=null,$s=-1,Us=0;function Se(){return V&6?oe():$s!==-1?$s:$s=oe()}function At(e){return e.mode&1?V&2&&he!==0?he&-he:Uh.transition!==null?(Us===0&&(Us=dd()),Us):(e=W,e!==0||(e=window.event,e=e===void 0?16:xd(e.type)),e):1}function Xe(e,t,n,r){if(50<Mr)throw Mr=0,ja=null,Error(M(185));Zr(e,n,r),(!(V&2)||e!==pe)&&(e===pe&&(!(V&2)&&(Pl|=n),ue===4&&Pt(e,he)),Me(e,r),n===1&&V===0&&!(t.mode&1)&&(Xn=oe()+500,kl&&Bt()))}function Me(e,t){var n=e.callbackNode;Um(e,t);var r=Ys(e,e===pe?he:0);if(r===0)n!==null&&Qi(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(n!=null&&Qi(n),t===1)e.tag===0?$h($c.bind(null,e)):Ad($c.bind(null,e)),Oh(function(){!(V&6)&&Bt()}),n=null;else{switch(fd(r)){case 1:n=Ua;break;case 4:n=cd;break;case 16:n=Qs;break;case 536870912:n=ud;break;default:n=Qs}n=Of(n,Mf.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function Mf(e,t){if($s=-1,Us=0,V&6)throw Error(M(327));var n=e.callbackNode;if(Un()&&e.callbackNode!==n)return null;var r=Ys(e,e===pe?he:0);if(r===0)return null;if(r&30||r&e.expiredLanes||t)t=pl(e,r);else{t=r;var s=V;V|=2;var l=If();(pe!==e||he!==t)&&(at=null,Xn=oe()+500,Zt(e,t));do try{a0();break}catch(i){Tf(e,i)}while(!0);ei(),ul.current=l,V=s,ie!==null?t=0:(pe=null,he=0,t=ue)}if(t!==0){if(t===2&&(s=Qo(e),s!==0&&(r=s,t=Sa(e,s))),t===1)throw n=Gr,Zt(e,0),Pt(e,r),Me(e,oe()),n;if(t===6)Pt(e,r);else{if(s=e.current.alternate,!(r&30)&&!l0(s)&&(t=pl(e,r),t===2&&(l=Qo(e),l!==0&&(r=l,t=Sa(e,l))),t===1))throw n=Gr,Zt(e,0),Pt(e,r),Me(e,oe()),n;switch(e.finishedWork=s,e.finishedLanes=r,t){case 0:case 1:throw Error(M(345));case 2:Qt(e,Ce,at);break;case 3:if(Pt(e,r),(r&130023424)===r&&(t=hi+500-oe(),10<t)){if(Ys(e,0)!==0)break;if(s=e.suspendedLanes,(s&r)!==r){Se(),e.pingedLanes|=e.suspendedLanes&s;break}e.timeoutHandle=na(Qt.bind(null,e,Ce,at),t);break}Qt(e,Ce,at);break;case 4:if(Pt(e,r),(r&4194240)===r)break;for(t=e.eventTimes,s=-1;0<r;){var a=31-Ye(r);l=1<<a,a=t[a],a>s&&(s=a),r&=~l}if(r=s,r=oe()-r,r=(120>r?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*s0(r/1960))-r,10<r){e.timeoutHandle=na(Qt.bind(null,e,Ce,at),r);break}Qt(e,Ce,at);break;case 5:Qt(e,Ce,at);break;default:throw Error(M(329))}}}return Me(e,oe()),e.callbackNode===n?Mf.bind(null,e):null}function Sa(e,t){var n=Pr;return e.current.memoizedState.isDehydrated&&(Zt(e,t).flags|=256),e=pl(e,t),e!==2&&(t=Ce,Ce=n,t!==null&&Na(t)),e}function Na(e){Ce===null?Ce=e:Ce.push.apply(Ce,e)}function l0(e){for(var t=e;;){if(t.flags&16384){var n=t.updateQueue;if(n!==null&&(n=n.stores,n!==null))for(var r=0;r<n.length;r++){var s=n[r],l=s.getSnapshot;s=s.value;try{if(!Je(l(),s))return!1}catch{return!1}}}if(n=t.child,t.subtreeFlags&16384&&n!==null)n.return=t,t=n;else{if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function Pt(e,t){for(t&=~mi,t&=~Pl,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-Ye(t),r=1<<n;e[n]=-1,t&=~r}}function $c(e){if(V&6)throw Error(M(327));Un();var t=Ys(e,0);if(!(t&1))return Me(e,oe()),null;var n=pl(e,t);if(e.tag!==0&&n===2){var r=Qo(e);r!==0&&(t=r,n=Sa(e,r))}if(n===1)throw n=Gr,Zt(e,0),Pt(e,t),Me(e,oe()),n;if(n===6)throw Error(M(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,Qt(e,Ce,at),Me(e,oe()),null}function vi(e,t){var n=V;V|=1;try{return e(t)}finally{V=n,V===0&&(Xn=oe()+500,kl&&Bt())}}function sn(e){Tt!==null&&Tt.tag===0&&!(V&6)&&Un();var t=V;V|=1;var n=$e.transition,r=W;try{if($e.transition=null,W=1,e)return e()}finally{W=r,$e.transition=n,V=t,!(V&6)&&Bt()}}function gi(){Ie=zn.current,Z(zn)}function Zt(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(n!==-1&&(e.timeoutHandle=-1,Lh(n)),ie!==null)for(n=ie.return;n!==null;){var r=n;switch(Ja(r),r.tag){case 1:r=r.type.childContextTypes,r!=null&&el();break;case 3:Qn(),Z(Ee),Z(we),oi();break;case 5:li(r);break;case 4:Qn();break;case 13:Z(ee);break;case 19:Z(ee);break;case 10:ti(r.type._context);break;case 22:case 23:gi()}n=n.return}if(pe=e,ie=e=Dt(e.current,null),he=Ie=t,ue=0,Gr=null,mi=Pl=rn=0,Ce=Pr=null,Xt!==null){for(t=0;t<Xt.length;t++)if(n=Xt[t],r=n.interleaved,r!==null){n.interleaved=null;var s=r.next,l=n.pending;if(l!==null){var a=l.next;l.next=s,r.next=a}n.pending=r}Xt=null}return e}function Tf(e,t){do{var n=ie;try{if(ei(),As.current=cl,il){for(var r=ne.memoizedState;r!==null;){var s=r.queue;s!==null&&(s.pending=null),r=r.next}il=!1}if(nn=0,fe=ce=ne=null,br=!1,Hr=0,pi.current=null,n===null||n.return===null){ue=1,Gr=t,ie=null;break}e:{var l=e,a=n.return,i=n,c=t;if(t=he,i.flags|=32768,c!==null&&typeof c=="object"&&typeof c.then=="function"){var u=c,p=i,m=p.tag;if(!(p.mode&1)&&(m===0||m===11||m===15)){var h=p.alternate;h?(p.updateQueue=h.updateQueue,p.memoizedState=h.memoizedState,p.lanes=h.lanes):(p.updateQueue=null,p.memoizedState=null)}var g=Ec(a);if(g!==null){g.flags&=-257,Pc(g,a,i,l,t),g.mode&1&&bc(l,u,t),t=g,c=u;var y=t.updateQueue;if(y===null){var d=new Set;d.add(c),t.updateQueue=d}else y.add(c);break e}else{if(!(t&1)){bc(l,u,t),xi();break e}c=Error(M(426))}}else if(q&&i.mode&1){var j=Ec(a);if(j!==null){!(j.flags&65536)&&(j.flags|=256),Pc(j,a,i,l,t),Za(Yn(c,i));break e}}l=c=Yn(c,i),ue!==4&&(ue=2),Pr===null?Pr=[l]:Pr.push(l),l=a;do{switch(l.tag){case 3:l.flags|=65536,t&=-t,l.lanes|=t;var v=pf(l,c,t);wc(l,v);break e;case 1:i=c;var f=l.type,x=l.stateNode;if(!(l.flags&128)&&(typeof f.getDerivedStateFromError=="function"||x!==null&&typeof x.componentDidCatch=="function"&&(Ot===null||!Ot.has(x)))){l.flags|=65536,t&=-t,l.lanes|=t;var k=mf(l,i,t);wc(l,k);break e}}l=l.return}while(l!==null)}Rf(n)}catch(N){t=N,ie===n&&n!==null&&(ie=n=n.return);continue}break}while(!0)}function If(){var e=ul.current;return ul.current=cl,e===null?cl:e}function xi(){(ue===0||ue===3||ue===2)&&(ue=4),pe===null||!(rn&268435455)&&!(Pl&268435455)||Pt(pe,he)}function pl(e,t){var n=V;V|=2;var r=If();(pe!==e||he!==t)&&(at=null,Zt(e,t));do try{o0();break}catch(s){Tf(e,s)}while(!0);if(ei(),V=n,ul.current=r,ie!==null)throw Error(M(261));return pe=null,he=0,ue}function o0(){for(;ie!==null;)_f(ie)}function a0(){for(;ie!==null&&!_m();)_f(ie)}function _f(e){var t=Lf(e.alternate,e,Ie);e.memoizedProps=e.pendingProps,t===null?Rf(e):ie=t,pi.current=null}function Rf(e){var t=e;do{var n=t.alternate;if(e=t.return,t.flags&32768){if(n=e0(n,t),n!==null){n.flags&=32767,ie=n;return}if(e!==null)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{ue=6,ie=null;return}}else if(n=qh(n,t,Ie),n!==null){ie=n;return}if(t=t.sibling,t!==null){ie=t;return}ie=t=e}while(t!==null);ue===0&&(ue=5)}function Qt(e,t,n){var r=W,s=$e.transition;try{$e.transition=null,W=1,i0(e,t,n,r)}finally{$e.transition=s,W=r}return null}function i0(e,t,n,r){do Un();while(Tt!==null);if(V&6)throw Error(M(327));n=e.finishedWork;var s=e.finishedLanes;if(n===null)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(M(177));e.callbackNode=null,e.callbackPriority=0;var l=n.lanes|n.childLanes;if(Vm(e,l),e===pe&&(ie=pe=null,he=0),!(n.subtreeFlags&2064)&&!(n.flags&2064)||ws||(ws=!0,Of(Qs,function(){return Un(),null})),l=(n.flags&15990)!==0,n.subtreeFlags&15990||l){l=$e.transition,$e.transition=null;var a=W;W=1;var i=V;V|=4,pi.current=null,n0(e,n),Ef(n,e),Ph(ea),Xs=!!qo,ea=qo=null,e.current=n,r0(n),Rm(),V=i,W=a,$e.transition=l}else e.current=n;if(ws&&(ws=!1,Tt=e,fl=s),l=e.pendingLanes,l===0&&(Ot=null),Om(n.stateNode),Me(e,oe()),t!==null)for(r=e.onRecoverableError,n=0;n<t.length;n++)s=t[n],r(s.value,{componentStack:s.stack,digest:s.digest});if(dl)throw dl=!1,e=wa,wa=null,e;return fl&1&&e.tag!==0&&Un(),l=e.pendingLanes,l&1?e===ja?Mr++:(Mr=0,ja=e):Mr=0,Bt(),null}function Un(){if(Tt!==null){var e=fd(fl),t=$e.transition,n=W;try{if($e.transition=null,W=16>e?16:e,Tt===null)var r=!1;else{if(e=Tt,Tt=null,fl=0,V&6)throw Error(M(331));var s=V;for(V|=4,z=e.current;z!==null;){var l=z,a=l.child;if(z.flags&16){var i=l.deletions;if(i!==null){for(var c=0;c<i.length;c++){var u=i[c];for(z=u;z!==null;){var p=z;switch(p.tag){case 0:case 11:case 15:Er(8,p,l)}var m=p.child;if(m!==null)m.return=p,z=m;else for(;z!==null;){p=z;var h=p.sibling,g=p.return;if(kf(p),p===u){z=null;break}if(h!==null){h.return=g,z=h;break}z=g}}}var y=l.alternate;if(y!==null){var d=y.child;if(d!==null){y.child=null;do{var j=d.sibling;d.sibling=null,d=j}while(d!==null)}}z=l}}if(l.subtreeFlags&2064&&a!==null)a.return=l,z=a;else e:for(;z!==null;){if(l=z,l.flags&2048)switch(l.tag){case 0:case 11:case 15:Er(9,l,l.return)}var v=l.sibling;if(v!==null){v.return=l.return,z=v;break e}z=l.return}}var f=e.current;for(z=f;z!==null;){a=z;var x=a.child;if(a.subtreeFlags&2064&&x!==null)x.return=a,z=x;else e:for(a=f;z!==null;){if(i=z,i.flags&2048)try{switch(i.tag){case 0:case 11:case 15:El(9,i)}}catch(N){le(i,i.return,N)}if(i===a){z=null;break e}var k=i.sibling;if(k!==null){k.return=i.return,z=k;break e}z=i.return}}if(V=s,Bt(),rt&&typeof rt.onPostCommitFiberRoot=="function")try{rt.onPostCommitFiberRoot(yl,e)}catch{}r=!0}return r}finally{W=n,$e.transition=t}}return!1}function Uc(e,t,n){t=Yn(n,t),t=pf(e,t,1),e=Lt(e,t,1),t=Se(),e!==null&&(Zr(e,1,t),Me(e,t))}function le(e,t,n){if(e.tag===3)Uc(e,e,n);else for(;t!==null;){if(t.tag===3){Uc(t,e,n);break}else if(t.tag===1){var r=t.stateNode;if(typeof t.type.getDerivedStateFromError=="function"||typeof r.componentDidCatch=="function"&&(Ot===null||!Ot.has(r))){e=Yn(n,e),e=mf(t,e,1),t=Lt(t,e,1),e=Se(),t!==null&&(Zr(t,1,e),Me(t,e));break}}t=t.return}}function c0(e,t,n){var r=e.pingCache;r!==null&&r.delete(t),t=Se(),e.pingedLanes|=e.suspendedLanes&n,pe===e&&(he&n)===n&&(ue===4||ue===3&&(he&130023424)===he&&500>oe()-hi?Zt(e,0):mi|=n),Me(e,t)}function zf(e,t){t===0&&(e.mode&1?(t=us,us<<=1,!(us&130023424)&&(us=4194304)):t=1);var n=Se();e=mt(e,t),e!==null&&(Zr(e,t,n),Me(e,n))}function u0(e){var t=e.memoizedState,n=0;t!==null&&(n=t.retryLane),zf(e,n)}function d0(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,s=e.memoizedState;s!==null&&(n=s.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(M(314))}r!==null&&r.delete(t),zf(e,n)}var Lf;Lf=function(e,t,n){if(e!==null)if(e.memoizedProps!==t.pendingProps||Ee.current)be=!0;else{if(!(e.lanes&n)&&!(t.flags&128))return be=!1,Zh(e,t,n);be=!!(e.flags&131072)}else be=!1,q&&t.flags&1048576&&Dd(t,rl,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;Fs(e,t),e=t.pendingProps;var s=Wn(t,we.current);$n(t,n),s=ii(null,t,r,e,s,n);var l=ci();return t.flags|=1,typeof s=="object"&&s!==null&&typeof s.render=="function"&&s.$$typeof===void 0?(t.tag=1,t.memoizedState=null,t.updateQueue=null,Pe(r)?(l=!0,tl(t)):l=!1,t.memoizedState=s.state!==null&&s.state!==void 0?s.state:null,ri(t),s.updater=bl,t.stateNode=s,s._reactInternals=t,ca(t,r,e,n),t=fa(null,t,r,!0,l,n)):(t.tag=0,q&&l&&Xa(t),je(null,t,s,n),t=t.child),t;case 16:r=t.elementType;e:{switch(Fs(e,t),e=t.pendingProps,s=r._init,r=s(r._payload),t.type=r,s=t.tag=p0(r),e=We(r,e),s){case 0:t=da(null,t,r,e,n);break e;case 1:t=Ic(null,t,r,e,n);break e;case 11:t=Mc(null,t,r,e,n);break e;case 14:t=Tc(null,t,r,We(r.type,e),n);break e}throw Error(M(306,r,""))}return t;case 0:return r=t.type,s=t.pendingProps,s=t.elementType===r?s:We(r,s),da(e,t,r,s,n);case 1:return r=t.type,s=t.pendingProps,s=t.elementType===r?s:We(r,s),Ic(e,t,r,s,n);case 3:e:{if(xf(t),e===null)throw Error(M(387));r=t.pendingProps,l=t.memoizedState,s=l.element,Bd(e,t),ol(t,r,null,n);var a=t.memoizedState;if(r=a.element,l.isDehydrated)if(l={element:r,isDehydrated:!1,cache:a.cache,pendingSuspenseBoundaries:a.pendingSuspenseBoundaries,transitions:a.transitions},t.updateQueue.baseState=l,t.memoizedState=l,t.flags&256){s=Yn(Error(M(423)),t),t=_c(e,t,r,n,s);break e}else if(r!==s){s=Yn(Error(M(424)),t),t=_c(e,t,r,n,s);break e}else for(_e=zt(t.stateNode.containerInfo.firstChild),Re=t,q=!0,Ke=null,n=Vd(t,null,r,n),t.child=n;n;)n.flags=n.flags&-3|4096,n=n.sibling;else{if(Gn(),r===s){t=ht(e,t,n);break e}je(e,t,r,n)}t=t.child}return t;case 5:return Wd(t),e===null&&oa(t),r=t.type,s=t.pendingProps,l=e!==null?e.memoizedProps:null,a=s.children,ta(r,s)?a=null:l!==null&&ta(r,l)&&(t.flags|=32),gf(e,t),je(e,t,a,n),t.child;case 6:return e===null&&oa(t),null;case 13:return yf(e,t,n);case 4:return si(t,t.stateNode.containerInfo),r=t.pendingProps,e===null?t.child=Kn(t,null,r,n):je(e,t,r,n),t.child;case 11:return r=t.type,s=t.pendingProps,s=t.elementType===r?s:We(r,s),Mc(e,t,r,s,n);case 7:return je(e,t,t.pendingProps,n),t.child;case 8:return je(e,t,t.pendingProps.children,n),t.child;case 12:return je(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,s=t.pendingProps,l=t.memoizedProps,a=s.value,Q(sl,r._currentValue),r._currentValue=a,l!==null)if(Je(l.value,a)){if(l.children===s.children&&!Ee.current){t=ht(e,t,n);break e}}else for(l=t.child,l!==null&&(l.return=t);l!==null;){var i=l.dependencies;if(i!==null){a=l.child;for(var c=i.firstContext;c!==null;){if(c.context===r){if(l.tag===1){c=dt(-1,n&-n),c.tag=2;var u=l.updateQueue;if(u!==null){u=u.shared;var p=u.pending;p===null?c.next=c:(c.next=p.next,p.next=c),u.pending=c}}l.lanes|=n,c=l.alternate,c!==null&&(c.lanes|=n),aa(l.return,n,t),i.lanes|=n;break}c=c.next}}else if(l.tag===10)a=l.type===t.type?null:l.child;else if(l.tag===18){if(a=l.return,a===null)throw Error(M(341));a.lanes|=n,i=a.alternate,i!==null&&(i.lanes|=n),aa(a,n,t),a=l.sibling}else a=l.child;if(a!==null)a.return=l;else for(a=l;a!==null;){if(a===t){a=null;break}if(l=a.sibling,l!==null){l.return=a.return,a=l;break}a=a.return}l=a}je(e,t,s.children,n),t=t.child}return t;case 9:return s=t.type,r=t.pendingProps.children,$n(t,n),s=Ue(s),r=r(s),t.flags|=1,je(e,t,r,n),t.child;case 14:return r=t.type,s=We(r,t.pendingProps),s=We(r.type,s),Tc(e,t,r,s,n);case 15:return hf(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,s=t.pendingProps,s=t.elementType===r?s:We(r,s),Fs(e,t),t.tag=1,Pe(r)?(e=!0,tl(t)):e=!1,$n(t,n),ff(t,r,s),ca(t,r,s,n),fa(null,t,r,!0,e,n);case 19:return wf(e,t,n);case 22:return vf(e,t,n)}throw Error(M(156,t.tag))};function Of(e,t){return id(e,t)}function f0(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Fe(e,t,n,r){return new f0(e,t,n,r)}function yi(e){return e=e.prototype,!(!e||!e.isReactComponent)}function p0(e){if(typeof e=="function")return yi(e)?1:0;if(e!=null){if(e=e.$$typeof,e===Da)return 11;if(e===Fa)return 14}return 2}function Dt(e,t){var n=e.alternate;return n===null?(n=Fe(e.tag,t,e.key,e.mode),n.elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=e.flags&14680064,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function Vs(e,t,n,r,s,l){var a=2;if(r=e,typeof e=="function")yi(e)&&(a=1);else if(typeof e=="string")a=5;else e:switch(e){case kn:return qt(n.children,s,l,t);case Aa:a=8,s|=8;break;case Ro:return e=Fe(12,n,t,s|2),e.elementType=Ro,e.lanes=l,e;case zo:return e=Fe(13,n,t,s),e.elementType=zo,e.lanes=l,e;case Lo:return e=Fe(19,n,t,s),e.elementType=Lo,e.lanes=l,e;case Wu:return Ml(n,s,l,t);default:if(typeof e=="object"&&e!==null)switch(e.$$typeof){case Hu:a=10;break e;case Bu:a=9;break e;case Da:a=11;break e;case Fa:a=14;break e;case Ct:a=16,r=null;break e}throw Error(M(130,e==null?e:typeof e,""))}return t=Fe(a,n,t,s),t.elementType=e,t.type=r,t.lanes=l,t}function qt(e,t,n,r){return e=Fe(7,e,r,t),e.lanes=n,e}function Ml(e,t,n,r){return e=Fe(22,e,r,t),e.elementType=Wu,e.lanes=n,e.stateNode={isHidden:!1},e}function ho(e,t,n){return e=Fe(6,e,null,t),e.lanes=n,e}function vo(e,t,n){return t=Fe(4,e.children!==null?e.children:[],e.key,t),t.lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function m0(e,t,n,r,s){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=Yl(0),this.expirationTimes=Yl(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=Yl(0),this.identifierPrefix=r,this.onRecoverableError=s,this.mutableSourceEagerHydrationData=null}function wi(e,t,n,r,s,l,a,i,c){return e=new m0(e,t,n,i,c),t===1?(t=1,l===!0&&(t|=8)):t=0,l=Fe(3,null,null,t),e.current=l,l.stateNode=e,l.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},ri(l),e}function h0(e,t,n){var r=3<arguments.length&&arguments[3]!==void 0?arguments[3]:null;return{$$typeof:Nn,key:r==null?null:""+r,children:e,containerInfo:t,implementation:n}}function Af(e){if(!e)return Ut;e=e._reactInternals;e:{if(an(e)!==e||e.tag!==1)throw Error(M(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(Pe(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(t!==null);throw Error(M(171))}if(e.tag===1){var n=e.type;if(Pe(n))return Od(e,n,t)}return t}function Df(e,t,n,r,s,l,a,i,c){return e=wi(n,r,!0,e,s,l,a,i,c),e.context=Af(null),n=e.current,r=Se(),s=At(n),l=dt(r,s),l.callback=t??null,Lt(n,l,s),e.current.lanes=s,Zr(e,s,r),Me(e,r),e}function Tl(e,t,n,r){var s=t.current,l=Se(),a=At(s);return n=Af(n),t.context===null?t.context=n:t.pendingContext=n,t=dt(l,a),t.payload={element:e},r=r===void 0?null:r,r!==null&&(t.callback=r),e=Lt(s,t,a),e!==null&&(Xe(e,s,a,l),Os(e,s,a)),a}function ml(e){if(e=e.current,!e.child)return null;switch(e.child.tag){case 5:return e.child.stateNode;default:return e.child.stateNode}}function Vc(e,t){if(e=e.memoizedState,e!==null&&e.dehydrated!==null){var n=e.retryLane;e.retryLane=n!==0&&n<t?n:t}}function ji(e,t){Vc(e,t),(e=e.alternate)&&Vc(e,t)}function v0(){return null}var Ff=typeof reportError=="function"?reportError:function(e){console.error(e)};function Si(e){this._internalRoot=e}Il.prototype.render=Si.prototype.render=function(e){var t=this._internalRoot;if(t===null)throw Error(M(409));Tl(e,t,null,null)};Il.prototype.unmount=Si.prototype.unmount=function(){var e=this._internalRoot;if(e!==null){this._internalRoot=null;var t=e.containerInfo;sn(function(){Tl(null,e,null,null)}),t[pt]=null}};function Il(e){this._internalRoot=e}Il.prototype.unstable_scheduleHydration=function(e){if(e){var t=hd();e={blockedOn:null,target:e,priority:t};for(var n=0;n<Et.length&&t!==0&&t<Et[n].priority;n++);Et.splice(n,0,e),n===0&&gd(e)}};function Ni(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11)}function _l(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11&&(e.nodeType!==8||e.nodeValue!==" react-mount-point-unstable "))}function Hc(){}function g0(e,t,n,r,s){if(s){if(typeof r=="function"){var l=r;r=function(){var u=ml(a);l.call(u)}}var a=Df(t,r,e,0,null,!1,!1,"",Hc);return e._reactRootContainer=a,e[pt]=a.current,Dr(e.nodeType===8?e.parentNode:e),sn(),a}for(;s=e.lastChild;)e.removeChild(s);if(typeof r=="function"){var i=r;r=function(){var u=ml(c);i.call(u)}}var c=wi(e,0,!1,null,null,!1,!1,"",Hc);return e._reactRootContainer=c,e[pt]=c.current,Dr(e.nodeType===8?e.parentNode:e),sn(function(){Tl(t,c,n,r)}),c}function Rl(e,t,n,r,s){var l=n._reactRootContainer;if(l){var a=l;if(typeof s=="function"){var i=s;s=function(){var c=ml(a);i.call(c)}}Tl(t,a,e,s)}else a=g0(n,t,e,s,r);return ml(a)}pd=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=yr(t.pendingLanes);n!==0&&(Va(t,n|1),Me(t,oe()),!(V&6)&&(Xn=oe()+500,Bt()))}break;case 13:sn(function(){var r=mt(e,1);if(r!==null){var s=Se();Xe(r,e,1,s)}}),ji(e,1)}};Ha=function(e){if(e.tag===13){var t=mt(e,134217728);if(t!==null){var n=Se();Xe(t,e,134217728,n)}ji(e,134217728)}};md=function(e){if(e.tag===13){var t=At(e),n=mt(e,t);if(n!==null){var r=Se();Xe(n,e,t,r)}ji(e,t)}};hd=function(){return W};vd=function(e,t){var n=W;try{return W=e,t()}finally{W=n}};Wo=function(e,t,n){switch(t){case"input":if(Do(e,n),t=n.name,n.type==="radio"&&t!=null){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var s=Nl(r);if(!s)throw Error(M(90));Ku(r),Do(r,s)}}}break;case"textarea":Yu(e,n);break;case"select":t=n.value,t!=null&&On(e,!!n.multiple,t,!1)}};nd=vi;rd=sn;var x0={usingClientEntryPoint:!1,Events:[es,Pn,Nl,ed,td,vi]},fr={findFiberByHostInstance:Yt,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},y0={bundleType:fr.bundleType,version:fr.version,rendererPackageName:fr.rendererPackageName,rendererConfig:fr.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:xt.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return e=od(e),e===null?null:e.stateNode},findFiberByHostInstance:fr.findFiberByHostInstance||v0,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var js=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!js.isDisabled&&js.supportsFiber)try{yl=js.inject(y0),rt=js}catch{}}Le.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=x0;Le.createPortal=function(e,t){var n=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null;if(!Ni(t))throw Error(M(200));return h0(e,t,null,n)};Le.createRoot=function(e,t){if(!Ni(e))throw Error(M(299));var n=!1,r="",s=Ff;return t!=null&&(t.unstable_strictMode===!0&&(n=!0),t.identifierPrefix!==void 0&&(r=t.identifierPrefix),t.onRecoverableError!==void 0&&(s=t.onRecoverableError)),t=wi(e,1,!1,null,null,n,!1,r,s),e[pt]=t.current,Dr(e.nodeType===8?e.parentNode:e),new Si(t)};Le.findDOMNode=function(e){if(e==null)return null;if(e.nodeType===1)return e;var t=e._reactInternals;if(t===void 0)throw typeof e.render=="function"?Error(M(188)):(e=Object.keys(e).join(","),Error(M(268,e)));return e=od(t),e=e===null?null:e.stateNode,e};Le.flushSync=function(e){return sn(e)};Le.hydrate=function(e,t,n){if(!_l(t))throw Error(M(200));return Rl(null,e,t,!0,n)};Le.hydrateRoot=function(e,t,n){if(!Ni(e))throw Error(M(405));var r=n!=null&&n.hydratedSources||null,s=!1,l="",a=Ff;if(n!=null&&(n.unstable_strictMode===!0&&(s=!0),n.identifierPrefix!==void 0&&(l=n.identifierPrefix),n.onRecoverableError!==void 0&&(a=n.onRecoverableError)),t=Df(t,null,e,1,n??null,s,!1,l,a),e[pt]=t.current,Dr(e),r)for(e=0;e<r.length;e++)n=r[e],s=n._getVersion,s=s(n._source),t.mutableSourceEagerHydrationData==null?t.mutableSourceEagerHydrationData=[n,s]:t.mutableSourceEagerHydrationData.push(n,s);return new Il(t)};Le.render=function(e,t,n){if(!_l(t))throw Error(M(200));return Rl(null,e,t,!1,n)};Le.unmountComponentAtNode=function(e){if(!_l(e))throw Error(M(40));return e._reactRootContainer?(sn(function(){Rl(null,null,e,!1,function(){e._reactRootContainer=null,e[pt]=null})}),!0):!1};Le.unstable_batchedUpdates=vi;Le.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!_l(n))throw Error(M(200));if(e==null||e._reactInternals===void 0)throw Error(M(38));return Rl(e,t,n,!1,r)};Le.version="18.3.1-next-f1338f8080-20240426";function $f(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE($f)}catch(e){console.error(e)}}$f(),Fu.exports=Le;var ki=Fu.exports;const w0=Ma(ki);var Ci,Bc=ki;Ci=Bc.createRoot,Bc.hydrateRoot;function Uf(e){var t,n,r="";if(typeof e=="string"||typeof e=="number")r+=e;else if(typeof e=="object")if(Array.isArray(e)){var s=e.length;for(t=0;t<s;t++)e[t]&&(n=Uf(e[t]))&&(r&&(r+=" "),r+=n)}else for(n in e)e[n]&&(r&&(r+=" "),r+=n);return r}function j0(){for(var e,t,n=0,r="",s=arguments.length;n<s;n++)(e=arguments[n])&&(t=Uf(e))&&(r&&(r+=" "),r+=t);return r}const bi="-",S0=e=>{const t=k0(e),{conflictingClassGroups:n,conflictingClassGroupModifiers:r}=e;return{getClassGroupId:a=>{const i=a.split(bi);return i[0]===""&&i.length!==1&&i.shift(),Vf(i,t)||N0(a)},getConflictingClassGroupIds:(a,i)=>{const c=n[a]||[];return i&&r[a]?[...c,...r[a]]:c}}},Vf=(e,t)=>{var a;if(e.length===0)return t.classGroupId;const n=e[0],r=t.nextPart.get(n),s=r?Vf(e.slice(1),r):void 0;if(s)return s;if(t.validators.length===0)return;const l=e.join(bi);return(a=t.validators.find(({validator:i})=>i(l)))==null?void 0:a.classGroupId},Wc=/^\[(.+)\]$/,N0=e=>{if(Wc.test(e)){const t=Wc.exec(e)[1],n=t==null?void 0:t.substring(0,t.indexOf(":"));if(n)return"arbitrary.."+n}},k0=e=>{const{theme:t,prefix:n}=e,r={nextPart:new Map,validators:[]};return b0(Object.entries(e.classGroups),n).forEach(([l,a])=>{ka(a,r,l,t)}),r},ka=(e,t,n,r)=>{e.forEach(s=>{if(typeof s=="string"){const l=s===""?t:Gc(t,s);l.classGroupId=n;return}if(typeof s=="function"){if(C0(s)){ka(s(r),t,n,r);return}t.validators.push({validator:s,classGroupId:n});return}Object.entries(s).forEach(([l,a])=>{ka(a,Gc(t,l),n,r)})})},Gc=(e,t)=>{let n=e;return t.split(bi).forEach(r=>{n.nextPart.has(r)||n.nextPart.set(r,{nextPart:new Map,validators:[]}),n=n.nextPart.get(r)}),n},C0=e=>e.isThemeGetter,b0=(e,t)=>t?e.map(([n,r])=>{const s=r.map(l=>typeof l=="string"?t+l:typeof l=="object"?Object.fromEntries(Object.entries(l).map(([a,i])=>[t+a,i])):l);return[n,s]}):e,E0=e=>{if(e<1)return{get:()=>{},set:()=>{}};let t=0,n=new Map,r=new Map;const s=(l,a)=>{n.set(l,a),t++,t>e&&(t=0,r=n,n=new Map)};return{get(l){let a=n.get(l);if(a!==void 0)return a;if((a=r.get(l))!==void 0)return s(l,a),a},set(l,a){n.has(l)?n.set(l,a):s(l,a)}}},Hf="!",P0=e=>{const{separator:t,experimentalParseClassName:n}=e,r=t.length===1,s=t[0],l=t.length,a=i=>{const c=[];let u=0,p=0,m;for(let j=0;j<i.length;j++){let v=i[j];if(u===0){if(v===s&&(r||i.slice(j,j+l)===t)){c.push(i.slice(p,j)),p=j+l;continue}if(v==="/"){m=j;continue}}v==="["?u++:v==="]"&&u--}const h=c.length===0?i:i.substring(p),g=h.startsWith(Hf),y=g?h.substring(1):h,d=m&&m>p?m-p:void 0;return{modifiers:c,hasImportantModifier:g,baseClassName:y,maybePostfixModifierPosition:d}};return n?i=>n({className:i,parseClassName:a}):a},M0=e=>{if(e.length<=1)return e;const t=[];let n=[];return e.forEach(r=>{r[0]==="["?(t.push(...n.sort(),r),n=[]):n.push(r)}),t.push(...n.sort()),t},T0=e=>({cache:E0(e.cacheSize),parseClassName:P0(e),...S0(e)}),I0=/\s+/,_0=(e,t)=>{const{parseClassName:n,getClassGroupId:r,getConflictingClassGroupIds:s}=t,l=[],a=e.trim().split(I0);let i="";for(let c=a.length-1;c>=0;c-=1){const u=a[c],{modifiers:p,hasImportantModifier:m,baseClassName:h,maybePostfixModifierPosition:g}=n(u);let y=!!g,d=r(y?h.substring(0,g):h);if(!d){if(!y){i=u+(i.length>0?" "+i:i);continue}if(d=r(h),!d){i=u+(i.length>0?" "+i:i);continue}y=!1}const j=M0(p).join(":"),v=m?j+Hf:j,f=v+d;if(l.includes(f))continue;l.push(f);const x=s(d,y);for(let k=0;k<x.length;++k){const N=x[k];l.push(v+N)}i=u+(i.length>0?" "+i:i)}return i};function R0(){let e=0,t,n,r="";for(;e<arguments.length;)(t=arguments[e++])&&(n=Bf(t))&&(r&&(r+=" "),r+=n);return r}const Bf=e=>{if(typeof e=="string")return e;let t,n="";for(let r=0;r<e.length;r++)e[r]&&(t=Bf(e[r]))&&(n&&(n+=" "),n+=t);return n};function z0(e,...t){let n,r,s,l=a;function a(c){const u=t.reduce((p,m)=>m(p),e());return n=T0(u),r=n.cache.get,s=n.cache.set,l=i,i(c)}function i(c){const u=r(c);if(u)return u;const p=_0(c,n);return s(c,p),p}return function(){return l(R0.apply(null,arguments))}}const Y=e=>{const t=n=>n[e]||[];return t.isThemeGetter=!0,t},Wf=/^\[(?:([a-z-]+):)?(.+)\]$/i,L0=/^\d+\/\d+$/,O0=new Set(["px","full","screen"]),A0=/^(\d+(\.\d+)?)?(xs|sm|md|lg|xl)$/,D0=/\d+(%|px|r?em|[sdl]?v([hwib]|min|max)|pt|pc|in|cm|mm|cap|ch|ex|r?lh|cq(w|h|i|b|min|max))|\b(calc|min|max|clamp)\(.+\)|^0$/,F0=/^(rgba?|hsla?|hwb|(ok)?(lab|lch))\(.+\)$/,$0=/^(inset_)?-?((\d+)?\.?(\d+)[a-z]+|0)_-?((\d+)?\.?(\d+)[a-z]+|0)/,U0=/^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(.+\)$/,ot=e=>Vn(e)||O0.has(e)||L0.test(e),St=e=>nr(e,"length",Y0),Vn=e=>!!e&&!Number.isNaN(Number(e)),go=e=>nr(e,"number",Vn),pr=e=>!!e&&Number.isInteger(Number(e)),V0=e=>e.endsWith("%")&&Vn(e.slice(0,-1)),F=e=>Wf.test(e),Nt=e=>A0.test(e),H0=new Set(["length","size","percentage"]),B0=e=>nr(e,H0,Gf),W0=e=>nr(e,"position",Gf),G0=new Set(["image","url"]),K0=e=>nr(e,G0,J0),Q0=e=>nr(e,"",X0),mr=()=>!0,nr=(e,t,n)=>{const r=Wf.exec(e);return r?r[1]?typeof t=="string"?r[1]===t:t.has(r[1]):n(r[2]):!1},Y0=e=>D0.test(e)&&!F0.test(e),Gf=()=>!1,X0=e=>$0.test(e),J0=e=>U0.test(e),Z0=()=>{const e=Y("colors"),t=Y("spacing"),n=Y("blur"),r=Y("brightness"),s=Y("borderColor"),l=Y("borderRadius"),a=Y("borderSpacing"),i=Y("borderWidth"),c=Y("contrast"),u=Y("grayscale"),p=Y("hueRotate"),m=Y("invert"),h=Y("gap"),g=Y("gradientColorStops"),y=Y("gradientColorStopPositions"),d=Y("inset"),j=Y("margin"),v=Y("opacity"),f=Y("padding"),x=Y("saturate"),k=Y("scale"),N=Y("sepia"),P=Y("skew"),C=Y("space"),b=Y("translate"),_=()=>["auto","contain","none"],R=()=>["auto","hidden","clip","visible","scroll"],E=()=>["auto",F,t],S=()=>[F,t],A=()=>["",ot,St],$=()=>["auto",Vn,F],ae=()=>["bottom","center","left","left-bottom","left-top","right","right-bottom","right-top","top"],Te=()=>["solid","dashed","dotted","double","none"],wt=()=>["normal","multiply","screen","overlay","darken","lighten","color-dodge","color-burn","hard-light","soft-light","difference","exclusion","hue","saturation","color","luminosity"],I=()=>["start","end","center","between","around","evenly","stretch"],O=()=>["","0",F],D=()=>["auto","avoid","all","avoid-page","page","left","right","column"],B=()=>[Vn,F];return{cacheSize:500,separator:":",theme:{colors:[mr],spacing:[ot,St],blur:["none","",Nt,F],brightness:B(),borderColor:[e],borderRadius:["none","","full",Nt,F],borderSpacing:S(),borderWidth:A(),contrast:B(),grayscale:O(),hueRotate:B(),invert:O(),gap:S(),gradientColorStops:[e],gradientColorStopPositions:[V0,St],inset:E(),margin:E(),opacity:B(),padding:S(),saturate:B(),scale:B(),sepia:O(),skew:B(),space:S(),translate:S()},classGroups:{aspect:[{aspect:["auto","square","video",F]}],container:["container"],columns:[{columns:[Nt]}],"break-after":[{"break-after":D()}],"break-before":[{"break-before":D()}],"break-inside":[{"break-inside":["auto","avoid","avoid-page","avoid-column"]}],"box-decoration":[{"box-decoration":["slice","clone"]}],box:[{box:["border","content"]}],display:["block","inline-block","inline","flex","inline-flex","table","inline-table","table-caption","table-cell","table-column","table-column-group","table-footer-group","table-header-group","table-row-group","table-row","flow-root","grid","inline-grid","contents","list-item","hidden"],float:[{float:["right","left","none","start","end"]}],clear:[{clear:["left","right","both","none","start","end"]}],isolation:["isolate","isolation-auto"],"object-fit":[{object:["contain","cover","fill","none","scale-down"]}],"object-position":[{object:[...ae(),F]}],overflow:[{overflow:R()}],"overflow-x":[{"overflow-x":R()}],"overflow-y":[{"overflow-y":R()}],overscroll:[{overscroll:_()}],"overscroll-x":[{"overscroll-x":_()}],"overscroll-y":[{"overscroll-y":_()}],position:["static","fixed","absolute","relative","sticky"],inset:[{inset:[d]}],"inset-x":[{"inset-x":[d]}],"inset-y":[{"inset-y":[d]}],start:[{start:[d]}],end:[{end:[d]}],top:[{top:[d]}],right:[{right:[d]}],bottom:[{bottom:[d]}],left:[{left:[d]}],visibility:["visible","invisible","collapse"],z:[{z:["auto",pr,F]}],basis:[{basis:E()}],"flex-direction":[{flex:["row","row-reverse","col","col-reverse"]}],"flex-wrap":[{flex:["wrap","wrap-reverse","nowrap"]}],flex:[{flex:["1","auto","initial","none",F]}],grow:[{grow:O()}],shrink:[{shrink:O()}],order:[{order:["first","last","none",pr,F]}],"grid-cols":[{"grid-cols":[mr]}],"col-start-end":[{col:["auto",{span:["full",pr,F]},F]}],"col-start":[{"col-start":$()}],"col-end":[{"col-end":$()}],"grid-rows":[{"grid-rows":[mr]}],"row-start-end":[{row:["auto",{span:[pr,F]},F]}],"row-start":[{"row-start":$()}],"row-end":[{"row-end":$()}],"grid-flow":[{"grid-flow":["row","col","dense","row-dense","col-dense"]}],"auto-cols":[{"auto-cols":["auto","min","max","fr",F]}],"auto-rows":[{"auto-rows":["auto","min","max","fr",F]}],gap:[{gap:[h]}],"gap-x":[{"gap-x":[h]}],"gap-y":[{"gap-y":[h]}],"justify-content":[{justify:["normal",...I()]}],"justify-items":[{"justify-items":["start","end","center","stretch"]}],"justify-self":[{"justify-self":["auto","start","end","center","stretch"]}],"align-content":[{content:["normal",...I(),"baseline"]}],"align-items":[{items:["start","end","center","baseline","stretch"]}],"align-self":[{self:["auto","start","end","center","stretch","baseline"]}],"place-content":[{"place-content":[...I(),"baseline"]}],"place-items":[{"place-items":["start","end","center","baseline","stretch"]}],"place-self":[{"place-self":["auto","start","end","center","stretch"]}],p:[{p:[f]}],px:[{px:[f]}],py:[{py:[f]}],ps:[{ps:[f]}],pe:[{pe:[f]}],pt:[{pt:[f]}],pr:[{pr:[f]}],pb:[{pb:[f]}],pl:[{pl:[f]}],m:[{m:[j]}],mx:[{mx:[j]}],my:[{my:[j]}],ms:[{ms:[j]}],me:[{me:[j]}],mt:[{mt:[j]}],mr:[{mr:[j]}],mb:[{mb:[j]}],ml:[{ml:[j]}],"space-x":[{"space-x":[C]}],"space-x-reverse":["space-x-reverse"],"space-y":[{"space-y":[C]}],"space-y-reverse":["space-y-reverse"],w:[{w:["auto","min","max","fit","svw","lvw","dvw",F,t]}],"min-w":[{"min-w":[F,t,"min","max","fit"]}],"max-w":[{"max-w":[F,t,"none","full","min","max","fit","prose",{screen:[Nt]},Nt]}],h:[{h:[F,t,"auto","min","max","fit","svh","lvh","dvh"]}],"min-h":[{"min-h":[F,t,"min","max","fit","svh","lvh","dvh"]}],"max-h":[{"max-h":[F,t,"min","max","fit","svh","lvh","dvh"]}],size:[{size:[F,t,"auto","min","max","fit"]}],"font-size":[{text:["base",Nt,St]}],"font-smoothing":["antialiased","subpixel-antialiased"],"font-style":["italic","not-italic"],"font-weight":[{font:["thin","extralight","light","normal","medium","semibold","bold","extrabold","black",go]}],"font-family":[{font:[mr]}],"fvn-normal":["normal-nums"],"fvn-ordinal":["ordinal"],"fvn-slashed-zero":["slashed-zero"],"fvn-figure":["lining-nums","oldstyle-nums"],"fvn-spacing":["proportional-nums","tabular-nums"],"fvn-fraction":["diagonal-fractions","stacked-fractions"],tracking:[{tracking:["tighter","tight","normal","wide","wider","widest",F]}],"line-clamp":[{"line-clamp":["none",Vn,go]}],leading:[{leading:["none","tight","snug","normal","relaxed","loose",ot,F]}],"list-image":[{"list-image":["none",F]}],"list-style-type":[{list:["none","disc","decimal",F]}],"list-style-position":[{list:["inside","outside"]}],"placeholder-color":[{placeholder:[e]}],"placeholder-opacity":[{"placeholder-opacity":[v]}],"text-alignment":[{text:["left","center","right","justify","start","end"]}],"text-color":[{text:[e]}],"text-opacity":[{"text-opacity":[v]}],"text-decoration":["underline","overline","line-through","no-underline"],"text-decoration-style":[{decoration:[...Te(),"wavy"]}],"text-decoration-thickness":[{decoration:["auto","from-font",ot,St]}],"underline-offset":[{"underline-offset":["auto",ot,F]}],"text-decoration-color":[{decoration:[e]}],"text-transform":["uppercase","lowercase","capitalize","normal-case"],"text-overflow":["truncate","text-ellipsis","text-clip"],"text-wrap":[{text:["wrap","nowrap","balance","pretty"]}],indent:[{indent:S()}],"vertical-align":[{align:["baseline","top","middle","bottom","text-top","text-bottom","sub","super",F]}],whitespace:[{whitespace:["normal","nowrap","pre","pre-line","pre-wrap","break-spaces"]}],break:[{break:["normal","words","all","keep"]}],hyphens:[{hyphens:["none","manual","auto"]}],content:[{content:["none",F]}],"bg-attachment":[{bg:["fixed","local","scroll"]}],"bg-clip":[{"bg-clip":["border","padding","content","text"]}],"bg-opacity":[{"bg-opacity":[v]}],"bg-origin":[{"bg-origin":["border","padding","content"]}],"bg-position":[{bg:[...ae(),W0]}],"bg-repeat":[{bg:["no-repeat",{repeat:["","x","y","round","space"]}]}],"bg-size":[{bg:["auto","cover","contain",B0]}],"bg-image":[{bg:["none",{"gradient-to":["t","tr","r","br","b","bl","l","tl"]},K0]}],"bg-color":[{bg:[e]}],"gradient-from-pos":[{from:[y]}],"gradient-via-pos":[{via:[y]}],"gradient-to-pos":[{to:[y]}],"gradient-from":[{from:[g]}],"gradient-via":[{via:[g]}],"gradient-to":[{to:[g]}],rounded:[{rounded:[l]}],"rounded-s":[{"rounded-s":[l]}],"rounded-e":[{"rounded-e":[l]}],"rounded-t":[{"rounded-t":[l]}],"rounded-r":[{"rounded-r":[l]}],"rounded-b":[{"rounded-b":[l]}],"rounded-l":[{"rounded-l":[l]}],"rounded-ss":[{"rounded-ss":[l]}],"rounded-se":[{"rounded-se":[l]}],"rounded-ee":[{"rounded-ee":[l]}],"rounded-es":[{"rounded-es":[l]}],"rounded-tl":[{"rounded-tl":[l]}],"rounded-tr":[{"rounded-tr":[l]}],"rounded-br":[{"rounded-br":[l]}],"rounded-bl":[{"rounded-bl":[l]}],"border-w":[{border:[i]}],"border-w-x":[{"border-x":[i]}],"border-w-y":[{"border-y":[i]}],"border-w-s":[{"border-s":[i]}],"border-w-e":[{"border-e":[i]}],"border-w-t":[{"border-t":[i]}],"border-w-r":[{"border-r":[i]}],"border-w-b":[{"border-b":[i]}],"border-w-l":[{"border-l":[i]}],"border-opacity":[{"border-opacity":[v]}],"border-style":[{border:[...Te(),"hidden"]}],"divide-x":[{"divide-x":[i]}],"divide-x-reverse":["divide-x-reverse"],"divide-y":[{"divide-y":[i]}],"divide-y-reverse":["divide-y-reverse"],"divide-opacity":[{"divide-opacity":[v]}],"divide-style":[{divide:Te()}],"border-color":[{border:[s]}],"border-color-x":[{"border-x":[s]}],"border-color-y":[{"border-y":[s]}],"border-color-s":[{"border-s":[s]}],"border-color-e":[{"border-e":[s]}],"border-color-t":[{"border-t":[s]}],"border-color-r":[{"border-r":[s]}],"border-color-b":[{"border-b":[s]}],"border-color-l":[{"border-l":[s]}],"divide-color":[{divide:[s]}],"outline-style":[{outline:["",...Te()]}],"outline-offset":[{"outline-offset":[ot,F]}],"outline-w":[{outline:[ot,St]}],"outline-color":[{outline:[e]}],"ring-w":[{ring:A()}],"ring-w-inset":["ring-inset"],"ring-color":[{ring:[e]}],"ring-opacity":[{"ring-opacity":[v]}],"ring-offset-w":[{"ring-offset":[ot,St]}],"ring-offset-color":[{"ring-offset":[e]}],shadow:[{shadow:["","inner","none",Nt,Q0]}],"shadow-color":[{shadow:[mr]}],opacity:[{opacity:[v]}],"mix-blend":[{"mix-blend":[...wt(),"plus-lighter","plus-darker"]}],"bg-blend":[{"bg-blend":wt()}],filter:[{filter:["","none"]}],blur:[{blur:[n]}],brightness:[{brightness:[r]}],contrast:[{contrast:[c]}],"drop-shadow":[{"drop-shadow":["","none",Nt,F]}],grayscale:[{grayscale:[u]}],"hue-rotate":[{"hue-rotate":[p]}],invert:[{invert:[m]}],saturate:[{saturate:[x]}],sepia:[{sepia:[N]}],"backdrop-filter":[{"backdrop-filter":["","none"]}],"backdrop-blur":[{"backdrop-blur":[n]}],"backdrop-brightness":[{"backdrop-brightness":[r]}],"backdrop-contrast":[{"backdrop-contrast":[c]}],"backdrop-grayscale":[{"backdrop-grayscale":[u]}],"backdrop-hue-rotate":[{"backdrop-hue-rotate":[p]}],"backdrop-invert":[{"backdrop-invert":[m]}],"backdrop-opacity":[{"backdrop-opacity":[v]}],"backdrop-saturate":[{"backdrop-saturate":[x]}],"backdrop-sepia":[{"backdrop-sepia":[N]}],"border-collapse":[{border:["collapse","separate"]}],"border-spacing":[{"border-spacing":[a]}],"border-spacing-x":[{"border-spacing-x":[a]}],"border-spacing-y":[{"border-spacing-y":[a]}],"table-layout":[{table:["auto","fixed"]}],caption:[{caption:["top","bottom"]}],transition:[{transition:["none","all","","colors","opacity","shadow","transform",F]}],duration:[{duration:B()}],ease:[{ease:["linear","in","out","in-out",F]}],delay:[{delay:B()}],animate:[{animate:["none","spin","ping","pulse","bounce",F]}],transform:[{transform:["","gpu","none"]}],scale:[{scale:[k]}],"scale-x":[{"scale-x":[k]}],"scale-y":[{"scale-y":[k]}],rotate:[{rotate:[pr,F]}],"translate-x":[{"translate-x":[b]}],"translate-y":[{"translate-y":[b]}],"skew-x":[{"skew-x":[P]}],"skew-y":[{"skew-y":[P]}],"transform-origin":[{origin:["center","top","top-right","right","bottom-right","bottom","bottom-left","left","top-left",F]}],accent:[{accent:["auto",e]}],appearance:[{appearance:["none","auto"]}],cursor:[{cursor:["auto","default","pointer","wait","text","move","help","not-allowed","none","context-menu","progress","cell","crosshair","vertical-text","alias","copy","no-drop","grab","grabbing","all-scroll","col-resize","row-resize","n-resize","e-resize","s-resize","w-resize","ne-resize","nw-resize","se-resize","sw-resize","ew-resize","ns-resize","nesw-resize","nwse-resize","zoom-in","zoom-out",F]}],"caret-color":[{caret:[e]}],"pointer-events":[{"pointer-events":["none","auto"]}],resize:[{resize:["none","y","x",""]}],"scroll-behavior":[{scroll:["auto","smooth"]}],"scroll-m":[{"scroll-m":S()}],"scroll-mx":[{"scroll-mx":S()}],"scroll-my":[{"scroll-my":S()}],"scroll-ms":[{"scroll-ms":S()}],"scroll-me":[{"scroll-me":S()}],"scroll-mt":[{"scroll-mt":S()}],"scroll-mr":[{"scroll-mr":S()}],"scroll-mb":[{"scroll-mb":S()}],"scroll-ml":[{"scroll-ml":S()}],"scroll-p":[{"scroll-p":S()}],"scroll-px":[{"scroll-px":S()}],"scroll-py":[{"scroll-py":S()}],"scroll-ps":[{"scroll-ps":S()}],"scroll-pe":[{"scroll-pe":S()}],"scroll-pt":[{"scroll-pt":S()}],"scroll-pr":[{"scroll-pr":S()}],"scroll-pb":[{"scroll-pb":S()}],"scroll-pl":[{"scroll-pl":S()}],"snap-align":[{snap:["start","end","center","align-none"]}],"snap-stop":[{snap:["normal","always"]}],"snap-type":[{snap:["none","x","y","both"]}],"snap-strictness":[{snap:["mandatory","proximity"]}],touch:[{touch:["auto","none","manipulation"]}],"touch-x":[{"touch-pan":["x","left","right"]}],"touch-y":[{"touch-pan":["y","up","down"]}],"touch-pz":["touch-pinch-zoom"],select:[{select:["none","text","all","auto"]}],"will-change":[{"will-change":["auto","scroll","contents","transform",F]}],fill:[{fill:[e,"none"]}],"stroke-w":[{stroke:[ot,St,go]}],stroke:[{stroke:[e,"none"]}],sr:["sr-only","not-sr-only"],"forced-color-adjust":[{"forced-color-adjust":["auto","none"]}]},conflictingClassGroups:{overflow:["overflow-x","overflow-y"],overscroll:["overscroll-x","overscroll-y"],inset:["inset-x","inset-y","start","end","top","right","bottom","left"],"inset-x":["right","left"],"inset-y":["top","bottom"],flex:["basis","grow","shrink"],gap:["gap-x","gap-y"],p:["px","py","ps","pe","pt","pr","pb","pl"],px:["pr","pl"],py:["pt","pb"],m:["mx","my","ms","me","mt","mr","mb","ml"],mx:["mr","ml"],my:["mt","mb"],size:["w","h"],"font-size":["leading"],"fvn-normal":["fvn-ordinal","fvn-slashed-zero","fvn-figure","fvn-spacing","fvn-fraction"],"fvn-ordinal":["fvn-normal"],"fvn-slashed-zero":["fvn-normal"],"fvn-figure":["fvn-normal"],"fvn-spacing":["fvn-normal"],"fvn-fraction":["fvn-normal"],"line-clamp":["display","overflow"],rounded:["rounded-s","rounded-e","rounded-t","rounded-r","rounded-b","rounded-l","rounded-ss","rounded-se","rounded-ee","rounded-es","rounded-tl","rounded-tr","rounded-br","rounded-bl"],"rounded-s":["rounded-ss","rounded-es"],"rounded-e":["rounded-se","rounded-ee"],"rounded-t":["rounded-tl","rounded-tr"],"rounded-r":["rounded-tr","rounded-br"],"rounded-b":["rounded-br","rounded-bl"],"rounded-l":["rounded-tl","rounded-bl"],"border-spacing":["border-spacing-x","border-spacing-y"],"border-w":["border-w-s","border-w-e","border-w-t","border-w-r","border-w-b","border-w-l"],"border-w-x":["border-w-r","border-w-l"],"border-w-y":["border-w-t","border-w-b"],"border-color":["border-color-s","border-color-e","border-color-t","border-color-r","border-color-b","border-color-l"],"border-color-x":["border-color-r","border-color-l"],"border-color-y":["border-color-t","border-color-b"],"scroll-m":["scroll-mx","scroll-my","scroll-ms","scroll-me","scroll-mt","scroll-mr","scroll-mb","scroll-ml"],"scroll-mx":["scroll-mr","scroll-ml"],"scroll-my":["scroll-mt","scroll-mb"],"scroll-p":["scroll-px","scroll-py","scroll-ps","scroll-pe","scroll-pt","scroll-pr","scroll-pb","scroll-pl"],"scroll-px":["scroll-pr","scroll-pl"],"scroll-py":["scroll-pt","scroll-pb"],touch:["touch-x","touch-y","touch-pz"],"touch-x":["touch"],"touch-y":["touch"],"touch-pz":["touch"]},conflictingClassGroupModifiers:{"font-size":["leading"]}}},q0=z0(Z0);function L(...e){return q0(j0(e))}function ev({isVisible:e,children:t}){return e?o.jsx("div",{className:L("fixed inset-0 z-50","bg-neutral-900 text-neutral-100","flex flex-col","font-sans"),children:t}):null}/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */var tv={xmlns:"http://www.w3.org/2000/svg",width:24,height:24,viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:2,strokeLinecap:"round",strokeLinejoin:"round"};/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const nv=e=>e.replace(/([a-z0-9])([A-Z])/g,"$1-$2").toLowerCase().trim(),T=(e,t)=>{const n=w.forwardRef(({color:r="currentColor",size:s=24,strokeWidth:l=2,absoluteStrokeWidth:a,className:i="",children:c,...u},p)=>w.createElement("svg",{ref:p,...tv,width:s,height:s,stroke:r,strokeWidth:a?Number(l)*24/Number(s):l,className:["lucide",`lucide-${nv(e)}`,i].join(" "),...u},[...t.map(([m,h])=>w.createElement(m,h)),...Array.isArray(c)?c:[c]]));return n.displayName=`${e}`,n};/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Kf=T("AlertTriangle",[["path",{d:"m21.73 18-8-14a2 2 0 0 0-3.48 0l-8 14A2 2 0 0 0 4 21h16a2 2 0 0 0 1.73-3Z",key:"c3ski4"}],["path",{d:"M12 9v4",key:"juzpu7"}],["path",{d:"M12 17h.01",key:"p32p05"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const rv=T("ArchiveRestore",[["rect",{width:"20",height:"5",x:"2",y:"3",rx:"1",key:"1wp1u1"}],["path",{d:"M4 8v11a2 2 0 0 0 2 2h2",key:"tvwodi"}],["path",{d:"M20 8v11a2 2 0 0 1-2 2h-2",key:"1gkqxj"}],["path",{d:"m9 15 3-3 3 3",key:"1pd0qc"}],["path",{d:"M12 12v9",key:"192myk"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const sv=T("Archive",[["rect",{width:"20",height:"5",x:"2",y:"3",rx:"1",key:"1wp1u1"}],["path",{d:"M4 8v11a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8",key:"1s80jp"}],["path",{d:"M10 12h4",key:"a56b0p"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const zl=T("ArrowLeft",[["path",{d:"m12 19-7-7 7-7",key:"1l729n"}],["path",{d:"M19 12H5",key:"x3x0zl"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Qf=T("ArrowRight",[["path",{d:"M5 12h14",key:"1ays0h"}],["path",{d:"m12 5 7 7-7 7",key:"xquz4c"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ll=T("BookOpen",[["path",{d:"M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z",key:"vv98re"}],["path",{d:"M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z",key:"1cyq3y"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ei=T("Check",[["path",{d:"M20 6 9 17l-5-5",key:"1gmf2c"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Pi=T("ChevronDown",[["path",{d:"m6 9 6 6 6-6",key:"qrunsl"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const lv=T("ChevronLeft",[["path",{d:"m15 18-6-6 6-6",key:"1wnfg3"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ol=T("ChevronRight",[["path",{d:"m9 18 6-6-6-6",key:"mthhwq"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const ov=T("ChevronUp",[["path",{d:"m18 15-6-6-6 6",key:"153udz"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Yf=T("Clock",[["circle",{cx:"12",cy:"12",r:"10",key:"1mglay"}],["polyline",{points:"12 6 12 12 16 14",key:"68esgv"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const av=T("Copy",[["rect",{width:"14",height:"14",x:"8",y:"8",rx:"2",ry:"2",key:"17jyea"}],["path",{d:"M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2",key:"zix9uf"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const iv=T("Dice1",[["rect",{width:"18",height:"18",x:"3",y:"3",rx:"2",ry:"2",key:"1m3agn"}],["path",{d:"M12 12h.01",key:"1mp3jc"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const cv=T("Download",[["path",{d:"M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4",key:"ih7n3h"}],["polyline",{points:"7 10 12 15 17 10",key:"2ggqvy"}],["line",{x1:"12",x2:"12",y1:"15",y2:"3",key:"1vk2je"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const uv=T("ExternalLink",[["path",{d:"M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6",key:"a6xqqp"}],["polyline",{points:"15 3 21 3 21 9",key:"mznyad"}],["line",{x1:"10",x2:"21",y1:"14",y2:"3",key:"18c3s4"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const dv=T("EyeOff",[["path",{d:"M9.88 9.88a3 3 0 1 0 4.24 4.24",key:"1jxqfv"}],["path",{d:"M10.73 5.08A10.43 10.43 0 0 1 12 5c7 0 10 7 10 7a13.16 13.16 0 0 1-1.67 2.68",key:"9wicm4"}],["path",{d:"M6.61 6.61A13.526 13.526 0 0 0 2 12s3 7 10 7a9.74 9.74 0 0 0 5.39-1.61",key:"1jreej"}],["line",{x1:"2",x2:"22",y1:"2",y2:"22",key:"a6p6uj"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Mi=T("Eye",[["path",{d:"M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z",key:"rwhkz3"}],["circle",{cx:"12",cy:"12",r:"3",key:"1v7zrd"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const fv=T("FastForward",[["polygon",{points:"13 19 22 12 13 5 13 19",key:"587y9g"}],["polygon",{points:"2 19 11 12 2 5 2 19",key:"3pweh0"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Xf=T("FileDown",[["path",{d:"M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z",key:"1nnpy2"}],["polyline",{points:"14 2 14 8 20 8",key:"1ew0cm"}],["path",{d:"M12 18v-6",key:"17g6i2"}],["path",{d:"m9 15 3 3 3-3",key:"1npd3o"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Jf=T("FileText",[["path",{d:"M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z",key:"1nnpy2"}],["polyline",{points:"14 2 14 8 20 8",key:"1ew0cm"}],["line",{x1:"16",x2:"8",y1:"13",y2:"13",key:"14keom"}],["line",{x1:"16",x2:"8",y1:"17",y2:"17",key:"17nazh"}],["line",{x1:"10",x2:"8",y1:"9",y2:"9",key:"1a5vjj"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const pv=T("Filter",[["polygon",{points:"22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3",key:"1yg77f"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const mv=T("Flag",[["path",{d:"M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z",key:"i9b6wo"}],["line",{x1:"4",x2:"4",y1:"22",y2:"15",key:"1cm3nv"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const hv=T("FolderOpen",[["path",{d:"m6 14 1.5-2.9A2 2 0 0 1 9.24 10H20a2 2 0 0 1 1.94 2.5l-1.54 6a2 2 0 0 1-1.95 1.5H4a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h3.9a2 2 0 0 1 1.69.9l.81 1.2a2 2 0 0 0 1.67.9H18a2 2 0 0 1 2 2v2",key:"usdka0"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const vv=T("GitBranch",[["line",{x1:"6",x2:"6",y1:"3",y2:"15",key:"17qcm7"}],["circle",{cx:"18",cy:"6",r:"3",key:"1h7g24"}],["circle",{cx:"6",cy:"18",r:"3",key:"fqmcym"}],["path",{d:"M18 9a9 9 0 0 1-9 9",key:"n2h4wq"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const gv=T("GitCompare",[["circle",{cx:"18",cy:"18",r:"3",key:"1xkwt0"}],["circle",{cx:"6",cy:"6",r:"3",key:"1lh9wr"}],["path",{d:"M13 6h3a2 2 0 0 1 2 2v7",key:"1yeb86"}],["path",{d:"M11 18H8a2 2 0 0 1-2-2V9",key:"19pyzm"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const xv=T("History",[["path",{d:"M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8",key:"1357e3"}],["path",{d:"M3 3v5h5",key:"1xhq8a"}],["path",{d:"M12 7v5l4 2",key:"1fdv2h"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const yv=T("Home",[["path",{d:"m3 9 9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z",key:"y5dka4"}],["polyline",{points:"9 22 9 12 15 12 15 22",key:"e2us08"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Kc=T("Image",[["rect",{width:"18",height:"18",x:"3",y:"3",rx:"2",ry:"2",key:"1m3agn"}],["circle",{cx:"9",cy:"9",r:"2",key:"af1f0g"}],["path",{d:"m21 15-3.086-3.086a2 2 0 0 0-2.828 0L6 21",key:"1xmnt7"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const wv=T("KeyRound",[["path",{d:"M2 18v3c0 .6.4 1 1 1h4v-3h3v-3h2l1.4-1.4a6.5 6.5 0 1 0-4-4Z",key:"167ctg"}],["circle",{cx:"16.5",cy:"7.5",r:".5",key:"1kog09"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Zf=T("Lock",[["rect",{width:"18",height:"11",x:"3",y:"11",rx:"2",ry:"2",key:"1w4ew1"}],["path",{d:"M7 11V7a5 5 0 0 1 10 0v4",key:"fwvmzm"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const jv=T("LogIn",[["path",{d:"M15 3h4a2 2 0 0 1 2 2v14a2 2 0 0 1-2 2h-4",key:"u53s6r"}],["polyline",{points:"10 17 15 12 10 7",key:"1ail0h"}],["line",{x1:"15",x2:"3",y1:"12",y2:"12",key:"v6grx8"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Kr=T("MapPin",[["path",{d:"M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z",key:"2oe9fu"}],["circle",{cx:"12",cy:"10",r:"3",key:"ilqhr7"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ca=T("Map",[["polygon",{points:"3 6 9 3 15 6 21 3 21 18 15 21 9 18 3 21",key:"ok2ie8"}],["line",{x1:"9",x2:"9",y1:"3",y2:"18",key:"w34qz5"}],["line",{x1:"15",x2:"15",y1:"6",y2:"21",key:"volv9a"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const qf=T("MessageCircle",[["path",{d:"m3 21 1.9-5.7a8.5 8.5 0 1 1 3.8 3.8z",key:"v2veuj"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Sv=T("MessageSquare",[["path",{d:"M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z",key:"1lielz"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const ep=T("Mic",[["path",{d:"M12 2a3 3 0 0 0-3 3v7a3 3 0 0 0 6 0V5a3 3 0 0 0-3-3Z",key:"131961"}],["path",{d:"M19 10v2a7 7 0 0 1-14 0v-2",key:"1vc78b"}],["line",{x1:"12",x2:"12",y1:"19",y2:"22",key:"x3vr5v"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const tp=T("Minus",[["path",{d:"M5 12h14",key:"1ays0h"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Qc=T("Monitor",[["rect",{width:"20",height:"14",x:"2",y:"3",rx:"2",key:"48i651"}],["line",{x1:"8",x2:"16",y1:"21",y2:"21",key:"1svkeh"}],["line",{x1:"12",x2:"12",y1:"17",y2:"21",key:"vw1qmm"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Nv=T("PackageCheck",[["path",{d:"m16 16 2 2 4-4",key:"gfu2re"}],["path",{d:"M21 10V8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l2-1.14",key:"e7tb2h"}],["path",{d:"m7.5 4.27 9 5.15",key:"1c824w"}],["polyline",{points:"3.29 7 12 12 20.71 7",key:"ousv84"}],["line",{x1:"12",x2:"12",y1:"22",y2:"12",key:"a4e8g8"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const hl=T("Package",[["path",{d:"m7.5 4.27 9 5.15",key:"1c824w"}],["path",{d:"M21 8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16Z",key:"hh9hay"}],["path",{d:"m3.3 7 8.7 5 8.7-5",key:"g66t2b"}],["path",{d:"M12 22V12",key:"d0xqtd"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const kv=T("Pause",[["rect",{width:"4",height:"16",x:"6",y:"4",key:"iffhe4"}],["rect",{width:"4",height:"16",x:"14",y:"4",key:"sjin7j"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Cv=T("Pencil",[["path",{d:"M17 3a2.85 2.83 0 1 1 4 4L7.5 20.5 2 22l1.5-5.5Z",key:"5qss01"}],["path",{d:"m15 5 4 4",key:"1mk7zo"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const vt=T("Play",[["polygon",{points:"5 3 19 12 5 21 5 3",key:"191637"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const ns=T("Plus",[["path",{d:"M5 12h14",key:"1ays0h"}],["path",{d:"M12 5v14",key:"s699le"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const bv=T("Printer",[["polyline",{points:"6 9 6 2 18 2 18 9",key:"1306q4"}],["path",{d:"M6 18H4a2 2 0 0 1-2-2v-5a2 2 0 0 1 2-2h16a2 2 0 0 1 2 2v5a2 2 0 0 1-2 2h-2",key:"143wyd"}],["rect",{width:"12",height:"8",x:"6",y:"14",key:"5ipwut"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ev=T("RefreshCw",[["path",{d:"M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8",key:"v9h5vc"}],["path",{d:"M21 3v5h-5",key:"1q7to0"}],["path",{d:"M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16",key:"3uifl3"}],["path",{d:"M8 16H3v5",key:"1cv678"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Pv=T("Rewind",[["polygon",{points:"11 19 2 12 11 5 11 19",key:"14yba5"}],["polygon",{points:"22 19 13 12 22 5 22 19",key:"1pi1cj"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Mv=T("RotateCcw",[["path",{d:"M3 12a9 9 0 1 0 9-9 9.75 9.75 0 0 0-6.74 2.74L3 8",key:"1357e3"}],["path",{d:"M3 3v5h5",key:"1xhq8a"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const np=T("Save",[["path",{d:"M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z",key:"1owoqh"}],["polyline",{points:"17 21 17 13 7 13 7 21",key:"1md35c"}],["polyline",{points:"7 3 7 8 15 8",key:"8nz8an"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Tv=T("ScrollText",[["path",{d:"M8 21h12a2 2 0 0 0 2-2v-2H10v2a2 2 0 1 1-4 0V5a2 2 0 1 0-4 0v3h4",key:"13a6an"}],["path",{d:"M19 17V5a2 2 0 0 0-2-2H4",key:"zz82l3"}],["path",{d:"M15 8h-5",key:"1khuty"}],["path",{d:"M15 12h-5",key:"r7krc0"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ti=T("Search",[["circle",{cx:"11",cy:"11",r:"8",key:"4ej97u"}],["path",{d:"m21 21-4.3-4.3",key:"1qie3q"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const rp=T("Send",[["path",{d:"m22 2-7 20-4-9-9-4Z",key:"1q3vgg"}],["path",{d:"M22 2 11 13",key:"nzbqef"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Iv=T("Settings",[["path",{d:"M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z",key:"1qme2f"}],["circle",{cx:"12",cy:"12",r:"3",key:"1v7zrd"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const sp=T("ShieldCheck",[["path",{d:"M12 22s8-4 8-10V5l-8-3-8 3v7c0 6 8 10 8 10",key:"1irkt0"}],["path",{d:"m9 12 2 2 4-4",key:"dzmm74"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Yc=T("SkipBack",[["polygon",{points:"19 20 9 12 19 4 19 20",key:"o2sva"}],["line",{x1:"5",x2:"5",y1:"19",y2:"5",key:"1ocqjk"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const _v=T("SkipForward",[["polygon",{points:"5 4 15 12 5 20 5 4",key:"16p6eg"}],["line",{x1:"19",x2:"19",y1:"5",y2:"19",key:"futhcm"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Rv=T("Skull",[["circle",{cx:"9",cy:"12",r:"1",key:"1vctgf"}],["circle",{cx:"15",cy:"12",r:"1",key:"1tmaij"}],["path",{d:"M8 20v2h8v-2",key:"ded4og"}],["path",{d:"m12.5 17-.5-1-.5 1h1z",key:"3me087"}],["path",{d:"M16 20a2 2 0 0 0 1.56-3.25 8 8 0 1 0-11.12 0A2 2 0 0 0 8 20",key:"xq9p5u"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Xc=T("Star",[["polygon",{points:"12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2",key:"8f66p6"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Jc=T("Sun",[["circle",{cx:"12",cy:"12",r:"4",key:"4exip2"}],["path",{d:"M12 2v2",key:"tus03m"}],["path",{d:"M12 20v2",key:"1lh1kg"}],["path",{d:"m4.93 4.93 1.41 1.41",key:"149t6j"}],["path",{d:"m17.66 17.66 1.41 1.41",key:"ptbguv"}],["path",{d:"M2 12h2",key:"1t8f8n"}],["path",{d:"M20 12h2",key:"1q8mjw"}],["path",{d:"m6.34 17.66-1.41 1.41",key:"1m8zz5"}],["path",{d:"m19.07 4.93-1.41 1.41",key:"1shlcs"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const rr=T("Target",[["circle",{cx:"12",cy:"12",r:"10",key:"1mglay"}],["circle",{cx:"12",cy:"12",r:"6",key:"1vlfrh"}],["circle",{cx:"12",cy:"12",r:"2",key:"1c9p78"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const sr=T("Trash2",[["path",{d:"M3 6h18",key:"d0wm0j"}],["path",{d:"M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6",key:"4alrt4"}],["path",{d:"M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2",key:"v07s0e"}],["line",{x1:"10",x2:"10",y1:"11",y2:"17",key:"1uufr5"}],["line",{x1:"14",x2:"14",y1:"11",y2:"17",key:"xtxkd"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ii=T("Upload",[["path",{d:"M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4",key:"ih7n3h"}],["polyline",{points:"17 8 12 3 7 8",key:"t8dd8p"}],["line",{x1:"12",x2:"12",y1:"3",y2:"15",key:"widbto"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const zv=T("User",[["path",{d:"M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2",key:"975kel"}],["circle",{cx:"12",cy:"7",r:"4",key:"17ys0d"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const gt=T("Users",[["path",{d:"M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2",key:"1yyitq"}],["circle",{cx:"9",cy:"7",r:"4",key:"nufk8"}],["path",{d:"M22 21v-2a4 4 0 0 0-3-3.87",key:"kshegd"}],["path",{d:"M16 3.13a4 4 0 0 1 0 7.75",key:"1da9ce"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Lv=T("Volume2",[["polygon",{points:"11 5 6 9 2 9 2 15 6 15 11 19 11 5",key:"16drj5"}],["path",{d:"M15.54 8.46a5 5 0 0 1 0 7.07",key:"ltjumu"}],["path",{d:"M19.07 4.93a10 10 0 0 1 0 14.14",key:"1kegas"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Ov=T("Wand2",[["path",{d:"m21.64 3.64-1.28-1.28a1.21 1.21 0 0 0-1.72 0L2.36 18.64a1.21 1.21 0 0 0 0 1.72l1.28 1.28a1.2 1.2 0 0 0 1.72 0L21.64 5.36a1.2 1.2 0 0 0 0-1.72Z",key:"1bcowg"}],["path",{d:"m14 7 3 3",key:"1r5n42"}],["path",{d:"M5 6v4",key:"ilb8ba"}],["path",{d:"M19 14v4",key:"blhpug"}],["path",{d:"M10 2v2",key:"7u0qdc"}],["path",{d:"M7 8H3",key:"zfb6yr"}],["path",{d:"M21 16h-4",key:"1cnmox"}],["path",{d:"M11 3H9",key:"1obp7u"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const lp=T("XCircle",[["circle",{cx:"12",cy:"12",r:"10",key:"1mglay"}],["path",{d:"m15 9-6 6",key:"1uzhvr"}],["path",{d:"m9 9 6 6",key:"z0biqf"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const He=T("X",[["path",{d:"M18 6 6 18",key:"1bl5f8"}],["path",{d:"m6 6 12 12",key:"d8bk6v"}]]);/**
+ * @license lucide-react v0.294.0 - ISC
+ *
+ * This source code is licensed under the ISC license.
+ * See the LICENSE file in the root directory of this source tree.
+ */const Al=T("Zap",[["polygon",{points:"13 2 3 14 12 14 11 22 21 10 12 10 13 2",key:"45s27k"}]]),Av={},Zc=e=>{let t;const n=new Set,r=(p,m)=>{const h=typeof p=="function"?p(t):p;if(!Object.is(h,t)){const g=t;t=m??(typeof h!="object"||h===null)?h:Object.assign({},t,h),n.forEach(y=>y(t,g))}},s=()=>t,c={setState:r,getState:s,getInitialState:()=>u,subscribe:p=>(n.add(p),()=>n.delete(p)),destroy:()=>{(Av?"production":void 0)!=="production"&&console.warn("[DEPRECATED] The `destroy` method will be unsupported in a future version. Instead use unsubscribe function returned by subscribe. Everything will be garbage-collected if store is garbage-collected."),n.clear()}},u=t=e(r,s,c);return c},Dv=e=>e?Zc(e):Zc;var op={exports:{}},ap={},ip={exports:{}},cp={};/**
+ * @license React
+ * use-sync-external-store-shim.production.js
+ *
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var Jn=w;function Fv(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var $v=typeof Object.is=="function"?Object.is:Fv,Uv=Jn.useState,Vv=Jn.useEffect,Hv=Jn.useLayoutEffect,Bv=Jn.useDebugValue;function Wv(e,t){var n=t(),r=Uv({inst:{value:n,getSnapshot:t}}),s=r[0].inst,l=r[1];return Hv(function(){s.value=n,s.getSnapshot=t,xo(s)&&l({inst:s})},[e,n,t]),Vv(function(){return xo(s)&&l({inst:s}),e(function(){xo(s)&&l({inst:s})})},[e]),Bv(n),n}function xo(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!$v(e,n)}catch{return!0}}function Gv(e,t){return t()}var Kv=typeof window>"u"||typeof window.document>"u"||typeof window.document.createElement>"u"?Gv:Wv;cp.useSyncExternalStore=Jn.useSyncExternalStore!==void 0?Jn.useSyncExternalStore:Kv;ip.exports=cp;var Qv=ip.exports;/**
+ * @license React
+ * use-sync-external-store-shim/with-selector.production.js
+ *
+ * Copyright (c) Meta Platforms, Inc. and affiliates.
+ *
+ * This source code is licensed under the MIT license found in the
+ * LICENSE file in the root directory of this source tree.
+ */var Dl=w,Yv=Qv;function Xv(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var Jv=typeof Object.is=="function"?Object.is:Xv,Zv=Yv.useSyncExternalStore,qv=Dl.useRef,eg=Dl.useEffect,tg=Dl.useMemo,ng=Dl.useDebugValue;ap.useSyncExternalStoreWithSelector=function(e,t,n,r,s){var l=qv(null);if(l.current===null){var a={hasValue:!1,value:null};l.current=a}else a=l.current;l=tg(function(){function c(g){if(!u){if(u=!0,p=g,g=r(g),s!==void 0&&a.hasValue){var y=a.value;if(s(y,g))return m=y}return m=g}if(y=m,Jv(p,g))return y;var d=r(g);return s!==void 0&&s(y,d)?(p=g,y):(p=g,m=d)}var u=!1,p,m,h=n===void 0?null:n;return[function(){return c(t())},h===null?void 0:function(){return c(h())}]},[t,n,r,s]);var i=Zv(e,l[0],l[1]);return eg(function(){a.hasValue=!0,a.value=i},[i]),ng(i),i};op.exports=ap;var rg=op.exports;const sg=Ma(rg),up={},{useDebugValue:lg}=xl,{useSyncExternalStoreWithSelector:og}=sg;let qc=!1;const ag=e=>e;function ig(e,t=ag,n){(up?"production":void 0)!=="production"&&n&&!qc&&(console.warn("[DEPRECATED] Use `createWithEqualityFn` instead of `create` or use `useStoreWithEqualityFn` instead of `useStore`. They can be imported from 'zustand/traditional'. https://github.com/pmndrs/zustand/discussions/1937"),qc=!0);const r=og(e.subscribe,e.getState,e.getServerState||e.getInitialState,t,n);return lg(r),r}const eu=e=>{(up?"production":void 0)!=="production"&&typeof e!="function"&&console.warn("[DEPRECATED] Passing a vanilla store will be unsupported in a future version. Instead use `import { useStore } from 'zustand'`.");const t=typeof e=="function"?Dv(e):e,n=(r,s)=>ig(t,r,s);return Object.assign(n,t),n},lt=e=>e?eu(e):eu,tu="lightdeck_gm_session_id",nu="lightdeck_gm_session_token";function Fl(e){return e==="default"?nu:`${nu}:${e}`}function te(e){const t=e??J.getState().activeSessionId,n=localStorage.getItem(Fl(t));return n?{"X-Session-Token":n}:{}}async function gn(e,t={}){const n=await fetch(e,{...t,headers:{"Content-Type":"application/json",...t.headers}});if(!n.ok){const r=await n.json().catch(()=>({}));throw new Error(r.error||`HTTP ${n.status}`)}return n.json()}const J=lt((e,t)=>({sessions:[],isLoading:!1,error:null,showArchived:!1,adventures:[],activeSessionId:localStorage.getItem(tu)||"default",role:null,protocolError:null,loadSessions:async()=>{e({isLoading:!0,error:null});try{const n=t().showArchived?"?includeArchived=true":"",r=await gn(`/api/sessions${n}`);e({sessions:r,isLoading:!1})}catch(n){console.error("[SessionListStore] Failed to load sessions:",n),e({error:n.message,isLoading:!1})}},loadAdventures:async()=>{try{const n=await gn("/api/adventures");e({adventures:n})}catch(n){console.error("[SessionListStore] Failed to load adventures:",n),e({error:n.message})}},setShowArchived:n=>{e({showArchived:n}),t().loadSessions()},createSession:async(n,r,s)=>{try{const l=await gn("/api/sessions",{method:"POST",headers:te(),body:JSON.stringify({name:n,gmSecret:r,adventureId:s})});return e(a=>({sessions:[l,...a.sessions],error:null})),l}catch(l){return console.error("[SessionListStore] Failed to create session:",l),e({error:l.message}),null}},renameSession:async(n,r)=>{try{const s=await gn(`/api/sessions/${encodeURIComponent(n)}`,{method:"PATCH",headers:te(n),body:JSON.stringify({name:r})});e(l=>({sessions:l.sessions.map(a=>a.id===n?s:a),error:null}))}catch(s){console.error("[SessionListStore] Failed to rename session:",s),e({error:s.message})}},setArchived:async(n,r)=>{try{await gn(`/api/sessions/${encodeURIComponent(n)}`,{method:"PATCH",headers:te(n),body:JSON.stringify({archived:r})}),await t().loadSessions()}catch(s){console.error("[SessionListStore] Failed to archive session:",s),e({error:s.message})}},deleteSession:async n=>{try{await gn(`/api/sessions/${encodeURIComponent(n)}`,{method:"DELETE",headers:te(n)}),localStorage.removeItem(Fl(n)),e(r=>({sessions:r.sessions.filter(s=>s.id!==n),error:null})),t().activeSessionId===n&&t().selectSession("default")}catch(r){console.error("[SessionListStore] Failed to delete session:",r),e({error:r.message})}},selectSession:n=>{localStorage.setItem(tu,n),e({activeSessionId:n,role:null})},setRole:n=>e({role:n}),setProtocolError:n=>e({protocolError:n}),getActiveSession:()=>{const{sessions:n,activeSessionId:r}=t();return n.find(s=>s.id===r)}}));async function ru(e,t){return(await e.json().catch(()=>({}))).error||t}function cg(){return"char_"+Date.now().toString(36)+Math.random().toString(36).slice(2,9)}function ug(){return{id:cg(),name:"",handle:"",background:"street",portrait:null,pronouns:"",attributes:{reflex:0,body:0,tech:0,neural:0,edge:0,presence:0},skills:{firearms:0,heavy_weapons:0,melee:0,evasion:0,netrunning:0,hardware:0,rigging:0,medicine:0,persuasion:0,intimidation:0,deception:0,streetwise:0,perception:0,investigation:0,stealth:0,survival:0},derived:{stress:0,stressMax:5,wounds:[{slot:1,name:null,penalty:-1},{slot:2,name:null,penalty:-2},{slot:3,name:null,penalty:"out"}],armor:0},cyberware:[],gear:[],weapons:[],contacts:[],notes:"",credits:0,experience:0,meta:{created:new Date().toISOString(),lastModified:new Date().toISOString()}}}const _i=lt(e=>({connectedPlayers:[],setConnectedPlayers:t=>e({connectedPlayers:t}),addConnectedPlayer:t=>e(n=>({connectedPlayers:[...n.connectedPlayers.filter(r=>r.socketId!==t.socketId),t]})),removeConnectedPlayer:t=>e(n=>({connectedPlayers:n.connectedPlayers.filter(r=>r.socketId!==t)})),characters:[],isLoading:!1,error:null,isPanelOpen:!1,isPanelMinimized:!1,panelPosition:{x:100,y:100},selectedCharacterId:null,openPanel:()=>e({isPanelOpen:!0,isPanelMinimized:!1}),closePanel:()=>e({isPanelOpen:!1,selectedCharacterId:null}),toggleMinimize:()=>e(t=>({isPanelMinimized:!t.isPanelMinimized})),setPanelPosition:(t,n)=>e({panelPosition:{x:t,y:n}}),selectCharacter:t=>e({selectedCharacterId:t}),loadCharacters:async()=>{e({isLoading:!0,error:null});try{const t=await fetch("/api/characters");if(!t.ok)throw new Error("Failed to load characters");const n=await t.json(),r=await Promise.all(n.map(async s=>(await fetch(`/api/characters/${s.id}`)).json()));e({characters:r,isLoading:!1})}catch(t){console.error("[PlayerStore] Failed to load characters:",t),e({error:t.message,isLoading:!1})}},saveCharacter:async t=>{try{t.meta=t.meta||{},t.meta.lastModified=new Date().toISOString();const n=await fetch("/api/characters",{method:"POST",headers:{"Content-Type":"application/json",...te()},body:JSON.stringify(t)});if(!n.ok)throw new Error(await ru(n,"Failed to save character"));e(r=>{const s=r.characters.findIndex(l=>l.id===t.id);if(s>=0){const l=[...r.characters];return l[s]=t,{characters:l}}else return{characters:[...r.characters,t]}})}catch(n){throw console.error("[PlayerStore] Failed to save character:",n),n}},deleteCharacter:async t=>{try{const n=await fetch(`/api/characters/${t}`,{method:"DELETE",headers:te()});if(!n.ok)throw new Error(await ru(n,"Failed to delete character"));e(r=>({characters:r.characters.filter(s=>s.id!==t),selectedCharacterId:r.selectedCharacterId===t?null:r.selectedCharacterId}))}catch(n){throw console.error("[PlayerStore] Failed to delete character:",n),n}},remoteRevisions:{},applyRemoteCharacter:t=>e(n=>({characters:n.characters.some(s=>s.id===t.id)?n.characters.map(s=>s.id===t.id?t:s):[...n.characters,t],remoteRevisions:{...n.remoteRevisions,[t.id]:(n.remoteRevisions[t.id]||0)+1}})),createNewCharacter:()=>{const t=ug();return e(n=>({characters:[...n.characters,t],selectedCharacterId:t.id})),t}}));function dg({sceneLabel:e,position:t,activeSceneLabel:n,isViewingActive:r,onSettings:s,onSessions:l,onExportAll:a,onClose:i}){const{connectedPlayers:c,isPanelOpen:u,openPanel:p}=_i(),m=J(d=>d.activeSessionId),h=J(d=>d.getActiveSession()),g=c.filter(d=>d.role==="player").length,y=c.filter(d=>d.role==="spectator").length;return o.jsx("header",{className:L("px-4 flex flex-col justify-center","bg-neutral-800 border-b border-neutral-700",r?"h-12":"h-16"),children:o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsx("div",{className:"flex-1 min-w-0",children:r?o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(vt,{size:14,className:"text-green-400 flex-shrink-0"}),o.jsx("h1",{className:"text-lg font-semibold truncate text-green-100",children:e})]}):o.jsxs("div",{className:"space-y-0.5",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(Ll,{size:12,className:"text-amber-400 flex-shrink-0"}),o.jsx("span",{className:"text-xs text-amber-400 uppercase tracking-wide",children:"Viewing"}),o.jsx("span",{className:"text-sm font-medium text-neutral-100 truncate",children:e})]}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(vt,{size:12,className:"text-green-400 flex-shrink-0"}),o.jsx("span",{className:"text-xs text-green-400 uppercase tracking-wide",children:"Active"}),o.jsx("span",{className:"text-sm text-neutral-400 truncate",children:n||"None"})]})]})}),o.jsxs("div",{className:"flex items-center gap-4 flex-shrink-0",children:[o.jsx("span",{className:"text-neutral-400 text-sm font-mono",children:t}),o.jsxs("button",{onClick:l,className:"px-3 py-1.5 rounded text-xs font-medium flex items-center gap-1.5 bg-neutral-700 hover:bg-neutral-600 text-neutral-200",title:"Switch or manage sessions",children:[o.jsx(hv,{size:14}),o.jsx("span",{className:"max-w-[10rem] truncate",children:(h==null?void 0:h.name)||m}),h&&o.jsx("span",{className:"font-mono text-amber-300",children:h.joinCode})]}),o.jsxs("button",{onClick:p,className:L("px-3 py-1.5 rounded text-xs font-medium flex items-center gap-1.5 transition-colors",u?"bg-cyan-600 text-white":"bg-neutral-700 hover:bg-neutral-600 text-neutral-200",g>0&&"ring-1 ring-green-400/50"),title:y>0?`Manage player characters (${y} spectating)`:"Manage player characters",children:[o.jsx(gt,{size:14}),o.jsx("span",{children:g}),y>0&&o.jsxs("span",{className:"flex items-center gap-0.5 text-neutral-400",children:[o.jsx(Mi,{size:12}),y]}),g>0&&o.jsx("span",{className:"w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse"})]}),o.jsxs("button",{onClick:a,className:"px-3 py-1.5 rounded text-xs font-medium flex items-center gap-1.5 bg-cyan-700 hover:bg-cyan-600 text-white",title:"Export full adventure bundle for LLMs",children:[o.jsx(Xf,{size:14}),o.jsx("span",{children:"Export All"})]}),o.jsx("button",{onClick:s,className:"p-1.5 rounded hover:bg-neutral-700 text-neutral-400 hover:text-neutral-100 transition-colors",title:"Settings",children:o.jsx(Iv,{size:18})}),o.jsx("button",{onClick:i,className:"p-1.5 rounded hover:bg-neutral-700 text-neutral-400 hover:text-neutral-100 transition-colors",title:"Close (G)",children:o.jsx(He,{size:18})})]})]})})}function fg({trail:e,hubLabel:t,onHub:n}){const r=e.length>4?[e[0],{label:"...",onClick:()=>{}},...e.slice(-2)]:e;return o.jsxs("nav",{className:L("h-8 px-4 flex items-center gap-2","bg-neutral-850 text-sm border-b border-neutral-800"),children:[r.map((s,l)=>o.jsxs(w.Fragment,{children:[l>0&&o.jsx(Ol,{size:14,className:"text-neutral-500 flex-shrink-0"}),o.jsx("button",{onClick:s.onClick,disabled:s.label==="...",className:L("hover:text-cyan-400 transition-colors truncate",s.label==="..."&&"cursor-default text-neutral-500"),children:s.label})]},l)),o.jsx("div",{className:"flex-1"}),t&&n&&o.jsxs("button",{onClick:n,className:"flex items-center gap-1 text-amber-400 hover:text-amber-300 transition-colors",children:[o.jsx(yv,{size:14}),o.jsx("span",{children:t})]})]})}const K=lt((e,t)=>({isVisible:!0,setVisible:n=>e({isVisible:n}),toggle:()=>e(n=>({isVisible:!n.isVisible})),currentView:"narrative",viewStack:[],selectedNPC:null,selectedItem:null,breadcrumbs:[],activeSection:"narrative",setActiveSection:n=>e({activeSection:n}),activeModal:null,modalData:null,openModal:(n,r)=>e({activeModal:n,modalData:r}),closeModal:()=>e({activeModal:null,modalData:null}),pushView:(n,r,s)=>{const{currentView:l,viewStack:a,breadcrumbs:i}=t();let c=s||n;(n==="npc"&&r&&typeof r=="object"&&"name"in r||n==="item"&&r&&typeof r=="object"&&"name"in r)&&(c=r.name),e({viewStack:[...a,{view:l,data:r}],currentView:n,selectedNPC:n==="npc"?r:null,selectedItem:n==="item"?r:null,breadcrumbs:[...i,{label:c,view:n,data:r}]})},popView:()=>{const{viewStack:n,breadcrumbs:r}=t();if(n.length===0)return;const s=n[n.length-1];e({viewStack:n.slice(0,-1),currentView:s.view,selectedNPC:s.view==="npc"?s.data:null,selectedItem:s.view==="item"?s.data:null,breadcrumbs:r.slice(0,-1)})},resetToNarrative:()=>{e({currentView:"narrative",viewStack:[],selectedNPC:null,selectedItem:null,breadcrumbs:[],activeSection:"narrative"})},navigateToBreadcrumb:n=>{const{breadcrumbs:r}=t();if(n<0||n>=r.length)return;const s=r[n];e({currentView:s.view,viewStack:[],selectedNPC:s.view==="npc"?s.data:null,selectedItem:s.view==="item"?s.data:null,breadcrumbs:r.slice(0,n+1)})},selectNPC:n=>{t().pushView("npc",n,n.name)},selectItem:n=>{t().pushView("item",n,n.name)},refreshNPC:async n=>{var r;if(((r=t().selectedNPC)==null?void 0:r.id)===n)try{const s=await fetch(`/api/npcs/${encodeURIComponent(n)}`,{headers:te()});if(!s.ok)return;const l=await s.json(),{selectedNPC:a,breadcrumbs:i}=t();if((a==null?void 0:a.id)!==n)return;e({selectedNPC:l,breadcrumbs:i.map(c=>{var u;return c.view==="npc"&&((u=c.data)==null?void 0:u.id)===n?{...c,data:l}:c})})}catch(s){console.error("[ViewStore] Failed to refresh NPC:",n,s)}}})),re=lt((e,t)=>({adventureId:null,scenes:[],currentIndex:0,currentScene:null,loading:!1,error:null,activeSceneId:null,activeSceneIndex:0,activeScene:null,loadScenes:async n=>{var r;e({loading:!0,error:null,adventureId:n});try{const s=await fetch(`/api/adventures/${n}/scenes`,{headers:te()});if(!s.ok)throw new Error(`Failed to load scenes: ${s.statusText}`);const l=await s.json(),{currentScene:a,activeSceneId:i}=t(),c=Math.max(0,l.findIndex(p=>p.id===(a==null?void 0:a.id))),u=Math.max(0,l.findIndex(p=>p.id===i));e({scenes:l,currentIndex:c,currentScene:l[c]||null,loading:!1,activeSceneId:((r=l[u])==null?void 0:r.id)||null,activeSceneIndex:u,activeScene:l[u]||null})}catch(s){console.error("[SceneStore] Failed to load scenes:",s),e({error:s instanceof Error?s.message:"Failed to load scenes",loading:!1});try{const l=await fetch("/api/scenes",{headers:te()});if(l.ok){const a=await l.json(),i=a[0]||null;e({scenes:a,currentIndex:0,currentScene:i,loading:!1,error:null,activeSceneId:(i==null?void 0:i.id)||null,activeSceneIndex:0,activeScene:i})}}catch{}}},reloadScene:async n=>{const{adventureId:r,scenes:s,loadScenes:l}=t();if(!(!r||!n.startsWith(r))){if(!s.some(a=>a.id===n)){await l(r);return}try{const a=await fetch(`/api/scenes/${encodeURIComponent(n)}`,{headers:te()});if(!a.ok){await l(r);return}const i=await a.json(),{currentScene:c,activeScene:u}=t();e({scenes:t().scenes.map(p=>p.id===n?i:p),currentScene:(c==null?void 0:c.id)===n?i:c,activeScene:(u==null?void 0:u.id)===n?i:u}),console.log("[SceneStore] Scene reloaded:",i.title)}catch(a){console.error("[SceneStore] Failed to reload scene:",n,a)}}},goToScene:n=>{const{scenes:r}=t();n>=0&&n<r.length&&(e({currentIndex:n,currentScene:r[n]}),window.dispatchEvent(new CustomEvent("gm-overlay:scene-change",{detail:{scene:r[n],index:n}})))},goToSceneById:n=>{const{scenes:r,goToScene:s}=t(),l=r.findIndex(a=>a.id===n);l!==-1&&s(l)},nextScene:()=>{const{currentIndex:n,scenes:r,goToScene:s}=t();n<r.length-1&&s(n+1)},prevScene:()=>{const{currentIndex:n,goToScene:r}=t();n>0&&r(n-1)},hasNext:()=>{const{currentIndex:n,scenes:r}=t();return n<r.length-1},hasPrev:()=>{const{currentIndex:n}=t();return n>0},activateScene:n=>{const{scenes:r}=t(),s=r.findIndex(a=>a.id===n);if(s===-1)return;const l=r[s];e({activeSceneId:n,activeSceneIndex:s,activeScene:l}),window.dispatchEvent(new CustomEvent("gm-overlay:activate-scene",{detail:{sceneId:n,scene:l,index:s}})),console.log("[SceneStore] Scene activated:",l.title)},activateCurrentScene:()=>{const{currentScene:n}=t();n&&t().activateScene(n.id)},isActiveScene:n=>{const{activeSceneId:r,currentScene:s}=t();return(n??(s==null?void 0:s.id))===r},isViewingActiveScene:()=>{const{currentScene:n,activeSceneId:r}=t();return(n==null?void 0:n.id)===r},updateSceneImage:(n,r,s)=>{const{scenes:l,currentScene:a,activeScene:i}=t(),c=l.map(m=>m.id===n?{...m,image:r??void 0,imageUrl:s??void 0}:m),u=(a==null?void 0:a.id)===n?{...a,image:r??void 0,imageUrl:s??void 0}:a,p=(i==null?void 0:i.id)===n?{...i,image:r??void 0,imageUrl:s??void 0}:i;e({scenes:c,currentScene:u,activeScene:p}),console.log(`[SceneStore] Updated image for scene ${n}:`,r)}})),pg=[{id:"location",icon:Kr,label:"Location"},{id:"narrative",icon:Ll,label:"Narrative"},{id:"npcs",icon:gt,label:"NPCs"},{id:"checks",icon:rr,label:"Checks"},{id:"triggers",icon:Al,label:"Triggers"},{id:"dialogue",icon:qf,label:"Dialogue"}];function mg(){var l,a,i;const{activeSection:e,setActiveSection:t}=K(),{currentScene:n}=re(),r=new Set;n&&((n.location||n.environment)&&r.add("location"),n.narrative&&r.add("narrative"),(l=n.npcs)!=null&&l.length&&r.add("npcs"),(a=n.challenges)!=null&&a.length&&r.add("checks"),(i=n.triggers)!=null&&i.length&&r.add("triggers"),n.conversation&&r.add("dialogue"));const s=c=>{t(c);const u=document.getElementById(`section-${c}`);u&&u.scrollIntoView({behavior:"smooth",block:"start"})};return o.jsx("nav",{className:L("h-10 px-4 flex items-center gap-1","bg-neutral-800 border-b border-neutral-700"),children:pg.map(({id:c,icon:u,label:p})=>{const m=r.has(c),h=e===c;return o.jsxs("button",{onClick:()=>m&&s(c),disabled:!m,className:L("px-3 py-1 rounded flex items-center gap-1.5 text-sm transition-colors",h&&"bg-cyan-600 text-white",!h&&m&&"hover:bg-neutral-700 text-neutral-300",!m&&"opacity-40 cursor-not-allowed text-neutral-500"),children:[o.jsx(u,{size:14}),o.jsx("span",{className:"hidden sm:inline",children:p})]},c)})})}function H({id:e,title:t,icon:n,variant:r="default",action:s,children:l}){return o.jsxs("section",{id:e?`section-${e}`:void 0,className:L("space-y-2",r==="secret"&&"border-l-2 border-red-600 pl-3"),children:[o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsxs("h3",{className:L("text-sm font-semibold uppercase tracking-wide flex items-center gap-2",r==="default"&&"text-amber-500",r==="secret"&&"text-red-400"),children:[n&&o.jsx(n,{size:14}),t]}),s]}),o.jsx("div",{className:"text-neutral-300",children:l})]})}function hg({name:e,id:t}){const{selectNPC:n}=K(),r=async()=>{try{const s=t||e.toLowerCase().replace(/\s+/g,"_"),l=await fetch(`/api/npcs/${s}`);if(l.ok){const a=await l.json();n(a)}else console.warn(`NPC not found: ${e}`)}catch(s){console.error("Failed to load NPC:",s)}};return o.jsxs("button",{onClick:r,className:"text-cyan-400 hover:text-cyan-300 hover:underline transition-colors",children:["[",e,"]"]})}function vg({scene:e}){var y;const{scenes:t,goToSceneById:n,activateScene:r,isActiveScene:s}=re(),{openModal:l}=K(),a=e.transitions,i=t.findIndex(d=>d.id===e.id),c=i>=0&&i<t.length-1?t[i+1]:null,u=(a==null?void 0:a.next)||(c?[{targetSceneId:c.id,label:`Scene ${c.scene}: ${c.title}`,description:((y=c.narrative)==null?void 0:y.substring(0,100))+"..."}]:[]),p=(a==null?void 0:a.branches)||[],m=d=>{n(d)},h=d=>{r(d),n(d)},g=()=>{l("sceneJumper")};return u.length===0&&p.length===0?o.jsx("div",{className:"mt-8 pt-6 border-t-2 border-neutral-600",children:o.jsxs("div",{className:"text-center text-neutral-500 py-4",children:[o.jsx("p",{className:"text-sm",children:"End of adventure"}),o.jsxs("button",{onClick:g,className:"mt-3 px-4 py-2 bg-neutral-700 hover:bg-neutral-600 rounded text-sm flex items-center gap-2 mx-auto",children:[o.jsx(Ca,{size:14}),"Jump to Any Scene..."]})]})}):o.jsxs("div",{className:"mt-8 pt-6 border-t-2 border-neutral-600",children:[o.jsxs("h3",{className:"text-lg font-semibold text-amber-400 flex items-center gap-2 mb-4",children:[o.jsx(vt,{size:18}),"Scene Transitions"]}),u.length>0&&o.jsxs("div",{className:"mb-4",children:[o.jsx("p",{className:"text-sm text-neutral-400 mb-2",children:"Continue to:"}),o.jsx("div",{className:"space-y-2",children:u.map((d,j)=>o.jsx(su,{transition:d,icon:o.jsx(Qf,{size:16}),isActive:s(d.targetSceneId),onView:()=>m(d.targetSceneId),onActivate:()=>h(d.targetSceneId)},d.targetSceneId||j))})]}),p.length>0&&o.jsxs("div",{className:"mb-4",children:[o.jsx("p",{className:"text-sm text-neutral-400 mb-2",children:"Or branch to:"}),o.jsx("div",{className:"space-y-2",children:p.map((d,j)=>o.jsx(su,{transition:d,icon:o.jsx(vv,{size:16}),isActive:s(d.targetSceneId),onView:()=>m(d.targetSceneId),onActivate:()=>h(d.targetSceneId),variant:"branch"},d.targetSceneId||j))})]}),o.jsx("div",{className:"pt-4 border-t border-neutral-700",children:o.jsxs("button",{onClick:g,className:"w-full px-4 py-2 bg-neutral-700 hover:bg-neutral-600 rounded text-sm flex items-center justify-center gap-2",children:[o.jsx(Ca,{size:14}),"Jump to Any Scene..."]})})]})}function su({transition:e,icon:t,isActive:n,onView:r,onActivate:s,variant:l="next"}){return o.jsx("div",{className:L("p-3 rounded border",l==="branch"?"bg-purple-900/20 border-purple-700/50":"bg-neutral-800 border-neutral-700",n&&"ring-2 ring-green-500/50"),children:o.jsxs("div",{className:"flex items-start justify-between gap-3",children:[o.jsxs("div",{className:"flex items-start gap-2 flex-1 min-w-0",children:[o.jsx("span",{className:L("mt-0.5",l==="branch"?"text-purple-400":"text-cyan-400"),children:t}),o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsxs("p",{className:"font-medium text-neutral-100 truncate",children:[e.label,n&&o.jsx("span",{className:"ml-2 text-xs text-green-400",children:"(ACTIVE)"})]}),e.description&&o.jsx("p",{className:"text-sm text-neutral-400 mt-1 line-clamp-2",children:e.description}),e.condition&&o.jsxs("p",{className:"text-xs text-amber-400 mt-1 italic",children:["Condition: ",e.condition]})]})]}),o.jsxs("div",{className:"flex items-center gap-2 flex-shrink-0",children:[o.jsx("button",{onClick:r,className:"px-3 py-1.5 text-xs bg-neutral-700 hover:bg-neutral-600 rounded",children:"View"}),o.jsx("button",{onClick:s,disabled:n,className:L("px-3 py-1.5 text-xs rounded font-medium",n?"bg-green-900/50 text-green-400 cursor-not-allowed":"bg-amber-600 hover:bg-amber-500 text-white"),children:n?"Active":"Activate"})]})]})})}function gg(){const{currentScene:e,updateSceneImage:t}=re(),[n,r]=w.useState(!1),[s,l]=w.useState(null),a=w.useRef(null);if(!e)return null;const i=e.imageUrl?e.imageUrl:e.image?`/assets/scene_backgrounds/${e.image}`:null,c=()=>{var m;(m=a.current)==null||m.click()},u=async m=>{var g;const h=(g=m.target.files)==null?void 0:g[0];if(!(!h||!e)){r(!0),l(null);try{const y=new FormData;y.append("image",h);const d=await fetch(`/api/scenes/${e.id}/image`,{method:"POST",headers:te(),body:y});if(!d.ok){const v=await d.json();throw new Error(v.error||"Failed to upload image")}const j=await d.json();t(e.id,j.image,j.imageUrl),console.log("[SceneImageManager] Image uploaded:",j)}catch(y){console.error("[SceneImageManager] Upload error:",y),l(y instanceof Error?y.message:"Failed to upload image")}finally{r(!1),a.current&&(a.current.value="")}}},p=async()=>{if(!(!e||!e.image)&&confirm("Remove the background image from this scene?")){r(!0),l(null);try{const m=await fetch(`/api/scenes/${e.id}/image`,{method:"DELETE",headers:te()});if(!m.ok){const h=await m.json();throw new Error(h.error||"Failed to remove image")}t(e.id,null,null),console.log("[SceneImageManager] Image removed")}catch(m){console.error("[SceneImageManager] Remove error:",m),l(m instanceof Error?m.message:"Failed to remove image")}finally{r(!1)}}};return o.jsxs("div",{className:"text-xs",children:[o.jsxs("div",{className:L("relative h-36 w-full rounded-md overflow-hidden","border border-neutral-700","bg-neutral-800"),children:[i?o.jsx("img",{src:i,alt:e.title,className:"w-full h-full object-cover",onError:m=>{m.target.style.display="none"}}):o.jsx("div",{className:"absolute inset-0 flex items-center justify-center text-neutral-500",children:o.jsxs("div",{className:"text-center",children:[o.jsx(Kc,{size:20,className:"mx-auto mb-1 opacity-50"}),o.jsx("span",{className:"text-[11px]",children:"No image"})]})}),n&&o.jsx("div",{className:"absolute inset-0 bg-black/60 flex items-center justify-center",children:o.jsx(Ev,{size:18,className:"animate-spin text-cyan-400"})})]}),o.jsxs("div",{className:"mt-2 space-y-1 min-w-0",children:[o.jsxs("div",{className:"flex items-center justify-between gap-2",children:[o.jsxs("span",{className:"flex items-center gap-1 text-[11px] text-neutral-400",children:[o.jsx(Kc,{size:10}),"Scene Image"]}),e.image&&o.jsx("span",{className:"text-[10px] text-neutral-500 truncate max-w-[10rem]",title:e.image,children:e.image})]}),o.jsxs("div",{className:"flex gap-2",children:[o.jsxs("button",{onClick:c,disabled:n,className:L("flex-1 px-3 py-1.5 rounded text-[11px] font-medium flex items-center justify-center gap-1.5","bg-cyan-700 hover:bg-cyan-600 text-white","disabled:opacity-50 disabled:cursor-not-allowed"),children:[o.jsx(Ii,{size:11}),e.image?"Replace":"Upload"]}),e.image&&o.jsx("button",{onClick:p,disabled:n,className:L("px-3 py-1.5 rounded text-[11px] font-medium flex items-center justify-center gap-1.5","bg-red-700 hover:bg-red-600 text-white","disabled:opacity-50 disabled:cursor-not-allowed"),title:"Remove image",children:o.jsx(sr,{size:11})})]}),s?o.jsx("p",{className:"text-[10px] text-red-400 truncate",children:s}):o.jsx("p",{className:"text-[10px] text-neutral-500 truncate",children:"Auto-named from scene id."}),o.jsx("input",{ref:a,type:"file",accept:"image/png,image/jpeg,image/webp,image/gif",onChange:u,className:"hidden"})]})]})}function xg({scene:e}){return e?o.jsxs("div",{className:"space-y-4",children:[o.jsxs(H,{id:"location",title:"Location",icon:Kr,children:[o.jsx("p",{className:"text-lg font-medium text-neutral-100",children:e.location}),e.environment&&o.jsxs("dl",{className:"mt-3 grid grid-cols-2 gap-x-4 gap-y-2 text-sm",children:[e.environment.tone&&o.jsxs(o.Fragment,{children:[o.jsx("dt",{className:"text-neutral-400",children:"Tone"}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.tone})]}),e.environment.lighting&&o.jsxs(o.Fragment,{children:[o.jsxs("dt",{className:"text-neutral-400 flex items-center gap-2",children:[o.jsx(Jc,{size:14})," Lighting",e.environment.lighting.actuator&&o.jsx(lu,{icon:o.jsx(Jc,{size:12}),label:"Apply",onClick:()=>{var t;return kg((t=e.environment)==null?void 0:t.lighting)}})]}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.lighting.description})]}),e.environment.audio&&o.jsxs(o.Fragment,{children:[o.jsxs("dt",{className:"text-neutral-400 flex items-center gap-2",children:[o.jsx(Lv,{size:14})," Audio",e.environment.audio.actuator&&o.jsx(lu,{icon:o.jsx(vt,{size:12}),label:"Play",onClick:()=>{var t;return Cg((t=e.environment)==null?void 0:t.audio)}})]}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.audio.description})]}),e.environment.smell&&o.jsxs(o.Fragment,{children:[o.jsx("dt",{className:"text-neutral-400",children:"Smell"}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.smell})]})]})]}),o.jsx(H,{id:"narrative",title:"Narrative",icon:Ll,action:o.jsxs("button",{onClick:()=>K.getState().pushView("karaoke",e,"Karaoke"),className:"flex items-center gap-1 text-xs text-amber-400 hover:text-amber-300",children:[o.jsx(ep,{size:12})," Karaoke"]}),children:o.jsxs("div",{className:"relative",children:[o.jsx("div",{className:"float-right ml-6 mb-3 w-72 max-w-[40%]",children:o.jsx(gg,{})}),o.jsx(yg,{text:e.narrative}),o.jsx("div",{className:"clear-both"})]})}),e.npcs&&e.npcs.length>0&&o.jsx(H,{id:"npcs",title:"NPCs in Scene",icon:gt,children:o.jsx("ul",{className:"space-y-1",children:e.npcs.map(t=>o.jsx(wg,{npc:t},t.id))})}),e.challenges&&e.challenges.length>0&&o.jsx(H,{id:"checks",title:"Skill Checks",icon:rr,children:o.jsx("ul",{className:"space-y-2",children:e.challenges.map(t=>o.jsx(jg,{check:t},t.id))})}),e.triggers&&e.triggers.length>0&&o.jsx(H,{id:"triggers",title:"Triggers",icon:Al,children:o.jsx("ul",{className:"space-y-2",children:e.triggers.map(t=>o.jsx(Sg,{trigger:t},t.id))})}),e.conversation&&o.jsx(H,{id:"dialogue",title:"Conversation Guide",icon:qf,children:o.jsx(Ng,{conversation:e.conversation})}),o.jsx(vg,{scene:e})]}):o.jsx("div",{className:"flex items-center justify-center h-64 text-neutral-500",children:"No scene loaded"})}function yg({text:e}){const t=e.split(/(\[[^\]]+\])/g);return o.jsx("div",{className:"prose prose-invert prose-sm max-w-none",children:t.map((n,r)=>{if(n.startsWith("[")&&n.endsWith("]")){const s=n.slice(1,-1);return o.jsx(hg,{name:s},r)}return o.jsx("span",{children:n},r)})})}function wg({npc:e}){const{selectNPC:t}=K(),n={active:"●",passive:"○",hidden:"◐",defeated:"✗"}[e.state],r={active:"text-green-400",passive:"text-neutral-400",hidden:"text-blue-400",defeated:"text-red-400"}[e.state],s=async()=>{try{const l=await fetch(`/api/npcs/${e.statblock||e.id}`,{headers:te()});if(l.ok){const a=await l.json();t(a)}}catch(l){console.error("Failed to load NPC:",l)}};return o.jsx("li",{children:o.jsxs("button",{onClick:s,className:L("flex items-center gap-2 w-full text-left px-2 py-1 rounded","hover:bg-neutral-700 transition-colors"),children:[o.jsx("span",{className:r,children:n}),o.jsxs("span",{className:"text-cyan-400 hover:text-cyan-300",children:["[",e.name,"]"]}),o.jsxs("span",{className:"text-neutral-400",children:["- ",e.role]})]})})}function jg({check:e}){const t={active:"ACTIVE",passive:"PASSIVE",hidden:"HIDDEN"}[e.type],n={active:"badge-cyan",passive:"badge-green",hidden:"badge-amber"}[e.type],r=()=>{const s=Math.floor(Math.random()*20)+1,l=s>=e.dc;console.log(`[GM] ${e.name} (DC ${e.dc}): d20 = ${s} - ${l?"SUCCESS":"FAIL"}`)};return o.jsxs("li",{className:"flex items-center justify-between p-2 bg-neutral-800 rounded",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(rr,{size:14,className:"text-amber-400"}),o.jsx("span",{className:"font-medium",children:e.skill}),o.jsxs("span",{className:"text-neutral-400",children:["DC ",e.dc]}),o.jsxs("span",{className:"text-neutral-300",children:["- ",e.name]}),o.jsx("span",{className:L("badge",n),children:t})]}),o.jsx("button",{onClick:r,className:"btn btn-secondary text-xs",children:"Roll"})]})}function Sg({trigger:e}){const t=()=>{var r,s;console.log("[GM] Trigger fired:",e.label);const n=e.sets_flag||e.setsFlag||`reveal:${e.id}`;(s=(r=window.GMOverlay)==null?void 0:r.flags)==null||s.set(n,!0)};return o.jsxs("li",{className:"flex items-center justify-between p-2 bg-neutral-800 rounded",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(Al,{size:14,className:"text-yellow-400"}),o.jsx("span",{className:"font-medium",children:e.label}),e.text&&o.jsxs("span",{className:"text-neutral-400 text-sm truncate max-w-xs",children:["- ",e.text]}),e.irreversible&&o.jsx("span",{className:"badge badge-red",children:"Irreversible"})]}),o.jsx("button",{onClick:t,className:"btn btn-secondary text-xs",children:"Fire"})]})}function Ng({conversation:e}){return e?o.jsxs("div",{className:"space-y-3",children:[o.jsxs("div",{className:"space-y-1",children:[e.imperatives.must.map((t,n)=>o.jsxs("div",{className:"text-sm px-2 py-1 bg-green-900/30 border border-green-700 rounded",children:[o.jsx("span",{className:"text-green-400 font-medium",children:"MUST:"})," ",t]},n)),e.imperatives.must_not.map((t,n)=>o.jsxs("div",{className:"text-sm px-2 py-1 bg-red-900/30 border border-red-700 rounded",children:[o.jsx("span",{className:"text-red-400 font-medium",children:"MUST NOT:"})," ",t]},n))]}),o.jsxs("p",{className:"text-sm text-neutral-400",children:[e.topics.length," conversation topics available"]}),o.jsx("button",{onClick:()=>K.getState().pushView("conversation",e,"Conversation"),className:"btn btn-secondary text-sm",children:"Open Full Guide"})]}):null}function lu({icon:e,label:t,onClick:n}){return o.jsxs("button",{onClick:n,className:"ml-2 px-1.5 py-0.5 text-xs bg-cyan-600 hover:bg-cyan-500 rounded flex items-center gap-1",children:[e,t]})}function kg(e){e&&(console.log("[GM] Applying lighting:",e.preset||e.description),window.dispatchEvent(new CustomEvent("gm-overlay:lighting",{detail:e})))}function Cg(e){e&&(console.log("[GM] Playing audio:",e.tracks||e.description),window.dispatchEvent(new CustomEvent("gm-overlay:audio",{detail:e})))}function bg({npc:e}){const{popView:t}=K(),n=()=>{window.open(`/npc/${e.id}`,"_blank","width=600,height=800")};return o.jsxs("div",{className:"space-y-4",children:[o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsxs("button",{onClick:t,className:"flex items-center gap-1 text-cyan-400 hover:text-cyan-300",children:[o.jsx(zl,{size:16})," Back to Scene"]}),o.jsx("button",{onClick:n,className:"text-neutral-400 hover:text-neutral-100",title:"Pop out",children:o.jsx(uv,{size:16})})]}),o.jsxs("header",{className:"border-b border-neutral-700 pb-4",children:[o.jsx("h2",{className:"text-2xl font-bold",children:e.name}),o.jsxs("p",{className:"text-neutral-400",children:[e.pronouns&&`(${e.pronouns}) `,e.species&&`[${e.species}] `,e.faction&&`[Faction: ${e.faction}]`]}),o.jsxs("p",{className:"text-lg text-neutral-200",children:[e.role,e.archetype&&` | ${e.archetype}`]}),o.jsxs("div",{className:"mt-3 flex flex-wrap gap-2",children:[o.jsx(Ss,{icon:o.jsx(Mi,{size:14}),label:"Show Image",onClick:()=>Eg(e)}),o.jsx(Ss,{icon:o.jsx(Kr,{size:14}),label:"Ping Token",onClick:()=>Pg(e)}),o.jsx(Ss,{icon:o.jsx(dv,{size:14}),label:"Hide",onClick:()=>Mg(e)}),o.jsx(Ss,{icon:o.jsx(Rv,{size:14}),label:"Kill",variant:"danger",onClick:()=>Tg(e)})]})]}),o.jsx(H,{title:"Description",children:o.jsx("p",{className:"text-neutral-300",children:e.description})}),e.appearance&&o.jsx(H,{title:"Appearance",children:o.jsx("p",{className:"text-neutral-300",children:e.appearance})}),e.demeanor&&o.jsx(H,{title:"Demeanor",children:o.jsx("p",{className:"text-neutral-300",children:e.demeanor})}),e.known_facts&&e.known_facts.length>0&&o.jsx(H,{title:"Known Facts",children:o.jsx("ul",{className:"list-disc list-inside space-y-1 text-neutral-300",children:e.known_facts.map((r,s)=>o.jsx("li",{children:r},s))})}),e.linked_entities&&e.linked_entities.length>0&&o.jsx(H,{title:"Linked Entities",children:o.jsx("div",{className:"flex flex-wrap gap-2",children:e.linked_entities.map(r=>o.jsx("span",{className:L("badge",r.type==="faction"&&"badge-amber",r.type==="location"&&"badge-green",r.type==="npc"&&"badge-cyan",r.type==="item"&&"badge-red"),children:r.label},r.id))})}),e.stats&&o.jsx(H,{title:"Stats",children:o.jsxs("div",{className:"grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm",children:[o.jsx(hr,{label:"Stress",value:`${e.stats.stress}/${e.stats.stressMax}`}),o.jsx(hr,{label:"Wounds",value:e.stats.wounds}),o.jsx(hr,{label:"Armor",value:e.stats.armor}),o.jsx(hr,{label:"Attack",value:`+${e.stats.attack}`}),e.stats.defense&&o.jsx(hr,{label:"Defense",value:e.stats.defense})]})}),e.attributes&&o.jsx(H,{title:"Attributes",children:o.jsx("div",{className:"flex flex-wrap gap-3 text-sm font-mono",children:Object.entries(e.attributes).map(([r,s])=>o.jsxs("span",{className:"text-neutral-300",children:[o.jsx("span",{className:"text-neutral-500",children:r.toUpperCase()})," ",o.jsxs("span",{className:s>=0?"text-green-400":"text-red-400",children:[s>=0?"+":"",s]})]},r))})}),e.skills&&o.jsx(H,{title:"Skills",children:o.jsx("div",{className:"space-y-1 text-sm",children:Object.entries(e.skills).map(([r,s])=>s&&o.jsxs("div",{className:"flex justify-between",children:[o.jsxs("span",{className:"text-neutral-400 capitalize",children:[r,":"]}),o.jsx("span",{className:"text-neutral-200",children:s})]},r))})}),e.abilities&&e.abilities.length>0&&o.jsx(H,{title:"Abilities",children:o.jsx("div",{className:"space-y-3",children:e.abilities.map((r,s)=>o.jsxs("div",{className:"p-2 bg-neutral-800 rounded",children:[o.jsxs("div",{className:"flex items-center gap-2 font-medium",children:[r.icon&&o.jsx("span",{children:r.icon}),r.name]}),o.jsx("p",{className:"text-sm text-neutral-400 mt-1",children:r.description})]},s))})}),e.weapons&&e.weapons.length>0&&o.jsx(H,{title:"Weapons",children:o.jsx("div",{className:"space-y-2",children:e.weapons.map((r,s)=>o.jsxs("div",{className:"flex justify-between text-sm p-2 bg-neutral-800 rounded",children:[o.jsx("span",{className:"font-medium",children:r.name}),o.jsx("span",{className:"text-amber-400",children:r.damage}),r.range&&o.jsx("span",{className:"text-neutral-400",children:r.range})]},s))})}),e.cyberware&&e.cyberware.length>0&&o.jsx(H,{title:"Cyberware",children:o.jsx("ul",{className:"list-disc list-inside space-y-1 text-neutral-300 text-sm",children:e.cyberware.map((r,s)=>o.jsx("li",{children:r},s))})}),e.loot&&e.loot.length>0&&o.jsx(H,{title:"Loot",children:o.jsx("div",{className:"space-y-1 text-sm",children:e.loot.map((r,s)=>o.jsxs("div",{className:"flex justify-between",children:[o.jsx("span",{className:"text-neutral-300",children:r.item}),o.jsxs("span",{className:"text-neutral-500",children:[r.chance,"%"]})]},s))})}),e.secrets&&Object.keys(e.secrets).length>0&&o.jsx(H,{title:"Secrets",icon:Zf,variant:"secret",children:o.jsx("div",{className:"space-y-2",children:Object.entries(e.secrets).map(([r,s])=>o.jsxs("div",{className:"p-2 bg-red-900/20 border border-red-800 rounded",children:[o.jsxs("span",{className:"text-red-400 font-medium capitalize",children:[r,":"]})," ",o.jsx("span",{className:"text-neutral-300",children:s})]},r))})}),e.behavior&&o.jsx(H,{title:"Behavior",children:o.jsxs("div",{className:"space-y-2 text-sm",children:[e.behavior.tactics&&o.jsxs("div",{children:[o.jsx("span",{className:"text-neutral-400",children:"Tactics:"})," ",o.jsx("span",{className:"text-neutral-200",children:e.behavior.tactics})]}),e.behavior.morale&&o.jsxs("div",{children:[o.jsx("span",{className:"text-neutral-400",children:"Morale:"})," ",o.jsx("span",{className:"text-neutral-200",children:e.behavior.morale})]}),e.behavior.motivation&&o.jsxs("div",{children:[o.jsx("span",{className:"text-neutral-400",children:"Motivation:"})," ",o.jsx("span",{className:"text-neutral-200",children:e.behavior.motivation})]})]})}),e.notes&&o.jsx(H,{title:"GM Notes",children:o.jsx("p",{className:"text-neutral-300 text-sm",children:e.notes})})]})}function hr({label:e,value:t}){return o.jsxs("div",{className:"p-2 bg-neutral-800 rounded text-center",children:[o.jsx("div",{className:"text-neutral-400 text-xs",children:e}),o.jsx("div",{className:"text-lg font-bold",children:t})]})}function Ss({icon:e,label:t,variant:n="default",onClick:r}){return o.jsxs("button",{onClick:r,className:L("btn flex items-center gap-1.5",n==="default"&&"btn-secondary",n==="danger"&&"btn-danger"),children:[e,t]})}function Eg(e){console.log("[GM] Show image:",e.image),window.dispatchEvent(new CustomEvent("gm-overlay:show-image",{detail:e}))}function Pg(e){console.log("[GM] Ping token:",e.token),window.dispatchEvent(new CustomEvent("gm-overlay:ping-token",{detail:e}))}function Mg(e){console.log("[GM] Hide NPC:",e.id),window.dispatchEvent(new CustomEvent("gm-overlay:hide-npc",{detail:e}))}function Tg(e){console.log("[GM] Kill NPC:",e.id),window.dispatchEvent(new CustomEvent("gm-overlay:kill-npc",{detail:e}))}function Ig({item:e}){const{popView:t}=K();return o.jsxs("div",{className:"space-y-4",children:[o.jsxs("button",{onClick:t,className:"flex items-center gap-1 text-cyan-400 hover:text-cyan-300",children:[o.jsx(zl,{size:16})," Back to Scene"]}),o.jsxs("header",{className:"border-b border-neutral-700 pb-4",children:[o.jsx("h2",{className:"text-2xl font-bold",children:e.name}),o.jsx("p",{className:"text-neutral-400",children:e.type}),e.value&&o.jsx("p",{className:"text-amber-400 font-mono",children:e.value})]}),o.jsx(H,{title:"Description",children:o.jsx("p",{className:"text-neutral-300",children:e.description})}),e.properties&&Object.keys(e.properties).length>0&&o.jsx(H,{title:"Properties",children:o.jsx("dl",{className:"grid grid-cols-2 gap-2 text-sm",children:Object.entries(e.properties).map(([n,r])=>o.jsxs("div",{children:[o.jsx("dt",{className:"text-neutral-400 capitalize",children:n}),o.jsx("dd",{className:"text-neutral-200",children:r})]},n))})}),e.notes&&o.jsx(H,{title:"GM Notes",children:o.jsx("p",{className:"text-neutral-300 text-sm",children:e.notes})})]})}const _g={neutral:"😐",sad:"😢",angry:"😠",happy:"😊",fearful:"😨"},Rg={neutral:"NEUTRAL TOPICS",sad:"SAD TOPICS (Makes NPC melancholy, more honest)",angry:"ANGRY TOPICS (Makes NPC defensive, evasive)",happy:"HAPPY TOPICS (Makes NPC friendly, talkative)",fearful:"FEARFUL TOPICS (Makes NPC anxious, cautious)"};function zg({conversation:e}){const{popView:t}=K(),[n,r]=w.useState(null),s=e.topics.reduce((l,a)=>(l[a.disposition]||(l[a.disposition]=[]),l[a.disposition].push(a),l),{});return o.jsxs("div",{className:"space-y-4",children:[o.jsxs("button",{onClick:t,className:"flex items-center gap-1 text-cyan-400 hover:text-cyan-300",children:[o.jsx(zl,{size:16})," Back to Scene"]}),o.jsxs("h2",{className:"text-xl font-bold",children:["💬 Conversation: ",e.npc_name||"NPC"]}),o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"font-semibold text-amber-400",children:"⚠️ Scene Imperatives"}),e.imperatives.must.map((l,a)=>o.jsxs("div",{className:L("flex items-start gap-2 p-2 rounded","bg-green-900/30 border border-green-700"),children:[o.jsx(Ei,{size:16,className:"text-green-400 mt-0.5 flex-shrink-0"}),o.jsxs("div",{children:[o.jsx("span",{className:"font-bold text-green-400",children:"MUST:"})," ",o.jsx("span",{className:"text-neutral-200",children:l})]})]},`must-${a}`)),e.imperatives.must_not.map((l,a)=>o.jsxs("div",{className:L("flex items-start gap-2 p-2 rounded","bg-red-900/30 border border-red-700"),children:[o.jsx(He,{size:16,className:"text-red-400 mt-0.5 flex-shrink-0"}),o.jsxs("div",{children:[o.jsx("span",{className:"font-bold text-red-400",children:"MUST NOT:"})," ",o.jsx("span",{className:"text-neutral-200",children:l})]})]},`must-not-${a}`))]}),["neutral","sad","angry","happy","fearful"].map(l=>{const a=s[l];return!a||a.length===0?null:o.jsxs("div",{className:"space-y-2",children:[o.jsxs("h3",{className:"font-semibold flex items-center gap-2",children:[o.jsx("span",{children:_g[l]}),o.jsx("span",{children:Rg[l]})]}),o.jsx("ul",{className:"space-y-2",children:a.map(i=>o.jsx(Lg,{topic:i,expanded:n===i.id,onToggle:()=>r(n===i.id?null:i.id)},i.id))})]},l)})]})}function Lg({topic:e,expanded:t,onToggle:n}){return o.jsxs("li",{className:"bg-neutral-800 rounded overflow-hidden",children:[o.jsxs("button",{onClick:n,className:"w-full flex items-center justify-between p-3 text-left hover:bg-neutral-750",children:[o.jsxs("span",{className:"font-medium text-cyan-400",children:["[",e.label,"]"]}),t?o.jsx(Pi,{size:16,className:"text-neutral-400"}):o.jsx(Ol,{size:16,className:"text-neutral-400"})]}),t&&o.jsxs("div",{className:"px-3 pb-3 space-y-2",children:[e.hints.map((r,s)=>o.jsxs("p",{className:"text-sm text-neutral-300 pl-4 border-l-2 border-neutral-600",children:["→ ",r]},s)),e.check&&o.jsxs("div",{className:"mt-2 p-2 bg-amber-900/20 border border-amber-700 rounded flex items-center gap-2",children:[o.jsx(rr,{size:14,className:"text-amber-400"}),o.jsxs("span",{className:"text-sm",children:[o.jsxs("span",{className:"text-amber-400",children:[e.check.trigger,":"]})," ",e.check.skill," DC ",e.check.dc]})]})]})]})}const Og={};function Ag(e,t){let n;try{n=e()}catch{return}return{getItem:s=>{var l;const a=c=>c===null?null:JSON.parse(c,void 0),i=(l=n.getItem(s))!=null?l:null;return i instanceof Promise?i.then(a):a(i)},setItem:(s,l)=>n.setItem(s,JSON.stringify(l,void 0)),removeItem:s=>n.removeItem(s)}}const Qr=e=>t=>{try{const n=e(t);return n instanceof Promise?n:{then(r){return Qr(r)(n)},catch(r){return this}}}catch(n){return{then(r){return this},catch(r){return Qr(r)(n)}}}},Dg=(e,t)=>(n,r,s)=>{let l={getStorage:()=>localStorage,serialize:JSON.stringify,deserialize:JSON.parse,partialize:j=>j,version:0,merge:(j,v)=>({...v,...j}),...t},a=!1;const i=new Set,c=new Set;let u;try{u=l.getStorage()}catch{}if(!u)return e((...j)=>{console.warn(`[zustand persist middleware] Unable to update item '${l.name}', the given storage is currently unavailable.`),n(...j)},r,s);const p=Qr(l.serialize),m=()=>{const j=l.partialize({...r()});let v;const f=p({state:j,version:l.version}).then(x=>u.setItem(l.name,x)).catch(x=>{v=x});if(v)throw v;return f},h=s.setState;s.setState=(j,v)=>{h(j,v),m()};const g=e((...j)=>{n(...j),m()},r,s);let y;const d=()=>{var j;if(!u)return;a=!1,i.forEach(f=>f(r()));const v=((j=l.onRehydrateStorage)==null?void 0:j.call(l,r()))||void 0;return Qr(u.getItem.bind(u))(l.name).then(f=>{if(f)return l.deserialize(f)}).then(f=>{if(f)if(typeof f.version=="number"&&f.version!==l.version){if(l.migrate)return l.migrate(f.state,f.version);console.error("State loaded from storage couldn't be migrated since no migrate function was provided")}else return f.state}).then(f=>{var x;return y=l.merge(f,(x=r())!=null?x:g),n(y,!0),m()}).then(()=>{v==null||v(y,void 0),a=!0,c.forEach(f=>f(y))}).catch(f=>{v==null||v(void 0,f)})};return s.persist={setOptions:j=>{l={...l,...j},j.getStorage&&(u=j.getStorage())},clearStorage:()=>{u==null||u.removeItem(l.name)},getOptions:()=>l,rehydrate:()=>d(),hasHydrated:()=>a,onHydrate:j=>(i.add(j),()=>{i.delete(j)}),onFinishHydration:j=>(c.add(j),()=>{c.delete(j)})},d(),y||g},Fg=(e,t)=>(n,r,s)=>{let l={storage:Ag(()=>localStorage),partialize:d=>d,version:0,merge:(d,j)=>({...j,...d}),...t},a=!1;const i=new Set,c=new Set;let u=l.storage;if(!u)return e((...d)=>{console.warn(`[zustand persist middleware] Unable to update item '${l.name}', the given storage is currently unavailable.`),n(...d)},r,s);const p=()=>{const d=l.partialize({...r()});return u.setItem(l.name,{state:d,version:l.version})},m=s.setState;s.setState=(d,j)=>{m(d,j),p()};const h=e((...d)=>{n(...d),p()},r,s);s.getInitialState=()=>h;let g;const y=()=>{var d,j;if(!u)return;a=!1,i.forEach(f=>{var x;return f((x=r())!=null?x:h)});const v=((j=l.onRehydrateStorage)==null?void 0:j.call(l,(d=r())!=null?d:h))||void 0;return Qr(u.getItem.bind(u))(l.name).then(f=>{if(f)if(typeof f.version=="number"&&f.version!==l.version){if(l.migrate)return[!0,l.migrate(f.state,f.version)];console.error("State loaded from storage couldn't be migrated since no migrate function was provided")}else return[!1,f.state];return[!1,void 0]}).then(f=>{var x;const[k,N]=f;if(g=l.merge(N,(x=r())!=null?x:h),n(g,!0),k)return p()}).then(()=>{v==null||v(g,void 0),g=r(),a=!0,c.forEach(f=>f(g))}).catch(f=>{v==null||v(void 0,f)})};return s.persist={setOptions:d=>{l={...l,...d},d.storage&&(u=d.storage)},clearStorage:()=>{u==null||u.removeItem(l.name)},getOptions:()=>l,rehydrate:()=>y(),hasHydrated:()=>a,onHydrate:d=>(i.add(d),()=>{i.delete(d)}),onFinishHydration:d=>(c.add(d),()=>{c.delete(d)})},l.skipHydration||y(),g||h},$g=(e,t)=>"getStorage"in t||"serialize"in t||"deserialize"in t?((Og?"production":void 0)!=="production"&&console.warn("[DEPRECATED] `getStorage`, `serialize` and `deserialize` options are deprecated. Use `storage` option instead."),Dg(e,t)):Fg(e,t),Ug=$g,Ns="gm-overlay-session",Qe=lt()(Ug((e,t)=>({notes:[],addNote:n=>e(r=>({notes:[...r.notes,n]})),removeNote:n=>e(r=>({notes:r.notes.filter((s,l)=>l!==n)})),updateNote:(n,r)=>e(s=>({notes:s.notes.map((l,a)=>a===n?r:l)})),flags:{},setFlag:(n,r)=>e(s=>({flags:{...s.flags,[n]:r}})),setFlags:n=>e({flags:n}),toggleFlag:n=>e(r=>({flags:{...r.flags,[n]:!r.flags[n]}})),campaignClock:{day:1,time:"00:00"},setCampaignClock:n=>e({campaignClock:n}),scheduledEvents:[],setScheduledEvents:n=>e({scheduledEvents:n}),recentScenes:[],addRecentScene:n=>e(r=>{const s=r.recentScenes.filter(l=>l!==n);return{recentScenes:[n,...s].slice(0,10)}}),favorites:[],addFavorite:n=>e(r=>({favorites:r.favorites.includes(n)?r.favorites:[...r.favorites,n]})),removeFavorite:n=>e(r=>({favorites:r.favorites.filter(s=>s!==n)})),undoStack:[],pushUndo:n=>e(r=>({undoStack:[...r.undoStack,n].slice(-20)})),popUndo:()=>{const{undoStack:n}=t();if(n.length===0)return;const r=n[n.length-1];return e({undoStack:n.slice(0,-1)}),r},save:()=>{const n=t();localStorage.setItem(Ns,JSON.stringify({notes:n.notes,flags:n.flags,campaignClock:n.campaignClock,recentScenes:n.recentScenes,favorites:n.favorites}))},load:()=>{try{const n=localStorage.getItem(Ns);if(n){const r=JSON.parse(n);e({notes:r.notes||[],flags:r.flags||{},campaignClock:r.campaignClock||{day:1,time:"00:00"},recentScenes:r.recentScenes||[],favorites:r.favorites||[]})}}catch(n){console.error("[SessionStore] Failed to load:",n)}},clear:()=>{localStorage.removeItem(Ns),e({notes:[],flags:{},campaignClock:{day:1,time:"00:00"},scheduledEvents:[],recentScenes:[],favorites:[],undoStack:[]})}}),{name:Ns,partialize:e=>({notes:e.notes,flags:e.flags,campaignClock:e.campaignClock,recentScenes:e.recentScenes,favorites:e.favorites})})),Vg=[{label:"+15m",minutes:15},{label:"+1h",minutes:60},{label:"+8h",minutes:8*60},{label:"+1d",minutes:24*60}],Hg={announcement:"Text everyone sees in chat",flag:"Flag key to set",scene:"Scene ID to cut to"};function ba(){return window.GMOverlay}function Bg(e){switch(e.type){case"announcement":return`Announce "${e.text}"`;case"flag":return`Set ${e.key} = ${String(e.value)}`;case"scene":return`Cut to ${e.scene}`}}function Wg(){const{campaignClock:e,scheduledEvents:t}=Qe(),[n,r]=w.useState(null),s=t.filter(c=>!c.fired),l=t.filter(c=>c.fired),a=async c=>{var p,m,h;const u=await((h=(m=(p=ba())==null?void 0:p.clock)==null?void 0:m.advance)==null?void 0:h.call(m,c));r(u!=null&&u.success?null:(u==null?void 0:u.message)||"Clock update failed")},i=async c=>{var u,p,m;await((m=(p=(u=ba())==null?void 0:u.clock)==null?void 0:p.unschedule)==null?void 0:m.call(p,c))};return o.jsxs("div",{className:"space-y-4",children:[o.jsxs("div",{className:"flex items-center gap-4",children:[o.jsxs("div",{className:"text-3xl font-mono text-cyan-400",children:["Day ",e.day]}),o.jsx("div",{className:"text-2xl font-mono text-neutral-300",children:e.time}),o.jsx("div",{className:"flex gap-1 ml-auto",children:Vg.map(c=>o.jsx("button",{onClick:()=>a(c.minutes),className:"btn btn-secondary px-2 py-1 text-xs font-mono",title:`Advance the clock ${c.label.slice(1)}`,children:c.label},c.label))})]}),n&&o.jsx("p",{className:"text-xs text-red-400",children:n}),o.jsx(Gg,{onError:r}),s.length===0?o.jsx("p",{className:"text-xs text-neutral-500",children:"No events scheduled"}):o.jsx("ul",{className:"space-y-1",children:s.map(c=>o.jsx(ou,{event:c,onRemove:()=>i(c.id)},c.id))}),l.length>0&&o.jsxs("details",{className:"text-xs text-neutral-500",children:[o.jsxs("summary",{className:"cursor-pointer",children:[l.length," fired"]}),o.jsx("ul",{className:"space-y-1 mt-1",children:l.map(c=>o.jsx(ou,{event:c},c.id))})]})]})}function ou({event:e,onRemove:t}){return o.jsxs("li",{className:L("flex items-start gap-2 px-2 py-1 rounded bg-neutral-900/40 text-sm",e.fired&&"opacity-60"),children:[o.jsxs("span",{className:"font-mono text-amber-300 whitespace-nowrap",children:["D",e.at.day," ",e.at.time]}),o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsx("div",{className:"truncate",children:e.label}),o.jsx("div",{className:"text-xs text-neutral-500 truncate",children:e.actions.map(Bg).join(" · ")})]}),e.fired?o.jsx(Ei,{size:14,className:"text-green-400 mt-1"}):t&&o.jsx("button",{onClick:t,className:"p-1 rounded hover:bg-neutral-700 text-red-400",title:"Cancel event",children:o.jsx(sr,{size:12})})]})}function Gg({onError:e}){const{campaignClock:t}=Qe(),[n,r]=w.useState(t.day),[s,l]=w.useState(t.time),[a,i]=w.useState(""),[c,u]=w.useState("announcement"),[p,m]=w.useState(""),h=()=>{switch(c){case"announcement":return{type:"announcement",text:p.trim()};case"flag":return{type:"flag",key:p.trim(),value:!0};case"scene":return{type:"scene",scene:p.trim()}}},g=async()=>{var d,j,v;if(!p.trim())return;const y=await((v=(j=(d=ba())==null?void 0:d.clock)==null?void 0:j.schedule)==null?void 0:v.call(j,{at:{day:n,time:s},label:a.trim(),actions:[h()]}));y!=null&&y.success?(i(""),m(""),e(null)):e((y==null?void 0:y.message)||"Could not schedule event")};return o.jsxs("div",{className:"space-y-2",children:[o.jsxs("div",{className:"flex gap-2",children:[o.jsx("input",{type:"number",value:n,onChange:y=>r(parseInt(y.target.value)||1),className:"input w-16 text-sm",min:1,title:"Day"}),o.jsx("input",{type:"time",value:s,onChange:y=>l(y.target.value),className:"input text-sm"}),o.jsx("input",{type:"text",value:a,onChange:y=>i(y.target.value),placeholder:"Label (GM only)",className:"input flex-1 text-sm"})]}),o.jsxs("div",{className:"flex gap-2",children:[o.jsxs("select",{value:c,onChange:y=>u(y.target.value),className:"input text-sm",children:[o.jsx("option",{value:"announcement",children:"Announce"}),o.jsx("option",{value:"flag",children:"Set flag"}),o.jsx("option",{value:"scene",children:"Scene cue"})]}),o.jsx("input",{type:"text",value:p,onChange:y=>m(y.target.value),onKeyDown:y=>y.key==="Enter"&&g(),placeholder:Hg[c],className:"input flex-1 text-sm"}),o.jsx("button",{onClick:g,disabled:!p.trim(),className:"btn btn-primary p-2",title:"Schedule event",children:o.jsx(ns,{size:14})})]})]})}async function vr(e,t={}){const n=J.getState().activeSessionId,r=await fetch(`/api/sessions/${encodeURIComponent(n)}/snapshots${e}`,{...t,headers:{"Content-Type":"application/json",...te(n),...t.headers}});if(!r.ok){const s=await r.json().catch(()=>({}));throw new Error(s.error||`HTTP ${r.status}`)}return r.json()}const dp=lt(e=>({snapshots:[],isLoading:!1,error:null,diff:null,loadSnapshots:async()=>{e({isLoading:!0,error:null});try{const t=await vr("");e({snapshots:t,isLoading:!1})}catch(t){console.error("[SnapshotStore] Failed to load snapshots:",t),e({snapshots:[],error:t.message,isLoading:!1})}},createSnapshot:async t=>{try{const n=await vr("",{method:"POST",body:JSON.stringify({name:t})});e(r=>({snapshots:[n,...r.snapshots],error:null}))}catch(n){console.error("[SnapshotStore] Failed to save snapshot:",n),e({error:n.message})}},deleteSnapshot:async t=>{try{await vr(`/${encodeURIComponent(t)}`,{method:"DELETE"}),e(n=>({snapshots:n.snapshots.filter(r=>r.id!==t),error:null}))}catch(n){console.error("[SnapshotStore] Failed to delete snapshot:",n),e({error:n.message})}},restoreSnapshot:async t=>{try{return await vr(`/${encodeURIComponent(t)}/restore`,{method:"POST"}),e({error:null,diff:null}),!0}catch(n){return console.error("[SnapshotStore] Failed to restore snapshot:",n),e({error:n.message}),!1}},compare:async(t,n)=>{try{const r=`?from=${encodeURIComponent(t)}&to=${encodeURIComponent(n)}`,s=await vr(`/diff${r}`);e({diff:{from:t,to:n,changes:s.changes},error:null})}catch(r){console.error("[SnapshotStore] Failed to compare snapshots:",r),e({error:r.message})}},clearDiff:()=>e({diff:null})}));function au(e){return e===void 0?"—":typeof e=="string"?e:JSON.stringify(e)}function Kg(){const e=J(j=>j.activeSessionId),t=J(j=>j.role),{snapshots:n,error:r,diff:s,loadSnapshots:l,createSnapshot:a,compare:i,clearDiff:c}=dp(),[u,p]=w.useState(""),[m,h]=w.useState(null);w.useEffect(()=>{t==="gm"&&l()},[e,t,l]);const g=async()=>{u.trim()&&(await a(u.trim()),p(""))},y=j=>{if(m===null){h(j);return}i(m,j),h(null)},d=j=>{var v;return j==="current"?"Now":((v=n.find(f=>f.id===j))==null?void 0:v.name)||j};return t!=="gm"?o.jsx("p",{className:"text-xs text-neutral-500",children:"Log in as GM to manage snapshots"}):o.jsxs("div",{className:"space-y-3",children:[o.jsxs("div",{className:"flex gap-2",children:[o.jsx("input",{type:"text",value:u,onChange:j=>p(j.target.value),onKeyDown:j=>j.key==="Enter"&&g(),placeholder:"Snapshot name (e.g. Before the ambush)",className:"input flex-1 text-sm"}),o.jsx("button",{onClick:g,disabled:!u.trim(),className:"btn btn-primary p-2",title:"Save snapshot",children:o.jsx(np,{size:14})})]}),r&&o.jsx("p",{className:"text-xs text-red-400",children:r}),m!==null&&o.jsxs("p",{className:"text-xs text-amber-300",children:['Comparing from "',d(m),'" — pick another snapshot, or'," ",o.jsx("button",{onClick:()=>y("current"),className:"underline",children:"now"})," ","·"," ",o.jsx("button",{onClick:()=>h(null),className:"underline",children:"cancel"})]}),n.length===0?o.jsx("p",{className:"text-xs text-neutral-500",children:"No snapshots yet"}):o.jsx("ul",{className:"space-y-1",children:n.map(j=>o.jsx(Qg,{snapshot:j,isCompareBase:m===j.id,onCompare:()=>y(j.id)},j.id))}),s&&o.jsxs("div",{className:"p-2 rounded bg-neutral-900/60 space-y-1",children:[o.jsxs("div",{className:"flex items-center justify-between text-xs text-neutral-400",children:[o.jsxs("span",{children:[d(s.from)," → ",d(s.to)]}),o.jsx("button",{onClick:c,className:"p-1 rounded hover:bg-neutral-700",title:"Close",children:o.jsx(He,{size:12})})]}),s.changes.length===0?o.jsx("p",{className:"text-xs text-neutral-500",children:"No differences"}):o.jsx("ul",{className:"text-xs font-mono space-y-0.5",children:s.changes.map(j=>o.jsxs("li",{className:"truncate",title:j.path,children:[o.jsx("span",{className:"text-neutral-400",children:j.path})," ",o.jsx("span",{className:"text-red-400",children:au(j.from)})," → ",o.jsx("span",{className:"text-green-400",children:au(j.to)})]},j.path))})]})]})}function Qg({snapshot:e,isCompareBase:t,onCompare:n}){const{restoreSnapshot:r,deleteSnapshot:s}=dp(),l=()=>{confirm(`Roll the session back to "${e.name}"? Players will be resynced.`)&&r(e.id)},a=()=>{confirm(`Delete snapshot "${e.name}"?`)&&s(e.id)};return o.jsxs("li",{className:L("flex items-center gap-2 px-2 py-1 rounded text-sm",t?"bg-amber-900/30":"bg-neutral-900/40"),children:[o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsx("div",{className:"truncate",children:e.name}),o.jsxs("div",{className:"text-xs text-neutral-500 flex gap-3",children:[o.jsxs("span",{className:"font-mono",children:["D",e.campaignClock.day," ",e.campaignClock.time]}),o.jsx("span",{children:e.currentScene?`Scene ${e.currentScene}`:"No scene"}),o.jsx("span",{children:new Date(e.createdAt).toLocaleTimeString()})]})]}),o.jsx("button",{onClick:n,className:"p-1 rounded hover:bg-neutral-700",title:"Compare",children:o.jsx(gv,{size:12})}),o.jsx("button",{onClick:l,className:"p-1 rounded hover:bg-neutral-700 text-amber-400",title:"Restore",children:o.jsx(Mv,{size:12})}),o.jsx("button",{onClick:a,className:"p-1 rounded hover:bg-neutral-700 text-red-400",title:"Delete",children:o.jsx(sr,{size:12})})]})}async function ks(e,t={}){const n=J.getState().activeSessionId,r=await fetch(`/api/sessions/${encodeURIComponent(n)}${e}`,{...t,headers:{"Content-Type":"application/json",...te(n),...t.headers}});if(!r.ok){const s=await r.json().catch(()=>({}));throw new Error(s.error||`HTTP ${r.status}`)}return r.json()}const Yg=lt((e,t)=>({title:"",markdown:"",since:null,isGenerating:!1,error:null,documents:[],generate:async({since:n,until:r})=>{e({isGenerating:!0,error:null});try{const s=new URLSearchParams;n!==void 0&&s.set("since",String(n)),r!==void 0&&s.set("until",String(r));const l=s.toString()?`?${s}`:"",a=await ks(`/recap${l}`);e({title:a.recap.title,markdown:a.markdown,since:a.recap.since,isGenerating:!1})}catch(s){console.error("[RecapStore] Failed to generate recap:",s),e({error:s.message,isGenerating:!1})}},setTitle:n=>e({title:n}),setMarkdown:n=>e({markdown:n}),publish:async()=>{const{title:n,markdown:r}=t();try{const s=await ks("/documents",{method:"POST",body:JSON.stringify({title:n,markdown:r})});return e(l=>({documents:[...l.documents,s],title:"",markdown:"",since:null,error:null})),!0}catch(s){return console.error("[RecapStore] Failed to publish recap:",s),e({error:s.message}),!1}},loadDocuments:async()=>{try{const n=await ks("/documents");e({documents:n})}catch(n){console.error("[RecapStore] Failed to load documents:",n),e({documents:[],error:n.message})}},unpublish:async n=>{try{await ks(`/documents/${encodeURIComponent(n)}`,{method:"DELETE"}),e(r=>({documents:r.documents.filter(s=>s.id!==n),error:null}))}catch(r){console.error("[RecapStore] Failed to unpublish document:",r),e({error:r.message})}}}));function iu(e){if(!e)return;const t=new Date(e).getTime();return Number.isNaN(t)?void 0:t}function Xg(){const e=J(N=>N.activeSessionId),t=J(N=>N.role),{title:n,markdown:r,since:s,isGenerating:l,error:a,documents:i,generate:c,setTitle:u,setMarkdown:p,publish:m,loadDocuments:h,unpublish:g}=Yg(),[y,d]=w.useState(""),[j,v]=w.useState("");w.useEffect(()=>{t==="gm"&&h()},[e,t,h]);const f=()=>{c({since:iu(y),until:iu(j)})},x=async()=>{confirm(`Publish "${n}" to every player?`)&&await m()},k=(N,P)=>{confirm(`Withdraw "${P}" from players?`)&&g(N)};return t!=="gm"?o.jsx("p",{className:"text-xs text-neutral-500",children:"Log in as GM to write recaps"}):o.jsxs("div",{className:"space-y-3",children:[o.jsxs("div",{className:"flex gap-2 items-center text-sm",children:[o.jsx("input",{type:"datetime-local",value:y,onChange:N=>d(N.target.value),className:"input text-sm",title:"From (blank: since the last recap)"}),o.jsx("span",{className:"text-neutral-500",children:"to"}),o.jsx("input",{type:"datetime-local",value:j,onChange:N=>v(N.target.value),className:"input text-sm",title:"To (blank: now)"}),o.jsxs("button",{onClick:f,disabled:l,className:"btn btn-secondary flex items-center gap-1 ml-auto",title:"Generate recap",children:[o.jsx(Ov,{size:14}),l?"Generating…":"Generate"]})]}),a&&o.jsx("p",{className:"text-xs text-red-400",children:a}),r&&o.jsxs("div",{className:"space-y-2",children:[o.jsxs("p",{className:"text-xs text-neutral-500",children:["Covers ",s?`since ${new Date(s).toLocaleString()}`:"the whole session",". Edit freely before publishing."]}),o.jsx("input",{type:"text",value:n,onChange:N=>u(N.target.value),placeholder:"Title",className:"input w-full text-sm"}),o.jsx("textarea",{value:r,onChange:N=>p(N.target.value),rows:14,className:"input w-full text-sm font-mono"}),o.jsx("div",{className:"flex justify-end",children:o.jsxs("button",{onClick:x,disabled:!n.trim()||!r.trim(),className:"btn btn-primary flex items-center gap-1",children:[o.jsx(rp,{size:14}),"Publish to players"]})})]}),i.length>0&&o.jsx("ul",{className:"space-y-1",children:i.map(N=>o.jsxs("li",{className:"flex items-center gap-2 px-2 py-1 rounded bg-neutral-900/40 text-sm",children:[o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsx("div",{className:"truncate",children:N.title}),o.jsxs("div",{className:"text-xs text-neutral-500",children:["Published ",new Date(N.publishedAt).toLocaleString()]})]}),o.jsx("button",{onClick:()=>k(N.id,N.title),className:"p-1 rounded hover:bg-neutral-700 text-red-400",title:"Withdraw",children:o.jsx(sr,{size:12})})]},N.id))})]})}const fp=lt(e=>({report:null,isValidating:!1,error:null,validate:async t=>{e({isValidating:!0,error:null});try{const n=await fetch(`/api/adventures/${encodeURIComponent(t)}/validate`,{headers:te()});if(!n.ok){const s=await n.json().catch(()=>({}));throw new Error(s.error||`HTTP ${n.status}`)}const r=await n.json();e({report:r,isValidating:!1})}catch(n){console.error("[ValidationStore] Failed to validate content:",n),e({error:n.message,isValidating:!1})}},clear:()=>e({report:null,error:null})}));function Jg(e){const t=new Map;for(const n of e){const r=t.get(n.file)||[];r.push(n),t.set(n.file,r)}return[...t.entries()]}function Zg(){const e=J(u=>u.role),t=re(u=>u.adventureId),{report:n,isValidating:r,error:s,validate:l}=fp(),[a,i]=w.useState(!1);if(e!=="gm")return o.jsx("p",{className:"text-xs text-neutral-500",children:"Log in as GM to check content"});const c=((n==null?void 0:n.issues)||[]).filter(u=>a||u.severity==="error");return o.jsxs("div",{className:"space-y-3",children:[o.jsxs("div",{className:"flex items-center gap-2 text-sm",children:[o.jsxs("button",{onClick:()=>t&&l(t),disabled:!t||r,className:"btn btn-secondary flex items-center gap-1",children:[o.jsx(sp,{size:14}),r?"Checking...":"Check content"]}),n&&o.jsxs("label",{className:"flex items-center gap-1 text-xs text-neutral-400",children:[o.jsx("input",{type:"checkbox",checked:a,onChange:u=>i(u.target.checked)}),"Show warnings"]})]}),s&&o.jsx("p",{className:"text-xs text-red-400",children:s}),n&&o.jsxs("p",{className:L("text-xs",n.valid?"text-green-400":"text-red-400"),children:[n.adventureId,": ",n.summary.files," files, ",n.summary.errors," errors,"," ",n.summary.warnings," warnings",o.jsxs("span",{className:"text-neutral-500",children:[" · ",new Date(n.checkedAt).toLocaleTimeString()]})]}),n&&c.length>0&&o.jsx("ul",{className:"space-y-2 max-h-80 overflow-y-auto",children:Jg(c).map(([u,p])=>o.jsxs("li",{className:"p-2 rounded bg-neutral-900/40",children:[o.jsx("div",{className:"text-xs font-mono text-neutral-300 truncate",title:u,children:u}),o.jsx("ul",{className:"mt-1 space-y-0.5",children:p.map((m,h)=>o.jsxs("li",{className:"flex items-start gap-1 text-xs",children:[m.severity==="error"?o.jsx(lp,{size:12,className:"text-red-400 mt-0.5 shrink-0"}):o.jsx(Kf,{size:12,className:"text-amber-400 mt-0.5 shrink-0"}),o.jsxs("span",{children:[m.path&&o.jsxs("span",{className:"font-mono text-neutral-500",children:[m.path,": "]}),m.message]})]},h))})]},u))})]})}async function cu(e,t){const n=new FormData;n.append("bundle",e);for(const[l,a]of Object.entries(t))n.append(l,a);const r=await fetch("/api/adventures/import",{method:"POST",headers:te(),body:n}),s=await r.json().catch(()=>({}));if(!r.ok&&!Array.isArray(s.files))throw new Error(s.error||`HTTP ${r.status}`);return s}const qg=lt(e=>({report:null,isBusy:!1,error:null,download:async t=>{e({isBusy:!0,error:null});try{const n=await fetch(`/api/adventures/${encodeURIComponent(t)}/bundle`,{headers:te()});if(!n.ok){const l=await n.json().catch(()=>({}));throw new Error(l.error||`HTTP ${n.status}`)}const r=URL.createObjectURL(await n.blob()),s=document.createElement("a");s.href=r,s.download=`${t}.zip`,s.click(),URL.revokeObjectURL(r),e({isBusy:!1})}catch(n){console.error("[BundleStore] Failed to export adventure:",n),e({error:n.message,isBusy:!1})}},check:async t=>{e({isBusy:!0,error:null,report:null});try{e({report:await cu(t,{}),isBusy:!1})}catch(n){console.error("[BundleStore] Failed to check bundle:",n),e({error:n.message,isBusy:!1})}},install:async(t,n)=>{e({isBusy:!0,error:null});try{const r={install:"true"};n&&(r.overwrite="true"),e({report:await cu(t,r),isBusy:!1})}catch(r){console.error("[BundleStore] Failed to install bundle:",r),e({error:r.message,isBusy:!1})}},clear:()=>e({report:null,error:null})}));function ex(){const e=J(f=>f.role),t=J(f=>f.loadAdventures),n=re(f=>f.adventureId),{report:r,isBusy:s,error:l,download:a,check:i,install:c,clear:u}=qg(),[p,m]=w.useState(null),[h,g]=w.useState(!1);if(e!=="gm")return o.jsx("p",{className:"text-xs text-neutral-500",children:"Log in as GM to export or import adventures"});const y=f=>{m(f),g(!1),f?i(f):u()},d=async()=>{p&&(await c(p,h),t())},j={new:0,same:0,collision:0};for(const f of(r==null?void 0:r.files)||[])j[f.status]++;const v=!(r!=null&&r.installable)||j.collision>0&&!h;return o.jsxs("div",{className:"space-y-3",children:[o.jsxs("div",{className:"flex flex-wrap items-center gap-2 text-sm",children:[o.jsxs("button",{onClick:()=>n&&a(n),disabled:!n||s,className:"btn btn-secondary flex items-center gap-1",children:[o.jsx(cv,{size:14}),"Export ",n||"adventure"]}),o.jsxs("label",{className:L("btn btn-secondary flex items-center gap-1 cursor-pointer",s&&"opacity-50"),children:[o.jsx(Ii,{size:14}),"Import .zip",o.jsx("input",{type:"file",accept:".zip,application/zip",className:"hidden",disabled:s,onChange:f=>{var x;return y(((x=f.target.files)==null?void 0:x[0])||null)}})]}),p&&o.jsx("span",{className:"text-xs text-neutral-400 truncate",title:p.name,children:p.name})]}),s&&o.jsx("p",{className:"text-xs text-neutral-400",children:"Working..."}),l&&o.jsx("p",{className:"text-xs text-red-400",children:l}),r&&o.jsxs("div",{className:"space-y-2 text-xs",children:[o.jsxs("p",{className:"text-neutral-300",children:[r.name||r.adventureId||"Unknown adventure",r.version&&o.jsxs("span",{className:"text-neutral-500",children:[" v",r.version]}),": ",r.files.length," files (",j.new," new, ",j.same," unchanged, ",j.collision," different)"]}),r.adventureExists&&!r.installed&&o.jsxs("p",{className:"text-amber-400",children:[r.adventureId," is already installed; unchanged files are skipped"]}),r.validation&&o.jsxs("p",{className:r.validation.valid?"text-green-400":"text-amber-400",children:["Content check: ",r.validation.summary.errors," errors, ",r.validation.summary.warnings," warnings"]}),r.problems.length>0&&o.jsx("ul",{className:"space-y-0.5",children:r.problems.map((f,x)=>o.jsxs("li",{className:"flex items-start gap-1 text-red-400",children:[o.jsx(lp,{size:12,className:"mt-0.5 shrink-0"}),o.jsx("span",{children:f})]},x))}),r.collisions.length>0&&o.jsx("ul",{className:"space-y-0.5 max-h-40 overflow-y-auto",children:r.collisions.map(f=>o.jsxs("li",{className:"flex items-start gap-1",children:[o.jsx(Kf,{size:12,className:"text-amber-400 mt-0.5 shrink-0"}),o.jsxs("span",{children:[o.jsxs("span",{className:"text-neutral-500",children:[f.kind," "]}),o.jsx("span",{className:"font-mono text-neutral-300",children:f.id}),o.jsx("span",{className:"text-neutral-500",children:" differs from the installed file"})]})]},f.path))}),r.installed?o.jsxs("p",{className:"flex items-center gap-1 text-green-400",children:[o.jsx(Nv,{size:12}),"Installed ",r.written.length," files"]}):r.installable&&o.jsxs("div",{className:"flex items-center gap-2",children:[j.collision>0&&o.jsxs("label",{className:"flex items-center gap-1 text-neutral-400",children:[o.jsx("input",{type:"checkbox",checked:h,onChange:f=>g(f.target.checked)}),"Replace ",j.collision," different files"]}),o.jsx("button",{onClick:d,disabled:v||s,className:"btn btn-primary",children:"Install"})]})]})]})}function tx(){const{notes:e,flags:t,favorites:n,recentScenes:r}=Qe(),{scenes:s,goToSceneById:l}=re();return o.jsxs("div",{className:"space-y-6",children:[o.jsx("h2",{className:"text-2xl font-bold",children:"Dashboard"}),o.jsx(H,{title:"Campaign Clock",icon:Yf,children:o.jsx(Wg,{})}),o.jsx(H,{title:"Snapshots",icon:xv,children:o.jsx(Kg,{})}),o.jsx(H,{title:"Session Recap",icon:Tv,children:o.jsx(Xg,{})}),o.jsx(H,{title:"Content Check",icon:sp,children:o.jsx(Zg,{})}),o.jsx(H,{title:"Adventure Bundles",icon:hl,children:o.jsx(ex,{})}),o.jsxs("div",{className:"grid grid-cols-3 gap-4",children:[o.jsx(yo,{icon:o.jsx(gt,{size:20}),label:"Scenes",value:s.length}),o.jsx(yo,{icon:o.jsx(mv,{size:20}),label:"Flags Set",value:Object.values(t).filter(Boolean).length}),o.jsx(yo,{icon:o.jsx(Jf,{size:20}),label:"Notes",value:e.length})]}),n.length>0&&o.jsx(H,{title:"Favorite Locations",children:o.jsx("div",{className:"flex flex-wrap gap-2",children:n.map(a=>{const i=s.find(c=>c.id===a);return i?o.jsx("button",{onClick:()=>l(a),className:"btn btn-secondary",children:i.title},a):null})})}),r.length>0&&o.jsx(H,{title:"Recently Visited",children:o.jsx("ul",{className:"space-y-1",children:r.slice(0,5).map(a=>{const i=s.find(c=>c.id===a);return i?o.jsx("li",{children:o.jsx("button",{onClick:()=>l(a),className:"text-cyan-400 hover:text-cyan-300",children:i.title})},a):null})})}),e.length>0&&o.jsx(H,{title:"Session Notes",children:o.jsxs("ul",{className:"space-y-1 text-sm",children:[e.slice(0,5).map((a,i)=>o.jsxs("li",{className:"text-neutral-300",children:["• ",a]},i)),e.length>5&&o.jsxs("li",{className:"text-neutral-500",children:["...and ",e.length-5," more"]})]})})]})}function yo({icon:e,label:t,value:n}){return o.jsxs("div",{className:"p-4 bg-neutral-800 rounded-lg text-center",children:[o.jsx("div",{className:"text-neutral-400 mb-2",children:e}),o.jsx("div",{className:"text-2xl font-bold",children:n}),o.jsx("div",{className:"text-sm text-neutral-400",children:t})]})}function nx({scene:e}){const{popView:t}=K(),[n,r]=w.useState(!1),[s,l]=w.useState(0),[a,i]=w.useState(1),c=w.useRef(null),u=e.narrative.split(/[.!?]+/).map(f=>f.trim()).filter(f=>f.length>0),p=f=>(2e3+f.split(/\s+/).length*150)/a;w.useEffect(()=>(n&&s<u.length&&(c.current=window.setTimeout(()=>{l(f=>f+1)},p(u[s]))),()=>{c.current&&clearTimeout(c.current)}),[n,s,a,u]),w.useEffect(()=>{s>=u.length&&r(!1)},[s,u.length]);const m=()=>{r(!n)},h=()=>{l(0),r(!1)},g=()=>{l(Math.max(0,s-1))},y=()=>{l(Math.min(u.length-1,s+1))},d=()=>{l(Math.max(0,s-3))},j=()=>{l(Math.min(u.length-1,s+3))},v=u.length>0?s/u.length*100:0;return o.jsxs("div",{className:"flex flex-col h-full",children:[o.jsxs("button",{onClick:t,className:"absolute top-4 left-4 flex items-center gap-1 text-cyan-400 hover:text-cyan-300 z-10",children:[o.jsx(zl,{size:16})," Exit Karaoke"]}),o.jsxs("div",{className:"flex-1 flex flex-col items-center justify-center px-8 py-16 bg-gradient-to-b from-neutral-900 via-neutral-850 to-neutral-900",children:[o.jsx("div",{className:"space-y-2 mb-8 opacity-30",children:u.slice(Math.max(0,s-2),s).map((f,x)=>o.jsxs("p",{className:"text-xl text-center text-neutral-400",children:[f,"."]},x))}),o.jsxs("p",{className:L("text-3xl font-medium text-center text-neutral-100 max-w-4xl","transition-all duration-300",n&&"text-cyan-300"),children:[u[s]||"End of narrative","."]}),o.jsx("div",{className:"space-y-2 mt-8 opacity-50",children:u.slice(s+1,s+3).map((f,x)=>o.jsxs("p",{className:"text-lg text-center text-neutral-500",children:[f,"."]},x))})]}),o.jsxs("div",{className:"p-4 bg-neutral-800 border-t border-neutral-700",children:[o.jsxs("div",{className:"flex items-center justify-center gap-4 mb-4",children:[o.jsx("button",{onClick:h,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Restart",children:o.jsx(Yc,{size:20})}),o.jsx("button",{onClick:d,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Rewind",children:o.jsx(Pv,{size:20})}),o.jsx("button",{onClick:g,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Previous line",children:o.jsx(Yc,{size:16})}),o.jsx("button",{onClick:m,className:L("p-4 rounded-full",n?"bg-amber-600 hover:bg-amber-500":"bg-cyan-600 hover:bg-cyan-500"),children:n?o.jsx(kv,{size:24}):o.jsx(vt,{size:24})}),o.jsx("button",{onClick:y,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Next line",children:o.jsx(_v,{size:16})}),o.jsx("button",{onClick:j,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Fast forward",children:o.jsx(fv,{size:20})})]}),o.jsxs("div",{className:"flex items-center justify-center gap-4 mb-4",children:[o.jsx("span",{className:"text-sm text-neutral-400",children:"Speed:"}),o.jsx("input",{type:"range",min:"0.5",max:"2",step:"0.1",value:a,onChange:f=>i(parseFloat(f.target.value)),className:"w-32"}),o.jsxs("span",{className:"text-sm font-mono w-12",children:[a.toFixed(1),"x"]})]}),o.jsx("div",{className:"relative h-2 bg-neutral-700 rounded-full overflow-hidden",children:o.jsx("div",{className:"absolute inset-y-0 left-0 bg-cyan-500 transition-all duration-300",style:{width:`${v}%`}})}),o.jsxs("div",{className:"flex justify-between text-xs text-neutral-500 mt-1",children:[o.jsxs("span",{children:[s+1," / ",u.length]}),o.jsxs("span",{children:[Math.round(v),"%"]})]})]})]})}function rx(){const{currentView:e,selectedNPC:t,selectedItem:n}=K(),{currentScene:r}=re();return o.jsx("div",{className:L("flex-[6] overflow-y-auto","border-r border-neutral-700","scrollbar-thin"),children:o.jsxs("div",{className:"p-4",children:[e==="narrative"&&o.jsx(xg,{scene:r}),e==="npc"&&t&&o.jsx(bg,{npc:t}),e==="item"&&n&&o.jsx(Ig,{item:n}),e==="conversation"&&(r==null?void 0:r.conversation)&&o.jsx(zg,{conversation:r.conversation}),e==="dashboard"&&o.jsx(tx,{}),e==="karaoke"&&r&&o.jsx(nx,{scene:r})]})})}function sx(){const{activeScene:e,isViewingActiveScene:t}=re(),n=e!=null&&e.imageUrl?e.imageUrl:e!=null&&e.image?`/assets/scene_backgrounds/${e.image}`:null,r=t();return o.jsxs("div",{className:"space-y-2",children:[o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsxs("h3",{className:"section-header flex items-center gap-2",children:[o.jsx(Qc,{size:14}),"Player View"]}),r&&o.jsxs("span",{className:"text-xs text-green-400 flex items-center gap-1",children:[o.jsx(vt,{size:10})," LIVE"]})]}),o.jsxs("div",{className:L("relative aspect-video rounded-lg overflow-hidden","border-2",r?"border-green-500/50":"border-amber-500/50","bg-neutral-800"),children:[n?o.jsx("img",{src:n,alt:(e==null?void 0:e.title)||"Scene preview",className:"w-full h-full object-cover",onError:s=>{s.target.style.display="none"}}):o.jsx("div",{className:"absolute inset-0 flex items-center justify-center text-neutral-500",children:o.jsxs("div",{className:"text-center",children:[o.jsx(Qc,{size:24,className:"mx-auto mb-1 opacity-50"}),o.jsx("span",{className:"text-xs",children:"No image"})]})}),e&&o.jsxs("div",{className:"absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent p-2",children:[o.jsx("p",{className:"text-xs text-white truncate font-medium",children:e.title}),o.jsx("p",{className:"text-[10px] text-neutral-400 truncate",children:e.location})]}),r&&o.jsx("div",{className:"absolute top-2 right-2",children:o.jsxs("span",{className:"relative flex h-2 w-2",children:[o.jsx("span",{className:"animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"}),o.jsx("span",{className:"relative inline-flex rounded-full h-2 w-2 bg-green-500"})]})})]}),e&&!r&&o.jsx("p",{className:"text-xs text-amber-400/80 text-center",children:"Players see different scene"})]})}const lx=100;let pp=0;const Ln=new Set;function ox(e){const t={id:`msg-${++pp}`,serverId:e.id,timestamp:e.timestamp};return e.kind==="system"?{...t,type:"system",text:e.text}:e.kind==="roll"?{...t,type:"rolls",sender:e.name,text:e.text}:e.visibility==="whisper"?{...t,type:"whisper",sender:e.name,recipient:e.toName,thread:e.role==="gm"?e.toName:e.name,text:e.text}:{...t,type:e.type==="gm"?"gm":"player",sender:e.name,text:e.text}}function ax(e){return Ln.has(e.id)||!!e.rollId&&Ln.has(e.rollId)}const Zn=lt((e,t)=>({messages:[],filter:"all",activeThread:null,hasMoreHistory:!1,loadingHistory:!1,addMessage:n=>{const r={...n,id:`msg-${++pp}`,timestamp:n.timestamp??Date.now()};r.serverId&&Ln.add(r.serverId),e(s=>({messages:[...s.messages,r].slice(-500)}))},addSystemMessage:n=>{t().addMessage({type:"system",text:n})},addGMNote:n=>{t().addMessage({type:"gm",sender:"GM",text:n})},setFilter:n=>e({filter:n}),setActiveThread:n=>e({activeThread:n}),clearMessages:()=>{Ln.clear(),e({messages:[],hasMoreHistory:!1})},markSeen:n=>{Ln.add(n)},replayHistory:(n,r)=>{const s=n.filter(l=>!ax(l)).map(ox);s.forEach(l=>Ln.add(l.serverId)),e(l=>({messages:[...l.messages,...s].sort((a,i)=>a.timestamp-i.timestamp).slice(-500),hasMoreHistory:r??l.hasMoreHistory}))},loadEarlier:async()=>{if(!t().loadingHistory){e({loadingHistory:!0});try{const n=J.getState().activeSessionId,r=t().messages.find(i=>i.serverId),s=new URLSearchParams({limit:String(lx)});r!=null&&r.serverId&&s.set("before",r.serverId);const l=await fetch(`/api/sessions/${encodeURIComponent(n)}/chat?${s}`,{headers:te(n)});if(!l.ok)throw new Error(`HTTP ${l.status}`);const a=await l.json();t().replayHistory(a.messages,a.hasMore)}catch(n){console.error("[ChatStore] Failed to load earlier messages:",n),t().addSystemMessage("Failed to load earlier messages")}finally{e({loadingHistory:!1})}}},getFilteredMessages:()=>{const{messages:n,filter:r,activeThread:s}=t();return r==="all"?n:r==="whisper"&&s?n.filter(l=>l.type==="whisper"&&l.thread===s):n.filter(l=>l.type===r)},getThreads:()=>{const n=new Map;for(const r of t().messages){if(r.type!=="whisper"||!r.thread)continue;const s=n.get(r.thread)||{name:r.thread,count:0,lastTimestamp:0};s.count++,s.lastTimestamp=r.timestamp,n.set(r.thread,s)}return Array.from(n.values()).sort((r,s)=>s.lastTimestamp-r.lastTimestamp)}})),ix=[{value:"all",label:"All"},{value:"player",label:"Players"},{value:"system",label:"System"},{value:"rolls",label:"Rolls"},{value:"gm",label:"GM"},{value:"whisper",label:"Whispers"}];function cx(){var P;const{messages:e,filter:t,activeThread:n,setFilter:r,setActiveThread:s,addMessage:l,getFilteredMessages:a,getThreads:i,hasMoreHistory:c,loadingHistory:u,loadEarlier:p}=Zn(),[m,h]=w.useState(""),[g,y]=w.useState(!1),d=w.useRef(null),j=a(),v=(P=e[e.length-1])==null?void 0:P.id;w.useEffect(()=>{d.current&&(d.current.scrollTop=d.current.scrollHeight)},[v]);const f=i(),x=()=>{var C,b,_;if(m.trim()){const R=m.trim(),E=window.GMOverlay,S=R.match(/^\/w(?:hisper)?\s+(?:"([^"]+)"|(\S+))\s+(.+)$/i),A=S?S[1]||S[2]:t==="whisper"?n:null;if(A){const $=S?S[3]:R;l({type:"whisper",sender:"GM",recipient:A,thread:A,text:$}),h(""),(b=(C=E==null?void 0:E.chat)==null?void 0:C.whisper)==null||b.call(C,A,$);return}l({type:"gm",sender:"GM",text:R}),h(""),typeof E<"u"&&(_=E.chat)!=null&&_.send&&E.chat.send(R)}},k=C=>{C.key==="Enter"&&!C.shiftKey&&(C.preventDefault(),x())},N=C=>new Date(C).toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"});return o.jsxs("div",{className:"flex flex-col h-64",children:[o.jsxs("div",{className:"flex items-center justify-between mb-2",children:[o.jsxs("h3",{className:"section-header flex items-center gap-2",children:[o.jsx(Sv,{size:14}),"Chat Log"]}),o.jsx("button",{onClick:()=>y(!g),className:L("p-1 rounded text-neutral-400 hover:text-neutral-100 transition-colors",g&&"bg-neutral-700 text-neutral-100"),title:"Filter messages",children:o.jsx(pv,{size:14})})]}),g&&o.jsx("div",{className:"flex gap-1 mb-2 flex-wrap",children:ix.map(C=>o.jsx("button",{onClick:()=>r(C.value),className:L("px-2 py-0.5 rounded text-xs transition-colors",t===C.value?"bg-cyan-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:C.label},C.value))}),t==="whisper"&&o.jsxs("div",{className:"flex gap-1 mb-2 flex-wrap",children:[o.jsx("button",{onClick:()=>s(null),className:L("px-2 py-0.5 rounded text-xs transition-colors",n===null?"bg-fuchsia-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:"All threads"}),f.map(C=>o.jsxs("button",{onClick:()=>s(C.name),className:L("px-2 py-0.5 rounded text-xs transition-colors",n===C.name?"bg-fuchsia-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:[C.name," (",C.count,")"]},C.name))]}),o.jsxs("div",{ref:d,className:"flex-1 overflow-y-auto space-y-1 scrollbar-thin bg-neutral-800/50 rounded p-2",children:[c&&o.jsx("button",{onClick:()=>p(),disabled:u,className:"w-full text-xs text-neutral-400 hover:text-neutral-100 py-1 transition-colors",children:u?"Loading...":"Load earlier messages"}),j.length===0?o.jsx("p",{className:"text-xs text-neutral-500 text-center py-4",children:"No messages yet"}):j.map(C=>o.jsx(ux,{message:C,formatTime:N},C.id))]}),o.jsxs("div",{className:"flex gap-2 mt-2",children:[o.jsx("input",{type:"text",value:m,onChange:C=>h(C.target.value),onKeyDown:k,placeholder:t==="whisper"&&n?`Whisper to ${n}...`:"Send GM message... (/w name text to whisper)",className:"input flex-1 text-sm"}),o.jsx("button",{onClick:x,disabled:!m.trim(),className:"btn btn-primary p-2",children:o.jsx(rp,{size:14})})]})]})}function ux({message:e,formatTime:t}){const n={system:"text-neutral-400 italic",player:"text-cyan-300",rolls:"text-amber-300",gm:"text-green-300",whisper:"text-fuchsia-300"},r={rolls:o.jsx(iv,{size:10,className:"inline mr-1"}),whisper:o.jsx(Zf,{size:10,className:"inline mr-1"})};return o.jsxs("div",{className:L("text-xs",n[e.type]||"text-neutral-300"),children:[o.jsxs("span",{className:"text-neutral-500 mr-1",children:["[",t(e.timestamp),"]"]}),r[e.type],e.sender&&o.jsxs("span",{className:"font-medium mr-1",children:[e.sender,e.recipient&&` → ${e.recipient}`,":"]}),o.jsx("span",{children:e.text})]})}function dx(){const{currentScene:e}=re(),[t,n]=w.useState(!1);if(!(e!=null&&e.gmNotes))return null;const r=e.gmNotes.split(`
+`),s=r.slice(0,3).join(`
+`),l=r.length>3;return o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"GM Notes"}),o.jsxs("div",{className:"text-sm text-neutral-300 whitespace-pre-wrap",children:[t?e.gmNotes:s,l&&!t&&"..."]}),l&&o.jsx("button",{onClick:()=>n(!t),className:"flex items-center gap-1 text-xs text-cyan-400 hover:text-cyan-300",children:t?o.jsxs(o.Fragment,{children:[o.jsx(ov,{size:12})," Collapse"]}):o.jsxs(o.Fragment,{children:[o.jsx(Pi,{size:12})," Expand"]})})]})}function fx(){const{notes:e,addNote:t,removeNote:n}=Qe(),[r,s]=w.useState(""),l=()=>{r.trim()&&(t(r.trim()),s(""))},a=i=>{i.key==="Enter"&&!i.shiftKey&&(i.preventDefault(),l())};return o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"Session Notes"}),o.jsx("ul",{className:"space-y-1 text-sm",children:e.map((i,c)=>o.jsxs("li",{className:"flex items-start gap-2 group",children:[o.jsx("span",{className:"text-neutral-400",children:"•"}),o.jsx("span",{className:"flex-1 text-neutral-300",children:i}),o.jsx("button",{onClick:()=>n(c),className:"opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-300 transition-opacity",children:o.jsx(He,{size:12})})]},c))}),o.jsxs("div",{className:"flex gap-2",children:[o.jsx("input",{type:"text",value:r,onChange:i=>s(i.target.value),onKeyDown:a,placeholder:"Add note...",className:"input flex-1 text-sm"}),o.jsx("button",{onClick:l,disabled:!r.trim(),className:"btn btn-secondary p-2",children:o.jsx(ns,{size:14})})]})]})}function px(){const{openModal:e}=K(),{currentScene:t}=re(),n=()=>{e("adHocCheck")},r=()=>{e("globalSearch")},s=()=>{if(!t)return;const l={scene:t,exportedAt:new Date().toISOString()};navigator.clipboard.writeText(JSON.stringify(l,null,2)),console.log("[GM] Scene exported to clipboard")};return o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"Quick Actions"}),o.jsxs("div",{className:"grid grid-cols-2 gap-2",children:[o.jsx(wo,{icon:o.jsx(rr,{size:14}),label:"Ad-Hoc Check",onClick:n}),o.jsx(wo,{icon:o.jsx(Ti,{size:14}),label:"Search",shortcut:"Cmd+K",onClick:r}),o.jsx(wo,{icon:o.jsx(Ii,{size:14}),label:"Export",onClick:s})]})]})}function wo({icon:e,label:t,shortcut:n,onClick:r}){return o.jsxs("button",{onClick:r,title:n,className:"btn btn-secondary flex items-center gap-1.5 justify-center text-xs",children:[e,o.jsx("span",{children:t})]})}function mx(){var i,c;const{currentScene:e,goToSceneById:t}=re(),{selectNPC:n,selectItem:r}=K();if(!e)return null;const s=e.npcs&&e.npcs.length>0,l=e.items&&e.items.length>0,a=e.exits&&e.exits.length>0;return!s&&!l&&!a?null:o.jsxs("div",{className:"space-y-3",children:[o.jsx("h3",{className:"section-header",children:"Scene Elements"}),s&&o.jsxs("div",{className:"space-y-1",children:[o.jsxs("div",{className:"flex items-center gap-1 text-xs text-neutral-400",children:[o.jsx(gt,{size:12})," NPCs"]}),o.jsx("div",{className:"flex flex-wrap gap-1",children:e.npcs.map((u,p)=>o.jsx(hx,{name:u.name,state:u.state,onClick:async()=>{try{const m=await fetch(`/api/npcs/${u.statblock||u.id}`,{headers:te()});if(m.ok){const h=await m.json();n(h)}}catch(m){console.error("Failed to load NPC:",m)}}},`npc-${u.id}-${p}`))})]}),l&&o.jsxs("div",{className:"space-y-1",children:[o.jsxs("div",{className:"flex items-center gap-1 text-xs text-neutral-400",children:[o.jsx(hl,{size:12})," Items"]}),o.jsx("div",{className:"flex flex-wrap gap-1",children:(i=e.items)==null?void 0:i.map((u,p)=>o.jsxs("button",{onClick:()=>r(u),className:L("badge badge-amber cursor-pointer",!u.visible&&"opacity-50"),children:[u.name,u.value&&` (${u.value})`]},`item-${u.id}-${p}`))})]}),a&&o.jsxs("div",{className:"space-y-1",children:[o.jsxs("div",{className:"flex items-center gap-1 text-xs text-neutral-400",children:[o.jsx(Qf,{size:12})," Exits"]}),o.jsx("div",{className:"flex flex-wrap gap-1",children:(c=e.exits)==null?void 0:c.map((u,p)=>o.jsxs("button",{onClick:()=>t(u.targetSceneId),className:"badge badge-green cursor-pointer",children:["→ ",u.label]},`exit-${u.id}-${p}`))})]})]})}function hx({name:e,state:t,onClick:n}){const r={active:"badge-cyan",passive:"bg-neutral-700 text-neutral-300 border-neutral-600",hidden:"bg-blue-900/50 text-blue-400 border-blue-700",defeated:"bg-red-900/50 text-red-400 border-red-700 line-through"},s={active:"●",passive:"○",hidden:"◐",defeated:"✗"};return o.jsxs("button",{onClick:n,className:L("badge cursor-pointer",r[t]),children:[o.jsx("span",{className:"mr-1",children:s[t]}),e]})}function vx(){const{currentScene:e}=re(),{flags:t,toggleFlag:n}=Qe(),r=(e==null?void 0:e.flags)||[];return r.length===0?null:o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"Flags"}),o.jsx("ul",{className:"space-y-1",children:r.map(s=>{const l=!!t[s];return o.jsx("li",{children:o.jsxs("button",{onClick:()=>n(s),className:L("flex items-center gap-2 w-full text-left px-2 py-1 rounded text-sm","hover:bg-neutral-700 transition-colors",l?"text-green-400":"text-neutral-400"),children:[o.jsx("span",{className:"font-mono",children:l?"☑":"☐"}),o.jsx("span",{className:"font-mono text-xs",children:s})]})},s)})})]})}function gx(){return o.jsx("aside",{className:L("flex-[4] overflow-y-auto","bg-neutral-850","scrollbar-thin"),children:o.jsxs("div",{className:"p-4 space-y-4",children:[o.jsx(sx,{}),o.jsx("div",{className:"section-divider"}),o.jsx(cx,{}),o.jsx("div",{className:"section-divider"}),o.jsx(dx,{}),o.jsx(fx,{}),o.jsx(px,{}),o.jsx(mx,{}),o.jsx(vx,{})]})})}function xx(){const{prevScene:e,nextScene:t,hasNext:n,hasPrev:r,activateCurrentScene:s,isViewingActiveScene:l}=re(),{openModal:a,pushView:i}=K(),c=l(),u=()=>{a("sceneJumper")},p=()=>{c||s()},m=()=>{i("karaoke",null,"Karaoke")},h=()=>{a("globalSearch")};return o.jsxs("nav",{className:L("h-14 px-4 flex items-center justify-between","bg-neutral-800 border-t border-neutral-700"),children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(xn,{onClick:e,disabled:!r(),icon:o.jsx(lv,{size:16}),label:"PREV"}),o.jsx(xn,{onClick:u,icon:o.jsx(Ca,{size:16}),label:"JUMP",shortcut:"Cmd+J"}),o.jsx(xn,{onClick:t,disabled:!n(),icon:o.jsx(Ol,{size:16}),label:"NEXT",iconRight:!0})]}),o.jsx("div",{className:"flex items-center",children:o.jsx(xn,{onClick:p,disabled:c,icon:o.jsx(vt,{size:16}),label:c?"SCENE ACTIVE":"ACTIVATE SCENE",variant:c?"active":"activate",shortcut:"Shift+Enter"})}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(xn,{onClick:m,icon:o.jsx(ep,{size:16}),label:"KARAOKE",variant:"accent"}),o.jsx(xn,{onClick:h,icon:o.jsx(Ll,{size:16}),label:"GUIDE"})]})]})}function xn({onClick:e,disabled:t,icon:n,label:r,shortcut:s,iconRight:l,variant:a="default"}){return o.jsxs("button",{onClick:e,disabled:t,title:s,className:L("px-3 py-2 rounded flex items-center gap-1.5 text-sm font-medium transition-colors",a==="default"&&"bg-neutral-700 hover:bg-neutral-600 text-neutral-100",a==="accent"&&"bg-amber-600 hover:bg-amber-500 text-white",a==="activate"&&"bg-amber-600 hover:bg-amber-500 text-white ring-2 ring-amber-400/50",a==="active"&&"bg-green-700 text-green-100 cursor-default",t&&a!=="active"&&"opacity-50 cursor-not-allowed hover:bg-neutral-700"),children:[!l&&n,o.jsx("span",{children:r}),l&&n]})}function yx(){const{toggle:e,openModal:t,closeModal:n,popView:r,activeModal:s,viewStack:l}=K(),{nextScene:a,prevScene:i,hasNext:c,hasPrev:u,activateCurrentScene:p,isViewingActiveScene:m}=re();w.useEffect(()=>{const h=g=>{if(g.target instanceof HTMLInputElement||g.target instanceof HTMLTextAreaElement){g.key==="Escape"&&g.target.blur();return}if((g.metaKey||g.ctrlKey)&&g.key==="j"){g.preventDefault(),t("sceneJumper");return}if((g.metaKey||g.ctrlKey)&&g.key==="k"){g.preventDefault(),t("globalSearch");return}if(g.key==="g"&&!g.metaKey&&!g.ctrlKey){e();return}if(g.key==="Escape"){s?n():l.length>0&&r();return}if(g.key==="ArrowLeft"&&u()){i();return}if(g.key==="ArrowRight"&&c()){a();return}if(g.key==="Enter"&&g.shiftKey&&!m()){g.preventDefault(),p();return}};return window.addEventListener("keydown",h),()=>window.removeEventListener("keydown",h)},[e,t,n,r,s,l,a,i,c,u,p,m])}const wx=2,jx={JOIN:"sync:join",LEAVE:"sync:leave",PRESENCE:"sync:presence",CHAT:"sync:chat",ROLL:"sync:roll",SCENE_CHANGE:"sync:scene_change",STATE_SYNC:"sync:state",STATE_REQUEST:"sync:state_request",STATE_PATCH:"sync:state_patch",ERROR:"sync:error",TOKEN:"sync:token",NPC_STATE:"sync:npc_state",FLAG_UPDATE:"sync:flag_update",CLOCK:"sync:clock",CLOCK_SCHEDULE:"sync:clock_schedule",CHARACTER_UPDATE:"sync:character_update",CHARACTER_ASSIGN:"sync:character_assign",CONTENT_UPDATED:"content:updated",GM_AUTHENTICATE:"gm:authenticate"},Sx={RATE_LIMITED:"RATE_LIMITED",PROTOCOL_MISMATCH:"PROTOCOL_MISMATCH"},Nx={version:wx,messageTypes:jx,errorCodes:Sx},{messageTypes:G,errorCodes:mp,version:kx}=Nx,Cx=5e3,bx=3;let uu=0;function Ex(){return uu+=1,`${Date.now().toString(36)}-${uu.toString(36)}-${Math.random().toString(36).slice(2,10)}`}function Px(e){const t=[];let n=null,r=!1;const s=(a,i)=>{const c=t.indexOf(a);c!==-1&&t.splice(c,1),i.success||console.warn("[GM Overlay] Not delivered:",a.type,i.message||""),a.resolve(i)},l=()=>{const a=t[0],i=e();!a||n||!i||!r||(n=a,i.volatile.timeout(Cx).emit(a.type,{...a.payload,id:a.id},(c,u)=>{if(n=null,c)r&&(a.attempts+=1,a.attempts>=bx&&s(a,{success:!1,message:"No answer from the server"}));else if((u==null?void 0:u.code)===mp.RATE_LIMITED){setTimeout(l,u.retryAfter||1e3);return}else s(a,u||{success:!1});l()}))};return{send:(a,i)=>{const c=Ex(),u=new Promise(p=>{t.push({id:c,type:a,payload:i,attempts:0,resolve:p})});return l(),{id:c,done:u}},setJoined:a=>{r=a,l()},fail:a=>{t.filter(i=>i!==n).forEach(i=>s(i,{success:!1,message:a}))}}}function du(e,t,n=null,r=null){const s=localStorage.getItem(Fl(t));return e.emit(G.JOIN,{name:"Game Master",role:"gm",view:"gm-overlay",sessionId:t,token:s,protocolVersion:kx,lastRevision:n,lastEpoch:r}),s!==null}function jo(){return window.io||null}function Mx(){const e=w.useRef(null),[t,n]=w.useState(()=>jo()!==null),r=w.useRef(null),s=w.useRef(null),l=w.useRef(null),a=w.useRef(null);a.current||(a.current=Px(()=>e.current));const i=a.current,{addMessage:c,markSeen:u,replayHistory:p,clearMessages:m}=Zn(),h=J(_=>_.activeSessionId),{goToSceneById:g,loadScenes:y,activateScene:d}=re(),{addRecentScene:j,setFlag:v,setFlags:f,setCampaignClock:x,setScheduledEvents:k}=Qe(),{setConnectedPlayers:N,addConnectedPlayer:P,removeConnectedPlayer:C,applyRemoteCharacter:b}=_i();w.useEffect(()=>{if(t)return;console.log("[GM Overlay] Waiting for Socket.io to load...");const _=()=>{jo()&&(console.log("[GM Overlay] Socket.io loaded"),n(!0))},R=setInterval(_,200),E=()=>_();return window.addEventListener("load",E),()=>{clearInterval(R),window.removeEventListener("load",E)}},[t]),w.useEffect(()=>{if(!t)return;const _=jo();if(!_)return;const R=window.location.port==="5174"||window.location.port==="5175"?"http://localhost:3000":"/",E=_(R,{transports:["websocket","polling"]});return e.current=E,E.onAny((S,A)=>{s.current!==null&&Number.isInteger(A==null?void 0:A.revision)&&(s.current=Math.max(s.current,A.revision))}),E.on("connect",()=>{console.log("[GM Overlay] Connected to server:",E.id),i.setJoined(!1);const S=J.getState().activeSessionId;r.current!==S&&(s.current=null);const A=du(E,S,s.current,l.current);r.current=S,c({type:"system",text:A?"Reconnected to server":"Connected to server"})}),E.on("disconnect",()=>{console.log("[GM Overlay] Disconnected from server"),i.setJoined(!1),c({type:"system",text:"Disconnected from server"})}),E.on(G.CHAT,S=>{if(S.id&&u(S.id),S.from!==E.id){if(S.kind==="system"){c({type:"system",text:S.text,serverId:S.id});return}if(S.visibility==="whisper"){c({type:"whisper",sender:S.name,recipient:S.toName,thread:S.role==="gm"?S.toName:S.name,text:S.text,serverId:S.id});return}c({type:S.type==="gm"?"gm":"player",sender:S.name,text:S.text,serverId:S.id})}}),E.on(G.ROLL,S=>{const A=Array.isArray(S.rolls)?S.rolls.map($=>`[${$}]`).join(" "):"";c({type:"rolls",sender:S.name,text:`rolled ${S.expression}: ${A} = ${S.total}${S.label?` (${S.label})`:""}`,serverId:S.id})}),E.on(G.PRESENCE,S=>{var $;console.log("[GM Overlay] Presence update:",S.users);const A=[...S.users,...S.spectators||[]].map(ae=>({socketId:ae.socketId||ae.id,name:ae.name,role:ae.role,view:ae.view||"unknown",characterId:ae.characterId}));N(A),c({type:"system",text:`${S.users.length} user(s) connected${($=S.spectators)!=null&&$.length?`, ${S.spectators.length} watching`:""}`})}),E.on(G.JOIN,S=>{P({socketId:S.socketId||S.id||"",name:S.name,role:S.role,view:S.view||"unknown",characterId:S.characterId}),c({type:"system",text:`${S.name} joined (${S.role})`})}),E.on(G.LEAVE,S=>{S!=null&&S.socketId&&C(S.socketId),c({type:"system",text:"User left"})}),E.on(G.ERROR,S=>{console.error("[GM Overlay] Server error:",S.message),S.code===mp.PROTOCOL_MISMATCH&&J.getState().setProtocolError(S.message),c({type:"system",text:`Error: ${S.message}`})}),E.on(G.TOKEN,S=>{S.token&&(localStorage.setItem(Fl(S.sessionId||"default"),S.token),console.log("[GM Overlay] Session token stored")),J.getState().setRole(S.role==="gm"?"gm":"player"),S.role!=="gm"&&K.getState().openModal("gmLogin"),i.setJoined(!0)}),E.on(G.STATE_SYNC,S=>{console.log("[GM Overlay] State sync received:",S),S.currentScene&&(console.log("[GM Overlay] Restoring scene:",S.currentScene),g(S.currentScene),j(S.currentScene)),S.flags&&(console.log("[GM Overlay] Restoring flags:",Object.keys(S.flags).length),f(S.flags)),S.campaignClock&&x(S.campaignClock),S.scheduledEvents&&k(S.scheduledEvents),S.chatHistory&&p(S.chatHistory,S.chatHistoryHasMore),Number.isInteger(S.revision)&&(s.current=S.revision,l.current=S.epoch??null),c({type:"system",text:"Session state restored"})}),E.on(G.STATE_PATCH,S=>{var $;if(!Array.isArray(S==null?void 0:S.patches))return;for(const ae of S.patches)E.listeners(ae.type).forEach(Te=>Te(ae.data));S.chatHistory&&p(S.chatHistory),s.current=S.revision,l.current=S.epoch??null;const A=S.patches.length+((($=S.chatHistory)==null?void 0:$.length)||0);c({type:"system",text:`Caught up on ${A} change(s)`})}),E.on(G.SCENE_CHANGE,S=>{S.from===E.id||!S.scene||(g(S.scene),j(S.scene))}),E.on(G.NPC_STATE,S=>{S.from!==E.id&&console.log("[GM Overlay] NPC state update:",S.npcId,S)}),E.on(G.FLAG_UPDATE,S=>{S.from!==E.id&&(console.log("[GM Overlay] Flag update:",S.key,"=",S.value),v(S.key,S.value))}),E.on(G.CLOCK,S=>{S!=null&&S.time&&x({day:S.day,time:S.time})}),E.on(G.CHARACTER_UPDATE,S=>{S.from===E.id||!S.character||b(S.character)}),E.on(G.CLOCK_SCHEDULE,S=>{Array.isArray(S==null?void 0:S.events)&&k(S.events)}),E.on(G.CONTENT_UPDATED,S=>{if(!(S!=null&&S.kind)||!S.id)return;console.log("[GM Overlay] Content updated:",S.file),S.kind==="scene"?re.getState().reloadScene(S.id):S.kind==="npc"&&K.getState().refreshNPC(S.id);const{report:A,validate:$}=fp.getState();A&&$(A.adventureId),c({type:"system",text:`Content ${S.removed?"removed":"updated"}: ${S.file}`})}),()=>{E.disconnect(),e.current=null}},[t,i,c,N,P,C,b,g,j,v,f,x,k]),w.useEffect(()=>{const _=e.current;!(_!=null&&_.connected)||r.current===h||(m(),s.current=null,i.setJoined(!1),i.fail("Switched to another session"),du(_,h),r.current=h,_.emit(G.STATE_REQUEST,{}),c({type:"system",text:`Switched to session ${h}`}))},[h,i,c,m]),w.useEffect(()=>{const _=R=>{const{sceneId:E,scene:S}=R.detail;c({type:"system",text:`Scene activated: ${(S==null?void 0:S.title)||E}`}),j(E),i.send(G.SCENE_CHANGE,{scene:E,transition:"fade"}).done.then(A=>{A.success||c({type:"system",text:`Scene not sent to players: ${A.message||"no answer from the server"}`})}),console.log("[GM Overlay] Scene broadcast to players:",E)};return window.addEventListener("gm-overlay:activate-scene",_),()=>{window.removeEventListener("gm-overlay:activate-scene",_)}},[i,c,j]),w.useEffect(()=>{const _=(E,S)=>new Promise(A=>{const $=e.current;if(!($!=null&&$.connected)){A({success:!1,message:"Not connected"});return}$.emit(E,S,ae=>A(ae||{success:!1}))}),R=E=>{const{id:S,done:A}=i.send(G.CHAT,{...E,timestamp:Date.now()});return A.then($=>{$.success&&$.id?u($.id):$.success||c({type:"system",text:`Not sent: ${$.message||"no answer from the server"}`})}),S};return window.GMOverlay={socket:e.current,chat:{send:E=>R({text:E}),whisper:(E,S)=>R({text:S,to:E}),addMessage:E=>{c(E)}},auth:{login:E=>new Promise(S=>{const A=e.current;if(!(A!=null&&A.connected)){S({success:!1,message:"Not connected"});return}A.emit(G.GM_AUTHENTICATE,{password:E},$=>{$!=null&&$.success&&J.getState().setRole("gm"),S($||{success:!1})})})},clock:{set:(E,S)=>i.send(G.CLOCK,{day:E,time:S}).done,advance:E=>i.send(G.CLOCK,{advance:E}).done,schedule:E=>_(G.CLOCK_SCHEDULE,{action:"add",event:E}),unschedule:E=>_(G.CLOCK_SCHEDULE,{action:"remove",id:E})},flags:{set:(E,S)=>{const A=E in Qe.getState().flags,$=Qe.getState().flags[E];return v(E,S),i.send(G.FLAG_UPDATE,{key:E,value:S}).done.then(ae=>{const{flags:Te,setFlags:wt}=Qe.getState();if(!ae.success&&Te[E]===S){const{[E]:I,...O}=Te;wt(A?{...O,[E]:$}:O),c({type:"system",text:`Flag ${E} not set: ${ae.message||"no answer from the server"}`})}return ae})}},characters:{assign:(E,S)=>i.send(G.CHARACTER_ASSIGN,{socketId:E,characterId:S}).done},dice:{roll:(E,S)=>i.send(G.ROLL,{expression:E,label:S}).done.then(A=>A.success?A.roll:null)},scene:{goTo:E=>{g(E),j(E)},reload:E=>{y(E)},activate:E=>{d(E)}}},()=>{delete window.GMOverlay}},[i,c,u,g,j,y,d,v])}function Ft(e,t,{checkForDefaultPrevented:n=!0}={}){return function(s){if(e==null||e(s),n===!1||!s.defaultPrevented)return t==null?void 0:t(s)}}function fu(e,t){if(typeof e=="function")return e(t);e!=null&&(e.current=t)}function hp(...e){return t=>{let n=!1;const r=e.map(s=>{const l=fu(s,t);return!n&&typeof l=="function"&&(n=!0),l});if(n)return()=>{for(let s=0;s<r.length;s++){const l=r[s];typeof l=="function"?l():fu(e[s],null)}}}}function cn(...e){return w.useCallback(hp(...e),e)}function Tx(e,t){const n=w.createContext(t),r=l=>{const{children:a,...i}=l,c=w.useMemo(()=>i,Object.values(i));return o.jsx(n.Provider,{value:c,children:a})};r.displayName=e+"Provider";function s(l){const a=w.useContext(n);if(a)return a;if(t!==void 0)return t;throw new Error(`\`${l}\` must be used within \`${e}\``)}return[r,s]}function Ix(e,t=[]){let n=[];function r(l,a){const i=w.createContext(a),c=n.length;n=[...n,a];const u=m=>{var v;const{scope:h,children:g,...y}=m,d=((v=h==null?void 0:h[e])==null?void 0:v[c])||i,j=w.useMemo(()=>y,Object.values(y));return o.jsx(d.Provider,{value:j,children:g})};u.displayName=l+"Provider";function p(m,h){var d;const g=((d=h==null?void 0:h[e])==null?void 0:d[c])||i,y=w.useContext(g);if(y)return y;if(a!==void 0)return a;throw new Error(`\`${m}\` must be used within \`${l}\``)}return[u,p]}const s=()=>{const l=n.map(a=>w.createContext(a));return function(i){const c=(i==null?void 0:i[e])||l;return w.useMemo(()=>({[`__scope${e}`]:{...i,[e]:c}}),[i,c])}};return s.scopeName=e,[r,_x(s,...t)]}function _x(...e){const t=e[0];if(e.length===1)return t;const n=()=>{const r=e.map(s=>({useScope:s(),scopeName:s.scopeName}));return function(l){const a=r.reduce((i,{useScope:c,scopeName:u})=>{const m=c(l)[`__scope${u}`];return{...i,...m}},{});return w.useMemo(()=>({[`__scope${t.scopeName}`]:a}),[a])}};return n.scopeName=t.scopeName,n}var Yr=globalThis!=null&&globalThis.document?w.useLayoutEffect:()=>{},Rx=Au[" useId ".trim().toString()]||(()=>{}),zx=0;function So(e){const[t,n]=w.useState(Rx());return Yr(()=>{n(r=>r??String(zx++))},[e]),e||(t?`radix-${t}`:"")}var Lx=Au[" useInsertionEffect ".trim().toString()]||Yr;function Ox({prop:e,defaultProp:t,onChange:n=()=>{},caller:r}){const[s,l,a]=Ax({defaultProp:t,onChange:n}),i=e!==void 0,c=i?e:s;{const p=w.useRef(e!==void 0);w.useEffect(()=>{const m=p.current;m!==i&&console.warn(`${r} is changing from ${m?"controlled":"uncontrolled"} to ${i?"controlled":"uncontrolled"}. Components should not switch from controlled to uncontrolled (or vice versa). Decide between using a controlled or uncontrolled value for the lifetime of the component.`),p.current=i},[i,r])}const u=w.useCallback(p=>{var m;if(i){const h=Dx(p)?p(e):p;h!==e&&((m=a.current)==null||m.call(a,h))}else l(p)},[i,e,l,a]);return[c,u]}function Ax({defaultProp:e,onChange:t}){const[n,r]=w.useState(e),s=w.useRef(n),l=w.useRef(t);return Lx(()=>{l.current=t},[t]),w.useEffect(()=>{var a;s.current!==n&&((a=l.current)==null||a.call(l,n),s.current=n)},[n,s]),[n,r,l]}function Dx(e){return typeof e=="function"}function vp(e){const t=Fx(e),n=w.forwardRef((r,s)=>{const{children:l,...a}=r,i=w.Children.toArray(l),c=i.find(Ux);if(c){const u=c.props.children,p=i.map(m=>m===c?w.Children.count(u)>1?w.Children.only(null):w.isValidElement(u)?u.props.children:null:m);return o.jsx(t,{...a,ref:s,children:w.isValidElement(u)?w.cloneElement(u,void 0,p):null})}return o.jsx(t,{...a,ref:s,children:l})});return n.displayName=`${e}.Slot`,n}function Fx(e){const t=w.forwardRef((n,r)=>{const{children:s,...l}=n;if(w.isValidElement(s)){const a=Hx(s),i=Vx(l,s.props);return s.type!==w.Fragment&&(i.ref=r?hp(r,a):a),w.cloneElement(s,i)}return w.Children.count(s)>1?w.Children.only(null):null});return t.displayName=`${e}.SlotClone`,t}var $x=Symbol("radix.slottable");function Ux(e){return w.isValidElement(e)&&typeof e.type=="function"&&"__radixId"in e.type&&e.type.__radixId===$x}function Vx(e,t){const n={...t};for(const r in t){const s=e[r],l=t[r];/^on[A-Z]/.test(r)?s&&l?n[r]=(...i)=>{const c=l(...i);return s(...i),c}:s&&(n[r]=s):r==="style"?n[r]={...s,...l}:r==="className"&&(n[r]=[s,l].filter(Boolean).join(" "))}return{...e,...n}}function Hx(e){var r,s;let t=(r=Object.getOwnPropertyDescriptor(e.props,"ref"))==null?void 0:r.get,n=t&&"isReactWarning"in t&&t.isReactWarning;return n?e.ref:(t=(s=Object.getOwnPropertyDescriptor(e,"ref"))==null?void 0:s.get,n=t&&"isReactWarning"in t&&t.isReactWarning,n?e.props.ref:e.props.ref||e.ref)}var Bx=["a","button","div","form","h2","h3","img","input","label","li","nav","ol","p","select","span","svg","ul"],yt=Bx.reduce((e,t)=>{const n=vp(`Primitive.${t}`),r=w.forwardRef((s,l)=>{const{asChild:a,...i}=s,c=a?n:t;return typeof window<"u"&&(window[Symbol.for("radix-ui")]=!0),o.jsx(c,{...i,ref:l})});return r.displayName=`Primitive.${t}`,{...e,[t]:r}},{});function Wx(e,t){e&&ki.flushSync(()=>e.dispatchEvent(t))}function Xr(e){const t=w.useRef(e);return w.useEffect(()=>{t.current=e}),w.useMemo(()=>(...n)=>{var r;return(r=t.current)==null?void 0:r.call(t,...n)},[])}function Gx(e,t=globalThis==null?void 0:globalThis.document){const n=Xr(e);w.useEffect(()=>{const r=s=>{s.key==="Escape"&&n(s)};return t.addEventListener("keydown",r,{capture:!0}),()=>t.removeEventListener("keydown",r,{capture:!0})},[n,t])}var Kx="DismissableLayer",Ea="dismissableLayer.update",Qx="dismissableLayer.pointerDownOutside",Yx="dismissableLayer.focusOutside",pu,gp=w.createContext({layers:new Set,layersWithOutsidePointerEventsDisabled:new Set,branches:new Set}),xp=w.forwardRef((e,t)=>{const{disableOutsidePointerEvents:n=!1,onEscapeKeyDown:r,onPointerDownOutside:s,onFocusOutside:l,onInteractOutside:a,onDismiss:i,...c}=e,u=w.useContext(gp),[p,m]=w.useState(null),h=(p==null?void 0:p.ownerDocument)??(globalThis==null?void 0:globalThis.document),[,g]=w.useState({}),y=cn(t,C=>m(C)),d=Array.from(u.layers),[j]=[...u.layersWithOutsidePointerEventsDisabled].slice(-1),v=d.indexOf(j),f=p?d.indexOf(p):-1,x=u.layersWithOutsidePointerEventsDisabled.size>0,k=f>=v,N=Zx(C=>{const b=C.target,_=[...u.branches].some(R=>R.contains(b));!k||_||(s==null||s(C),a==null||a(C),C.defaultPrevented||i==null||i())},h),P=qx(C=>{const b=C.target;[...u.branches].some(R=>R.contains(b))||(l==null||l(C),a==null||a(C),C.defaultPrevented||i==null||i())},h);return Gx(C=>{f===u.layers.size-1&&(r==null||r(C),!C.defaultPrevented&&i&&(C.preventDefault(),i()))},h),w.useEffect(()=>{if(p)return n&&(u.layersWithOutsidePointerEventsDisabled.size===0&&(pu=h.body.style.pointerEvents,h.body.style.pointerEvents="none"),u.layersWithOutsidePointerEventsDisabled.add(p)),u.layers.add(p),mu(),()=>{n&&u.layersWithOutsidePointerEventsDisabled.size===1&&(h.body.style.pointerEvents=pu)}},[p,h,n,u]),w.useEffect(()=>()=>{p&&(u.layers.delete(p),u.layersWithOutsidePointerEventsDisabled.delete(p),mu())},[p,u]),w.useEffect(()=>{const C=()=>g({});return document.addEventListener(Ea,C),()=>document.removeEventListener(Ea,C)},[]),o.jsx(yt.div,{...c,ref:y,style:{pointerEvents:x?k?"auto":"none":void 0,...e.style},onFocusCapture:Ft(e.onFocusCapture,P.onFocusCapture),onBlurCapture:Ft(e.onBlurCapture,P.onBlurCapture),onPointerDownCapture:Ft(e.onPointerDownCapture,N.onPointerDownCapture)})});xp.displayName=Kx;var Xx="DismissableLayerBranch",Jx=w.forwardRef((e,t)=>{const n=w.useContext(gp),r=w.useRef(null),s=cn(t,r);return w.useEffect(()=>{const l=r.current;if(l)return n.branches.add(l),()=>{n.branches.delete(l)}},[n.branches]),o.jsx(yt.div,{...e,ref:s})});Jx.displayName=Xx;function Zx(e,t=globalThis==null?void 0:globalThis.document){const n=Xr(e),r=w.useRef(!1),s=w.useRef(()=>{});return w.useEffect(()=>{const l=i=>{if(i.target&&!r.current){let c=function(){yp(Qx,n,u,{discrete:!0})};const u={originalEvent:i};i.pointerType==="touch"?(t.removeEventListener("click",s.current),s.current=c,t.addEventListener("click",s.current,{once:!0})):c()}else t.removeEventListener("click",s.current);r.current=!1},a=window.setTimeout(()=>{t.addEventListener("pointerdown",l)},0);return()=>{window.clearTimeout(a),t.removeEventListener("pointerdown",l),t.removeEventListener("click",s.current)}},[t,n]),{onPointerDownCapture:()=>r.current=!0}}function qx(e,t=globalThis==null?void 0:globalThis.document){const n=Xr(e),r=w.useRef(!1);return w.useEffect(()=>{const s=l=>{l.target&&!r.current&&yp(Yx,n,{originalEvent:l},{discrete:!1})};return t.addEventListener("focusin",s),()=>t.removeEventListener("focusin",s)},[t,n]),{onFocusCapture:()=>r.current=!0,onBlurCapture:()=>r.current=!1}}function mu(){const e=new CustomEvent(Ea);document.dispatchEvent(e)}function yp(e,t,n,{discrete:r}){const s=n.originalEvent.target,l=new CustomEvent(e,{bubbles:!1,cancelable:!0,detail:n});t&&s.addEventListener(e,t,{once:!0}),r?Wx(s,l):s.dispatchEvent(l)}var No="focusScope.autoFocusOnMount",ko="focusScope.autoFocusOnUnmount",hu={bubbles:!1,cancelable:!0},ey="FocusScope",wp=w.forwardRef((e,t)=>{const{loop:n=!1,trapped:r=!1,onMountAutoFocus:s,onUnmountAutoFocus:l,...a}=e,[i,c]=w.useState(null),u=Xr(s),p=Xr(l),m=w.useRef(null),h=cn(t,d=>c(d)),g=w.useRef({paused:!1,pause(){this.paused=!0},resume(){this.paused=!1}}).current;w.useEffect(()=>{if(r){let d=function(x){if(g.paused||!i)return;const k=x.target;i.contains(k)?m.current=k:kt(m.current,{select:!0})},j=function(x){if(g.paused||!i)return;const k=x.relatedTarget;k!==null&&(i.contains(k)||kt(m.current,{select:!0}))},v=function(x){if(document.activeElement===document.body)for(const N of x)N.removedNodes.length>0&&kt(i)};document.addEventListener("focusin",d),document.addEventListener("focusout",j);const f=new MutationObserver(v);return i&&f.observe(i,{childList:!0,subtree:!0}),()=>{document.removeEventListener("focusin",d),document.removeEventListener("focusout",j),f.disconnect()}}},[r,i,g.paused]),w.useEffect(()=>{if(i){gu.add(g);const d=document.activeElement;if(!i.contains(d)){const v=new CustomEvent(No,hu);i.addEventListener(No,u),i.dispatchEvent(v),v.defaultPrevented||(ty(oy(jp(i)),{select:!0}),document.activeElement===d&&kt(i))}return()=>{i.removeEventListener(No,u),setTimeout(()=>{const v=new CustomEvent(ko,hu);i.addEventListener(ko,p),i.dispatchEvent(v),v.defaultPrevented||kt(d??document.body,{select:!0}),i.removeEventListener(ko,p),gu.remove(g)},0)}}},[i,u,p,g]);const y=w.useCallback(d=>{if(!n&&!r||g.paused)return;const j=d.key==="Tab"&&!d.altKey&&!d.ctrlKey&&!d.metaKey,v=document.activeElement;if(j&&v){const f=d.currentTarget,[x,k]=ny(f);x&&k?!d.shiftKey&&v===k?(d.preventDefault(),n&&kt(x,{select:!0})):d.shiftKey&&v===x&&(d.preventDefault(),n&&kt(k,{select:!0})):v===f&&d.preventDefault()}},[n,r,g.paused]);return o.jsx(yt.div,{tabIndex:-1,...a,ref:h,onKeyDown:y})});wp.displayName=ey;function ty(e,{select:t=!1}={}){const n=document.activeElement;for(const r of e)if(kt(r,{select:t}),document.activeElement!==n)return}function ny(e){const t=jp(e),n=vu(t,e),r=vu(t.reverse(),e);return[n,r]}function jp(e){const t=[],n=document.createTreeWalker(e,NodeFilter.SHOW_ELEMENT,{acceptNode:r=>{const s=r.tagName==="INPUT"&&r.type==="hidden";return r.disabled||r.hidden||s?NodeFilter.FILTER_SKIP:r.tabIndex>=0?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP}});for(;n.nextNode();)t.push(n.currentNode);return t}function vu(e,t){for(const n of e)if(!ry(n,{upTo:t}))return n}function ry(e,{upTo:t}){if(getComputedStyle(e).visibility==="hidden")return!0;for(;e;){if(t!==void 0&&e===t)return!1;if(getComputedStyle(e).display==="none")return!0;e=e.parentElement}return!1}function sy(e){return e instanceof HTMLInputElement&&"select"in e}function kt(e,{select:t=!1}={}){if(e&&e.focus){const n=document.activeElement;e.focus({preventScroll:!0}),e!==n&&sy(e)&&t&&e.select()}}var gu=ly();function ly(){let e=[];return{add(t){const n=e[0];t!==n&&(n==null||n.pause()),e=xu(e,t),e.unshift(t)},remove(t){var n;e=xu(e,t),(n=e[0])==null||n.resume()}}}function xu(e,t){const n=[...e],r=n.indexOf(t);return r!==-1&&n.splice(r,1),n}function oy(e){return e.filter(t=>t.tagName!=="A")}var ay="Portal",Sp=w.forwardRef((e,t)=>{var i;const{container:n,...r}=e,[s,l]=w.useState(!1);Yr(()=>l(!0),[]);const a=n||s&&((i=globalThis==null?void 0:globalThis.document)==null?void 0:i.body);return a?w0.createPortal(o.jsx(yt.div,{...r,ref:t}),a):null});Sp.displayName=ay;function iy(e,t){return w.useReducer((n,r)=>t[n][r]??n,e)}var $l=e=>{const{present:t,children:n}=e,r=cy(t),s=typeof n=="function"?n({present:r.isPresent}):w.Children.only(n),l=cn(r.ref,uy(s));return typeof n=="function"||r.isPresent?w.cloneElement(s,{ref:l}):null};$l.displayName="Presence";function cy(e){const[t,n]=w.useState(),r=w.useRef(null),s=w.useRef(e),l=w.useRef("none"),a=e?"mounted":"unmounted",[i,c]=iy(a,{mounted:{UNMOUNT:"unmounted",ANIMATION_OUT:"unmountSuspended"},unmountSuspended:{MOUNT:"mounted",ANIMATION_END:"unmounted"},unmounted:{MOUNT:"mounted"}});return w.useEffect(()=>{const u=Cs(r.current);l.current=i==="mounted"?u:"none"},[i]),Yr(()=>{const u=r.current,p=s.current;if(p!==e){const h=l.current,g=Cs(u);e?c("MOUNT"):g==="none"||(u==null?void 0:u.display)==="none"?c("UNMOUNT"):c(p&&h!==g?"ANIMATION_OUT":"UNMOUNT"),s.current=e}},[e,c]),Yr(()=>{if(t){let u;const p=t.ownerDocument.defaultView??window,m=g=>{const d=Cs(r.current).includes(CSS.escape(g.animationName));if(g.target===t&&d&&(c("ANIMATION_END"),!s.current)){const j=t.style.animationFillMode;t.style.animationFillMode="forwards",u=p.setTimeout(()=>{t.style.animationFillMode==="forwards"&&(t.style.animationFillMode=j)})}},h=g=>{g.target===t&&(l.current=Cs(r.current))};return t.addEventListener("animationstart",h),t.addEventListener("animationcancel",m),t.addEventListener("animationend",m),()=>{p.clearTimeout(u),t.removeEventListener("animationstart",h),t.removeEventListener("animationcancel",m),t.removeEventListener("animationend",m)}}else c("ANIMATION_END")},[t,c]),{isPresent:["mounted","unmountSuspended"].includes(i),ref:w.useCallback(u=>{r.current=u?getComputedStyle(u):null,n(u)},[])}}function Cs(e){return(e==null?void 0:e.animationName)||"none"}function uy(e){var r,s;let t=(r=Object.getOwnPropertyDescriptor(e.props,"ref"))==null?void 0:r.get,n=t&&"isReactWarning"in t&&t.isReactWarning;return n?e.ref:(t=(s=Object.getOwnPropertyDescriptor(e,"ref"))==null?void 0:s.get,n=t&&"isReactWarning"in t&&t.isReactWarning,n?e.props.ref:e.props.ref||e.ref)}var Co=0;function dy(){w.useEffect(()=>{const e=document.querySelectorAll("[data-radix-focus-guard]");return document.body.insertAdjacentElement("afterbegin",e[0]??yu()),document.body.insertAdjacentElement("beforeend",e[1]??yu()),Co++,()=>{Co===1&&document.querySelectorAll("[data-radix-focus-guard]").forEach(t=>t.remove()),Co--}},[])}function yu(){const e=document.createElement("span");return e.setAttribute("data-radix-focus-guard",""),e.tabIndex=0,e.style.outline="none",e.style.opacity="0",e.style.position="fixed",e.style.pointerEvents="none",e}var nt=function(){return nt=Object.assign||function(t){for(var n,r=1,s=arguments.length;r<s;r++){n=arguments[r];for(var l in n)Object.prototype.hasOwnProperty.call(n,l)&&(t[l]=n[l])}return t},nt.apply(this,arguments)};function Np(e,t){var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&t.indexOf(r)<0&&(n[r]=e[r]);if(e!=null&&typeof Object.getOwnPropertySymbols=="function")for(var s=0,r=Object.getOwnPropertySymbols(e);s<r.length;s++)t.indexOf(r[s])<0&&Object.prototype.propertyIsEnumerable.call(e,r[s])&&(n[r[s]]=e[r[s]]);return n}function fy(e,t,n){if(n||arguments.length===2)for(var r=0,s=t.length,l;r<s;r++)(l||!(r in t))&&(l||(l=Array.prototype.slice.call(t,0,r)),l[r]=t[r]);return e.concat(l||Array.prototype.slice.call(t))}var Hs="right-scroll-bar-position",Bs="width-before-scroll-bar",py="with-scroll-bars-hidden",my="--removed-body-scroll-bar-size";function bo(e,t){return typeof e=="function"?e(t):e&&(e.current=t),e}function hy(e,t){var n=w.useState(function(){return{value:e,callback:t,facade:{get current(){return n.value},set current(r){var s=n.value;s!==r&&(n.value=r,n.callback(r,s))}}}})[0];return n.callback=t,n.facade}var vy=typeof window<"u"?w.useLayoutEffect:w.useEffect,wu=new WeakMap;function gy(e,t){var n=hy(null,function(r){return e.forEach(function(s){return bo(s,r)})});return vy(function(){var r=wu.get(n);if(r){var s=new Set(r),l=new Set(e),a=n.current;s.forEach(function(i){l.has(i)||bo(i,null)}),l.forEach(function(i){s.has(i)||bo(i,a)})}wu.set(n,e)},[e]),n}function xy(e){return e}function yy(e,t){t===void 0&&(t=xy);var n=[],r=!1,s={read:function(){if(r)throw new Error("Sidecar: could not `read` from an `assigned` medium. `read` could be used only with `useMedium`.");return n.length?n[n.length-1]:e},useMedium:function(l){var a=t(l,r);return n.push(a),function(){n=n.filter(function(i){return i!==a})}},assignSyncMedium:function(l){for(r=!0;n.length;){var a=n;n=[],a.forEach(l)}n={push:function(i){return l(i)},filter:function(){return n}}},assignMedium:function(l){r=!0;var a=[];if(n.length){var i=n;n=[],i.forEach(l),a=n}var c=function(){var p=a;a=[],p.forEach(l)},u=function(){return Promise.resolve().then(c)};u(),n={push:function(p){a.push(p),u()},filter:function(p){return a=a.filter(p),n}}}};return s}function wy(e){e===void 0&&(e={});var t=yy(null);return t.options=nt({async:!0,ssr:!1},e),t}var kp=function(e){var t=e.sideCar,n=Np(e,["sideCar"]);if(!t)throw new Error("Sidecar: please provide `sideCar` property to import the right car");var r=t.read();if(!r)throw new Error("Sidecar medium not found");return w.createElement(r,nt({},n))};kp.isSideCarExport=!0;function jy(e,t){return e.useMedium(t),kp}var Cp=wy(),Eo=function(){},Ul=w.forwardRef(function(e,t){var n=w.useRef(null),r=w.useState({onScrollCapture:Eo,onWheelCapture:Eo,onTouchMoveCapture:Eo}),s=r[0],l=r[1],a=e.forwardProps,i=e.children,c=e.className,u=e.removeScrollBar,p=e.enabled,m=e.shards,h=e.sideCar,g=e.noRelative,y=e.noIsolation,d=e.inert,j=e.allowPinchZoom,v=e.as,f=v===void 0?"div":v,x=e.gapMode,k=Np(e,["forwardProps","children","className","removeScrollBar","enabled","shards","sideCar","noRelative","noIsolation","inert","allowPinchZoom","as","gapMode"]),N=h,P=gy([n,t]),C=nt(nt({},k),s);return w.createElement(w.Fragment,null,p&&w.createElement(N,{sideCar:Cp,removeScrollBar:u,shards:m,noRelative:g,noIsolation:y,inert:d,setCallbacks:l,allowPinchZoom:!!j,lockRef:n,gapMode:x}),a?w.cloneElement(w.Children.only(i),nt(nt({},C),{ref:P})):w.createElement(f,nt({},C,{className:c,ref:P}),i))});Ul.defaultProps={enabled:!0,removeScrollBar:!0,inert:!1};Ul.classNames={fullWidth:Bs,zeroRight:Hs};var Sy=function(){if(typeof __webpack_nonce__<"u")return __webpack_nonce__};function Ny(){if(!document)return null;var e=document.createElement("style");e.type="text/css";var t=Sy();return t&&e.setAttribute("nonce",t),e}function ky(e,t){e.styleSheet?e.styleSheet.cssText=t:e.appendChild(document.createTextNode(t))}function Cy(e){var t=document.head||document.getElementsByTagName("head")[0];t.appendChild(e)}var by=function(){var e=0,t=null;return{add:function(n){e==0&&(t=Ny())&&(ky(t,n),Cy(t)),e++},remove:function(){e--,!e&&t&&(t.parentNode&&t.parentNode.removeChild(t),t=null)}}},Ey=function(){var e=by();return function(t,n){w.useEffect(function(){return e.add(t),function(){e.remove()}},[t&&n])}},bp=function(){var e=Ey(),t=function(n){var r=n.styles,s=n.dynamic;return e(r,s),null};return t},Py={left:0,top:0,right:0,gap:0},Po=function(e){return parseInt(e||"",10)||0},My=function(e){var t=window.getComputedStyle(document.body),n=t[e==="padding"?"paddingLeft":"marginLeft"],r=t[e==="padding"?"paddingTop":"marginTop"],s=t[e==="padding"?"paddingRight":"marginRight"];return[Po(n),Po(r),Po(s)]},Ty=function(e){if(e===void 0&&(e="margin"),typeof window>"u")return Py;var t=My(e),n=document.documentElement.clientWidth,r=window.innerWidth;return{left:t[0],top:t[1],right:t[2],gap:Math.max(0,r-n+t[2]-t[0])}},Iy=bp(),Hn="data-scroll-locked",_y=function(e,t,n,r){var s=e.left,l=e.top,a=e.right,i=e.gap;return n===void 0&&(n="margin"),`
+  .`.concat(py,` {
+   overflow: hidden `).concat(r,`;
+   padding-right: `).concat(i,"px ").concat(r,`;
+  }
+  body[`).concat(Hn,`] {
+    overflow: hidden `).concat(r,`;
+    overscroll-behavior: contain;
+    `).concat([t&&"position: relative ".concat(r,";"),n==="margin"&&`
+    padding-left: `.concat(s,`px;
+    padding-top: `).concat(l,`px;
+    padding-right: `).concat(a,`px;
+    margin-left:0;
+    margin-top:0;
+    margin-right: `).concat(i,"px ").concat(r,`;
+    `),n==="padding"&&"padding-right: ".concat(i,"px ").concat(r,";")].filter(Boolean).join(""),`
+  }
+  
+  .`).concat(Hs,` {
+    right: `).concat(i,"px ").concat(r,`;
+  }
+  
+  .`).concat(Bs,` {
+    margin-right: `).concat(i,"px ").concat(r,`;
+  }
+  
+  .`).concat(Hs," .").concat(Hs,` {
+    right: 0 `).concat(r,`;
+  }
+  
+  .`).concat(Bs," .").concat(Bs,` {
+    margin-right: 0 `).concat(r,`;
+  }
+  
+  body[`).concat(Hn,`] {
+    `).concat(my,": ").concat(i,`px;
+  }
+`)},ju=function(){var e=parseInt(document.body.getAttribute(Hn)||"0",10);return isFinite(e)?e:0},Ry=function(){w.useEffect(function(){return document.body.setAttribute(Hn,(ju()+1).toString()),function(){var e=ju()-1;e<=0?document.body.removeAttribute(Hn):document.body.setAttribute(Hn,e.toString())}},[])},zy=function(e){var t=e.noRelative,n=e.noImportant,r=e.gapMode,s=r===void 0?"margin":r;Ry();var l=w.useMemo(function(){return Ty(s)},[s]);return w.createElement(Iy,{styles:_y(l,!t,s,n?"":"!important")})},Pa=!1;if(typeof window<"u")try{var bs=Object.defineProperty({},"passive",{get:function(){return Pa=!0,!0}});window.addEventListener("test",bs,bs),window.removeEventListener("test",bs,bs)}catch{Pa=!1}var yn=Pa?{passive:!1}:!1,Ly=function(e){return e.tagName==="TEXTAREA"},Ep=function(e,t){if(!(e instanceof Element))return!1;var n=window.getComputedStyle(e);return n[t]!=="hidden"&&!(n.overflowY===n.overflowX&&!Ly(e)&&n[t]==="visible")},Oy=function(e){return Ep(e,"overflowY")},Ay=function(e){return Ep(e,"overflowX")},Su=function(e,t){var n=t.ownerDocument,r=t;do{typeof ShadowRoot<"u"&&r instanceof ShadowRoot&&(r=r.host);var s=Pp(e,r);if(s){var l=Mp(e,r),a=l[1],i=l[2];if(a>i)return!0}r=r.parentNode}while(r&&r!==n.body);return!1},Dy=function(e){var t=e.scrollTop,n=e.scrollHeight,r=e.clientHeight;return[t,n,r]},Fy=function(e){var t=e.scrollLeft,n=e.scrollWidth,r=e.clientWidth;return[t,n,r]},Pp=function(e,t){return e==="v"?Oy(t):Ay(t)},Mp=function(e,t){return e==="v"?Dy(t):Fy(t)},$y=function(e,t){return e==="h"&&t==="rtl"?-1:1},Uy=function(e,t,n,r,s){var l=$y(e,window.getComputedStyle(t).direction),a=l*r,i=n.target,c=t.contains(i),u=!1,p=a>0,m=0,h=0;do{if(!i)break;var g=Mp(e,i),y=g[0],d=g[1],j=g[2],v=d-j-l*y;(y||v)&&Pp(e,i)&&(m+=v,h+=y);var f=i.parentNode;i=f&&f.nodeType===Node.DOCUMENT_FRAGMENT_NODE?f.host:f}while(!c&&i!==document.body||c&&(t.contains(i)||t===i));return(p&&Math.abs(m)<1||!p&&Math.abs(h)<1)&&(u=!0),u},Es=function(e){return"changedTouches"in e?[e.changedTouches[0].clientX,e.changedTouches[0].clientY]:[0,0]},Nu=function(e){return[e.deltaX,e.deltaY]},ku=function(e){return e&&"current"in e?e.current:e},Vy=function(e,t){return e[0]===t[0]&&e[1]===t[1]},Hy=function(e){return`
+  .block-interactivity-`.concat(e,` {pointer-events: none;}
+  .allow-interactivity-`).concat(e,` {pointer-events: all;}
+`)},By=0,wn=[];function Wy(e){var t=w.useRef([]),n=w.useRef([0,0]),r=w.useRef(),s=w.useState(By++)[0],l=w.useState(bp)[0],a=w.useRef(e);w.useEffect(function(){a.current=e},[e]),w.useEffect(function(){if(e.inert){document.body.classList.add("block-interactivity-".concat(s));var d=fy([e.lockRef.current],(e.shards||[]).map(ku),!0).filter(Boolean);return d.forEach(function(j){return j.classList.add("allow-interactivity-".concat(s))}),function(){document.body.classList.remove("block-interactivity-".concat(s)),d.forEach(function(j){return j.classList.remove("allow-interactivity-".concat(s))})}}},[e.inert,e.lockRef.current,e.shards]);var i=w.useCallback(function(d,j){if("touches"in d&&d.touches.length===2||d.type==="wheel"&&d.ctrlKey)return!a.current.allowPinchZoom;var v=Es(d),f=n.current,x="deltaX"in d?d.deltaX:f[0]-v[0],k="deltaY"in d?d.deltaY:f[1]-v[1],N,P=d.target,C=Math.abs(x)>Math.abs(k)?"h":"v";if("touches"in d&&C==="h"&&P.type==="range")return!1;var b=window.getSelection(),_=b&&b.anchorNode,R=_?_===P||_.contains(P):!1;if(R)return!1;var E=Su(C,P);if(!E)return!0;if(E?N=C:(N=C==="v"?"h":"v",E=Su(C,P)),!E)return!1;if(!r.current&&"changedTouches"in d&&(x||k)&&(r.current=N),!N)return!0;var S=r.current||N;return Uy(S,j,d,S==="h"?x:k)},[]),c=w.useCallback(function(d){var j=d;if(!(!wn.length||wn[wn.length-1]!==l)){var v="deltaY"in j?Nu(j):Es(j),f=t.current.filter(function(N){return N.name===j.type&&(N.target===j.target||j.target===N.shadowParent)&&Vy(N.delta,v)})[0];if(f&&f.should){j.cancelable&&j.preventDefault();return}if(!f){var x=(a.current.shards||[]).map(ku).filter(Boolean).filter(function(N){return N.contains(j.target)}),k=x.length>0?i(j,x[0]):!a.current.noIsolation;k&&j.cancelable&&j.preventDefault()}}},[]),u=w.useCallback(function(d,j,v,f){var x={name:d,delta:j,target:v,should:f,shadowParent:Gy(v)};t.current.push(x),setTimeout(function(){t.current=t.current.filter(function(k){return k!==x})},1)},[]),p=w.useCallback(function(d){n.current=Es(d),r.current=void 0},[]),m=w.useCallback(function(d){u(d.type,Nu(d),d.target,i(d,e.lockRef.current))},[]),h=w.useCallback(function(d){u(d.type,Es(d),d.target,i(d,e.lockRef.current))},[]);w.useEffect(function(){return wn.push(l),e.setCallbacks({onScrollCapture:m,onWheelCapture:m,onTouchMoveCapture:h}),document.addEventListener("wheel",c,yn),document.addEventListener("touchmove",c,yn),document.addEventListener("touchstart",p,yn),function(){wn=wn.filter(function(d){return d!==l}),document.removeEventListener("wheel",c,yn),document.removeEventListener("touchmove",c,yn),document.removeEventListener("touchstart",p,yn)}},[]);var g=e.removeScrollBar,y=e.inert;return w.createElement(w.Fragment,null,y?w.createElement(l,{styles:Hy(s)}):null,g?w.createElement(zy,{noRelative:e.noRelative,gapMode:e.gapMode}):null)}function Gy(e){for(var t=null;e!==null;)e instanceof ShadowRoot&&(t=e.host,e=e.host),e=e.parentNode;return t}const Ky=jy(Cp,Wy);var Tp=w.forwardRef(function(e,t){return w.createElement(Ul,nt({},e,{ref:t,sideCar:Ky}))});Tp.classNames=Ul.classNames;var Qy=function(e){if(typeof document>"u")return null;var t=Array.isArray(e)?e[0]:e;return t.ownerDocument.body},jn=new WeakMap,Ps=new WeakMap,Ms={},Mo=0,Ip=function(e){return e&&(e.host||Ip(e.parentNode))},Yy=function(e,t){return t.map(function(n){if(e.contains(n))return n;var r=Ip(n);return r&&e.contains(r)?r:(console.error("aria-hidden",n,"in not contained inside",e,". Doing nothing"),null)}).filter(function(n){return!!n})},Xy=function(e,t,n,r){var s=Yy(t,Array.isArray(e)?e:[e]);Ms[n]||(Ms[n]=new WeakMap);var l=Ms[n],a=[],i=new Set,c=new Set(s),u=function(m){!m||i.has(m)||(i.add(m),u(m.parentNode))};s.forEach(u);var p=function(m){!m||c.has(m)||Array.prototype.forEach.call(m.children,function(h){if(i.has(h))p(h);else try{var g=h.getAttribute(r),y=g!==null&&g!=="false",d=(jn.get(h)||0)+1,j=(l.get(h)||0)+1;jn.set(h,d),l.set(h,j),a.push(h),d===1&&y&&Ps.set(h,!0),j===1&&h.setAttribute(n,"true"),y||h.setAttribute(r,"true")}catch(v){console.error("aria-hidden: cannot operate on ",h,v)}})};return p(t),i.clear(),Mo++,function(){a.forEach(function(m){var h=jn.get(m)-1,g=l.get(m)-1;jn.set(m,h),l.set(m,g),h||(Ps.has(m)||m.removeAttribute(r),Ps.delete(m)),g||m.removeAttribute(n)}),Mo--,Mo||(jn=new WeakMap,jn=new WeakMap,Ps=new WeakMap,Ms={})}},Jy=function(e,t,n){n===void 0&&(n="data-aria-hidden");var r=Array.from(Array.isArray(e)?e:[e]),s=Qy(e);return s?(r.push.apply(r,Array.from(s.querySelectorAll("[aria-live], script"))),Xy(r,s,n,"aria-hidden")):function(){return null}},Vl="Dialog",[_p]=Ix(Vl),[Zy,Ze]=_p(Vl),Rp=e=>{const{__scopeDialog:t,children:n,open:r,defaultOpen:s,onOpenChange:l,modal:a=!0}=e,i=w.useRef(null),c=w.useRef(null),[u,p]=Ox({prop:r,defaultProp:s??!1,onChange:l,caller:Vl});return o.jsx(Zy,{scope:t,triggerRef:i,contentRef:c,contentId:So(),titleId:So(),descriptionId:So(),open:u,onOpenChange:p,onOpenToggle:w.useCallback(()=>p(m=>!m),[p]),modal:a,children:n})};Rp.displayName=Vl;var zp="DialogTrigger",qy=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,s=Ze(zp,n),l=cn(t,s.triggerRef);return o.jsx(yt.button,{type:"button","aria-haspopup":"dialog","aria-expanded":s.open,"aria-controls":s.contentId,"data-state":Li(s.open),...r,ref:l,onClick:Ft(e.onClick,s.onOpenToggle)})});qy.displayName=zp;var Ri="DialogPortal",[e1,Lp]=_p(Ri,{forceMount:void 0}),Op=e=>{const{__scopeDialog:t,forceMount:n,children:r,container:s}=e,l=Ze(Ri,t);return o.jsx(e1,{scope:t,forceMount:n,children:w.Children.map(r,a=>o.jsx($l,{present:n||l.open,children:o.jsx(Sp,{asChild:!0,container:s,children:a})}))})};Op.displayName=Ri;var vl="DialogOverlay",Ap=w.forwardRef((e,t)=>{const n=Lp(vl,e.__scopeDialog),{forceMount:r=n.forceMount,...s}=e,l=Ze(vl,e.__scopeDialog);return l.modal?o.jsx($l,{present:r||l.open,children:o.jsx(n1,{...s,ref:t})}):null});Ap.displayName=vl;var t1=vp("DialogOverlay.RemoveScroll"),n1=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,s=Ze(vl,n);return o.jsx(Tp,{as:t1,allowPinchZoom:!0,shards:[s.contentRef],children:o.jsx(yt.div,{"data-state":Li(s.open),...r,ref:t,style:{pointerEvents:"auto",...r.style}})})}),ln="DialogContent",Dp=w.forwardRef((e,t)=>{const n=Lp(ln,e.__scopeDialog),{forceMount:r=n.forceMount,...s}=e,l=Ze(ln,e.__scopeDialog);return o.jsx($l,{present:r||l.open,children:l.modal?o.jsx(r1,{...s,ref:t}):o.jsx(s1,{...s,ref:t})})});Dp.displayName=ln;var r1=w.forwardRef((e,t)=>{const n=Ze(ln,e.__scopeDialog),r=w.useRef(null),s=cn(t,n.contentRef,r);return w.useEffect(()=>{const l=r.current;if(l)return Jy(l)},[]),o.jsx(Fp,{...e,ref:s,trapFocus:n.open,disableOutsidePointerEvents:!0,onCloseAutoFocus:Ft(e.onCloseAutoFocus,l=>{var a;l.preventDefault(),(a=n.triggerRef.current)==null||a.focus()}),onPointerDownOutside:Ft(e.onPointerDownOutside,l=>{const a=l.detail.originalEvent,i=a.button===0&&a.ctrlKey===!0;(a.button===2||i)&&l.preventDefault()}),onFocusOutside:Ft(e.onFocusOutside,l=>l.preventDefault())})}),s1=w.forwardRef((e,t)=>{const n=Ze(ln,e.__scopeDialog),r=w.useRef(!1),s=w.useRef(!1);return o.jsx(Fp,{...e,ref:t,trapFocus:!1,disableOutsidePointerEvents:!1,onCloseAutoFocus:l=>{var a,i;(a=e.onCloseAutoFocus)==null||a.call(e,l),l.defaultPrevented||(r.current||(i=n.triggerRef.current)==null||i.focus(),l.preventDefault()),r.current=!1,s.current=!1},onInteractOutside:l=>{var c,u;(c=e.onInteractOutside)==null||c.call(e,l),l.defaultPrevented||(r.current=!0,l.detail.originalEvent.type==="pointerdown"&&(s.current=!0));const a=l.target;((u=n.triggerRef.current)==null?void 0:u.contains(a))&&l.preventDefault(),l.detail.originalEvent.type==="focusin"&&s.current&&l.preventDefault()}})}),Fp=w.forwardRef((e,t)=>{const{__scopeDialog:n,trapFocus:r,onOpenAutoFocus:s,onCloseAutoFocus:l,...a}=e,i=Ze(ln,n),c=w.useRef(null),u=cn(t,c);return dy(),o.jsxs(o.Fragment,{children:[o.jsx(wp,{asChild:!0,loop:!0,trapped:r,onMountAutoFocus:s,onUnmountAutoFocus:l,children:o.jsx(xp,{role:"dialog",id:i.contentId,"aria-describedby":i.descriptionId,"aria-labelledby":i.titleId,"data-state":Li(i.open),...a,ref:u,onDismiss:()=>i.onOpenChange(!1)})}),o.jsxs(o.Fragment,{children:[o.jsx(o1,{titleId:i.titleId}),o.jsx(i1,{contentRef:c,descriptionId:i.descriptionId})]})]})}),zi="DialogTitle",$p=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,s=Ze(zi,n);return o.jsx(yt.h2,{id:s.titleId,...r,ref:t})});$p.displayName=zi;var Up="DialogDescription",l1=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,s=Ze(Up,n);return o.jsx(yt.p,{id:s.descriptionId,...r,ref:t})});l1.displayName=Up;var Vp="DialogClose",Hp=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,s=Ze(Vp,n);return o.jsx(yt.button,{type:"button",...r,ref:t,onClick:Ft(e.onClick,()=>s.onOpenChange(!1))})});Hp.displayName=Vp;function Li(e){return e?"open":"closed"}var Bp="DialogTitleWarning",[k1,Wp]=Tx(Bp,{contentName:ln,titleName:zi,docsSlug:"dialog"}),o1=({titleId:e})=>{const t=Wp(Bp),n=`\`${t.contentName}\` requires a \`${t.titleName}\` for the component to be accessible for screen reader users.
+
+If you want to hide the \`${t.titleName}\`, you can wrap it with our VisuallyHidden component.
+
+For more information, see https://radix-ui.com/primitives/docs/components/${t.docsSlug}`;return w.useEffect(()=>{e&&(document.getElementById(e)||console.error(n))},[n,e]),null},a1="DialogDescriptionWarning",i1=({contentRef:e,descriptionId:t})=>{const r=`Warning: Missing \`Description\` or \`aria-describedby={undefined}\` for {${Wp(a1).contentName}}.`;return w.useEffect(()=>{var l;const s=(l=e.current)==null?void 0:l.getAttribute("aria-describedby");t&&s&&(document.getElementById(t)||console.warn(r))},[r,e,t]),null},un=Rp,dn=Op,fn=Ap,pn=Dp,mn=$p,hn=Hp;function c1(){const{activeModal:e,closeModal:t}=K(),{scenes:n,goToSceneById:r,activateScene:s,currentScene:l,activeSceneId:a}=re(),{favorites:i,recentScenes:c,addFavorite:u,removeFavorite:p}=Qe(),[m,h]=w.useState(""),[g,y]=w.useState("all"),d=e==="sceneJumper",j=w.useMemo(()=>{let N=n;if(g==="favorites"?N=N.filter(P=>i.includes(P.id)):g==="recent"&&(N=c.map(P=>n.find(C=>C.id===P)).filter(Boolean)),m.trim()){const P=m.toLowerCase();N=N.filter(C=>C.title.toLowerCase().includes(P)||C.location.toLowerCase().includes(P))}return N},[n,g,m,i,c]),v=w.useMemo(()=>{const N={};return j.forEach(P=>{const C=`Act ${P.act} / Chapter ${P.chapter}`;N[C]||(N[C]=[]),N[C].push(P)}),N},[j]),f=N=>{r(N),t(),h("")},x=N=>{s(N),r(N),t(),h("")},k=(N,P)=>{P.stopPropagation(),i.includes(N)?p(N):u(N)};return o.jsx(un,{open:d,onOpenChange:N=>!N&&t(),children:o.jsxs(dn,{children:[o.jsx(fn,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(pn,{className:L("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[600px] max-h-[80vh] bg-neutral-800 rounded-lg shadow-xl z-50","flex flex-col"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsx(mn,{className:"text-lg font-semibold",children:"Scene Jumper"}),o.jsx(hn,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(He,{size:18})})]}),o.jsxs("div",{className:"p-4 border-b border-neutral-700",children:[o.jsxs("div",{className:"relative",children:[o.jsx(Ti,{size:16,className:"absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400"}),o.jsx("input",{type:"text",value:m,onChange:N=>h(N.target.value),placeholder:"Search scenes...",className:"input w-full pl-9",autoFocus:!0})]}),o.jsxs("div",{className:"flex gap-2 mt-3",children:[o.jsx(To,{active:g==="all",onClick:()=>y("all"),label:"All"}),o.jsx(To,{active:g==="favorites",onClick:()=>y("favorites"),icon:o.jsx(Xc,{size:12}),label:"Favorites"}),o.jsx(To,{active:g==="recent",onClick:()=>y("recent"),icon:o.jsx(Yf,{size:12}),label:"Recent"})]})]}),o.jsxs("div",{className:"flex-1 overflow-y-auto p-4",children:[Object.entries(v).map(([N,P])=>o.jsxs("div",{className:"mb-4",children:[o.jsx("h4",{className:"text-xs font-semibold text-neutral-400 uppercase mb-2",children:N}),o.jsx("ul",{className:"space-y-1",children:P.map(C=>{const b=C.id===a,_=C.id===(l==null?void 0:l.id);return o.jsx("li",{children:o.jsxs("div",{className:L("flex items-center justify-between p-2 rounded","bg-neutral-750 border",b&&"border-green-600 bg-green-900/20",_&&!b&&"border-cyan-600 bg-cyan-900/20",!b&&!_&&"border-neutral-700 hover:bg-neutral-700"),children:[o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[b&&o.jsx(vt,{size:12,className:"text-green-400 flex-shrink-0",fill:"currentColor"}),o.jsxs("span",{className:"font-medium truncate",children:["Scene ",C.scene,": ",C.title]}),b&&o.jsx("span",{className:"text-xs text-green-400 flex-shrink-0",children:"(ACTIVE)"})]}),o.jsx("div",{className:"text-sm text-neutral-400 truncate",children:C.location})]}),o.jsxs("div",{className:"flex items-center gap-1 flex-shrink-0 ml-2",children:[o.jsx("button",{onClick:R=>k(C.id,R),className:L("p-1.5 rounded hover:bg-neutral-600",i.includes(C.id)?"text-amber-400":"text-neutral-500"),title:"Toggle favorite",children:o.jsx(Xc,{size:14,fill:i.includes(C.id)?"currentColor":"none"})}),o.jsxs("button",{onClick:()=>f(C.id),className:"px-2 py-1 text-xs bg-neutral-600 hover:bg-neutral-500 rounded flex items-center gap-1",title:"View scene (GM only)",children:[o.jsx(Mi,{size:12}),"View"]}),o.jsxs("button",{onClick:()=>x(C.id),disabled:b,className:L("px-2 py-1 text-xs rounded flex items-center gap-1",b?"bg-green-800/50 text-green-400 cursor-not-allowed":"bg-amber-600 hover:bg-amber-500 text-white"),title:"Activate scene for players",children:[o.jsx(vt,{size:12}),b?"Active":"Activate"]})]})]})},C.id)})})]},N)),j.length===0&&o.jsx("div",{className:"text-center text-neutral-500 py-8",children:"No scenes found"})]})]})]})})}function To({active:e,onClick:t,icon:n,label:r}){return o.jsxs("button",{onClick:t,className:L("px-3 py-1 rounded text-sm flex items-center gap-1",e?"bg-cyan-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:[n,r]})}function u1(){const{activeModal:e,closeModal:t,selectNPC:n,selectItem:r}=K(),{scenes:s,goToSceneById:l}=re(),[a,i]=w.useState(""),[c,u]=w.useState("all"),p=e==="globalSearch",m=w.useMemo(()=>{if(!a.trim())return[];const y=a.toLowerCase(),d=[];return(c==="all"||c==="scenes")&&s.forEach(j=>{(j.title.toLowerCase().includes(y)||j.location.toLowerCase().includes(y)||j.narrative.toLowerCase().includes(y))&&d.push({type:"scene",id:j.id,title:j.title,subtitle:j.location,data:j})}),(c==="all"||c==="npcs")&&s.forEach(j=>{var v;(v=j.npcs)==null||v.forEach(f=>{(f.name.toLowerCase().includes(y)||f.role.toLowerCase().includes(y))&&d.push({type:"npc",id:f.id,title:f.name,subtitle:`${f.role} (${j.title})`,data:f})})}),(c==="all"||c==="items")&&s.forEach(j=>{var v;(v=j.items)==null||v.forEach(f=>{f.name.toLowerCase().includes(y)&&d.push({type:"item",id:f.id,title:f.name,subtitle:`${f.value||"Item"} (${j.title})`,data:f})})}),d.slice(0,50)},[a,c,s]),h=async y=>{switch(y.type){case"scene":l(y.id);break;case"npc":try{const d=await fetch(`/api/npcs/${y.id}`,{headers:te()});if(d.ok){const j=await d.json();n(j)}}catch(d){console.error("Failed to load NPC:",d)}break;case"item":r(y.data);break}t(),i("")},g=y=>{switch(y){case"scene":return o.jsx(Kr,{size:14,className:"text-green-400"});case"npc":return o.jsx(gt,{size:14,className:"text-cyan-400"});case"item":return o.jsx(hl,{size:14,className:"text-amber-400"})}};return o.jsx(un,{open:p,onOpenChange:y=>!y&&t(),children:o.jsxs(dn,{children:[o.jsx(fn,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(pn,{className:L("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[600px] max-h-[80vh] bg-neutral-800 rounded-lg shadow-xl z-50","flex flex-col"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsx(mn,{className:"text-lg font-semibold",children:"Global Search"}),o.jsx(hn,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(He,{size:18})})]}),o.jsxs("div",{className:"p-4 border-b border-neutral-700",children:[o.jsxs("div",{className:"relative",children:[o.jsx(Ti,{size:16,className:"absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400"}),o.jsx("input",{type:"text",value:a,onChange:y=>i(y.target.value),placeholder:"Search everything...",className:"input w-full pl-9",autoFocus:!0})]}),o.jsxs("div",{className:"flex gap-2 mt-3",children:[o.jsx(Ts,{active:c==="all",onClick:()=>u("all"),label:"All"}),o.jsx(Ts,{active:c==="scenes",onClick:()=>u("scenes"),icon:o.jsx(Kr,{size:12}),label:"Scenes"}),o.jsx(Ts,{active:c==="npcs",onClick:()=>u("npcs"),icon:o.jsx(gt,{size:12}),label:"NPCs"}),o.jsx(Ts,{active:c==="items",onClick:()=>u("items"),icon:o.jsx(hl,{size:12}),label:"Items"})]})]}),o.jsx("div",{className:"flex-1 overflow-y-auto p-4",children:m.length>0?o.jsx("ul",{className:"space-y-1",children:m.map(y=>o.jsx("li",{children:o.jsxs("button",{onClick:()=>h(y),className:L("w-full flex items-center gap-3 p-2 rounded text-left","hover:bg-neutral-700 transition-colors"),children:[g(y.type),o.jsxs("div",{children:[o.jsx("div",{className:"font-medium",children:y.title}),o.jsx("div",{className:"text-sm text-neutral-400",children:y.subtitle})]})]})},`${y.type}-${y.id}`))}):a.trim()?o.jsx("div",{className:"text-center text-neutral-500 py-8",children:"No results found"}):o.jsx("div",{className:"text-center text-neutral-500 py-8",children:"Start typing to search..."})})]})]})})}function Ts({active:e,onClick:t,icon:n,label:r}){return o.jsxs("button",{onClick:t,className:L("px-3 py-1 rounded text-sm flex items-center gap-1",e?"bg-cyan-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:[n,r]})}const d1=["Athletics","Acrobatics","Sleight of Hand","Stealth","Arcana","History","Investigation","Nature","Religion","Animal Handling","Insight","Medicine","Perception","Survival","Deception","Intimidation","Performance","Persuasion"],f1=[{label:"Very Easy",dc:5},{label:"Easy",dc:10},{label:"Medium",dc:15},{label:"Hard",dc:20},{label:"Very Hard",dc:25},{label:"Nearly Impossible",dc:30}];function p1(){const{activeModal:e,closeModal:t}=K(),{addSystemMessage:n}=Zn(),[r,s]=w.useState(null),[l,a]=w.useState(null),[i,c]=w.useState(""),u=e==="adHocCheck",p=async()=>{var f,x;if(!r)return;const h=l||parseInt(i)||15,g=window.GMOverlay,y=(f=g==null?void 0:g.dice)!=null&&f.roll?await g.dice.roll("1d20",`${r} check (DC ${h})`):null;if(!y){n(`${r} check failed: server did not roll`);return}const d=y.total,j=d>=h,v=`[GM] ${r} check (DC ${h}): d20 = ${d} - ${j?"✓ SUCCESS":"✗ FAIL"}`;n(v),(x=g==null?void 0:g.chat)!=null&&x.send&&g.chat.send(v),window.dispatchEvent(new CustomEvent("gm-overlay:roll",{detail:{skill:r,dc:h,roll:d,success:j,rollId:y.id}})),t(),m()},m=()=>{s(null),a(null),c("")};return o.jsx(un,{open:u,onOpenChange:h=>!h&&t(),children:o.jsxs(dn,{children:[o.jsx(fn,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(pn,{className:L("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[500px] bg-neutral-800 rounded-lg shadow-xl z-50"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsxs(mn,{className:"text-lg font-semibold flex items-center gap-2",children:[o.jsx(rr,{size:18,className:"text-amber-400"}),"Ad-Hoc Skill Check"]}),o.jsx(hn,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(He,{size:18})})]}),o.jsxs("div",{className:"p-4 space-y-4",children:[o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Select Skill"}),o.jsx("div",{className:"grid grid-cols-3 gap-1",children:d1.map(h=>o.jsx("button",{onClick:()=>s(h),className:L("px-2 py-1 rounded text-sm text-left",r===h?"bg-cyan-600 text-white":"bg-neutral-700 hover:bg-neutral-600"),children:h},h))})]}),o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Difficulty Class"}),o.jsx("div",{className:"grid grid-cols-3 gap-2",children:f1.map(({label:h,dc:g})=>o.jsxs("button",{onClick:()=>{a(g),c("")},className:L("px-2 py-2 rounded text-sm",l===g?"bg-amber-600 text-white":"bg-neutral-700 hover:bg-neutral-600"),children:[o.jsx("div",{className:"font-medium",children:h}),o.jsxs("div",{className:"text-xs opacity-75",children:["DC ",g]})]},g))}),o.jsxs("div",{className:"mt-2 flex items-center gap-2",children:[o.jsx("span",{className:"text-sm text-neutral-400",children:"Custom DC:"}),o.jsx("input",{type:"number",value:i,onChange:h=>{c(h.target.value),a(null)},placeholder:"15",className:"input w-20 text-center",min:1,max:40})]})]}),o.jsx("div",{className:"pt-4 border-t border-neutral-700",children:o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsx("div",{className:"text-sm",children:r?o.jsxs("span",{children:[o.jsx("span",{className:"text-cyan-400",children:r})," check, ",o.jsxs("span",{className:"text-amber-400",children:["DC ",l||i||"?"]})]}):o.jsx("span",{className:"text-neutral-500",children:"Select a skill"})}),o.jsx("button",{onClick:p,disabled:!r||!l&&!i,className:"btn btn-primary px-6",children:"Roll Check"})]})})]})]})]})})}function m1(){const{activeModal:e,closeModal:t}=K(),{clear:n,campaignClock:r}=Qe(),s=(i,c)=>{var u,p,m;(m=(p=(u=window.GMOverlay)==null?void 0:u.clock)==null?void 0:p.set)==null||m.call(p,i,c)},l=e==="settings",a=()=>{confirm("Clear all session data? This cannot be undone.")&&n()};return o.jsx(un,{open:l,onOpenChange:i=>!i&&t(),children:o.jsxs(dn,{children:[o.jsx(fn,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(pn,{className:L("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[400px] bg-neutral-800 rounded-lg shadow-xl z-50"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsx(mn,{className:"text-lg font-semibold",children:"Settings"}),o.jsx(hn,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(He,{size:18})})]}),o.jsxs("div",{className:"p-4 space-y-6",children:[o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Campaign Clock"}),o.jsxs("div",{className:"flex items-center gap-4",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Day"}),o.jsx("input",{type:"number",value:r.day,onChange:i=>s(parseInt(i.target.value)||1,r.time),className:"input w-20",min:1})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Time"}),o.jsx("input",{type:"time",value:r.time,onChange:i=>s(r.day,i.target.value),className:"input"})]})]})]}),o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Keyboard Shortcuts"}),o.jsxs("ul",{className:"text-sm space-y-1 text-neutral-300",children:[o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"G"})," Toggle GM Overlay"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"Cmd+J"})," Scene Jumper"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"Cmd+K"})," Global Search"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"Esc"})," Close modal / Go back"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"←"})," Previous scene"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"→"})," Next scene"]})]})]}),o.jsxs("div",{className:"pt-4 border-t border-neutral-700",children:[o.jsx("h4",{className:"text-sm font-medium text-red-400 mb-2",children:"Danger Zone"}),o.jsx("button",{onClick:a,className:"btn btn-danger",children:"Clear Session Data"})]})]})]})]})})}function h1(){const{activeModal:e,closeModal:t}=K(),n=e==="exportAll",r=re(g=>g.adventureId)||"AChangeOfHeart",[s,l]=w.useState(!1),[a,i]=w.useState(null),[c,u]=w.useState(null);w.useEffect(()=>{n&&(l(!0),i(null),fetch(`/api/export/${encodeURIComponent(r)}`,{headers:te()}).then(g=>{if(!g.ok)throw new Error(`Failed to export: ${g.statusText}`);return g.json()}).then(g=>{u(g),l(!1)}).catch(g=>{console.error("[GM Overlay] Export error:",g),i(g instanceof Error?g.message:"Failed to export data"),l(!1)}))},[n,r]);const p=w.useMemo(()=>{if(!c)return"";const{adventure:g,exportedAt:y}=c,d=[];return d.push("# LLM_INSTRUCTION.MD"),d.push(""),d.push("You are an assistant helping a Game Master run a tabletop RPG adventure."),d.push("The following file contains the complete structured data for one adventure,"),d.push("including world setting, adventure guide, scenes, NPCs, PCs, terminals,"),d.push("documents, and programs."),d.push(""),d.push("## How to use this data"),d.push("- Always respect the intent of the Game Master."),d.push("- Never reveal GM-only secrets, flags, or hidden information to players unless explicitly asked as GM."),d.push("- Use `narrative` and `description` fields to describe scenes and characters."),d.push("- Use `state_tracking`, `flags`, and `clues` to reason about what has been discovered."),d.push("- Use `skills`, `dc`, and `checks` to suggest appropriate rolls, not to roll dice yourself unless asked."),d.push(""),d.push("## Data layout"),d.push(`Adventure id: ${g}`),d.push(`Exported at: ${y}`),d.push(""),d.push("The JSON payload at the end of this file has the shape:"),d.push(""),d.push("```json"),d.push("{"),d.push('  "exportedAt": string,'),d.push('  "adventure": string,'),d.push('  "sections": ['),d.push("    {"),d.push('      "type": string,          // e.g. "world_setting", "guide", "scenes", "npcs"'),d.push('      "title": string,'),d.push('      "count"?: number,'),d.push('      "content": any           // see schemas below'),d.push("    }"),d.push("  ]"),d.push("}"),d.push("```"),d.push(""),d.push("## Key JSON schemas (approximate)"),d.push(""),d.push("### Scene"),d.push("```json"),d.push("{"),d.push('  "id": string,'),d.push('  "adventure": string,'),d.push('  "act": number,'),d.push('  "chapter": number,'),d.push('  "scene": number,'),d.push('  "title": string,'),d.push('  "location": string,'),d.push('  "tone"?: string,'),d.push('  "narrative": string,'),d.push('  "gmNotes"?: string,'),d.push('  "image"?: string,'),d.push('  "environment"?: {'),d.push('    "location": string,'),d.push('    "tone": string,'),d.push('    "lighting"?: { "description": string, "preset"?: string, "actuator"?: boolean },'),d.push('    "audio"?: { "description": string, "tracks"?: string[], "actuator"?: boolean },'),d.push('    "smell"?: string'),d.push("  },"),d.push('  "npcs": [{'),d.push('    "id": string,'),d.push('    "name": string,'),d.push('    "role": string,'),d.push('    "state": "active"|"passive"|"hidden"|"defeated",'),d.push('    "notes"?: string,'),d.push('    "statblock"?: string'),d.push("  }],"),d.push('  "challenges": [{'),d.push('    "id": string,'),d.push('    "name": string,'),d.push('    "skill": string,'),d.push('    "dc": number,'),d.push('    "type": "active"|"passive"|"hidden",'),d.push('    "description"?: string,'),d.push('    "success"?: string,'),d.push('    "fail"?: string'),d.push("  }],"),d.push('  "triggers": [{'),d.push('    "id": string,'),d.push('    "label": string,'),d.push('    "action": "chat"|"sound"|"scene"|"flag",'),d.push('    "text"?: string,'),d.push('    "sound"?: string,'),d.push('    "targetScene"?: string,'),d.push('    "setsFlag"?: string,'),d.push('    "irreversible"?: boolean'),d.push("  }],"),d.push('  "items"?: [{'),d.push('    "id": string,'),d.push('    "name": string,'),d.push('    "value"?: string,'),d.push('    "notes"?: string,'),d.push('    "visible": boolean'),d.push("  }],"),d.push('  "exits"?: [{'),d.push('    "id": string,'),d.push('    "label": string,'),d.push('    "targetSceneId": string'),d.push("  }]"),d.push("}"),d.push("```"),d.push(""),d.push("### NPC statblock (public/private structure)"),d.push("```json"),d.push("{"),d.push('  "id": string,'),d.push('  "name": string,'),d.push('  "type": string,'),d.push('  "archetype"?: string,'),d.push('  "public": {'),d.push('    "description": string,'),d.push('    "appearance"?: string,'),d.push('    "demeanor"?: string,'),d.push('    "known_facts"?: string[]'),d.push("  },"),d.push('  "private": {'),d.push('    "full_description"?: string,'),d.push('    "stats"?: { "stress": number, "stressMax": number, "wounds": number, "armor": number, "attack": number, "defense"?: number },'),d.push('    "attributes"?: { [key: string]: number },'),d.push('    "skills"?: { [key: string]: string|number|null },'),d.push('    "abilities"?: any[],'),d.push('    "weapons"?: any[],'),d.push('    "cyberware"?: string[],'),d.push('    "behavior"?: { "tactics"?: string, "morale"?: string, "motivation"?: string },'),d.push('    "secrets"?: { [key: string]: string },'),d.push('    "loot"?: { "item": string, "chance": number }[],'),d.push('    "gm_notes"?: string'),d.push("  }"),d.push("}"),d.push("```"),d.push(""),d.push("### Adventure guide (high level)"),d.push("```json"),d.push("{"),d.push('  "id": string,'),d.push('  "adventure": string,'),d.push('  "version": string,'),d.push('  "overview": string,'),d.push('  "content": { [sectionId: string]: any },'),d.push('  "state_tracking"?: any,'),d.push('  "items"?: any,'),d.push('  "clues"?: any'),d.push("}"),d.push("```"),d.push(""),d.push("### Other entities"),d.push("- Player characters (PCs): same general structure as NPCs, usually without `public`/`private` split."),d.push("- Terminals: JSON definitions of in-world computer systems."),d.push("- Documents: JSON documents with metadata and content."),d.push("- Programs: JSON descriptions of terminal programs/minigames."),d.push(""),d.push("---"),d.push(""),d.push("## RAW EXPORT DATA (for tools)"),d.push(""),d.push("```json"),d.push(JSON.stringify(c,null,2)),d.push("```"),d.push(""),d.join(`
+`)},[c]),m=async g=>{try{const y=await fetch(`/api/export/${encodeURIComponent(r)}?format=${g}`,{headers:te()});if(!y.ok)throw new Error(`Failed to export: ${y.statusText}`);const d=URL.createObjectURL(await y.blob());if(g==="html")window.open(d,"_blank");else{const j=document.createElement("a");j.href=d,j.download=`${r}.md`,j.click()}setTimeout(()=>URL.revokeObjectURL(d),60*1e3)}catch(y){console.error("[GM Overlay] Module export error:",y),i(y instanceof Error?y.message:"Failed to export module")}},h=()=>{p&&navigator.clipboard.writeText(p).then(()=>{console.log("[GM Overlay] Export copied to clipboard")},g=>{console.error("[GM Overlay] Failed to copy export:",g)})};return o.jsx(un,{open:n,onOpenChange:g=>!g&&t(),children:o.jsxs(dn,{children:[o.jsx(fn,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(pn,{className:L("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[900px] max-h-[80vh] bg-neutral-900 rounded-lg shadow-xl z-50","flex flex-col border border-neutral-700"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsxs(mn,{className:"text-lg font-semibold flex items-center gap-2",children:[o.jsx(Xf,{size:18}),"Export All (LLM Bundle)"]}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsxs("button",{onClick:()=>m("html"),className:"px-3 py-1.5 rounded text-sm flex items-center gap-1.5 bg-neutral-700 hover:bg-neutral-600 text-white",title:"Open the printable module (HTML)",children:[o.jsx(bv,{size:14})," Print"]}),o.jsxs("button",{onClick:()=>m("markdown"),className:"px-3 py-1.5 rounded text-sm flex items-center gap-1.5 bg-neutral-700 hover:bg-neutral-600 text-white",title:"Download the printable module as Markdown",children:[o.jsx(Jf,{size:14})," Markdown"]}),o.jsxs("button",{onClick:h,disabled:!p||s||!!a,className:L("px-3 py-1.5 rounded text-sm flex items-center gap-1.5","bg-cyan-600 hover:bg-cyan-500 text-white disabled:opacity-50 disabled:cursor-not-allowed"),children:[o.jsx(av,{size:14})," Copy"]}),o.jsx(hn,{className:"p-1.5 hover:bg-neutral-700 rounded",children:o.jsx(He,{size:18})})]})]}),o.jsxs("div",{className:"flex-1 flex flex-col",children:[s&&o.jsx("div",{className:"p-4 text-sm text-neutral-400",children:"Generating export"}),a&&o.jsxs("div",{className:"p-4 text-sm text-red-400",children:["Error: ",a]}),!s&&!a&&o.jsx("div",{className:"p-4 flex-1 flex flex-col",children:o.jsx("textarea",{className:"flex-1 w-full bg-neutral-950 text-neutral-100 text-xs font-mono rounded border border-neutral-700 p-3 resize-none",value:p,readOnly:!0})})]})]})]})})}function v1(){const{activeModal:e,closeModal:t}=K(),{loadScenes:n}=re(),{sessions:r,adventures:s,isLoading:l,error:a,showArchived:i,activeSessionId:c,loadSessions:u,loadAdventures:p,setShowArchived:m,createSession:h,selectSession:g}=J(),[y,d]=w.useState(""),[j,v]=w.useState(""),[f,x]=w.useState(null),k=e==="sessionPicker";w.useEffect(()=>{k&&(u(),p())},[k,u,p]),w.useEffect(()=>{f===null&&s.length>0&&x(s[0].id)},[s,f]);const N=b=>{g(b.id),b.adventureId&&n(b.adventureId),t()},P=y.trim()!==""&&j!=="",C=async()=>{if(!P)return;await h(y.trim(),j,f||null)&&(d(""),v(""))};return o.jsx(un,{open:k,onOpenChange:b=>!b&&t(),children:o.jsxs(dn,{children:[o.jsx(fn,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(pn,{className:L("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[560px] max-h-[80vh] flex flex-col bg-neutral-800 rounded-lg shadow-xl z-50"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsx(mn,{className:"text-lg font-semibold",children:"Sessions"}),o.jsx(hn,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(He,{size:18})})]}),o.jsxs("div",{className:"p-4 space-y-4 overflow-y-auto scrollbar-thin",children:[o.jsxs("div",{className:"flex gap-2",children:[o.jsx("input",{type:"text",value:y,onChange:b=>d(b.target.value),onKeyDown:b=>b.key==="Enter"&&C(),placeholder:"New session name...",className:"input flex-1 text-sm"}),o.jsx("input",{type:"password",value:j,onChange:b=>v(b.target.value),onKeyDown:b=>b.key==="Enter"&&C(),placeholder:"GM secret",className:"input w-28 text-sm"}),o.jsxs("select",{value:f??"",onChange:b=>x(b.target.value),className:"input w-36 text-sm",title:"Adventure this session plays",children:[o.jsx("option",{value:"",children:"No adventure"}),s.map(b=>o.jsx("option",{value:b.id,title:b.summary||void 0,children:b.name},b.id))]}),o.jsx("button",{onClick:C,disabled:!P,className:"btn btn-primary p-2",title:"Create session",children:o.jsx(ns,{size:14})})]}),a&&o.jsx("p",{className:"text-xs text-red-400",children:a}),o.jsxs("label",{className:"flex items-center gap-2 text-xs text-neutral-400",children:[o.jsx("input",{type:"checkbox",checked:i,onChange:b=>m(b.target.checked)}),"Show archived"]}),l&&r.length===0?o.jsx("p",{className:"text-xs text-neutral-500 text-center py-4",children:"Loading..."}):r.length===0?o.jsx("p",{className:"text-xs text-neutral-500 text-center py-4",children:"No sessions yet"}):o.jsx("ul",{className:"space-y-2",children:r.map(b=>o.jsx(g1,{session:b,isActive:b.id===c,onSelect:()=>N(b)},b.id))})]})]})]})})}function g1({session:e,isActive:t,onSelect:n}){const{adventures:r,renameSession:s,setArchived:l,deleteSession:a}=J(),i=r.find(d=>d.id===e.adventureId),[c,u]=w.useState(!1),[p,m]=w.useState(e.name),h=e.status==="archived",g=async()=>{p.trim()&&p.trim()!==e.name&&await s(e.id,p.trim()),u(!1)},y=()=>{confirm(`Delete "${e.name}"? Its chat log and state will be lost.`)&&a(e.id)};return o.jsxs("li",{className:L("p-3 rounded border flex items-center gap-3",t?"border-cyan-500 bg-cyan-900/20":"border-neutral-700 bg-neutral-900/40",h&&"opacity-60"),children:[o.jsxs("div",{className:"flex-1 min-w-0",children:[c?o.jsx("input",{type:"text",value:p,onChange:d=>m(d.target.value),onKeyDown:d=>d.key==="Enter"&&g(),className:"input w-full text-sm",autoFocus:!0}):o.jsx("div",{className:"text-sm font-medium truncate",children:e.name}),o.jsxs("div",{className:"text-xs text-neutral-400 flex gap-3",children:[o.jsx("span",{className:"font-mono text-amber-300",children:e.joinCode}),o.jsx("span",{children:(i==null?void 0:i.name)||e.adventureId||"No adventure"}),o.jsxs("span",{children:[e.connectedCount," online"]}),h&&o.jsx("span",{className:"text-neutral-500",children:"Archived"})]})]}),o.jsxs("div",{className:"flex items-center gap-1 flex-shrink-0",children:[c?o.jsx("button",{onClick:g,className:"p-1.5 rounded hover:bg-neutral-700",title:"Save name",children:o.jsx(Ei,{size:14})}):o.jsx("button",{onClick:()=>u(!0),className:"p-1.5 rounded hover:bg-neutral-700",title:"Rename",children:o.jsx(Cv,{size:14})}),o.jsx("button",{onClick:()=>l(e.id,!h),className:"p-1.5 rounded hover:bg-neutral-700",title:h?"Unarchive":"Archive",children:h?o.jsx(rv,{size:14}):o.jsx(sv,{size:14})}),o.jsx("button",{onClick:y,disabled:t,className:"p-1.5 rounded hover:bg-neutral-700 text-red-400 disabled:opacity-30",title:t?"Switch to another session before deleting":"Delete",children:o.jsx(sr,{size:14})}),o.jsxs("button",{onClick:n,disabled:t||h,className:"btn btn-primary px-2 py-1 text-xs flex items-center gap-1 disabled:opacity-40",title:"Run this session",children:[o.jsx(jv,{size:12}),t?"Current":"Open"]})]})]})}function x1(){var y;const{activeModal:e,closeModal:t,openModal:n}=K(),{activeSessionId:r,getActiveSession:s}=J(),[l,a]=w.useState(""),[i,c]=w.useState(null),[u,p]=w.useState(!1),m=e==="gmLogin",h=((y=s())==null?void 0:y.name)||r,g=async()=>{var v,f;if(!l||u)return;p(!0),c(null);const d=window.GMOverlay,j=await((f=(v=d==null?void 0:d.auth)==null?void 0:v.login)==null?void 0:f.call(v,l));p(!1),j!=null&&j.success?(a(""),t()):c((j==null?void 0:j.message)||"Login failed")};return o.jsx(un,{open:m,onOpenChange:d=>!d&&t(),children:o.jsxs(dn,{children:[o.jsx(fn,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(pn,{className:L("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[360px] bg-neutral-800 rounded-lg shadow-xl z-50"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsxs(mn,{className:"text-lg font-semibold flex items-center gap-2",children:[o.jsx(wv,{size:16}),"GM Login"]}),o.jsx(hn,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(He,{size:18})})]}),o.jsxs("div",{className:"p-4 space-y-3",children:[o.jsxs("p",{className:"text-sm text-neutral-300",children:["Enter the GM secret for ",o.jsx("span",{className:"font-medium",children:h}),"."]}),o.jsx("input",{type:"password",value:l,onChange:d=>a(d.target.value),onKeyDown:d=>d.key==="Enter"&&g(),placeholder:"GM secret",className:"input w-full text-sm",autoFocus:!0}),i&&o.jsx("p",{className:"text-xs text-red-400",children:i}),o.jsxs("div",{className:"flex justify-between items-center",children:[o.jsx("button",{onClick:()=>n("sessionPicker"),className:"text-xs text-neutral-400 hover:text-neutral-100",children:"Switch session"}),o.jsx("button",{onClick:g,disabled:!l||u,className:"btn btn-primary",children:u?"Checking...":"Log in"})]})]})]})]})})}function y1(e,t){const[n,r]=w.useState(e);return w.useEffect(()=>{const s=setTimeout(()=>r(e),t);return()=>clearTimeout(s)},[e,t]),n}function w1({character:e,isSelected:t,isOnline:n,onClick:r}){const s=e.background,l=typeof s=="string"?s:(s==null?void 0:s.name)||(s==null?void 0:s.key)||"custom";return o.jsxs("button",{onClick:r,className:L("w-full text-left px-3 py-2 rounded flex items-center gap-2 transition-colors",t?"bg-cyan-600 text-white":"hover:bg-neutral-700 text-neutral-200"),children:[o.jsxs("div",{className:"relative",children:[o.jsx(zv,{size:16}),n&&o.jsx("div",{className:"absolute -top-0.5 -right-0.5 w-2 h-2 bg-green-400 rounded-full"})]}),o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsx("div",{className:"font-medium truncate",children:e.name||"Unnamed"}),o.jsxs("div",{className:"text-xs opacity-70 truncate",children:[e.handle?`"${e.handle}"`:"No handle"," • ",l]})]})]})}function Sn({title:e,children:t,defaultOpen:n=!0}){const[r,s]=w.useState(n);return o.jsxs("div",{className:"border-b border-neutral-700 last:border-b-0",children:[o.jsxs("button",{onClick:()=>s(!r),className:"w-full flex items-center gap-2 px-3 py-2 text-sm font-medium text-neutral-300 hover:bg-neutral-700/50",children:[r?o.jsx(Pi,{size:14}):o.jsx(Ol,{size:14}),e]}),r&&o.jsx("div",{className:"px-3 pb-3",children:t})]})}function Cu({label:e,value:t,onChange:n,min:r=0,max:s=5}){return o.jsxs("div",{className:"flex items-center justify-between py-1",children:[o.jsx("span",{className:"text-sm text-neutral-300 capitalize",children:e.replace(/_/g," ")}),o.jsxs("div",{className:"flex items-center gap-1",children:[o.jsx("button",{onClick:()=>n(Math.max(r,t-1)),className:"p-0.5 hover:bg-neutral-600 rounded",disabled:t<=r,children:o.jsx(tp,{size:12})}),o.jsx("span",{className:"w-6 text-center font-mono text-sm",children:t}),o.jsx("button",{onClick:()=>n(Math.min(s,t+1)),className:"p-0.5 hover:bg-neutral-600 rounded",disabled:t>=s,children:o.jsx(ns,{size:12})})]})]})}function Io(e){const n=e.background,r=typeof n=="string"?n:(n==null?void 0:n.name)||(n==null?void 0:n.key)||"street",s={reflex:0,body:0,tech:0,neural:0,edge:0,presence:0},l={firearms:0,heavy_weapons:0,melee:0,evasion:0,netrunning:0,hardware:0,rigging:0,medicine:0,persuasion:0,intimidation:0,deception:0,streetwise:0,perception:0,investigation:0,stealth:0,survival:0},a=e.attributes||s,i=e.skills||l,c={stress:0,stressMax:5,wounds:[{slot:1,name:null,penalty:-1},{slot:2,name:null,penalty:-2},{slot:3,name:null,penalty:"out"}],armor:0},u=e.derived||c;return{...e,background:r,attributes:{...s,...a},skills:{...l,...i},derived:{...c,...u,wounds:Array.isArray(u.wounds)&&u.wounds.length>0?u.wounds:c.wounds}}}function j1({characterId:e,players:t}){const n=t.filter(l=>l.role==="player"),r=n.find(l=>l.characterId===e),s=async l=>{var c,u;const a=(u=(c=window.GMOverlay)==null?void 0:c.characters)==null?void 0:u.assign;if(!a)return;const i=l?await a(l,e):r&&await a(r.socketId,null);i&&!i.success&&Zn.getState().addSystemMessage(`Character not assigned: ${i.message||"rejected"}`)};return o.jsxs("select",{value:(r==null?void 0:r.socketId)||"",onChange:l=>s(l.target.value),className:"input text-xs py-0.5 max-w-[10rem]",title:"Player",children:[o.jsx("option",{value:"",children:"Unassigned"}),n.map(l=>o.jsxs("option",{value:l.socketId,children:[l.name,l.characterId&&l.characterId!==e?" (reassign)":""]},l.socketId))]})}function S1({character:e,onUpdate:t}){const[n,r]=w.useState(()=>Io(e)),s=y1(n,500);w.useEffect(()=>{r(Io(e))},[e.id]),w.useEffect(()=>{s.id===e.id&&JSON.stringify(s)!==JSON.stringify(Io(e))&&t(s)},[s,e,t]);const l=(u,p)=>{r(m=>({...m,[u]:p}))},a=(u,p)=>{r(m=>({...m,attributes:{...m.attributes,[u]:p}}))},i=(u,p)=>{r(m=>({...m,skills:{...m.skills,[u]:p}}))},c=(u,p)=>{r(m=>({...m,derived:{...m.derived,[u]:p}}))};return o.jsxs("div",{className:"flex-1 overflow-y-auto",children:[o.jsx(Sn,{title:"Identity",defaultOpen:!0,children:o.jsxs("div",{className:"space-y-2",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Name"}),o.jsx("input",{type:"text",value:n.name,onChange:u=>l("name",u.target.value),className:"input w-full",placeholder:"Character name"})]}),o.jsxs("div",{className:"flex gap-2",children:[o.jsxs("div",{className:"flex-1",children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Handle"}),o.jsx("input",{type:"text",value:n.handle,onChange:u=>l("handle",u.target.value),className:"input w-full",placeholder:"Street name"})]}),o.jsxs("div",{className:"flex-1",children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Pronouns"}),o.jsx("input",{type:"text",value:n.pronouns||"",onChange:u=>l("pronouns",u.target.value),className:"input w-full",placeholder:"they/them"})]})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Background"}),o.jsxs("select",{value:n.background,onChange:u=>l("background",u.target.value),className:"input w-full",children:[o.jsx("option",{value:"street",children:"Street"}),o.jsx("option",{value:"corporate",children:"Corporate"}),o.jsx("option",{value:"techie",children:"Techie"}),o.jsx("option",{value:"nomad",children:"Nomad"}),o.jsx("option",{value:"fixer",children:"Fixer"}),o.jsx("option",{value:"enforcer",children:"Enforcer"})]})]})]})}),o.jsx(Sn,{title:"Attributes",defaultOpen:!1,children:o.jsx("div",{className:"grid grid-cols-2 gap-x-4",children:Object.entries(n.attributes).map(([u,p])=>o.jsx(Cu,{label:u,value:p,onChange:m=>a(u,m),min:-2,max:5},u))})}),o.jsx(Sn,{title:"Skills",defaultOpen:!1,children:o.jsx("div",{className:"grid grid-cols-2 gap-x-4",children:Object.entries(n.skills).map(([u,p])=>o.jsx(Cu,{label:u,value:p,onChange:m=>i(u,m),min:0,max:5},u))})}),o.jsx(Sn,{title:"Status",defaultOpen:!0,children:o.jsxs("div",{className:"space-y-2",children:[o.jsx("div",{className:"flex items-center gap-4",children:o.jsxs("div",{className:"flex-1",children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Stress"}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx("input",{type:"range",min:0,max:n.derived.stressMax,value:n.derived.stress,onChange:u=>c("stress",parseInt(u.target.value)),className:"flex-1"}),o.jsxs("span",{className:"font-mono text-sm w-12 text-right",children:[n.derived.stress,"/",n.derived.stressMax]})]})]})}),o.jsxs("div",{className:"flex gap-4",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Max Stress"}),o.jsx("input",{type:"number",value:n.derived.stressMax,onChange:u=>c("stressMax",parseInt(u.target.value)||5),className:"input w-16",min:1,max:20})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Armor"}),o.jsx("input",{type:"number",value:n.derived.armor,onChange:u=>c("armor",parseInt(u.target.value)||0),className:"input w-16",min:0,max:10})]})]})]})}),o.jsx(Sn,{title:"Resources",defaultOpen:!1,children:o.jsxs("div",{className:"flex gap-4",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Credits (¢)"}),o.jsx("input",{type:"number",value:n.credits,onChange:u=>l("credits",parseInt(u.target.value)||0),className:"input w-28",min:0})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Experience"}),o.jsx("input",{type:"number",value:n.experience,onChange:u=>l("experience",parseInt(u.target.value)||0),className:"input w-20",min:0})]})]})}),o.jsx(Sn,{title:"Notes",defaultOpen:!1,children:o.jsx("textarea",{value:n.notes,onChange:u=>l("notes",u.target.value),className:"input w-full h-24 resize-none",placeholder:"Character notes..."})})]})}function N1(){const{isPanelOpen:e,isPanelMinimized:t,panelPosition:n,characters:r,connectedPlayers:s,selectedCharacterId:l,isLoading:a,remoteRevisions:i,closePanel:c,toggleMinimize:u,setPanelPosition:p,selectCharacter:m,loadCharacters:h,saveCharacter:g,deleteCharacter:y,createNewCharacter:d}=_i(),j=w.useRef(null),v=w.useRef(null);w.useEffect(()=>{e&&r.length===0&&h()},[e,r.length,h]);const f=w.useCallback(E=>{E.target.closest("button, input, select, textarea")||(v.current={startX:E.clientX,startY:E.clientY,startPosX:n.x,startPosY:n.y},document.addEventListener("mousemove",x),document.addEventListener("mouseup",k))},[n]),x=w.useCallback(E=>{if(!v.current)return;const S=E.clientX-v.current.startX,A=E.clientY-v.current.startY;p(v.current.startPosX+S,v.current.startPosY+A)},[p]),k=w.useCallback(()=>{v.current=null,document.removeEventListener("mousemove",x),document.removeEventListener("mouseup",k)},[x]),N=w.useCallback(async E=>{try{await g(E)}catch(S){console.error("Failed to save character:",S),Zn.getState().addSystemMessage(`Character not saved: ${S.message}`)}},[g]),P=w.useCallback(async()=>{if(l&&confirm("Delete this character? This cannot be undone."))try{await y(l)}catch(E){console.error("Failed to delete character:",E),Zn.getState().addSystemMessage(`Character not deleted: ${E.message}`)}},[l,y]),C=w.useCallback(()=>{const E=d();N(E)},[d,N]),b=r.find(E=>E.id===l),_=E=>s.some(S=>S.characterId===E);if(!e)return null;const R=s.filter(E=>E.role==="player").length;return o.jsxs("div",{ref:j,className:L("fixed z-50 bg-neutral-800 rounded-lg shadow-2xl border border-neutral-600","flex flex-col",t?"w-64":"w-[600px]"),style:{left:n.x,top:n.y,maxHeight:t?"auto":"calc(100vh - 100px)"},children:[o.jsxs("div",{className:"flex items-center justify-between px-3 py-2 bg-neutral-700 rounded-t-lg cursor-move select-none",onMouseDown:f,children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(gt,{size:16,className:"text-cyan-400"}),o.jsxs("span",{className:"font-medium text-sm",children:["Players",R>0&&o.jsxs("span",{className:"ml-1 text-green-400",children:["(",R," online)"]})]})]}),o.jsxs("div",{className:"flex items-center gap-1",children:[o.jsx("button",{onClick:u,className:"p-1 hover:bg-neutral-600 rounded",title:t?"Expand":"Minimize",children:o.jsx(tp,{size:14})}),o.jsx("button",{onClick:c,className:"p-1 hover:bg-neutral-600 rounded",title:"Close",children:o.jsx(He,{size:14})})]})]}),!t&&o.jsxs("div",{className:"flex flex-1 min-h-0",style:{height:"500px"},children:[o.jsxs("div",{className:"w-48 border-r border-neutral-700 flex flex-col",children:[o.jsx("div",{className:"p-2 border-b border-neutral-700",children:o.jsxs("button",{onClick:C,className:"w-full btn btn-primary text-xs flex items-center justify-center gap-1",children:[o.jsx(ns,{size:14}),"New Character"]})}),o.jsx("div",{className:"flex-1 overflow-y-auto p-2 space-y-1",children:a?o.jsx("div",{className:"text-center text-neutral-500 py-4 text-sm",children:"Loading..."}):r.length===0?o.jsx("div",{className:"text-center text-neutral-500 py-4 text-sm",children:"No characters yet"}):r.map(E=>o.jsx(w1,{character:E,isSelected:E.id===l,isOnline:_(E.id),onClick:()=>m(E.id)},E.id))})]}),o.jsx("div",{className:"flex-1 flex flex-col min-w-0",children:b?o.jsxs(o.Fragment,{children:[o.jsxs("div",{className:"flex items-center justify-between px-3 py-2 border-b border-neutral-700",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(Al,{size:14,className:"text-amber-400"}),o.jsx("span",{className:"text-sm font-medium truncate",children:b.name||"Unnamed Character"})]}),o.jsxs("div",{className:"flex items-center gap-1",children:[o.jsx(j1,{characterId:b.id,players:s}),o.jsx("button",{onClick:()=>N(b),className:"p-1.5 hover:bg-neutral-700 rounded text-green-400",title:"Save now",children:o.jsx(np,{size:14})}),o.jsx("button",{onClick:P,className:"p-1.5 hover:bg-neutral-700 rounded text-red-400",title:"Delete character",children:o.jsx(sr,{size:14})})]})]}),o.jsx(S1,{character:b,onUpdate:N},`${b.id}:${i[b.id]||0}`)]}):o.jsx("div",{className:"flex-1 flex items-center justify-center text-neutral-500",children:o.jsxs("div",{className:"text-center",children:[o.jsx(gt,{size:32,className:"mx-auto mb-2 opacity-50"}),o.jsx("p",{className:"text-sm",children:"Select a character to edit"}),o.jsx("p",{className:"text-xs mt-1",children:"or create a new one"})]})})})]})]})}function Gp(){const{currentScene:e,loadScenes:t,currentIndex:n,scenes:r,activeScene:s,isViewingActiveScene:l}=re(),{isVisible:a,setVisible:i,breadcrumbs:c,resetToNarrative:u,openModal:p}=K(),m=J(b=>b.loadSessions),h=J(b=>b.role),g=J(b=>b.protocolError),y=J(b=>{var _;return(_=b.sessions.find(R=>R.id===b.activeSessionId))==null?void 0:_.adventureId});yx(),Mx(),w.useEffect(()=>{const _=new URLSearchParams(window.location.search).get("adventure")||"AChangeOfHeart";t(_)},[t]),w.useEffect(()=>{y&&y!==re.getState().adventureId&&t(y)},[y,t]),w.useEffect(()=>{const{adventureId:b}=re.getState();h==="gm"&&b&&t(b)},[h,t]),w.useEffect(()=>{m()},[m]);const d=()=>{i(!1),window.dispatchEvent(new CustomEvent("gm-overlay:close"))},j=()=>{K.getState().openModal("settings")},v=()=>{p("sessionPicker")},f=()=>{p("exportAll")},x=b=>{c[b]&&K.getState().navigateToBreadcrumb(b)},k=()=>{u()},N=e?`Act ${e.act} / Ch ${e.chapter} / Scene ${e.scene}: ${e.title}`:"Loading...",P=s?`Act ${s.act} / Ch ${s.chapter} / Scene ${s.scene}: ${s.title}`:void 0,C=r.length>0?`${n+1} / ${r.length}`:"";return o.jsxs(ev,{isVisible:a,children:[o.jsx(dg,{sceneLabel:N,position:C,activeSceneLabel:P,isViewingActive:l(),onSettings:j,onSessions:v,onExportAll:f,onClose:d}),g&&o.jsx("div",{role:"alert",className:"px-4 py-2 text-sm bg-red-900/50 border-b border-red-700 text-red-300",children:g}),o.jsx(fg,{trail:c.map((b,_)=>({label:b.label,onClick:()=>x(_)})),hubLabel:"Hub",onHub:k}),o.jsx(mg,{}),o.jsxs("div",{className:"flex-1 flex overflow-hidden",children:[o.jsx(rx,{}),o.jsx(gx,{})]}),o.jsx(xx,{}),o.jsx(c1,{}),o.jsx(u1,{}),o.jsx(p1,{}),o.jsx(m1,{}),o.jsx(h1,{}),o.jsx(v1,{}),o.jsx(x1,{}),o.jsx(N1,{})]})}const bu=document.getElementById("root");bu&&Ci(bu).render(o.jsx(xl.StrictMode,{children:o.jsx(Gp,{})}));function Kp(e){const t=e||document.getElementById("gm-overlay-root");if(!t){const r=document.createElement("div");return r.id="gm-overlay-root",document.body.appendChild(r),Kp(r)}const n=Ci(t);return n.render(o.jsx(xl.StrictMode,{children:o.jsx(Gp,{})})),{unmount:()=>n.unmount()}}window.GMOverlayReact={mount:Kp};
@@ -1,378 +0,0 @@
-function yp(e,t){for(var n=0;n<t.length;n++){const r=t[n];if(typeof r!="string"&&!Array.isArray(r)){for(const l in r)if(l!=="default"&&!(l in e)){const s=Object.getOwnPropertyDescriptor(r,l);s&&Object.defineProperty(e,l,s.get?s:{enumerable:!0,get:()=>r[l]})}}}return Object.freeze(Object.defineProperty(e,Symbol.toStringTag,{value:"Module"}))}(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const l of document.querySelectorAll('link[rel="modulepreload"]'))r(l);new MutationObserver(l=>{for(const s of l)if(s.type==="childList")for(const i of s.addedNodes)i.tagName==="LINK"&&i.rel==="modulepreload"&&r(i)}).observe(document,{childList:!0,subtree:!0});function n(l){const s={};return l.integrity&&(s.integrity=l.integrity),l.referrerPolicy&&(s.referrerPolicy=l.referrerPolicy),l.crossOrigin==="use-credentials"?s.credentials="include":l.crossOrigin==="anonymous"?s.credentials="omit":s.credentials="same-origin",s}function r(l){if(l.ep)return;l.ep=!0;const s=n(l);fetch(l.href,s)}})();function gi(e){return e&&e.__esModule&&Object.prototype.hasOwnProperty.call(e,"default")?e.default:e}var oc={exports:{}},is={},ic={exports:{}},D={};/**
- * @license React
- * react.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var Lr=Symbol.for("react.element"),wp=Symbol.for("react.portal"),Sp=Symbol.for("react.fragment"),jp=Symbol.for("react.strict_mode"),kp=Symbol.for("react.profiler"),Np=Symbol.for("react.provider"),Cp=Symbol.for("react.context"),bp=Symbol.for("react.forward_ref"),Ep=Symbol.for("react.suspense"),Pp=Symbol.for("react.memo"),Mp=Symbol.for("react.lazy"),ka=Symbol.iterator;function _p(e){return e===null||typeof e!="object"?null:(e=ka&&e[ka]||e["@@iterator"],typeof e=="function"?e:null)}var ac={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},uc=Object.assign,cc={};function Fn(e,t,n){this.props=e,this.context=t,this.refs=cc,this.updater=n||ac}Fn.prototype.isReactComponent={};Fn.prototype.setState=function(e,t){if(typeof e!="object"&&typeof e!="function"&&e!=null)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,t,"setState")};Fn.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")};function dc(){}dc.prototype=Fn.prototype;function xi(e,t,n){this.props=e,this.context=t,this.refs=cc,this.updater=n||ac}var yi=xi.prototype=new dc;yi.constructor=xi;uc(yi,Fn.prototype);yi.isPureReactComponent=!0;var Na=Array.isArray,fc=Object.prototype.hasOwnProperty,wi={current:null},pc={key:!0,ref:!0,__self:!0,__source:!0};function mc(e,t,n){var r,l={},s=null,i=null;if(t!=null)for(r in t.ref!==void 0&&(i=t.ref),t.key!==void 0&&(s=""+t.key),t)fc.call(t,r)&&!pc.hasOwnProperty(r)&&(l[r]=t[r]);var a=arguments.length-2;if(a===1)l.children=n;else if(1<a){for(var u=Array(a),c=0;c<a;c++)u[c]=arguments[c+2];l.children=u}if(e&&e.defaultProps)for(r in a=e.defaultProps,a)l[r]===void 0&&(l[r]=a[r]);return{$$typeof:Lr,type:e,key:s,ref:i,props:l,_owner:wi.current}}function zp(e,t){return{$$typeof:Lr,type:e.type,key:t,ref:e.ref,props:e.props,_owner:e._owner}}function Si(e){return typeof e=="object"&&e!==null&&e.$$typeof===Lr}function Ip(e){var t={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(n){return t[n]})}var Ca=/\/+/g;function Ts(e,t){return typeof e=="object"&&e!==null&&e.key!=null?Ip(""+e.key):t.toString(36)}function jl(e,t,n,r,l){var s=typeof e;(s==="undefined"||s==="boolean")&&(e=null);var i=!1;if(e===null)i=!0;else switch(s){case"string":case"number":i=!0;break;case"object":switch(e.$$typeof){case Lr:case wp:i=!0}}if(i)return i=e,l=l(i),e=r===""?"."+Ts(i,0):r,Na(l)?(n="",e!=null&&(n=e.replace(Ca,"$&/")+"/"),jl(l,t,n,"",function(c){return c})):l!=null&&(Si(l)&&(l=zp(l,n+(!l.key||i&&i.key===l.key?"":(""+l.key).replace(Ca,"$&/")+"/")+e)),t.push(l)),1;if(i=0,r=r===""?".":r+":",Na(e))for(var a=0;a<e.length;a++){s=e[a];var u=r+Ts(s,a);i+=jl(s,t,n,u,l)}else if(u=_p(e),typeof u=="function")for(e=u.call(e),a=0;!(s=e.next()).done;)s=s.value,u=r+Ts(s,a++),i+=jl(s,t,n,u,l);else if(s==="object")throw t=String(e),Error("Objects are not valid as a React child (found: "+(t==="[object Object]"?"object with keys {"+Object.keys(e).join(", ")+"}":t)+"). If you meant to render a collection of children, use an array instead.");return i}function Jr(e,t,n){if(e==null)return e;var r=[],l=0;return jl(e,r,"","",function(s){return t.call(n,s,l++)}),r}function Tp(e){if(e._status===-1){var t=e._result;t=t(),t.then(function(n){(e._status===0||e._status===-1)&&(e._status=1,e._result=n)},function(n){(e._status===0||e._status===-1)&&(e._status=2,e._result=n)}),e._status===-1&&(e._status=0,e._result=t)}if(e._status===1)return e._result.default;throw e._result}var ge={current:null},kl={transition:null},Rp={ReactCurrentDispatcher:ge,ReactCurrentBatchConfig:kl,ReactCurrentOwner:wi};function hc(){throw Error("act(...) is not supported in production builds of React.")}D.Children={map:Jr,forEach:function(e,t,n){Jr(e,function(){t.apply(this,arguments)},n)},count:function(e){var t=0;return Jr(e,function(){t++}),t},toArray:function(e){return Jr(e,function(t){return t})||[]},only:function(e){if(!Si(e))throw Error("React.Children.only expected to receive a single React element child.");return e}};D.Component=Fn;D.Fragment=Sp;D.Profiler=kp;D.PureComponent=xi;D.StrictMode=jp;D.Suspense=Ep;D.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Rp;D.act=hc;D.cloneElement=function(e,t,n){if(e==null)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var r=uc({},e.props),l=e.key,s=e.ref,i=e._owner;if(t!=null){if(t.ref!==void 0&&(s=t.ref,i=wi.current),t.key!==void 0&&(l=""+t.key),e.type&&e.type.defaultProps)var a=e.type.defaultProps;for(u in t)fc.call(t,u)&&!pc.hasOwnProperty(u)&&(r[u]=t[u]===void 0&&a!==void 0?a[u]:t[u])}var u=arguments.length-2;if(u===1)r.children=n;else if(1<u){a=Array(u);for(var c=0;c<u;c++)a[c]=arguments[c+2];r.children=a}return{$$typeof:Lr,type:e.type,key:l,ref:s,props:r,_owner:i}};D.createContext=function(e){return e={$$typeof:Cp,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null},e.Provider={$$typeof:Np,_context:e},e.Consumer=e};D.createElement=mc;D.createFactory=function(e){var t=mc.bind(null,e);return t.type=e,t};D.createRef=function(){return{current:null}};D.forwardRef=function(e){return{$$typeof:bp,render:e}};D.isValidElement=Si;D.lazy=function(e){return{$$typeof:Mp,_payload:{_status:-1,_result:e},_init:Tp}};D.memo=function(e,t){return{$$typeof:Pp,type:e,compare:t===void 0?null:t}};D.startTransition=function(e){var t=kl.transition;kl.transition={};try{e()}finally{kl.transition=t}};D.unstable_act=hc;D.useCallback=function(e,t){return ge.current.useCallback(e,t)};D.useContext=function(e){return ge.current.useContext(e)};D.useDebugValue=function(){};D.useDeferredValue=function(e){return ge.current.useDeferredValue(e)};D.useEffect=function(e,t){return ge.current.useEffect(e,t)};D.useId=function(){return ge.current.useId()};D.useImperativeHandle=function(e,t,n){return ge.current.useImperativeHandle(e,t,n)};D.useInsertionEffect=function(e,t){return ge.current.useInsertionEffect(e,t)};D.useLayoutEffect=function(e,t){return ge.current.useLayoutEffect(e,t)};D.useMemo=function(e,t){return ge.current.useMemo(e,t)};D.useReducer=function(e,t,n){return ge.current.useReducer(e,t,n)};D.useRef=function(e){return ge.current.useRef(e)};D.useState=function(e){return ge.current.useState(e)};D.useSyncExternalStore=function(e,t,n){return ge.current.useSyncExternalStore(e,t,n)};D.useTransition=function(){return ge.current.useTransition()};D.version="18.3.1";ic.exports=D;var w=ic.exports;const as=gi(w),vc=yp({__proto__:null,default:as},[w]);/**
- * @license React
- * react-jsx-runtime.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var Op=w,Lp=Symbol.for("react.element"),Dp=Symbol.for("react.fragment"),Ap=Object.prototype.hasOwnProperty,Fp=Op.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED.ReactCurrentOwner,$p={key:!0,ref:!0,__self:!0,__source:!0};function gc(e,t,n){var r,l={},s=null,i=null;n!==void 0&&(s=""+n),t.key!==void 0&&(s=""+t.key),t.ref!==void 0&&(i=t.ref);for(r in t)Ap.call(t,r)&&!$p.hasOwnProperty(r)&&(l[r]=t[r]);if(e&&e.defaultProps)for(r in t=e.defaultProps,t)l[r]===void 0&&(l[r]=t[r]);return{$$typeof:Lp,type:e,key:s,ref:i,props:l,_owner:Fp.current}}is.Fragment=Dp;is.jsx=gc;is.jsxs=gc;oc.exports=is;var o=oc.exports,xc={exports:{}},Pe={},yc={exports:{}},wc={};/**
- * @license React
- * scheduler.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */(function(e){function t(M,T){var R=M.length;M.push(T);e:for(;0<R;){var $=R-1>>>1,le=M[$];if(0<l(le,T))M[$]=T,M[R]=le,R=$;else break e}}function n(M){return M.length===0?null:M[0]}function r(M){if(M.length===0)return null;var T=M[0],R=M.pop();if(R!==T){M[0]=R;e:for(var $=0,le=M.length,Yr=le>>>1;$<Yr;){var Ft=2*($+1)-1,Is=M[Ft],$t=Ft+1,Xr=M[$t];if(0>l(Is,R))$t<le&&0>l(Xr,Is)?(M[$]=Xr,M[$t]=R,$=$t):(M[$]=Is,M[Ft]=R,$=Ft);else if($t<le&&0>l(Xr,R))M[$]=Xr,M[$t]=R,$=$t;else break e}}return T}function l(M,T){var R=M.sortIndex-T.sortIndex;return R!==0?R:M.id-T.id}if(typeof performance=="object"&&typeof performance.now=="function"){var s=performance;e.unstable_now=function(){return s.now()}}else{var i=Date,a=i.now();e.unstable_now=function(){return i.now()-a}}var u=[],c=[],h=1,p=null,m=3,d=!1,x=!1,g=!1,S=typeof setTimeout=="function"?setTimeout:null,v=typeof clearTimeout=="function"?clearTimeout:null,f=typeof setImmediate<"u"?setImmediate:null;typeof navigator<"u"&&navigator.scheduling!==void 0&&navigator.scheduling.isInputPending!==void 0&&navigator.scheduling.isInputPending.bind(navigator.scheduling);function y(M){for(var T=n(c);T!==null;){if(T.callback===null)r(c);else if(T.startTime<=M)r(c),T.sortIndex=T.expirationTime,t(u,T);else break;T=n(c)}}function j(M){if(g=!1,y(M),!x)if(n(u)!==null)x=!0,pt(k);else{var T=n(c);T!==null&&rn(j,T.startTime-M)}}function k(M,T){x=!1,g&&(g=!1,v(E),E=-1),d=!0;var R=m;try{for(y(T),p=n(u);p!==null&&(!(p.expirationTime>T)||M&&!B());){var $=p.callback;if(typeof $=="function"){p.callback=null,m=p.priorityLevel;var le=$(p.expirationTime<=T);T=e.unstable_now(),typeof le=="function"?p.callback=le:p===n(u)&&r(u),y(T)}else r(u);p=n(u)}if(p!==null)var Yr=!0;else{var Ft=n(c);Ft!==null&&rn(j,Ft.startTime-T),Yr=!1}return Yr}finally{p=null,m=R,d=!1}}var b=!1,N=null,E=-1,L=5,P=-1;function B(){return!(e.unstable_now()-P<L)}function A(){if(N!==null){var M=e.unstable_now();P=M;var T=!0;try{T=N(!0,M)}finally{T?ft():(b=!1,N=null)}}else b=!1}var ft;if(typeof f=="function")ft=function(){f(A)};else if(typeof MessageChannel<"u"){var At=new MessageChannel,Qr=At.port2;At.port1.onmessage=A,ft=function(){Qr.postMessage(null)}}else ft=function(){S(A,0)};function pt(M){N=M,b||(b=!0,ft())}function rn(M,T){E=S(function(){M(e.unstable_now())},T)}e.unstable_IdlePriority=5,e.unstable_ImmediatePriority=1,e.unstable_LowPriority=4,e.unstable_NormalPriority=3,e.unstable_Profiling=null,e.unstable_UserBlockingPriority=2,e.unstable_cancelCallback=function(M){M.callback=null},e.unstable_continueExecution=function(){x||d||(x=!0,pt(k))},e.unstable_forceFrameRate=function(M){0>M||125<M?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):L=0<M?Math.floor(1e3/M):5},e.unstable_getCurrentPriorityLevel=function(){return m},e.unstable_getFirstCallbackNode=function(){return n(u)},e.unstable_next=function(M){switch(m){case 1:case 2:case 3:var T=3;break;default:T=m}var R=m;m=T;try{return M()}finally{m=R}},e.unstable_pauseExecution=function(){},e.unstable_requestPaint=function(){},e.unstable_runWithPriority=function(M,T){switch(M){case 1:case 2:case 3:case 4:case 5:break;default:M=3}var R=m;m=M;try{return T()}finally{m=R}},e.unstable_scheduleCallback=function(M,T,R){var $=e.unstable_now();switch(typeof R=="object"&&R!==null?(R=R.delay,R=typeof R=="number"&&0<R?$+R:$):R=$,M){case 1:var le=-1;break;case 2:le=250;break;case 5:le=1073741823;break;case 4:le=1e4;break;default:le=5e3}return le=R+le,M={id:h++,callback:T,priorityLevel:M,startTime:R,expirationTime:le,sortIndex:-1},R>$?(M.sortIndex=R,t(c,M),n(u)===null&&M===n(c)&&(g?(v(E),E=-1):g=!0,rn(j,R-$))):(M.sortIndex=le,t(u,M),x||d||(x=!0,pt(k))),M},e.unstable_shouldYield=B,e.unstable_wrapCallback=function(M){var T=m;return function(){var R=m;m=T;try{return M.apply(this,arguments)}finally{m=R}}}})(wc);yc.exports=wc;var Up=yc.exports;/**
- * @license React
- * react-dom.production.min.js
- *
- * Copyright (c) Facebook, Inc. and its affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var Vp=w,Ee=Up;function C(e){for(var t="https://reactjs.org/docs/error-decoder.html?invariant="+e,n=1;n<arguments.length;n++)t+="&args[]="+encodeURIComponent(arguments[n]);return"Minified React error #"+e+"; visit "+t+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var Sc=new Set,hr={};function en(e,t){zn(e,t),zn(e+"Capture",t)}function zn(e,t){for(hr[e]=t,e=0;e<t.length;e++)Sc.add(t[e])}var rt=!(typeof window>"u"||typeof window.document>"u"||typeof window.document.createElement>"u"),wo=Object.prototype.hasOwnProperty,Bp=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,ba={},Ea={};function Wp(e){return wo.call(Ea,e)?!0:wo.call(ba,e)?!1:Bp.test(e)?Ea[e]=!0:(ba[e]=!0,!1)}function Hp(e,t,n,r){if(n!==null&&n.type===0)return!1;switch(typeof t){case"function":case"symbol":return!0;case"boolean":return r?!1:n!==null?!n.acceptsBooleans:(e=e.toLowerCase().slice(0,5),e!=="data-"&&e!=="aria-");default:return!1}}function Gp(e,t,n,r){if(t===null||typeof t>"u"||Hp(e,t,n,r))return!0;if(r)return!1;if(n!==null)switch(n.type){case 3:return!t;case 4:return t===!1;case 5:return isNaN(t);case 6:return isNaN(t)||1>t}return!1}function xe(e,t,n,r,l,s,i){this.acceptsBooleans=t===2||t===3||t===4,this.attributeName=r,this.attributeNamespace=l,this.mustUseProperty=n,this.propertyName=e,this.type=t,this.sanitizeURL=s,this.removeEmptyString=i}var ue={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){ue[e]=new xe(e,0,!1,e,null,!1,!1)});[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var t=e[0];ue[t]=new xe(t,1,!1,e[1],null,!1,!1)});["contentEditable","draggable","spellCheck","value"].forEach(function(e){ue[e]=new xe(e,2,!1,e.toLowerCase(),null,!1,!1)});["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){ue[e]=new xe(e,2,!1,e,null,!1,!1)});"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){ue[e]=new xe(e,3,!1,e.toLowerCase(),null,!1,!1)});["checked","multiple","muted","selected"].forEach(function(e){ue[e]=new xe(e,3,!0,e,null,!1,!1)});["capture","download"].forEach(function(e){ue[e]=new xe(e,4,!1,e,null,!1,!1)});["cols","rows","size","span"].forEach(function(e){ue[e]=new xe(e,6,!1,e,null,!1,!1)});["rowSpan","start"].forEach(function(e){ue[e]=new xe(e,5,!1,e.toLowerCase(),null,!1,!1)});var ji=/[\-:]([a-z])/g;function ki(e){return e[1].toUpperCase()}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var t=e.replace(ji,ki);ue[t]=new xe(t,1,!1,e,null,!1,!1)});"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var t=e.replace(ji,ki);ue[t]=new xe(t,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)});["xml:base","xml:lang","xml:space"].forEach(function(e){var t=e.replace(ji,ki);ue[t]=new xe(t,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)});["tabIndex","crossOrigin"].forEach(function(e){ue[e]=new xe(e,1,!1,e.toLowerCase(),null,!1,!1)});ue.xlinkHref=new xe("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1);["src","href","action","formAction"].forEach(function(e){ue[e]=new xe(e,1,!1,e.toLowerCase(),null,!0,!0)});function Ni(e,t,n,r){var l=ue.hasOwnProperty(t)?ue[t]:null;(l!==null?l.type!==0:r||!(2<t.length)||t[0]!=="o"&&t[0]!=="O"||t[1]!=="n"&&t[1]!=="N")&&(Gp(t,n,l,r)&&(n=null),r||l===null?Wp(t)&&(n===null?e.removeAttribute(t):e.setAttribute(t,""+n)):l.mustUseProperty?e[l.propertyName]=n===null?l.type===3?!1:"":n:(t=l.attributeName,r=l.attributeNamespace,n===null?e.removeAttribute(t):(l=l.type,n=l===3||l===4&&n===!0?"":""+n,r?e.setAttributeNS(r,t,n):e.setAttribute(t,n))))}var ut=Vp.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,Zr=Symbol.for("react.element"),dn=Symbol.for("react.portal"),fn=Symbol.for("react.fragment"),Ci=Symbol.for("react.strict_mode"),So=Symbol.for("react.profiler"),jc=Symbol.for("react.provider"),kc=Symbol.for("react.context"),bi=Symbol.for("react.forward_ref"),jo=Symbol.for("react.suspense"),ko=Symbol.for("react.suspense_list"),Ei=Symbol.for("react.memo"),xt=Symbol.for("react.lazy"),Nc=Symbol.for("react.offscreen"),Pa=Symbol.iterator;function Hn(e){return e===null||typeof e!="object"?null:(e=Pa&&e[Pa]||e["@@iterator"],typeof e=="function"?e:null)}var Z=Object.assign,Rs;function nr(e){if(Rs===void 0)try{throw Error()}catch(n){var t=n.stack.trim().match(/\n( *(at )?)/);Rs=t&&t[1]||""}return`
-`+Rs+e}var Os=!1;function Ls(e,t){if(!e||Os)return"";Os=!0;var n=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(t)if(t=function(){throw Error()},Object.defineProperty(t.prototype,"props",{set:function(){throw Error()}}),typeof Reflect=="object"&&Reflect.construct){try{Reflect.construct(t,[])}catch(c){var r=c}Reflect.construct(e,[],t)}else{try{t.call()}catch(c){r=c}e.call(t.prototype)}else{try{throw Error()}catch(c){r=c}e()}}catch(c){if(c&&r&&typeof c.stack=="string"){for(var l=c.stack.split(`
-`),s=r.stack.split(`
-`),i=l.length-1,a=s.length-1;1<=i&&0<=a&&l[i]!==s[a];)a--;for(;1<=i&&0<=a;i--,a--)if(l[i]!==s[a]){if(i!==1||a!==1)do if(i--,a--,0>a||l[i]!==s[a]){var u=`
-`+l[i].replace(" at new "," at ");return e.displayName&&u.includes("<anonymous>")&&(u=u.replace("<anonymous>",e.displayName)),u}while(1<=i&&0<=a);break}}}finally{Os=!1,Error.prepareStackTrace=n}return(e=e?e.displayName||e.name:"")?nr(e):""}function Kp(e){switch(e.tag){case 5:return nr(e.type);case 16:return nr("Lazy");case 13:return nr("Suspense");case 19:return nr("SuspenseList");case 0:case 2:case 15:return e=Ls(e.type,!1),e;case 11:return e=Ls(e.type.render,!1),e;case 1:return e=Ls(e.type,!0),e;default:return""}}function No(e){if(e==null)return null;if(typeof e=="function")return e.displayName||e.name||null;if(typeof e=="string")return e;switch(e){case fn:return"Fragment";case dn:return"Portal";case So:return"Profiler";case Ci:return"StrictMode";case jo:return"Suspense";case ko:return"SuspenseList"}if(typeof e=="object")switch(e.$$typeof){case kc:return(e.displayName||"Context")+".Consumer";case jc:return(e._context.displayName||"Context")+".Provider";case bi:var t=e.render;return e=e.displayName,e||(e=t.displayName||t.name||"",e=e!==""?"ForwardRef("+e+")":"ForwardRef"),e;case Ei:return t=e.displayName||null,t!==null?t:No(e.type)||"Memo";case xt:t=e._payload,e=e._init;try{return No(e(t))}catch{}}return null}function Qp(e){var t=e.type;switch(e.tag){case 24:return"Cache";case 9:return(t.displayName||"Context")+".Consumer";case 10:return(t._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=t.render,e=e.displayName||e.name||"",t.displayName||(e!==""?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return t;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return No(t);case 8:return t===Ci?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if(typeof t=="function")return t.displayName||t.name||null;if(typeof t=="string")return t}return null}function Tt(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":return e;case"object":return e;default:return""}}function Cc(e){var t=e.type;return(e=e.nodeName)&&e.toLowerCase()==="input"&&(t==="checkbox"||t==="radio")}function Yp(e){var t=Cc(e)?"checked":"value",n=Object.getOwnPropertyDescriptor(e.constructor.prototype,t),r=""+e[t];if(!e.hasOwnProperty(t)&&typeof n<"u"&&typeof n.get=="function"&&typeof n.set=="function"){var l=n.get,s=n.set;return Object.defineProperty(e,t,{configurable:!0,get:function(){return l.call(this)},set:function(i){r=""+i,s.call(this,i)}}),Object.defineProperty(e,t,{enumerable:n.enumerable}),{getValue:function(){return r},setValue:function(i){r=""+i},stopTracking:function(){e._valueTracker=null,delete e[t]}}}}function qr(e){e._valueTracker||(e._valueTracker=Yp(e))}function bc(e){if(!e)return!1;var t=e._valueTracker;if(!t)return!0;var n=t.getValue(),r="";return e&&(r=Cc(e)?e.checked?"true":"false":e.value),e=r,e!==n?(t.setValue(e),!0):!1}function Ll(e){if(e=e||(typeof document<"u"?document:void 0),typeof e>"u")return null;try{return e.activeElement||e.body}catch{return e.body}}function Co(e,t){var n=t.checked;return Z({},t,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:n??e._wrapperState.initialChecked})}function Ma(e,t){var n=t.defaultValue==null?"":t.defaultValue,r=t.checked!=null?t.checked:t.defaultChecked;n=Tt(t.value!=null?t.value:n),e._wrapperState={initialChecked:r,initialValue:n,controlled:t.type==="checkbox"||t.type==="radio"?t.checked!=null:t.value!=null}}function Ec(e,t){t=t.checked,t!=null&&Ni(e,"checked",t,!1)}function bo(e,t){Ec(e,t);var n=Tt(t.value),r=t.type;if(n!=null)r==="number"?(n===0&&e.value===""||e.value!=n)&&(e.value=""+n):e.value!==""+n&&(e.value=""+n);else if(r==="submit"||r==="reset"){e.removeAttribute("value");return}t.hasOwnProperty("value")?Eo(e,t.type,n):t.hasOwnProperty("defaultValue")&&Eo(e,t.type,Tt(t.defaultValue)),t.checked==null&&t.defaultChecked!=null&&(e.defaultChecked=!!t.defaultChecked)}function _a(e,t,n){if(t.hasOwnProperty("value")||t.hasOwnProperty("defaultValue")){var r=t.type;if(!(r!=="submit"&&r!=="reset"||t.value!==void 0&&t.value!==null))return;t=""+e._wrapperState.initialValue,n||t===e.value||(e.value=t),e.defaultValue=t}n=e.name,n!==""&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,n!==""&&(e.name=n)}function Eo(e,t,n){(t!=="number"||Ll(e.ownerDocument)!==e)&&(n==null?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+n&&(e.defaultValue=""+n))}var rr=Array.isArray;function kn(e,t,n,r){if(e=e.options,t){t={};for(var l=0;l<n.length;l++)t["$"+n[l]]=!0;for(n=0;n<e.length;n++)l=t.hasOwnProperty("$"+e[n].value),e[n].selected!==l&&(e[n].selected=l),l&&r&&(e[n].defaultSelected=!0)}else{for(n=""+Tt(n),t=null,l=0;l<e.length;l++){if(e[l].value===n){e[l].selected=!0,r&&(e[l].defaultSelected=!0);return}t!==null||e[l].disabled||(t=e[l])}t!==null&&(t.selected=!0)}}function Po(e,t){if(t.dangerouslySetInnerHTML!=null)throw Error(C(91));return Z({},t,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function za(e,t){var n=t.value;if(n==null){if(n=t.children,t=t.defaultValue,n!=null){if(t!=null)throw Error(C(92));if(rr(n)){if(1<n.length)throw Error(C(93));n=n[0]}t=n}t==null&&(t=""),n=t}e._wrapperState={initialValue:Tt(n)}}function Pc(e,t){var n=Tt(t.value),r=Tt(t.defaultValue);n!=null&&(n=""+n,n!==e.value&&(e.value=n),t.defaultValue==null&&e.defaultValue!==n&&(e.defaultValue=n)),r!=null&&(e.defaultValue=""+r)}function Ia(e){var t=e.textContent;t===e._wrapperState.initialValue&&t!==""&&t!==null&&(e.value=t)}function Mc(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function Mo(e,t){return e==null||e==="http://www.w3.org/1999/xhtml"?Mc(t):e==="http://www.w3.org/2000/svg"&&t==="foreignObject"?"http://www.w3.org/1999/xhtml":e}var el,_c=function(e){return typeof MSApp<"u"&&MSApp.execUnsafeLocalFunction?function(t,n,r,l){MSApp.execUnsafeLocalFunction(function(){return e(t,n,r,l)})}:e}(function(e,t){if(e.namespaceURI!=="http://www.w3.org/2000/svg"||"innerHTML"in e)e.innerHTML=t;else{for(el=el||document.createElement("div"),el.innerHTML="<svg>"+t.valueOf().toString()+"</svg>",t=el.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;t.firstChild;)e.appendChild(t.firstChild)}});function vr(e,t){if(t){var n=e.firstChild;if(n&&n===e.lastChild&&n.nodeType===3){n.nodeValue=t;return}}e.textContent=t}var or={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},Xp=["Webkit","ms","Moz","O"];Object.keys(or).forEach(function(e){Xp.forEach(function(t){t=t+e.charAt(0).toUpperCase()+e.substring(1),or[t]=or[e]})});function zc(e,t,n){return t==null||typeof t=="boolean"||t===""?"":n||typeof t!="number"||t===0||or.hasOwnProperty(e)&&or[e]?(""+t).trim():t+"px"}function Ic(e,t){e=e.style;for(var n in t)if(t.hasOwnProperty(n)){var r=n.indexOf("--")===0,l=zc(n,t[n],r);n==="float"&&(n="cssFloat"),r?e.setProperty(n,l):e[n]=l}}var Jp=Z({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function _o(e,t){if(t){if(Jp[e]&&(t.children!=null||t.dangerouslySetInnerHTML!=null))throw Error(C(137,e));if(t.dangerouslySetInnerHTML!=null){if(t.children!=null)throw Error(C(60));if(typeof t.dangerouslySetInnerHTML!="object"||!("__html"in t.dangerouslySetInnerHTML))throw Error(C(61))}if(t.style!=null&&typeof t.style!="object")throw Error(C(62))}}function zo(e,t){if(e.indexOf("-")===-1)return typeof t.is=="string";switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var Io=null;function Pi(e){return e=e.target||e.srcElement||window,e.correspondingUseElement&&(e=e.correspondingUseElement),e.nodeType===3?e.parentNode:e}var To=null,Nn=null,Cn=null;function Ta(e){if(e=Fr(e)){if(typeof To!="function")throw Error(C(280));var t=e.stateNode;t&&(t=ps(t),To(e.stateNode,e.type,t))}}function Tc(e){Nn?Cn?Cn.push(e):Cn=[e]:Nn=e}function Rc(){if(Nn){var e=Nn,t=Cn;if(Cn=Nn=null,Ta(e),t)for(e=0;e<t.length;e++)Ta(t[e])}}function Oc(e,t){return e(t)}function Lc(){}var Ds=!1;function Dc(e,t,n){if(Ds)return e(t,n);Ds=!0;try{return Oc(e,t,n)}finally{Ds=!1,(Nn!==null||Cn!==null)&&(Lc(),Rc())}}function gr(e,t){var n=e.stateNode;if(n===null)return null;var r=ps(n);if(r===null)return null;n=r[t];e:switch(t){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(r=!r.disabled)||(e=e.type,r=!(e==="button"||e==="input"||e==="select"||e==="textarea")),e=!r;break e;default:e=!1}if(e)return null;if(n&&typeof n!="function")throw Error(C(231,t,typeof n));return n}var Ro=!1;if(rt)try{var Gn={};Object.defineProperty(Gn,"passive",{get:function(){Ro=!0}}),window.addEventListener("test",Gn,Gn),window.removeEventListener("test",Gn,Gn)}catch{Ro=!1}function Zp(e,t,n,r,l,s,i,a,u){var c=Array.prototype.slice.call(arguments,3);try{t.apply(n,c)}catch(h){this.onError(h)}}var ir=!1,Dl=null,Al=!1,Oo=null,qp={onError:function(e){ir=!0,Dl=e}};function em(e,t,n,r,l,s,i,a,u){ir=!1,Dl=null,Zp.apply(qp,arguments)}function tm(e,t,n,r,l,s,i,a,u){if(em.apply(this,arguments),ir){if(ir){var c=Dl;ir=!1,Dl=null}else throw Error(C(198));Al||(Al=!0,Oo=c)}}function tn(e){var t=e,n=e;if(e.alternate)for(;t.return;)t=t.return;else{e=t;do t=e,t.flags&4098&&(n=t.return),e=t.return;while(e)}return t.tag===3?n:null}function Ac(e){if(e.tag===13){var t=e.memoizedState;if(t===null&&(e=e.alternate,e!==null&&(t=e.memoizedState)),t!==null)return t.dehydrated}return null}function Ra(e){if(tn(e)!==e)throw Error(C(188))}function nm(e){var t=e.alternate;if(!t){if(t=tn(e),t===null)throw Error(C(188));return t!==e?null:e}for(var n=e,r=t;;){var l=n.return;if(l===null)break;var s=l.alternate;if(s===null){if(r=l.return,r!==null){n=r;continue}break}if(l.child===s.child){for(s=l.child;s;){if(s===n)return Ra(l),e;if(s===r)return Ra(l),t;s=s.sibling}throw Error(C(188))}if(n.return!==r.return)n=l,r=s;else{for(var i=!1,a=l.child;a;){if(a===n){i=!0,n=l,r=s;break}if(a===r){i=!0,r=l,n=s;break}a=a.sibling}if(!i){for(a=s.child;a;){if(a===n){i=!0,n=s,r=l;break}if(a===r){i=!0,r=s,n=l;break}a=a.sibling}if(!i)throw Error(C(189))}}if(n.alternate!==r)throw Error(C(190))}if(n.tag!==3)throw Error(C(188));return n.stateNode.current===n?e:t}function Fc(e){return e=nm(e),e!==null?$c(e):null}function $c(e){if(e.tag===5||e.tag===6)return e;for(e=e.child;e!==null;){var t=$c(e);if(t!==null)return t;e=e.sibling}return null}var Uc=Ee.unstable_scheduleCallback,Oa=Ee.unstable_cancelCallback,rm=Ee.unstable_shouldYield,lm=Ee.unstable_requestPaint,ee=Ee.unstable_now,sm=Ee.unstable_getCurrentPriorityLevel,Mi=Ee.unstable_ImmediatePriority,Vc=Ee.unstable_UserBlockingPriority,Fl=Ee.unstable_NormalPriority,om=Ee.unstable_LowPriority,Bc=Ee.unstable_IdlePriority,us=null,Qe=null;function im(e){if(Qe&&typeof Qe.onCommitFiberRoot=="function")try{Qe.onCommitFiberRoot(us,e,void 0,(e.current.flags&128)===128)}catch{}}var $e=Math.clz32?Math.clz32:cm,am=Math.log,um=Math.LN2;function cm(e){return e>>>=0,e===0?32:31-(am(e)/um|0)|0}var tl=64,nl=4194304;function lr(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return e&4194240;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return e&130023424;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function $l(e,t){var n=e.pendingLanes;if(n===0)return 0;var r=0,l=e.suspendedLanes,s=e.pingedLanes,i=n&268435455;if(i!==0){var a=i&~l;a!==0?r=lr(a):(s&=i,s!==0&&(r=lr(s)))}else i=n&~l,i!==0?r=lr(i):s!==0&&(r=lr(s));if(r===0)return 0;if(t!==0&&t!==r&&!(t&l)&&(l=r&-r,s=t&-t,l>=s||l===16&&(s&4194240)!==0))return t;if(r&4&&(r|=n&16),t=e.entangledLanes,t!==0)for(e=e.entanglements,t&=r;0<t;)n=31-$e(t),l=1<<n,r|=e[n],t&=~l;return r}function dm(e,t){switch(e){case 1:case 2:case 4:return t+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return t+5e3;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return-1;case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function fm(e,t){for(var n=e.suspendedLanes,r=e.pingedLanes,l=e.expirationTimes,s=e.pendingLanes;0<s;){var i=31-$e(s),a=1<<i,u=l[i];u===-1?(!(a&n)||a&r)&&(l[i]=dm(a,t)):u<=t&&(e.expiredLanes|=a),s&=~a}}function Lo(e){return e=e.pendingLanes&-1073741825,e!==0?e:e&1073741824?1073741824:0}function Wc(){var e=tl;return tl<<=1,!(tl&4194240)&&(tl=64),e}function As(e){for(var t=[],n=0;31>n;n++)t.push(e);return t}function Dr(e,t,n){e.pendingLanes|=t,t!==536870912&&(e.suspendedLanes=0,e.pingedLanes=0),e=e.eventTimes,t=31-$e(t),e[t]=n}function pm(e,t){var n=e.pendingLanes&~t;e.pendingLanes=t,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=t,e.mutableReadLanes&=t,e.entangledLanes&=t,t=e.entanglements;var r=e.eventTimes;for(e=e.expirationTimes;0<n;){var l=31-$e(n),s=1<<l;t[l]=0,r[l]=-1,e[l]=-1,n&=~s}}function _i(e,t){var n=e.entangledLanes|=t;for(e=e.entanglements;n;){var r=31-$e(n),l=1<<r;l&t|e[r]&t&&(e[r]|=t),n&=~l}}var U=0;function Hc(e){return e&=-e,1<e?4<e?e&268435455?16:536870912:4:1}var Gc,zi,Kc,Qc,Yc,Do=!1,rl=[],Nt=null,Ct=null,bt=null,xr=new Map,yr=new Map,wt=[],mm="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function La(e,t){switch(e){case"focusin":case"focusout":Nt=null;break;case"dragenter":case"dragleave":Ct=null;break;case"mouseover":case"mouseout":bt=null;break;case"pointerover":case"pointerout":xr.delete(t.pointerId);break;case"gotpointercapture":case"lostpointercapture":yr.delete(t.pointerId)}}function Kn(e,t,n,r,l,s){return e===null||e.nativeEvent!==s?(e={blockedOn:t,domEventName:n,eventSystemFlags:r,nativeEvent:s,targetContainers:[l]},t!==null&&(t=Fr(t),t!==null&&zi(t)),e):(e.eventSystemFlags|=r,t=e.targetContainers,l!==null&&t.indexOf(l)===-1&&t.push(l),e)}function hm(e,t,n,r,l){switch(t){case"focusin":return Nt=Kn(Nt,e,t,n,r,l),!0;case"dragenter":return Ct=Kn(Ct,e,t,n,r,l),!0;case"mouseover":return bt=Kn(bt,e,t,n,r,l),!0;case"pointerover":var s=l.pointerId;return xr.set(s,Kn(xr.get(s)||null,e,t,n,r,l)),!0;case"gotpointercapture":return s=l.pointerId,yr.set(s,Kn(yr.get(s)||null,e,t,n,r,l)),!0}return!1}function Xc(e){var t=Bt(e.target);if(t!==null){var n=tn(t);if(n!==null){if(t=n.tag,t===13){if(t=Ac(n),t!==null){e.blockedOn=t,Yc(e.priority,function(){Kc(n)});return}}else if(t===3&&n.stateNode.current.memoizedState.isDehydrated){e.blockedOn=n.tag===3?n.stateNode.containerInfo:null;return}}}e.blockedOn=null}function Nl(e){if(e.blockedOn!==null)return!1;for(var t=e.targetContainers;0<t.length;){var n=Ao(e.domEventName,e.eventSystemFlags,t[0],e.nativeEvent);if(n===null){n=e.nativeEvent;var r=new n.constructor(n.type,n);Io=r,n.target.dispatchEvent(r),Io=null}else return t=Fr(n),t!==null&&zi(t),e.blockedOn=n,!1;t.shift()}return!0}function Da(e,t,n){Nl(e)&&n.delete(t)}function vm(){Do=!1,Nt!==null&&Nl(Nt)&&(Nt=null),Ct!==null&&Nl(Ct)&&(Ct=null),bt!==null&&Nl(bt)&&(bt=null),xr.forEach(Da),yr.forEach(Da)}function Qn(e,t){e.blockedOn===t&&(e.blockedOn=null,Do||(Do=!0,Ee.unstable_scheduleCallback(Ee.unstable_NormalPriority,vm)))}function wr(e){function t(l){return Qn(l,e)}if(0<rl.length){Qn(rl[0],e);for(var n=1;n<rl.length;n++){var r=rl[n];r.blockedOn===e&&(r.blockedOn=null)}}for(Nt!==null&&Qn(Nt,e),Ct!==null&&Qn(Ct,e),bt!==null&&Qn(bt,e),xr.forEach(t),yr.forEach(t),n=0;n<wt.length;n++)r=wt[n],r.blockedOn===e&&(r.blockedOn=null);for(;0<wt.length&&(n=wt[0],n.blockedOn===null);)Xc(n),n.blockedOn===null&&wt.shift()}var bn=ut.ReactCurrentBatchConfig,Ul=!0;function gm(e,t,n,r){var l=U,s=bn.transition;bn.transition=null;try{U=1,Ii(e,t,n,r)}finally{U=l,bn.transition=s}}function xm(e,t,n,r){var l=U,s=bn.transition;bn.transition=null;try{U=4,Ii(e,t,n,r)}finally{U=l,bn.transition=s}}function Ii(e,t,n,r){if(Ul){var l=Ao(e,t,n,r);if(l===null)Qs(e,t,r,Vl,n),La(e,r);else if(hm(l,e,t,n,r))r.stopPropagation();else if(La(e,r),t&4&&-1<mm.indexOf(e)){for(;l!==null;){var s=Fr(l);if(s!==null&&Gc(s),s=Ao(e,t,n,r),s===null&&Qs(e,t,r,Vl,n),s===l)break;l=s}l!==null&&r.stopPropagation()}else Qs(e,t,r,null,n)}}var Vl=null;function Ao(e,t,n,r){if(Vl=null,e=Pi(r),e=Bt(e),e!==null)if(t=tn(e),t===null)e=null;else if(n=t.tag,n===13){if(e=Ac(t),e!==null)return e;e=null}else if(n===3){if(t.stateNode.current.memoizedState.isDehydrated)return t.tag===3?t.stateNode.containerInfo:null;e=null}else t!==e&&(e=null);return Vl=e,null}function Jc(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(sm()){case Mi:return 1;case Vc:return 4;case Fl:case om:return 16;case Bc:return 536870912;default:return 16}default:return 16}}var jt=null,Ti=null,Cl=null;function Zc(){if(Cl)return Cl;var e,t=Ti,n=t.length,r,l="value"in jt?jt.value:jt.textContent,s=l.length;for(e=0;e<n&&t[e]===l[e];e++);var i=n-e;for(r=1;r<=i&&t[n-r]===l[s-r];r++);return Cl=l.slice(e,1<r?1-r:void 0)}function bl(e){var t=e.keyCode;return"charCode"in e?(e=e.charCode,e===0&&t===13&&(e=13)):e=t,e===10&&(e=13),32<=e||e===13?e:0}function ll(){return!0}function Aa(){return!1}function Me(e){function t(n,r,l,s,i){this._reactName=n,this._targetInst=l,this.type=r,this.nativeEvent=s,this.target=i,this.currentTarget=null;for(var a in e)e.hasOwnProperty(a)&&(n=e[a],this[a]=n?n(s):s[a]);return this.isDefaultPrevented=(s.defaultPrevented!=null?s.defaultPrevented:s.returnValue===!1)?ll:Aa,this.isPropagationStopped=Aa,this}return Z(t.prototype,{preventDefault:function(){this.defaultPrevented=!0;var n=this.nativeEvent;n&&(n.preventDefault?n.preventDefault():typeof n.returnValue!="unknown"&&(n.returnValue=!1),this.isDefaultPrevented=ll)},stopPropagation:function(){var n=this.nativeEvent;n&&(n.stopPropagation?n.stopPropagation():typeof n.cancelBubble!="unknown"&&(n.cancelBubble=!0),this.isPropagationStopped=ll)},persist:function(){},isPersistent:ll}),t}var $n={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Ri=Me($n),Ar=Z({},$n,{view:0,detail:0}),ym=Me(Ar),Fs,$s,Yn,cs=Z({},Ar,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:Oi,button:0,buttons:0,relatedTarget:function(e){return e.relatedTarget===void 0?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==Yn&&(Yn&&e.type==="mousemove"?(Fs=e.screenX-Yn.screenX,$s=e.screenY-Yn.screenY):$s=Fs=0,Yn=e),Fs)},movementY:function(e){return"movementY"in e?e.movementY:$s}}),Fa=Me(cs),wm=Z({},cs,{dataTransfer:0}),Sm=Me(wm),jm=Z({},Ar,{relatedTarget:0}),Us=Me(jm),km=Z({},$n,{animationName:0,elapsedTime:0,pseudoElement:0}),Nm=Me(km),Cm=Z({},$n,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),bm=Me(Cm),Em=Z({},$n,{data:0}),$a=Me(Em),Pm={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},Mm={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},_m={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function zm(e){var t=this.nativeEvent;return t.getModifierState?t.getModifierState(e):(e=_m[e])?!!t[e]:!1}function Oi(){return zm}var Im=Z({},Ar,{key:function(e){if(e.key){var t=Pm[e.key]||e.key;if(t!=="Unidentified")return t}return e.type==="keypress"?(e=bl(e),e===13?"Enter":String.fromCharCode(e)):e.type==="keydown"||e.type==="keyup"?Mm[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:Oi,charCode:function(e){return e.type==="keypress"?bl(e):0},keyCode:function(e){return e.type==="keydown"||e.type==="keyup"?e.keyCode:0},which:function(e){return e.type==="keypress"?bl(e):e.type==="keydown"||e.type==="keyup"?e.keyCode:0}}),Tm=Me(Im),Rm=Z({},cs,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),Ua=Me(Rm),Om=Z({},Ar,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:Oi}),Lm=Me(Om),Dm=Z({},$n,{propertyName:0,elapsedTime:0,pseudoElement:0}),Am=Me(Dm),Fm=Z({},cs,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),$m=Me(Fm),Um=[9,13,27,32],Li=rt&&"CompositionEvent"in window,ar=null;rt&&"documentMode"in document&&(ar=document.documentMode);var Vm=rt&&"TextEvent"in window&&!ar,qc=rt&&(!Li||ar&&8<ar&&11>=ar),Va=" ",Ba=!1;function ed(e,t){switch(e){case"keyup":return Um.indexOf(t.keyCode)!==-1;case"keydown":return t.keyCode!==229;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function td(e){return e=e.detail,typeof e=="object"&&"data"in e?e.data:null}var pn=!1;function Bm(e,t){switch(e){case"compositionend":return td(t);case"keypress":return t.which!==32?null:(Ba=!0,Va);case"textInput":return e=t.data,e===Va&&Ba?null:e;default:return null}}function Wm(e,t){if(pn)return e==="compositionend"||!Li&&ed(e,t)?(e=Zc(),Cl=Ti=jt=null,pn=!1,e):null;switch(e){case"paste":return null;case"keypress":if(!(t.ctrlKey||t.altKey||t.metaKey)||t.ctrlKey&&t.altKey){if(t.char&&1<t.char.length)return t.char;if(t.which)return String.fromCharCode(t.which)}return null;case"compositionend":return qc&&t.locale!=="ko"?null:t.data;default:return null}}var Hm={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function Wa(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t==="input"?!!Hm[e.type]:t==="textarea"}function nd(e,t,n,r){Tc(r),t=Bl(t,"onChange"),0<t.length&&(n=new Ri("onChange","change",null,n,r),e.push({event:n,listeners:t}))}var ur=null,Sr=null;function Gm(e){pd(e,0)}function ds(e){var t=vn(e);if(bc(t))return e}function Km(e,t){if(e==="change")return t}var rd=!1;if(rt){var Vs;if(rt){var Bs="oninput"in document;if(!Bs){var Ha=document.createElement("div");Ha.setAttribute("oninput","return;"),Bs=typeof Ha.oninput=="function"}Vs=Bs}else Vs=!1;rd=Vs&&(!document.documentMode||9<document.documentMode)}function Ga(){ur&&(ur.detachEvent("onpropertychange",ld),Sr=ur=null)}function ld(e){if(e.propertyName==="value"&&ds(Sr)){var t=[];nd(t,Sr,e,Pi(e)),Dc(Gm,t)}}function Qm(e,t,n){e==="focusin"?(Ga(),ur=t,Sr=n,ur.attachEvent("onpropertychange",ld)):e==="focusout"&&Ga()}function Ym(e){if(e==="selectionchange"||e==="keyup"||e==="keydown")return ds(Sr)}function Xm(e,t){if(e==="click")return ds(t)}function Jm(e,t){if(e==="input"||e==="change")return ds(t)}function Zm(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var Ve=typeof Object.is=="function"?Object.is:Zm;function jr(e,t){if(Ve(e,t))return!0;if(typeof e!="object"||e===null||typeof t!="object"||t===null)return!1;var n=Object.keys(e),r=Object.keys(t);if(n.length!==r.length)return!1;for(r=0;r<n.length;r++){var l=n[r];if(!wo.call(t,l)||!Ve(e[l],t[l]))return!1}return!0}function Ka(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function Qa(e,t){var n=Ka(e);e=0;for(var r;n;){if(n.nodeType===3){if(r=e+n.textContent.length,e<=t&&r>=t)return{node:n,offset:t-e};e=r}e:{for(;n;){if(n.nextSibling){n=n.nextSibling;break e}n=n.parentNode}n=void 0}n=Ka(n)}}function sd(e,t){return e&&t?e===t?!0:e&&e.nodeType===3?!1:t&&t.nodeType===3?sd(e,t.parentNode):"contains"in e?e.contains(t):e.compareDocumentPosition?!!(e.compareDocumentPosition(t)&16):!1:!1}function od(){for(var e=window,t=Ll();t instanceof e.HTMLIFrameElement;){try{var n=typeof t.contentWindow.location.href=="string"}catch{n=!1}if(n)e=t.contentWindow;else break;t=Ll(e.document)}return t}function Di(e){var t=e&&e.nodeName&&e.nodeName.toLowerCase();return t&&(t==="input"&&(e.type==="text"||e.type==="search"||e.type==="tel"||e.type==="url"||e.type==="password")||t==="textarea"||e.contentEditable==="true")}function qm(e){var t=od(),n=e.focusedElem,r=e.selectionRange;if(t!==n&&n&&n.ownerDocument&&sd(n.ownerDocument.documentElement,n)){if(r!==null&&Di(n)){if(t=r.start,e=r.end,e===void 0&&(e=t),"selectionStart"in n)n.selectionStart=t,n.selectionEnd=Math.min(e,n.value.length);else if(e=(t=n.ownerDocument||document)&&t.defaultView||window,e.getSelection){e=e.getSelection();var l=n.textContent.length,s=Math.min(r.start,l);r=r.end===void 0?s:Math.min(r.end,l),!e.extend&&s>r&&(l=r,r=s,s=l),l=Qa(n,s);var i=Qa(n,r);l&&i&&(e.rangeCount!==1||e.anchorNode!==l.node||e.anchorOffset!==l.offset||e.focusNode!==i.node||e.focusOffset!==i.offset)&&(t=t.createRange(),t.setStart(l.node,l.offset),e.removeAllRanges(),s>r?(e.addRange(t),e.extend(i.node,i.offset)):(t.setEnd(i.node,i.offset),e.addRange(t)))}}for(t=[],e=n;e=e.parentNode;)e.nodeType===1&&t.push({element:e,left:e.scrollLeft,top:e.scrollTop});for(typeof n.focus=="function"&&n.focus(),n=0;n<t.length;n++)e=t[n],e.element.scrollLeft=e.left,e.element.scrollTop=e.top}}var eh=rt&&"documentMode"in document&&11>=document.documentMode,mn=null,Fo=null,cr=null,$o=!1;function Ya(e,t,n){var r=n.window===n?n.document:n.nodeType===9?n:n.ownerDocument;$o||mn==null||mn!==Ll(r)||(r=mn,"selectionStart"in r&&Di(r)?r={start:r.selectionStart,end:r.selectionEnd}:(r=(r.ownerDocument&&r.ownerDocument.defaultView||window).getSelection(),r={anchorNode:r.anchorNode,anchorOffset:r.anchorOffset,focusNode:r.focusNode,focusOffset:r.focusOffset}),cr&&jr(cr,r)||(cr=r,r=Bl(Fo,"onSelect"),0<r.length&&(t=new Ri("onSelect","select",null,t,n),e.push({event:t,listeners:r}),t.target=mn)))}function sl(e,t){var n={};return n[e.toLowerCase()]=t.toLowerCase(),n["Webkit"+e]="webkit"+t,n["Moz"+e]="moz"+t,n}var hn={animationend:sl("Animation","AnimationEnd"),animationiteration:sl("Animation","AnimationIteration"),animationstart:sl("Animation","AnimationStart"),transitionend:sl("Transition","TransitionEnd")},Ws={},id={};rt&&(id=document.createElement("div").style,"AnimationEvent"in window||(delete hn.animationend.animation,delete hn.animationiteration.animation,delete hn.animationstart.animation),"TransitionEvent"in window||delete hn.transitionend.transition);function fs(e){if(Ws[e])return Ws[e];if(!hn[e])return e;var t=hn[e],n;for(n in t)if(t.hasOwnProperty(n)&&n in id)return Ws[e]=t[n];return e}var ad=fs("animationend"),ud=fs("animationiteration"),cd=fs("animationstart"),dd=fs("transitionend"),fd=new Map,Xa="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Ot(e,t){fd.set(e,t),en(t,[e])}for(var Hs=0;Hs<Xa.length;Hs++){var Gs=Xa[Hs],th=Gs.toLowerCase(),nh=Gs[0].toUpperCase()+Gs.slice(1);Ot(th,"on"+nh)}Ot(ad,"onAnimationEnd");Ot(ud,"onAnimationIteration");Ot(cd,"onAnimationStart");Ot("dblclick","onDoubleClick");Ot("focusin","onFocus");Ot("focusout","onBlur");Ot(dd,"onTransitionEnd");zn("onMouseEnter",["mouseout","mouseover"]);zn("onMouseLeave",["mouseout","mouseover"]);zn("onPointerEnter",["pointerout","pointerover"]);zn("onPointerLeave",["pointerout","pointerover"]);en("onChange","change click focusin focusout input keydown keyup selectionchange".split(" "));en("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" "));en("onBeforeInput",["compositionend","keypress","textInput","paste"]);en("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" "));en("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" "));en("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var sr="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),rh=new Set("cancel close invalid load scroll toggle".split(" ").concat(sr));function Ja(e,t,n){var r=e.type||"unknown-event";e.currentTarget=n,tm(r,t,void 0,e),e.currentTarget=null}function pd(e,t){t=(t&4)!==0;for(var n=0;n<e.length;n++){var r=e[n],l=r.event;r=r.listeners;e:{var s=void 0;if(t)for(var i=r.length-1;0<=i;i--){var a=r[i],u=a.instance,c=a.currentTarget;if(a=a.listener,u!==s&&l.isPropagationStopped())break e;Ja(l,a,c),s=u}else for(i=0;i<r.length;i++){if(a=r[i],u=a.instance,c=a.currentTarget,a=a.listener,u!==s&&l.isPropagationStopped())break e;Ja(l,a,c),s=u}}}if(Al)throw e=Oo,Al=!1,Oo=null,e}function G(e,t){var n=t[Ho];n===void 0&&(n=t[Ho]=new Set);var r=e+"__bubble";n.has(r)||(md(t,e,2,!1),n.add(r))}function Ks(e,t,n){var r=0;t&&(r|=4),md(n,e,r,t)}var ol="_reactListening"+Math.random().toString(36).slice(2);function kr(e){if(!e[ol]){e[ol]=!0,Sc.forEach(function(n){n!=="selectionchange"&&(rh.has(n)||Ks(n,!1,e),Ks(n,!0,e))});var t=e.nodeType===9?e:e.ownerDocument;t===null||t[ol]||(t[ol]=!0,Ks("selectionchange",!1,t))}}function md(e,t,n,r){switch(Jc(t)){case 1:var l=gm;break;case 4:l=xm;break;default:l=Ii}n=l.bind(null,t,n,e),l=void 0,!Ro||t!=="touchstart"&&t!=="touchmove"&&t!=="wheel"||(l=!0),r?l!==void 0?e.addEventListener(t,n,{capture:!0,passive:l}):e.addEventListener(t,n,!0):l!==void 0?e.addEventListener(t,n,{passive:l}):e.addEventListener(t,n,!1)}function Qs(e,t,n,r,l){var s=r;if(!(t&1)&&!(t&2)&&r!==null)e:for(;;){if(r===null)return;var i=r.tag;if(i===3||i===4){var a=r.stateNode.containerInfo;if(a===l||a.nodeType===8&&a.parentNode===l)break;if(i===4)for(i=r.return;i!==null;){var u=i.tag;if((u===3||u===4)&&(u=i.stateNode.containerInfo,u===l||u.nodeType===8&&u.parentNode===l))return;i=i.return}for(;a!==null;){if(i=Bt(a),i===null)return;if(u=i.tag,u===5||u===6){r=s=i;continue e}a=a.parentNode}}r=r.return}Dc(function(){var c=s,h=Pi(n),p=[];e:{var m=fd.get(e);if(m!==void 0){var d=Ri,x=e;switch(e){case"keypress":if(bl(n)===0)break e;case"keydown":case"keyup":d=Tm;break;case"focusin":x="focus",d=Us;break;case"focusout":x="blur",d=Us;break;case"beforeblur":case"afterblur":d=Us;break;case"click":if(n.button===2)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":d=Fa;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":d=Sm;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":d=Lm;break;case ad:case ud:case cd:d=Nm;break;case dd:d=Am;break;case"scroll":d=ym;break;case"wheel":d=$m;break;case"copy":case"cut":case"paste":d=bm;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":d=Ua}var g=(t&4)!==0,S=!g&&e==="scroll",v=g?m!==null?m+"Capture":null:m;g=[];for(var f=c,y;f!==null;){y=f;var j=y.stateNode;if(y.tag===5&&j!==null&&(y=j,v!==null&&(j=gr(f,v),j!=null&&g.push(Nr(f,j,y)))),S)break;f=f.return}0<g.length&&(m=new d(m,x,null,n,h),p.push({event:m,listeners:g}))}}if(!(t&7)){e:{if(m=e==="mouseover"||e==="pointerover",d=e==="mouseout"||e==="pointerout",m&&n!==Io&&(x=n.relatedTarget||n.fromElement)&&(Bt(x)||x[lt]))break e;if((d||m)&&(m=h.window===h?h:(m=h.ownerDocument)?m.defaultView||m.parentWindow:window,d?(x=n.relatedTarget||n.toElement,d=c,x=x?Bt(x):null,x!==null&&(S=tn(x),x!==S||x.tag!==5&&x.tag!==6)&&(x=null)):(d=null,x=c),d!==x)){if(g=Fa,j="onMouseLeave",v="onMouseEnter",f="mouse",(e==="pointerout"||e==="pointerover")&&(g=Ua,j="onPointerLeave",v="onPointerEnter",f="pointer"),S=d==null?m:vn(d),y=x==null?m:vn(x),m=new g(j,f+"leave",d,n,h),m.target=S,m.relatedTarget=y,j=null,Bt(h)===c&&(g=new g(v,f+"enter",x,n,h),g.target=y,g.relatedTarget=S,j=g),S=j,d&&x)t:{for(g=d,v=x,f=0,y=g;y;y=ln(y))f++;for(y=0,j=v;j;j=ln(j))y++;for(;0<f-y;)g=ln(g),f--;for(;0<y-f;)v=ln(v),y--;for(;f--;){if(g===v||v!==null&&g===v.alternate)break t;g=ln(g),v=ln(v)}g=null}else g=null;d!==null&&Za(p,m,d,g,!1),x!==null&&S!==null&&Za(p,S,x,g,!0)}}e:{if(m=c?vn(c):window,d=m.nodeName&&m.nodeName.toLowerCase(),d==="select"||d==="input"&&m.type==="file")var k=Km;else if(Wa(m))if(rd)k=Jm;else{k=Ym;var b=Qm}else(d=m.nodeName)&&d.toLowerCase()==="input"&&(m.type==="checkbox"||m.type==="radio")&&(k=Xm);if(k&&(k=k(e,c))){nd(p,k,n,h);break e}b&&b(e,m,c),e==="focusout"&&(b=m._wrapperState)&&b.controlled&&m.type==="number"&&Eo(m,"number",m.value)}switch(b=c?vn(c):window,e){case"focusin":(Wa(b)||b.contentEditable==="true")&&(mn=b,Fo=c,cr=null);break;case"focusout":cr=Fo=mn=null;break;case"mousedown":$o=!0;break;case"contextmenu":case"mouseup":case"dragend":$o=!1,Ya(p,n,h);break;case"selectionchange":if(eh)break;case"keydown":case"keyup":Ya(p,n,h)}var N;if(Li)e:{switch(e){case"compositionstart":var E="onCompositionStart";break e;case"compositionend":E="onCompositionEnd";break e;case"compositionupdate":E="onCompositionUpdate";break e}E=void 0}else pn?ed(e,n)&&(E="onCompositionEnd"):e==="keydown"&&n.keyCode===229&&(E="onCompositionStart");E&&(qc&&n.locale!=="ko"&&(pn||E!=="onCompositionStart"?E==="onCompositionEnd"&&pn&&(N=Zc()):(jt=h,Ti="value"in jt?jt.value:jt.textContent,pn=!0)),b=Bl(c,E),0<b.length&&(E=new $a(E,e,null,n,h),p.push({event:E,listeners:b}),N?E.data=N:(N=td(n),N!==null&&(E.data=N)))),(N=Vm?Bm(e,n):Wm(e,n))&&(c=Bl(c,"onBeforeInput"),0<c.length&&(h=new $a("onBeforeInput","beforeinput",null,n,h),p.push({event:h,listeners:c}),h.data=N))}pd(p,t)})}function Nr(e,t,n){return{instance:e,listener:t,currentTarget:n}}function Bl(e,t){for(var n=t+"Capture",r=[];e!==null;){var l=e,s=l.stateNode;l.tag===5&&s!==null&&(l=s,s=gr(e,n),s!=null&&r.unshift(Nr(e,s,l)),s=gr(e,t),s!=null&&r.push(Nr(e,s,l))),e=e.return}return r}function ln(e){if(e===null)return null;do e=e.return;while(e&&e.tag!==5);return e||null}function Za(e,t,n,r,l){for(var s=t._reactName,i=[];n!==null&&n!==r;){var a=n,u=a.alternate,c=a.stateNode;if(u!==null&&u===r)break;a.tag===5&&c!==null&&(a=c,l?(u=gr(n,s),u!=null&&i.unshift(Nr(n,u,a))):l||(u=gr(n,s),u!=null&&i.push(Nr(n,u,a)))),n=n.return}i.length!==0&&e.push({event:t,listeners:i})}var lh=/\r\n?/g,sh=/\u0000|\uFFFD/g;function qa(e){return(typeof e=="string"?e:""+e).replace(lh,`
-`).replace(sh,"")}function il(e,t,n){if(t=qa(t),qa(e)!==t&&n)throw Error(C(425))}function Wl(){}var Uo=null,Vo=null;function Bo(e,t){return e==="textarea"||e==="noscript"||typeof t.children=="string"||typeof t.children=="number"||typeof t.dangerouslySetInnerHTML=="object"&&t.dangerouslySetInnerHTML!==null&&t.dangerouslySetInnerHTML.__html!=null}var Wo=typeof setTimeout=="function"?setTimeout:void 0,oh=typeof clearTimeout=="function"?clearTimeout:void 0,eu=typeof Promise=="function"?Promise:void 0,ih=typeof queueMicrotask=="function"?queueMicrotask:typeof eu<"u"?function(e){return eu.resolve(null).then(e).catch(ah)}:Wo;function ah(e){setTimeout(function(){throw e})}function Ys(e,t){var n=t,r=0;do{var l=n.nextSibling;if(e.removeChild(n),l&&l.nodeType===8)if(n=l.data,n==="/$"){if(r===0){e.removeChild(l),wr(t);return}r--}else n!=="$"&&n!=="$?"&&n!=="$!"||r++;n=l}while(n);wr(t)}function Et(e){for(;e!=null;e=e.nextSibling){var t=e.nodeType;if(t===1||t===3)break;if(t===8){if(t=e.data,t==="$"||t==="$!"||t==="$?")break;if(t==="/$")return null}}return e}function tu(e){e=e.previousSibling;for(var t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="$"||n==="$!"||n==="$?"){if(t===0)return e;t--}else n==="/$"&&t++}e=e.previousSibling}return null}var Un=Math.random().toString(36).slice(2),Ge="__reactFiber$"+Un,Cr="__reactProps$"+Un,lt="__reactContainer$"+Un,Ho="__reactEvents$"+Un,uh="__reactListeners$"+Un,ch="__reactHandles$"+Un;function Bt(e){var t=e[Ge];if(t)return t;for(var n=e.parentNode;n;){if(t=n[lt]||n[Ge]){if(n=t.alternate,t.child!==null||n!==null&&n.child!==null)for(e=tu(e);e!==null;){if(n=e[Ge])return n;e=tu(e)}return t}e=n,n=e.parentNode}return null}function Fr(e){return e=e[Ge]||e[lt],!e||e.tag!==5&&e.tag!==6&&e.tag!==13&&e.tag!==3?null:e}function vn(e){if(e.tag===5||e.tag===6)return e.stateNode;throw Error(C(33))}function ps(e){return e[Cr]||null}var Go=[],gn=-1;function Lt(e){return{current:e}}function K(e){0>gn||(e.current=Go[gn],Go[gn]=null,gn--)}function W(e,t){gn++,Go[gn]=e.current,e.current=t}var Rt={},pe=Lt(Rt),Se=Lt(!1),Qt=Rt;function In(e,t){var n=e.type.contextTypes;if(!n)return Rt;var r=e.stateNode;if(r&&r.__reactInternalMemoizedUnmaskedChildContext===t)return r.__reactInternalMemoizedMaskedChildContext;var l={},s;for(s in n)l[s]=t[s];return r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=t,e.__reactInternalMemoizedMaskedChildContext=l),l}function je(e){return e=e.childContextTypes,e!=null}function Hl(){K(Se),K(pe)}function nu(e,t,n){if(pe.current!==Rt)throw Error(C(168));W(pe,t),W(Se,n)}function hd(e,t,n){var r=e.stateNode;if(t=t.childContextTypes,typeof r.getChildContext!="function")return n;r=r.getChildContext();for(var l in r)if(!(l in t))throw Error(C(108,Qp(e)||"Unknown",l));return Z({},n,r)}function Gl(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||Rt,Qt=pe.current,W(pe,e),W(Se,Se.current),!0}function ru(e,t,n){var r=e.stateNode;if(!r)throw Error(C(169));n?(e=hd(e,t,Qt),r.__reactInternalMemoizedMergedChildContext=e,K(Se),K(pe),W(pe,e)):K(Se),W(Se,n)}var qe=null,ms=!1,Xs=!1;function vd(e){qe===null?qe=[e]:qe.push(e)}function dh(e){ms=!0,vd(e)}function Dt(){if(!Xs&&qe!==null){Xs=!0;var e=0,t=U;try{var n=qe;for(U=1;e<n.length;e++){var r=n[e];do r=r(!0);while(r!==null)}qe=null,ms=!1}catch(l){throw qe!==null&&(qe=qe.slice(e+1)),Uc(Mi,Dt),l}finally{U=t,Xs=!1}}return null}var xn=[],yn=0,Kl=null,Ql=0,_e=[],ze=0,Yt=null,et=1,tt="";function Ut(e,t){xn[yn++]=Ql,xn[yn++]=Kl,Kl=e,Ql=t}function gd(e,t,n){_e[ze++]=et,_e[ze++]=tt,_e[ze++]=Yt,Yt=e;var r=et;e=tt;var l=32-$e(r)-1;r&=~(1<<l),n+=1;var s=32-$e(t)+l;if(30<s){var i=l-l%5;s=(r&(1<<i)-1).toString(32),r>>=i,l-=i,et=1<<32-$e(t)+l|n<<l|r,tt=s+e}else et=1<<s|n<<l|r,tt=e}function Ai(e){e.return!==null&&(Ut(e,1),gd(e,1,0))}function Fi(e){for(;e===Kl;)Kl=xn[--yn],xn[yn]=null,Ql=xn[--yn],xn[yn]=null;for(;e===Yt;)Yt=_e[--ze],_e[ze]=null,tt=_e[--ze],_e[ze]=null,et=_e[--ze],_e[ze]=null}var be=null,Ce=null,Q=!1,Fe=null;function xd(e,t){var n=Ie(5,null,null,0);n.elementType="DELETED",n.stateNode=t,n.return=e,t=e.deletions,t===null?(e.deletions=[n],e.flags|=16):t.push(n)}function lu(e,t){switch(e.tag){case 5:var n=e.type;return t=t.nodeType!==1||n.toLowerCase()!==t.nodeName.toLowerCase()?null:t,t!==null?(e.stateNode=t,be=e,Ce=Et(t.firstChild),!0):!1;case 6:return t=e.pendingProps===""||t.nodeType!==3?null:t,t!==null?(e.stateNode=t,be=e,Ce=null,!0):!1;case 13:return t=t.nodeType!==8?null:t,t!==null?(n=Yt!==null?{id:et,overflow:tt}:null,e.memoizedState={dehydrated:t,treeContext:n,retryLane:1073741824},n=Ie(18,null,null,0),n.stateNode=t,n.return=e,e.child=n,be=e,Ce=null,!0):!1;default:return!1}}function Ko(e){return(e.mode&1)!==0&&(e.flags&128)===0}function Qo(e){if(Q){var t=Ce;if(t){var n=t;if(!lu(e,t)){if(Ko(e))throw Error(C(418));t=Et(n.nextSibling);var r=be;t&&lu(e,t)?xd(r,n):(e.flags=e.flags&-4097|2,Q=!1,be=e)}}else{if(Ko(e))throw Error(C(418));e.flags=e.flags&-4097|2,Q=!1,be=e}}}function su(e){for(e=e.return;e!==null&&e.tag!==5&&e.tag!==3&&e.tag!==13;)e=e.return;be=e}function al(e){if(e!==be)return!1;if(!Q)return su(e),Q=!0,!1;var t;if((t=e.tag!==3)&&!(t=e.tag!==5)&&(t=e.type,t=t!=="head"&&t!=="body"&&!Bo(e.type,e.memoizedProps)),t&&(t=Ce)){if(Ko(e))throw yd(),Error(C(418));for(;t;)xd(e,t),t=Et(t.nextSibling)}if(su(e),e.tag===13){if(e=e.memoizedState,e=e!==null?e.dehydrated:null,!e)throw Error(C(317));e:{for(e=e.nextSibling,t=0;e;){if(e.nodeType===8){var n=e.data;if(n==="/$"){if(t===0){Ce=Et(e.nextSibling);break e}t--}else n!=="$"&&n!=="$!"&&n!=="$?"||t++}e=e.nextSibling}Ce=null}}else Ce=be?Et(e.stateNode.nextSibling):null;return!0}function yd(){for(var e=Ce;e;)e=Et(e.nextSibling)}function Tn(){Ce=be=null,Q=!1}function $i(e){Fe===null?Fe=[e]:Fe.push(e)}var fh=ut.ReactCurrentBatchConfig;function Xn(e,t,n){if(e=n.ref,e!==null&&typeof e!="function"&&typeof e!="object"){if(n._owner){if(n=n._owner,n){if(n.tag!==1)throw Error(C(309));var r=n.stateNode}if(!r)throw Error(C(147,e));var l=r,s=""+e;return t!==null&&t.ref!==null&&typeof t.ref=="function"&&t.ref._stringRef===s?t.ref:(t=function(i){var a=l.refs;i===null?delete a[s]:a[s]=i},t._stringRef=s,t)}if(typeof e!="string")throw Error(C(284));if(!n._owner)throw Error(C(290,e))}return e}function ul(e,t){throw e=Object.prototype.toString.call(t),Error(C(31,e==="[object Object]"?"object with keys {"+Object.keys(t).join(", ")+"}":e))}function ou(e){var t=e._init;return t(e._payload)}function wd(e){function t(v,f){if(e){var y=v.deletions;y===null?(v.deletions=[f],v.flags|=16):y.push(f)}}function n(v,f){if(!e)return null;for(;f!==null;)t(v,f),f=f.sibling;return null}function r(v,f){for(v=new Map;f!==null;)f.key!==null?v.set(f.key,f):v.set(f.index,f),f=f.sibling;return v}function l(v,f){return v=zt(v,f),v.index=0,v.sibling=null,v}function s(v,f,y){return v.index=y,e?(y=v.alternate,y!==null?(y=y.index,y<f?(v.flags|=2,f):y):(v.flags|=2,f)):(v.flags|=1048576,f)}function i(v){return e&&v.alternate===null&&(v.flags|=2),v}function a(v,f,y,j){return f===null||f.tag!==6?(f=ro(y,v.mode,j),f.return=v,f):(f=l(f,y),f.return=v,f)}function u(v,f,y,j){var k=y.type;return k===fn?h(v,f,y.props.children,j,y.key):f!==null&&(f.elementType===k||typeof k=="object"&&k!==null&&k.$$typeof===xt&&ou(k)===f.type)?(j=l(f,y.props),j.ref=Xn(v,f,y),j.return=v,j):(j=Tl(y.type,y.key,y.props,null,v.mode,j),j.ref=Xn(v,f,y),j.return=v,j)}function c(v,f,y,j){return f===null||f.tag!==4||f.stateNode.containerInfo!==y.containerInfo||f.stateNode.implementation!==y.implementation?(f=lo(y,v.mode,j),f.return=v,f):(f=l(f,y.children||[]),f.return=v,f)}function h(v,f,y,j,k){return f===null||f.tag!==7?(f=Kt(y,v.mode,j,k),f.return=v,f):(f=l(f,y),f.return=v,f)}function p(v,f,y){if(typeof f=="string"&&f!==""||typeof f=="number")return f=ro(""+f,v.mode,y),f.return=v,f;if(typeof f=="object"&&f!==null){switch(f.$$typeof){case Zr:return y=Tl(f.type,f.key,f.props,null,v.mode,y),y.ref=Xn(v,null,f),y.return=v,y;case dn:return f=lo(f,v.mode,y),f.return=v,f;case xt:var j=f._init;return p(v,j(f._payload),y)}if(rr(f)||Hn(f))return f=Kt(f,v.mode,y,null),f.return=v,f;ul(v,f)}return null}function m(v,f,y,j){var k=f!==null?f.key:null;if(typeof y=="string"&&y!==""||typeof y=="number")return k!==null?null:a(v,f,""+y,j);if(typeof y=="object"&&y!==null){switch(y.$$typeof){case Zr:return y.key===k?u(v,f,y,j):null;case dn:return y.key===k?c(v,f,y,j):null;case xt:return k=y._init,m(v,f,k(y._payload),j)}if(rr(y)||Hn(y))return k!==null?null:h(v,f,y,j,null);ul(v,y)}return null}function d(v,f,y,j,k){if(typeof j=="string"&&j!==""||typeof j=="number")return v=v.get(y)||null,a(f,v,""+j,k);if(typeof j=="object"&&j!==null){switch(j.$$typeof){case Zr:return v=v.get(j.key===null?y:j.key)||null,u(f,v,j,k);case dn:return v=v.get(j.key===null?y:j.key)||null,c(f,v,j,k);case xt:var b=j._init;return d(v,f,y,b(j._payload),k)}if(rr(j)||Hn(j))return v=v.get(y)||null,h(f,v,j,k,null);ul(f,j)}return null}function x(v,f,y,j){for(var k=null,b=null,N=f,E=f=0,L=null;N!==null&&E<y.length;E++){N.index>E?(L=N,N=null):L=N.sibling;var P=m(v,N,y[E],j);if(P===null){N===null&&(N=L);break}e&&N&&P.alternate===null&&t(v,N),f=s(P,f,E),b===null?k=P:b.sibling=P,b=P,N=L}if(E===y.length)return n(v,N),Q&&Ut(v,E),k;if(N===null){for(;E<y.length;E++)N=p(v,y[E],j),N!==null&&(f=s(N,f,E),b===null?k=N:b.sibling=N,b=N);return Q&&Ut(v,E),k}for(N=r(v,N);E<y.length;E++)L=d(N,v,E,y[E],j),L!==null&&(e&&L.alternate!==null&&N.delete(L.key===null?E:L.key),f=s(L,f,E),b===null?k=L:b.sibling=L,b=L);return e&&N.forEach(function(B){return t(v,B)}),Q&&Ut(v,E),k}function g(v,f,y,j){var k=Hn(y);if(typeof k!="function")throw Error(C(150));if(y=k.call(y),y==null)throw Error(C(151));for(var b=k=null,N=f,E=f=0,L=null,P=y.next();N!==null&&!P.done;E++,P=y.next()){N.index>E?(L=N,N=null):L=N.sibling;var B=m(v,N,P.value,j);if(B===null){N===null&&(N=L);break}e&&N&&B.alternate===null&&t(v,N),f=s(B,f,E),b===null?k=B:b.sibling=B,b=B,N=L}if(P.done)return n(v,N),Q&&Ut(v,E),k;if(N===null){for(;!P.done;E++,P=y.next())P=p(v,P.value,j),P!==null&&(f=s(P,f,E),b===null?k=P:b.sibling=P,b=P);return Q&&Ut(v,E),k}for(N=r(v,N);!P.done;E++,P=y.next())P=d(N,v,E,P.value,j),P!==null&&(e&&P.alternate!==null&&N.delete(P.key===null?E:P.key),f=s(P,f,E),b===null?k=P:b.sibling=P,b=P);return e&&N.forEach(function(A){return t(v,A)}),Q&&Ut(v,E),k}function S(v,f,y,j){if(typeof y=="object"&&y!==null&&y.type===fn&&y.key===null&&(y=y.props.children),typeof y=="object"&&y!==null){switch(y.$$typeof){case Zr:e:{for(var k=y.key,b=f;b!==null;){if(b.key===k){if(k=y.type,k===fn){if(b.tag===7){n(v,b.sibling),f=l(b,y.props.children),f.return=v,v=f;break e}}else if(b.elementType===k||typeof k=="object"&&k!==null&&k.$$typeof===xt&&ou(k)===b.type){n(v,b.sibling),f=l(b,y.props),f.ref=Xn(v,b,y),f.return=v,v=f;break e}n(v,b);break}else t(v,b);b=b.sibling}y.type===fn?(f=Kt(y.props.children,v.mode,j,y.key),f.return=v,v=f):(j=Tl(y.type,y.key,y.props,null,v.mode,j),j.ref=Xn(v,f,y),j.return=v,v=j)}return i(v);case dn:e:{for(b=y.key;f!==null;){if(f.key===b)if(f.tag===4&&f.stateNode.containerInfo===y.containerInfo&&f.stateNode.implementation===y.implementation){n(v,f.sibling),f=l(f,y.children||[]),f.return=v,v=f;break e}else{n(v,f);break}else t(v,f);f=f.sibling}f=lo(y,v.mode,j),f.return=v,v=f}return i(v);case xt:return b=y._init,S(v,f,b(y._payload),j)}if(rr(y))return x(v,f,y,j);if(Hn(y))return g(v,f,y,j);ul(v,y)}return typeof y=="string"&&y!==""||typeof y=="number"?(y=""+y,f!==null&&f.tag===6?(n(v,f.sibling),f=l(f,y),f.return=v,v=f):(n(v,f),f=ro(y,v.mode,j),f.return=v,v=f),i(v)):n(v,f)}return S}var Rn=wd(!0),Sd=wd(!1),Yl=Lt(null),Xl=null,wn=null,Ui=null;function Vi(){Ui=wn=Xl=null}function Bi(e){var t=Yl.current;K(Yl),e._currentValue=t}function Yo(e,t,n){for(;e!==null;){var r=e.alternate;if((e.childLanes&t)!==t?(e.childLanes|=t,r!==null&&(r.childLanes|=t)):r!==null&&(r.childLanes&t)!==t&&(r.childLanes|=t),e===n)break;e=e.return}}function En(e,t){Xl=e,Ui=wn=null,e=e.dependencies,e!==null&&e.firstContext!==null&&(e.lanes&t&&(we=!0),e.firstContext=null)}function Re(e){var t=e._currentValue;if(Ui!==e)if(e={context:e,memoizedValue:t,next:null},wn===null){if(Xl===null)throw Error(C(308));wn=e,Xl.dependencies={lanes:0,firstContext:e}}else wn=wn.next=e;return t}var Wt=null;function Wi(e){Wt===null?Wt=[e]:Wt.push(e)}function jd(e,t,n,r){var l=t.interleaved;return l===null?(n.next=n,Wi(t)):(n.next=l.next,l.next=n),t.interleaved=n,st(e,r)}function st(e,t){e.lanes|=t;var n=e.alternate;for(n!==null&&(n.lanes|=t),n=e,e=e.return;e!==null;)e.childLanes|=t,n=e.alternate,n!==null&&(n.childLanes|=t),n=e,e=e.return;return n.tag===3?n.stateNode:null}var yt=!1;function Hi(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function kd(e,t){e=e.updateQueue,t.updateQueue===e&&(t.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function nt(e,t){return{eventTime:e,lane:t,tag:0,payload:null,callback:null,next:null}}function Pt(e,t,n){var r=e.updateQueue;if(r===null)return null;if(r=r.shared,F&2){var l=r.pending;return l===null?t.next=t:(t.next=l.next,l.next=t),r.pending=t,st(e,n)}return l=r.interleaved,l===null?(t.next=t,Wi(r)):(t.next=l.next,l.next=t),r.interleaved=t,st(e,n)}function El(e,t,n){if(t=t.updateQueue,t!==null&&(t=t.shared,(n&4194240)!==0)){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,_i(e,n)}}function iu(e,t){var n=e.updateQueue,r=e.alternate;if(r!==null&&(r=r.updateQueue,n===r)){var l=null,s=null;if(n=n.firstBaseUpdate,n!==null){do{var i={eventTime:n.eventTime,lane:n.lane,tag:n.tag,payload:n.payload,callback:n.callback,next:null};s===null?l=s=i:s=s.next=i,n=n.next}while(n!==null);s===null?l=s=t:s=s.next=t}else l=s=t;n={baseState:r.baseState,firstBaseUpdate:l,lastBaseUpdate:s,shared:r.shared,effects:r.effects},e.updateQueue=n;return}e=n.lastBaseUpdate,e===null?n.firstBaseUpdate=t:e.next=t,n.lastBaseUpdate=t}function Jl(e,t,n,r){var l=e.updateQueue;yt=!1;var s=l.firstBaseUpdate,i=l.lastBaseUpdate,a=l.shared.pending;if(a!==null){l.shared.pending=null;var u=a,c=u.next;u.next=null,i===null?s=c:i.next=c,i=u;var h=e.alternate;h!==null&&(h=h.updateQueue,a=h.lastBaseUpdate,a!==i&&(a===null?h.firstBaseUpdate=c:a.next=c,h.lastBaseUpdate=u))}if(s!==null){var p=l.baseState;i=0,h=c=u=null,a=s;do{var m=a.lane,d=a.eventTime;if((r&m)===m){h!==null&&(h=h.next={eventTime:d,lane:0,tag:a.tag,payload:a.payload,callback:a.callback,next:null});e:{var x=e,g=a;switch(m=t,d=n,g.tag){case 1:if(x=g.payload,typeof x=="function"){p=x.call(d,p,m);break e}p=x;break e;case 3:x.flags=x.flags&-65537|128;case 0:if(x=g.payload,m=typeof x=="function"?x.call(d,p,m):x,m==null)break e;p=Z({},p,m);break e;case 2:yt=!0}}a.callback!==null&&a.lane!==0&&(e.flags|=64,m=l.effects,m===null?l.effects=[a]:m.push(a))}else d={eventTime:d,lane:m,tag:a.tag,payload:a.payload,callback:a.callback,next:null},h===null?(c=h=d,u=p):h=h.next=d,i|=m;if(a=a.next,a===null){if(a=l.shared.pending,a===null)break;m=a,a=m.next,m.next=null,l.lastBaseUpdate=m,l.shared.pending=null}}while(!0);if(h===null&&(u=p),l.baseState=u,l.firstBaseUpdate=c,l.lastBaseUpdate=h,t=l.shared.interleaved,t!==null){l=t;do i|=l.lane,l=l.next;while(l!==t)}else s===null&&(l.shared.lanes=0);Jt|=i,e.lanes=i,e.memoizedState=p}}function au(e,t,n){if(e=t.effects,t.effects=null,e!==null)for(t=0;t<e.length;t++){var r=e[t],l=r.callback;if(l!==null){if(r.callback=null,r=n,typeof l!="function")throw Error(C(191,l));l.call(r)}}}var $r={},Ye=Lt($r),br=Lt($r),Er=Lt($r);function Ht(e){if(e===$r)throw Error(C(174));return e}function Gi(e,t){switch(W(Er,t),W(br,e),W(Ye,$r),e=t.nodeType,e){case 9:case 11:t=(t=t.documentElement)?t.namespaceURI:Mo(null,"");break;default:e=e===8?t.parentNode:t,t=e.namespaceURI||null,e=e.tagName,t=Mo(t,e)}K(Ye),W(Ye,t)}function On(){K(Ye),K(br),K(Er)}function Nd(e){Ht(Er.current);var t=Ht(Ye.current),n=Mo(t,e.type);t!==n&&(W(br,e),W(Ye,n))}function Ki(e){br.current===e&&(K(Ye),K(br))}var Y=Lt(0);function Zl(e){for(var t=e;t!==null;){if(t.tag===13){var n=t.memoizedState;if(n!==null&&(n=n.dehydrated,n===null||n.data==="$?"||n.data==="$!"))return t}else if(t.tag===19&&t.memoizedProps.revealOrder!==void 0){if(t.flags&128)return t}else if(t.child!==null){t.child.return=t,t=t.child;continue}if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return null;t=t.return}t.sibling.return=t.return,t=t.sibling}return null}var Js=[];function Qi(){for(var e=0;e<Js.length;e++)Js[e]._workInProgressVersionPrimary=null;Js.length=0}var Pl=ut.ReactCurrentDispatcher,Zs=ut.ReactCurrentBatchConfig,Xt=0,X=null,ne=null,se=null,ql=!1,dr=!1,Pr=0,ph=0;function ce(){throw Error(C(321))}function Yi(e,t){if(t===null)return!1;for(var n=0;n<t.length&&n<e.length;n++)if(!Ve(e[n],t[n]))return!1;return!0}function Xi(e,t,n,r,l,s){if(Xt=s,X=t,t.memoizedState=null,t.updateQueue=null,t.lanes=0,Pl.current=e===null||e.memoizedState===null?gh:xh,e=n(r,l),dr){s=0;do{if(dr=!1,Pr=0,25<=s)throw Error(C(301));s+=1,se=ne=null,t.updateQueue=null,Pl.current=yh,e=n(r,l)}while(dr)}if(Pl.current=es,t=ne!==null&&ne.next!==null,Xt=0,se=ne=X=null,ql=!1,t)throw Error(C(300));return e}function Ji(){var e=Pr!==0;return Pr=0,e}function He(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return se===null?X.memoizedState=se=e:se=se.next=e,se}function Oe(){if(ne===null){var e=X.alternate;e=e!==null?e.memoizedState:null}else e=ne.next;var t=se===null?X.memoizedState:se.next;if(t!==null)se=t,ne=e;else{if(e===null)throw Error(C(310));ne=e,e={memoizedState:ne.memoizedState,baseState:ne.baseState,baseQueue:ne.baseQueue,queue:ne.queue,next:null},se===null?X.memoizedState=se=e:se=se.next=e}return se}function Mr(e,t){return typeof t=="function"?t(e):t}function qs(e){var t=Oe(),n=t.queue;if(n===null)throw Error(C(311));n.lastRenderedReducer=e;var r=ne,l=r.baseQueue,s=n.pending;if(s!==null){if(l!==null){var i=l.next;l.next=s.next,s.next=i}r.baseQueue=l=s,n.pending=null}if(l!==null){s=l.next,r=r.baseState;var a=i=null,u=null,c=s;do{var h=c.lane;if((Xt&h)===h)u!==null&&(u=u.next={lane:0,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null}),r=c.hasEagerState?c.eagerState:e(r,c.action);else{var p={lane:h,action:c.action,hasEagerState:c.hasEagerState,eagerState:c.eagerState,next:null};u===null?(a=u=p,i=r):u=u.next=p,X.lanes|=h,Jt|=h}c=c.next}while(c!==null&&c!==s);u===null?i=r:u.next=a,Ve(r,t.memoizedState)||(we=!0),t.memoizedState=r,t.baseState=i,t.baseQueue=u,n.lastRenderedState=r}if(e=n.interleaved,e!==null){l=e;do s=l.lane,X.lanes|=s,Jt|=s,l=l.next;while(l!==e)}else l===null&&(n.lanes=0);return[t.memoizedState,n.dispatch]}function eo(e){var t=Oe(),n=t.queue;if(n===null)throw Error(C(311));n.lastRenderedReducer=e;var r=n.dispatch,l=n.pending,s=t.memoizedState;if(l!==null){n.pending=null;var i=l=l.next;do s=e(s,i.action),i=i.next;while(i!==l);Ve(s,t.memoizedState)||(we=!0),t.memoizedState=s,t.baseQueue===null&&(t.baseState=s),n.lastRenderedState=s}return[s,r]}function Cd(){}function bd(e,t){var n=X,r=Oe(),l=t(),s=!Ve(r.memoizedState,l);if(s&&(r.memoizedState=l,we=!0),r=r.queue,Zi(Md.bind(null,n,r,e),[e]),r.getSnapshot!==t||s||se!==null&&se.memoizedState.tag&1){if(n.flags|=2048,_r(9,Pd.bind(null,n,r,l,t),void 0,null),oe===null)throw Error(C(349));Xt&30||Ed(n,t,l)}return l}function Ed(e,t,n){e.flags|=16384,e={getSnapshot:t,value:n},t=X.updateQueue,t===null?(t={lastEffect:null,stores:null},X.updateQueue=t,t.stores=[e]):(n=t.stores,n===null?t.stores=[e]:n.push(e))}function Pd(e,t,n,r){t.value=n,t.getSnapshot=r,_d(t)&&zd(e)}function Md(e,t,n){return n(function(){_d(t)&&zd(e)})}function _d(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!Ve(e,n)}catch{return!0}}function zd(e){var t=st(e,1);t!==null&&Ue(t,e,1,-1)}function uu(e){var t=He();return typeof e=="function"&&(e=e()),t.memoizedState=t.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:Mr,lastRenderedState:e},t.queue=e,e=e.dispatch=vh.bind(null,X,e),[t.memoizedState,e]}function _r(e,t,n,r){return e={tag:e,create:t,destroy:n,deps:r,next:null},t=X.updateQueue,t===null?(t={lastEffect:null,stores:null},X.updateQueue=t,t.lastEffect=e.next=e):(n=t.lastEffect,n===null?t.lastEffect=e.next=e:(r=n.next,n.next=e,e.next=r,t.lastEffect=e)),e}function Id(){return Oe().memoizedState}function Ml(e,t,n,r){var l=He();X.flags|=e,l.memoizedState=_r(1|t,n,void 0,r===void 0?null:r)}function hs(e,t,n,r){var l=Oe();r=r===void 0?null:r;var s=void 0;if(ne!==null){var i=ne.memoizedState;if(s=i.destroy,r!==null&&Yi(r,i.deps)){l.memoizedState=_r(t,n,s,r);return}}X.flags|=e,l.memoizedState=_r(1|t,n,s,r)}function cu(e,t){return Ml(8390656,8,e,t)}function Zi(e,t){return hs(2048,8,e,t)}function Td(e,t){return hs(4,2,e,t)}function Rd(e,t){return hs(4,4,e,t)}function Od(e,t){if(typeof t=="function")return e=e(),t(e),function(){t(null)};if(t!=null)return e=e(),t.current=e,function(){t.current=null}}function Ld(e,t,n){return n=n!=null?n.concat([e]):null,hs(4,4,Od.bind(null,t,e),n)}function qi(){}function Dd(e,t){var n=Oe();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&Yi(t,r[1])?r[0]:(n.memoizedState=[e,t],e)}function Ad(e,t){var n=Oe();t=t===void 0?null:t;var r=n.memoizedState;return r!==null&&t!==null&&Yi(t,r[1])?r[0]:(e=e(),n.memoizedState=[e,t],e)}function Fd(e,t,n){return Xt&21?(Ve(n,t)||(n=Wc(),X.lanes|=n,Jt|=n,e.baseState=!0),t):(e.baseState&&(e.baseState=!1,we=!0),e.memoizedState=n)}function mh(e,t){var n=U;U=n!==0&&4>n?n:4,e(!0);var r=Zs.transition;Zs.transition={};try{e(!1),t()}finally{U=n,Zs.transition=r}}function $d(){return Oe().memoizedState}function hh(e,t,n){var r=_t(e);if(n={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null},Ud(e))Vd(t,n);else if(n=jd(e,t,n,r),n!==null){var l=ve();Ue(n,e,r,l),Bd(n,t,r)}}function vh(e,t,n){var r=_t(e),l={lane:r,action:n,hasEagerState:!1,eagerState:null,next:null};if(Ud(e))Vd(t,l);else{var s=e.alternate;if(e.lanes===0&&(s===null||s.lanes===0)&&(s=t.lastRenderedReducer,s!==null))try{var i=t.lastRenderedState,a=s(i,n);if(l.hasEagerState=!0,l.eagerState=a,Ve(a,i)){var u=t.interleaved;u===null?(l.next=l,Wi(t)):(l.next=u.next,u.next=l),t.interleaved=l;return}}catch{}finally{}n=jd(e,t,l,r),n!==null&&(l=ve(),Ue(n,e,r,l),Bd(n,t,r))}}function Ud(e){var t=e.alternate;return e===X||t!==null&&t===X}function Vd(e,t){dr=ql=!0;var n=e.pending;n===null?t.next=t:(t.next=n.next,n.next=t),e.pending=t}function Bd(e,t,n){if(n&4194240){var r=t.lanes;r&=e.pendingLanes,n|=r,t.lanes=n,_i(e,n)}}var es={readContext:Re,useCallback:ce,useContext:ce,useEffect:ce,useImperativeHandle:ce,useInsertionEffect:ce,useLayoutEffect:ce,useMemo:ce,useReducer:ce,useRef:ce,useState:ce,useDebugValue:ce,useDeferredValue:ce,useTransition:ce,useMutableSource:ce,useSyncExternalStore:ce,useId:ce,unstable_isNewReconciler:!1},gh={readContext:Re,useCallback:function(e,t){return He().memoizedState=[e,t===void 0?null:t],e},useContext:Re,useEffect:cu,useImperativeHandle:function(e,t,n){return n=n!=null?n.concat([e]):null,Ml(4194308,4,Od.bind(null,t,e),n)},useLayoutEffect:function(e,t){return Ml(4194308,4,e,t)},useInsertionEffect:function(e,t){return Ml(4,2,e,t)},useMemo:function(e,t){var n=He();return t=t===void 0?null:t,e=e(),n.memoizedState=[e,t],e},useReducer:function(e,t,n){var r=He();return t=n!==void 0?n(t):t,r.memoizedState=r.baseState=t,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:t},r.queue=e,e=e.dispatch=hh.bind(null,X,e),[r.memoizedState,e]},useRef:function(e){var t=He();return e={current:e},t.memoizedState=e},useState:uu,useDebugValue:qi,useDeferredValue:function(e){return He().memoizedState=e},useTransition:function(){var e=uu(!1),t=e[0];return e=mh.bind(null,e[1]),He().memoizedState=e,[t,e]},useMutableSource:function(){},useSyncExternalStore:function(e,t,n){var r=X,l=He();if(Q){if(n===void 0)throw Error(C(407));n=n()}else{if(n=t(),oe===null)throw Error(C(349));Xt&30||Ed(r,t,n)}l.memoizedState=n;var s={value:n,getSnapshot:t};return l.queue=s,cu(Md.bind(null,r,s,e),[e]),r.flags|=2048,_r(9,Pd.bind(null,r,s,n,t),void 0,null),n},useId:function(){var e=He(),t=oe.identifierPrefix;if(Q){var n=tt,r=et;n=(r&~(1<<32-$e(r)-1)).toString(32)+n,t=":"+t+"R"+n,n=Pr++,0<n&&(t+="H"+n.toString(32)),t+=":"}else n=ph++,t=":"+t+"r"+n.toString(32)+":";return e.memoizedState=t},unstable_isNewReconciler:!1},xh={readContext:Re,useCallback:Dd,useContext:Re,useEffect:Zi,useImperativeHandle:Ld,useInsertionEffect:Td,useLayoutEffect:Rd,useMemo:Ad,useReducer:qs,useRef:Id,useState:function(){return qs(Mr)},useDebugValue:qi,useDeferredValue:function(e){var t=Oe();return Fd(t,ne.memoizedState,e)},useTransition:function(){var e=qs(Mr)[0],t=Oe().memoizedState;return[e,t]},useMutableSource:Cd,useSyncExternalStore:bd,useId:$d,unstable_isNewReconciler:!1},yh={readContext:Re,useCallback:Dd,useContext:Re,useEffect:Zi,useImperativeHandle:Ld,useInsertionEffect:Td,useLayoutEffect:Rd,useMemo:Ad,useReducer:eo,useRef:Id,useState:function(){return eo(Mr)},useDebugValue:qi,useDeferredValue:function(e){var t=Oe();return ne===null?t.memoizedState=e:Fd(t,ne.memoizedState,e)},useTransition:function(){var e=eo(Mr)[0],t=Oe().memoizedState;return[e,t]},useMutableSource:Cd,useSyncExternalStore:bd,useId:$d,unstable_isNewReconciler:!1};function De(e,t){if(e&&e.defaultProps){t=Z({},t),e=e.defaultProps;for(var n in e)t[n]===void 0&&(t[n]=e[n]);return t}return t}function Xo(e,t,n,r){t=e.memoizedState,n=n(r,t),n=n==null?t:Z({},t,n),e.memoizedState=n,e.lanes===0&&(e.updateQueue.baseState=n)}var vs={isMounted:function(e){return(e=e._reactInternals)?tn(e)===e:!1},enqueueSetState:function(e,t,n){e=e._reactInternals;var r=ve(),l=_t(e),s=nt(r,l);s.payload=t,n!=null&&(s.callback=n),t=Pt(e,s,l),t!==null&&(Ue(t,e,l,r),El(t,e,l))},enqueueReplaceState:function(e,t,n){e=e._reactInternals;var r=ve(),l=_t(e),s=nt(r,l);s.tag=1,s.payload=t,n!=null&&(s.callback=n),t=Pt(e,s,l),t!==null&&(Ue(t,e,l,r),El(t,e,l))},enqueueForceUpdate:function(e,t){e=e._reactInternals;var n=ve(),r=_t(e),l=nt(n,r);l.tag=2,t!=null&&(l.callback=t),t=Pt(e,l,r),t!==null&&(Ue(t,e,r,n),El(t,e,r))}};function du(e,t,n,r,l,s,i){return e=e.stateNode,typeof e.shouldComponentUpdate=="function"?e.shouldComponentUpdate(r,s,i):t.prototype&&t.prototype.isPureReactComponent?!jr(n,r)||!jr(l,s):!0}function Wd(e,t,n){var r=!1,l=Rt,s=t.contextType;return typeof s=="object"&&s!==null?s=Re(s):(l=je(t)?Qt:pe.current,r=t.contextTypes,s=(r=r!=null)?In(e,l):Rt),t=new t(n,s),e.memoizedState=t.state!==null&&t.state!==void 0?t.state:null,t.updater=vs,e.stateNode=t,t._reactInternals=e,r&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=l,e.__reactInternalMemoizedMaskedChildContext=s),t}function fu(e,t,n,r){e=t.state,typeof t.componentWillReceiveProps=="function"&&t.componentWillReceiveProps(n,r),typeof t.UNSAFE_componentWillReceiveProps=="function"&&t.UNSAFE_componentWillReceiveProps(n,r),t.state!==e&&vs.enqueueReplaceState(t,t.state,null)}function Jo(e,t,n,r){var l=e.stateNode;l.props=n,l.state=e.memoizedState,l.refs={},Hi(e);var s=t.contextType;typeof s=="object"&&s!==null?l.context=Re(s):(s=je(t)?Qt:pe.current,l.context=In(e,s)),l.state=e.memoizedState,s=t.getDerivedStateFromProps,typeof s=="function"&&(Xo(e,t,s,n),l.state=e.memoizedState),typeof t.getDerivedStateFromProps=="function"||typeof l.getSnapshotBeforeUpdate=="function"||typeof l.UNSAFE_componentWillMount!="function"&&typeof l.componentWillMount!="function"||(t=l.state,typeof l.componentWillMount=="function"&&l.componentWillMount(),typeof l.UNSAFE_componentWillMount=="function"&&l.UNSAFE_componentWillMount(),t!==l.state&&vs.enqueueReplaceState(l,l.state,null),Jl(e,n,l,r),l.state=e.memoizedState),typeof l.componentDidMount=="function"&&(e.flags|=4194308)}function Ln(e,t){try{var n="",r=t;do n+=Kp(r),r=r.return;while(r);var l=n}catch(s){l=`
-Error generating stack: `+s.message+`
-`+s.stack}return{value:e,source:t,stack:l,digest:null}}function to(e,t,n){return{value:e,source:null,stack:n??null,digest:t??null}}function Zo(e,t){try{console.error(t.value)}catch(n){setTimeout(function(){throw n})}}var wh=typeof WeakMap=="function"?WeakMap:Map;function Hd(e,t,n){n=nt(-1,n),n.tag=3,n.payload={element:null};var r=t.value;return n.callback=function(){ns||(ns=!0,ai=r),Zo(e,t)},n}function Gd(e,t,n){n=nt(-1,n),n.tag=3;var r=e.type.getDerivedStateFromError;if(typeof r=="function"){var l=t.value;n.payload=function(){return r(l)},n.callback=function(){Zo(e,t)}}var s=e.stateNode;return s!==null&&typeof s.componentDidCatch=="function"&&(n.callback=function(){Zo(e,t),typeof r!="function"&&(Mt===null?Mt=new Set([this]):Mt.add(this));var i=t.stack;this.componentDidCatch(t.value,{componentStack:i!==null?i:""})}),n}function pu(e,t,n){var r=e.pingCache;if(r===null){r=e.pingCache=new wh;var l=new Set;r.set(t,l)}else l=r.get(t),l===void 0&&(l=new Set,r.set(t,l));l.has(n)||(l.add(n),e=Rh.bind(null,e,t,n),t.then(e,e))}function mu(e){do{var t;if((t=e.tag===13)&&(t=e.memoizedState,t=t!==null?t.dehydrated!==null:!0),t)return e;e=e.return}while(e!==null);return null}function hu(e,t,n,r,l){return e.mode&1?(e.flags|=65536,e.lanes=l,e):(e===t?e.flags|=65536:(e.flags|=128,n.flags|=131072,n.flags&=-52805,n.tag===1&&(n.alternate===null?n.tag=17:(t=nt(-1,1),t.tag=2,Pt(n,t,1))),n.lanes|=1),e)}var Sh=ut.ReactCurrentOwner,we=!1;function he(e,t,n,r){t.child=e===null?Sd(t,null,n,r):Rn(t,e.child,n,r)}function vu(e,t,n,r,l){n=n.render;var s=t.ref;return En(t,l),r=Xi(e,t,n,r,s,l),n=Ji(),e!==null&&!we?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~l,ot(e,t,l)):(Q&&n&&Ai(t),t.flags|=1,he(e,t,r,l),t.child)}function gu(e,t,n,r,l){if(e===null){var s=n.type;return typeof s=="function"&&!ia(s)&&s.defaultProps===void 0&&n.compare===null&&n.defaultProps===void 0?(t.tag=15,t.type=s,Kd(e,t,s,r,l)):(e=Tl(n.type,null,r,t,t.mode,l),e.ref=t.ref,e.return=t,t.child=e)}if(s=e.child,!(e.lanes&l)){var i=s.memoizedProps;if(n=n.compare,n=n!==null?n:jr,n(i,r)&&e.ref===t.ref)return ot(e,t,l)}return t.flags|=1,e=zt(s,r),e.ref=t.ref,e.return=t,t.child=e}function Kd(e,t,n,r,l){if(e!==null){var s=e.memoizedProps;if(jr(s,r)&&e.ref===t.ref)if(we=!1,t.pendingProps=r=s,(e.lanes&l)!==0)e.flags&131072&&(we=!0);else return t.lanes=e.lanes,ot(e,t,l)}return qo(e,t,n,r,l)}function Qd(e,t,n){var r=t.pendingProps,l=r.children,s=e!==null?e.memoizedState:null;if(r.mode==="hidden")if(!(t.mode&1))t.memoizedState={baseLanes:0,cachePool:null,transitions:null},W(jn,Ne),Ne|=n;else{if(!(n&1073741824))return e=s!==null?s.baseLanes|n:n,t.lanes=t.childLanes=1073741824,t.memoizedState={baseLanes:e,cachePool:null,transitions:null},t.updateQueue=null,W(jn,Ne),Ne|=e,null;t.memoizedState={baseLanes:0,cachePool:null,transitions:null},r=s!==null?s.baseLanes:n,W(jn,Ne),Ne|=r}else s!==null?(r=s.baseLanes|n,t.memoizedState=null):r=n,W(jn,Ne),Ne|=r;return he(e,t,l,n),t.child}function Yd(e,t){var n=t.ref;(e===null&&n!==null||e!==null&&e.ref!==n)&&(t.flags|=512,t.flags|=2097152)}function qo(e,t,n,r,l){var s=je(n)?Qt:pe.current;return s=In(t,s),En(t,l),n=Xi(e,t,n,r,s,l),r=Ji(),e!==null&&!we?(t.updateQueue=e.updateQueue,t.flags&=-2053,e.lanes&=~l,ot(e,t,l)):(Q&&r&&Ai(t),t.flags|=1,he(e,t,n,l),t.child)}function xu(e,t,n,r,l){if(je(n)){var s=!0;Gl(t)}else s=!1;if(En(t,l),t.stateNode===null)_l(e,t),Wd(t,n,r),Jo(t,n,r,l),r=!0;else if(e===null){var i=t.stateNode,a=t.memoizedProps;i.props=a;var u=i.context,c=n.contextType;typeof c=="object"&&c!==null?c=Re(c):(c=je(n)?Qt:pe.current,c=In(t,c));var h=n.getDerivedStateFromProps,p=typeof h=="function"||typeof i.getSnapshotBeforeUpdate=="function";p||typeof i.UNSAFE_componentWillReceiveProps!="function"&&typeof i.componentWillReceiveProps!="function"||(a!==r||u!==c)&&fu(t,i,r,c),yt=!1;var m=t.memoizedState;i.state=m,Jl(t,r,i,l),u=t.memoizedState,a!==r||m!==u||Se.current||yt?(typeof h=="function"&&(Xo(t,n,h,r),u=t.memoizedState),(a=yt||du(t,n,a,r,m,u,c))?(p||typeof i.UNSAFE_componentWillMount!="function"&&typeof i.componentWillMount!="function"||(typeof i.componentWillMount=="function"&&i.componentWillMount(),typeof i.UNSAFE_componentWillMount=="function"&&i.UNSAFE_componentWillMount()),typeof i.componentDidMount=="function"&&(t.flags|=4194308)):(typeof i.componentDidMount=="function"&&(t.flags|=4194308),t.memoizedProps=r,t.memoizedState=u),i.props=r,i.state=u,i.context=c,r=a):(typeof i.componentDidMount=="function"&&(t.flags|=4194308),r=!1)}else{i=t.stateNode,kd(e,t),a=t.memoizedProps,c=t.type===t.elementType?a:De(t.type,a),i.props=c,p=t.pendingProps,m=i.context,u=n.contextType,typeof u=="object"&&u!==null?u=Re(u):(u=je(n)?Qt:pe.current,u=In(t,u));var d=n.getDerivedStateFromProps;(h=typeof d=="function"||typeof i.getSnapshotBeforeUpdate=="function")||typeof i.UNSAFE_componentWillReceiveProps!="function"&&typeof i.componentWillReceiveProps!="function"||(a!==p||m!==u)&&fu(t,i,r,u),yt=!1,m=t.memoizedState,i.state=m,Jl(t,r,i,l);var x=t.memoizedState;a!==p||m!==x||Se.current||yt?(typeof d=="function"&&(Xo(t,n,d,r),x=t.memoizedState),(c=yt||du(t,n,c,r,m,x,u)||!1)?(h||typeof i.UNSAFE_componentWillUpdate!="function"&&typeof i.componentWillUpdate!="function"||(typeof i.componentWillUpdate=="function"&&i.componentWillUpdate(r,x,u),typeof i.UNSAFE_componentWillUpdate=="function"&&i.UNSAFE_componentWillUpdate(r,x,u)),typeof i.componentDidUpdate=="function"&&(t.flags|=4),typeof i.getSnapshotBeforeUpdate=="function"&&(t.flags|=1024)):(typeof i.componentDidUpdate!="function"||a===e.memoizedProps&&m===e.memoizedState||(t.flags|=4),typeof i.getSnapshotBeforeUpdate!="function"||a===e.memoizedProps&&m===e.memoizedState||(t.flags|=1024),t.memoizedProps=r,t.memoizedState=x),i.props=r,i.state=x,i.context=u,r=c):(typeof i.componentDidUpdate!="function"||a===e.memoizedProps&&m===e.memoizedState||(t.flags|=4),typeof i.getSnapshotBeforeUpdate!="function"||a===e.memoizedProps&&m===e.memoizedState||(t.flags|=1024),r=!1)}return ei(e,t,n,r,s,l)}function ei(e,t,n,r,l,s){Yd(e,t);var i=(t.flags&128)!==0;if(!r&&!i)return l&&ru(t,n,!1),ot(e,t,s);r=t.stateNode,Sh.current=t;var a=i&&typeof n.getDerivedStateFromError!="function"?null:r.render();return t.flags|=1,e!==null&&i?(t.child=Rn(t,e.child,null,s),t.child=Rn(t,null,a,s)):he(e,t,a,s),t.memoizedState=r.state,l&&ru(t,n,!0),t.child}function Xd(e){var t=e.stateNode;t.pendingContext?nu(e,t.pendingContext,t.pendingContext!==t.context):t.context&&nu(e,t.context,!1),Gi(e,t.containerInfo)}function yu(e,t,n,r,l){return Tn(),$i(l),t.flags|=256,he(e,t,n,r),t.child}var ti={dehydrated:null,treeContext:null,retryLane:0};function ni(e){return{baseLanes:e,cachePool:null,transitions:null}}function Jd(e,t,n){var r=t.pendingProps,l=Y.current,s=!1,i=(t.flags&128)!==0,a;if((a=i)||(a=e!==null&&e.memoizedState===null?!1:(l&2)!==0),a?(s=!0,t.flags&=-129):(e===null||e.memoizedState!==null)&&(l|=1),W(Y,l&1),e===null)return Qo(t),e=t.memoizedState,e!==null&&(e=e.dehydrated,e!==null)?(t.mode&1?e.data==="$!"?t.lanes=8:t.lanes=1073741824:t.lanes=1,null):(i=r.children,e=r.fallback,s?(r=t.mode,s=t.child,i={mode:"hidden",children:i},!(r&1)&&s!==null?(s.childLanes=0,s.pendingProps=i):s=ys(i,r,0,null),e=Kt(e,r,n,null),s.return=t,e.return=t,s.sibling=e,t.child=s,t.child.memoizedState=ni(n),t.memoizedState=ti,e):ea(t,i));if(l=e.memoizedState,l!==null&&(a=l.dehydrated,a!==null))return jh(e,t,i,r,a,l,n);if(s){s=r.fallback,i=t.mode,l=e.child,a=l.sibling;var u={mode:"hidden",children:r.children};return!(i&1)&&t.child!==l?(r=t.child,r.childLanes=0,r.pendingProps=u,t.deletions=null):(r=zt(l,u),r.subtreeFlags=l.subtreeFlags&14680064),a!==null?s=zt(a,s):(s=Kt(s,i,n,null),s.flags|=2),s.return=t,r.return=t,r.sibling=s,t.child=r,r=s,s=t.child,i=e.child.memoizedState,i=i===null?ni(n):{baseLanes:i.baseLanes|n,cachePool:null,transitions:i.transitions},s.memoizedState=i,s.childLanes=e.childLanes&~n,t.memoizedState=ti,r}return s=e.child,e=s.sibling,r=zt(s,{mode:"visible",children:r.children}),!(t.mode&1)&&(r.lanes=n),r.return=t,r.sibling=null,e!==null&&(n=t.deletions,n===null?(t.deletions=[e],t.flags|=16):n.push(e)),t.child=r,t.memoizedState=null,r}function ea(e,t){return t=ys({mode:"visible",children:t},e.mode,0,null),t.return=e,e.child=t}function cl(e,t,n,r){return r!==null&&$i(r),Rn(t,e.child,null,n),e=ea(t,t.pendingProps.children),e.flags|=2,t.memoizedState=null,e}function jh(e,t,n,r,l,s,i){if(n)return t.flags&256?(t.flags&=-257,r=to(Error(C(422))),cl(e,t,i,r)):t.memoizedState!==null?(t.child=e.child,t.flags|=128,null):(s=r.fallback,l=t.mode,r=ys({mode:"visible",children:r.children},l,0,null),s=Kt(s,l,i,null),s.flags|=2,r.return=t,s.return=t,r.sibling=s,t.child=r,t.mode&1&&Rn(t,e.child,null,i),t.child.memoizedState=ni(i),t.memoizedState=ti,s);if(!(t.mode&1))return cl(e,t,i,null);if(l.data==="$!"){if(r=l.nextSibling&&l.nextSibling.dataset,r)var a=r.dgst;return r=a,s=Error(C(419)),r=to(s,r,void 0),cl(e,t,i,r)}if(a=(i&e.childLanes)!==0,we||a){if(r=oe,r!==null){switch(i&-i){case 4:l=2;break;case 16:l=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:l=32;break;case 536870912:l=268435456;break;default:l=0}l=l&(r.suspendedLanes|i)?0:l,l!==0&&l!==s.retryLane&&(s.retryLane=l,st(e,l),Ue(r,e,l,-1))}return oa(),r=to(Error(C(421))),cl(e,t,i,r)}return l.data==="$?"?(t.flags|=128,t.child=e.child,t=Oh.bind(null,e),l._reactRetry=t,null):(e=s.treeContext,Ce=Et(l.nextSibling),be=t,Q=!0,Fe=null,e!==null&&(_e[ze++]=et,_e[ze++]=tt,_e[ze++]=Yt,et=e.id,tt=e.overflow,Yt=t),t=ea(t,r.children),t.flags|=4096,t)}function wu(e,t,n){e.lanes|=t;var r=e.alternate;r!==null&&(r.lanes|=t),Yo(e.return,t,n)}function no(e,t,n,r,l){var s=e.memoizedState;s===null?e.memoizedState={isBackwards:t,rendering:null,renderingStartTime:0,last:r,tail:n,tailMode:l}:(s.isBackwards=t,s.rendering=null,s.renderingStartTime=0,s.last=r,s.tail=n,s.tailMode=l)}function Zd(e,t,n){var r=t.pendingProps,l=r.revealOrder,s=r.tail;if(he(e,t,r.children,n),r=Y.current,r&2)r=r&1|2,t.flags|=128;else{if(e!==null&&e.flags&128)e:for(e=t.child;e!==null;){if(e.tag===13)e.memoizedState!==null&&wu(e,n,t);else if(e.tag===19)wu(e,n,t);else if(e.child!==null){e.child.return=e,e=e.child;continue}if(e===t)break e;for(;e.sibling===null;){if(e.return===null||e.return===t)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}r&=1}if(W(Y,r),!(t.mode&1))t.memoizedState=null;else switch(l){case"forwards":for(n=t.child,l=null;n!==null;)e=n.alternate,e!==null&&Zl(e)===null&&(l=n),n=n.sibling;n=l,n===null?(l=t.child,t.child=null):(l=n.sibling,n.sibling=null),no(t,!1,l,n,s);break;case"backwards":for(n=null,l=t.child,t.child=null;l!==null;){if(e=l.alternate,e!==null&&Zl(e)===null){t.child=l;break}e=l.sibling,l.sibling=n,n=l,l=e}no(t,!0,n,null,s);break;case"together":no(t,!1,null,null,void 0);break;default:t.memoizedState=null}return t.child}function _l(e,t){!(t.mode&1)&&e!==null&&(e.alternate=null,t.alternate=null,t.flags|=2)}function ot(e,t,n){if(e!==null&&(t.dependencies=e.dependencies),Jt|=t.lanes,!(n&t.childLanes))return null;if(e!==null&&t.child!==e.child)throw Error(C(153));if(t.child!==null){for(e=t.child,n=zt(e,e.pendingProps),t.child=n,n.return=t;e.sibling!==null;)e=e.sibling,n=n.sibling=zt(e,e.pendingProps),n.return=t;n.sibling=null}return t.child}function kh(e,t,n){switch(t.tag){case 3:Xd(t),Tn();break;case 5:Nd(t);break;case 1:je(t.type)&&Gl(t);break;case 4:Gi(t,t.stateNode.containerInfo);break;case 10:var r=t.type._context,l=t.memoizedProps.value;W(Yl,r._currentValue),r._currentValue=l;break;case 13:if(r=t.memoizedState,r!==null)return r.dehydrated!==null?(W(Y,Y.current&1),t.flags|=128,null):n&t.child.childLanes?Jd(e,t,n):(W(Y,Y.current&1),e=ot(e,t,n),e!==null?e.sibling:null);W(Y,Y.current&1);break;case 19:if(r=(n&t.childLanes)!==0,e.flags&128){if(r)return Zd(e,t,n);t.flags|=128}if(l=t.memoizedState,l!==null&&(l.rendering=null,l.tail=null,l.lastEffect=null),W(Y,Y.current),r)break;return null;case 22:case 23:return t.lanes=0,Qd(e,t,n)}return ot(e,t,n)}var qd,ri,ef,tf;qd=function(e,t){for(var n=t.child;n!==null;){if(n.tag===5||n.tag===6)e.appendChild(n.stateNode);else if(n.tag!==4&&n.child!==null){n.child.return=n,n=n.child;continue}if(n===t)break;for(;n.sibling===null;){if(n.return===null||n.return===t)return;n=n.return}n.sibling.return=n.return,n=n.sibling}};ri=function(){};ef=function(e,t,n,r){var l=e.memoizedProps;if(l!==r){e=t.stateNode,Ht(Ye.current);var s=null;switch(n){case"input":l=Co(e,l),r=Co(e,r),s=[];break;case"select":l=Z({},l,{value:void 0}),r=Z({},r,{value:void 0}),s=[];break;case"textarea":l=Po(e,l),r=Po(e,r),s=[];break;default:typeof l.onClick!="function"&&typeof r.onClick=="function"&&(e.onclick=Wl)}_o(n,r);var i;n=null;for(c in l)if(!r.hasOwnProperty(c)&&l.hasOwnProperty(c)&&l[c]!=null)if(c==="style"){var a=l[c];for(i in a)a.hasOwnProperty(i)&&(n||(n={}),n[i]="")}else c!=="dangerouslySetInnerHTML"&&c!=="children"&&c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&c!=="autoFocus"&&(hr.hasOwnProperty(c)?s||(s=[]):(s=s||[]).push(c,null));for(c in r){var u=r[c];if(a=l!=null?l[c]:void 0,r.hasOwnProperty(c)&&u!==a&&(u!=null||a!=null))if(c==="style")if(a){for(i in a)!a.hasOwnProperty(i)||u&&u.hasOwnProperty(i)||(n||(n={}),n[i]="");for(i in u)u.hasOwnProperty(i)&&a[i]!==u[i]&&(n||(n={}),n[i]=u[i])}else n||(s||(s=[]),s.push(c,n)),n=u;else c==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,a=a?a.__html:void 0,u!=null&&a!==u&&(s=s||[]).push(c,u)):c==="children"?typeof u!="string"&&typeof u!="number"||(s=s||[]).push(c,""+u):c!=="suppressContentEditableWarning"&&c!=="suppressHydrationWarning"&&(hr.hasOwnProperty(c)?(u!=null&&c==="onScroll"&&G("scroll",e),s||a===u||(s=[])):(s=s||[]).push(c,u))}n&&(s=s||[]).push("style",n);var c=s;(t.updateQueue=c)&&(t.flags|=4)}};tf=function(e,t,n,r){n!==r&&(t.flags|=4)};function Jn(e,t){if(!Q)switch(e.tailMode){case"hidden":t=e.tail;for(var n=null;t!==null;)t.alternate!==null&&(n=t),t=t.sibling;n===null?e.tail=null:n.sibling=null;break;case"collapsed":n=e.tail;for(var r=null;n!==null;)n.alternate!==null&&(r=n),n=n.sibling;r===null?t||e.tail===null?e.tail=null:e.tail.sibling=null:r.sibling=null}}function de(e){var t=e.alternate!==null&&e.alternate.child===e.child,n=0,r=0;if(t)for(var l=e.child;l!==null;)n|=l.lanes|l.childLanes,r|=l.subtreeFlags&14680064,r|=l.flags&14680064,l.return=e,l=l.sibling;else for(l=e.child;l!==null;)n|=l.lanes|l.childLanes,r|=l.subtreeFlags,r|=l.flags,l.return=e,l=l.sibling;return e.subtreeFlags|=r,e.childLanes=n,t}function Nh(e,t,n){var r=t.pendingProps;switch(Fi(t),t.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return de(t),null;case 1:return je(t.type)&&Hl(),de(t),null;case 3:return r=t.stateNode,On(),K(Se),K(pe),Qi(),r.pendingContext&&(r.context=r.pendingContext,r.pendingContext=null),(e===null||e.child===null)&&(al(t)?t.flags|=4:e===null||e.memoizedState.isDehydrated&&!(t.flags&256)||(t.flags|=1024,Fe!==null&&(di(Fe),Fe=null))),ri(e,t),de(t),null;case 5:Ki(t);var l=Ht(Er.current);if(n=t.type,e!==null&&t.stateNode!=null)ef(e,t,n,r,l),e.ref!==t.ref&&(t.flags|=512,t.flags|=2097152);else{if(!r){if(t.stateNode===null)throw Error(C(166));return de(t),null}if(e=Ht(Ye.current),al(t)){r=t.stateNode,n=t.type;var s=t.memoizedProps;switch(r[Ge]=t,r[Cr]=s,e=(t.mode&1)!==0,n){case"dialog":G("cancel",r),G("close",r);break;case"iframe":case"object":case"embed":G("load",r);break;case"video":case"audio":for(l=0;l<sr.length;l++)G(sr[l],r);break;case"source":G("error",r);break;case"img":case"image":case"link":G("error",r),G("load",r);break;case"details":G("toggle",r);break;case"input":Ma(r,s),G("invalid",r);break;case"select":r._wrapperState={wasMultiple:!!s.multiple},G("invalid",r);break;case"textarea":za(r,s),G("invalid",r)}_o(n,s),l=null;for(var i in s)if(s.hasOwnProperty(i)){var a=s[i];i==="children"?typeof a=="string"?r.textContent!==a&&(s.suppressHydrationWarning!==!0&&il(r.textContent,a,e),l=["children",a]):typeof a=="number"&&r.textContent!==""+a&&(s.suppressHydrationWarning!==!0&&il(r.textContent,a,e),l=["children",""+a]):hr.hasOwnProperty(i)&&a!=null&&i==="onScroll"&&G("scroll",r)}switch(n){case"input":qr(r),_a(r,s,!0);break;case"textarea":qr(r),Ia(r);break;case"select":case"option":break;default:typeof s.onClick=="function"&&(r.onclick=Wl)}r=l,t.updateQueue=r,r!==null&&(t.flags|=4)}else{i=l.nodeType===9?l:l.ownerDocument,e==="http://www.w3.org/1999/xhtml"&&(e=Mc(n)),e==="http://www.w3.org/1999/xhtml"?n==="script"?(e=i.createElement("div"),e.innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):typeof r.is=="string"?e=i.createElement(n,{is:r.is}):(e=i.createElement(n),n==="select"&&(i=e,r.multiple?i.multiple=!0:r.size&&(i.size=r.size))):e=i.createElementNS(e,n),e[Ge]=t,e[Cr]=r,qd(e,t,!1,!1),t.stateNode=e;e:{switch(i=zo(n,r),n){case"dialog":G("cancel",e),G("close",e),l=r;break;case"iframe":case"object":case"embed":G("load",e),l=r;break;case"video":case"audio":for(l=0;l<sr.length;l++)G(sr[l],e);l=r;break;case"source":G("error",e),l=r;break;case"img":case"image":case"link":G("error",e),G("load",e),l=r;break;case"details":G("toggle",e),l=r;break;case"input":Ma(e,r),l=Co(e,r),G("invalid",e);break;case"option":l=r;break;case"select":e._wrapperState={wasMultiple:!!r.multiple},l=Z({},r,{value:void 0}),G("invalid",e);break;case"textarea":za(e,r),l=Po(e,r),G("invalid",e);break;default:l=r}_o(n,l),a=l;for(s in a)if(a.hasOwnProperty(s)){var u=a[s];s==="style"?Ic(e,u):s==="dangerouslySetInnerHTML"?(u=u?u.__html:void 0,u!=null&&_c(e,u)):s==="children"?typeof u=="string"?(n!=="textarea"||u!=="")&&vr(e,u):typeof u=="number"&&vr(e,""+u):s!=="suppressContentEditableWarning"&&s!=="suppressHydrationWarning"&&s!=="autoFocus"&&(hr.hasOwnProperty(s)?u!=null&&s==="onScroll"&&G("scroll",e):u!=null&&Ni(e,s,u,i))}switch(n){case"input":qr(e),_a(e,r,!1);break;case"textarea":qr(e),Ia(e);break;case"option":r.value!=null&&e.setAttribute("value",""+Tt(r.value));break;case"select":e.multiple=!!r.multiple,s=r.value,s!=null?kn(e,!!r.multiple,s,!1):r.defaultValue!=null&&kn(e,!!r.multiple,r.defaultValue,!0);break;default:typeof l.onClick=="function"&&(e.onclick=Wl)}switch(n){case"button":case"input":case"select":case"textarea":r=!!r.autoFocus;break e;case"img":r=!0;break e;default:r=!1}}r&&(t.flags|=4)}t.ref!==null&&(t.flags|=512,t.flags|=2097152)}return de(t),null;case 6:if(e&&t.stateNode!=null)tf(e,t,e.memoizedProps,r);else{if(typeof r!="string"&&t.stateNode===null)throw Error(C(166));if(n=Ht(Er.current),Ht(Ye.current),al(t)){if(r=t.stateNode,n=t.memoizedProps,r[Ge]=t,(s=r.nodeValue!==n)&&(e=be,e!==null))switch(e.tag){case 3:il(r.nodeValue,n,(e.mode&1)!==0);break;case 5:e.memoizedProps.suppressHydrationWarning!==!0&&il(r.nodeValue,n,(e.mode&1)!==0)}s&&(t.flags|=4)}else r=(n.nodeType===9?n:n.ownerDocument).createTextNode(r),r[Ge]=t,t.stateNode=r}return de(t),null;case 13:if(K(Y),r=t.memoizedState,e===null||e.memoizedState!==null&&e.memoizedState.dehydrated!==null){if(Q&&Ce!==null&&t.mode&1&&!(t.flags&128))yd(),Tn(),t.flags|=98560,s=!1;else if(s=al(t),r!==null&&r.dehydrated!==null){if(e===null){if(!s)throw Error(C(318));if(s=t.memoizedState,s=s!==null?s.dehydrated:null,!s)throw Error(C(317));s[Ge]=t}else Tn(),!(t.flags&128)&&(t.memoizedState=null),t.flags|=4;de(t),s=!1}else Fe!==null&&(di(Fe),Fe=null),s=!0;if(!s)return t.flags&65536?t:null}return t.flags&128?(t.lanes=n,t):(r=r!==null,r!==(e!==null&&e.memoizedState!==null)&&r&&(t.child.flags|=8192,t.mode&1&&(e===null||Y.current&1?re===0&&(re=3):oa())),t.updateQueue!==null&&(t.flags|=4),de(t),null);case 4:return On(),ri(e,t),e===null&&kr(t.stateNode.containerInfo),de(t),null;case 10:return Bi(t.type._context),de(t),null;case 17:return je(t.type)&&Hl(),de(t),null;case 19:if(K(Y),s=t.memoizedState,s===null)return de(t),null;if(r=(t.flags&128)!==0,i=s.rendering,i===null)if(r)Jn(s,!1);else{if(re!==0||e!==null&&e.flags&128)for(e=t.child;e!==null;){if(i=Zl(e),i!==null){for(t.flags|=128,Jn(s,!1),r=i.updateQueue,r!==null&&(t.updateQueue=r,t.flags|=4),t.subtreeFlags=0,r=n,n=t.child;n!==null;)s=n,e=r,s.flags&=14680066,i=s.alternate,i===null?(s.childLanes=0,s.lanes=e,s.child=null,s.subtreeFlags=0,s.memoizedProps=null,s.memoizedState=null,s.updateQueue=null,s.dependencies=null,s.stateNode=null):(s.childLanes=i.childLanes,s.lanes=i.lanes,s.child=i.child,s.subtreeFlags=0,s.deletions=null,s.memoizedProps=i.memoizedProps,s.memoizedState=i.memoizedState,s.updateQueue=i.updateQueue,s.type=i.type,e=i.dependencies,s.dependencies=e===null?null:{lanes:e.lanes,firstContext:e.firstContext}),n=n.sibling;return W(Y,Y.current&1|2),t.child}e=e.sibling}s.tail!==null&&ee()>Dn&&(t.flags|=128,r=!0,Jn(s,!1),t.lanes=4194304)}else{if(!r)if(e=Zl(i),e!==null){if(t.flags|=128,r=!0,n=e.updateQueue,n!==null&&(t.updateQueue=n,t.flags|=4),Jn(s,!0),s.tail===null&&s.tailMode==="hidden"&&!i.alternate&&!Q)return de(t),null}else 2*ee()-s.renderingStartTime>Dn&&n!==1073741824&&(t.flags|=128,r=!0,Jn(s,!1),t.lanes=4194304);s.isBackwards?(i.sibling=t.child,t.child=i):(n=s.last,n!==null?n.sibling=i:t.child=i,s.last=i)}return s.tail!==null?(t=s.tail,s.rendering=t,s.tail=t.sibling,s.renderingStartTime=ee(),t.sibling=null,n=Y.current,W(Y,r?n&1|2:n&1),t):(de(t),null);case 22:case 23:return sa(),r=t.memoizedState!==null,e!==null&&e.memoizedState!==null!==r&&(t.flags|=8192),r&&t.mode&1?Ne&1073741824&&(de(t),t.subtreeFlags&6&&(t.flags|=8192)):de(t),null;case 24:return null;case 25:return null}throw Error(C(156,t.tag))}function Ch(e,t){switch(Fi(t),t.tag){case 1:return je(t.type)&&Hl(),e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 3:return On(),K(Se),K(pe),Qi(),e=t.flags,e&65536&&!(e&128)?(t.flags=e&-65537|128,t):null;case 5:return Ki(t),null;case 13:if(K(Y),e=t.memoizedState,e!==null&&e.dehydrated!==null){if(t.alternate===null)throw Error(C(340));Tn()}return e=t.flags,e&65536?(t.flags=e&-65537|128,t):null;case 19:return K(Y),null;case 4:return On(),null;case 10:return Bi(t.type._context),null;case 22:case 23:return sa(),null;case 24:return null;default:return null}}var dl=!1,fe=!1,bh=typeof WeakSet=="function"?WeakSet:Set,_=null;function Sn(e,t){var n=e.ref;if(n!==null)if(typeof n=="function")try{n(null)}catch(r){q(e,t,r)}else n.current=null}function li(e,t,n){try{n()}catch(r){q(e,t,r)}}var Su=!1;function Eh(e,t){if(Uo=Ul,e=od(),Di(e)){if("selectionStart"in e)var n={start:e.selectionStart,end:e.selectionEnd};else e:{n=(n=e.ownerDocument)&&n.defaultView||window;var r=n.getSelection&&n.getSelection();if(r&&r.rangeCount!==0){n=r.anchorNode;var l=r.anchorOffset,s=r.focusNode;r=r.focusOffset;try{n.nodeType,s.nodeType}catch{n=null;break e}var i=0,a=-1,u=-1,c=0,h=0,p=e,m=null;t:for(;;){for(var d;p!==n||l!==0&&p.nodeType!==3||(a=i+l),p!==s||r!==0&&p.nodeType!==3||(u=i+r),p.nodeType===3&&(i+=p.nodeValue.length),(d=p.firstChild)!==null;)m=p,p=d;for(;;){if(p===e)break t;if(m===n&&++c===l&&(a=i),m===s&&++h===r&&(u=i),(d=p.nextSibling)!==null)break;p=m,m=p.parentNode}p=d}n=a===-1||u===-1?null:{start:a,end:u}}else n=null}n=n||{start:0,end:0}}else n=null;for(Vo={focusedElem:e,selectionRange:n},Ul=!1,_=t;_!==null;)if(t=_,e=t.child,(t.subtreeFlags&1028)!==0&&e!==null)e.return=t,_=e;else for(;_!==null;){t=_;try{var x=t.alternate;if(t.flags&1024)switch(t.tag){case 0:case 11:case 15:break;case 1:if(x!==null){var g=x.memoizedProps,S=x.memoizedState,v=t.stateNode,f=v.getSnapshotBeforeUpdate(t.elementType===t.type?g:De(t.type,g),S);v.__reactInternalSnapshotBeforeUpdate=f}break;case 3:var y=t.stateNode.containerInfo;y.nodeType===1?y.textContent="":y.nodeType===9&&y.documentElement&&y.removeChild(y.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(C(163))}}catch(j){q(t,t.return,j)}if(e=t.sibling,e!==null){e.return=t.return,_=e;break}_=t.return}return x=Su,Su=!1,x}function fr(e,t,n){var r=t.updateQueue;if(r=r!==null?r.lastEffect:null,r!==null){var l=r=r.next;do{if((l.tag&e)===e){var s=l.destroy;l.destroy=void 0,s!==void 0&&li(t,n,s)}l=l.next}while(l!==r)}}function gs(e,t){if(t=t.updateQueue,t=t!==null?t.lastEffect:null,t!==null){var n=t=t.next;do{if((n.tag&e)===e){var r=n.create;n.destroy=r()}n=n.next}while(n!==t)}}function si(e){var t=e.ref;if(t!==null){var n=e.stateNode;switch(e.tag){case 5:e=n;break;default:e=n}typeof t=="function"?t(e):t.current=e}}function nf(e){var t=e.alternate;t!==null&&(e.alternate=null,nf(t)),e.child=null,e.deletions=null,e.sibling=null,e.tag===5&&(t=e.stateNode,t!==null&&(delete t[Ge],delete t[Cr],delete t[Ho],delete t[uh],delete t[ch])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function rf(e){return e.tag===5||e.tag===3||e.tag===4}function ju(e){e:for(;;){for(;e.sibling===null;){if(e.return===null||rf(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;e.tag!==5&&e.tag!==6&&e.tag!==18;){if(e.flags&2||e.child===null||e.tag===4)continue e;e.child.return=e,e=e.child}if(!(e.flags&2))return e.stateNode}}function oi(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.nodeType===8?n.parentNode.insertBefore(e,t):n.insertBefore(e,t):(n.nodeType===8?(t=n.parentNode,t.insertBefore(e,n)):(t=n,t.appendChild(e)),n=n._reactRootContainer,n!=null||t.onclick!==null||(t.onclick=Wl));else if(r!==4&&(e=e.child,e!==null))for(oi(e,t,n),e=e.sibling;e!==null;)oi(e,t,n),e=e.sibling}function ii(e,t,n){var r=e.tag;if(r===5||r===6)e=e.stateNode,t?n.insertBefore(e,t):n.appendChild(e);else if(r!==4&&(e=e.child,e!==null))for(ii(e,t,n),e=e.sibling;e!==null;)ii(e,t,n),e=e.sibling}var ie=null,Ae=!1;function mt(e,t,n){for(n=n.child;n!==null;)lf(e,t,n),n=n.sibling}function lf(e,t,n){if(Qe&&typeof Qe.onCommitFiberUnmount=="function")try{Qe.onCommitFiberUnmount(us,n)}catch{}switch(n.tag){case 5:fe||Sn(n,t);case 6:var r=ie,l=Ae;ie=null,mt(e,t,n),ie=r,Ae=l,ie!==null&&(Ae?(e=ie,n=n.stateNode,e.nodeType===8?e.parentNode.removeChild(n):e.removeChild(n)):ie.removeChild(n.stateNode));break;case 18:ie!==null&&(Ae?(e=ie,n=n.stateNode,e.nodeType===8?Ys(e.parentNode,n):e.nodeType===1&&Ys(e,n),wr(e)):Ys(ie,n.stateNode));break;case 4:r=ie,l=Ae,ie=n.stateNode.containerInfo,Ae=!0,mt(e,t,n),ie=r,Ae=l;break;case 0:case 11:case 14:case 15:if(!fe&&(r=n.updateQueue,r!==null&&(r=r.lastEffect,r!==null))){l=r=r.next;do{var s=l,i=s.destroy;s=s.tag,i!==void 0&&(s&2||s&4)&&li(n,t,i),l=l.next}while(l!==r)}mt(e,t,n);break;case 1:if(!fe&&(Sn(n,t),r=n.stateNode,typeof r.componentWillUnmount=="function"))try{r.props=n.memoizedProps,r.state=n.memoizedState,r.componentWillUnmount()}catch(a){q(n,t,a)}mt(e,t,n);break;case 21:mt(e,t,n);break;case 22:n.mode&1?(fe=(r=fe)||n.memoizedState!==null,mt(e,t,n),fe=r):mt(e,t,n);break;default:mt(e,t,n)}}function ku(e){var t=e.updateQueue;if(t!==null){e.updateQueue=null;var n=e.stateNode;n===null&&(n=e.stateNode=new bh),t.forEach(function(r){var l=Lh.bind(null,e,r);n.has(r)||(n.add(r),r.then(l,l))})}}function Le(e,t){var n=t.deletions;if(n!==null)for(var r=0;r<n.length;r++){var l=n[r];try{var s=e,i=t,a=i;e:for(;a!==null;){switch(a.tag){case 5:ie=a.stateNode,Ae=!1;break e;case 3:ie=a.stateNode.containerInfo,Ae=!0;break e;case 4:ie=a.stateNode.containerInfo,Ae=!0;break e}a=a.return}if(ie===null)throw Error(C(160));lf(s,i,l),ie=null,Ae=!1;var u=l.alternate;u!==null&&(u.return=null),l.return=null}catch(c){q(l,t,c)}}if(t.subtreeFlags&12854)for(t=t.child;t!==null;)sf(t,e),t=t.sibling}function sf(e,t){var n=e.alternate,r=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(Le(t,e),We(e),r&4){try{fr(3,e,e.return),gs(3,e)}catch(g){q(e,e.return,g)}try{fr(5,e,e.return)}catch(g){q(e,e.return,g)}}break;case 1:Le(t,e),We(e),r&512&&n!==null&&Sn(n,n.return);break;case 5:if(Le(t,e),We(e),r&512&&n!==null&&Sn(n,n.return),e.flags&32){var l=e.stateNode;try{vr(l,"")}catch(g){q(e,e.return,g)}}if(r&4&&(l=e.stateNode,l!=null)){var s=e.memoizedProps,i=n!==null?n.memoizedProps:s,a=e.type,u=e.updateQueue;if(e.updateQueue=null,u!==null)try{a==="input"&&s.type==="radio"&&s.name!=null&&Ec(l,s),zo(a,i);var c=zo(a,s);for(i=0;i<u.length;i+=2){var h=u[i],p=u[i+1];h==="style"?Ic(l,p):h==="dangerouslySetInnerHTML"?_c(l,p):h==="children"?vr(l,p):Ni(l,h,p,c)}switch(a){case"input":bo(l,s);break;case"textarea":Pc(l,s);break;case"select":var m=l._wrapperState.wasMultiple;l._wrapperState.wasMultiple=!!s.multiple;var d=s.value;d!=null?kn(l,!!s.multiple,d,!1):m!==!!s.multiple&&(s.defaultValue!=null?kn(l,!!s.multiple,s.defaultValue,!0):kn(l,!!s.multiple,s.multiple?[]:"",!1))}l[Cr]=s}catch(g){q(e,e.return,g)}}break;case 6:if(Le(t,e),We(e),r&4){if(e.stateNode===null)throw Error(C(162));l=e.stateNode,s=e.memoizedProps;try{l.nodeValue=s}catch(g){q(e,e.return,g)}}break;case 3:if(Le(t,e),We(e),r&4&&n!==null&&n.memoizedState.isDehydrated)try{wr(t.containerInfo)}catch(g){q(e,e.return,g)}break;case 4:Le(t,e),We(e);break;case 13:Le(t,e),We(e),l=e.child,l.flags&8192&&(s=l.memoizedState!==null,l.stateNode.isHidden=s,!s||l.alternate!==null&&l.alternate.memoizedState!==null||(ra=ee())),r&4&&ku(e);break;case 22:if(h=n!==null&&n.memoizedState!==null,e.mode&1?(fe=(c=fe)||h,Le(t,e),fe=c):Le(t,e),We(e),r&8192){if(c=e.memoizedState!==null,(e.stateNode.isHidden=c)&&!h&&e.mode&1)for(_=e,h=e.child;h!==null;){for(p=_=h;_!==null;){switch(m=_,d=m.child,m.tag){case 0:case 11:case 14:case 15:fr(4,m,m.return);break;case 1:Sn(m,m.return);var x=m.stateNode;if(typeof x.componentWillUnmount=="function"){r=m,n=m.return;try{t=r,x.props=t.memoizedProps,x.state=t.memoizedState,x.componentWillUnmount()}catch(g){q(r,n,g)}}break;case 5:Sn(m,m.return);break;case 22:if(m.memoizedState!==null){Cu(p);continue}}d!==null?(d.return=m,_=d):Cu(p)}h=h.sibling}e:for(h=null,p=e;;){if(p.tag===5){if(h===null){h=p;try{l=p.stateNode,c?(s=l.style,typeof s.setProperty=="function"?s.setProperty("display","none","important"):s.display="none"):(a=p.stateNode,u=p.memoizedProps.style,i=u!=null&&u.hasOwnProperty("display")?u.display:null,a.style.display=zc("display",i))}catch(g){q(e,e.return,g)}}}else if(p.tag===6){if(h===null)try{p.stateNode.nodeValue=c?"":p.memoizedProps}catch(g){q(e,e.return,g)}}else if((p.tag!==22&&p.tag!==23||p.memoizedState===null||p===e)&&p.child!==null){p.child.return=p,p=p.child;continue}if(p===e)break e;for(;p.sibling===null;){if(p.return===null||p.return===e)break e;h===p&&(h=null),p=p.return}h===p&&(h=null),p.sibling.return=p.return,p=p.sibling}}break;case 19:Le(t,e),We(e),r&4&&ku(e);break;case 21:break;default:Le(t,e),We(e)}}function We(e){var t=e.flags;if(t&2){try{e:{for(var n=e.return;n!==null;){if(rf(n)){var r=n;break e}n=n.return}throw Error(C(160))}switch(r.tag){case 5:var l=r.stateNode;r.flags&32&&(vr(l,""),r.flags&=-33);var s=ju(e);ii(e,s,l);break;case 3:case 4:var i=r.stateNode.containerInfo,a=ju(e);oi(e,a,i);break;default:throw Error(C(161))}}catch(u){q(e,e.return,u)}e.flags&=-3}t&4096&&(e.flags&=-4097)}function Ph(e,t,n){_=e,of(e)}function of(e,t,n){for(var r=(e.mode&1)!==0;_!==null;){var l=_,s=l.child;if(l.tag===22&&r){var i=l.memoizedState!==null||dl;if(!i){var a=l.alternate,u=a!==null&&a.memoizedState!==null||fe;a=dl;var c=fe;if(dl=i,(fe=u)&&!c)for(_=l;_!==null;)i=_,u=i.child,i.tag===22&&i.memoizedState!==null?bu(l):u!==null?(u.return=i,_=u):bu(l);for(;s!==null;)_=s,of(s),s=s.sibling;_=l,dl=a,fe=c}Nu(e)}else l.subtreeFlags&8772&&s!==null?(s.return=l,_=s):Nu(e)}}function Nu(e){for(;_!==null;){var t=_;if(t.flags&8772){var n=t.alternate;try{if(t.flags&8772)switch(t.tag){case 0:case 11:case 15:fe||gs(5,t);break;case 1:var r=t.stateNode;if(t.flags&4&&!fe)if(n===null)r.componentDidMount();else{var l=t.elementType===t.type?n.memoizedProps:De(t.type,n.memoizedProps);r.componentDidUpdate(l,n.memoizedState,r.__reactInternalSnapshotBeforeUpdate)}var s=t.updateQueue;s!==null&&au(t,s,r);break;case 3:var i=t.updateQueue;if(i!==null){if(n=null,t.child!==null)switch(t.child.tag){case 5:n=t.child.stateNode;break;case 1:n=t.child.stateNode}au(t,i,n)}break;case 5:var a=t.stateNode;if(n===null&&t.flags&4){n=a;var u=t.memoizedProps;switch(t.type){case"button":case"input":case"select":case"textarea":u.autoFocus&&n.focus();break;case"img":u.src&&(n.src=u.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(t.memoizedState===null){var c=t.alternate;if(c!==null){var h=c.memoizedState;if(h!==null){var p=h.dehydrated;p!==null&&wr(p)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(C(163))}fe||t.flags&512&&si(t)}catch(m){q(t,t.return,m)}}if(t===e){_=null;break}if(n=t.sibling,n!==null){n.return=t.return,_=n;break}_=t.return}}function Cu(e){for(;_!==null;){var t=_;if(t===e){_=null;break}var n=t.sibling;if(n!==null){n.return=t.return,_=n;break}_=t.return}}function bu(e){for(;_!==null;){var t=_;try{switch(t.tag){case 0:case 11:case 15:var n=t.return;try{gs(4,t)}catch(u){q(t,n,u)}break;case 1:var r=t.stateNode;if(typeof r.componentDidMount=="function"){var l=t.return;try{r.componentDidMount()}catch(u){q(t,l,u)}}var s=t.return;try{si(t)}catch(u){q(t,s,u)}break;case 5:var i=t.return;try{si(t)}catch(u){q(t,i,u)}}}catch(u){q(t,t.return,u)}if(t===e){_=null;break}var a=t.sibling;if(a!==null){a.return=t.return,_=a;break}_=t.return}}var Mh=Math.ceil,ts=ut.ReactCurrentDispatcher,ta=ut.ReactCurrentOwner,Te=ut.ReactCurrentBatchConfig,F=0,oe=null,te=null,ae=0,Ne=0,jn=Lt(0),re=0,zr=null,Jt=0,xs=0,na=0,pr=null,ye=null,ra=0,Dn=1/0,Ze=null,ns=!1,ai=null,Mt=null,fl=!1,kt=null,rs=0,mr=0,ui=null,zl=-1,Il=0;function ve(){return F&6?ee():zl!==-1?zl:zl=ee()}function _t(e){return e.mode&1?F&2&&ae!==0?ae&-ae:fh.transition!==null?(Il===0&&(Il=Wc()),Il):(e=U,e!==0||(e=window.event,e=e===void 0?16:Jc(e.type)),e):1}function Ue(e,t,n,r){if(50<mr)throw mr=0,ui=null,Error(C(185));Dr(e,n,r),(!(F&2)||e!==oe)&&(e===oe&&(!(F&2)&&(xs|=n),re===4&&St(e,ae)),ke(e,r),n===1&&F===0&&!(t.mode&1)&&(Dn=ee()+500,ms&&Dt()))}function ke(e,t){var n=e.callbackNode;fm(e,t);var r=$l(e,e===oe?ae:0);if(r===0)n!==null&&Oa(n),e.callbackNode=null,e.callbackPriority=0;else if(t=r&-r,e.callbackPriority!==t){if(n!=null&&Oa(n),t===1)e.tag===0?dh(Eu.bind(null,e)):vd(Eu.bind(null,e)),ih(function(){!(F&6)&&Dt()}),n=null;else{switch(Hc(r)){case 1:n=Mi;break;case 4:n=Vc;break;case 16:n=Fl;break;case 536870912:n=Bc;break;default:n=Fl}n=hf(n,af.bind(null,e))}e.callbackPriority=t,e.callbackNode=n}}function af(e,t){if(zl=-1,Il=0,F&6)throw Error(C(327));var n=e.callbackNode;if(Pn()&&e.callbackNode!==n)return null;var r=$l(e,e===oe?ae:0);if(r===0)return null;if(r&30||r&e.expiredLanes||t)t=ls(e,r);else{t=r;var l=F;F|=2;var s=cf();(oe!==e||ae!==t)&&(Ze=null,Dn=ee()+500,Gt(e,t));do try{Ih();break}catch(a){uf(e,a)}while(!0);Vi(),ts.current=s,F=l,te!==null?t=0:(oe=null,ae=0,t=re)}if(t!==0){if(t===2&&(l=Lo(e),l!==0&&(r=l,t=ci(e,l))),t===1)throw n=zr,Gt(e,0),St(e,r),ke(e,ee()),n;if(t===6)St(e,r);else{if(l=e.current.alternate,!(r&30)&&!_h(l)&&(t=ls(e,r),t===2&&(s=Lo(e),s!==0&&(r=s,t=ci(e,s))),t===1))throw n=zr,Gt(e,0),St(e,r),ke(e,ee()),n;switch(e.finishedWork=l,e.finishedLanes=r,t){case 0:case 1:throw Error(C(345));case 2:Vt(e,ye,Ze);break;case 3:if(St(e,r),(r&130023424)===r&&(t=ra+500-ee(),10<t)){if($l(e,0)!==0)break;if(l=e.suspendedLanes,(l&r)!==r){ve(),e.pingedLanes|=e.suspendedLanes&l;break}e.timeoutHandle=Wo(Vt.bind(null,e,ye,Ze),t);break}Vt(e,ye,Ze);break;case 4:if(St(e,r),(r&4194240)===r)break;for(t=e.eventTimes,l=-1;0<r;){var i=31-$e(r);s=1<<i,i=t[i],i>l&&(l=i),r&=~s}if(r=l,r=ee()-r,r=(120>r?120:480>r?480:1080>r?1080:1920>r?1920:3e3>r?3e3:4320>r?4320:1960*Mh(r/1960))-r,10<r){e.timeoutHandle=Wo(Vt.bind(null,e,ye,Ze),r);break}Vt(e,ye,Ze);break;case 5:Vt(e,ye,Ze);break;default:throw Error(C(329))}}}return ke(e,ee()),e.callbackNode===n?af.bind(null,e):null}function ci(e,t){var n=pr;return e.current.memoizedState.isDehydrated&&(Gt(e,t).flags|=256),e=ls(e,t),e!==2&&(t=ye,ye=n,t!==null&&di(t)),e}function di(e){ye===null?ye=e:ye.push.apply(ye,e)}function _h(e){for(var t=e;;){if(t.flags&16384){var n=t.updateQueue;if(n!==null&&(n=n.stores,n!==null))for(var r=0;r<n.length;r++){var l=n[r],s=l.getSnapshot;l=l.value;try{if(!Ve(s(),l))return!1}catch{return!1}}}if(n=t.child,t.subtreeFlags&16384&&n!==null)n.return=t,t=n;else{if(t===e)break;for(;t.sibling===null;){if(t.return===null||t.return===e)return!0;t=t.return}t.sibling.return=t.return,t=t.sibling}}return!0}function St(e,t){for(t&=~na,t&=~xs,e.suspendedLanes|=t,e.pingedLanes&=~t,e=e.expirationTimes;0<t;){var n=31-$e(t),r=1<<n;e[n]=-1,t&=~r}}function Eu(e){if(F&6)throw Error(C(327));Pn();var t=$l(e,0);if(!(t&1))return ke(e,ee()),null;var n=ls(e,t);if(e.tag!==0&&n===2){var r=Lo(e);r!==0&&(t=r,n=ci(e,r))}if(n===1)throw n=zr,Gt(e,0),St(e,t),ke(e,ee()),n;if(n===6)throw Error(C(345));return e.finishedWork=e.current.alternate,e.finishedLanes=t,Vt(e,ye,Ze),ke(e,ee()),null}function la(e,t){var n=F;F|=1;try{return e(t)}finally{F=n,F===0&&(Dn=ee()+500,ms&&Dt())}}function Zt(e){kt!==null&&kt.tag===0&&!(F&6)&&Pn();var t=F;F|=1;var n=Te.transition,r=U;try{if(Te.transition=null,U=1,e)return e()}finally{U=r,Te.transition=n,F=t,!(F&6)&&Dt()}}function sa(){Ne=jn.current,K(jn)}function Gt(e,t){e.finishedWork=null,e.finishedLanes=0;var n=e.timeoutHandle;if(n!==-1&&(e.timeoutHandle=-1,oh(n)),te!==null)for(n=te.return;n!==null;){var r=n;switch(Fi(r),r.tag){case 1:r=r.type.childContextTypes,r!=null&&Hl();break;case 3:On(),K(Se),K(pe),Qi();break;case 5:Ki(r);break;case 4:On();break;case 13:K(Y);break;case 19:K(Y);break;case 10:Bi(r.type._context);break;case 22:case 23:sa()}n=n.return}if(oe=e,te=e=zt(e.current,null),ae=Ne=t,re=0,zr=null,na=xs=Jt=0,ye=pr=null,Wt!==null){for(t=0;t<Wt.length;t++)if(n=Wt[t],r=n.interleaved,r!==null){n.interleaved=null;var l=r.next,s=n.pending;if(s!==null){var i=s.next;s.next=l,r.next=i}n.pending=r}Wt=null}return e}function uf(e,t){do{var n=te;try{if(Vi(),Pl.current=es,ql){for(var r=X.memoizedState;r!==null;){var l=r.queue;l!==null&&(l.pending=null),r=r.next}ql=!1}if(Xt=0,se=ne=X=null,dr=!1,Pr=0,ta.current=null,n===null||n.return===null){re=1,zr=t,te=null;break}e:{var s=e,i=n.return,a=n,u=t;if(t=ae,a.flags|=32768,u!==null&&typeof u=="object"&&typeof u.then=="function"){var c=u,h=a,p=h.tag;if(!(h.mode&1)&&(p===0||p===11||p===15)){var m=h.alternate;m?(h.updateQueue=m.updateQueue,h.memoizedState=m.memoizedState,h.lanes=m.lanes):(h.updateQueue=null,h.memoizedState=null)}var d=mu(i);if(d!==null){d.flags&=-257,hu(d,i,a,s,t),d.mode&1&&pu(s,c,t),t=d,u=c;var x=t.updateQueue;if(x===null){var g=new Set;g.add(u),t.updateQueue=g}else x.add(u);break e}else{if(!(t&1)){pu(s,c,t),oa();break e}u=Error(C(426))}}else if(Q&&a.mode&1){var S=mu(i);if(S!==null){!(S.flags&65536)&&(S.flags|=256),hu(S,i,a,s,t),$i(Ln(u,a));break e}}s=u=Ln(u,a),re!==4&&(re=2),pr===null?pr=[s]:pr.push(s),s=i;do{switch(s.tag){case 3:s.flags|=65536,t&=-t,s.lanes|=t;var v=Hd(s,u,t);iu(s,v);break e;case 1:a=u;var f=s.type,y=s.stateNode;if(!(s.flags&128)&&(typeof f.getDerivedStateFromError=="function"||y!==null&&typeof y.componentDidCatch=="function"&&(Mt===null||!Mt.has(y)))){s.flags|=65536,t&=-t,s.lanes|=t;var j=Gd(s,a,t);iu(s,j);break e}}s=s.return}while(s!==null)}ff(n)}catch(k){t=k,te===n&&n!==null&&(te=n=n.return);continue}break}while(!0)}function cf(){var e=ts.current;return ts.current=es,e===null?es:e}function oa(){(re===0||re===3||re===2)&&(re=4),oe===null||!(Jt&268435455)&&!(xs&268435455)||St(oe,ae)}function ls(e,t){var n=F;F|=2;var r=cf();(oe!==e||ae!==t)&&(Ze=null,Gt(e,t));do try{zh();break}catch(l){uf(e,l)}while(!0);if(Vi(),F=n,ts.current=r,te!==null)throw Error(C(261));return oe=null,ae=0,re}function zh(){for(;te!==null;)df(te)}function Ih(){for(;te!==null&&!rm();)df(te)}function df(e){var t=mf(e.alternate,e,Ne);e.memoizedProps=e.pendingProps,t===null?ff(e):te=t,ta.current=null}function ff(e){var t=e;do{var n=t.alternate;if(e=t.return,t.flags&32768){if(n=Ch(n,t),n!==null){n.flags&=32767,te=n;return}if(e!==null)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{re=6,te=null;return}}else if(n=Nh(n,t,Ne),n!==null){te=n;return}if(t=t.sibling,t!==null){te=t;return}te=t=e}while(t!==null);re===0&&(re=5)}function Vt(e,t,n){var r=U,l=Te.transition;try{Te.transition=null,U=1,Th(e,t,n,r)}finally{Te.transition=l,U=r}return null}function Th(e,t,n,r){do Pn();while(kt!==null);if(F&6)throw Error(C(327));n=e.finishedWork;var l=e.finishedLanes;if(n===null)return null;if(e.finishedWork=null,e.finishedLanes=0,n===e.current)throw Error(C(177));e.callbackNode=null,e.callbackPriority=0;var s=n.lanes|n.childLanes;if(pm(e,s),e===oe&&(te=oe=null,ae=0),!(n.subtreeFlags&2064)&&!(n.flags&2064)||fl||(fl=!0,hf(Fl,function(){return Pn(),null})),s=(n.flags&15990)!==0,n.subtreeFlags&15990||s){s=Te.transition,Te.transition=null;var i=U;U=1;var a=F;F|=4,ta.current=null,Eh(e,n),sf(n,e),qm(Vo),Ul=!!Uo,Vo=Uo=null,e.current=n,Ph(n),lm(),F=a,U=i,Te.transition=s}else e.current=n;if(fl&&(fl=!1,kt=e,rs=l),s=e.pendingLanes,s===0&&(Mt=null),im(n.stateNode),ke(e,ee()),t!==null)for(r=e.onRecoverableError,n=0;n<t.length;n++)l=t[n],r(l.value,{componentStack:l.stack,digest:l.digest});if(ns)throw ns=!1,e=ai,ai=null,e;return rs&1&&e.tag!==0&&Pn(),s=e.pendingLanes,s&1?e===ui?mr++:(mr=0,ui=e):mr=0,Dt(),null}function Pn(){if(kt!==null){var e=Hc(rs),t=Te.transition,n=U;try{if(Te.transition=null,U=16>e?16:e,kt===null)var r=!1;else{if(e=kt,kt=null,rs=0,F&6)throw Error(C(331));var l=F;for(F|=4,_=e.current;_!==null;){var s=_,i=s.child;if(_.flags&16){var a=s.deletions;if(a!==null){for(var u=0;u<a.length;u++){var c=a[u];for(_=c;_!==null;){var h=_;switch(h.tag){case 0:case 11:case 15:fr(8,h,s)}var p=h.child;if(p!==null)p.return=h,_=p;else for(;_!==null;){h=_;var m=h.sibling,d=h.return;if(nf(h),h===c){_=null;break}if(m!==null){m.return=d,_=m;break}_=d}}}var x=s.alternate;if(x!==null){var g=x.child;if(g!==null){x.child=null;do{var S=g.sibling;g.sibling=null,g=S}while(g!==null)}}_=s}}if(s.subtreeFlags&2064&&i!==null)i.return=s,_=i;else e:for(;_!==null;){if(s=_,s.flags&2048)switch(s.tag){case 0:case 11:case 15:fr(9,s,s.return)}var v=s.sibling;if(v!==null){v.return=s.return,_=v;break e}_=s.return}}var f=e.current;for(_=f;_!==null;){i=_;var y=i.child;if(i.subtreeFlags&2064&&y!==null)y.return=i,_=y;else e:for(i=f;_!==null;){if(a=_,a.flags&2048)try{switch(a.tag){case 0:case 11:case 15:gs(9,a)}}catch(k){q(a,a.return,k)}if(a===i){_=null;break e}var j=a.sibling;if(j!==null){j.return=a.return,_=j;break e}_=a.return}}if(F=l,Dt(),Qe&&typeof Qe.onPostCommitFiberRoot=="function")try{Qe.onPostCommitFiberRoot(us,e)}catch{}r=!0}return r}finally{U=n,Te.transition=t}}return!1}function Pu(e,t,n){t=Ln(n,t),t=Hd(e,t,1),e=Pt(e,t,1),t=ve(),e!==null&&(Dr(e,1,t),ke(e,t))}function q(e,t,n){if(e.tag===3)Pu(e,e,n);else for(;t!==null;){if(t.tag===3){Pu(t,e,n);break}else if(t.tag===1){var r=t.stateNode;if(typeof t.type.getDerivedStateFromError=="function"||typeof r.componentDidCatch=="function"&&(Mt===null||!Mt.has(r))){e=Ln(n,e),e=Gd(t,e,1),t=Pt(t,e,1),e=ve(),t!==null&&(Dr(t,1,e),ke(t,e));break}}t=t.return}}function Rh(e,t,n){var r=e.pingCache;r!==null&&r.delete(t),t=ve(),e.pingedLanes|=e.suspendedLanes&n,oe===e&&(ae&n)===n&&(re===4||re===3&&(ae&130023424)===ae&&500>ee()-ra?Gt(e,0):na|=n),ke(e,t)}function pf(e,t){t===0&&(e.mode&1?(t=nl,nl<<=1,!(nl&130023424)&&(nl=4194304)):t=1);var n=ve();e=st(e,t),e!==null&&(Dr(e,t,n),ke(e,n))}function Oh(e){var t=e.memoizedState,n=0;t!==null&&(n=t.retryLane),pf(e,n)}function Lh(e,t){var n=0;switch(e.tag){case 13:var r=e.stateNode,l=e.memoizedState;l!==null&&(n=l.retryLane);break;case 19:r=e.stateNode;break;default:throw Error(C(314))}r!==null&&r.delete(t),pf(e,n)}var mf;mf=function(e,t,n){if(e!==null)if(e.memoizedProps!==t.pendingProps||Se.current)we=!0;else{if(!(e.lanes&n)&&!(t.flags&128))return we=!1,kh(e,t,n);we=!!(e.flags&131072)}else we=!1,Q&&t.flags&1048576&&gd(t,Ql,t.index);switch(t.lanes=0,t.tag){case 2:var r=t.type;_l(e,t),e=t.pendingProps;var l=In(t,pe.current);En(t,n),l=Xi(null,t,r,e,l,n);var s=Ji();return t.flags|=1,typeof l=="object"&&l!==null&&typeof l.render=="function"&&l.$$typeof===void 0?(t.tag=1,t.memoizedState=null,t.updateQueue=null,je(r)?(s=!0,Gl(t)):s=!1,t.memoizedState=l.state!==null&&l.state!==void 0?l.state:null,Hi(t),l.updater=vs,t.stateNode=l,l._reactInternals=t,Jo(t,r,e,n),t=ei(null,t,r,!0,s,n)):(t.tag=0,Q&&s&&Ai(t),he(null,t,l,n),t=t.child),t;case 16:r=t.elementType;e:{switch(_l(e,t),e=t.pendingProps,l=r._init,r=l(r._payload),t.type=r,l=t.tag=Ah(r),e=De(r,e),l){case 0:t=qo(null,t,r,e,n);break e;case 1:t=xu(null,t,r,e,n);break e;case 11:t=vu(null,t,r,e,n);break e;case 14:t=gu(null,t,r,De(r.type,e),n);break e}throw Error(C(306,r,""))}return t;case 0:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:De(r,l),qo(e,t,r,l,n);case 1:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:De(r,l),xu(e,t,r,l,n);case 3:e:{if(Xd(t),e===null)throw Error(C(387));r=t.pendingProps,s=t.memoizedState,l=s.element,kd(e,t),Jl(t,r,null,n);var i=t.memoizedState;if(r=i.element,s.isDehydrated)if(s={element:r,isDehydrated:!1,cache:i.cache,pendingSuspenseBoundaries:i.pendingSuspenseBoundaries,transitions:i.transitions},t.updateQueue.baseState=s,t.memoizedState=s,t.flags&256){l=Ln(Error(C(423)),t),t=yu(e,t,r,n,l);break e}else if(r!==l){l=Ln(Error(C(424)),t),t=yu(e,t,r,n,l);break e}else for(Ce=Et(t.stateNode.containerInfo.firstChild),be=t,Q=!0,Fe=null,n=Sd(t,null,r,n),t.child=n;n;)n.flags=n.flags&-3|4096,n=n.sibling;else{if(Tn(),r===l){t=ot(e,t,n);break e}he(e,t,r,n)}t=t.child}return t;case 5:return Nd(t),e===null&&Qo(t),r=t.type,l=t.pendingProps,s=e!==null?e.memoizedProps:null,i=l.children,Bo(r,l)?i=null:s!==null&&Bo(r,s)&&(t.flags|=32),Yd(e,t),he(e,t,i,n),t.child;case 6:return e===null&&Qo(t),null;case 13:return Jd(e,t,n);case 4:return Gi(t,t.stateNode.containerInfo),r=t.pendingProps,e===null?t.child=Rn(t,null,r,n):he(e,t,r,n),t.child;case 11:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:De(r,l),vu(e,t,r,l,n);case 7:return he(e,t,t.pendingProps,n),t.child;case 8:return he(e,t,t.pendingProps.children,n),t.child;case 12:return he(e,t,t.pendingProps.children,n),t.child;case 10:e:{if(r=t.type._context,l=t.pendingProps,s=t.memoizedProps,i=l.value,W(Yl,r._currentValue),r._currentValue=i,s!==null)if(Ve(s.value,i)){if(s.children===l.children&&!Se.current){t=ot(e,t,n);break e}}else for(s=t.child,s!==null&&(s.return=t);s!==null;){var a=s.dependencies;if(a!==null){i=s.child;for(var u=a.firstContext;u!==null;){if(u.context===r){if(s.tag===1){u=nt(-1,n&-n),u.tag=2;var c=s.updateQueue;if(c!==null){c=c.shared;var h=c.pending;h===null?u.next=u:(u.next=h.next,h.next=u),c.pending=u}}s.lanes|=n,u=s.alternate,u!==null&&(u.lanes|=n),Yo(s.return,n,t),a.lanes|=n;break}u=u.next}}else if(s.tag===10)i=s.type===t.type?null:s.child;else if(s.tag===18){if(i=s.return,i===null)throw Error(C(341));i.lanes|=n,a=i.alternate,a!==null&&(a.lanes|=n),Yo(i,n,t),i=s.sibling}else i=s.child;if(i!==null)i.return=s;else for(i=s;i!==null;){if(i===t){i=null;break}if(s=i.sibling,s!==null){s.return=i.return,i=s;break}i=i.return}s=i}he(e,t,l.children,n),t=t.child}return t;case 9:return l=t.type,r=t.pendingProps.children,En(t,n),l=Re(l),r=r(l),t.flags|=1,he(e,t,r,n),t.child;case 14:return r=t.type,l=De(r,t.pendingProps),l=De(r.type,l),gu(e,t,r,l,n);case 15:return Kd(e,t,t.type,t.pendingProps,n);case 17:return r=t.type,l=t.pendingProps,l=t.elementType===r?l:De(r,l),_l(e,t),t.tag=1,je(r)?(e=!0,Gl(t)):e=!1,En(t,n),Wd(t,r,l),Jo(t,r,l,n),ei(null,t,r,!0,e,n);case 19:return Zd(e,t,n);case 22:return Qd(e,t,n)}throw Error(C(156,t.tag))};function hf(e,t){return Uc(e,t)}function Dh(e,t,n,r){this.tag=e,this.key=n,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=t,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=r,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Ie(e,t,n,r){return new Dh(e,t,n,r)}function ia(e){return e=e.prototype,!(!e||!e.isReactComponent)}function Ah(e){if(typeof e=="function")return ia(e)?1:0;if(e!=null){if(e=e.$$typeof,e===bi)return 11;if(e===Ei)return 14}return 2}function zt(e,t){var n=e.alternate;return n===null?(n=Ie(e.tag,t,e.key,e.mode),n.elementType=e.elementType,n.type=e.type,n.stateNode=e.stateNode,n.alternate=e,e.alternate=n):(n.pendingProps=t,n.type=e.type,n.flags=0,n.subtreeFlags=0,n.deletions=null),n.flags=e.flags&14680064,n.childLanes=e.childLanes,n.lanes=e.lanes,n.child=e.child,n.memoizedProps=e.memoizedProps,n.memoizedState=e.memoizedState,n.updateQueue=e.updateQueue,t=e.dependencies,n.dependencies=t===null?null:{lanes:t.lanes,firstContext:t.firstContext},n.sibling=e.sibling,n.index=e.index,n.ref=e.ref,n}function Tl(e,t,n,r,l,s){var i=2;if(r=e,typeof e=="function")ia(e)&&(i=1);else if(typeof e=="string")i=5;else e:switch(e){case fn:return Kt(n.children,l,s,t);case Ci:i=8,l|=8;break;case So:return e=Ie(12,n,t,l|2),e.elementType=So,e.lanes=s,e;case jo:return e=Ie(13,n,t,l),e.elementType=jo,e.lanes=s,e;case ko:return e=Ie(19,n,t,l),e.elementType=ko,e.lanes=s,e;case Nc:return ys(n,l,s,t);default:if(typeof e=="object"&&e!==null)switch(e.$$typeof){case jc:i=10;break e;case kc:i=9;break e;case bi:i=11;break e;case Ei:i=14;break e;case xt:i=16,r=null;break e}throw Error(C(130,e==null?e:typeof e,""))}return t=Ie(i,n,t,l),t.elementType=e,t.type=r,t.lanes=s,t}function Kt(e,t,n,r){return e=Ie(7,e,r,t),e.lanes=n,e}function ys(e,t,n,r){return e=Ie(22,e,r,t),e.elementType=Nc,e.lanes=n,e.stateNode={isHidden:!1},e}function ro(e,t,n){return e=Ie(6,e,null,t),e.lanes=n,e}function lo(e,t,n){return t=Ie(4,e.children!==null?e.children:[],e.key,t),t.lanes=n,t.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},t}function Fh(e,t,n,r,l){this.tag=t,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=As(0),this.expirationTimes=As(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=As(0),this.identifierPrefix=r,this.onRecoverableError=l,this.mutableSourceEagerHydrationData=null}function aa(e,t,n,r,l,s,i,a,u){return e=new Fh(e,t,n,a,u),t===1?(t=1,s===!0&&(t|=8)):t=0,s=Ie(3,null,null,t),e.current=s,s.stateNode=e,s.memoizedState={element:r,isDehydrated:n,cache:null,transitions:null,pendingSuspenseBoundaries:null},Hi(s),e}function $h(e,t,n){var r=3<arguments.length&&arguments[3]!==void 0?arguments[3]:null;return{$$typeof:dn,key:r==null?null:""+r,children:e,containerInfo:t,implementation:n}}function vf(e){if(!e)return Rt;e=e._reactInternals;e:{if(tn(e)!==e||e.tag!==1)throw Error(C(170));var t=e;do{switch(t.tag){case 3:t=t.stateNode.context;break e;case 1:if(je(t.type)){t=t.stateNode.__reactInternalMemoizedMergedChildContext;break e}}t=t.return}while(t!==null);throw Error(C(171))}if(e.tag===1){var n=e.type;if(je(n))return hd(e,n,t)}return t}function gf(e,t,n,r,l,s,i,a,u){return e=aa(n,r,!0,e,l,s,i,a,u),e.context=vf(null),n=e.current,r=ve(),l=_t(n),s=nt(r,l),s.callback=t??null,Pt(n,s,l),e.current.lanes=l,Dr(e,l,r),ke(e,r),e}function ws(e,t,n,r){var l=t.current,s=ve(),i=_t(l);return n=vf(n),t.context===null?t.context=n:t.pendingContext=n,t=nt(s,i),t.payload={element:e},r=r===void 0?null:r,r!==null&&(t.callback=r),e=Pt(l,t,i),e!==null&&(Ue(e,l,i,s),El(e,l,i)),i}function ss(e){if(e=e.current,!e.child)return null;switch(e.child.tag){case 5:return e.child.stateNode;default:return e.child.stateNode}}function Mu(e,t){if(e=e.memoizedState,e!==null&&e.dehydrated!==null){var n=e.retryLane;e.retryLane=n!==0&&n<t?n:t}}function ua(e,t){Mu(e,t),(e=e.alternate)&&Mu(e,t)}function Uh(){return null}var xf=typeof reportError=="function"?reportError:function(e){console.error(e)};function ca(e){this._internalRoot=e}Ss.prototype.render=ca.prototype.render=function(e){var t=this._internalRoot;if(t===null)throw Error(C(409));ws(e,t,null,null)};Ss.prototype.unmount=ca.prototype.unmount=function(){var e=this._internalRoot;if(e!==null){this._internalRoot=null;var t=e.containerInfo;Zt(function(){ws(null,e,null,null)}),t[lt]=null}};function Ss(e){this._internalRoot=e}Ss.prototype.unstable_scheduleHydration=function(e){if(e){var t=Qc();e={blockedOn:null,target:e,priority:t};for(var n=0;n<wt.length&&t!==0&&t<wt[n].priority;n++);wt.splice(n,0,e),n===0&&Xc(e)}};function da(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11)}function js(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11&&(e.nodeType!==8||e.nodeValue!==" react-mount-point-unstable "))}function _u(){}function Vh(e,t,n,r,l){if(l){if(typeof r=="function"){var s=r;r=function(){var c=ss(i);s.call(c)}}var i=gf(t,r,e,0,null,!1,!1,"",_u);return e._reactRootContainer=i,e[lt]=i.current,kr(e.nodeType===8?e.parentNode:e),Zt(),i}for(;l=e.lastChild;)e.removeChild(l);if(typeof r=="function"){var a=r;r=function(){var c=ss(u);a.call(c)}}var u=aa(e,0,!1,null,null,!1,!1,"",_u);return e._reactRootContainer=u,e[lt]=u.current,kr(e.nodeType===8?e.parentNode:e),Zt(function(){ws(t,u,n,r)}),u}function ks(e,t,n,r,l){var s=n._reactRootContainer;if(s){var i=s;if(typeof l=="function"){var a=l;l=function(){var u=ss(i);a.call(u)}}ws(t,i,e,l)}else i=Vh(n,t,e,l,r);return ss(i)}Gc=function(e){switch(e.tag){case 3:var t=e.stateNode;if(t.current.memoizedState.isDehydrated){var n=lr(t.pendingLanes);n!==0&&(_i(t,n|1),ke(t,ee()),!(F&6)&&(Dn=ee()+500,Dt()))}break;case 13:Zt(function(){var r=st(e,1);if(r!==null){var l=ve();Ue(r,e,1,l)}}),ua(e,1)}};zi=function(e){if(e.tag===13){var t=st(e,134217728);if(t!==null){var n=ve();Ue(t,e,134217728,n)}ua(e,134217728)}};Kc=function(e){if(e.tag===13){var t=_t(e),n=st(e,t);if(n!==null){var r=ve();Ue(n,e,t,r)}ua(e,t)}};Qc=function(){return U};Yc=function(e,t){var n=U;try{return U=e,t()}finally{U=n}};To=function(e,t,n){switch(t){case"input":if(bo(e,n),t=n.name,n.type==="radio"&&t!=null){for(n=e;n.parentNode;)n=n.parentNode;for(n=n.querySelectorAll("input[name="+JSON.stringify(""+t)+'][type="radio"]'),t=0;t<n.length;t++){var r=n[t];if(r!==e&&r.form===e.form){var l=ps(r);if(!l)throw Error(C(90));bc(r),bo(r,l)}}}break;case"textarea":Pc(e,n);break;case"select":t=n.value,t!=null&&kn(e,!!n.multiple,t,!1)}};Oc=la;Lc=Zt;var Bh={usingClientEntryPoint:!1,Events:[Fr,vn,ps,Tc,Rc,la]},Zn={findFiberByHostInstance:Bt,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},Wh={bundleType:Zn.bundleType,version:Zn.version,rendererPackageName:Zn.rendererPackageName,rendererConfig:Zn.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:ut.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return e=Fc(e),e===null?null:e.stateNode},findFiberByHostInstance:Zn.findFiberByHostInstance||Uh,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__<"u"){var pl=__REACT_DEVTOOLS_GLOBAL_HOOK__;if(!pl.isDisabled&&pl.supportsFiber)try{us=pl.inject(Wh),Qe=pl}catch{}}Pe.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=Bh;Pe.createPortal=function(e,t){var n=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null;if(!da(t))throw Error(C(200));return $h(e,t,null,n)};Pe.createRoot=function(e,t){if(!da(e))throw Error(C(299));var n=!1,r="",l=xf;return t!=null&&(t.unstable_strictMode===!0&&(n=!0),t.identifierPrefix!==void 0&&(r=t.identifierPrefix),t.onRecoverableError!==void 0&&(l=t.onRecoverableError)),t=aa(e,1,!1,null,null,n,!1,r,l),e[lt]=t.current,kr(e.nodeType===8?e.parentNode:e),new ca(t)};Pe.findDOMNode=function(e){if(e==null)return null;if(e.nodeType===1)return e;var t=e._reactInternals;if(t===void 0)throw typeof e.render=="function"?Error(C(188)):(e=Object.keys(e).join(","),Error(C(268,e)));return e=Fc(t),e=e===null?null:e.stateNode,e};Pe.flushSync=function(e){return Zt(e)};Pe.hydrate=function(e,t,n){if(!js(t))throw Error(C(200));return ks(null,e,t,!0,n)};Pe.hydrateRoot=function(e,t,n){if(!da(e))throw Error(C(405));var r=n!=null&&n.hydratedSources||null,l=!1,s="",i=xf;if(n!=null&&(n.unstable_strictMode===!0&&(l=!0),n.identifierPrefix!==void 0&&(s=n.identifierPrefix),n.onRecoverableError!==void 0&&(i=n.onRecoverableError)),t=gf(t,null,e,1,n??null,l,!1,s,i),e[lt]=t.current,kr(e),r)for(e=0;e<r.length;e++)n=r[e],l=n._getVersion,l=l(n._source),t.mutableSourceEagerHydrationData==null?t.mutableSourceEagerHydrationData=[n,l]:t.mutableSourceEagerHydrationData.push(n,l);return new Ss(t)};Pe.render=function(e,t,n){if(!js(t))throw Error(C(200));return ks(null,e,t,!1,n)};Pe.unmountComponentAtNode=function(e){if(!js(e))throw Error(C(40));return e._reactRootContainer?(Zt(function(){ks(null,null,e,!1,function(){e._reactRootContainer=null,e[lt]=null})}),!0):!1};Pe.unstable_batchedUpdates=la;Pe.unstable_renderSubtreeIntoContainer=function(e,t,n,r){if(!js(n))throw Error(C(200));if(e==null||e._reactInternals===void 0)throw Error(C(38));return ks(e,t,n,!1,r)};Pe.version="18.3.1-next-f1338f8080-20240426";function yf(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__>"u"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(yf)}catch(e){console.error(e)}}yf(),xc.exports=Pe;var fa=xc.exports;const Hh=gi(fa);var pa,zu=fa;pa=zu.createRoot,zu.hydrateRoot;function wf(e){var t,n,r="";if(typeof e=="string"||typeof e=="number")r+=e;else if(typeof e=="object")if(Array.isArray(e)){var l=e.length;for(t=0;t<l;t++)e[t]&&(n=wf(e[t]))&&(r&&(r+=" "),r+=n)}else for(n in e)e[n]&&(r&&(r+=" "),r+=n);return r}function Gh(){for(var e,t,n=0,r="",l=arguments.length;n<l;n++)(e=arguments[n])&&(t=wf(e))&&(r&&(r+=" "),r+=t);return r}const ma="-",Kh=e=>{const t=Yh(e),{conflictingClassGroups:n,conflictingClassGroupModifiers:r}=e;return{getClassGroupId:i=>{const a=i.split(ma);return a[0]===""&&a.length!==1&&a.shift(),Sf(a,t)||Qh(i)},getConflictingClassGroupIds:(i,a)=>{const u=n[i]||[];return a&&r[i]?[...u,...r[i]]:u}}},Sf=(e,t)=>{var i;if(e.length===0)return t.classGroupId;const n=e[0],r=t.nextPart.get(n),l=r?Sf(e.slice(1),r):void 0;if(l)return l;if(t.validators.length===0)return;const s=e.join(ma);return(i=t.validators.find(({validator:a})=>a(s)))==null?void 0:i.classGroupId},Iu=/^\[(.+)\]$/,Qh=e=>{if(Iu.test(e)){const t=Iu.exec(e)[1],n=t==null?void 0:t.substring(0,t.indexOf(":"));if(n)return"arbitrary.."+n}},Yh=e=>{const{theme:t,prefix:n}=e,r={nextPart:new Map,validators:[]};return Jh(Object.entries(e.classGroups),n).forEach(([s,i])=>{fi(i,r,s,t)}),r},fi=(e,t,n,r)=>{e.forEach(l=>{if(typeof l=="string"){const s=l===""?t:Tu(t,l);s.classGroupId=n;return}if(typeof l=="function"){if(Xh(l)){fi(l(r),t,n,r);return}t.validators.push({validator:l,classGroupId:n});return}Object.entries(l).forEach(([s,i])=>{fi(i,Tu(t,s),n,r)})})},Tu=(e,t)=>{let n=e;return t.split(ma).forEach(r=>{n.nextPart.has(r)||n.nextPart.set(r,{nextPart:new Map,validators:[]}),n=n.nextPart.get(r)}),n},Xh=e=>e.isThemeGetter,Jh=(e,t)=>t?e.map(([n,r])=>{const l=r.map(s=>typeof s=="string"?t+s:typeof s=="object"?Object.fromEntries(Object.entries(s).map(([i,a])=>[t+i,a])):s);return[n,l]}):e,Zh=e=>{if(e<1)return{get:()=>{},set:()=>{}};let t=0,n=new Map,r=new Map;const l=(s,i)=>{n.set(s,i),t++,t>e&&(t=0,r=n,n=new Map)};return{get(s){let i=n.get(s);if(i!==void 0)return i;if((i=r.get(s))!==void 0)return l(s,i),i},set(s,i){n.has(s)?n.set(s,i):l(s,i)}}},jf="!",qh=e=>{const{separator:t,experimentalParseClassName:n}=e,r=t.length===1,l=t[0],s=t.length,i=a=>{const u=[];let c=0,h=0,p;for(let S=0;S<a.length;S++){let v=a[S];if(c===0){if(v===l&&(r||a.slice(S,S+s)===t)){u.push(a.slice(h,S)),h=S+s;continue}if(v==="/"){p=S;continue}}v==="["?c++:v==="]"&&c--}const m=u.length===0?a:a.substring(h),d=m.startsWith(jf),x=d?m.substring(1):m,g=p&&p>h?p-h:void 0;return{modifiers:u,hasImportantModifier:d,baseClassName:x,maybePostfixModifierPosition:g}};return n?a=>n({className:a,parseClassName:i}):i},ev=e=>{if(e.length<=1)return e;const t=[];let n=[];return e.forEach(r=>{r[0]==="["?(t.push(...n.sort(),r),n=[]):n.push(r)}),t.push(...n.sort()),t},tv=e=>({cache:Zh(e.cacheSize),parseClassName:qh(e),...Kh(e)}),nv=/\s+/,rv=(e,t)=>{const{parseClassName:n,getClassGroupId:r,getConflictingClassGroupIds:l}=t,s=[],i=e.trim().split(nv);let a="";for(let u=i.length-1;u>=0;u-=1){const c=i[u],{modifiers:h,hasImportantModifier:p,baseClassName:m,maybePostfixModifierPosition:d}=n(c);let x=!!d,g=r(x?m.substring(0,d):m);if(!g){if(!x){a=c+(a.length>0?" "+a:a);continue}if(g=r(m),!g){a=c+(a.length>0?" "+a:a);continue}x=!1}const S=ev(h).join(":"),v=p?S+jf:S,f=v+g;if(s.includes(f))continue;s.push(f);const y=l(g,x);for(let j=0;j<y.length;++j){const k=y[j];s.push(v+k)}a=c+(a.length>0?" "+a:a)}return a};function lv(){let e=0,t,n,r="";for(;e<arguments.length;)(t=arguments[e++])&&(n=kf(t))&&(r&&(r+=" "),r+=n);return r}const kf=e=>{if(typeof e=="string")return e;let t,n="";for(let r=0;r<e.length;r++)e[r]&&(t=kf(e[r]))&&(n&&(n+=" "),n+=t);return n};function sv(e,...t){let n,r,l,s=i;function i(u){const c=t.reduce((h,p)=>p(h),e());return n=tv(c),r=n.cache.get,l=n.cache.set,s=a,a(u)}function a(u){const c=r(u);if(c)return c;const h=rv(u,n);return l(u,h),h}return function(){return s(lv.apply(null,arguments))}}const H=e=>{const t=n=>n[e]||[];return t.isThemeGetter=!0,t},Nf=/^\[(?:([a-z-]+):)?(.+)\]$/i,ov=/^\d+\/\d+$/,iv=new Set(["px","full","screen"]),av=/^(\d+(\.\d+)?)?(xs|sm|md|lg|xl)$/,uv=/\d+(%|px|r?em|[sdl]?v([hwib]|min|max)|pt|pc|in|cm|mm|cap|ch|ex|r?lh|cq(w|h|i|b|min|max))|\b(calc|min|max|clamp)\(.+\)|^0$/,cv=/^(rgba?|hsla?|hwb|(ok)?(lab|lch))\(.+\)$/,dv=/^(inset_)?-?((\d+)?\.?(\d+)[a-z]+|0)_-?((\d+)?\.?(\d+)[a-z]+|0)/,fv=/^(url|image|image-set|cross-fade|element|(repeating-)?(linear|radial|conic)-gradient)\(.+\)$/,Xe=e=>Mn(e)||iv.has(e)||ov.test(e),ht=e=>Vn(e,"length",wv),Mn=e=>!!e&&!Number.isNaN(Number(e)),so=e=>Vn(e,"number",Mn),qn=e=>!!e&&Number.isInteger(Number(e)),pv=e=>e.endsWith("%")&&Mn(e.slice(0,-1)),O=e=>Nf.test(e),vt=e=>av.test(e),mv=new Set(["length","size","percentage"]),hv=e=>Vn(e,mv,Cf),vv=e=>Vn(e,"position",Cf),gv=new Set(["image","url"]),xv=e=>Vn(e,gv,jv),yv=e=>Vn(e,"",Sv),er=()=>!0,Vn=(e,t,n)=>{const r=Nf.exec(e);return r?r[1]?typeof t=="string"?r[1]===t:t.has(r[1]):n(r[2]):!1},wv=e=>uv.test(e)&&!cv.test(e),Cf=()=>!1,Sv=e=>dv.test(e),jv=e=>fv.test(e),kv=()=>{const e=H("colors"),t=H("spacing"),n=H("blur"),r=H("brightness"),l=H("borderColor"),s=H("borderRadius"),i=H("borderSpacing"),a=H("borderWidth"),u=H("contrast"),c=H("grayscale"),h=H("hueRotate"),p=H("invert"),m=H("gap"),d=H("gradientColorStops"),x=H("gradientColorStopPositions"),g=H("inset"),S=H("margin"),v=H("opacity"),f=H("padding"),y=H("saturate"),j=H("scale"),k=H("sepia"),b=H("skew"),N=H("space"),E=H("translate"),L=()=>["auto","contain","none"],P=()=>["auto","hidden","clip","visible","scroll"],B=()=>["auto",O,t],A=()=>[O,t],ft=()=>["",Xe,ht],At=()=>["auto",Mn,O],Qr=()=>["bottom","center","left","left-bottom","left-top","right","right-bottom","right-top","top"],pt=()=>["solid","dashed","dotted","double","none"],rn=()=>["normal","multiply","screen","overlay","darken","lighten","color-dodge","color-burn","hard-light","soft-light","difference","exclusion","hue","saturation","color","luminosity"],M=()=>["start","end","center","between","around","evenly","stretch"],T=()=>["","0",O],R=()=>["auto","avoid","all","avoid-page","page","left","right","column"],$=()=>[Mn,O];return{cacheSize:500,separator:":",theme:{colors:[er],spacing:[Xe,ht],blur:["none","",vt,O],brightness:$(),borderColor:[e],borderRadius:["none","","full",vt,O],borderSpacing:A(),borderWidth:ft(),contrast:$(),grayscale:T(),hueRotate:$(),invert:T(),gap:A(),gradientColorStops:[e],gradientColorStopPositions:[pv,ht],inset:B(),margin:B(),opacity:$(),padding:A(),saturate:$(),scale:$(),sepia:T(),skew:$(),space:A(),translate:A()},classGroups:{aspect:[{aspect:["auto","square","video",O]}],container:["container"],columns:[{columns:[vt]}],"break-after":[{"break-after":R()}],"break-before":[{"break-before":R()}],"break-inside":[{"break-inside":["auto","avoid","avoid-page","avoid-column"]}],"box-decoration":[{"box-decoration":["slice","clone"]}],box:[{box:["border","content"]}],display:["block","inline-block","inline","flex","inline-flex","table","inline-table","table-caption","table-cell","table-column","table-column-group","table-footer-group","table-header-group","table-row-group","table-row","flow-root","grid","inline-grid","contents","list-item","hidden"],float:[{float:["right","left","none","start","end"]}],clear:[{clear:["left","right","both","none","start","end"]}],isolation:["isolate","isolation-auto"],"object-fit":[{object:["contain","cover","fill","none","scale-down"]}],"object-position":[{object:[...Qr(),O]}],overflow:[{overflow:P()}],"overflow-x":[{"overflow-x":P()}],"overflow-y":[{"overflow-y":P()}],overscroll:[{overscroll:L()}],"overscroll-x":[{"overscroll-x":L()}],"overscroll-y":[{"overscroll-y":L()}],position:["static","fixed","absolute","relative","sticky"],inset:[{inset:[g]}],"inset-x":[{"inset-x":[g]}],"inset-y":[{"inset-y":[g]}],start:[{start:[g]}],end:[{end:[g]}],top:[{top:[g]}],right:[{right:[g]}],bottom:[{bottom:[g]}],left:[{left:[g]}],visibility:["visible","invisible","collapse"],z:[{z:["auto",qn,O]}],basis:[{basis:B()}],"flex-direction":[{flex:["row","row-reverse","col","col-reverse"]}],"flex-wrap":[{flex:["wrap","wrap-reverse","nowrap"]}],flex:[{flex:["1","auto","initial","none",O]}],grow:[{grow:T()}],shrink:[{shrink:T()}],order:[{order:["first","last","none",qn,O]}],"grid-cols":[{"grid-cols":[er]}],"col-start-end":[{col:["auto",{span:["full",qn,O]},O]}],"col-start":[{"col-start":At()}],"col-end":[{"col-end":At()}],"grid-rows":[{"grid-rows":[er]}],"row-start-end":[{row:["auto",{span:[qn,O]},O]}],"row-start":[{"row-start":At()}],"row-end":[{"row-end":At()}],"grid-flow":[{"grid-flow":["row","col","dense","row-dense","col-dense"]}],"auto-cols":[{"auto-cols":["auto","min","max","fr",O]}],"auto-rows":[{"auto-rows":["auto","min","max","fr",O]}],gap:[{gap:[m]}],"gap-x":[{"gap-x":[m]}],"gap-y":[{"gap-y":[m]}],"justify-content":[{justify:["normal",...M()]}],"justify-items":[{"justify-items":["start","end","center","stretch"]}],"justify-self":[{"justify-self":["auto","start","end","center","stretch"]}],"align-content":[{content:["normal",...M(),"baseline"]}],"align-items":[{items:["start","end","center","baseline","stretch"]}],"align-self":[{self:["auto","start","end","center","stretch","baseline"]}],"place-content":[{"place-content":[...M(),"baseline"]}],"place-items":[{"place-items":["start","end","center","baseline","stretch"]}],"place-self":[{"place-self":["auto","start","end","center","stretch"]}],p:[{p:[f]}],px:[{px:[f]}],py:[{py:[f]}],ps:[{ps:[f]}],pe:[{pe:[f]}],pt:[{pt:[f]}],pr:[{pr:[f]}],pb:[{pb:[f]}],pl:[{pl:[f]}],m:[{m:[S]}],mx:[{mx:[S]}],my:[{my:[S]}],ms:[{ms:[S]}],me:[{me:[S]}],mt:[{mt:[S]}],mr:[{mr:[S]}],mb:[{mb:[S]}],ml:[{ml:[S]}],"space-x":[{"space-x":[N]}],"space-x-reverse":["space-x-reverse"],"space-y":[{"space-y":[N]}],"space-y-reverse":["space-y-reverse"],w:[{w:["auto","min","max","fit","svw","lvw","dvw",O,t]}],"min-w":[{"min-w":[O,t,"min","max","fit"]}],"max-w":[{"max-w":[O,t,"none","full","min","max","fit","prose",{screen:[vt]},vt]}],h:[{h:[O,t,"auto","min","max","fit","svh","lvh","dvh"]}],"min-h":[{"min-h":[O,t,"min","max","fit","svh","lvh","dvh"]}],"max-h":[{"max-h":[O,t,"min","max","fit","svh","lvh","dvh"]}],size:[{size:[O,t,"auto","min","max","fit"]}],"font-size":[{text:["base",vt,ht]}],"font-smoothing":["antialiased","subpixel-antialiased"],"font-style":["italic","not-italic"],"font-weight":[{font:["thin","extralight","light","normal","medium","semibold","bold","extrabold","black",so]}],"font-family":[{font:[er]}],"fvn-normal":["normal-nums"],"fvn-ordinal":["ordinal"],"fvn-slashed-zero":["slashed-zero"],"fvn-figure":["lining-nums","oldstyle-nums"],"fvn-spacing":["proportional-nums","tabular-nums"],"fvn-fraction":["diagonal-fractions","stacked-fractions"],tracking:[{tracking:["tighter","tight","normal","wide","wider","widest",O]}],"line-clamp":[{"line-clamp":["none",Mn,so]}],leading:[{leading:["none","tight","snug","normal","relaxed","loose",Xe,O]}],"list-image":[{"list-image":["none",O]}],"list-style-type":[{list:["none","disc","decimal",O]}],"list-style-position":[{list:["inside","outside"]}],"placeholder-color":[{placeholder:[e]}],"placeholder-opacity":[{"placeholder-opacity":[v]}],"text-alignment":[{text:["left","center","right","justify","start","end"]}],"text-color":[{text:[e]}],"text-opacity":[{"text-opacity":[v]}],"text-decoration":["underline","overline","line-through","no-underline"],"text-decoration-style":[{decoration:[...pt(),"wavy"]}],"text-decoration-thickness":[{decoration:["auto","from-font",Xe,ht]}],"underline-offset":[{"underline-offset":["auto",Xe,O]}],"text-decoration-color":[{decoration:[e]}],"text-transform":["uppercase","lowercase","capitalize","normal-case"],"text-overflow":["truncate","text-ellipsis","text-clip"],"text-wrap":[{text:["wrap","nowrap","balance","pretty"]}],indent:[{indent:A()}],"vertical-align":[{align:["baseline","top","middle","bottom","text-top","text-bottom","sub","super",O]}],whitespace:[{whitespace:["normal","nowrap","pre","pre-line","pre-wrap","break-spaces"]}],break:[{break:["normal","words","all","keep"]}],hyphens:[{hyphens:["none","manual","auto"]}],content:[{content:["none",O]}],"bg-attachment":[{bg:["fixed","local","scroll"]}],"bg-clip":[{"bg-clip":["border","padding","content","text"]}],"bg-opacity":[{"bg-opacity":[v]}],"bg-origin":[{"bg-origin":["border","padding","content"]}],"bg-position":[{bg:[...Qr(),vv]}],"bg-repeat":[{bg:["no-repeat",{repeat:["","x","y","round","space"]}]}],"bg-size":[{bg:["auto","cover","contain",hv]}],"bg-image":[{bg:["none",{"gradient-to":["t","tr","r","br","b","bl","l","tl"]},xv]}],"bg-color":[{bg:[e]}],"gradient-from-pos":[{from:[x]}],"gradient-via-pos":[{via:[x]}],"gradient-to-pos":[{to:[x]}],"gradient-from":[{from:[d]}],"gradient-via":[{via:[d]}],"gradient-to":[{to:[d]}],rounded:[{rounded:[s]}],"rounded-s":[{"rounded-s":[s]}],"rounded-e":[{"rounded-e":[s]}],"rounded-t":[{"rounded-t":[s]}],"rounded-r":[{"rounded-r":[s]}],"rounded-b":[{"rounded-b":[s]}],"rounded-l":[{"rounded-l":[s]}],"rounded-ss":[{"rounded-ss":[s]}],"rounded-se":[{"rounded-se":[s]}],"rounded-ee":[{"rounded-ee":[s]}],"rounded-es":[{"rounded-es":[s]}],"rounded-tl":[{"rounded-tl":[s]}],"rounded-tr":[{"rounded-tr":[s]}],"rounded-br":[{"rounded-br":[s]}],"rounded-bl":[{"rounded-bl":[s]}],"border-w":[{border:[a]}],"border-w-x":[{"border-x":[a]}],"border-w-y":[{"border-y":[a]}],"border-w-s":[{"border-s":[a]}],"border-w-e":[{"border-e":[a]}],"border-w-t":[{"border-t":[a]}],"border-w-r":[{"border-r":[a]}],"border-w-b":[{"border-b":[a]}],"border-w-l":[{"border-l":[a]}],"border-opacity":[{"border-opacity":[v]}],"border-style":[{border:[...pt(),"hidden"]}],"divide-x":[{"divide-x":[a]}],"divide-x-reverse":["divide-x-reverse"],"divide-y":[{"divide-y":[a]}],"divide-y-reverse":["divide-y-reverse"],"divide-opacity":[{"divide-opacity":[v]}],"divide-style":[{divide:pt()}],"border-color":[{border:[l]}],"border-color-x":[{"border-x":[l]}],"border-color-y":[{"border-y":[l]}],"border-color-s":[{"border-s":[l]}],"border-color-e":[{"border-e":[l]}],"border-color-t":[{"border-t":[l]}],"border-color-r":[{"border-r":[l]}],"border-color-b":[{"border-b":[l]}],"border-color-l":[{"border-l":[l]}],"divide-color":[{divide:[l]}],"outline-style":[{outline:["",...pt()]}],"outline-offset":[{"outline-offset":[Xe,O]}],"outline-w":[{outline:[Xe,ht]}],"outline-color":[{outline:[e]}],"ring-w":[{ring:ft()}],"ring-w-inset":["ring-inset"],"ring-color":[{ring:[e]}],"ring-opacity":[{"ring-opacity":[v]}],"ring-offset-w":[{"ring-offset":[Xe,ht]}],"ring-offset-color":[{"ring-offset":[e]}],shadow:[{shadow:["","inner","none",vt,yv]}],"shadow-color":[{shadow:[er]}],opacity:[{opacity:[v]}],"mix-blend":[{"mix-blend":[...rn(),"plus-lighter","plus-darker"]}],"bg-blend":[{"bg-blend":rn()}],filter:[{filter:["","none"]}],blur:[{blur:[n]}],brightness:[{brightness:[r]}],contrast:[{contrast:[u]}],"drop-shadow":[{"drop-shadow":["","none",vt,O]}],grayscale:[{grayscale:[c]}],"hue-rotate":[{"hue-rotate":[h]}],invert:[{invert:[p]}],saturate:[{saturate:[y]}],sepia:[{sepia:[k]}],"backdrop-filter":[{"backdrop-filter":["","none"]}],"backdrop-blur":[{"backdrop-blur":[n]}],"backdrop-brightness":[{"backdrop-brightness":[r]}],"backdrop-contrast":[{"backdrop-contrast":[u]}],"backdrop-grayscale":[{"backdrop-grayscale":[c]}],"backdrop-hue-rotate":[{"backdrop-hue-rotate":[h]}],"backdrop-invert":[{"backdrop-invert":[p]}],"backdrop-opacity":[{"backdrop-opacity":[v]}],"backdrop-saturate":[{"backdrop-saturate":[y]}],"backdrop-sepia":[{"backdrop-sepia":[k]}],"border-collapse":[{border:["collapse","separate"]}],"border-spacing":[{"border-spacing":[i]}],"border-spacing-x":[{"border-spacing-x":[i]}],"border-spacing-y":[{"border-spacing-y":[i]}],"table-layout":[{table:["auto","fixed"]}],caption:[{caption:["top","bottom"]}],transition:[{transition:["none","all","","colors","opacity","shadow","transform",O]}],duration:[{duration:$()}],ease:[{ease:["linear","in","out","in-out",O]}],delay:[{delay:$()}],animate:[{animate:["none","spin","ping","pulse","bounce",O]}],transform:[{transform:["","gpu","none"]}],scale:[{scale:[j]}],"scale-x":[{"scale-x":[j]}],"scale-y":[{"scale-y":[j]}],rotate:[{rotate:[qn,O]}],"translate-x":[{"translate-x":[E]}],"translate-y":[{"translate-y":[E]}],"skew-x":[{"skew-x":[b]}],"skew-y":[{"skew-y":[b]}],"transform-origin":[{origin:["center","top","top-right","right","bottom-right","bottom","bottom-left","left","top-left",O]}],accent:[{accent:["auto",e]}],appearance:[{appearance:["none","auto"]}],cursor:[{cursor:["auto","default","pointer","wait","text","move","help","not-allowed","none","context-menu","progress","cell","crosshair","vertical-text","alias","copy","no-drop","grab","grabbing","all-scroll","col-resize","row-resize","n-resize","e-resize","s-resize","w-resize","ne-resize","nw-resize","se-resize","sw-resize","ew-resize","ns-resize","nesw-resize","nwse-resize","zoom-in","zoom-out",O]}],"caret-color":[{caret:[e]}],"pointer-events":[{"pointer-events":["none","auto"]}],resize:[{resize:["none","y","x",""]}],"scroll-behavior":[{scroll:["auto","smooth"]}],"scroll-m":[{"scroll-m":A()}],"scroll-mx":[{"scroll-mx":A()}],"scroll-my":[{"scroll-my":A()}],"scroll-ms":[{"scroll-ms":A()}],"scroll-me":[{"scroll-me":A()}],"scroll-mt":[{"scroll-mt":A()}],"scroll-mr":[{"scroll-mr":A()}],"scroll-mb":[{"scroll-mb":A()}],"scroll-ml":[{"scroll-ml":A()}],"scroll-p":[{"scroll-p":A()}],"scroll-px":[{"scroll-px":A()}],"scroll-py":[{"scroll-py":A()}],"scroll-ps":[{"scroll-ps":A()}],"scroll-pe":[{"scroll-pe":A()}],"scroll-pt":[{"scroll-pt":A()}],"scroll-pr":[{"scroll-pr":A()}],"scroll-pb":[{"scroll-pb":A()}],"scroll-pl":[{"scroll-pl":A()}],"snap-align":[{snap:["start","end","center","align-none"]}],"snap-stop":[{snap:["normal","always"]}],"snap-type":[{snap:["none","x","y","both"]}],"snap-strictness":[{snap:["mandatory","proximity"]}],touch:[{touch:["auto","none","manipulation"]}],"touch-x":[{"touch-pan":["x","left","right"]}],"touch-y":[{"touch-pan":["y","up","down"]}],"touch-pz":["touch-pinch-zoom"],select:[{select:["none","text","all","auto"]}],"will-change":[{"will-change":["auto","scroll","contents","transform",O]}],fill:[{fill:[e,"none"]}],"stroke-w":[{stroke:[Xe,ht,so]}],stroke:[{stroke:[e,"none"]}],sr:["sr-only","not-sr-only"],"forced-color-adjust":[{"forced-color-adjust":["auto","none"]}]},conflictingClassGroups:{overflow:["overflow-x","overflow-y"],overscroll:["overscroll-x","overscroll-y"],inset:["inset-x","inset-y","start","end","top","right","bottom","left"],"inset-x":["right","left"],"inset-y":["top","bottom"],flex:["basis","grow","shrink"],gap:["gap-x","gap-y"],p:["px","py","ps","pe","pt","pr","pb","pl"],px:["pr","pl"],py:["pt","pb"],m:["mx","my","ms","me","mt","mr","mb","ml"],mx:["mr","ml"],my:["mt","mb"],size:["w","h"],"font-size":["leading"],"fvn-normal":["fvn-ordinal","fvn-slashed-zero","fvn-figure","fvn-spacing","fvn-fraction"],"fvn-ordinal":["fvn-normal"],"fvn-slashed-zero":["fvn-normal"],"fvn-figure":["fvn-normal"],"fvn-spacing":["fvn-normal"],"fvn-fraction":["fvn-normal"],"line-clamp":["display","overflow"],rounded:["rounded-s","rounded-e","rounded-t","rounded-r","rounded-b","rounded-l","rounded-ss","rounded-se","rounded-ee","rounded-es","rounded-tl","rounded-tr","rounded-br","rounded-bl"],"rounded-s":["rounded-ss","rounded-es"],"rounded-e":["rounded-se","rounded-ee"],"rounded-t":["rounded-tl","rounded-tr"],"rounded-r":["rounded-tr","rounded-br"],"rounded-b":["rounded-br","rounded-bl"],"rounded-l":["rounded-tl","rounded-bl"],"border-spacing":["border-spacing-x","border-spacing-y"],"border-w":["border-w-s","border-w-e","border-w-t","border-w-r","border-w-b","border-w-l"],"border-w-x":["border-w-r","border-w-l"],"border-w-y":["border-w-t","border-w-b"],"border-color":["border-color-s","border-color-e","border-color-t","border-color-r","border-color-b","border-color-l"],"border-color-x":["border-color-r","border-color-l"],"border-color-y":["border-color-t","border-color-b"],"scroll-m":["scroll-mx","scroll-my","scroll-ms","scroll-me","scroll-mt","scroll-mr","scroll-mb","scroll-ml"],"scroll-mx":["scroll-mr","scroll-ml"],"scroll-my":["scroll-mt","scroll-mb"],"scroll-p":["scroll-px","scroll-py","scroll-ps","scroll-pe","scroll-pt","scroll-pr","scroll-pb","scroll-pl"],"scroll-px":["scroll-pr","scroll-pl"],"scroll-py":["scroll-pt","scroll-pb"],touch:["touch-x","touch-y","touch-pz"],"touch-x":["touch"],"touch-y":["touch"],"touch-pz":["touch"]},conflictingClassGroupModifiers:{"font-size":["leading"]}}},Nv=sv(kv);function I(...e){return Nv(Gh(e))}function Cv({isVisible:e,children:t}){return e?o.jsx("div",{className:I("fixed inset-0 z-50","bg-neutral-900 text-neutral-100","flex flex-col","font-sans"),children:t}):null}/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */var bv={xmlns:"http://www.w3.org/2000/svg",width:24,height:24,viewBox:"0 0 24 24",fill:"none",stroke:"currentColor",strokeWidth:2,strokeLinecap:"round",strokeLinejoin:"round"};/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Ev=e=>e.replace(/([a-z0-9])([A-Z])/g,"$1-$2").toLowerCase().trim(),z=(e,t)=>{const n=w.forwardRef(({color:r="currentColor",size:l=24,strokeWidth:s=2,absoluteStrokeWidth:i,className:a="",children:u,...c},h)=>w.createElement("svg",{ref:h,...bv,width:l,height:l,stroke:r,strokeWidth:i?Number(s)*24/Number(l):s,className:["lucide",`lucide-${Ev(e)}`,a].join(" "),...c},[...t.map(([p,m])=>w.createElement(p,m)),...Array.isArray(u)?u:[u]]));return n.displayName=`${e}`,n};/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Ns=z("ArrowLeft",[["path",{d:"m12 19-7-7 7-7",key:"1l729n"}],["path",{d:"M19 12H5",key:"x3x0zl"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const bf=z("ArrowRight",[["path",{d:"M5 12h14",key:"1ays0h"}],["path",{d:"m12 5 7 7-7 7",key:"xquz4c"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Cs=z("BookOpen",[["path",{d:"M2 3h6a4 4 0 0 1 4 4v14a3 3 0 0 0-3-3H2z",key:"vv98re"}],["path",{d:"M22 3h-6a4 4 0 0 0-4 4v14a3 3 0 0 1 3-3h7z",key:"1cyq3y"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Pv=z("Check",[["path",{d:"M20 6 9 17l-5-5",key:"1gmf2c"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const ha=z("ChevronDown",[["path",{d:"m6 9 6 6 6-6",key:"qrunsl"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Mv=z("ChevronLeft",[["path",{d:"m15 18-6-6 6-6",key:"1wnfg3"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const bs=z("ChevronRight",[["path",{d:"m9 18 6-6-6-6",key:"mthhwq"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const _v=z("ChevronUp",[["path",{d:"m18 15-6-6-6 6",key:"153udz"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Ef=z("Clock",[["circle",{cx:"12",cy:"12",r:"10",key:"1mglay"}],["polyline",{points:"12 6 12 12 16 14",key:"68esgv"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const zv=z("Copy",[["rect",{width:"14",height:"14",x:"8",y:"8",rx:"2",ry:"2",key:"17jyea"}],["path",{d:"M4 16c-1.1 0-2-.9-2-2V4c0-1.1.9-2 2-2h10c1.1 0 2 .9 2 2",key:"zix9uf"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Iv=z("Dice1",[["rect",{width:"18",height:"18",x:"3",y:"3",rx:"2",ry:"2",key:"1m3agn"}],["path",{d:"M12 12h.01",key:"1mp3jc"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Tv=z("ExternalLink",[["path",{d:"M18 13v6a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h6",key:"a6xqqp"}],["polyline",{points:"15 3 21 3 21 9",key:"mznyad"}],["line",{x1:"10",x2:"21",y1:"14",y2:"3",key:"18c3s4"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Rv=z("EyeOff",[["path",{d:"M9.88 9.88a3 3 0 1 0 4.24 4.24",key:"1jxqfv"}],["path",{d:"M10.73 5.08A10.43 10.43 0 0 1 12 5c7 0 10 7 10 7a13.16 13.16 0 0 1-1.67 2.68",key:"9wicm4"}],["path",{d:"M6.61 6.61A13.526 13.526 0 0 0 2 12s3 7 10 7a9.74 9.74 0 0 0 5.39-1.61",key:"1jreej"}],["line",{x1:"2",x2:"22",y1:"2",y2:"22",key:"a6p6uj"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Pf=z("Eye",[["path",{d:"M2 12s3-7 10-7 10 7 10 7-3 7-10 7-10-7-10-7Z",key:"rwhkz3"}],["circle",{cx:"12",cy:"12",r:"3",key:"1v7zrd"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Ov=z("FastForward",[["polygon",{points:"13 19 22 12 13 5 13 19",key:"587y9g"}],["polygon",{points:"2 19 11 12 2 5 2 19",key:"3pweh0"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Mf=z("FileDown",[["path",{d:"M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z",key:"1nnpy2"}],["polyline",{points:"14 2 14 8 20 8",key:"1ew0cm"}],["path",{d:"M12 18v-6",key:"17g6i2"}],["path",{d:"m9 15 3 3 3-3",key:"1npd3o"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Lv=z("FileText",[["path",{d:"M14.5 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V7.5L14.5 2z",key:"1nnpy2"}],["polyline",{points:"14 2 14 8 20 8",key:"1ew0cm"}],["line",{x1:"16",x2:"8",y1:"13",y2:"13",key:"14keom"}],["line",{x1:"16",x2:"8",y1:"17",y2:"17",key:"17nazh"}],["line",{x1:"10",x2:"8",y1:"9",y2:"9",key:"1a5vjj"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Dv=z("Filter",[["polygon",{points:"22 3 2 3 10 12.46 10 19 14 21 14 12.46 22 3",key:"1yg77f"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Av=z("Flag",[["path",{d:"M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z",key:"i9b6wo"}],["line",{x1:"4",x2:"4",y1:"22",y2:"15",key:"1cm3nv"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Fv=z("GitBranch",[["line",{x1:"6",x2:"6",y1:"3",y2:"15",key:"17qcm7"}],["circle",{cx:"18",cy:"6",r:"3",key:"1h7g24"}],["circle",{cx:"6",cy:"18",r:"3",key:"fqmcym"}],["path",{d:"M18 9a9 9 0 0 1-9 9",key:"n2h4wq"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const $v=z("Home",[["path",{d:"m3 9 9-7 9 7v11a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2z",key:"y5dka4"}],["polyline",{points:"9 22 9 12 15 12 15 22",key:"e2us08"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Ru=z("Image",[["rect",{width:"18",height:"18",x:"3",y:"3",rx:"2",ry:"2",key:"1m3agn"}],["circle",{cx:"9",cy:"9",r:"2",key:"af1f0g"}],["path",{d:"m21 15-3.086-3.086a2 2 0 0 0-2.828 0L6 21",key:"1xmnt7"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Uv=z("Lock",[["rect",{width:"18",height:"11",x:"3",y:"11",rx:"2",ry:"2",key:"1w4ew1"}],["path",{d:"M7 11V7a5 5 0 0 1 10 0v4",key:"fwvmzm"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Ir=z("MapPin",[["path",{d:"M20 10c0 6-8 12-8 12s-8-6-8-12a8 8 0 0 1 16 0Z",key:"2oe9fu"}],["circle",{cx:"12",cy:"10",r:"3",key:"ilqhr7"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const pi=z("Map",[["polygon",{points:"3 6 9 3 15 6 21 3 21 18 15 21 9 18 3 21",key:"ok2ie8"}],["line",{x1:"9",x2:"9",y1:"3",y2:"18",key:"w34qz5"}],["line",{x1:"15",x2:"15",y1:"6",y2:"21",key:"volv9a"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const _f=z("MessageCircle",[["path",{d:"m3 21 1.9-5.7a8.5 8.5 0 1 1 3.8 3.8z",key:"v2veuj"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Vv=z("MessageSquare",[["path",{d:"M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z",key:"1lielz"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const zf=z("Mic",[["path",{d:"M12 2a3 3 0 0 0-3 3v7a3 3 0 0 0 6 0V5a3 3 0 0 0-3-3Z",key:"131961"}],["path",{d:"M19 10v2a7 7 0 0 1-14 0v-2",key:"1vc78b"}],["line",{x1:"12",x2:"12",y1:"19",y2:"22",key:"x3vr5v"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const If=z("Minus",[["path",{d:"M5 12h14",key:"1ays0h"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Ou=z("Monitor",[["rect",{width:"20",height:"14",x:"2",y:"3",rx:"2",key:"48i651"}],["line",{x1:"8",x2:"16",y1:"21",y2:"21",key:"1svkeh"}],["line",{x1:"12",x2:"12",y1:"17",y2:"21",key:"vw1qmm"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const mi=z("Package",[["path",{d:"m7.5 4.27 9 5.15",key:"1c824w"}],["path",{d:"M21 8a2 2 0 0 0-1-1.73l-7-4a2 2 0 0 0-2 0l-7 4A2 2 0 0 0 3 8v8a2 2 0 0 0 1 1.73l7 4a2 2 0 0 0 2 0l7-4A2 2 0 0 0 21 16Z",key:"hh9hay"}],["path",{d:"m3.3 7 8.7 5 8.7-5",key:"g66t2b"}],["path",{d:"M12 22V12",key:"d0xqtd"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Bv=z("Pause",[["rect",{width:"4",height:"16",x:"6",y:"4",key:"iffhe4"}],["rect",{width:"4",height:"16",x:"14",y:"4",key:"sjin7j"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const it=z("Play",[["polygon",{points:"5 3 19 12 5 21 5 3",key:"191637"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const va=z("Plus",[["path",{d:"M5 12h14",key:"1ays0h"}],["path",{d:"M12 5v14",key:"s699le"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Wv=z("RefreshCw",[["path",{d:"M3 12a9 9 0 0 1 9-9 9.75 9.75 0 0 1 6.74 2.74L21 8",key:"v9h5vc"}],["path",{d:"M21 3v5h-5",key:"1q7to0"}],["path",{d:"M21 12a9 9 0 0 1-9 9 9.75 9.75 0 0 1-6.74-2.74L3 16",key:"3uifl3"}],["path",{d:"M8 16H3v5",key:"1cv678"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Hv=z("Rewind",[["polygon",{points:"11 19 2 12 11 5 11 19",key:"14yba5"}],["polygon",{points:"22 19 13 12 22 5 22 19",key:"1pi1cj"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Gv=z("Save",[["path",{d:"M19 21H5a2 2 0 0 1-2-2V5a2 2 0 0 1 2-2h11l5 5v11a2 2 0 0 1-2 2z",key:"1owoqh"}],["polyline",{points:"17 21 17 13 7 13 7 21",key:"1md35c"}],["polyline",{points:"7 3 7 8 15 8",key:"8nz8an"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const ga=z("Search",[["circle",{cx:"11",cy:"11",r:"8",key:"4ej97u"}],["path",{d:"m21 21-4.3-4.3",key:"1qie3q"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Kv=z("Send",[["path",{d:"m22 2-7 20-4-9-9-4Z",key:"1q3vgg"}],["path",{d:"M22 2 11 13",key:"nzbqef"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Qv=z("Settings",[["path",{d:"M12.22 2h-.44a2 2 0 0 0-2 2v.18a2 2 0 0 1-1 1.73l-.43.25a2 2 0 0 1-2 0l-.15-.08a2 2 0 0 0-2.73.73l-.22.38a2 2 0 0 0 .73 2.73l.15.1a2 2 0 0 1 1 1.72v.51a2 2 0 0 1-1 1.74l-.15.09a2 2 0 0 0-.73 2.73l.22.38a2 2 0 0 0 2.73.73l.15-.08a2 2 0 0 1 2 0l.43.25a2 2 0 0 1 1 1.73V20a2 2 0 0 0 2 2h.44a2 2 0 0 0 2-2v-.18a2 2 0 0 1 1-1.73l.43-.25a2 2 0 0 1 2 0l.15.08a2 2 0 0 0 2.73-.73l.22-.39a2 2 0 0 0-.73-2.73l-.15-.08a2 2 0 0 1-1-1.74v-.5a2 2 0 0 1 1-1.74l.15-.09a2 2 0 0 0 .73-2.73l-.22-.38a2 2 0 0 0-2.73-.73l-.15.08a2 2 0 0 1-2 0l-.43-.25a2 2 0 0 1-1-1.73V4a2 2 0 0 0-2-2z",key:"1qme2f"}],["circle",{cx:"12",cy:"12",r:"3",key:"1v7zrd"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Lu=z("SkipBack",[["polygon",{points:"19 20 9 12 19 4 19 20",key:"o2sva"}],["line",{x1:"5",x2:"5",y1:"19",y2:"5",key:"1ocqjk"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Yv=z("SkipForward",[["polygon",{points:"5 4 15 12 5 20 5 4",key:"16p6eg"}],["line",{x1:"19",x2:"19",y1:"5",y2:"19",key:"futhcm"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Xv=z("Skull",[["circle",{cx:"9",cy:"12",r:"1",key:"1vctgf"}],["circle",{cx:"15",cy:"12",r:"1",key:"1tmaij"}],["path",{d:"M8 20v2h8v-2",key:"ded4og"}],["path",{d:"m12.5 17-.5-1-.5 1h1z",key:"3me087"}],["path",{d:"M16 20a2 2 0 0 0 1.56-3.25 8 8 0 1 0-11.12 0A2 2 0 0 0 8 20",key:"xq9p5u"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Du=z("Star",[["polygon",{points:"12 2 15.09 8.26 22 9.27 17 14.14 18.18 21.02 12 17.77 5.82 21.02 7 14.14 2 9.27 8.91 8.26 12 2",key:"8f66p6"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Au=z("Sun",[["circle",{cx:"12",cy:"12",r:"4",key:"4exip2"}],["path",{d:"M12 2v2",key:"tus03m"}],["path",{d:"M12 20v2",key:"1lh1kg"}],["path",{d:"m4.93 4.93 1.41 1.41",key:"149t6j"}],["path",{d:"m17.66 17.66 1.41 1.41",key:"ptbguv"}],["path",{d:"M2 12h2",key:"1t8f8n"}],["path",{d:"M20 12h2",key:"1q8mjw"}],["path",{d:"m6.34 17.66-1.41 1.41",key:"1m8zz5"}],["path",{d:"m19.07 4.93-1.41 1.41",key:"1shlcs"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Bn=z("Target",[["circle",{cx:"12",cy:"12",r:"10",key:"1mglay"}],["circle",{cx:"12",cy:"12",r:"6",key:"1vlfrh"}],["circle",{cx:"12",cy:"12",r:"2",key:"1c9p78"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Tf=z("Trash2",[["path",{d:"M3 6h18",key:"d0wm0j"}],["path",{d:"M19 6v14c0 1-1 2-2 2H7c-1 0-2-1-2-2V6",key:"4alrt4"}],["path",{d:"M8 6V4c0-1 1-2 2-2h4c1 0 2 1 2 2v2",key:"v07s0e"}],["line",{x1:"10",x2:"10",y1:"11",y2:"17",key:"1uufr5"}],["line",{x1:"14",x2:"14",y1:"11",y2:"17",key:"xtxkd"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Rf=z("Upload",[["path",{d:"M21 15v4a2 2 0 0 1-2 2H5a2 2 0 0 1-2-2v-4",key:"ih7n3h"}],["polyline",{points:"17 8 12 3 7 8",key:"t8dd8p"}],["line",{x1:"12",x2:"12",y1:"3",y2:"15",key:"widbto"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Jv=z("User",[["path",{d:"M19 21v-2a4 4 0 0 0-4-4H9a4 4 0 0 0-4 4v2",key:"975kel"}],["circle",{cx:"12",cy:"7",r:"4",key:"17ys0d"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const at=z("Users",[["path",{d:"M16 21v-2a4 4 0 0 0-4-4H6a4 4 0 0 0-4 4v2",key:"1yyitq"}],["circle",{cx:"9",cy:"7",r:"4",key:"nufk8"}],["path",{d:"M22 21v-2a4 4 0 0 0-3-3.87",key:"kshegd"}],["path",{d:"M16 3.13a4 4 0 0 1 0 7.75",key:"1da9ce"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Zv=z("Volume2",[["polygon",{points:"11 5 6 9 2 9 2 15 6 15 11 19 11 5",key:"16drj5"}],["path",{d:"M15.54 8.46a5 5 0 0 1 0 7.07",key:"ltjumu"}],["path",{d:"M19.07 4.93a10 10 0 0 1 0 14.14",key:"1kegas"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const ct=z("X",[["path",{d:"M18 6 6 18",key:"1bl5f8"}],["path",{d:"m6 6 12 12",key:"d8bk6v"}]]);/**
- * @license lucide-react v0.294.0 - ISC
- *
- * This source code is licensed under the ISC license.
- * See the LICENSE file in the root directory of this source tree.
- */const Es=z("Zap",[["polygon",{points:"13 2 3 14 12 14 11 22 21 10 12 10 13 2",key:"45s27k"}]]),qv={},Fu=e=>{let t;const n=new Set,r=(h,p)=>{const m=typeof h=="function"?h(t):h;if(!Object.is(m,t)){const d=t;t=p??(typeof m!="object"||m===null)?m:Object.assign({},t,m),n.forEach(x=>x(t,d))}},l=()=>t,u={setState:r,getState:l,getInitialState:()=>c,subscribe:h=>(n.add(h),()=>n.delete(h)),destroy:()=>{(qv?"production":void 0)!=="production"&&console.warn("[DEPRECATED] The `destroy` method will be unsupported in a future version. Instead use unsubscribe function returned by subscribe. Everything will be garbage-collected if store is garbage-collected."),n.clear()}},c=t=e(r,l,u);return u},eg=e=>e?Fu(e):Fu;var Of={exports:{}},Lf={},Df={exports:{}},Af={};/**
- * @license React
- * use-sync-external-store-shim.production.js
- *
- * Copyright (c) Meta Platforms, Inc. and affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var An=w;function tg(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var ng=typeof Object.is=="function"?Object.is:tg,rg=An.useState,lg=An.useEffect,sg=An.useLayoutEffect,og=An.useDebugValue;function ig(e,t){var n=t(),r=rg({inst:{value:n,getSnapshot:t}}),l=r[0].inst,s=r[1];return sg(function(){l.value=n,l.getSnapshot=t,oo(l)&&s({inst:l})},[e,n,t]),lg(function(){return oo(l)&&s({inst:l}),e(function(){oo(l)&&s({inst:l})})},[e]),og(n),n}function oo(e){var t=e.getSnapshot;e=e.value;try{var n=t();return!ng(e,n)}catch{return!0}}function ag(e,t){return t()}var ug=typeof window>"u"||typeof window.document>"u"||typeof window.document.createElement>"u"?ag:ig;Af.useSyncExternalStore=An.useSyncExternalStore!==void 0?An.useSyncExternalStore:ug;Df.exports=Af;var cg=Df.exports;/**
- * @license React
- * use-sync-external-store-shim/with-selector.production.js
- *
- * Copyright (c) Meta Platforms, Inc. and affiliates.
- *
- * This source code is licensed under the MIT license found in the
- * LICENSE file in the root directory of this source tree.
- */var Ps=w,dg=cg;function fg(e,t){return e===t&&(e!==0||1/e===1/t)||e!==e&&t!==t}var pg=typeof Object.is=="function"?Object.is:fg,mg=dg.useSyncExternalStore,hg=Ps.useRef,vg=Ps.useEffect,gg=Ps.useMemo,xg=Ps.useDebugValue;Lf.useSyncExternalStoreWithSelector=function(e,t,n,r,l){var s=hg(null);if(s.current===null){var i={hasValue:!1,value:null};s.current=i}else i=s.current;s=gg(function(){function u(d){if(!c){if(c=!0,h=d,d=r(d),l!==void 0&&i.hasValue){var x=i.value;if(l(x,d))return p=x}return p=d}if(x=p,pg(h,d))return x;var g=r(d);return l!==void 0&&l(x,g)?(h=d,x):(h=d,p=g)}var c=!1,h,p,m=n===void 0?null:n;return[function(){return u(t())},m===null?void 0:function(){return u(m())}]},[t,n,r,l]);var a=mg(e,s[0],s[1]);return vg(function(){i.hasValue=!0,i.value=a},[a]),xg(a),a};Of.exports=Lf;var yg=Of.exports;const wg=gi(yg),Ff={},{useDebugValue:Sg}=as,{useSyncExternalStoreWithSelector:jg}=wg;let $u=!1;const kg=e=>e;function Ng(e,t=kg,n){(Ff?"production":void 0)!=="production"&&n&&!$u&&(console.warn("[DEPRECATED] Use `createWithEqualityFn` instead of `create` or use `useStoreWithEqualityFn` instead of `useStore`. They can be imported from 'zustand/traditional'. https://github.com/pmndrs/zustand/discussions/1937"),$u=!0);const r=jg(e.subscribe,e.getState,e.getServerState||e.getInitialState,t,n);return Sg(r),r}const Uu=e=>{(Ff?"production":void 0)!=="production"&&typeof e!="function"&&console.warn("[DEPRECATED] Passing a vanilla store will be unsupported in a future version. Instead use `import { useStore } from 'zustand'`.");const t=typeof e=="function"?eg(e):e,n=(r,l)=>Ng(t,r,l);return Object.assign(n,t),n},Ur=e=>e?Uu(e):Uu;function Cg(){return"char_"+Date.now().toString(36)+Math.random().toString(36).slice(2,9)}function bg(){return{id:Cg(),name:"",handle:"",background:"street",portrait:null,pronouns:"",attributes:{reflex:0,body:0,tech:0,neural:0,edge:0,presence:0},skills:{firearms:0,heavy_weapons:0,melee:0,evasion:0,netrunning:0,hardware:0,rigging:0,medicine:0,persuasion:0,intimidation:0,deception:0,streetwise:0,perception:0,investigation:0,stealth:0,survival:0},derived:{stress:0,stressMax:5,wounds:[{slot:1,name:null,penalty:-1},{slot:2,name:null,penalty:-2},{slot:3,name:null,penalty:"out"}],armor:0},cyberware:[],gear:[],weapons:[],contacts:[],notes:"",credits:0,experience:0,meta:{created:new Date().toISOString(),lastModified:new Date().toISOString()}}}const xa=Ur(e=>({connectedPlayers:[],setConnectedPlayers:t=>e({connectedPlayers:t}),addConnectedPlayer:t=>e(n=>({connectedPlayers:[...n.connectedPlayers.filter(r=>r.socketId!==t.socketId),t]})),removeConnectedPlayer:t=>e(n=>({connectedPlayers:n.connectedPlayers.filter(r=>r.socketId!==t)})),characters:[],isLoading:!1,error:null,isPanelOpen:!1,isPanelMinimized:!1,panelPosition:{x:100,y:100},selectedCharacterId:null,openPanel:()=>e({isPanelOpen:!0,isPanelMinimized:!1}),closePanel:()=>e({isPanelOpen:!1,selectedCharacterId:null}),toggleMinimize:()=>e(t=>({isPanelMinimized:!t.isPanelMinimized})),setPanelPosition:(t,n)=>e({panelPosition:{x:t,y:n}}),selectCharacter:t=>e({selectedCharacterId:t}),loadCharacters:async()=>{e({isLoading:!0,error:null});try{const t=await fetch("/api/characters");if(!t.ok)throw new Error("Failed to load characters");const n=await t.json(),r=await Promise.all(n.map(async l=>(await fetch(`/api/characters/${l.id}`)).json()));e({characters:r,isLoading:!1})}catch(t){console.error("[PlayerStore] Failed to load characters:",t),e({error:t.message,isLoading:!1})}},saveCharacter:async t=>{try{if(t.meta=t.meta||{},t.meta.lastModified=new Date().toISOString(),!(await fetch("/api/characters",{method:"POST",headers:{"Content-Type":"application/json"},body:JSON.stringify(t)})).ok)throw new Error("Failed to save character");e(r=>{const l=r.characters.findIndex(s=>s.id===t.id);if(l>=0){const s=[...r.characters];return s[l]=t,{characters:s}}else return{characters:[...r.characters,t]}})}catch(n){throw console.error("[PlayerStore] Failed to save character:",n),n}},deleteCharacter:async t=>{try{if(!(await fetch(`/api/characters/${t}`,{method:"DELETE"})).ok)throw new Error("Failed to delete character");e(r=>({characters:r.characters.filter(l=>l.id!==t),selectedCharacterId:r.selectedCharacterId===t?null:r.selectedCharacterId}))}catch(n){throw console.error("[PlayerStore] Failed to delete character:",n),n}},createNewCharacter:()=>{const t=bg();return e(n=>({characters:[...n.characters,t],selectedCharacterId:t.id})),t}}));function Eg({sceneLabel:e,position:t,activeSceneLabel:n,isViewingActive:r,onSettings:l,onExportAll:s,onClose:i}){const{connectedPlayers:a,isPanelOpen:u,openPanel:c}=xa(),h=a.filter(p=>p.role==="player").length;return o.jsx("header",{className:I("px-4 flex flex-col justify-center","bg-neutral-800 border-b border-neutral-700",r?"h-12":"h-16"),children:o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsx("div",{className:"flex-1 min-w-0",children:r?o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(it,{size:14,className:"text-green-400 flex-shrink-0"}),o.jsx("h1",{className:"text-lg font-semibold truncate text-green-100",children:e})]}):o.jsxs("div",{className:"space-y-0.5",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(Cs,{size:12,className:"text-amber-400 flex-shrink-0"}),o.jsx("span",{className:"text-xs text-amber-400 uppercase tracking-wide",children:"Viewing"}),o.jsx("span",{className:"text-sm font-medium text-neutral-100 truncate",children:e})]}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(it,{size:12,className:"text-green-400 flex-shrink-0"}),o.jsx("span",{className:"text-xs text-green-400 uppercase tracking-wide",children:"Active"}),o.jsx("span",{className:"text-sm text-neutral-400 truncate",children:n||"None"})]})]})}),o.jsxs("div",{className:"flex items-center gap-4 flex-shrink-0",children:[o.jsx("span",{className:"text-neutral-400 text-sm font-mono",children:t}),o.jsxs("button",{onClick:c,className:I("px-3 py-1.5 rounded text-xs font-medium flex items-center gap-1.5 transition-colors",u?"bg-cyan-600 text-white":"bg-neutral-700 hover:bg-neutral-600 text-neutral-200",h>0&&"ring-1 ring-green-400/50"),title:"Manage player characters",children:[o.jsx(at,{size:14}),o.jsx("span",{children:h}),h>0&&o.jsx("span",{className:"w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse"})]}),o.jsxs("button",{onClick:s,className:"px-3 py-1.5 rounded text-xs font-medium flex items-center gap-1.5 bg-cyan-700 hover:bg-cyan-600 text-white",title:"Export full adventure bundle for LLMs",children:[o.jsx(Mf,{size:14}),o.jsx("span",{children:"Export All"})]}),o.jsx("button",{onClick:l,className:"p-1.5 rounded hover:bg-neutral-700 text-neutral-400 hover:text-neutral-100 transition-colors",title:"Settings",children:o.jsx(Qv,{size:18})}),o.jsx("button",{onClick:i,className:"p-1.5 rounded hover:bg-neutral-700 text-neutral-400 hover:text-neutral-100 transition-colors",title:"Close (G)",children:o.jsx(ct,{size:18})})]})]})})}function Pg({trail:e,hubLabel:t,onHub:n}){const r=e.length>4?[e[0],{label:"...",onClick:()=>{}},...e.slice(-2)]:e;return o.jsxs("nav",{className:I("h-8 px-4 flex items-center gap-2","bg-neutral-850 text-sm border-b border-neutral-800"),children:[r.map((l,s)=>o.jsxs(w.Fragment,{children:[s>0&&o.jsx(bs,{size:14,className:"text-neutral-500 flex-shrink-0"}),o.jsx("button",{onClick:l.onClick,disabled:l.label==="...",className:I("hover:text-cyan-400 transition-colors truncate",l.label==="..."&&"cursor-default text-neutral-500"),children:l.label})]},s)),o.jsx("div",{className:"flex-1"}),t&&n&&o.jsxs("button",{onClick:n,className:"flex items-center gap-1 text-amber-400 hover:text-amber-300 transition-colors",children:[o.jsx($v,{size:14}),o.jsx("span",{children:t})]})]})}const J=Ur((e,t)=>({isVisible:!0,setVisible:n=>e({isVisible:n}),toggle:()=>e(n=>({isVisible:!n.isVisible})),currentView:"narrative",viewStack:[],selectedNPC:null,selectedItem:null,breadcrumbs:[],activeSection:"narrative",setActiveSection:n=>e({activeSection:n}),activeModal:null,modalData:null,openModal:(n,r)=>e({activeModal:n,modalData:r}),closeModal:()=>e({activeModal:null,modalData:null}),pushView:(n,r,l)=>{const{currentView:s,viewStack:i,breadcrumbs:a}=t();let u=l||n;(n==="npc"&&r&&typeof r=="object"&&"name"in r||n==="item"&&r&&typeof r=="object"&&"name"in r)&&(u=r.name),e({viewStack:[...i,{view:s,data:r}],currentView:n,selectedNPC:n==="npc"?r:null,selectedItem:n==="item"?r:null,breadcrumbs:[...a,{label:u,view:n,data:r}]})},popView:()=>{const{viewStack:n,breadcrumbs:r}=t();if(n.length===0)return;const l=n[n.length-1];e({viewStack:n.slice(0,-1),currentView:l.view,selectedNPC:l.view==="npc"?l.data:null,selectedItem:l.view==="item"?l.data:null,breadcrumbs:r.slice(0,-1)})},resetToNarrative:()=>{e({currentView:"narrative",viewStack:[],selectedNPC:null,selectedItem:null,breadcrumbs:[],activeSection:"narrative"})},navigateToBreadcrumb:n=>{const{breadcrumbs:r}=t();if(n<0||n>=r.length)return;const l=r[n];e({currentView:l.view,viewStack:[],selectedNPC:l.view==="npc"?l.data:null,selectedItem:l.view==="item"?l.data:null,breadcrumbs:r.slice(0,n+1)})},selectNPC:n=>{t().pushView("npc",n,n.name)},selectItem:n=>{t().pushView("item",n,n.name)}})),me=Ur((e,t)=>({scenes:[],currentIndex:0,currentScene:null,loading:!1,error:null,activeSceneId:null,activeSceneIndex:0,activeScene:null,loadScenes:async n=>{e({loading:!0,error:null});try{const r=await fetch(`/api/adventures/${n}/scenes`);if(!r.ok)throw new Error(`Failed to load scenes: ${r.statusText}`);const l=await r.json(),s=l[0]||null;e({scenes:l,currentIndex:0,currentScene:s,loading:!1,activeSceneId:(s==null?void 0:s.id)||null,activeSceneIndex:0,activeScene:s})}catch(r){console.error("[SceneStore] Failed to load scenes:",r),e({error:r instanceof Error?r.message:"Failed to load scenes",loading:!1});try{const l=await fetch("/api/scenes");if(l.ok){const s=await l.json(),i=s[0]||null;e({scenes:s,currentIndex:0,currentScene:i,loading:!1,error:null,activeSceneId:(i==null?void 0:i.id)||null,activeSceneIndex:0,activeScene:i})}}catch{}}},goToScene:n=>{const{scenes:r}=t();n>=0&&n<r.length&&(e({currentIndex:n,currentScene:r[n]}),window.dispatchEvent(new CustomEvent("gm-overlay:scene-change",{detail:{scene:r[n],index:n}})))},goToSceneById:n=>{const{scenes:r,goToScene:l}=t(),s=r.findIndex(i=>i.id===n);s!==-1&&l(s)},nextScene:()=>{const{currentIndex:n,scenes:r,goToScene:l}=t();n<r.length-1&&l(n+1)},prevScene:()=>{const{currentIndex:n,goToScene:r}=t();n>0&&r(n-1)},hasNext:()=>{const{currentIndex:n,scenes:r}=t();return n<r.length-1},hasPrev:()=>{const{currentIndex:n}=t();return n>0},activateScene:n=>{const{scenes:r}=t(),l=r.findIndex(i=>i.id===n);if(l===-1)return;const s=r[l];e({activeSceneId:n,activeSceneIndex:l,activeScene:s}),window.dispatchEvent(new CustomEvent("gm-overlay:activate-scene",{detail:{sceneId:n,scene:s,index:l}})),console.log("[SceneStore] Scene activated:",s.title)},activateCurrentScene:()=>{const{currentScene:n}=t();n&&t().activateScene(n.id)},isActiveScene:n=>{const{activeSceneId:r,currentScene:l}=t();return(n??(l==null?void 0:l.id))===r},isViewingActiveScene:()=>{const{currentScene:n,activeSceneId:r}=t();return(n==null?void 0:n.id)===r},updateSceneImage:(n,r,l)=>{const{scenes:s,currentScene:i,activeScene:a}=t(),u=s.map(p=>p.id===n?{...p,image:r??void 0,imageUrl:l??void 0}:p),c=(i==null?void 0:i.id)===n?{...i,image:r??void 0,imageUrl:l??void 0}:i,h=(a==null?void 0:a.id)===n?{...a,image:r??void 0,imageUrl:l??void 0}:a;e({scenes:u,currentScene:c,activeScene:h}),console.log(`[SceneStore] Updated image for scene ${n}:`,r)}})),Mg=[{id:"location",icon:Ir,label:"Location"},{id:"narrative",icon:Cs,label:"Narrative"},{id:"npcs",icon:at,label:"NPCs"},{id:"checks",icon:Bn,label:"Checks"},{id:"triggers",icon:Es,label:"Triggers"},{id:"dialogue",icon:_f,label:"Dialogue"}];function _g(){var s,i,a;const{activeSection:e,setActiveSection:t}=J(),{currentScene:n}=me(),r=new Set;n&&((n.location||n.environment)&&r.add("location"),n.narrative&&r.add("narrative"),(s=n.npcs)!=null&&s.length&&r.add("npcs"),(i=n.challenges)!=null&&i.length&&r.add("checks"),(a=n.triggers)!=null&&a.length&&r.add("triggers"),n.conversation&&r.add("dialogue"));const l=u=>{t(u);const c=document.getElementById(`section-${u}`);c&&c.scrollIntoView({behavior:"smooth",block:"start"})};return o.jsx("nav",{className:I("h-10 px-4 flex items-center gap-1","bg-neutral-800 border-b border-neutral-700"),children:Mg.map(({id:u,icon:c,label:h})=>{const p=r.has(u),m=e===u;return o.jsxs("button",{onClick:()=>p&&l(u),disabled:!p,className:I("px-3 py-1 rounded flex items-center gap-1.5 text-sm transition-colors",m&&"bg-cyan-600 text-white",!m&&p&&"hover:bg-neutral-700 text-neutral-300",!p&&"opacity-40 cursor-not-allowed text-neutral-500"),children:[o.jsx(c,{size:14}),o.jsx("span",{className:"hidden sm:inline",children:h})]},u)})})}function V({id:e,title:t,icon:n,variant:r="default",action:l,children:s}){return o.jsxs("section",{id:e?`section-${e}`:void 0,className:I("space-y-2",r==="secret"&&"border-l-2 border-red-600 pl-3"),children:[o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsxs("h3",{className:I("text-sm font-semibold uppercase tracking-wide flex items-center gap-2",r==="default"&&"text-amber-500",r==="secret"&&"text-red-400"),children:[n&&o.jsx(n,{size:14}),t]}),l]}),o.jsx("div",{className:"text-neutral-300",children:s})]})}function zg({name:e,id:t}){const{selectNPC:n}=J(),r=async()=>{try{const l=t||e.toLowerCase().replace(/\s+/g,"_"),s=await fetch(`/api/npcs/${l}`);if(s.ok){const i=await s.json();n(i)}else console.warn(`NPC not found: ${e}`)}catch(l){console.error("Failed to load NPC:",l)}};return o.jsxs("button",{onClick:r,className:"text-cyan-400 hover:text-cyan-300 hover:underline transition-colors",children:["[",e,"]"]})}function Ig({scene:e}){var x;const{scenes:t,goToSceneById:n,activateScene:r,isActiveScene:l}=me(),{openModal:s}=J(),i=e.transitions,a=t.findIndex(g=>g.id===e.id),u=a>=0&&a<t.length-1?t[a+1]:null,c=(i==null?void 0:i.next)||(u?[{targetSceneId:u.id,label:`Scene ${u.scene}: ${u.title}`,description:((x=u.narrative)==null?void 0:x.substring(0,100))+"..."}]:[]),h=(i==null?void 0:i.branches)||[],p=g=>{n(g)},m=g=>{r(g),n(g)},d=()=>{s("sceneJumper")};return c.length===0&&h.length===0?o.jsx("div",{className:"mt-8 pt-6 border-t-2 border-neutral-600",children:o.jsxs("div",{className:"text-center text-neutral-500 py-4",children:[o.jsx("p",{className:"text-sm",children:"End of adventure"}),o.jsxs("button",{onClick:d,className:"mt-3 px-4 py-2 bg-neutral-700 hover:bg-neutral-600 rounded text-sm flex items-center gap-2 mx-auto",children:[o.jsx(pi,{size:14}),"Jump to Any Scene..."]})]})}):o.jsxs("div",{className:"mt-8 pt-6 border-t-2 border-neutral-600",children:[o.jsxs("h3",{className:"text-lg font-semibold text-amber-400 flex items-center gap-2 mb-4",children:[o.jsx(it,{size:18}),"Scene Transitions"]}),c.length>0&&o.jsxs("div",{className:"mb-4",children:[o.jsx("p",{className:"text-sm text-neutral-400 mb-2",children:"Continue to:"}),o.jsx("div",{className:"space-y-2",children:c.map((g,S)=>o.jsx(Vu,{transition:g,icon:o.jsx(bf,{size:16}),isActive:l(g.targetSceneId),onView:()=>p(g.targetSceneId),onActivate:()=>m(g.targetSceneId)},g.targetSceneId||S))})]}),h.length>0&&o.jsxs("div",{className:"mb-4",children:[o.jsx("p",{className:"text-sm text-neutral-400 mb-2",children:"Or branch to:"}),o.jsx("div",{className:"space-y-2",children:h.map((g,S)=>o.jsx(Vu,{transition:g,icon:o.jsx(Fv,{size:16}),isActive:l(g.targetSceneId),onView:()=>p(g.targetSceneId),onActivate:()=>m(g.targetSceneId),variant:"branch"},g.targetSceneId||S))})]}),o.jsx("div",{className:"pt-4 border-t border-neutral-700",children:o.jsxs("button",{onClick:d,className:"w-full px-4 py-2 bg-neutral-700 hover:bg-neutral-600 rounded text-sm flex items-center justify-center gap-2",children:[o.jsx(pi,{size:14}),"Jump to Any Scene..."]})})]})}function Vu({transition:e,icon:t,isActive:n,onView:r,onActivate:l,variant:s="next"}){return o.jsx("div",{className:I("p-3 rounded border",s==="branch"?"bg-purple-900/20 border-purple-700/50":"bg-neutral-800 border-neutral-700",n&&"ring-2 ring-green-500/50"),children:o.jsxs("div",{className:"flex items-start justify-between gap-3",children:[o.jsxs("div",{className:"flex items-start gap-2 flex-1 min-w-0",children:[o.jsx("span",{className:I("mt-0.5",s==="branch"?"text-purple-400":"text-cyan-400"),children:t}),o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsxs("p",{className:"font-medium text-neutral-100 truncate",children:[e.label,n&&o.jsx("span",{className:"ml-2 text-xs text-green-400",children:"(ACTIVE)"})]}),e.description&&o.jsx("p",{className:"text-sm text-neutral-400 mt-1 line-clamp-2",children:e.description}),e.condition&&o.jsxs("p",{className:"text-xs text-amber-400 mt-1 italic",children:["Condition: ",e.condition]})]})]}),o.jsxs("div",{className:"flex items-center gap-2 flex-shrink-0",children:[o.jsx("button",{onClick:r,className:"px-3 py-1.5 text-xs bg-neutral-700 hover:bg-neutral-600 rounded",children:"View"}),o.jsx("button",{onClick:l,disabled:n,className:I("px-3 py-1.5 text-xs rounded font-medium",n?"bg-green-900/50 text-green-400 cursor-not-allowed":"bg-amber-600 hover:bg-amber-500 text-white"),children:n?"Active":"Activate"})]})]})})}function Tg(){const{currentScene:e,updateSceneImage:t}=me(),[n,r]=w.useState(!1),[l,s]=w.useState(null),i=w.useRef(null);if(!e)return null;const a=e.imageUrl?e.imageUrl:e.image?`/assets/scene_backgrounds/${e.image}`:null,u=()=>{var p;(p=i.current)==null||p.click()},c=async p=>{var d;const m=(d=p.target.files)==null?void 0:d[0];if(!(!m||!e)){r(!0),s(null);try{const x=new FormData;x.append("image",m);const g=await fetch(`/api/scenes/${e.id}/image`,{method:"POST",body:x});if(!g.ok){const v=await g.json();throw new Error(v.error||"Failed to upload image")}const S=await g.json();t(e.id,S.image,S.imageUrl),console.log("[SceneImageManager] Image uploaded:",S)}catch(x){console.error("[SceneImageManager] Upload error:",x),s(x instanceof Error?x.message:"Failed to upload image")}finally{r(!1),i.current&&(i.current.value="")}}},h=async()=>{if(!(!e||!e.image)&&confirm("Remove the background image from this scene?")){r(!0),s(null);try{const p=await fetch(`/api/scenes/${e.id}/image`,{method:"DELETE"});if(!p.ok){const m=await p.json();throw new Error(m.error||"Failed to remove image")}t(e.id,null,null),console.log("[SceneImageManager] Image removed")}catch(p){console.error("[SceneImageManager] Remove error:",p),s(p instanceof Error?p.message:"Failed to remove image")}finally{r(!1)}}};return o.jsxs("div",{className:"text-xs",children:[o.jsxs("div",{className:I("relative h-36 w-full rounded-md overflow-hidden","border border-neutral-700","bg-neutral-800"),children:[a?o.jsx("img",{src:a,alt:e.title,className:"w-full h-full object-cover",onError:p=>{p.target.style.display="none"}}):o.jsx("div",{className:"absolute inset-0 flex items-center justify-center text-neutral-500",children:o.jsxs("div",{className:"text-center",children:[o.jsx(Ru,{size:20,className:"mx-auto mb-1 opacity-50"}),o.jsx("span",{className:"text-[11px]",children:"No image"})]})}),n&&o.jsx("div",{className:"absolute inset-0 bg-black/60 flex items-center justify-center",children:o.jsx(Wv,{size:18,className:"animate-spin text-cyan-400"})})]}),o.jsxs("div",{className:"mt-2 space-y-1 min-w-0",children:[o.jsxs("div",{className:"flex items-center justify-between gap-2",children:[o.jsxs("span",{className:"flex items-center gap-1 text-[11px] text-neutral-400",children:[o.jsx(Ru,{size:10}),"Scene Image"]}),e.image&&o.jsx("span",{className:"text-[10px] text-neutral-500 truncate max-w-[10rem]",title:e.image,children:e.image})]}),o.jsxs("div",{className:"flex gap-2",children:[o.jsxs("button",{onClick:u,disabled:n,className:I("flex-1 px-3 py-1.5 rounded text-[11px] font-medium flex items-center justify-center gap-1.5","bg-cyan-700 hover:bg-cyan-600 text-white","disabled:opacity-50 disabled:cursor-not-allowed"),children:[o.jsx(Rf,{size:11}),e.image?"Replace":"Upload"]}),e.image&&o.jsx("button",{onClick:h,disabled:n,className:I("px-3 py-1.5 rounded text-[11px] font-medium flex items-center justify-center gap-1.5","bg-red-700 hover:bg-red-600 text-white","disabled:opacity-50 disabled:cursor-not-allowed"),title:"Remove image",children:o.jsx(Tf,{size:11})})]}),l?o.jsx("p",{className:"text-[10px] text-red-400 truncate",children:l}):o.jsx("p",{className:"text-[10px] text-neutral-500 truncate",children:"Auto-named from scene id."}),o.jsx("input",{ref:i,type:"file",accept:"image/png,image/jpeg,image/webp,image/gif",onChange:c,className:"hidden"})]})]})}function Rg({scene:e}){return e?o.jsxs("div",{className:"space-y-4",children:[o.jsxs(V,{id:"location",title:"Location",icon:Ir,children:[o.jsx("p",{className:"text-lg font-medium text-neutral-100",children:e.location}),e.environment&&o.jsxs("dl",{className:"mt-3 grid grid-cols-2 gap-x-4 gap-y-2 text-sm",children:[e.environment.tone&&o.jsxs(o.Fragment,{children:[o.jsx("dt",{className:"text-neutral-400",children:"Tone"}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.tone})]}),e.environment.lighting&&o.jsxs(o.Fragment,{children:[o.jsxs("dt",{className:"text-neutral-400 flex items-center gap-2",children:[o.jsx(Au,{size:14})," Lighting",e.environment.lighting.actuator&&o.jsx(Bu,{icon:o.jsx(Au,{size:12}),label:"Apply",onClick:()=>{var t;return $g((t=e.environment)==null?void 0:t.lighting)}})]}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.lighting.description})]}),e.environment.audio&&o.jsxs(o.Fragment,{children:[o.jsxs("dt",{className:"text-neutral-400 flex items-center gap-2",children:[o.jsx(Zv,{size:14})," Audio",e.environment.audio.actuator&&o.jsx(Bu,{icon:o.jsx(it,{size:12}),label:"Play",onClick:()=>{var t;return Ug((t=e.environment)==null?void 0:t.audio)}})]}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.audio.description})]}),e.environment.smell&&o.jsxs(o.Fragment,{children:[o.jsx("dt",{className:"text-neutral-400",children:"Smell"}),o.jsx("dd",{className:"text-neutral-200",children:e.environment.smell})]})]})]}),o.jsx(V,{id:"narrative",title:"Narrative",icon:Cs,action:o.jsxs("button",{onClick:()=>J.getState().pushView("karaoke",e,"Karaoke"),className:"flex items-center gap-1 text-xs text-amber-400 hover:text-amber-300",children:[o.jsx(zf,{size:12})," Karaoke"]}),children:o.jsxs("div",{className:"relative",children:[o.jsx("div",{className:"float-right ml-6 mb-3 w-72 max-w-[40%]",children:o.jsx(Tg,{})}),o.jsx(Og,{text:e.narrative}),o.jsx("div",{className:"clear-both"})]})}),e.npcs&&e.npcs.length>0&&o.jsx(V,{id:"npcs",title:"NPCs in Scene",icon:at,children:o.jsx("ul",{className:"space-y-1",children:e.npcs.map(t=>o.jsx(Lg,{npc:t},t.id))})}),e.challenges&&e.challenges.length>0&&o.jsx(V,{id:"checks",title:"Skill Checks",icon:Bn,children:o.jsx("ul",{className:"space-y-2",children:e.challenges.map(t=>o.jsx(Dg,{check:t},t.id))})}),e.triggers&&e.triggers.length>0&&o.jsx(V,{id:"triggers",title:"Triggers",icon:Es,children:o.jsx("ul",{className:"space-y-2",children:e.triggers.map(t=>o.jsx(Ag,{trigger:t},t.id))})}),e.conversation&&o.jsx(V,{id:"dialogue",title:"Conversation Guide",icon:_f,children:o.jsx(Fg,{conversation:e.conversation})}),o.jsx(Ig,{scene:e})]}):o.jsx("div",{className:"flex items-center justify-center h-64 text-neutral-500",children:"No scene loaded"})}function Og({text:e}){const t=e.split(/(\[[^\]]+\])/g);return o.jsx("div",{className:"prose prose-invert prose-sm max-w-none",children:t.map((n,r)=>{if(n.startsWith("[")&&n.endsWith("]")){const l=n.slice(1,-1);return o.jsx(zg,{name:l},r)}return o.jsx("span",{children:n},r)})})}function Lg({npc:e}){const{selectNPC:t}=J(),n={active:"●",passive:"○",hidden:"◐",defeated:"✗"}[e.state],r={active:"text-green-400",passive:"text-neutral-400",hidden:"text-blue-400",defeated:"text-red-400"}[e.state],l=async()=>{try{const s=await fetch(`/api/npcs/${e.statblock||e.id}?role=gm`);if(s.ok){const i=await s.json();t(i)}}catch(s){console.error("Failed to load NPC:",s)}};return o.jsx("li",{children:o.jsxs("button",{onClick:l,className:I("flex items-center gap-2 w-full text-left px-2 py-1 rounded","hover:bg-neutral-700 transition-colors"),children:[o.jsx("span",{className:r,children:n}),o.jsxs("span",{className:"text-cyan-400 hover:text-cyan-300",children:["[",e.name,"]"]}),o.jsxs("span",{className:"text-neutral-400",children:["- ",e.role]})]})})}function Dg({check:e}){const t={active:"ACTIVE",passive:"PASSIVE",hidden:"HIDDEN"}[e.type],n={active:"badge-cyan",passive:"badge-green",hidden:"badge-amber"}[e.type],r=()=>{const l=Math.floor(Math.random()*20)+1,s=l>=e.dc;console.log(`[GM] ${e.name} (DC ${e.dc}): d20 = ${l} - ${s?"SUCCESS":"FAIL"}`)};return o.jsxs("li",{className:"flex items-center justify-between p-2 bg-neutral-800 rounded",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(Bn,{size:14,className:"text-amber-400"}),o.jsx("span",{className:"font-medium",children:e.skill}),o.jsxs("span",{className:"text-neutral-400",children:["DC ",e.dc]}),o.jsxs("span",{className:"text-neutral-300",children:["- ",e.name]}),o.jsx("span",{className:I("badge",n),children:t})]}),o.jsx("button",{onClick:r,className:"btn btn-secondary text-xs",children:"Roll"})]})}function Ag({trigger:e}){const t=()=>{console.log("[GM] Trigger fired:",e.label)};return o.jsxs("li",{className:"flex items-center justify-between p-2 bg-neutral-800 rounded",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(Es,{size:14,className:"text-yellow-400"}),o.jsx("span",{className:"font-medium",children:e.label}),e.text&&o.jsxs("span",{className:"text-neutral-400 text-sm truncate max-w-xs",children:["- ",e.text]}),e.irreversible&&o.jsx("span",{className:"badge badge-red",children:"Irreversible"})]}),o.jsx("button",{onClick:t,className:"btn btn-secondary text-xs",children:"Fire"})]})}function Fg({conversation:e}){return e?o.jsxs("div",{className:"space-y-3",children:[o.jsxs("div",{className:"space-y-1",children:[e.imperatives.must.map((t,n)=>o.jsxs("div",{className:"text-sm px-2 py-1 bg-green-900/30 border border-green-700 rounded",children:[o.jsx("span",{className:"text-green-400 font-medium",children:"MUST:"})," ",t]},n)),e.imperatives.must_not.map((t,n)=>o.jsxs("div",{className:"text-sm px-2 py-1 bg-red-900/30 border border-red-700 rounded",children:[o.jsx("span",{className:"text-red-400 font-medium",children:"MUST NOT:"})," ",t]},n))]}),o.jsxs("p",{className:"text-sm text-neutral-400",children:[e.topics.length," conversation topics available"]}),o.jsx("button",{onClick:()=>J.getState().pushView("conversation",e,"Conversation"),className:"btn btn-secondary text-sm",children:"Open Full Guide"})]}):null}function Bu({icon:e,label:t,onClick:n}){return o.jsxs("button",{onClick:n,className:"ml-2 px-1.5 py-0.5 text-xs bg-cyan-600 hover:bg-cyan-500 rounded flex items-center gap-1",children:[e,t]})}function $g(e){e&&(console.log("[GM] Applying lighting:",e.preset||e.description),window.dispatchEvent(new CustomEvent("gm-overlay:lighting",{detail:e})))}function Ug(e){e&&(console.log("[GM] Playing audio:",e.tracks||e.description),window.dispatchEvent(new CustomEvent("gm-overlay:audio",{detail:e})))}function Vg({npc:e}){const{popView:t}=J(),n=()=>{window.open(`/npc/${e.id}`,"_blank","width=600,height=800")};return o.jsxs("div",{className:"space-y-4",children:[o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsxs("button",{onClick:t,className:"flex items-center gap-1 text-cyan-400 hover:text-cyan-300",children:[o.jsx(Ns,{size:16})," Back to Scene"]}),o.jsx("button",{onClick:n,className:"text-neutral-400 hover:text-neutral-100",title:"Pop out",children:o.jsx(Tv,{size:16})})]}),o.jsxs("header",{className:"border-b border-neutral-700 pb-4",children:[o.jsx("h2",{className:"text-2xl font-bold",children:e.name}),o.jsxs("p",{className:"text-neutral-400",children:[e.pronouns&&`(${e.pronouns}) `,e.species&&`[${e.species}] `,e.faction&&`[Faction: ${e.faction}]`]}),o.jsxs("p",{className:"text-lg text-neutral-200",children:[e.role,e.archetype&&` | ${e.archetype}`]}),o.jsxs("div",{className:"mt-3 flex flex-wrap gap-2",children:[o.jsx(ml,{icon:o.jsx(Pf,{size:14}),label:"Show Image",onClick:()=>Bg(e)}),o.jsx(ml,{icon:o.jsx(Ir,{size:14}),label:"Ping Token",onClick:()=>Wg(e)}),o.jsx(ml,{icon:o.jsx(Rv,{size:14}),label:"Hide",onClick:()=>Hg(e)}),o.jsx(ml,{icon:o.jsx(Xv,{size:14}),label:"Kill",variant:"danger",onClick:()=>Gg(e)})]})]}),o.jsx(V,{title:"Description",children:o.jsx("p",{className:"text-neutral-300",children:e.description})}),e.appearance&&o.jsx(V,{title:"Appearance",children:o.jsx("p",{className:"text-neutral-300",children:e.appearance})}),e.demeanor&&o.jsx(V,{title:"Demeanor",children:o.jsx("p",{className:"text-neutral-300",children:e.demeanor})}),e.known_facts&&e.known_facts.length>0&&o.jsx(V,{title:"Known Facts",children:o.jsx("ul",{className:"list-disc list-inside space-y-1 text-neutral-300",children:e.known_facts.map((r,l)=>o.jsx("li",{children:r},l))})}),e.linked_entities&&e.linked_entities.length>0&&o.jsx(V,{title:"Linked Entities",children:o.jsx("div",{className:"flex flex-wrap gap-2",children:e.linked_entities.map(r=>o.jsx("span",{className:I("badge",r.type==="faction"&&"badge-amber",r.type==="location"&&"badge-green",r.type==="npc"&&"badge-cyan",r.type==="item"&&"badge-red"),children:r.label},r.id))})}),e.stats&&o.jsx(V,{title:"Stats",children:o.jsxs("div",{className:"grid grid-cols-2 sm:grid-cols-4 gap-4 text-sm",children:[o.jsx(tr,{label:"Stress",value:`${e.stats.stress}/${e.stats.stressMax}`}),o.jsx(tr,{label:"Wounds",value:e.stats.wounds}),o.jsx(tr,{label:"Armor",value:e.stats.armor}),o.jsx(tr,{label:"Attack",value:`+${e.stats.attack}`}),e.stats.defense&&o.jsx(tr,{label:"Defense",value:e.stats.defense})]})}),e.attributes&&o.jsx(V,{title:"Attributes",children:o.jsx("div",{className:"flex flex-wrap gap-3 text-sm font-mono",children:Object.entries(e.attributes).map(([r,l])=>o.jsxs("span",{className:"text-neutral-300",children:[o.jsx("span",{className:"text-neutral-500",children:r.toUpperCase()})," ",o.jsxs("span",{className:l>=0?"text-green-400":"text-red-400",children:[l>=0?"+":"",l]})]},r))})}),e.skills&&o.jsx(V,{title:"Skills",children:o.jsx("div",{className:"space-y-1 text-sm",children:Object.entries(e.skills).map(([r,l])=>l&&o.jsxs("div",{className:"flex justify-between",children:[o.jsxs("span",{className:"text-neutral-400 capitalize",children:[r,":"]}),o.jsx("span",{className:"text-neutral-200",children:l})]},r))})}),e.abilities&&e.abilities.length>0&&o.jsx(V,{title:"Abilities",children:o.jsx("div",{className:"space-y-3",children:e.abilities.map((r,l)=>o.jsxs("div",{className:"p-2 bg-neutral-800 rounded",children:[o.jsxs("div",{className:"flex items-center gap-2 font-medium",children:[r.icon&&o.jsx("span",{children:r.icon}),r.name]}),o.jsx("p",{className:"text-sm text-neutral-400 mt-1",children:r.description})]},l))})}),e.weapons&&e.weapons.length>0&&o.jsx(V,{title:"Weapons",children:o.jsx("div",{className:"space-y-2",children:e.weapons.map((r,l)=>o.jsxs("div",{className:"flex justify-between text-sm p-2 bg-neutral-800 rounded",children:[o.jsx("span",{className:"font-medium",children:r.name}),o.jsx("span",{className:"text-amber-400",children:r.damage}),r.range&&o.jsx("span",{className:"text-neutral-400",children:r.range})]},l))})}),e.cyberware&&e.cyberware.length>0&&o.jsx(V,{title:"Cyberware",children:o.jsx("ul",{className:"list-disc list-inside space-y-1 text-neutral-300 text-sm",children:e.cyberware.map((r,l)=>o.jsx("li",{children:r},l))})}),e.loot&&e.loot.length>0&&o.jsx(V,{title:"Loot",children:o.jsx("div",{className:"space-y-1 text-sm",children:e.loot.map((r,l)=>o.jsxs("div",{className:"flex justify-between",children:[o.jsx("span",{className:"text-neutral-300",children:r.item}),o.jsxs("span",{className:"text-neutral-500",children:[r.chance,"%"]})]},l))})}),e.secrets&&Object.keys(e.secrets).length>0&&o.jsx(V,{title:"Secrets",icon:Uv,variant:"secret",children:o.jsx("div",{className:"space-y-2",children:Object.entries(e.secrets).map(([r,l])=>o.jsxs("div",{className:"p-2 bg-red-900/20 border border-red-800 rounded",children:[o.jsxs("span",{className:"text-red-400 font-medium capitalize",children:[r,":"]})," ",o.jsx("span",{className:"text-neutral-300",children:l})]},r))})}),e.behavior&&o.jsx(V,{title:"Behavior",children:o.jsxs("div",{className:"space-y-2 text-sm",children:[e.behavior.tactics&&o.jsxs("div",{children:[o.jsx("span",{className:"text-neutral-400",children:"Tactics:"})," ",o.jsx("span",{className:"text-neutral-200",children:e.behavior.tactics})]}),e.behavior.morale&&o.jsxs("div",{children:[o.jsx("span",{className:"text-neutral-400",children:"Morale:"})," ",o.jsx("span",{className:"text-neutral-200",children:e.behavior.morale})]}),e.behavior.motivation&&o.jsxs("div",{children:[o.jsx("span",{className:"text-neutral-400",children:"Motivation:"})," ",o.jsx("span",{className:"text-neutral-200",children:e.behavior.motivation})]})]})}),e.notes&&o.jsx(V,{title:"GM Notes",children:o.jsx("p",{className:"text-neutral-300 text-sm",children:e.notes})})]})}function tr({label:e,value:t}){return o.jsxs("div",{className:"p-2 bg-neutral-800 rounded text-center",children:[o.jsx("div",{className:"text-neutral-400 text-xs",children:e}),o.jsx("div",{className:"text-lg font-bold",children:t})]})}function ml({icon:e,label:t,variant:n="default",onClick:r}){return o.jsxs("button",{onClick:r,className:I("btn flex items-center gap-1.5",n==="default"&&"btn-secondary",n==="danger"&&"btn-danger"),children:[e,t]})}function Bg(e){console.log("[GM] Show image:",e.image),window.dispatchEvent(new CustomEvent("gm-overlay:show-image",{detail:e}))}function Wg(e){console.log("[GM] Ping token:",e.token),window.dispatchEvent(new CustomEvent("gm-overlay:ping-token",{detail:e}))}function Hg(e){console.log("[GM] Hide NPC:",e.id),window.dispatchEvent(new CustomEvent("gm-overlay:hide-npc",{detail:e}))}function Gg(e){console.log("[GM] Kill NPC:",e.id),window.dispatchEvent(new CustomEvent("gm-overlay:kill-npc",{detail:e}))}function Kg({item:e}){const{popView:t}=J();return o.jsxs("div",{className:"space-y-4",children:[o.jsxs("button",{onClick:t,className:"flex items-center gap-1 text-cyan-400 hover:text-cyan-300",children:[o.jsx(Ns,{size:16})," Back to Scene"]}),o.jsxs("header",{className:"border-b border-neutral-700 pb-4",children:[o.jsx("h2",{className:"text-2xl font-bold",children:e.name}),o.jsx("p",{className:"text-neutral-400",children:e.type}),e.value&&o.jsx("p",{className:"text-amber-400 font-mono",children:e.value})]}),o.jsx(V,{title:"Description",children:o.jsx("p",{className:"text-neutral-300",children:e.description})}),e.properties&&Object.keys(e.properties).length>0&&o.jsx(V,{title:"Properties",children:o.jsx("dl",{className:"grid grid-cols-2 gap-2 text-sm",children:Object.entries(e.properties).map(([n,r])=>o.jsxs("div",{children:[o.jsx("dt",{className:"text-neutral-400 capitalize",children:n}),o.jsx("dd",{className:"text-neutral-200",children:r})]},n))})}),e.notes&&o.jsx(V,{title:"GM Notes",children:o.jsx("p",{className:"text-neutral-300 text-sm",children:e.notes})})]})}const Qg={neutral:"😐",sad:"😢",angry:"😠",happy:"😊",fearful:"😨"},Yg={neutral:"NEUTRAL TOPICS",sad:"SAD TOPICS (Makes NPC melancholy, more honest)",angry:"ANGRY TOPICS (Makes NPC defensive, evasive)",happy:"HAPPY TOPICS (Makes NPC friendly, talkative)",fearful:"FEARFUL TOPICS (Makes NPC anxious, cautious)"};function Xg({conversation:e}){const{popView:t}=J(),[n,r]=w.useState(null),l=e.topics.reduce((s,i)=>(s[i.disposition]||(s[i.disposition]=[]),s[i.disposition].push(i),s),{});return o.jsxs("div",{className:"space-y-4",children:[o.jsxs("button",{onClick:t,className:"flex items-center gap-1 text-cyan-400 hover:text-cyan-300",children:[o.jsx(Ns,{size:16})," Back to Scene"]}),o.jsxs("h2",{className:"text-xl font-bold",children:["💬 Conversation: ",e.npc_name||"NPC"]}),o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"font-semibold text-amber-400",children:"⚠️ Scene Imperatives"}),e.imperatives.must.map((s,i)=>o.jsxs("div",{className:I("flex items-start gap-2 p-2 rounded","bg-green-900/30 border border-green-700"),children:[o.jsx(Pv,{size:16,className:"text-green-400 mt-0.5 flex-shrink-0"}),o.jsxs("div",{children:[o.jsx("span",{className:"font-bold text-green-400",children:"MUST:"})," ",o.jsx("span",{className:"text-neutral-200",children:s})]})]},`must-${i}`)),e.imperatives.must_not.map((s,i)=>o.jsxs("div",{className:I("flex items-start gap-2 p-2 rounded","bg-red-900/30 border border-red-700"),children:[o.jsx(ct,{size:16,className:"text-red-400 mt-0.5 flex-shrink-0"}),o.jsxs("div",{children:[o.jsx("span",{className:"font-bold text-red-400",children:"MUST NOT:"})," ",o.jsx("span",{className:"text-neutral-200",children:s})]})]},`must-not-${i}`))]}),["neutral","sad","angry","happy","fearful"].map(s=>{const i=l[s];return!i||i.length===0?null:o.jsxs("div",{className:"space-y-2",children:[o.jsxs("h3",{className:"font-semibold flex items-center gap-2",children:[o.jsx("span",{children:Qg[s]}),o.jsx("span",{children:Yg[s]})]}),o.jsx("ul",{className:"space-y-2",children:i.map(a=>o.jsx(Jg,{topic:a,expanded:n===a.id,onToggle:()=>r(n===a.id?null:a.id)},a.id))})]},s)})]})}function Jg({topic:e,expanded:t,onToggle:n}){return o.jsxs("li",{className:"bg-neutral-800 rounded overflow-hidden",children:[o.jsxs("button",{onClick:n,className:"w-full flex items-center justify-between p-3 text-left hover:bg-neutral-750",children:[o.jsxs("span",{className:"font-medium text-cyan-400",children:["[",e.label,"]"]}),t?o.jsx(ha,{size:16,className:"text-neutral-400"}):o.jsx(bs,{size:16,className:"text-neutral-400"})]}),t&&o.jsxs("div",{className:"px-3 pb-3 space-y-2",children:[e.hints.map((r,l)=>o.jsxs("p",{className:"text-sm text-neutral-300 pl-4 border-l-2 border-neutral-600",children:["→ ",r]},l)),e.check&&o.jsxs("div",{className:"mt-2 p-2 bg-amber-900/20 border border-amber-700 rounded flex items-center gap-2",children:[o.jsx(Bn,{size:14,className:"text-amber-400"}),o.jsxs("span",{className:"text-sm",children:[o.jsxs("span",{className:"text-amber-400",children:[e.check.trigger,":"]})," ",e.check.skill," DC ",e.check.dc]})]})]})]})}const Zg={};function qg(e,t){let n;try{n=e()}catch{return}return{getItem:l=>{var s;const i=u=>u===null?null:JSON.parse(u,void 0),a=(s=n.getItem(l))!=null?s:null;return a instanceof Promise?a.then(i):i(a)},setItem:(l,s)=>n.setItem(l,JSON.stringify(s,void 0)),removeItem:l=>n.removeItem(l)}}const Tr=e=>t=>{try{const n=e(t);return n instanceof Promise?n:{then(r){return Tr(r)(n)},catch(r){return this}}}catch(n){return{then(r){return this},catch(r){return Tr(r)(n)}}}},e0=(e,t)=>(n,r,l)=>{let s={getStorage:()=>localStorage,serialize:JSON.stringify,deserialize:JSON.parse,partialize:S=>S,version:0,merge:(S,v)=>({...v,...S}),...t},i=!1;const a=new Set,u=new Set;let c;try{c=s.getStorage()}catch{}if(!c)return e((...S)=>{console.warn(`[zustand persist middleware] Unable to update item '${s.name}', the given storage is currently unavailable.`),n(...S)},r,l);const h=Tr(s.serialize),p=()=>{const S=s.partialize({...r()});let v;const f=h({state:S,version:s.version}).then(y=>c.setItem(s.name,y)).catch(y=>{v=y});if(v)throw v;return f},m=l.setState;l.setState=(S,v)=>{m(S,v),p()};const d=e((...S)=>{n(...S),p()},r,l);let x;const g=()=>{var S;if(!c)return;i=!1,a.forEach(f=>f(r()));const v=((S=s.onRehydrateStorage)==null?void 0:S.call(s,r()))||void 0;return Tr(c.getItem.bind(c))(s.name).then(f=>{if(f)return s.deserialize(f)}).then(f=>{if(f)if(typeof f.version=="number"&&f.version!==s.version){if(s.migrate)return s.migrate(f.state,f.version);console.error("State loaded from storage couldn't be migrated since no migrate function was provided")}else return f.state}).then(f=>{var y;return x=s.merge(f,(y=r())!=null?y:d),n(x,!0),p()}).then(()=>{v==null||v(x,void 0),i=!0,u.forEach(f=>f(x))}).catch(f=>{v==null||v(void 0,f)})};return l.persist={setOptions:S=>{s={...s,...S},S.getStorage&&(c=S.getStorage())},clearStorage:()=>{c==null||c.removeItem(s.name)},getOptions:()=>s,rehydrate:()=>g(),hasHydrated:()=>i,onHydrate:S=>(a.add(S),()=>{a.delete(S)}),onFinishHydration:S=>(u.add(S),()=>{u.delete(S)})},g(),x||d},t0=(e,t)=>(n,r,l)=>{let s={storage:qg(()=>localStorage),partialize:g=>g,version:0,merge:(g,S)=>({...S,...g}),...t},i=!1;const a=new Set,u=new Set;let c=s.storage;if(!c)return e((...g)=>{console.warn(`[zustand persist middleware] Unable to update item '${s.name}', the given storage is currently unavailable.`),n(...g)},r,l);const h=()=>{const g=s.partialize({...r()});return c.setItem(s.name,{state:g,version:s.version})},p=l.setState;l.setState=(g,S)=>{p(g,S),h()};const m=e((...g)=>{n(...g),h()},r,l);l.getInitialState=()=>m;let d;const x=()=>{var g,S;if(!c)return;i=!1,a.forEach(f=>{var y;return f((y=r())!=null?y:m)});const v=((S=s.onRehydrateStorage)==null?void 0:S.call(s,(g=r())!=null?g:m))||void 0;return Tr(c.getItem.bind(c))(s.name).then(f=>{if(f)if(typeof f.version=="number"&&f.version!==s.version){if(s.migrate)return[!0,s.migrate(f.state,f.version)];console.error("State loaded from storage couldn't be migrated since no migrate function was provided")}else return[!1,f.state];return[!1,void 0]}).then(f=>{var y;const[j,k]=f;if(d=s.merge(k,(y=r())!=null?y:m),n(d,!0),j)return h()}).then(()=>{v==null||v(d,void 0),d=r(),i=!0,u.forEach(f=>f(d))}).catch(f=>{v==null||v(void 0,f)})};return l.persist={setOptions:g=>{s={...s,...g},g.storage&&(c=g.storage)},clearStorage:()=>{c==null||c.removeItem(s.name)},getOptions:()=>s,rehydrate:()=>x(),hasHydrated:()=>i,onHydrate:g=>(a.add(g),()=>{a.delete(g)}),onFinishHydration:g=>(u.add(g),()=>{u.delete(g)})},s.skipHydration||x(),d||m},n0=(e,t)=>"getStorage"in t||"serialize"in t||"deserialize"in t?((Zg?"production":void 0)!=="production"&&console.warn("[DEPRECATED] `getStorage`, `serialize` and `deserialize` options are deprecated. Use `storage` option instead."),e0(e,t)):t0(e,t),r0=n0,hl="gm-overlay-session",Wn=Ur()(r0((e,t)=>({notes:[],addNote:n=>e(r=>({notes:[...r.notes,n]})),removeNote:n=>e(r=>({notes:r.notes.filter((l,s)=>s!==n)})),updateNote:(n,r)=>e(l=>({notes:l.notes.map((s,i)=>i===n?r:s)})),flags:{},setFlag:(n,r)=>e(l=>({flags:{...l.flags,[n]:r}})),toggleFlag:n=>e(r=>({flags:{...r.flags,[n]:!r.flags[n]}})),campaignClock:{day:1,time:"00:00"},advanceTime:n=>e(r=>{const[l,s]=r.campaignClock.time.split(":").map(Number);let i=l*60+s+n,a=r.campaignClock.day;for(;i>=24*60;)i-=24*60,a++;for(;i<0;)i+=24*60,a=Math.max(1,a-1);const u=Math.floor(i/60),c=i%60,h=`${String(u).padStart(2,"0")}:${String(c).padStart(2,"0")}`;return{campaignClock:{day:a,time:h}}}),setTime:(n,r)=>e({campaignClock:{day:n,time:r}}),recentScenes:[],addRecentScene:n=>e(r=>{const l=r.recentScenes.filter(s=>s!==n);return{recentScenes:[n,...l].slice(0,10)}}),favorites:[],addFavorite:n=>e(r=>({favorites:r.favorites.includes(n)?r.favorites:[...r.favorites,n]})),removeFavorite:n=>e(r=>({favorites:r.favorites.filter(l=>l!==n)})),undoStack:[],pushUndo:n=>e(r=>({undoStack:[...r.undoStack,n].slice(-20)})),popUndo:()=>{const{undoStack:n}=t();if(n.length===0)return;const r=n[n.length-1];return e({undoStack:n.slice(0,-1)}),r},save:()=>{const n=t();localStorage.setItem(hl,JSON.stringify({notes:n.notes,flags:n.flags,campaignClock:n.campaignClock,recentScenes:n.recentScenes,favorites:n.favorites}))},load:()=>{try{const n=localStorage.getItem(hl);if(n){const r=JSON.parse(n);e({notes:r.notes||[],flags:r.flags||{},campaignClock:r.campaignClock||{day:1,time:"00:00"},recentScenes:r.recentScenes||[],favorites:r.favorites||[]})}}catch(n){console.error("[SessionStore] Failed to load:",n)}},clear:()=>{localStorage.removeItem(hl),e({notes:[],flags:{},campaignClock:{day:1,time:"00:00"},recentScenes:[],favorites:[],undoStack:[]})}}),{name:hl,partialize:e=>({notes:e.notes,flags:e.flags,campaignClock:e.campaignClock,recentScenes:e.recentScenes,favorites:e.favorites})}));function l0(){const{campaignClock:e,notes:t,flags:n,favorites:r,recentScenes:l}=Wn(),{scenes:s,goToSceneById:i}=me();return o.jsxs("div",{className:"space-y-6",children:[o.jsx("h2",{className:"text-2xl font-bold",children:"Dashboard"}),o.jsx(V,{title:"Campaign Clock",icon:Ef,children:o.jsxs("div",{className:"flex items-center gap-4",children:[o.jsxs("div",{className:"text-3xl font-mono text-cyan-400",children:["Day ",e.day]}),o.jsx("div",{className:"text-2xl font-mono text-neutral-300",children:e.time})]})}),o.jsxs("div",{className:"grid grid-cols-3 gap-4",children:[o.jsx(io,{icon:o.jsx(at,{size:20}),label:"Scenes",value:s.length}),o.jsx(io,{icon:o.jsx(Av,{size:20}),label:"Flags Set",value:Object.values(n).filter(Boolean).length}),o.jsx(io,{icon:o.jsx(Lv,{size:20}),label:"Notes",value:t.length})]}),r.length>0&&o.jsx(V,{title:"Favorite Locations",children:o.jsx("div",{className:"flex flex-wrap gap-2",children:r.map(a=>{const u=s.find(c=>c.id===a);return u?o.jsx("button",{onClick:()=>i(a),className:"btn btn-secondary",children:u.title},a):null})})}),l.length>0&&o.jsx(V,{title:"Recently Visited",children:o.jsx("ul",{className:"space-y-1",children:l.slice(0,5).map(a=>{const u=s.find(c=>c.id===a);return u?o.jsx("li",{children:o.jsx("button",{onClick:()=>i(a),className:"text-cyan-400 hover:text-cyan-300",children:u.title})},a):null})})}),t.length>0&&o.jsx(V,{title:"Session Notes",children:o.jsxs("ul",{className:"space-y-1 text-sm",children:[t.slice(0,5).map((a,u)=>o.jsxs("li",{className:"text-neutral-300",children:["• ",a]},u)),t.length>5&&o.jsxs("li",{className:"text-neutral-500",children:["...and ",t.length-5," more"]})]})})]})}function io({icon:e,label:t,value:n}){return o.jsxs("div",{className:"p-4 bg-neutral-800 rounded-lg text-center",children:[o.jsx("div",{className:"text-neutral-400 mb-2",children:e}),o.jsx("div",{className:"text-2xl font-bold",children:n}),o.jsx("div",{className:"text-sm text-neutral-400",children:t})]})}function s0({scene:e}){const{popView:t}=J(),[n,r]=w.useState(!1),[l,s]=w.useState(0),[i,a]=w.useState(1),u=w.useRef(null),c=e.narrative.split(/[.!?]+/).map(f=>f.trim()).filter(f=>f.length>0),h=f=>(2e3+f.split(/\s+/).length*150)/i;w.useEffect(()=>(n&&l<c.length&&(u.current=window.setTimeout(()=>{s(f=>f+1)},h(c[l]))),()=>{u.current&&clearTimeout(u.current)}),[n,l,i,c]),w.useEffect(()=>{l>=c.length&&r(!1)},[l,c.length]);const p=()=>{r(!n)},m=()=>{s(0),r(!1)},d=()=>{s(Math.max(0,l-1))},x=()=>{s(Math.min(c.length-1,l+1))},g=()=>{s(Math.max(0,l-3))},S=()=>{s(Math.min(c.length-1,l+3))},v=c.length>0?l/c.length*100:0;return o.jsxs("div",{className:"flex flex-col h-full",children:[o.jsxs("button",{onClick:t,className:"absolute top-4 left-4 flex items-center gap-1 text-cyan-400 hover:text-cyan-300 z-10",children:[o.jsx(Ns,{size:16})," Exit Karaoke"]}),o.jsxs("div",{className:"flex-1 flex flex-col items-center justify-center px-8 py-16 bg-gradient-to-b from-neutral-900 via-neutral-850 to-neutral-900",children:[o.jsx("div",{className:"space-y-2 mb-8 opacity-30",children:c.slice(Math.max(0,l-2),l).map((f,y)=>o.jsxs("p",{className:"text-xl text-center text-neutral-400",children:[f,"."]},y))}),o.jsxs("p",{className:I("text-3xl font-medium text-center text-neutral-100 max-w-4xl","transition-all duration-300",n&&"text-cyan-300"),children:[c[l]||"End of narrative","."]}),o.jsx("div",{className:"space-y-2 mt-8 opacity-50",children:c.slice(l+1,l+3).map((f,y)=>o.jsxs("p",{className:"text-lg text-center text-neutral-500",children:[f,"."]},y))})]}),o.jsxs("div",{className:"p-4 bg-neutral-800 border-t border-neutral-700",children:[o.jsxs("div",{className:"flex items-center justify-center gap-4 mb-4",children:[o.jsx("button",{onClick:m,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Restart",children:o.jsx(Lu,{size:20})}),o.jsx("button",{onClick:g,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Rewind",children:o.jsx(Hv,{size:20})}),o.jsx("button",{onClick:d,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Previous line",children:o.jsx(Lu,{size:16})}),o.jsx("button",{onClick:p,className:I("p-4 rounded-full",n?"bg-amber-600 hover:bg-amber-500":"bg-cyan-600 hover:bg-cyan-500"),children:n?o.jsx(Bv,{size:24}):o.jsx(it,{size:24})}),o.jsx("button",{onClick:x,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Next line",children:o.jsx(Yv,{size:16})}),o.jsx("button",{onClick:S,className:"p-2 text-neutral-400 hover:text-neutral-100",title:"Fast forward",children:o.jsx(Ov,{size:20})})]}),o.jsxs("div",{className:"flex items-center justify-center gap-4 mb-4",children:[o.jsx("span",{className:"text-sm text-neutral-400",children:"Speed:"}),o.jsx("input",{type:"range",min:"0.5",max:"2",step:"0.1",value:i,onChange:f=>a(parseFloat(f.target.value)),className:"w-32"}),o.jsxs("span",{className:"text-sm font-mono w-12",children:[i.toFixed(1),"x"]})]}),o.jsx("div",{className:"relative h-2 bg-neutral-700 rounded-full overflow-hidden",children:o.jsx("div",{className:"absolute inset-y-0 left-0 bg-cyan-500 transition-all duration-300",style:{width:`${v}%`}})}),o.jsxs("div",{className:"flex justify-between text-xs text-neutral-500 mt-1",children:[o.jsxs("span",{children:[l+1," / ",c.length]}),o.jsxs("span",{children:[Math.round(v),"%"]})]})]})]})}function o0(){const{currentView:e,selectedNPC:t,selectedItem:n}=J(),{currentScene:r}=me();return o.jsx("div",{className:I("flex-[6] overflow-y-auto","border-r border-neutral-700","scrollbar-thin"),children:o.jsxs("div",{className:"p-4",children:[e==="narrative"&&o.jsx(Rg,{scene:r}),e==="npc"&&t&&o.jsx(Vg,{npc:t}),e==="item"&&n&&o.jsx(Kg,{item:n}),e==="conversation"&&(r==null?void 0:r.conversation)&&o.jsx(Xg,{conversation:r.conversation}),e==="dashboard"&&o.jsx(l0,{}),e==="karaoke"&&r&&o.jsx(s0,{scene:r})]})})}function i0(){const{activeScene:e,isViewingActiveScene:t}=me(),n=e!=null&&e.imageUrl?e.imageUrl:e!=null&&e.image?`/assets/scene_backgrounds/${e.image}`:null,r=t();return o.jsxs("div",{className:"space-y-2",children:[o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsxs("h3",{className:"section-header flex items-center gap-2",children:[o.jsx(Ou,{size:14}),"Player View"]}),r&&o.jsxs("span",{className:"text-xs text-green-400 flex items-center gap-1",children:[o.jsx(it,{size:10})," LIVE"]})]}),o.jsxs("div",{className:I("relative aspect-video rounded-lg overflow-hidden","border-2",r?"border-green-500/50":"border-amber-500/50","bg-neutral-800"),children:[n?o.jsx("img",{src:n,alt:(e==null?void 0:e.title)||"Scene preview",className:"w-full h-full object-cover",onError:l=>{l.target.style.display="none"}}):o.jsx("div",{className:"absolute inset-0 flex items-center justify-center text-neutral-500",children:o.jsxs("div",{className:"text-center",children:[o.jsx(Ou,{size:24,className:"mx-auto mb-1 opacity-50"}),o.jsx("span",{className:"text-xs",children:"No image"})]})}),e&&o.jsxs("div",{className:"absolute bottom-0 left-0 right-0 bg-gradient-to-t from-black/80 to-transparent p-2",children:[o.jsx("p",{className:"text-xs text-white truncate font-medium",children:e.title}),o.jsx("p",{className:"text-[10px] text-neutral-400 truncate",children:e.location})]}),r&&o.jsx("div",{className:"absolute top-2 right-2",children:o.jsxs("span",{className:"relative flex h-2 w-2",children:[o.jsx("span",{className:"animate-ping absolute inline-flex h-full w-full rounded-full bg-green-400 opacity-75"}),o.jsx("span",{className:"relative inline-flex rounded-full h-2 w-2 bg-green-500"})]})})]}),e&&!r&&o.jsx("p",{className:"text-xs text-amber-400/80 text-center",children:"Players see different scene"})]})}let a0=0;const ya=Ur((e,t)=>({messages:[],filter:"all",addMessage:n=>{const r={...n,id:`msg-${++a0}`,timestamp:Date.now()};e(l=>({messages:[...l.messages,r].slice(-500)}))},addSystemMessage:n=>{t().addMessage({type:"system",text:n})},addGMNote:n=>{t().addMessage({type:"gm",sender:"GM",text:n})},setFilter:n=>e({filter:n}),clearMessages:()=>e({messages:[]}),getFilteredMessages:()=>{const{messages:n,filter:r}=t();return r==="all"?n:n.filter(l=>l.type===r)}})),u0=[{value:"all",label:"All"},{value:"player",label:"Players"},{value:"system",label:"System"},{value:"rolls",label:"Rolls"},{value:"gm",label:"GM"}];function c0(){const{messages:e,filter:t,setFilter:n,addMessage:r,getFilteredMessages:l}=ya(),[s,i]=w.useState(""),[a,u]=w.useState(!1),c=w.useRef(null),h=l();w.useEffect(()=>{c.current&&(c.current.scrollTop=c.current.scrollHeight)},[e.length]);const p=()=>{var x;if(s.trim()){const g=s.trim();if(r({type:"gm",sender:"GM",text:g}),i(""),typeof window.GMOverlay<"u"){const S=window.GMOverlay;(x=S.chat)!=null&&x.send&&S.chat.send(g)}}},m=x=>{x.key==="Enter"&&!x.shiftKey&&(x.preventDefault(),p())},d=x=>new Date(x).toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"});return o.jsxs("div",{className:"flex flex-col h-64",children:[o.jsxs("div",{className:"flex items-center justify-between mb-2",children:[o.jsxs("h3",{className:"section-header flex items-center gap-2",children:[o.jsx(Vv,{size:14}),"Chat Log"]}),o.jsx("button",{onClick:()=>u(!a),className:I("p-1 rounded text-neutral-400 hover:text-neutral-100 transition-colors",a&&"bg-neutral-700 text-neutral-100"),title:"Filter messages",children:o.jsx(Dv,{size:14})})]}),a&&o.jsx("div",{className:"flex gap-1 mb-2 flex-wrap",children:u0.map(x=>o.jsx("button",{onClick:()=>n(x.value),className:I("px-2 py-0.5 rounded text-xs transition-colors",t===x.value?"bg-cyan-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:x.label},x.value))}),o.jsx("div",{ref:c,className:"flex-1 overflow-y-auto space-y-1 scrollbar-thin bg-neutral-800/50 rounded p-2",children:h.length===0?o.jsx("p",{className:"text-xs text-neutral-500 text-center py-4",children:"No messages yet"}):h.map(x=>o.jsx(d0,{message:x,formatTime:d},x.id))}),o.jsxs("div",{className:"flex gap-2 mt-2",children:[o.jsx("input",{type:"text",value:s,onChange:x=>i(x.target.value),onKeyDown:m,placeholder:"Send GM message...",className:"input flex-1 text-sm"}),o.jsx("button",{onClick:p,disabled:!s.trim(),className:"btn btn-primary p-2",children:o.jsx(Kv,{size:14})})]})]})}function d0({message:e,formatTime:t}){const n={system:"text-neutral-400 italic",player:"text-cyan-300",rolls:"text-amber-300",gm:"text-green-300"},r={rolls:o.jsx(Iv,{size:10,className:"inline mr-1"})};return o.jsxs("div",{className:I("text-xs",n[e.type]||"text-neutral-300"),children:[o.jsxs("span",{className:"text-neutral-500 mr-1",children:["[",t(e.timestamp),"]"]}),r[e.type],e.sender&&o.jsxs("span",{className:"font-medium mr-1",children:[e.sender,":"]}),o.jsx("span",{children:e.text})]})}function f0(){const{currentScene:e}=me(),[t,n]=w.useState(!1);if(!(e!=null&&e.gmNotes))return null;const r=e.gmNotes.split(`
-`),l=r.slice(0,3).join(`
-`),s=r.length>3;return o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"GM Notes"}),o.jsxs("div",{className:"text-sm text-neutral-300 whitespace-pre-wrap",children:[t?e.gmNotes:l,s&&!t&&"..."]}),s&&o.jsx("button",{onClick:()=>n(!t),className:"flex items-center gap-1 text-xs text-cyan-400 hover:text-cyan-300",children:t?o.jsxs(o.Fragment,{children:[o.jsx(_v,{size:12})," Collapse"]}):o.jsxs(o.Fragment,{children:[o.jsx(ha,{size:12})," Expand"]})})]})}function p0(){const{notes:e,addNote:t,removeNote:n}=Wn(),[r,l]=w.useState(""),s=()=>{r.trim()&&(t(r.trim()),l(""))},i=a=>{a.key==="Enter"&&!a.shiftKey&&(a.preventDefault(),s())};return o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"Session Notes"}),o.jsx("ul",{className:"space-y-1 text-sm",children:e.map((a,u)=>o.jsxs("li",{className:"flex items-start gap-2 group",children:[o.jsx("span",{className:"text-neutral-400",children:"•"}),o.jsx("span",{className:"flex-1 text-neutral-300",children:a}),o.jsx("button",{onClick:()=>n(u),className:"opacity-0 group-hover:opacity-100 text-red-400 hover:text-red-300 transition-opacity",children:o.jsx(ct,{size:12})})]},u))}),o.jsxs("div",{className:"flex gap-2",children:[o.jsx("input",{type:"text",value:r,onChange:a=>l(a.target.value),onKeyDown:i,placeholder:"Add note...",className:"input flex-1 text-sm"}),o.jsx("button",{onClick:s,disabled:!r.trim(),className:"btn btn-secondary p-2",children:o.jsx(va,{size:14})})]})]})}function m0(){const{openModal:e}=J(),{currentScene:t}=me(),n=()=>{e("adHocCheck")},r=()=>{e("globalSearch")},l=()=>{if(!t)return;const s={scene:t,exportedAt:new Date().toISOString()};navigator.clipboard.writeText(JSON.stringify(s,null,2)),console.log("[GM] Scene exported to clipboard")};return o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"Quick Actions"}),o.jsxs("div",{className:"grid grid-cols-2 gap-2",children:[o.jsx(ao,{icon:o.jsx(Bn,{size:14}),label:"Ad-Hoc Check",onClick:n}),o.jsx(ao,{icon:o.jsx(ga,{size:14}),label:"Search",shortcut:"Cmd+K",onClick:r}),o.jsx(ao,{icon:o.jsx(Rf,{size:14}),label:"Export",onClick:l})]})]})}function ao({icon:e,label:t,shortcut:n,onClick:r}){return o.jsxs("button",{onClick:r,title:n,className:"btn btn-secondary flex items-center gap-1.5 justify-center text-xs",children:[e,o.jsx("span",{children:t})]})}function h0(){var a,u;const{currentScene:e,goToSceneById:t}=me(),{selectNPC:n,selectItem:r}=J();if(!e)return null;const l=e.npcs&&e.npcs.length>0,s=e.items&&e.items.length>0,i=e.exits&&e.exits.length>0;return!l&&!s&&!i?null:o.jsxs("div",{className:"space-y-3",children:[o.jsx("h3",{className:"section-header",children:"Scene Elements"}),l&&o.jsxs("div",{className:"space-y-1",children:[o.jsxs("div",{className:"flex items-center gap-1 text-xs text-neutral-400",children:[o.jsx(at,{size:12})," NPCs"]}),o.jsx("div",{className:"flex flex-wrap gap-1",children:e.npcs.map((c,h)=>o.jsx(v0,{name:c.name,state:c.state,onClick:async()=>{try{const p=await fetch(`/api/npcs/${c.statblock||c.id}?role=gm`);if(p.ok){const m=await p.json();n(m)}}catch(p){console.error("Failed to load NPC:",p)}}},`npc-${c.id}-${h}`))})]}),s&&o.jsxs("div",{className:"space-y-1",children:[o.jsxs("div",{className:"flex items-center gap-1 text-xs text-neutral-400",children:[o.jsx(mi,{size:12})," Items"]}),o.jsx("div",{className:"flex flex-wrap gap-1",children:(a=e.items)==null?void 0:a.map((c,h)=>o.jsxs("button",{onClick:()=>r(c),className:I("badge badge-amber cursor-pointer",!c.visible&&"opacity-50"),children:[c.name,c.value&&` (${c.value})`]},`item-${c.id}-${h}`))})]}),i&&o.jsxs("div",{className:"space-y-1",children:[o.jsxs("div",{className:"flex items-center gap-1 text-xs text-neutral-400",children:[o.jsx(bf,{size:12})," Exits"]}),o.jsx("div",{className:"flex flex-wrap gap-1",children:(u=e.exits)==null?void 0:u.map((c,h)=>o.jsxs("button",{onClick:()=>t(c.targetSceneId),className:"badge badge-green cursor-pointer",children:["→ ",c.label]},`exit-${c.id}-${h}`))})]})]})}function v0({name:e,state:t,onClick:n}){const r={active:"badge-cyan",passive:"bg-neutral-700 text-neutral-300 border-neutral-600",hidden:"bg-blue-900/50 text-blue-400 border-blue-700",defeated:"bg-red-900/50 text-red-400 border-red-700 line-through"},l={active:"●",passive:"○",hidden:"◐",defeated:"✗"};return o.jsxs("button",{onClick:n,className:I("badge cursor-pointer",r[t]),children:[o.jsx("span",{className:"mr-1",children:l[t]}),e]})}function g0(){const{currentScene:e}=me(),{flags:t,toggleFlag:n}=Wn(),r=(e==null?void 0:e.flags)||[];return r.length===0?null:o.jsxs("div",{className:"space-y-2",children:[o.jsx("h3",{className:"section-header",children:"Flags"}),o.jsx("ul",{className:"space-y-1",children:r.map(l=>{const s=!!t[l];return o.jsx("li",{children:o.jsxs("button",{onClick:()=>n(l),className:I("flex items-center gap-2 w-full text-left px-2 py-1 rounded text-sm","hover:bg-neutral-700 transition-colors",s?"text-green-400":"text-neutral-400"),children:[o.jsx("span",{className:"font-mono",children:s?"☑":"☐"}),o.jsx("span",{className:"font-mono text-xs",children:l})]})},l)})})]})}function x0(){return o.jsx("aside",{className:I("flex-[4] overflow-y-auto","bg-neutral-850","scrollbar-thin"),children:o.jsxs("div",{className:"p-4 space-y-4",children:[o.jsx(i0,{}),o.jsx("div",{className:"section-divider"}),o.jsx(c0,{}),o.jsx("div",{className:"section-divider"}),o.jsx(f0,{}),o.jsx(p0,{}),o.jsx(m0,{}),o.jsx(h0,{}),o.jsx(g0,{})]})})}function y0(){const{prevScene:e,nextScene:t,hasNext:n,hasPrev:r,activateCurrentScene:l,isViewingActiveScene:s}=me(),{openModal:i,pushView:a}=J(),u=s(),c=()=>{i("sceneJumper")},h=()=>{u||l()},p=()=>{a("karaoke",null,"Karaoke")},m=()=>{i("globalSearch")};return o.jsxs("nav",{className:I("h-14 px-4 flex items-center justify-between","bg-neutral-800 border-t border-neutral-700"),children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(sn,{onClick:e,disabled:!r(),icon:o.jsx(Mv,{size:16}),label:"PREV"}),o.jsx(sn,{onClick:c,icon:o.jsx(pi,{size:16}),label:"JUMP",shortcut:"Cmd+J"}),o.jsx(sn,{onClick:t,disabled:!n(),icon:o.jsx(bs,{size:16}),label:"NEXT",iconRight:!0})]}),o.jsx("div",{className:"flex items-center",children:o.jsx(sn,{onClick:h,disabled:u,icon:o.jsx(it,{size:16}),label:u?"SCENE ACTIVE":"ACTIVATE SCENE",variant:u?"active":"activate",shortcut:"Shift+Enter"})}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(sn,{onClick:p,icon:o.jsx(zf,{size:16}),label:"KARAOKE",variant:"accent"}),o.jsx(sn,{onClick:m,icon:o.jsx(Cs,{size:16}),label:"GUIDE"})]})]})}function sn({onClick:e,disabled:t,icon:n,label:r,shortcut:l,iconRight:s,variant:i="default"}){return o.jsxs("button",{onClick:e,disabled:t,title:l,className:I("px-3 py-2 rounded flex items-center gap-1.5 text-sm font-medium transition-colors",i==="default"&&"bg-neutral-700 hover:bg-neutral-600 text-neutral-100",i==="accent"&&"bg-amber-600 hover:bg-amber-500 text-white",i==="activate"&&"bg-amber-600 hover:bg-amber-500 text-white ring-2 ring-amber-400/50",i==="active"&&"bg-green-700 text-green-100 cursor-default",t&&i!=="active"&&"opacity-50 cursor-not-allowed hover:bg-neutral-700"),children:[!s&&n,o.jsx("span",{children:r}),s&&n]})}function w0(){const{toggle:e,openModal:t,closeModal:n,popView:r,activeModal:l,viewStack:s}=J(),{nextScene:i,prevScene:a,hasNext:u,hasPrev:c,activateCurrentScene:h,isViewingActiveScene:p}=me();w.useEffect(()=>{const m=d=>{if(d.target instanceof HTMLInputElement||d.target instanceof HTMLTextAreaElement){d.key==="Escape"&&d.target.blur();return}if((d.metaKey||d.ctrlKey)&&d.key==="j"){d.preventDefault(),t("sceneJumper");return}if((d.metaKey||d.ctrlKey)&&d.key==="k"){d.preventDefault(),t("globalSearch");return}if(d.key==="g"&&!d.metaKey&&!d.ctrlKey){e();return}if(d.key==="Escape"){l?n():s.length>0&&r();return}if(d.key==="ArrowLeft"&&c()){a();return}if(d.key==="ArrowRight"&&u()){i();return}if(d.key==="Enter"&&d.shiftKey&&!p()){d.preventDefault(),h();return}};return window.addEventListener("keydown",m),()=>window.removeEventListener("keydown",m)},[e,t,n,r,l,s,i,a,u,c,h,p])}const Je={JOIN:"sync:join",LEAVE:"sync:leave",PRESENCE:"sync:presence",CHAT:"sync:chat",ROLL:"sync:roll",SCENE_CHANGE:"sync:scene_change",ERROR:"sync:error"};function uo(){return window.io||null}function S0(){const e=w.useRef(null),[t,n]=w.useState(()=>uo()!==null),{addMessage:r}=ya(),{goToSceneById:l,loadScenes:s,activateScene:i}=me(),{addRecentScene:a}=Wn(),{setConnectedPlayers:u,addConnectedPlayer:c,removeConnectedPlayer:h}=xa();w.useEffect(()=>{if(t)return;console.log("[GM Overlay] Waiting for Socket.io to load...");const p=()=>{uo()&&(console.log("[GM Overlay] Socket.io loaded"),n(!0))},m=setInterval(p,200),d=()=>p();return window.addEventListener("load",d),()=>{clearInterval(m),window.removeEventListener("load",d)}},[t]),w.useEffect(()=>{if(!t)return;const p=uo();if(!p)return;const m=window.location.port==="5174"||window.location.port==="5175"?"http://localhost:3000":"/",d=p(m,{transports:["websocket","polling"]});return e.current=d,d.on("connect",()=>{console.log("[GM Overlay] Connected to server:",d.id),d.emit(Je.JOIN,{name:"Game Master",role:"gm",view:"gm-overlay",sessionId:"default"}),r({type:"system",text:"Connected to server"})}),d.on("disconnect",()=>{console.log("[GM Overlay] Disconnected from server"),r({type:"system",text:"Disconnected from server"})}),d.on(Je.CHAT,x=>{x.from!==d.id&&r({type:x.type==="gm"?"gm":"player",sender:x.name,text:x.text})}),d.on(Je.ROLL,x=>{r({type:"rolls",sender:x.name,text:`rolled ${x.expression} = ${x.total}`})}),d.on(Je.PRESENCE,x=>{console.log("[GM Overlay] Presence update:",x.users);const g=x.users.map(S=>({socketId:S.socketId||S.id,name:S.name,role:S.role,view:S.view||"unknown",characterId:S.characterId}));u(g),r({type:"system",text:`${x.users.length} user(s) connected`})}),d.on(Je.JOIN,x=>{c({socketId:x.socketId||x.id||"",name:x.name,role:x.role,view:x.view||"unknown",characterId:x.characterId}),r({type:"system",text:`${x.name} joined (${x.role})`})}),d.on(Je.LEAVE,x=>{x!=null&&x.socketId&&h(x.socketId),r({type:"system",text:"User left"})}),d.on(Je.ERROR,x=>{console.error("[GM Overlay] Server error:",x.message),r({type:"system",text:`Error: ${x.message}`})}),()=>{d.disconnect(),e.current=null}},[t,r,u,c,h]),w.useEffect(()=>{const p=m=>{var g;const{sceneId:d,scene:x}=m.detail;r({type:"system",text:`Scene activated: ${(x==null?void 0:x.title)||d}`}),a(d),(g=e.current)!=null&&g.connected&&(e.current.emit(Je.SCENE_CHANGE,{scene:d,transition:"fade"}),console.log("[GM Overlay] Scene broadcast to players:",d))};return window.addEventListener("gm-overlay:activate-scene",p),()=>{window.removeEventListener("gm-overlay:activate-scene",p)}},[r,a]),w.useEffect(()=>(window.GMOverlay={socket:e.current,chat:{send:p=>{var m;(m=e.current)!=null&&m.connected&&e.current.emit(Je.CHAT,{text:p,type:"gm",timestamp:Date.now()})},addMessage:p=>{r(p)}},scene:{goTo:p=>{l(p),a(p)},reload:p=>{s(p)},activate:p=>{i(p)}}},()=>{delete window.GMOverlay}),[r,l,a,s,i])}function It(e,t,{checkForDefaultPrevented:n=!0}={}){return function(l){if(e==null||e(l),n===!1||!l.defaultPrevented)return t==null?void 0:t(l)}}function Wu(e,t){if(typeof e=="function")return e(t);e!=null&&(e.current=t)}function $f(...e){return t=>{let n=!1;const r=e.map(l=>{const s=Wu(l,t);return!n&&typeof s=="function"&&(n=!0),s});if(n)return()=>{for(let l=0;l<r.length;l++){const s=r[l];typeof s=="function"?s():Wu(e[l],null)}}}}function nn(...e){return w.useCallback($f(...e),e)}function j0(e,t){const n=w.createContext(t),r=s=>{const{children:i,...a}=s,u=w.useMemo(()=>a,Object.values(a));return o.jsx(n.Provider,{value:u,children:i})};r.displayName=e+"Provider";function l(s){const i=w.useContext(n);if(i)return i;if(t!==void 0)return t;throw new Error(`\`${s}\` must be used within \`${e}\``)}return[r,l]}function k0(e,t=[]){let n=[];function r(s,i){const a=w.createContext(i),u=n.length;n=[...n,i];const c=p=>{var v;const{scope:m,children:d,...x}=p,g=((v=m==null?void 0:m[e])==null?void 0:v[u])||a,S=w.useMemo(()=>x,Object.values(x));return o.jsx(g.Provider,{value:S,children:d})};c.displayName=s+"Provider";function h(p,m){var g;const d=((g=m==null?void 0:m[e])==null?void 0:g[u])||a,x=w.useContext(d);if(x)return x;if(i!==void 0)return i;throw new Error(`\`${p}\` must be used within \`${s}\``)}return[c,h]}const l=()=>{const s=n.map(i=>w.createContext(i));return function(a){const u=(a==null?void 0:a[e])||s;return w.useMemo(()=>({[`__scope${e}`]:{...a,[e]:u}}),[a,u])}};return l.scopeName=e,[r,N0(l,...t)]}function N0(...e){const t=e[0];if(e.length===1)return t;const n=()=>{const r=e.map(l=>({useScope:l(),scopeName:l.scopeName}));return function(s){const i=r.reduce((a,{useScope:u,scopeName:c})=>{const p=u(s)[`__scope${c}`];return{...a,...p}},{});return w.useMemo(()=>({[`__scope${t.scopeName}`]:i}),[i])}};return n.scopeName=t.scopeName,n}var Rr=globalThis!=null&&globalThis.document?w.useLayoutEffect:()=>{},C0=vc[" useId ".trim().toString()]||(()=>{}),b0=0;function co(e){const[t,n]=w.useState(C0());return Rr(()=>{n(r=>r??String(b0++))},[e]),e||(t?`radix-${t}`:"")}var E0=vc[" useInsertionEffect ".trim().toString()]||Rr;function P0({prop:e,defaultProp:t,onChange:n=()=>{},caller:r}){const[l,s,i]=M0({defaultProp:t,onChange:n}),a=e!==void 0,u=a?e:l;{const h=w.useRef(e!==void 0);w.useEffect(()=>{const p=h.current;p!==a&&console.warn(`${r} is changing from ${p?"controlled":"uncontrolled"} to ${a?"controlled":"uncontrolled"}. Components should not switch from controlled to uncontrolled (or vice versa). Decide between using a controlled or uncontrolled value for the lifetime of the component.`),h.current=a},[a,r])}const c=w.useCallback(h=>{var p;if(a){const m=_0(h)?h(e):h;m!==e&&((p=i.current)==null||p.call(i,m))}else s(h)},[a,e,s,i]);return[u,c]}function M0({defaultProp:e,onChange:t}){const[n,r]=w.useState(e),l=w.useRef(n),s=w.useRef(t);return E0(()=>{s.current=t},[t]),w.useEffect(()=>{var i;l.current!==n&&((i=s.current)==null||i.call(s,n),l.current=n)},[n,l]),[n,r,s]}function _0(e){return typeof e=="function"}function Uf(e){const t=z0(e),n=w.forwardRef((r,l)=>{const{children:s,...i}=r,a=w.Children.toArray(s),u=a.find(T0);if(u){const c=u.props.children,h=a.map(p=>p===u?w.Children.count(c)>1?w.Children.only(null):w.isValidElement(c)?c.props.children:null:p);return o.jsx(t,{...i,ref:l,children:w.isValidElement(c)?w.cloneElement(c,void 0,h):null})}return o.jsx(t,{...i,ref:l,children:s})});return n.displayName=`${e}.Slot`,n}function z0(e){const t=w.forwardRef((n,r)=>{const{children:l,...s}=n;if(w.isValidElement(l)){const i=O0(l),a=R0(s,l.props);return l.type!==w.Fragment&&(a.ref=r?$f(r,i):i),w.cloneElement(l,a)}return w.Children.count(l)>1?w.Children.only(null):null});return t.displayName=`${e}.SlotClone`,t}var I0=Symbol("radix.slottable");function T0(e){return w.isValidElement(e)&&typeof e.type=="function"&&"__radixId"in e.type&&e.type.__radixId===I0}function R0(e,t){const n={...t};for(const r in t){const l=e[r],s=t[r];/^on[A-Z]/.test(r)?l&&s?n[r]=(...a)=>{const u=s(...a);return l(...a),u}:l&&(n[r]=l):r==="style"?n[r]={...l,...s}:r==="className"&&(n[r]=[l,s].filter(Boolean).join(" "))}return{...e,...n}}function O0(e){var r,l;let t=(r=Object.getOwnPropertyDescriptor(e.props,"ref"))==null?void 0:r.get,n=t&&"isReactWarning"in t&&t.isReactWarning;return n?e.ref:(t=(l=Object.getOwnPropertyDescriptor(e,"ref"))==null?void 0:l.get,n=t&&"isReactWarning"in t&&t.isReactWarning,n?e.props.ref:e.props.ref||e.ref)}var L0=["a","button","div","form","h2","h3","img","input","label","li","nav","ol","p","select","span","svg","ul"],dt=L0.reduce((e,t)=>{const n=Uf(`Primitive.${t}`),r=w.forwardRef((l,s)=>{const{asChild:i,...a}=l,u=i?n:t;return typeof window<"u"&&(window[Symbol.for("radix-ui")]=!0),o.jsx(u,{...a,ref:s})});return r.displayName=`Primitive.${t}`,{...e,[t]:r}},{});function D0(e,t){e&&fa.flushSync(()=>e.dispatchEvent(t))}function Or(e){const t=w.useRef(e);return w.useEffect(()=>{t.current=e}),w.useMemo(()=>(...n)=>{var r;return(r=t.current)==null?void 0:r.call(t,...n)},[])}function A0(e,t=globalThis==null?void 0:globalThis.document){const n=Or(e);w.useEffect(()=>{const r=l=>{l.key==="Escape"&&n(l)};return t.addEventListener("keydown",r,{capture:!0}),()=>t.removeEventListener("keydown",r,{capture:!0})},[n,t])}var F0="DismissableLayer",hi="dismissableLayer.update",$0="dismissableLayer.pointerDownOutside",U0="dismissableLayer.focusOutside",Hu,Vf=w.createContext({layers:new Set,layersWithOutsidePointerEventsDisabled:new Set,branches:new Set}),Bf=w.forwardRef((e,t)=>{const{disableOutsidePointerEvents:n=!1,onEscapeKeyDown:r,onPointerDownOutside:l,onFocusOutside:s,onInteractOutside:i,onDismiss:a,...u}=e,c=w.useContext(Vf),[h,p]=w.useState(null),m=(h==null?void 0:h.ownerDocument)??(globalThis==null?void 0:globalThis.document),[,d]=w.useState({}),x=nn(t,N=>p(N)),g=Array.from(c.layers),[S]=[...c.layersWithOutsidePointerEventsDisabled].slice(-1),v=g.indexOf(S),f=h?g.indexOf(h):-1,y=c.layersWithOutsidePointerEventsDisabled.size>0,j=f>=v,k=W0(N=>{const E=N.target,L=[...c.branches].some(P=>P.contains(E));!j||L||(l==null||l(N),i==null||i(N),N.defaultPrevented||a==null||a())},m),b=H0(N=>{const E=N.target;[...c.branches].some(P=>P.contains(E))||(s==null||s(N),i==null||i(N),N.defaultPrevented||a==null||a())},m);return A0(N=>{f===c.layers.size-1&&(r==null||r(N),!N.defaultPrevented&&a&&(N.preventDefault(),a()))},m),w.useEffect(()=>{if(h)return n&&(c.layersWithOutsidePointerEventsDisabled.size===0&&(Hu=m.body.style.pointerEvents,m.body.style.pointerEvents="none"),c.layersWithOutsidePointerEventsDisabled.add(h)),c.layers.add(h),Gu(),()=>{n&&c.layersWithOutsidePointerEventsDisabled.size===1&&(m.body.style.pointerEvents=Hu)}},[h,m,n,c]),w.useEffect(()=>()=>{h&&(c.layers.delete(h),c.layersWithOutsidePointerEventsDisabled.delete(h),Gu())},[h,c]),w.useEffect(()=>{const N=()=>d({});return document.addEventListener(hi,N),()=>document.removeEventListener(hi,N)},[]),o.jsx(dt.div,{...u,ref:x,style:{pointerEvents:y?j?"auto":"none":void 0,...e.style},onFocusCapture:It(e.onFocusCapture,b.onFocusCapture),onBlurCapture:It(e.onBlurCapture,b.onBlurCapture),onPointerDownCapture:It(e.onPointerDownCapture,k.onPointerDownCapture)})});Bf.displayName=F0;var V0="DismissableLayerBranch",B0=w.forwardRef((e,t)=>{const n=w.useContext(Vf),r=w.useRef(null),l=nn(t,r);return w.useEffect(()=>{const s=r.current;if(s)return n.branches.add(s),()=>{n.branches.delete(s)}},[n.branches]),o.jsx(dt.div,{...e,ref:l})});B0.displayName=V0;function W0(e,t=globalThis==null?void 0:globalThis.document){const n=Or(e),r=w.useRef(!1),l=w.useRef(()=>{});return w.useEffect(()=>{const s=a=>{if(a.target&&!r.current){let u=function(){Wf($0,n,c,{discrete:!0})};const c={originalEvent:a};a.pointerType==="touch"?(t.removeEventListener("click",l.current),l.current=u,t.addEventListener("click",l.current,{once:!0})):u()}else t.removeEventListener("click",l.current);r.current=!1},i=window.setTimeout(()=>{t.addEventListener("pointerdown",s)},0);return()=>{window.clearTimeout(i),t.removeEventListener("pointerdown",s),t.removeEventListener("click",l.current)}},[t,n]),{onPointerDownCapture:()=>r.current=!0}}function H0(e,t=globalThis==null?void 0:globalThis.document){const n=Or(e),r=w.useRef(!1);return w.useEffect(()=>{const l=s=>{s.target&&!r.current&&Wf(U0,n,{originalEvent:s},{discrete:!1})};return t.addEventListener("focusin",l),()=>t.removeEventListener("focusin",l)},[t,n]),{onFocusCapture:()=>r.current=!0,onBlurCapture:()=>r.current=!1}}function Gu(){const e=new CustomEvent(hi);document.dispatchEvent(e)}function Wf(e,t,n,{discrete:r}){const l=n.originalEvent.target,s=new CustomEvent(e,{bubbles:!1,cancelable:!0,detail:n});t&&l.addEventListener(e,t,{once:!0}),r?D0(l,s):l.dispatchEvent(s)}var fo="focusScope.autoFocusOnMount",po="focusScope.autoFocusOnUnmount",Ku={bubbles:!1,cancelable:!0},G0="FocusScope",Hf=w.forwardRef((e,t)=>{const{loop:n=!1,trapped:r=!1,onMountAutoFocus:l,onUnmountAutoFocus:s,...i}=e,[a,u]=w.useState(null),c=Or(l),h=Or(s),p=w.useRef(null),m=nn(t,g=>u(g)),d=w.useRef({paused:!1,pause(){this.paused=!0},resume(){this.paused=!1}}).current;w.useEffect(()=>{if(r){let g=function(y){if(d.paused||!a)return;const j=y.target;a.contains(j)?p.current=j:gt(p.current,{select:!0})},S=function(y){if(d.paused||!a)return;const j=y.relatedTarget;j!==null&&(a.contains(j)||gt(p.current,{select:!0}))},v=function(y){if(document.activeElement===document.body)for(const k of y)k.removedNodes.length>0&&gt(a)};document.addEventListener("focusin",g),document.addEventListener("focusout",S);const f=new MutationObserver(v);return a&&f.observe(a,{childList:!0,subtree:!0}),()=>{document.removeEventListener("focusin",g),document.removeEventListener("focusout",S),f.disconnect()}}},[r,a,d.paused]),w.useEffect(()=>{if(a){Yu.add(d);const g=document.activeElement;if(!a.contains(g)){const v=new CustomEvent(fo,Ku);a.addEventListener(fo,c),a.dispatchEvent(v),v.defaultPrevented||(K0(Z0(Gf(a)),{select:!0}),document.activeElement===g&&gt(a))}return()=>{a.removeEventListener(fo,c),setTimeout(()=>{const v=new CustomEvent(po,Ku);a.addEventListener(po,h),a.dispatchEvent(v),v.defaultPrevented||gt(g??document.body,{select:!0}),a.removeEventListener(po,h),Yu.remove(d)},0)}}},[a,c,h,d]);const x=w.useCallback(g=>{if(!n&&!r||d.paused)return;const S=g.key==="Tab"&&!g.altKey&&!g.ctrlKey&&!g.metaKey,v=document.activeElement;if(S&&v){const f=g.currentTarget,[y,j]=Q0(f);y&&j?!g.shiftKey&&v===j?(g.preventDefault(),n&&gt(y,{select:!0})):g.shiftKey&&v===y&&(g.preventDefault(),n&&gt(j,{select:!0})):v===f&&g.preventDefault()}},[n,r,d.paused]);return o.jsx(dt.div,{tabIndex:-1,...i,ref:m,onKeyDown:x})});Hf.displayName=G0;function K0(e,{select:t=!1}={}){const n=document.activeElement;for(const r of e)if(gt(r,{select:t}),document.activeElement!==n)return}function Q0(e){const t=Gf(e),n=Qu(t,e),r=Qu(t.reverse(),e);return[n,r]}function Gf(e){const t=[],n=document.createTreeWalker(e,NodeFilter.SHOW_ELEMENT,{acceptNode:r=>{const l=r.tagName==="INPUT"&&r.type==="hidden";return r.disabled||r.hidden||l?NodeFilter.FILTER_SKIP:r.tabIndex>=0?NodeFilter.FILTER_ACCEPT:NodeFilter.FILTER_SKIP}});for(;n.nextNode();)t.push(n.currentNode);return t}function Qu(e,t){for(const n of e)if(!Y0(n,{upTo:t}))return n}function Y0(e,{upTo:t}){if(getComputedStyle(e).visibility==="hidden")return!0;for(;e;){if(t!==void 0&&e===t)return!1;if(getComputedStyle(e).display==="none")return!0;e=e.parentElement}return!1}function X0(e){return e instanceof HTMLInputElement&&"select"in e}function gt(e,{select:t=!1}={}){if(e&&e.focus){const n=document.activeElement;e.focus({preventScroll:!0}),e!==n&&X0(e)&&t&&e.select()}}var Yu=J0();function J0(){let e=[];return{add(t){const n=e[0];t!==n&&(n==null||n.pause()),e=Xu(e,t),e.unshift(t)},remove(t){var n;e=Xu(e,t),(n=e[0])==null||n.resume()}}}function Xu(e,t){const n=[...e],r=n.indexOf(t);return r!==-1&&n.splice(r,1),n}function Z0(e){return e.filter(t=>t.tagName!=="A")}var q0="Portal",Kf=w.forwardRef((e,t)=>{var a;const{container:n,...r}=e,[l,s]=w.useState(!1);Rr(()=>s(!0),[]);const i=n||l&&((a=globalThis==null?void 0:globalThis.document)==null?void 0:a.body);return i?Hh.createPortal(o.jsx(dt.div,{...r,ref:t}),i):null});Kf.displayName=q0;function ex(e,t){return w.useReducer((n,r)=>t[n][r]??n,e)}var Ms=e=>{const{present:t,children:n}=e,r=tx(t),l=typeof n=="function"?n({present:r.isPresent}):w.Children.only(n),s=nn(r.ref,nx(l));return typeof n=="function"||r.isPresent?w.cloneElement(l,{ref:s}):null};Ms.displayName="Presence";function tx(e){const[t,n]=w.useState(),r=w.useRef(null),l=w.useRef(e),s=w.useRef("none"),i=e?"mounted":"unmounted",[a,u]=ex(i,{mounted:{UNMOUNT:"unmounted",ANIMATION_OUT:"unmountSuspended"},unmountSuspended:{MOUNT:"mounted",ANIMATION_END:"unmounted"},unmounted:{MOUNT:"mounted"}});return w.useEffect(()=>{const c=vl(r.current);s.current=a==="mounted"?c:"none"},[a]),Rr(()=>{const c=r.current,h=l.current;if(h!==e){const m=s.current,d=vl(c);e?u("MOUNT"):d==="none"||(c==null?void 0:c.display)==="none"?u("UNMOUNT"):u(h&&m!==d?"ANIMATION_OUT":"UNMOUNT"),l.current=e}},[e,u]),Rr(()=>{if(t){let c;const h=t.ownerDocument.defaultView??window,p=d=>{const g=vl(r.current).includes(CSS.escape(d.animationName));if(d.target===t&&g&&(u("ANIMATION_END"),!l.current)){const S=t.style.animationFillMode;t.style.animationFillMode="forwards",c=h.setTimeout(()=>{t.style.animationFillMode==="forwards"&&(t.style.animationFillMode=S)})}},m=d=>{d.target===t&&(s.current=vl(r.current))};return t.addEventListener("animationstart",m),t.addEventListener("animationcancel",p),t.addEventListener("animationend",p),()=>{h.clearTimeout(c),t.removeEventListener("animationstart",m),t.removeEventListener("animationcancel",p),t.removeEventListener("animationend",p)}}else u("ANIMATION_END")},[t,u]),{isPresent:["mounted","unmountSuspended"].includes(a),ref:w.useCallback(c=>{r.current=c?getComputedStyle(c):null,n(c)},[])}}function vl(e){return(e==null?void 0:e.animationName)||"none"}function nx(e){var r,l;let t=(r=Object.getOwnPropertyDescriptor(e.props,"ref"))==null?void 0:r.get,n=t&&"isReactWarning"in t&&t.isReactWarning;return n?e.ref:(t=(l=Object.getOwnPropertyDescriptor(e,"ref"))==null?void 0:l.get,n=t&&"isReactWarning"in t&&t.isReactWarning,n?e.props.ref:e.props.ref||e.ref)}var mo=0;function rx(){w.useEffect(()=>{const e=document.querySelectorAll("[data-radix-focus-guard]");return document.body.insertAdjacentElement("afterbegin",e[0]??Ju()),document.body.insertAdjacentElement("beforeend",e[1]??Ju()),mo++,()=>{mo===1&&document.querySelectorAll("[data-radix-focus-guard]").forEach(t=>t.remove()),mo--}},[])}function Ju(){const e=document.createElement("span");return e.setAttribute("data-radix-focus-guard",""),e.tabIndex=0,e.style.outline="none",e.style.opacity="0",e.style.position="fixed",e.style.pointerEvents="none",e}var Ke=function(){return Ke=Object.assign||function(t){for(var n,r=1,l=arguments.length;r<l;r++){n=arguments[r];for(var s in n)Object.prototype.hasOwnProperty.call(n,s)&&(t[s]=n[s])}return t},Ke.apply(this,arguments)};function Qf(e,t){var n={};for(var r in e)Object.prototype.hasOwnProperty.call(e,r)&&t.indexOf(r)<0&&(n[r]=e[r]);if(e!=null&&typeof Object.getOwnPropertySymbols=="function")for(var l=0,r=Object.getOwnPropertySymbols(e);l<r.length;l++)t.indexOf(r[l])<0&&Object.prototype.propertyIsEnumerable.call(e,r[l])&&(n[r[l]]=e[r[l]]);return n}function lx(e,t,n){if(n||arguments.length===2)for(var r=0,l=t.length,s;r<l;r++)(s||!(r in t))&&(s||(s=Array.prototype.slice.call(t,0,r)),s[r]=t[r]);return e.concat(s||Array.prototype.slice.call(t))}var Rl="right-scroll-bar-position",Ol="width-before-scroll-bar",sx="with-scroll-bars-hidden",ox="--removed-body-scroll-bar-size";function ho(e,t){return typeof e=="function"?e(t):e&&(e.current=t),e}function ix(e,t){var n=w.useState(function(){return{value:e,callback:t,facade:{get current(){return n.value},set current(r){var l=n.value;l!==r&&(n.value=r,n.callback(r,l))}}}})[0];return n.callback=t,n.facade}var ax=typeof window<"u"?w.useLayoutEffect:w.useEffect,Zu=new WeakMap;function ux(e,t){var n=ix(null,function(r){return e.forEach(function(l){return ho(l,r)})});return ax(function(){var r=Zu.get(n);if(r){var l=new Set(r),s=new Set(e),i=n.current;l.forEach(function(a){s.has(a)||ho(a,null)}),s.forEach(function(a){l.has(a)||ho(a,i)})}Zu.set(n,e)},[e]),n}function cx(e){return e}function dx(e,t){t===void 0&&(t=cx);var n=[],r=!1,l={read:function(){if(r)throw new Error("Sidecar: could not `read` from an `assigned` medium. `read` could be used only with `useMedium`.");return n.length?n[n.length-1]:e},useMedium:function(s){var i=t(s,r);return n.push(i),function(){n=n.filter(function(a){return a!==i})}},assignSyncMedium:function(s){for(r=!0;n.length;){var i=n;n=[],i.forEach(s)}n={push:function(a){return s(a)},filter:function(){return n}}},assignMedium:function(s){r=!0;var i=[];if(n.length){var a=n;n=[],a.forEach(s),i=n}var u=function(){var h=i;i=[],h.forEach(s)},c=function(){return Promise.resolve().then(u)};c(),n={push:function(h){i.push(h),c()},filter:function(h){return i=i.filter(h),n}}}};return l}function fx(e){e===void 0&&(e={});var t=dx(null);return t.options=Ke({async:!0,ssr:!1},e),t}var Yf=function(e){var t=e.sideCar,n=Qf(e,["sideCar"]);if(!t)throw new Error("Sidecar: please provide `sideCar` property to import the right car");var r=t.read();if(!r)throw new Error("Sidecar medium not found");return w.createElement(r,Ke({},n))};Yf.isSideCarExport=!0;function px(e,t){return e.useMedium(t),Yf}var Xf=fx(),vo=function(){},_s=w.forwardRef(function(e,t){var n=w.useRef(null),r=w.useState({onScrollCapture:vo,onWheelCapture:vo,onTouchMoveCapture:vo}),l=r[0],s=r[1],i=e.forwardProps,a=e.children,u=e.className,c=e.removeScrollBar,h=e.enabled,p=e.shards,m=e.sideCar,d=e.noRelative,x=e.noIsolation,g=e.inert,S=e.allowPinchZoom,v=e.as,f=v===void 0?"div":v,y=e.gapMode,j=Qf(e,["forwardProps","children","className","removeScrollBar","enabled","shards","sideCar","noRelative","noIsolation","inert","allowPinchZoom","as","gapMode"]),k=m,b=ux([n,t]),N=Ke(Ke({},j),l);return w.createElement(w.Fragment,null,h&&w.createElement(k,{sideCar:Xf,removeScrollBar:c,shards:p,noRelative:d,noIsolation:x,inert:g,setCallbacks:s,allowPinchZoom:!!S,lockRef:n,gapMode:y}),i?w.cloneElement(w.Children.only(a),Ke(Ke({},N),{ref:b})):w.createElement(f,Ke({},N,{className:u,ref:b}),a))});_s.defaultProps={enabled:!0,removeScrollBar:!0,inert:!1};_s.classNames={fullWidth:Ol,zeroRight:Rl};var mx=function(){if(typeof __webpack_nonce__<"u")return __webpack_nonce__};function hx(){if(!document)return null;var e=document.createElement("style");e.type="text/css";var t=mx();return t&&e.setAttribute("nonce",t),e}function vx(e,t){e.styleSheet?e.styleSheet.cssText=t:e.appendChild(document.createTextNode(t))}function gx(e){var t=document.head||document.getElementsByTagName("head")[0];t.appendChild(e)}var xx=function(){var e=0,t=null;return{add:function(n){e==0&&(t=hx())&&(vx(t,n),gx(t)),e++},remove:function(){e--,!e&&t&&(t.parentNode&&t.parentNode.removeChild(t),t=null)}}},yx=function(){var e=xx();return function(t,n){w.useEffect(function(){return e.add(t),function(){e.remove()}},[t&&n])}},Jf=function(){var e=yx(),t=function(n){var r=n.styles,l=n.dynamic;return e(r,l),null};return t},wx={left:0,top:0,right:0,gap:0},go=function(e){return parseInt(e||"",10)||0},Sx=function(e){var t=window.getComputedStyle(document.body),n=t[e==="padding"?"paddingLeft":"marginLeft"],r=t[e==="padding"?"paddingTop":"marginTop"],l=t[e==="padding"?"paddingRight":"marginRight"];return[go(n),go(r),go(l)]},jx=function(e){if(e===void 0&&(e="margin"),typeof window>"u")return wx;var t=Sx(e),n=document.documentElement.clientWidth,r=window.innerWidth;return{left:t[0],top:t[1],right:t[2],gap:Math.max(0,r-n+t[2]-t[0])}},kx=Jf(),_n="data-scroll-locked",Nx=function(e,t,n,r){var l=e.left,s=e.top,i=e.right,a=e.gap;return n===void 0&&(n="margin"),`
-  .`.concat(sx,` {
-   overflow: hidden `).concat(r,`;
-   padding-right: `).concat(a,"px ").concat(r,`;
-  }
-  body[`).concat(_n,`] {
-    overflow: hidden `).concat(r,`;
-    overscroll-behavior: contain;
-    `).concat([t&&"position: relative ".concat(r,";"),n==="margin"&&`
-    padding-left: `.concat(l,`px;
-    padding-top: `).concat(s,`px;
-    padding-right: `).concat(i,`px;
-    margin-left:0;
-    margin-top:0;
-    margin-right: `).concat(a,"px ").concat(r,`;
-    `),n==="padding"&&"padding-right: ".concat(a,"px ").concat(r,";")].filter(Boolean).join(""),`
-  }
-  
-  .`).concat(Rl,` {
-    right: `).concat(a,"px ").concat(r,`;
-  }
-  
-  .`).concat(Ol,` {
-    margin-right: `).concat(a,"px ").concat(r,`;
-  }
-  
-  .`).concat(Rl," .").concat(Rl,` {
-    right: 0 `).concat(r,`;
-  }
-  
-  .`).concat(Ol," .").concat(Ol,` {
-    margin-right: 0 `).concat(r,`;
-  }
-  
-  body[`).concat(_n,`] {
-    `).concat(ox,": ").concat(a,`px;
-  }
-`)},qu=function(){var e=parseInt(document.body.getAttribute(_n)||"0",10);return isFinite(e)?e:0},Cx=function(){w.useEffect(function(){return document.body.setAttribute(_n,(qu()+1).toString()),function(){var e=qu()-1;e<=0?document.body.removeAttribute(_n):document.body.setAttribute(_n,e.toString())}},[])},bx=function(e){var t=e.noRelative,n=e.noImportant,r=e.gapMode,l=r===void 0?"margin":r;Cx();var s=w.useMemo(function(){return jx(l)},[l]);return w.createElement(kx,{styles:Nx(s,!t,l,n?"":"!important")})},vi=!1;if(typeof window<"u")try{var gl=Object.defineProperty({},"passive",{get:function(){return vi=!0,!0}});window.addEventListener("test",gl,gl),window.removeEventListener("test",gl,gl)}catch{vi=!1}var on=vi?{passive:!1}:!1,Ex=function(e){return e.tagName==="TEXTAREA"},Zf=function(e,t){if(!(e instanceof Element))return!1;var n=window.getComputedStyle(e);return n[t]!=="hidden"&&!(n.overflowY===n.overflowX&&!Ex(e)&&n[t]==="visible")},Px=function(e){return Zf(e,"overflowY")},Mx=function(e){return Zf(e,"overflowX")},ec=function(e,t){var n=t.ownerDocument,r=t;do{typeof ShadowRoot<"u"&&r instanceof ShadowRoot&&(r=r.host);var l=qf(e,r);if(l){var s=ep(e,r),i=s[1],a=s[2];if(i>a)return!0}r=r.parentNode}while(r&&r!==n.body);return!1},_x=function(e){var t=e.scrollTop,n=e.scrollHeight,r=e.clientHeight;return[t,n,r]},zx=function(e){var t=e.scrollLeft,n=e.scrollWidth,r=e.clientWidth;return[t,n,r]},qf=function(e,t){return e==="v"?Px(t):Mx(t)},ep=function(e,t){return e==="v"?_x(t):zx(t)},Ix=function(e,t){return e==="h"&&t==="rtl"?-1:1},Tx=function(e,t,n,r,l){var s=Ix(e,window.getComputedStyle(t).direction),i=s*r,a=n.target,u=t.contains(a),c=!1,h=i>0,p=0,m=0;do{if(!a)break;var d=ep(e,a),x=d[0],g=d[1],S=d[2],v=g-S-s*x;(x||v)&&qf(e,a)&&(p+=v,m+=x);var f=a.parentNode;a=f&&f.nodeType===Node.DOCUMENT_FRAGMENT_NODE?f.host:f}while(!u&&a!==document.body||u&&(t.contains(a)||t===a));return(h&&Math.abs(p)<1||!h&&Math.abs(m)<1)&&(c=!0),c},xl=function(e){return"changedTouches"in e?[e.changedTouches[0].clientX,e.changedTouches[0].clientY]:[0,0]},tc=function(e){return[e.deltaX,e.deltaY]},nc=function(e){return e&&"current"in e?e.current:e},Rx=function(e,t){return e[0]===t[0]&&e[1]===t[1]},Ox=function(e){return`
-  .block-interactivity-`.concat(e,` {pointer-events: none;}
-  .allow-interactivity-`).concat(e,` {pointer-events: all;}
-`)},Lx=0,an=[];function Dx(e){var t=w.useRef([]),n=w.useRef([0,0]),r=w.useRef(),l=w.useState(Lx++)[0],s=w.useState(Jf)[0],i=w.useRef(e);w.useEffect(function(){i.current=e},[e]),w.useEffect(function(){if(e.inert){document.body.classList.add("block-interactivity-".concat(l));var g=lx([e.lockRef.current],(e.shards||[]).map(nc),!0).filter(Boolean);return g.forEach(function(S){return S.classList.add("allow-interactivity-".concat(l))}),function(){document.body.classList.remove("block-interactivity-".concat(l)),g.forEach(function(S){return S.classList.remove("allow-interactivity-".concat(l))})}}},[e.inert,e.lockRef.current,e.shards]);var a=w.useCallback(function(g,S){if("touches"in g&&g.touches.length===2||g.type==="wheel"&&g.ctrlKey)return!i.current.allowPinchZoom;var v=xl(g),f=n.current,y="deltaX"in g?g.deltaX:f[0]-v[0],j="deltaY"in g?g.deltaY:f[1]-v[1],k,b=g.target,N=Math.abs(y)>Math.abs(j)?"h":"v";if("touches"in g&&N==="h"&&b.type==="range")return!1;var E=window.getSelection(),L=E&&E.anchorNode,P=L?L===b||L.contains(b):!1;if(P)return!1;var B=ec(N,b);if(!B)return!0;if(B?k=N:(k=N==="v"?"h":"v",B=ec(N,b)),!B)return!1;if(!r.current&&"changedTouches"in g&&(y||j)&&(r.current=k),!k)return!0;var A=r.current||k;return Tx(A,S,g,A==="h"?y:j)},[]),u=w.useCallback(function(g){var S=g;if(!(!an.length||an[an.length-1]!==s)){var v="deltaY"in S?tc(S):xl(S),f=t.current.filter(function(k){return k.name===S.type&&(k.target===S.target||S.target===k.shadowParent)&&Rx(k.delta,v)})[0];if(f&&f.should){S.cancelable&&S.preventDefault();return}if(!f){var y=(i.current.shards||[]).map(nc).filter(Boolean).filter(function(k){return k.contains(S.target)}),j=y.length>0?a(S,y[0]):!i.current.noIsolation;j&&S.cancelable&&S.preventDefault()}}},[]),c=w.useCallback(function(g,S,v,f){var y={name:g,delta:S,target:v,should:f,shadowParent:Ax(v)};t.current.push(y),setTimeout(function(){t.current=t.current.filter(function(j){return j!==y})},1)},[]),h=w.useCallback(function(g){n.current=xl(g),r.current=void 0},[]),p=w.useCallback(function(g){c(g.type,tc(g),g.target,a(g,e.lockRef.current))},[]),m=w.useCallback(function(g){c(g.type,xl(g),g.target,a(g,e.lockRef.current))},[]);w.useEffect(function(){return an.push(s),e.setCallbacks({onScrollCapture:p,onWheelCapture:p,onTouchMoveCapture:m}),document.addEventListener("wheel",u,on),document.addEventListener("touchmove",u,on),document.addEventListener("touchstart",h,on),function(){an=an.filter(function(g){return g!==s}),document.removeEventListener("wheel",u,on),document.removeEventListener("touchmove",u,on),document.removeEventListener("touchstart",h,on)}},[]);var d=e.removeScrollBar,x=e.inert;return w.createElement(w.Fragment,null,x?w.createElement(s,{styles:Ox(l)}):null,d?w.createElement(bx,{noRelative:e.noRelative,gapMode:e.gapMode}):null)}function Ax(e){for(var t=null;e!==null;)e instanceof ShadowRoot&&(t=e.host,e=e.host),e=e.parentNode;return t}const Fx=px(Xf,Dx);var tp=w.forwardRef(function(e,t){return w.createElement(_s,Ke({},e,{ref:t,sideCar:Fx}))});tp.classNames=_s.classNames;var $x=function(e){if(typeof document>"u")return null;var t=Array.isArray(e)?e[0]:e;return t.ownerDocument.body},un=new WeakMap,yl=new WeakMap,wl={},xo=0,np=function(e){return e&&(e.host||np(e.parentNode))},Ux=function(e,t){return t.map(function(n){if(e.contains(n))return n;var r=np(n);return r&&e.contains(r)?r:(console.error("aria-hidden",n,"in not contained inside",e,". Doing nothing"),null)}).filter(function(n){return!!n})},Vx=function(e,t,n,r){var l=Ux(t,Array.isArray(e)?e:[e]);wl[n]||(wl[n]=new WeakMap);var s=wl[n],i=[],a=new Set,u=new Set(l),c=function(p){!p||a.has(p)||(a.add(p),c(p.parentNode))};l.forEach(c);var h=function(p){!p||u.has(p)||Array.prototype.forEach.call(p.children,function(m){if(a.has(m))h(m);else try{var d=m.getAttribute(r),x=d!==null&&d!=="false",g=(un.get(m)||0)+1,S=(s.get(m)||0)+1;un.set(m,g),s.set(m,S),i.push(m),g===1&&x&&yl.set(m,!0),S===1&&m.setAttribute(n,"true"),x||m.setAttribute(r,"true")}catch(v){console.error("aria-hidden: cannot operate on ",m,v)}})};return h(t),a.clear(),xo++,function(){i.forEach(function(p){var m=un.get(p)-1,d=s.get(p)-1;un.set(p,m),s.set(p,d),m||(yl.has(p)||p.removeAttribute(r),yl.delete(p)),d||p.removeAttribute(n)}),xo--,xo||(un=new WeakMap,un=new WeakMap,yl=new WeakMap,wl={})}},Bx=function(e,t,n){n===void 0&&(n="data-aria-hidden");var r=Array.from(Array.isArray(e)?e:[e]),l=$x(e);return l?(r.push.apply(r,Array.from(l.querySelectorAll("[aria-live], script"))),Vx(r,l,n,"aria-hidden")):function(){return null}},zs="Dialog",[rp]=k0(zs),[Wx,Be]=rp(zs),lp=e=>{const{__scopeDialog:t,children:n,open:r,defaultOpen:l,onOpenChange:s,modal:i=!0}=e,a=w.useRef(null),u=w.useRef(null),[c,h]=P0({prop:r,defaultProp:l??!1,onChange:s,caller:zs});return o.jsx(Wx,{scope:t,triggerRef:a,contentRef:u,contentId:co(),titleId:co(),descriptionId:co(),open:c,onOpenChange:h,onOpenToggle:w.useCallback(()=>h(p=>!p),[h]),modal:i,children:n})};lp.displayName=zs;var sp="DialogTrigger",Hx=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,l=Be(sp,n),s=nn(t,l.triggerRef);return o.jsx(dt.button,{type:"button","aria-haspopup":"dialog","aria-expanded":l.open,"aria-controls":l.contentId,"data-state":ja(l.open),...r,ref:s,onClick:It(e.onClick,l.onOpenToggle)})});Hx.displayName=sp;var wa="DialogPortal",[Gx,op]=rp(wa,{forceMount:void 0}),ip=e=>{const{__scopeDialog:t,forceMount:n,children:r,container:l}=e,s=Be(wa,t);return o.jsx(Gx,{scope:t,forceMount:n,children:w.Children.map(r,i=>o.jsx(Ms,{present:n||s.open,children:o.jsx(Kf,{asChild:!0,container:l,children:i})}))})};ip.displayName=wa;var os="DialogOverlay",ap=w.forwardRef((e,t)=>{const n=op(os,e.__scopeDialog),{forceMount:r=n.forceMount,...l}=e,s=Be(os,e.__scopeDialog);return s.modal?o.jsx(Ms,{present:r||s.open,children:o.jsx(Qx,{...l,ref:t})}):null});ap.displayName=os;var Kx=Uf("DialogOverlay.RemoveScroll"),Qx=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,l=Be(os,n);return o.jsx(tp,{as:Kx,allowPinchZoom:!0,shards:[l.contentRef],children:o.jsx(dt.div,{"data-state":ja(l.open),...r,ref:t,style:{pointerEvents:"auto",...r.style}})})}),qt="DialogContent",up=w.forwardRef((e,t)=>{const n=op(qt,e.__scopeDialog),{forceMount:r=n.forceMount,...l}=e,s=Be(qt,e.__scopeDialog);return o.jsx(Ms,{present:r||s.open,children:s.modal?o.jsx(Yx,{...l,ref:t}):o.jsx(Xx,{...l,ref:t})})});up.displayName=qt;var Yx=w.forwardRef((e,t)=>{const n=Be(qt,e.__scopeDialog),r=w.useRef(null),l=nn(t,n.contentRef,r);return w.useEffect(()=>{const s=r.current;if(s)return Bx(s)},[]),o.jsx(cp,{...e,ref:l,trapFocus:n.open,disableOutsidePointerEvents:!0,onCloseAutoFocus:It(e.onCloseAutoFocus,s=>{var i;s.preventDefault(),(i=n.triggerRef.current)==null||i.focus()}),onPointerDownOutside:It(e.onPointerDownOutside,s=>{const i=s.detail.originalEvent,a=i.button===0&&i.ctrlKey===!0;(i.button===2||a)&&s.preventDefault()}),onFocusOutside:It(e.onFocusOutside,s=>s.preventDefault())})}),Xx=w.forwardRef((e,t)=>{const n=Be(qt,e.__scopeDialog),r=w.useRef(!1),l=w.useRef(!1);return o.jsx(cp,{...e,ref:t,trapFocus:!1,disableOutsidePointerEvents:!1,onCloseAutoFocus:s=>{var i,a;(i=e.onCloseAutoFocus)==null||i.call(e,s),s.defaultPrevented||(r.current||(a=n.triggerRef.current)==null||a.focus(),s.preventDefault()),r.current=!1,l.current=!1},onInteractOutside:s=>{var u,c;(u=e.onInteractOutside)==null||u.call(e,s),s.defaultPrevented||(r.current=!0,s.detail.originalEvent.type==="pointerdown"&&(l.current=!0));const i=s.target;((c=n.triggerRef.current)==null?void 0:c.contains(i))&&s.preventDefault(),s.detail.originalEvent.type==="focusin"&&l.current&&s.preventDefault()}})}),cp=w.forwardRef((e,t)=>{const{__scopeDialog:n,trapFocus:r,onOpenAutoFocus:l,onCloseAutoFocus:s,...i}=e,a=Be(qt,n),u=w.useRef(null),c=nn(t,u);return rx(),o.jsxs(o.Fragment,{children:[o.jsx(Hf,{asChild:!0,loop:!0,trapped:r,onMountAutoFocus:l,onUnmountAutoFocus:s,children:o.jsx(Bf,{role:"dialog",id:a.contentId,"aria-describedby":a.descriptionId,"aria-labelledby":a.titleId,"data-state":ja(a.open),...i,ref:c,onDismiss:()=>a.onOpenChange(!1)})}),o.jsxs(o.Fragment,{children:[o.jsx(Zx,{titleId:a.titleId}),o.jsx(ey,{contentRef:u,descriptionId:a.descriptionId})]})]})}),Sa="DialogTitle",dp=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,l=Be(Sa,n);return o.jsx(dt.h2,{id:l.titleId,...r,ref:t})});dp.displayName=Sa;var fp="DialogDescription",Jx=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,l=Be(fp,n);return o.jsx(dt.p,{id:l.descriptionId,...r,ref:t})});Jx.displayName=fp;var pp="DialogClose",mp=w.forwardRef((e,t)=>{const{__scopeDialog:n,...r}=e,l=Be(pp,n);return o.jsx(dt.button,{type:"button",...r,ref:t,onClick:It(e.onClick,()=>l.onOpenChange(!1))})});mp.displayName=pp;function ja(e){return e?"open":"closed"}var hp="DialogTitleWarning",[fy,vp]=j0(hp,{contentName:qt,titleName:Sa,docsSlug:"dialog"}),Zx=({titleId:e})=>{const t=vp(hp),n=`\`${t.contentName}\` requires a \`${t.titleName}\` for the component to be accessible for screen reader users.
-
-If you want to hide the \`${t.titleName}\`, you can wrap it with our VisuallyHidden component.
-
-For more information, see https://radix-ui.com/primitives/docs/components/${t.docsSlug}`;return w.useEffect(()=>{e&&(document.getElementById(e)||console.error(n))},[n,e]),null},qx="DialogDescriptionWarning",ey=({contentRef:e,descriptionId:t})=>{const r=`Warning: Missing \`Description\` or \`aria-describedby={undefined}\` for {${vp(qx).contentName}}.`;return w.useEffect(()=>{var s;const l=(s=e.current)==null?void 0:s.getAttribute("aria-describedby");t&&l&&(document.getElementById(t)||console.warn(r))},[r,e,t]),null},Vr=lp,Br=ip,Wr=ap,Hr=up,Gr=dp,Kr=mp;function ty(){const{activeModal:e,closeModal:t}=J(),{scenes:n,goToSceneById:r,activateScene:l,currentScene:s,activeSceneId:i}=me(),{favorites:a,recentScenes:u,addFavorite:c,removeFavorite:h}=Wn(),[p,m]=w.useState(""),[d,x]=w.useState("all"),g=e==="sceneJumper",S=w.useMemo(()=>{let k=n;if(d==="favorites"?k=k.filter(b=>a.includes(b.id)):d==="recent"&&(k=u.map(b=>n.find(N=>N.id===b)).filter(Boolean)),p.trim()){const b=p.toLowerCase();k=k.filter(N=>N.title.toLowerCase().includes(b)||N.location.toLowerCase().includes(b))}return k},[n,d,p,a,u]),v=w.useMemo(()=>{const k={};return S.forEach(b=>{const N=`Act ${b.act} / Chapter ${b.chapter}`;k[N]||(k[N]=[]),k[N].push(b)}),k},[S]),f=k=>{r(k),t(),m("")},y=k=>{l(k),r(k),t(),m("")},j=(k,b)=>{b.stopPropagation(),a.includes(k)?h(k):c(k)};return o.jsx(Vr,{open:g,onOpenChange:k=>!k&&t(),children:o.jsxs(Br,{children:[o.jsx(Wr,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(Hr,{className:I("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[600px] max-h-[80vh] bg-neutral-800 rounded-lg shadow-xl z-50","flex flex-col"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsx(Gr,{className:"text-lg font-semibold",children:"Scene Jumper"}),o.jsx(Kr,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(ct,{size:18})})]}),o.jsxs("div",{className:"p-4 border-b border-neutral-700",children:[o.jsxs("div",{className:"relative",children:[o.jsx(ga,{size:16,className:"absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400"}),o.jsx("input",{type:"text",value:p,onChange:k=>m(k.target.value),placeholder:"Search scenes...",className:"input w-full pl-9",autoFocus:!0})]}),o.jsxs("div",{className:"flex gap-2 mt-3",children:[o.jsx(yo,{active:d==="all",onClick:()=>x("all"),label:"All"}),o.jsx(yo,{active:d==="favorites",onClick:()=>x("favorites"),icon:o.jsx(Du,{size:12}),label:"Favorites"}),o.jsx(yo,{active:d==="recent",onClick:()=>x("recent"),icon:o.jsx(Ef,{size:12}),label:"Recent"})]})]}),o.jsxs("div",{className:"flex-1 overflow-y-auto p-4",children:[Object.entries(v).map(([k,b])=>o.jsxs("div",{className:"mb-4",children:[o.jsx("h4",{className:"text-xs font-semibold text-neutral-400 uppercase mb-2",children:k}),o.jsx("ul",{className:"space-y-1",children:b.map(N=>{const E=N.id===i,L=N.id===(s==null?void 0:s.id);return o.jsx("li",{children:o.jsxs("div",{className:I("flex items-center justify-between p-2 rounded","bg-neutral-750 border",E&&"border-green-600 bg-green-900/20",L&&!E&&"border-cyan-600 bg-cyan-900/20",!E&&!L&&"border-neutral-700 hover:bg-neutral-700"),children:[o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[E&&o.jsx(it,{size:12,className:"text-green-400 flex-shrink-0",fill:"currentColor"}),o.jsxs("span",{className:"font-medium truncate",children:["Scene ",N.scene,": ",N.title]}),E&&o.jsx("span",{className:"text-xs text-green-400 flex-shrink-0",children:"(ACTIVE)"})]}),o.jsx("div",{className:"text-sm text-neutral-400 truncate",children:N.location})]}),o.jsxs("div",{className:"flex items-center gap-1 flex-shrink-0 ml-2",children:[o.jsx("button",{onClick:P=>j(N.id,P),className:I("p-1.5 rounded hover:bg-neutral-600",a.includes(N.id)?"text-amber-400":"text-neutral-500"),title:"Toggle favorite",children:o.jsx(Du,{size:14,fill:a.includes(N.id)?"currentColor":"none"})}),o.jsxs("button",{onClick:()=>f(N.id),className:"px-2 py-1 text-xs bg-neutral-600 hover:bg-neutral-500 rounded flex items-center gap-1",title:"View scene (GM only)",children:[o.jsx(Pf,{size:12}),"View"]}),o.jsxs("button",{onClick:()=>y(N.id),disabled:E,className:I("px-2 py-1 text-xs rounded flex items-center gap-1",E?"bg-green-800/50 text-green-400 cursor-not-allowed":"bg-amber-600 hover:bg-amber-500 text-white"),title:"Activate scene for players",children:[o.jsx(it,{size:12}),E?"Active":"Activate"]})]})]})},N.id)})})]},k)),S.length===0&&o.jsx("div",{className:"text-center text-neutral-500 py-8",children:"No scenes found"})]})]})]})})}function yo({active:e,onClick:t,icon:n,label:r}){return o.jsxs("button",{onClick:t,className:I("px-3 py-1 rounded text-sm flex items-center gap-1",e?"bg-cyan-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:[n,r]})}function ny(){const{activeModal:e,closeModal:t,selectNPC:n,selectItem:r}=J(),{scenes:l,goToSceneById:s}=me(),[i,a]=w.useState(""),[u,c]=w.useState("all"),h=e==="globalSearch",p=w.useMemo(()=>{if(!i.trim())return[];const x=i.toLowerCase(),g=[];return(u==="all"||u==="scenes")&&l.forEach(S=>{(S.title.toLowerCase().includes(x)||S.location.toLowerCase().includes(x)||S.narrative.toLowerCase().includes(x))&&g.push({type:"scene",id:S.id,title:S.title,subtitle:S.location,data:S})}),(u==="all"||u==="npcs")&&l.forEach(S=>{var v;(v=S.npcs)==null||v.forEach(f=>{(f.name.toLowerCase().includes(x)||f.role.toLowerCase().includes(x))&&g.push({type:"npc",id:f.id,title:f.name,subtitle:`${f.role} (${S.title})`,data:f})})}),(u==="all"||u==="items")&&l.forEach(S=>{var v;(v=S.items)==null||v.forEach(f=>{f.name.toLowerCase().includes(x)&&g.push({type:"item",id:f.id,title:f.name,subtitle:`${f.value||"Item"} (${S.title})`,data:f})})}),g.slice(0,50)},[i,u,l]),m=async x=>{switch(x.type){case"scene":s(x.id);break;case"npc":try{const g=await fetch(`/api/npcs/${x.id}?role=gm`);if(g.ok){const S=await g.json();n(S)}}catch(g){console.error("Failed to load NPC:",g)}break;case"item":r(x.data);break}t(),a("")},d=x=>{switch(x){case"scene":return o.jsx(Ir,{size:14,className:"text-green-400"});case"npc":return o.jsx(at,{size:14,className:"text-cyan-400"});case"item":return o.jsx(mi,{size:14,className:"text-amber-400"})}};return o.jsx(Vr,{open:h,onOpenChange:x=>!x&&t(),children:o.jsxs(Br,{children:[o.jsx(Wr,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(Hr,{className:I("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[600px] max-h-[80vh] bg-neutral-800 rounded-lg shadow-xl z-50","flex flex-col"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsx(Gr,{className:"text-lg font-semibold",children:"Global Search"}),o.jsx(Kr,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(ct,{size:18})})]}),o.jsxs("div",{className:"p-4 border-b border-neutral-700",children:[o.jsxs("div",{className:"relative",children:[o.jsx(ga,{size:16,className:"absolute left-3 top-1/2 -translate-y-1/2 text-neutral-400"}),o.jsx("input",{type:"text",value:i,onChange:x=>a(x.target.value),placeholder:"Search everything...",className:"input w-full pl-9",autoFocus:!0})]}),o.jsxs("div",{className:"flex gap-2 mt-3",children:[o.jsx(Sl,{active:u==="all",onClick:()=>c("all"),label:"All"}),o.jsx(Sl,{active:u==="scenes",onClick:()=>c("scenes"),icon:o.jsx(Ir,{size:12}),label:"Scenes"}),o.jsx(Sl,{active:u==="npcs",onClick:()=>c("npcs"),icon:o.jsx(at,{size:12}),label:"NPCs"}),o.jsx(Sl,{active:u==="items",onClick:()=>c("items"),icon:o.jsx(mi,{size:12}),label:"Items"})]})]}),o.jsx("div",{className:"flex-1 overflow-y-auto p-4",children:p.length>0?o.jsx("ul",{className:"space-y-1",children:p.map(x=>o.jsx("li",{children:o.jsxs("button",{onClick:()=>m(x),className:I("w-full flex items-center gap-3 p-2 rounded text-left","hover:bg-neutral-700 transition-colors"),children:[d(x.type),o.jsxs("div",{children:[o.jsx("div",{className:"font-medium",children:x.title}),o.jsx("div",{className:"text-sm text-neutral-400",children:x.subtitle})]})]})},`${x.type}-${x.id}`))}):i.trim()?o.jsx("div",{className:"text-center text-neutral-500 py-8",children:"No results found"}):o.jsx("div",{className:"text-center text-neutral-500 py-8",children:"Start typing to search..."})})]})]})})}function Sl({active:e,onClick:t,icon:n,label:r}){return o.jsxs("button",{onClick:t,className:I("px-3 py-1 rounded text-sm flex items-center gap-1",e?"bg-cyan-600 text-white":"bg-neutral-700 text-neutral-300 hover:bg-neutral-600"),children:[n,r]})}const ry=["Athletics","Acrobatics","Sleight of Hand","Stealth","Arcana","History","Investigation","Nature","Religion","Animal Handling","Insight","Medicine","Perception","Survival","Deception","Intimidation","Performance","Persuasion"],ly=[{label:"Very Easy",dc:5},{label:"Easy",dc:10},{label:"Medium",dc:15},{label:"Hard",dc:20},{label:"Very Hard",dc:25},{label:"Nearly Impossible",dc:30}];function sy(){const{activeModal:e,closeModal:t}=J(),{addSystemMessage:n}=ya(),[r,l]=w.useState(null),[s,i]=w.useState(null),[a,u]=w.useState(""),c=e==="adHocCheck",h=()=>{var S,v;if(!r)return;const m=s||parseInt(a)||15,d=Math.floor(Math.random()*20)+1,x=d>=m,g=`[GM] ${r} check (DC ${m}): d20 = ${d} - ${x?"✓ SUCCESS":"✗ FAIL"}`;n(g),(v=(S=window.GMOverlay)==null?void 0:S.chat)!=null&&v.send&&window.GMOverlay.chat.send(g),window.dispatchEvent(new CustomEvent("gm-overlay:roll",{detail:{skill:r,dc:m,roll:d,success:x}})),t(),p()},p=()=>{l(null),i(null),u("")};return o.jsx(Vr,{open:c,onOpenChange:m=>!m&&t(),children:o.jsxs(Br,{children:[o.jsx(Wr,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(Hr,{className:I("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[500px] bg-neutral-800 rounded-lg shadow-xl z-50"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsxs(Gr,{className:"text-lg font-semibold flex items-center gap-2",children:[o.jsx(Bn,{size:18,className:"text-amber-400"}),"Ad-Hoc Skill Check"]}),o.jsx(Kr,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(ct,{size:18})})]}),o.jsxs("div",{className:"p-4 space-y-4",children:[o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Select Skill"}),o.jsx("div",{className:"grid grid-cols-3 gap-1",children:ry.map(m=>o.jsx("button",{onClick:()=>l(m),className:I("px-2 py-1 rounded text-sm text-left",r===m?"bg-cyan-600 text-white":"bg-neutral-700 hover:bg-neutral-600"),children:m},m))})]}),o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Difficulty Class"}),o.jsx("div",{className:"grid grid-cols-3 gap-2",children:ly.map(({label:m,dc:d})=>o.jsxs("button",{onClick:()=>{i(d),u("")},className:I("px-2 py-2 rounded text-sm",s===d?"bg-amber-600 text-white":"bg-neutral-700 hover:bg-neutral-600"),children:[o.jsx("div",{className:"font-medium",children:m}),o.jsxs("div",{className:"text-xs opacity-75",children:["DC ",d]})]},d))}),o.jsxs("div",{className:"mt-2 flex items-center gap-2",children:[o.jsx("span",{className:"text-sm text-neutral-400",children:"Custom DC:"}),o.jsx("input",{type:"number",value:a,onChange:m=>{u(m.target.value),i(null)},placeholder:"15",className:"input w-20 text-center",min:1,max:40})]})]}),o.jsx("div",{className:"pt-4 border-t border-neutral-700",children:o.jsxs("div",{className:"flex items-center justify-between",children:[o.jsx("div",{className:"text-sm",children:r?o.jsxs("span",{children:[o.jsx("span",{className:"text-cyan-400",children:r})," check, ",o.jsxs("span",{className:"text-amber-400",children:["DC ",s||a||"?"]})]}):o.jsx("span",{className:"text-neutral-500",children:"Select a skill"})}),o.jsx("button",{onClick:h,disabled:!r||!s&&!a,className:"btn btn-primary px-6",children:"Roll Check"})]})})]})]})]})})}function oy(){const{activeModal:e,closeModal:t}=J(),{clear:n,campaignClock:r,setTime:l}=Wn(),s=e==="settings",i=()=>{confirm("Clear all session data? This cannot be undone.")&&n()};return o.jsx(Vr,{open:s,onOpenChange:a=>!a&&t(),children:o.jsxs(Br,{children:[o.jsx(Wr,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(Hr,{className:I("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[400px] bg-neutral-800 rounded-lg shadow-xl z-50"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsx(Gr,{className:"text-lg font-semibold",children:"Settings"}),o.jsx(Kr,{className:"p-1 hover:bg-neutral-700 rounded",children:o.jsx(ct,{size:18})})]}),o.jsxs("div",{className:"p-4 space-y-6",children:[o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Campaign Clock"}),o.jsxs("div",{className:"flex items-center gap-4",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Day"}),o.jsx("input",{type:"number",value:r.day,onChange:a=>l(parseInt(a.target.value)||1,r.time),className:"input w-20",min:1})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Time"}),o.jsx("input",{type:"time",value:r.time,onChange:a=>l(r.day,a.target.value),className:"input"})]})]})]}),o.jsxs("div",{children:[o.jsx("h4",{className:"text-sm font-medium text-neutral-400 mb-2",children:"Keyboard Shortcuts"}),o.jsxs("ul",{className:"text-sm space-y-1 text-neutral-300",children:[o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"G"})," Toggle GM Overlay"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"Cmd+J"})," Scene Jumper"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"Cmd+K"})," Global Search"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"Esc"})," Close modal / Go back"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"←"})," Previous scene"]}),o.jsxs("li",{children:[o.jsx("kbd",{className:"kbd",children:"→"})," Next scene"]})]})]}),o.jsxs("div",{className:"pt-4 border-t border-neutral-700",children:[o.jsx("h4",{className:"text-sm font-medium text-red-400 mb-2",children:"Danger Zone"}),o.jsx("button",{onClick:i,className:"btn btn-danger",children:"Clear Session Data"})]})]})]})]})})}function iy(){const{activeModal:e,closeModal:t}=J(),n=e==="exportAll",[r,l]=w.useState(!1),[s,i]=w.useState(null),[a,u]=w.useState(null);w.useEffect(()=>{if(!n)return;l(!0),i(null);const m=new URLSearchParams(window.location.search).get("adventure")||"AChangeOfHeart";fetch(`/api/export/${m}`).then(d=>{if(!d.ok)throw new Error(`Failed to export: ${d.statusText}`);return d.json()}).then(d=>{u(d),l(!1)}).catch(d=>{console.error("[GM Overlay] Export error:",d),i(d instanceof Error?d.message:"Failed to export data"),l(!1)})},[n]);const c=w.useMemo(()=>{if(!a)return"";const{adventure:p,exportedAt:m}=a,d=[];return d.push("# LLM_INSTRUCTION.MD"),d.push(""),d.push("You are an assistant helping a Game Master run a tabletop RPG adventure."),d.push("The following file contains the complete structured data for one adventure,"),d.push("including world setting, adventure guide, scenes, NPCs, PCs, terminals,"),d.push("documents, and programs."),d.push(""),d.push("## How to use this data"),d.push("- Always respect the intent of the Game Master."),d.push("- Never reveal GM-only secrets, flags, or hidden information to players unless explicitly asked as GM."),d.push("- Use `narrative` and `description` fields to describe scenes and characters."),d.push("- Use `state_tracking`, `flags`, and `clues` to reason about what has been discovered."),d.push("- Use `skills`, `dc`, and `checks` to suggest appropriate rolls, not to roll dice yourself unless asked."),d.push(""),d.push("## Data layout"),d.push(`Adventure id: ${p}`),d.push(`Exported at: ${m}`),d.push(""),d.push("The JSON payload at the end of this file has the shape:"),d.push(""),d.push("```json"),d.push("{"),d.push('  "exportedAt": string,'),d.push('  "adventure": string,'),d.push('  "sections": ['),d.push("    {"),d.push('      "type": string,          // e.g. "world_setting", "guide", "scenes", "npcs"'),d.push('      "title": string,'),d.push('      "count"?: number,'),d.push('      "content": any           // see schemas below'),d.push("    }"),d.push("  ]"),d.push("}"),d.push("```"),d.push(""),d.push("## Key JSON schemas (approximate)"),d.push(""),d.push("### Scene"),d.push("```json"),d.push("{"),d.push('  "id": string,'),d.push('  "adventure": string,'),d.push('  "act": number,'),d.push('  "chapter": number,'),d.push('  "scene": number,'),d.push('  "title": string,'),d.push('  "location": string,'),d.push('  "tone"?: string,'),d.push('  "narrative": string,'),d.push('  "gmNotes"?: string,'),d.push('  "image"?: string,'),d.push('  "environment"?: {'),d.push('    "location": string,'),d.push('    "tone": string,'),d.push('    "lighting"?: { "description": string, "preset"?: string, "actuator"?: boolean },'),d.push('    "audio"?: { "description": string, "tracks"?: string[], "actuator"?: boolean },'),d.push('    "smell"?: string'),d.push("  },"),d.push('  "npcs": [{'),d.push('    "id": string,'),d.push('    "name": string,'),d.push('    "role": string,'),d.push('    "state": "active"|"passive"|"hidden"|"defeated",'),d.push('    "notes"?: string,'),d.push('    "statblock"?: string'),d.push("  }],"),d.push('  "challenges": [{'),d.push('    "id": string,'),d.push('    "name": string,'),d.push('    "skill": string,'),d.push('    "dc": number,'),d.push('    "type": "active"|"passive"|"hidden",'),d.push('    "description"?: string,'),d.push('    "success"?: string,'),d.push('    "fail"?: string'),d.push("  }],"),d.push('  "triggers": [{'),d.push('    "id": string,'),d.push('    "label": string,'),d.push('    "action": "chat"|"sound"|"scene"|"flag",'),d.push('    "text"?: string,'),d.push('    "sound"?: string,'),d.push('    "targetScene"?: string,'),d.push('    "setsFlag"?: string,'),d.push('    "irreversible"?: boolean'),d.push("  }],"),d.push('  "items"?: [{'),d.push('    "id": string,'),d.push('    "name": string,'),d.push('    "value"?: string,'),d.push('    "notes"?: string,'),d.push('    "visible": boolean'),d.push("  }],"),d.push('  "exits"?: [{'),d.push('    "id": string,'),d.push('    "label": string,'),d.push('    "targetSceneId": string'),d.push("  }]"),d.push("}"),d.push("```"),d.push(""),d.push("### NPC statblock (public/private structure)"),d.push("```json"),d.push("{"),d.push('  "id": string,'),d.push('  "name": string,'),d.push('  "type": string,'),d.push('  "archetype"?: string,'),d.push('  "public": {'),d.push('    "description": string,'),d.push('    "appearance"?: string,'),d.push('    "demeanor"?: string,'),d.push('    "known_facts"?: string[]'),d.push("  },"),d.push('  "private": {'),d.push('    "full_description"?: string,'),d.push('    "stats"?: { "stress": number, "stressMax": number, "wounds": number, "armor": number, "attack": number, "defense"?: number },'),d.push('    "attributes"?: { [key: string]: number },'),d.push('    "skills"?: { [key: string]: string|number|null },'),d.push('    "abilities"?: any[],'),d.push('    "weapons"?: any[],'),d.push('    "cyberware"?: string[],'),d.push('    "behavior"?: { "tactics"?: string, "morale"?: string, "motivation"?: string },'),d.push('    "secrets"?: { [key: string]: string },'),d.push('    "loot"?: { "item": string, "chance": number }[],'),d.push('    "gm_notes"?: string'),d.push("  }"),d.push("}"),d.push("```"),d.push(""),d.push("### Adventure guide (high level)"),d.push("```json"),d.push("{"),d.push('  "id": string,'),d.push('  "adventure": string,'),d.push('  "version": string,'),d.push('  "overview": string,'),d.push('  "content": { [sectionId: string]: any },'),d.push('  "state_tracking"?: any,'),d.push('  "items"?: any,'),d.push('  "clues"?: any'),d.push("}"),d.push("```"),d.push(""),d.push("### Other entities"),d.push("- Player characters (PCs): same general structure as NPCs, usually without `public`/`private` split."),d.push("- Terminals: JSON definitions of in-world computer systems."),d.push("- Documents: JSON documents with metadata and content."),d.push("- Programs: JSON descriptions of terminal programs/minigames."),d.push(""),d.push("---"),d.push(""),d.push("## RAW EXPORT DATA (for tools)"),d.push(""),d.push("```json"),d.push(JSON.stringify(a,null,2)),d.push("```"),d.push(""),d.join(`
-`)},[a]),h=()=>{c&&navigator.clipboard.writeText(c).then(()=>{console.log("[GM Overlay] Export copied to clipboard")},p=>{console.error("[GM Overlay] Failed to copy export:",p)})};return o.jsx(Vr,{open:n,onOpenChange:p=>!p&&t(),children:o.jsxs(Br,{children:[o.jsx(Wr,{className:"fixed inset-0 bg-black/60 z-50"}),o.jsxs(Hr,{className:I("fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2","w-[900px] max-h-[80vh] bg-neutral-900 rounded-lg shadow-xl z-50","flex flex-col border border-neutral-700"),children:[o.jsxs("div",{className:"flex items-center justify-between p-4 border-b border-neutral-700",children:[o.jsxs(Gr,{className:"text-lg font-semibold flex items-center gap-2",children:[o.jsx(Mf,{size:18}),"Export All (LLM Bundle)"]}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsxs("button",{onClick:h,disabled:!c||r||!!s,className:I("px-3 py-1.5 rounded text-sm flex items-center gap-1.5","bg-cyan-600 hover:bg-cyan-500 text-white disabled:opacity-50 disabled:cursor-not-allowed"),children:[o.jsx(zv,{size:14})," Copy"]}),o.jsx(Kr,{className:"p-1.5 hover:bg-neutral-700 rounded",children:o.jsx(ct,{size:18})})]})]}),o.jsxs("div",{className:"flex-1 flex flex-col",children:[r&&o.jsx("div",{className:"p-4 text-sm text-neutral-400",children:"Generating export"}),s&&o.jsxs("div",{className:"p-4 text-sm text-red-400",children:["Error: ",s]}),!r&&!s&&o.jsx("div",{className:"p-4 flex-1 flex flex-col",children:o.jsx("textarea",{className:"flex-1 w-full bg-neutral-950 text-neutral-100 text-xs font-mono rounded border border-neutral-700 p-3 resize-none",value:c,readOnly:!0})})]})]})]})})}function ay(e,t){const[n,r]=w.useState(e);return w.useEffect(()=>{const l=setTimeout(()=>r(e),t);return()=>clearTimeout(l)},[e,t]),n}function uy({character:e,isSelected:t,isOnline:n,onClick:r}){const l=e.background,s=typeof l=="string"?l:(l==null?void 0:l.name)||(l==null?void 0:l.key)||"custom";return o.jsxs("button",{onClick:r,className:I("w-full text-left px-3 py-2 rounded flex items-center gap-2 transition-colors",t?"bg-cyan-600 text-white":"hover:bg-neutral-700 text-neutral-200"),children:[o.jsxs("div",{className:"relative",children:[o.jsx(Jv,{size:16}),n&&o.jsx("div",{className:"absolute -top-0.5 -right-0.5 w-2 h-2 bg-green-400 rounded-full"})]}),o.jsxs("div",{className:"flex-1 min-w-0",children:[o.jsx("div",{className:"font-medium truncate",children:e.name||"Unnamed"}),o.jsxs("div",{className:"text-xs opacity-70 truncate",children:[e.handle?`"${e.handle}"`:"No handle"," • ",s]})]})]})}function cn({title:e,children:t,defaultOpen:n=!0}){const[r,l]=w.useState(n);return o.jsxs("div",{className:"border-b border-neutral-700 last:border-b-0",children:[o.jsxs("button",{onClick:()=>l(!r),className:"w-full flex items-center gap-2 px-3 py-2 text-sm font-medium text-neutral-300 hover:bg-neutral-700/50",children:[r?o.jsx(ha,{size:14}):o.jsx(bs,{size:14}),e]}),r&&o.jsx("div",{className:"px-3 pb-3",children:t})]})}function rc({label:e,value:t,onChange:n,min:r=0,max:l=5}){return o.jsxs("div",{className:"flex items-center justify-between py-1",children:[o.jsx("span",{className:"text-sm text-neutral-300 capitalize",children:e.replace(/_/g," ")}),o.jsxs("div",{className:"flex items-center gap-1",children:[o.jsx("button",{onClick:()=>n(Math.max(r,t-1)),className:"p-0.5 hover:bg-neutral-600 rounded",disabled:t<=r,children:o.jsx(If,{size:12})}),o.jsx("span",{className:"w-6 text-center font-mono text-sm",children:t}),o.jsx("button",{onClick:()=>n(Math.min(l,t+1)),className:"p-0.5 hover:bg-neutral-600 rounded",disabled:t>=l,children:o.jsx(va,{size:12})})]})]})}function lc(e){const n=e.background,r=typeof n=="string"?n:(n==null?void 0:n.name)||(n==null?void 0:n.key)||"street",l={reflex:0,body:0,tech:0,neural:0,edge:0,presence:0},s={firearms:0,heavy_weapons:0,melee:0,evasion:0,netrunning:0,hardware:0,rigging:0,medicine:0,persuasion:0,intimidation:0,deception:0,streetwise:0,perception:0,investigation:0,stealth:0,survival:0},i=e.attributes||l,a=e.skills||s,u={stress:0,stressMax:5,wounds:[{slot:1,name:null,penalty:-1},{slot:2,name:null,penalty:-2},{slot:3,name:null,penalty:"out"}],armor:0},c=e.derived||u;return{...e,background:r,attributes:{...l,...i},skills:{...s,...a},derived:{...u,...c,wounds:Array.isArray(c.wounds)&&c.wounds.length>0?c.wounds:u.wounds}}}function cy({character:e,onUpdate:t}){const[n,r]=w.useState(()=>lc(e)),l=ay(n,500);w.useEffect(()=>{r(lc(e))},[e.id]),w.useEffect(()=>{l.id===e.id&&l!==e&&t(l)},[l,e.id,t]);const s=(c,h)=>{r(p=>({...p,[c]:h}))},i=(c,h)=>{r(p=>({...p,attributes:{...p.attributes,[c]:h}}))},a=(c,h)=>{r(p=>({...p,skills:{...p.skills,[c]:h}}))},u=(c,h)=>{r(p=>({...p,derived:{...p.derived,[c]:h}}))};return o.jsxs("div",{className:"flex-1 overflow-y-auto",children:[o.jsx(cn,{title:"Identity",defaultOpen:!0,children:o.jsxs("div",{className:"space-y-2",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Name"}),o.jsx("input",{type:"text",value:n.name,onChange:c=>s("name",c.target.value),className:"input w-full",placeholder:"Character name"})]}),o.jsxs("div",{className:"flex gap-2",children:[o.jsxs("div",{className:"flex-1",children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Handle"}),o.jsx("input",{type:"text",value:n.handle,onChange:c=>s("handle",c.target.value),className:"input w-full",placeholder:"Street name"})]}),o.jsxs("div",{className:"flex-1",children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Pronouns"}),o.jsx("input",{type:"text",value:n.pronouns||"",onChange:c=>s("pronouns",c.target.value),className:"input w-full",placeholder:"they/them"})]})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Background"}),o.jsxs("select",{value:n.background,onChange:c=>s("background",c.target.value),className:"input w-full",children:[o.jsx("option",{value:"street",children:"Street"}),o.jsx("option",{value:"corporate",children:"Corporate"}),o.jsx("option",{value:"techie",children:"Techie"}),o.jsx("option",{value:"nomad",children:"Nomad"}),o.jsx("option",{value:"fixer",children:"Fixer"}),o.jsx("option",{value:"enforcer",children:"Enforcer"})]})]})]})}),o.jsx(cn,{title:"Attributes",defaultOpen:!1,children:o.jsx("div",{className:"grid grid-cols-2 gap-x-4",children:Object.entries(n.attributes).map(([c,h])=>o.jsx(rc,{label:c,value:h,onChange:p=>i(c,p),min:-2,max:5},c))})}),o.jsx(cn,{title:"Skills",defaultOpen:!1,children:o.jsx("div",{className:"grid grid-cols-2 gap-x-4",children:Object.entries(n.skills).map(([c,h])=>o.jsx(rc,{label:c,value:h,onChange:p=>a(c,p),min:0,max:5},c))})}),o.jsx(cn,{title:"Status",defaultOpen:!0,children:o.jsxs("div",{className:"space-y-2",children:[o.jsx("div",{className:"flex items-center gap-4",children:o.jsxs("div",{className:"flex-1",children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Stress"}),o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx("input",{type:"range",min:0,max:n.derived.stressMax,value:n.derived.stress,onChange:c=>u("stress",parseInt(c.target.value)),className:"flex-1"}),o.jsxs("span",{className:"font-mono text-sm w-12 text-right",children:[n.derived.stress,"/",n.derived.stressMax]})]})]})}),o.jsxs("div",{className:"flex gap-4",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Max Stress"}),o.jsx("input",{type:"number",value:n.derived.stressMax,onChange:c=>u("stressMax",parseInt(c.target.value)||5),className:"input w-16",min:1,max:20})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Armor"}),o.jsx("input",{type:"number",value:n.derived.armor,onChange:c=>u("armor",parseInt(c.target.value)||0),className:"input w-16",min:0,max:10})]})]})]})}),o.jsx(cn,{title:"Resources",defaultOpen:!1,children:o.jsxs("div",{className:"flex gap-4",children:[o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Credits (¢)"}),o.jsx("input",{type:"number",value:n.credits,onChange:c=>s("credits",parseInt(c.target.value)||0),className:"input w-28",min:0})]}),o.jsxs("div",{children:[o.jsx("label",{className:"text-xs text-neutral-500",children:"Experience"}),o.jsx("input",{type:"number",value:n.experience,onChange:c=>s("experience",parseInt(c.target.value)||0),className:"input w-20",min:0})]})]})}),o.jsx(cn,{title:"Notes",defaultOpen:!1,children:o.jsx("textarea",{value:n.notes,onChange:c=>s("notes",c.target.value),className:"input w-full h-24 resize-none",placeholder:"Character notes..."})})]})}function dy(){const{isPanelOpen:e,isPanelMinimized:t,panelPosition:n,characters:r,connectedPlayers:l,selectedCharacterId:s,isLoading:i,closePanel:a,toggleMinimize:u,setPanelPosition:c,selectCharacter:h,loadCharacters:p,saveCharacter:m,deleteCharacter:d,createNewCharacter:x}=xa(),g=w.useRef(null),S=w.useRef(null);w.useEffect(()=>{e&&r.length===0&&p()},[e,r.length,p]);const v=w.useCallback(P=>{P.target.closest("button, input, select, textarea")||(S.current={startX:P.clientX,startY:P.clientY,startPosX:n.x,startPosY:n.y},document.addEventListener("mousemove",f),document.addEventListener("mouseup",y))},[n]),f=w.useCallback(P=>{if(!S.current)return;const B=P.clientX-S.current.startX,A=P.clientY-S.current.startY;c(S.current.startPosX+B,S.current.startPosY+A)},[c]),y=w.useCallback(()=>{S.current=null,document.removeEventListener("mousemove",f),document.removeEventListener("mouseup",y)},[f]),j=w.useCallback(async P=>{try{await m(P)}catch(B){console.error("Failed to save character:",B)}},[m]),k=w.useCallback(async()=>{if(s&&confirm("Delete this character? This cannot be undone."))try{await d(s)}catch(P){console.error("Failed to delete character:",P)}},[s,d]),b=w.useCallback(()=>{const P=x();m(P)},[x,m]),N=r.find(P=>P.id===s),E=P=>l.some(B=>B.characterId===P);if(!e)return null;const L=l.filter(P=>P.role==="player").length;return o.jsxs("div",{ref:g,className:I("fixed z-50 bg-neutral-800 rounded-lg shadow-2xl border border-neutral-600","flex flex-col",t?"w-64":"w-[600px]"),style:{left:n.x,top:n.y,maxHeight:t?"auto":"calc(100vh - 100px)"},children:[o.jsxs("div",{className:"flex items-center justify-between px-3 py-2 bg-neutral-700 rounded-t-lg cursor-move select-none",onMouseDown:v,children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(at,{size:16,className:"text-cyan-400"}),o.jsxs("span",{className:"font-medium text-sm",children:["Players",L>0&&o.jsxs("span",{className:"ml-1 text-green-400",children:["(",L," online)"]})]})]}),o.jsxs("div",{className:"flex items-center gap-1",children:[o.jsx("button",{onClick:u,className:"p-1 hover:bg-neutral-600 rounded",title:t?"Expand":"Minimize",children:o.jsx(If,{size:14})}),o.jsx("button",{onClick:a,className:"p-1 hover:bg-neutral-600 rounded",title:"Close",children:o.jsx(ct,{size:14})})]})]}),!t&&o.jsxs("div",{className:"flex flex-1 min-h-0",style:{height:"500px"},children:[o.jsxs("div",{className:"w-48 border-r border-neutral-700 flex flex-col",children:[o.jsx("div",{className:"p-2 border-b border-neutral-700",children:o.jsxs("button",{onClick:b,className:"w-full btn btn-primary text-xs flex items-center justify-center gap-1",children:[o.jsx(va,{size:14}),"New Character"]})}),o.jsx("div",{className:"flex-1 overflow-y-auto p-2 space-y-1",children:i?o.jsx("div",{className:"text-center text-neutral-500 py-4 text-sm",children:"Loading..."}):r.length===0?o.jsx("div",{className:"text-center text-neutral-500 py-4 text-sm",children:"No characters yet"}):r.map(P=>o.jsx(uy,{character:P,isSelected:P.id===s,isOnline:E(P.id),onClick:()=>h(P.id)},P.id))})]}),o.jsx("div",{className:"flex-1 flex flex-col min-w-0",children:N?o.jsxs(o.Fragment,{children:[o.jsxs("div",{className:"flex items-center justify-between px-3 py-2 border-b border-neutral-700",children:[o.jsxs("div",{className:"flex items-center gap-2",children:[o.jsx(Es,{size:14,className:"text-amber-400"}),o.jsx("span",{className:"text-sm font-medium truncate",children:N.name||"Unnamed Character"})]}),o.jsxs("div",{className:"flex items-center gap-1",children:[o.jsx("button",{onClick:()=>j(N),className:"p-1.5 hover:bg-neutral-700 rounded text-green-400",title:"Save now",children:o.jsx(Gv,{size:14})}),o.jsx("button",{onClick:k,className:"p-1.5 hover:bg-neutral-700 rounded text-red-400",title:"Delete character",children:o.jsx(Tf,{size:14})})]})]}),o.jsx(cy,{character:N,onUpdate:j})]}):o.jsx("div",{className:"flex-1 flex items-center justify-center text-neutral-500",children:o.jsxs("div",{className:"text-center",children:[o.jsx(at,{size:32,className:"mx-auto mb-2 opacity-50"}),o.jsx("p",{className:"text-sm",children:"Select a character to edit"}),o.jsx("p",{className:"text-xs mt-1",children:"or create a new one"})]})})})]})]})}function gp(){const{currentScene:e,loadScenes:t,currentIndex:n,scenes:r,activeScene:l,isViewingActiveScene:s}=me(),{isVisible:i,setVisible:a,breadcrumbs:u,resetToNarrative:c,openModal:h}=J();w0(),S0(),w.useEffect(()=>{const j=new URLSearchParams(window.location.search).get("adventure")||"AChangeOfHeart";t(j)},[t]);const p=()=>{a(!1),window.dispatchEvent(new CustomEvent("gm-overlay:close"))},m=()=>{J.getState().openModal("settings")},d=()=>{h("exportAll")},x=y=>{u[y]&&J.getState().navigateToBreadcrumb(y)},g=()=>{c()},S=e?`Act ${e.act} / Ch ${e.chapter} / Scene ${e.scene}: ${e.title}`:"Loading...",v=l?`Act ${l.act} / Ch ${l.chapter} / Scene ${l.scene}: ${l.title}`:void 0,f=r.length>0?`${n+1} / ${r.length}`:"";return o.jsxs(Cv,{isVisible:i,children:[o.jsx(Eg,{sceneLabel:S,position:f,activeSceneLabel:v,isViewingActive:s(),onSettings:m,onExportAll:d,onClose:p}),o.jsx(Pg,{trail:u.map((y,j)=>({label:y.label,onClick:()=>x(j)})),hubLabel:"Hub",onHub:g}),o.jsx(_g,{}),o.jsxs("div",{className:"flex-1 flex overflow-hidden",children:[o.jsx(o0,{}),o.jsx(x0,{})]}),o.jsx(y0,{}),o.jsx(ty,{}),o.jsx(ny,{}),o.jsx(sy,{}),o.jsx(oy,{}),o.jsx(iy,{}),o.jsx(dy,{})]})}const sc=document.getElementById("root");sc&&pa(sc).render(o.jsx(as.StrictMode,{children:o.jsx(gp,{})}));function xp(e){const t=e||document.getElementById("gm-overlay-root");if(!t){const r=document.createElement("div");return r.id="gm-overlay-root",document.body.appendChild(r),xp(r)}const n=pa(t);return n.render(o.jsx(as.StrictMode,{children:o.jsx(gp,{})})),{unmount:()=>n.unmount()}}window.GMOverlayReact={mount:xp};
@@ -264,6 +264,12 @@ const App = (function() {
             return;
         }
         
+        // Spectators watch the shared scene; they don't switch views
+        if (typeof SyncManager !== 'undefined' && SyncManager.isSpectator()) {
+            addChatMessage('system', 'View only - spectators cannot open the terminal');
+            return;
+        }
+        
         // Prevent toggle during transition
         if (typeof TransitionManager !== 'undefined' && TransitionManager.isTransitioning()) {
             console.log('[APP] Transition in progress, ignoring toggle');
@@ -379,13 +385,25 @@ const App = (function() {
         // Generate a random player name for now
         const playerName = 'Player_' + Math.random().toString(36).substring(2, 6).toUpperCase();
         
+        // ?join=CODE or ?session=ID picks the session; otherwise the server
+        // uses the last session joined from this browser (or 'default').
+        // ?spectate joins view-only.
+        const params = new URLSearchParams(window.location.search);
+        const spectate = params.has('spectate');
+        
         // Initialize with self-test enabled
         SyncManager.init({
             name: playerName,
-            sessionId: 'default',
+            sessionId: params.get('session'),
+            joinCode: params.get('join'),
+            role: spectate ? 'spectator' : undefined,
             selfTest: true
         });
         
+        if (spectate && typeof ChatManager !== 'undefined') {
+            ChatManager.setSpectatorMode(true);
+        }
+        
         // Register handlers for sync events
         SyncManager.registerHandlers({
             onConnect: (localState) => {
@@ -418,6 +436,21 @@ const App = (function() {
             onChat: (data) => {
                 // Received chat from another player
                 const prefix = data.role === 'gm' ? '[GM] ' : '';
+                
+                if (data.visibility === 'whisper') {
+                    // Private message - to us, or overheard by the GM
+                    const toUs = Array.isArray(data.to) && data.to.includes(SyncManager.getLocalState().id);
+                    const label = toUs ? '[WHISPER]' : `[WHISPER → ${data.toName}]`;
+                    addChatMessage('whisper', `${label} ${prefix}${data.name}: ${data.text}`);
+                    return;
+                }
+                
+                // Server announcements (e.g. scheduled timeline events)
+                if (data.kind === 'system') {
+                    addChatMessage('system', data.text);
+                    return;
+                }
+                
                 addChatMessage(data.type, `${prefix}${data.name}: ${data.text}`);
             },
             
@@ -457,8 +490,9 @@ const App = (function() {
                 }
             },
             
+            // Refused messages (validation, rate limits, permissions) land in the chat log
             onError: (data) => {
-                addChatMessage('error', `Sync error: ${data.message}`);
+                addChatMessage('error', SyncManager.describeError(data));
             }
         });
         
@@ -485,6 +519,74 @@ const App = (function() {
                     addChatMessage('system', `Online: ${names}`);
                 }
             });
+
+            EventBus.on('sync:gm_authenticated', (data) => {
+                if (data.restored) {
+                    addChatMessage('system', 'GM privileges restored for this session');
+                }
+            });
+
+            // The server decides the role (a GM token stays GM even with ?spectate)
+            EventBus.on('sync:role_changed', (data) => {
+                const spectating = data.role === 'spectator';
+                if (typeof ChatManager !== 'undefined' && ChatManager.isSpectating() !== spectating) {
+                    ChatManager.setSpectatorMode(spectating);
+                }
+            });
+
+            // In-world time, owned by the server and shown on the CRT
+            EventBus.on('sync:clock', (clock) => {
+                if (typeof ChatManager !== 'undefined') {
+                    ChatManager.setCampaignClock(clock);
+                }
+            });
+
+            // The GM shared a document (session recap)
+            EventBus.on('sync:document', (data) => {
+                addChatMessage('system', `New document: "${data.document.title}" - type DOCS in the terminal to read it`);
+            });
+
+            // Our character sheet changed elsewhere (GM edit, assignment, restore)
+            EventBus.on('sync:character', (data) => {
+                if (!data.character) {
+                    addChatMessage('system', 'Your character was unassigned');
+                } else if (data.assigned && data.by) {
+                    addChatMessage('system', `${data.by} assigned you ${data.character.name || 'a character'} - /sheet to view`);
+                } else if (data.by && !data.own) {
+                    addChatMessage('system', `${data.by} updated your character - /sheet to view`);
+                } else if (data.own) {
+                    addChatMessage('system', 'Character updated');
+                }
+            });
+
+            // REST calls refused by the server (401/403)
+            EventBus.on('sync:api_error', (data) => {
+                addChatMessage('system', `Access denied: ${data.message}`);
+            });
+
+            // Announce which session we ended up in
+            EventBus.on('sync:session_joined', (data) => {
+                if (data.changed || data.sessionId !== 'default') {
+                    addChatMessage('system', `Session: ${data.sessionName} (join code ${data.joinCode})`);
+                }
+                if (SyncManager.isSpectator()) {
+                    addChatMessage('system', 'Spectating - view only');
+                }
+            });
+
+            // Queued chat/rolls confirmed or given up on by the outbox
+            EventBus.on('sync:delivery', (data) => {
+                if (typeof ChatManager !== 'undefined') {
+                    ChatManager.setDeliveryStatus(data.id, data.status, data.message);
+                }
+            });
+
+            // Replay persisted chat/rolls on (re)connect
+            EventBus.on('sync:chat_history', (data) => {
+                if (typeof ChatManager !== 'undefined') {
+                    ChatManager.replayHistory(data.messages);
+                }
+            });
         }
         
         console.log('[APP] SyncManager initialized');
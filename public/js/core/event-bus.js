@@ -193,6 +193,7 @@ EventBus.Events = {
     SCENE_CHANGED: 'scene:changed',
     SCENE_LOADING: 'scene:loading',
     SCENE_LOADED: 'scene:loaded',
+    SCENE_UPDATED: 'scene:updated',
     
     // Audio events
     AUDIO_PLAY: 'audio:play',
@@ -227,5 +228,6 @@ EventBus.Events = {
     SYNC_SELF_TEST_PASSED: 'sync:self_test_passed',
     SYNC_SELF_TEST_FAILED: 'sync:self_test_failed',
     SYNC_GM_AUTHENTICATED: 'sync:gm_authenticated',
-    SYNC_GM_LOGOUT: 'sync:gm_logout'
+    SYNC_GM_LOGOUT: 'sync:gm_logout',
+    SYNC_CONTENT_UPDATED: 'sync:content_updated'
 };
@@ -3,16 +3,17 @@
  * 
  * Handles all network communication for the virtual tabletop:
  * - Presence (who's connected, what they're viewing)
- * - Chat messages (broadcast to all)
- * - Dice rolls (broadcast with attribution)
+ * - Chat messages (broadcast to all, or whispered to one player + GM)
+ * - Dice rolls (generated by the server, broadcast with attribution)
  * - Scene changes (GM → Players)
- * - State sync (characters, combat - future)
+ * - State sync (bound character sheet; combat - future)
  * 
  * Features:
  * - Self-test mode: spawns virtual peer on startup to validate comms
  * - Automatic reconnection with state recovery
  * - GM/Player role management
  * - Per-player view state tracking (scene vs terminal)
+ * - Named sessions, joined by session ID or short join code
  */
 
 const SyncManager = (function() {
@@ -23,43 +24,10 @@ const SyncManager = (function() {
     
     const VERSION = '1.0.0';
     
-    // Message types for protocol
-    const MessageType = {
-        // Presence
-        JOIN: 'sync:join',
-        LEAVE: 'sync:leave',
-        PRESENCE: 'sync:presence',
-        VIEW_CHANGE: 'sync:view_change',
-        
-        // Chat
-        CHAT: 'sync:chat',
-        
-        // Dice
-        ROLL: 'sync:roll',
-        
-        // Scene (GM only)
-        SCENE_CHANGE: 'sync:scene_change',
-        SCENE_REQUEST: 'sync:scene_request',
-        
-        // State
-        STATE_SYNC: 'sync:state',
-        STATE_REQUEST: 'sync:state_request',
-        
-        // System
-        PING: 'sync:ping',
-        PONG: 'sync:pong',
-        ERROR: 'sync:error',
-        
-        // Self-test
-        ECHO_REQUEST: 'sync:echo_request',
-        ECHO_RESPONSE: 'sync:echo_response',
-        
-        // Session persistence
-        RECONNECT: 'sync:reconnect',
-        TOKEN: 'sync:token',
-        NPC_STATE: 'sync:npc_state',
-        FLAG_UPDATE: 'sync:flag_update'
-    };
+    // Message names and error codes come from the server's protocol contract
+    // (/js/core/sync-protocol.js, generated from shared/sync-protocol.json)
+    const MessageType = SyncProtocol.MessageType;
+    const ErrorCode = SyncProtocol.ErrorCode;
     
     // View modes
     const ViewMode = {
@@ -70,7 +38,8 @@ const SyncManager = (function() {
     // Roles
     const Role = {
         PLAYER: 'player',
-        GM: 'gm'
+        GM: 'gm',
+        SPECTATOR: 'spectator'  // View-only: receives everything public, can't chat/roll/change views
     };
     
     // ═══════════════════════════════════════════════════════════════════
@@ -80,25 +49,70 @@ const SyncManager = (function() {
     let initialized = false;
     let socket = null;
     
-    // Storage key for session token
+    // Storage keys for session token and the session it belongs to
     const TOKEN_STORAGE_KEY = 'lightdeck_session_token';
+    const SESSION_STORAGE_KEY = 'lightdeck_session_id';
+    
+    // How long to wait for the server to acknowledge an outbox message, and
+    // how many unanswered sends (while connected) before it counts as failed
+    const ACK_TIMEOUT_MS = 5000;
+    const MAX_DELIVERY_ATTEMPTS = 3;
     
     // Local user state
     const localState = {
         id: null,           // Socket ID
         token: null,        // Session persistence token
         name: 'Anonymous',  // Display name
-        role: Role.PLAYER,  // 'player' or 'gm'
+        role: Role.PLAYER,  // 'player', 'gm' or 'spectator'
         view: ViewMode.SCENE_VIEWER,  // Current view mode
-        sessionId: null     // Room/session ID
+        sessionId: null,    // Room/session ID
+        sessionName: null,  // Display name of the session
+        joinCode: null      // Join code of the session
     };
     
+    // Join code to send with the next JOIN (cleared once the server accepts it)
+    let pendingJoinCode = null;
+    
     // Connected peers (id → state)
     const peers = new Map();
     
+    // Connected spectators (id → state), kept apart from peers so player
+    // counts and GM lookups only cover participants
+    const spectators = new Map();
+    
+    // In-world time as last announced by the server ({ day, time } or null)
+    let campaignClock = null;
+    
+    // Documents published to this session, oldest first
+    let documents = [];
+    
+    // Character bound to our token (full sheet as stored), or null
+    let character = null;
+    
+    // Server ids of chat/roll messages already shown, plus the client ids of
+    // our own (so a STATE_SYNC replay after a reconnect doesn't duplicate them)
+    const seenMessageIds = new Set();
+    
+    // Server state revision we are up to date with, or null until a
+    // STATE_SYNC gives us a baseline. Sent when rejoining so the server
+    // only has to send what changed since (STATE_PATCH).
+    let stateRevision = null;
+    
+    // Epoch that revision was counted in; after a server restart it no
+    // longer matches and the server sends a full STATE_SYNC instead
+    let stateEpoch = null;
+    
+    // Chat, rolls and state changes waiting for a server ack, oldest first.
+    // Sent one at a time so they arrive in order:
+    // { id, type, payload, attempts, resolve }
+    const outbox = [];
+    let outboxInFlight = null;
+    let messageCounter = 0;
+    
     // Connection state
     const connection = {
         connected: false,
+        joined: false,      // Server accepted our JOIN on this connection
         reconnecting: false,
         lastPing: 0,
         latency: 0
@@ -134,7 +148,8 @@ const SyncManager = (function() {
      * Initialize the sync manager
      * @param {Object} options - Configuration
      * @param {string} options.name - Display name
-     * @param {string} options.sessionId - Session/room to join
+     * @param {string} options.sessionId - Session/room to join (defaults to the last one joined)
+     * @param {string} options.joinCode - Join code to resolve to a session (overrides sessionId)
      * @param {boolean} options.selfTest - Run self-test on connect (default: true)
      */
     function init(options = {}) {
@@ -145,7 +160,9 @@ const SyncManager = (function() {
         
         // Apply options
         if (options.name) localState.name = options.name;
-        if (options.sessionId) localState.sessionId = options.sessionId;
+        localState.sessionId = options.sessionId || localStorage.getItem(SESSION_STORAGE_KEY);
+        if (options.joinCode) pendingJoinCode = options.joinCode;
+        if (options.role === Role.SPECTATOR) localState.role = Role.SPECTATOR;
         if (options.selfTest !== undefined) selfTest.enabled = options.selfTest;
         
         // Check for Socket.io
@@ -177,6 +194,13 @@ const SyncManager = (function() {
      * Set up Socket.io event handlers
      */
     function setupSocketHandlers() {
+        // Live state changes carry the revision they produced
+        socket.onAny((event, data) => {
+            if (stateRevision !== null && data && Number.isInteger(data.revision)) {
+                stateRevision = Math.max(stateRevision, data.revision);
+            }
+        });
+        
         // Connection established
         socket.on('connect', () => {
             localState.id = socket.id;
@@ -203,6 +227,7 @@ const SyncManager = (function() {
         // Disconnected
         socket.on('disconnect', (reason) => {
             connection.connected = false;
+            connection.joined = false;
             
             console.log('[SyncManager] Disconnected:', reason);
             
@@ -230,7 +255,7 @@ const SyncManager = (function() {
             // Don't add self
             if (id === localState.id) return;
             
-            peers.set(id, { id, name, role, view });
+            (role === Role.SPECTATOR ? spectators : peers).set(id, { id, name, role, view });
             console.log('[SyncManager] Peer joined:', name, `(${role})`);
             
             if (handlers.onPeerJoin) handlers.onPeerJoin(data);
@@ -240,10 +265,11 @@ const SyncManager = (function() {
         // Peer left
         socket.on(MessageType.LEAVE, (data) => {
             const { id } = data;
-            const peer = peers.get(id);
+            const peer = peers.get(id) || spectators.get(id);
             
             if (peer) {
                 peers.delete(id);
+                spectators.delete(id);
                 console.log('[SyncManager] Peer left:', peer.name);
                 
                 if (handlers.onPeerLeave) handlers.onPeerLeave(peer);
@@ -262,8 +288,18 @@ const SyncManager = (function() {
                 }
             }
             
-            console.log('[SyncManager] Presence update:', peers.size, 'peers');
-            emitEvent('sync:presence', { peers: Array.from(peers.values()) });
+            spectators.clear();
+            for (const user of data.spectators || []) {
+                if (user.id !== localState.id) {
+                    spectators.set(user.id, user);
+                }
+            }
+            
+            console.log('[SyncManager] Presence update:', peers.size, 'peers,', spectators.size, 'spectators');
+            emitEvent('sync:presence', {
+                peers: Array.from(peers.values()),
+                spectators: Array.from(spectators.values())
+            });
         });
         
         // Peer changed view
@@ -287,6 +323,8 @@ const SyncManager = (function() {
         socket.on(MessageType.CHAT, (data) => {
             const { from, name, role, text, type, timestamp } = data;
             
+            if (data.id) seenMessageIds.add(data.id);
+            
             // Don't echo our own messages back
             if (from === localState.id) return;
             
@@ -303,6 +341,8 @@ const SyncManager = (function() {
         socket.on(MessageType.ROLL, (data) => {
             const { from, name, expression, rolls, total, kept } = data;
             
+            if (data.id) seenMessageIds.add(data.id);
+            
             // Don't echo our own rolls back
             if (from === localState.id) return;
             
@@ -348,10 +388,49 @@ const SyncManager = (function() {
                 emitEvent('sync:flags_restored', { flags: data.flags });
             }
             
+            if (data.campaignClock) {
+                campaignClock = data.campaignClock;
+                emitEvent('sync:clock', campaignClock);
+            }
+            
+            if (data.documents) {
+                documents = data.documents;
+                emitEvent('sync:documents', { documents: getDocuments() });
+            }
+            
+            if (data.chatHistory) {
+                restoreChatHistory(data.chatHistory);
+            }
+            
+            if (Number.isInteger(data.revision)) {
+                stateRevision = data.revision;
+                stateEpoch = data.epoch || null;
+            }
+            
             if (handlers.onStateSync) handlers.onStateSync(data);
             emitEvent('sync:state', data);
         });
         
+        // Only what changed since the revision we rejoined with: the missed
+        // messages are replayed through their usual handlers
+        socket.on(MessageType.STATE_PATCH, (data) => {
+            if (!data || !Array.isArray(data.patches)) return;
+            
+            console.log('[SyncManager] State patch received:', data.fromRevision, '→', data.revision, `(${data.patches.length} changes)`);
+            
+            for (const patch of data.patches) {
+                socket.listeners(patch.type).forEach(handler => handler(patch.data));
+            }
+            
+            if (data.chatHistory) {
+                restoreChatHistory(data.chatHistory);
+            }
+            
+            stateRevision = data.revision;
+            stateEpoch = data.epoch || null;
+            emitEvent('sync:state_patch', data);
+        });
+        
         // ─────────────────────────────────────────────────────────────────
         // SESSION PERSISTENCE EVENTS
         // ─────────────────────────────────────────────────────────────────
@@ -361,6 +440,44 @@ const SyncManager = (function() {
             if (data.token) {
                 storeToken(data.token);
             }
+            
+            // The GM role is bound to the token, so a refresh restores it
+            if (data.role && data.role !== localState.role) {
+                localState.role = data.role;
+                if (data.role === Role.GM) {
+                    console.log('[SyncManager] GM role restored from session token');
+                    emitEvent('sync:gm_authenticated', { restored: true });
+                }
+                emitEvent('sync:role_changed', { role: data.role });
+            }
+            
+            if (data.sessionId) {
+                const changed = data.sessionId !== localState.sessionId;
+                if (changed && localState.sessionId) {
+                    // Written for the session we just left
+                    failOutbox('Not sent - you switched sessions');
+                }
+                if (changed) {
+                    // Revisions are counted per session
+                    stateRevision = null;
+                }
+                localState.sessionId = data.sessionId;
+                localState.sessionName = data.sessionName || data.sessionId;
+                localState.joinCode = data.joinCode || null;
+                pendingJoinCode = null;
+                localStorage.setItem(SESSION_STORAGE_KEY, data.sessionId);
+                
+                emitEvent('sync:session_joined', {
+                    sessionId: localState.sessionId,
+                    sessionName: localState.sessionName,
+                    joinCode: localState.joinCode,
+                    changed
+                });
+            }
+            
+            // Joined (or rejoined after a drop): send what piled up meanwhile
+            connection.joined = true;
+            flushOutbox();
         });
         
         // NPC state update from GM
@@ -385,6 +502,49 @@ const SyncManager = (function() {
             emitEvent('sync:flag_update', { key, value });
         });
         
+        // Campaign clock (sent on join and whenever the GM moves it)
+        socket.on(MessageType.CLOCK, (data) => {
+            if (!data || !data.time) return;
+            
+            campaignClock = { day: data.day, time: data.time };
+            emitEvent('sync:clock', campaignClock);
+        });
+        
+        // Documents published or withdrawn by the GM
+        socket.on(MessageType.DOCUMENT, (data) => {
+            if (!data) return;
+            
+            if (data.action === 'published' && data.document) {
+                documents = documents.filter(d => d.id !== data.document.id).concat(data.document);
+                emitEvent('sync:document', { document: data.document });
+            } else if (data.action === 'removed') {
+                documents = documents.filter(d => d.id !== data.id);
+            }
+            emitEvent('sync:documents', { documents: getDocuments() });
+        });
+        
+        // Our character was assigned, unassigned or changed (by us, the GM
+        // or a snapshot restore); the server only sends us our own
+        socket.on(MessageType.CHARACTER_UPDATE, (data) => {
+            if (!data) return;
+            
+            const previousId = character ? character.id : null;
+            character = data.character || null;
+            emitEvent('sync:character', {
+                character: getCharacter(),
+                changes: data.changes,
+                by: data.by,
+                own: data.from === localState.id,
+                assigned: data.characterId !== previousId
+            });
+        });
+        
+        // An asset was edited on disk; the managers holding it refetch it
+        socket.on(MessageType.CONTENT_UPDATED, (data) => {
+            if (!data || !data.kind || !data.id) return;
+            emitEvent('sync:content_updated', data);
+        });
+        
         // ─────────────────────────────────────────────────────────────────
         // SYSTEM EVENTS
         // ─────────────────────────────────────────────────────────────────
@@ -396,7 +556,28 @@ const SyncManager = (function() {
         });
         
         socket.on(MessageType.ERROR, (data) => {
-            console.error('[SyncManager] Server error:', data.message);
+            console.error('[SyncManager] Server error:', data.code || '', data.message);
+            
+            // The outbox waits and sends it again by itself
+            if (data.code === ErrorCode.RATE_LIMITED && outboxInFlight && outboxInFlight.type === data.type) return;
+            
+            if (data.code === ErrorCode.PROTOCOL_MISMATCH) {
+                // The server hangs up after this; joining again won't help until the page reloads
+                pendingJoinCode = null;
+            } else if (data.context === 'join') {
+                if (pendingJoinCode) {
+                    // A rejected join code shouldn't be retried on every reconnect
+                    pendingJoinCode = null;
+                    
+                    // Not in any session yet (bad code at startup) - join the usual one
+                    if (!localState.joinCode) sendJoin();
+                } else if (localState.sessionId) {
+                    // Remembered session is gone or archived - fall back to the default room
+                    localState.sessionId = null;
+                    localStorage.removeItem(SESSION_STORAGE_KEY);
+                    sendJoin();
+                }
+            }
             
             if (handlers.onError) handlers.onError(data);
             emitEvent('sync:error', data);
@@ -489,10 +670,129 @@ const SyncManager = (function() {
         return selfTest.passed;
     }
     
+    // ═══════════════════════════════════════════════════════════════════
+    // OUTBOX
+    // ═══════════════════════════════════════════════════════════════════
+    
+    /**
+     * New client-generated message id. The server remembers the ids it has
+     * handled, so a message sent twice (ack lost in a Wi-Fi blip) only
+     * counts once.
+     * @returns {string}
+     */
+    function createMessageId() {
+        messageCounter += 1;
+        return `${Date.now().toString(36)}-${messageCounter.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    }
+    
+    /**
+     * Queue a message for delivery. It goes out once we are in a session
+     * and stays queued across disconnects until the server acknowledges it.
+     * Watch 'sync:delivery' ({ id, type, status: 'sent'|'failed', message? })
+     * or await `done` for the outcome.
+     * @param {string} type - MessageType
+     * @param {Object} payload
+     * @param {string} [id] - Message id (default: a new one)
+     * @returns {{ id: string, done: Promise<Object> }} done resolves with the server's ack
+     */
+    function sendReliable(type, payload, id = createMessageId()) {
+        const entry = { id, type, payload, attempts: 0, resolve: null };
+        const done = new Promise((resolve) => { entry.resolve = resolve; });
+        
+        seenMessageIds.add(id);
+        outbox.push(entry);
+        if (!connection.joined) {
+            console.log('[SyncManager] Offline, queued', type, `(${outbox.length} waiting)`);
+        }
+        flushOutbox();
+        
+        return { id, done };
+    }
+    
+    /**
+     * Send the oldest queued message, if we're in a session and nothing is
+     * waiting for an ack
+     */
+    function flushOutbox() {
+        const entry = outbox[0];
+        if (!entry || outboxInFlight || !socket || !connection.joined) return;
+        
+        outboxInFlight = entry;
+        
+        // volatile: a send that can't go out now is dropped rather than
+        // replayed by Socket.io ahead of our next JOIN; the outbox resends it
+        socket.volatile.timeout(ACK_TIMEOUT_MS).emit(entry.type, { ...entry.payload, id: entry.id }, (err, ack) => {
+            outboxInFlight = null;
+            
+            if (err) {
+                // Lost with the connection (resent after the rejoin), or the
+                // server is slow to answer
+                if (connection.joined) {
+                    entry.attempts += 1;
+                    if (entry.attempts >= MAX_DELIVERY_ATTEMPTS) {
+                        settleMessage(entry, { success: false, message: 'No answer from the server' });
+                    }
+                }
+            } else if (ack && ack.code === ErrorCode.RATE_LIMITED) {
+                setTimeout(flushOutbox, ack.retryAfter || 1000);
+                return;
+            } else {
+                settleMessage(entry, ack || { success: false });
+            }
+            
+            flushOutbox();
+        });
+    }
+    
+    /**
+     * Take a message out of the outbox and report how it went
+     * @param {Object} entry - Outbox entry
+     * @param {Object} ack - Server ack ({ success, message? }); duplicates count as sent
+     */
+    function settleMessage(entry, ack) {
+        const index = outbox.indexOf(entry);
+        if (index !== -1) outbox.splice(index, 1);
+        
+        const status = ack.success ? 'sent' : 'failed';
+        if (!ack.success) {
+            console.warn('[SyncManager] Not delivered:', entry.type, ack.message || '');
+        }
+        
+        emitEvent('sync:delivery', { id: entry.id, type: entry.type, status, message: ack.message });
+        entry.resolve(ack);
+    }
+    
+    /**
+     * Give up on everything still queued
+     * @param {string} message - Why
+     */
+    function failOutbox(message) {
+        outbox.filter(entry => entry !== outboxInFlight)
+            .forEach(entry => settleMessage(entry, { success: false, message }));
+    }
+    
     // ═══════════════════════════════════════════════════════════════════
     // SENDING MESSAGES
     // ═══════════════════════════════════════════════════════════════════
     
+    /**
+     * Show chat log entries we haven't seen yet (after a STATE_SYNC or
+     * STATE_PATCH)
+     * @param {Object[]} entries - Chat log entries, oldest first
+     */
+    function restoreChatHistory(entries) {
+        // Roll entries carry the id of the roll record as rollId, and
+        // our own messages the id we sent them with as clientId
+        const unseen = entries.filter(entry =>
+            !seenMessageIds.has(entry.id) &&
+            !(entry.rollId && seenMessageIds.has(entry.rollId)) &&
+            !(entry.clientId && seenMessageIds.has(entry.clientId))
+        );
+        unseen.forEach(entry => seenMessageIds.add(entry.id));
+        console.log('[SyncManager] Restoring chat history:', unseen.length, 'messages');
+        emitEvent('sync:chat_history', { messages: unseen });
+    }
+    
     /**
      * Send join message to server
      */
@@ -510,11 +810,32 @@ const SyncManager = (function() {
             name: localState.name,
             role: localState.role,
             view: localState.view,
-            sessionId: localState.sessionId,
-            token: localState.token
+            sessionId: pendingJoinCode ? null : localState.sessionId,
+            joinCode: pendingJoinCode,
+            token: localState.token,
+            protocolVersion: SyncProtocol.VERSION,
+            lastRevision: stateRevision,
+            lastEpoch: stateEpoch
         });
     }
     
+    /**
+     * Switch to the session with the given join code. The server issues a
+     * new token for the new session (tokens are only valid in the session
+     * they were issued in).
+     * @param {string} code - Join code shown in the GM overlay
+     */
+    function joinSession(code) {
+        pendingJoinCode = code;
+        stateRevision = null;
+        
+        if (!socket || !connection.connected) return;
+        
+        peers.clear();
+        spectators.clear();
+        sendJoin();
+    }
+    
     /**
      * Store session token received from server
      */
@@ -533,19 +854,46 @@ const SyncManager = (function() {
         console.log('[SyncManager] Session token cleared');
     }
     
+    /**
+     * fetch() wrapper for REST calls that need our session token
+     * (character saves, GM-only endpoints). 401/403 replies are surfaced
+     * as 'sync:api_error' so the chat log can show them.
+     * @param {string} url
+     * @param {RequestInit} [options]
+     * @returns {Promise<Response>}
+     */
+    async function apiFetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (localState.token) {
+            headers['X-Session-Token'] = localState.token;
+        }
+        
+        const response = await fetch(url, { ...options, headers });
+        
+        if (response.status === 401 || response.status === 403) {
+            const body = await response.clone().json().catch(() => ({}));
+            emitEvent('sync:api_error', {
+                status: response.status,
+                code: body.code,
+                message: body.error || `Request refused (${response.status})`
+            });
+        }
+        return response;
+    }
+    
     /**
      * Request current session state from server
      */
     function requestState() {
         if (!socket || !connection.connected) return;
-        socket.emit(MessageType.STATE_REQUEST, {});
+        socket.emit(MessageType.STATE_REQUEST, { lastRevision: stateRevision, lastEpoch: stateEpoch });
     }
     
     /**
      * Broadcast view mode change
      */
     function broadcastViewChange(view) {
-        if (!socket || !connection.connected) return;
+        if (!socket || !connection.connected || isSpectator()) return;
         
         localState.view = view;
         
@@ -557,52 +905,138 @@ const SyncManager = (function() {
     }
     
     /**
-     * Broadcast chat message
+     * Broadcast chat message. Queued while offline. The server marks it
+     * 'gm' or 'player' from our role.
      * @param {string} text - Message text
-     * @param {string} type - Message type ('player', 'system', etc.)
+     * @returns {string|null} Message id for 'sync:delivery', null if not sent
      */
-    function broadcastChat(text, type = 'player') {
-        if (!socket || !connection.connected) return;
+    function broadcastChat(text) {
+        if (!socket || isSpectator()) return null;
         
-        socket.emit(MessageType.CHAT, {
+        return sendReliable(MessageType.CHAT, {
             text,
-            type,
             timestamp: Date.now()
-        });
+        }).id;
+    }
+    
+    /**
+     * Send a private message. Only the target and the session's GMs see it.
+     * @param {string} to - Target display name ("gm" addresses every GM)
+     * @param {string} text - Message text
+     * @returns {string|null} Message id for 'sync:delivery', null if not sent
+     */
+    function sendWhisper(to, text) {
+        if (!socket || isSpectator()) return null;
+        
+        return sendReliable(MessageType.CHAT, {
+            text,
+            to,
+            timestamp: Date.now()
+        }).id;
     }
     
     /**
-     * Broadcast dice roll
-     * @param {Object} rollData - { expression, rolls, total, kept, modifier }
+     * Ask the server to roll dice. The server generates the results,
+     * records the roll in the session and broadcasts it to all peers.
+     * Queued while offline, so the promise may wait for a reconnect.
+     * @param {string} expression - Dice expression (e.g. "2d6+3")
+     * @param {Object} options - { label, dc } optional description and difficulty of the roll,
+     *   { id } message id to follow on 'sync:delivery' (see createMessageId)
+     * @returns {Promise<Object|null>} Server roll { id, expression, rolls, modifier, total, timestamp }, or null on failure
      */
-    function broadcastRoll(rollData) {
-        if (!socket || !connection.connected) return;
+    async function requestRoll(expression, options = {}) {
+        if (!socket || isSpectator()) return null;
         
-        socket.emit(MessageType.ROLL, {
-            ...rollData,
+        const response = await sendReliable(MessageType.ROLL, {
+            expression,
+            label: options.label || null,
+            dc: options.dc || null,
             timestamp: Date.now()
+        }, options.id).done;
+        
+        return response.success ? response.roll : null;
+    }
+    
+    /**
+     * Set or advance the campaign clock (GM only). The server broadcasts the
+     * new time and fires any scheduled events it passes.
+     * @param {Object} change - { day, time: "HH:MM" } or { advance: minutes }
+     * @returns {Promise<{success: boolean, message?: string, clock?: Object}>}
+     */
+    function changeClock(change) {
+        return new Promise((resolve) => {
+            if (!socket || !connection.connected) {
+                resolve({ success: false, message: 'Not connected' });
+                return;
+            }
+            if (localState.role !== Role.GM) {
+                resolve({ success: false, message: 'Only the GM can change the clock' });
+                return;
+            }
+            
+            // Through the outbox, so a resend after a lost ack can't advance twice
+            sendReliable(MessageType.CLOCK, change).done.then(resolve);
+        });
+    }
+    
+    /**
+     * Change the bound character's stress, wounds, armor, gear or cyberware.
+     * The server saves the character file and pushes it to the GM.
+     * @param {Object} changes - Any of { stress, wounds, armor, gear, cyberware }
+     * @returns {Promise<{success: boolean, message?: string, character?: Object}>}
+     */
+    function updateCharacter(changes) {
+        return new Promise((resolve) => {
+            if (!socket || !connection.connected) {
+                resolve({ success: false, message: 'Not connected' });
+                return;
+            }
+            if (!character) {
+                resolve({ success: false, message: 'No character assigned' });
+                return;
+            }
+            
+            sendReliable(MessageType.CHARACTER_UPDATE, { characterId: character.id, changes }).done.then(resolve);
         });
     }
     
     /**
-     * Broadcast scene change (GM only)
+     * Broadcast scene change (GM only). Queued while offline.
      * @param {string} scene - Scene identifier
      * @param {Object} transition - Transition options
      */
     function broadcastSceneChange(scene, transition = {}) {
-        if (!socket || !connection.connected) return;
+        if (!socket) return;
         if (localState.role !== Role.GM) {
             console.warn('[SyncManager] Only GM can broadcast scene changes');
             return;
         }
         
-        socket.emit(MessageType.SCENE_CHANGE, {
+        sendReliable(MessageType.SCENE_CHANGE, {
             scene,
             transition,
             timestamp: Date.now()
         });
     }
     
+    /**
+     * Set a campaign flag (GM only). Flags named reveal:<id> show a scene's
+     * trigger, challenge or hidden NPC to players. Queued while offline.
+     * @param {string} key
+     * @param {boolean|string} value
+     */
+    function broadcastFlag(key, value) {
+        if (!socket) return;
+        if (localState.role !== Role.GM) {
+            console.warn('[SyncManager] Only GM can set flags');
+            return;
+        }
+        
+        sendReliable(MessageType.FLAG_UPDATE, { key, value });
+        // The server echo is skipped as our own, so announce it here
+        emitEvent('sync:flag_update', { key, value });
+    }
+    
     /**
      * Send ping to measure latency
      */
@@ -618,31 +1052,48 @@ const SyncManager = (function() {
     // ═══════════════════════════════════════════════════════════════════
     
     /**
-     * Authenticate as GM
-     * @param {string} password - GM password
-     * @returns {Promise<boolean>} Success
+     * Authenticate as GM with the session's GM secret. On success the
+     * server binds the GM role to our session token.
+     * @param {string} password - GM secret
+     * @returns {Promise<{success: boolean, message?: string}>}
      */
     function authenticateGM(password) {
         return new Promise((resolve) => {
             if (!socket || !connection.connected) {
-                resolve(false);
+                resolve({ success: false, message: 'Not connected' });
                 return;
             }
             
-            socket.emit('gm:authenticate', { password }, (response) => {
+            socket.emit(MessageType.GM_AUTHENTICATE, { password }, (response) => {
                 if (response.success) {
                     localState.role = Role.GM;
                     console.log('[SyncManager] GM authenticated');
                     emitEvent('sync:gm_authenticated', {});
-                    resolve(true);
                 } else {
-                    console.warn('[SyncManager] GM authentication failed');
-                    resolve(false);
+                    console.warn('[SyncManager] GM authentication failed:', response.message);
                 }
+                resolve(response);
             });
         });
     }
     
+    /**
+     * Change the current session's GM secret (GM only)
+     * @param {string} secret - New secret
+     * @returns {Promise<{success: boolean, message?: string}>}
+     */
+    function changeGMSecret(secret) {
+        return new Promise((resolve) => {
+            if (!socket || !connection.connected) {
+                resolve({ success: false, message: 'Not connected' });
+                return;
+            }
+            
+            // Carries an ID so a resend after a lost ack isn't applied twice
+            socket.emit(MessageType.GM_SET_SECRET, { secret, id: createMessageId() }, resolve);
+        });
+    }
+    
     /**
      * Logout from GM role
      */
@@ -650,7 +1101,7 @@ const SyncManager = (function() {
         localState.role = Role.PLAYER;
         
         if (socket && connection.connected) {
-            socket.emit('gm:logout', {});
+            socket.emit(MessageType.GM_LOGOUT, {});
         }
         
         emitEvent('sync:gm_logout', {});
@@ -660,6 +1111,26 @@ const SyncManager = (function() {
     // UTILITIES
     // ═══════════════════════════════════════════════════════════════════
     
+    /**
+     * Chat-log wording for a sync:error
+     * @param {Object} data - { code, message, type?, retryAfter? }
+     * @returns {string}
+     */
+    function describeError(data) {
+        switch (data.code) {
+            case ErrorCode.RATE_LIMITED:
+                return `Slow down - too many messages (try again in ${Math.ceil((data.retryAfter || 1000) / 1000)}s)`;
+            case ErrorCode.PAYLOAD_TOO_LARGE:
+                return `Message too large: ${data.message}`;
+            case ErrorCode.INVALID_PAYLOAD:
+                return `Message rejected: ${data.message}`;
+            case ErrorCode.PROTOCOL_MISMATCH:
+                return `Disconnected - ${data.message}`;
+            default:
+                return `Sync error: ${data.message}`;
+        }
+    }
+    
     /**
      * Emit event to EventBus if available
      */
@@ -697,8 +1168,13 @@ const SyncManager = (function() {
     function getPeers() { return Array.from(peers.values()); }
     function getPeerCount() { return peers.size; }
     function getLatency() { return connection.latency; }
+    function getSpectators() { return Array.from(spectators.values()); }
     function isGM() { return localState.role === Role.GM; }
+    function isSpectator() { return localState.role === Role.SPECTATOR; }
     function getSessionId() { return localState.sessionId; }
+    function getCampaignClock() { return campaignClock ? { ...campaignClock } : null; }
+    function getDocuments() { return documents.map(d => ({ ...d })); }
+    function getCharacter() { return character ? JSON.parse(JSON.stringify(character)) : null; }
     
     /**
      * Get GM's current view (for players to see what GM is looking at)
@@ -737,6 +1213,7 @@ const SyncManager = (function() {
         MessageType,
         ViewMode,
         Role,
+        ErrorCode,
         VERSION,
         
         // Initialization
@@ -755,30 +1232,52 @@ const SyncManager = (function() {
         // Peers
         getPeers,
         getPeerCount,
+        getSpectators,
         getGMView,
         getPlayerViews,
         
         // Role
         isGM,
+        isSpectator,
         authenticateGM,
         logoutGM,
+        changeGMSecret,
         
         // Broadcasting
+        createMessageId,
         broadcastChat,
-        broadcastRoll,
+        sendWhisper,
+        requestRoll,
         broadcastSceneChange,
         broadcastViewChange,
+        broadcastFlag,
+        
+        // Campaign clock
+        getCampaignClock,
+        changeClock,
+        
+        // Documents
+        getDocuments,
+        
+        // Character
+        getCharacter,
+        updateCharacter,
         
         // Session
         getSessionId,
+        joinSession,
         
         // Session persistence
         clearToken,
         requestState,
+        apiFetch,
         
         // Self-test
         isSelfTestPassed,
-        runSelfTest
+        runSelfTest,
+        
+        // Errors
+        describeError
     };
 })();
 
@@ -8,7 +8,7 @@
  * - Canvas-based text rendering via TextRenderer
  * - Scrolling via texture offset
  * - Message history with timestamps
- * - Different message types (system, player, roll, error)
+ * - Different message types (system, player, roll, error, whisper)
  * - Clickable text elements for dice and commands
  */
 
@@ -46,7 +46,10 @@ const ChatManager = (function() {
         controlBarFocused: false,   // Whether control bar has keyboard focus
         selectedControlIndex: -1,   // Currently selected control (-1 = none)
         headerMode: 'controls',     // 'controls' or 'sliders'
-        selectedSliderIndex: 0      // Which slider is selected in effects bar
+        selectedSliderIndex: 0,     // Which slider is selected in effects bar
+        
+        spectating: false,          // View-only mode: no chat, rolls or terminal
+        campaignClock: null         // In-world { day, time } from the server, shown above the input
     };
     
     // Control bar configuration
@@ -61,6 +64,18 @@ const ChatManager = (function() {
         regions: []
     };
     
+    // Full control list; spectators get it without the TERMINAL toggle
+    const allControls = controlBar.controls;
+    
+    // Commands that would act on the session rather than just look at it
+    const SPECTATOR_BLOCKED_COMMANDS = new Set([
+        'r', 'roll', 'w', 'whisper', 'msg',
+        'onboard', 'onboarding', 'newchar', 'create'
+    ]);
+    
+    // Scene fields /scene listings show; the list skips narratives (?fields= on /api/scenes)
+    const SCENE_LIST_FIELDS = 'id,title,adventure,act,chapter,scene';
+    
     // Effects slider bar configuration (brightness / contrast / effects)
     const effectsBar = {
         sliders: [
@@ -273,6 +288,7 @@ const ChatManager = (function() {
         clickableElements.length = 0;
         
         const lineHeightPx = layout.fontSize * layout.lineHeight;
+        const clockHeight = state.campaignClock ? lineHeightPx : 0;
         const x = layout.padding;
         let y = headerHeight + layout.padding;
         
@@ -281,13 +297,13 @@ const ChatManager = (function() {
         
         // Render messages
         for (const msg of visibleMessages) {
-            const options = getMessageOptions(msg.type);
+            const options = getLineOptions(msg);
             
             // Word wrap and render
-            const lines = wrapText(msg.text, layout.width - layout.padding * 2);
+            const lines = wrapText(messageText(msg), layout.width - layout.padding * 2);
             
             for (const line of lines) {
-                if (y + lineHeightPx > layout.height - layout.padding * 2 - lineHeightPx) {
+                if (y + lineHeightPx > layout.height - layout.padding * 2 - lineHeightPx - clockHeight) {
                     break; // Don't overflow into input area
                 }
                 
@@ -308,8 +324,14 @@ const ChatManager = (function() {
         ctx.lineTo(layout.width - layout.padding, inputY - 4);
         ctx.stroke();
         
+        // In-world time, right-aligned just above the separator
+        if (state.campaignClock) {
+            renderClock(inputY - 4 - lineHeightPx + 2);
+        }
+        
         // Render input line
-        const inputText = layout.prompt + state.inputBuffer;
+        const prompt = state.spectating ? '[VIEW ONLY] > ' : layout.prompt;
+        const inputText = prompt + state.inputBuffer;
         TextRenderer.renderLine(ctx, inputText, x, inputY, config, {
             glowIntensity: state.inputActive ? 0.8 : 0.5
         });
@@ -317,7 +339,7 @@ const ChatManager = (function() {
         // Render caret if input is active
         if (state.inputActive) {
             const caretIntensity = AnimationManager ? AnimationManager.getCaretIntensity() : 1.0;
-            const promptWidth = TextRenderer.measureText(ctx, layout.prompt, config);
+            const promptWidth = TextRenderer.measureText(ctx, prompt, config);
             const textBeforeCaret = state.inputBuffer.slice(0, state.caretPosition);
             const textWidth = TextRenderer.measureText(ctx, textBeforeCaret, config);
             const caretX = x + promptWidth + textWidth;
@@ -410,6 +432,22 @@ const ChatManager = (function() {
         }
     }
     
+    /**
+     * Render the campaign clock readout (e.g. "DAY 03 // 14:20")
+     * @param {number} y - Top of the clock line
+     */
+    function renderClock(y) {
+        const clock = state.campaignClock;
+        const text = `DAY ${String(clock.day).padStart(2, '0')} // ${clock.time}`;
+        const options = {
+            fontSize: layout.fontSize - 3,
+            glowIntensity: 0.6
+        };
+        const textWidth = TextRenderer.measureText(ctx, text, config, options);
+        
+        TextRenderer.renderLine(ctx, text, layout.width - layout.padding - textWidth, y, config, options);
+    }
+    
     /**
      * Render the effects slider bar (BRT / CON / FX)
      */
@@ -474,13 +512,14 @@ const ChatManager = (function() {
      */
     function getVisibleMessages() {
         const lineHeightPx = layout.fontSize * layout.lineHeight;
-        const availableHeight = layout.height - layout.padding * 4 - lineHeightPx * 2; // Header + input
+        const clockHeight = state.campaignClock ? lineHeightPx : 0;
+        const availableHeight = layout.height - layout.padding * 4 - lineHeightPx * 2 - clockHeight; // Header + input (+ clock)
         const maxLines = Math.floor(availableHeight / lineHeightPx);
         
         // Calculate total lines needed for all messages
         let totalLines = 0;
         const messageLines = state.messages.map(msg => {
-            const lines = wrapText(msg.text, layout.width - layout.padding * 2);
+            const lines = wrapText(messageText(msg), layout.width - layout.padding * 2);
             totalLines += lines.length;
             return { msg, lineCount: lines.length };
         });
@@ -506,6 +545,26 @@ const ChatManager = (function() {
         return visible;
     }
     
+    /**
+     * Text of a chat line, with its delivery state while not yet confirmed
+     */
+    function messageText(msg) {
+        if (msg.status === 'pending') return `${msg.text} (sending...)`;
+        if (msg.status === 'failed') return `${msg.text} (NOT SENT${msg.statusMessage ? `: ${msg.statusMessage}` : ''})`;
+        return msg.text;
+    }
+    
+    /**
+     * Rendering options for a chat line: failed lines show as errors,
+     * pending ones dimmed
+     */
+    function getLineOptions(msg) {
+        if (msg.status === 'failed') return getMessageOptions('error');
+        
+        const options = getMessageOptions(msg.type);
+        return msg.status === 'pending' ? { ...options, glowIntensity: 0.4 } : options;
+    }
+    
     /**
      * Get rendering options based on message type
      */
@@ -543,6 +602,15 @@ const ChatManager = (function() {
                     glowIntensity: 0.95,
                     phosphorColors: TextRenderer.PHOSPHOR_PRESETS.p31  // Blue for GM
                 };
+            case 'whisper':
+                return {
+                    glowIntensity: 0.85,
+                    phosphorColors: {
+                        primary: '#ff77ee',  // Magenta for private messages
+                        glow: '#ff44dd',
+                        dim: '#440033'
+                    }
+                };
             default:
                 return {
                     glowIntensity: 0.8
@@ -639,11 +707,14 @@ const ChatManager = (function() {
     
     /**
      * Add a message to the chat log
-     * @param {string} type - Message type ('system', 'player', 'roll', 'error', 'gm')
+     * @param {string} type - Message type ('system', 'player', 'roll', 'error', 'gm', 'whisper')
      * @param {string} text - Message text
+     * @param {number} [timestamp] - When the message was sent (defaults to now)
+     * @param {string|null} [deliveryId] - Outbox message id; the line shows as
+     *   pending until setDeliveryStatus() reports on it
      */
-    function addMessage(type, text) {
-        const timestamp = new Date().toLocaleTimeString('en-US', {
+    function addMessage(type, text, timestamp = Date.now(), deliveryId = null) {
+        const timeLabel = new Date(timestamp).toLocaleTimeString('en-US', {
             hour12: false,
             hour: '2-digit',
             minute: '2-digit'
@@ -651,8 +722,11 @@ const ChatManager = (function() {
         
         state.messages.push({
             type,
-            text: `[${timestamp}] ${text}`,
-            timestamp: Date.now()
+            text: `[${timeLabel}] ${text}`,
+            timestamp,
+            deliveryId,
+            status: deliveryId ? 'pending' : null,
+            statusMessage: null
         });
         
         // Trim history if needed
@@ -665,6 +739,51 @@ const ChatManager = (function() {
         dirty = true;
     }
     
+    /**
+     * Update the line of an outbox message ('sync:delivery')
+     * @param {string} deliveryId - Message id the line was added with
+     * @param {string} status - 'sent' or 'failed'
+     * @param {string} [message] - Why it failed
+     */
+    function setDeliveryStatus(deliveryId, status, message) {
+        const msg = state.messages.find(m => m.deliveryId === deliveryId);
+        if (!msg) return;
+        
+        msg.status = status === 'sent' ? null : status;
+        msg.statusMessage = message || null;
+        dirty = true;
+    }
+    
+    /**
+     * Replay server chat history (sent with STATE_SYNC on reconnect).
+     * Entries keep their original timestamps.
+     * @param {Array} entries - Server chat log entries, oldest first
+     */
+    function replayHistory(entries) {
+        if (!entries || entries.length === 0) return;
+        
+        const localName = typeof SyncManager !== 'undefined' ? SyncManager.getLocalState().name : null;
+        
+        addMessage('system', `─── SESSION LOG (${entries.length}) ───`);
+        
+        for (const entry of entries) {
+            const prefix = entry.role === 'gm' ? '[GM] ' : '';
+            
+            if (entry.kind === 'system') {
+                addMessage('system', entry.text, entry.timestamp);
+            } else if (entry.kind === 'roll') {
+                addMessage('roll', `${prefix}${entry.name} ${entry.text}`, entry.timestamp);
+            } else if (entry.visibility === 'whisper') {
+                const label = entry.toName === localName ? '[WHISPER]' : `[WHISPER → ${entry.toName}]`;
+                addMessage('whisper', `${label} ${prefix}${entry.name}: ${entry.text}`, entry.timestamp);
+            } else {
+                addMessage(entry.type || 'player', `${prefix}${entry.name}: ${entry.text}`, entry.timestamp);
+            }
+        }
+        
+        addMessage('system', '─── END OF LOG ───');
+    }
+    
     /**
      * Clear all messages
      */
@@ -1042,10 +1161,41 @@ const ChatManager = (function() {
         dirty = true;
     }
     
+    /**
+     * Switch view-only (spectator) mode on or off
+     * @param {boolean} spectating
+     */
+    function setSpectatorMode(spectating) {
+        state.spectating = !!spectating;
+        controlBar.controls = state.spectating
+            ? allControls.filter(c => c.id !== 'terminal')
+            : allControls;
+        state.selectedControlIndex = -1;
+        dirty = true;
+    }
+    
+    /**
+     * Show the in-world time above the input line (null hides it)
+     * @param {Object|null} clock - { day, time }
+     */
+    function setCampaignClock(clock) {
+        state.campaignClock = clock && clock.time ? { day: clock.day, time: clock.time } : null;
+        dirty = true;
+    }
+    
     /**
      * Process a command/message
      */
     function processCommand(input) {
+        // Spectators can look around but not chat, whisper or roll
+        if (state.spectating) {
+            const command = input.startsWith('/') ? input.slice(1).split(/\s+/)[0].toLowerCase() : null;
+            if (command === null || SPECTATOR_BLOCKED_COMMANDS.has(command)) {
+                addMessage('error', 'View only - spectators cannot chat, whisper or roll');
+                return;
+            }
+        }
+        
         // Check for dice roll syntax
         const diceMatch = input.match(/^\/r(?:oll)?\s+(.+)$/i);
         if (diceMatch) {
@@ -1073,15 +1223,42 @@ const ChatManager = (function() {
                 case 'views':
                     showViews();
                     break;
+                case 'w':
+                case 'whisper':
+                case 'msg':
+                    whisper(input.slice(1 + parts[0].length).trim());
+                    break;
                 case 'gm':
                     authenticateGM(args.join(' '));
                     break;
                 case 'name':
                     changeName(args.join(' '));
                     break;
+                case 'join':
+                    joinSession(args.join(''));
+                    break;
+                case 'session':
+                    showSession();
+                    break;
+                case 'time':
+                case 'clock':
+                    handleTimeCommand(args);
+                    break;
+                case 'sheet':
+                    showSheet();
+                    break;
+                case 'stress':
+                case 'armor':
+                case 'wound':
+                case 'gear':
+                    handleCharacterCommand(cmd, args);
+                    break;
                 case 'logout':
                     logoutGM();
                     break;
+                case 'gmsecret':
+                    changeGMSecret(args.join(' '));
+                    break;
                 case 'ping':
                     testConnection();
                     break;
@@ -1136,28 +1313,23 @@ const ChatManager = (function() {
             return;
         }
         
-        // Regular chat message - broadcast to other players
+        // Regular chat message - broadcast to other players (queued while offline)
         const localName = typeof SyncManager !== 'undefined' ? SyncManager.getLocalState().name : 'You';
+        const deliveryId = typeof SyncManager !== 'undefined' ? SyncManager.broadcastChat(input) : null;
         
-        if (typeof SyncManager !== 'undefined') {
-            if (SyncManager.isConnected()) {
-                SyncManager.broadcastChat(input, 'player');
-                console.log('[ChatManager] Broadcast chat:', input);
-            } else {
-                console.warn('[ChatManager] Not connected, message not broadcast');
-            }
-        }
-        
-        // Show locally with our name
-        addMessage('player', `${localName}: ${input}`);
+        // Show locally with our name, pending until the server confirms it
+        addMessage('player', `${localName}: ${input}`, Date.now(), deliveryId);
     }
     
     /**
-     * Roll dice - uses 3D dice if available, falls back to text-only
+     * Roll dice - the server generates the result, and the 3D dice, when
+     * they are available, land on it. While offline the roll waits in the
+     * sync outbox. Without sync at all it falls back to a local, unverified
+     * roll that takes its numbers from the dice.
      */
     async function rollDice(expression) {
-        // Parse dice expression like "2d6+3" or "d20"
-        const match = expression.match(/^(\d*)d(\d+)([+-]\d+)?$/i);
+        // Parse dice expression like "2d6+3" or "d20", optionally "vs 15" for a check
+        const match = expression.trim().match(/^(\d*)d(\d+)([+-]\d+)?(?:\s+(?:vs|dc)\s*(\d+))?$/i);
         
         if (!match) {
             addMessage('error', `Invalid dice expression: ${expression}`);
@@ -1167,6 +1339,7 @@ const ChatManager = (function() {
         const count = parseInt(match[1]) || 1;
         const sides = parseInt(match[2]);
         const modifier = parseInt(match[3]) || 0;
+        const dc = parseInt(match[4]) || null;
         
         // Validate
         if (count < 1 || count > 100 || sides < 2 || sides > 1000) {
@@ -1180,47 +1353,44 @@ const ChatManager = (function() {
             expr += modifier > 0 ? `+${modifier}` : `${modifier}`;
         }
         
-        // Check if 3D dice is available and supports this die type
-        const supported3DDice = [4, 6, 8, 10, 12, 20, 100];
-        const use3D = typeof DiceManager !== 'undefined' && 
-                      DiceManager.isInitialized() && 
-                      supported3DDice.includes(sides);
-        
         let rolls = [];
         let total = 0;
-        
-        if (use3D) {
-            // Show rolling message
-            addMessage('system', `Rolling ${expr}...`);
+        let rollId = null;
+        const online = typeof SyncManager !== 'undefined';
+        
+        if (online) {
+            // Server is authoritative - it rolls, records and broadcasts.
+            // Offline, say so and let the roll wait for the reconnect.
+            const deliveryId = SyncManager.createMessageId();
+            const queued = !SyncManager.isConnected();
+            if (queued) {
+                addMessage('system', `Roll ${expr} requested`, Date.now(), deliveryId);
+            }
             
-            // Show dice box
-            const diceBox = document.getElementById('dice-box');
-            if (diceBox) diceBox.classList.add('active');
+            const serverRoll = await SyncManager.requestRoll(expr, { dc, id: deliveryId });
             
-            try {
-                // Use 3D dice - wait for animation to complete
-                const result = await DiceManager.roll(expr);
-                
-                if (result) {
-                    rolls = result.rolls.map(r => r.value);
-                    total = result.total;
-                } else {
-                    // Fallback if 3D roll failed
-                    ({ rolls, total } = rollDiceFallback(count, sides, modifier));
-                }
-            } catch (error) {
-                console.error('[ChatManager] 3D dice error:', error);
-                // Fallback to text-only
-                ({ rolls, total } = rollDiceFallback(count, sides, modifier));
+            if (!serverRoll) {
+                // A queued roll's line already shows the failure
+                if (!queued) addMessage('error', `Roll failed: server did not accept ${expr}`);
+                return;
             }
             
-            // Hide dice box after delay
-            setTimeout(() => {
-                if (diceBox) diceBox.classList.remove('active');
-            }, 2000);
+            rolls = serverRoll.rolls;
+            total = serverRoll.total;
+            rollId = serverRoll.id;
+            
+            // The 3D dice are thrown for show and land on the server's values
+            await throwDice3D(expr, sides, rolls);
         } else {
-            // Text-only fallback for unsupported dice
-            ({ rolls, total } = rollDiceFallback(count, sides, modifier));
+            // No sync - roll locally, nobody else will see it. The 3D dice
+            // decide the result when they can throw this die type.
+            const thrown = await throwDice3D(expr, sides);
+            if (thrown) {
+                rolls = thrown.rolls.map(r => r.value);
+                total = rolls.reduce((sum, r) => sum + r, 0) + modifier;
+            } else {
+                ({ rolls, total } = rollDiceFallback(count, sides, modifier));
+            }
         }
         
         // Format result for display
@@ -1230,6 +1400,12 @@ const ChatManager = (function() {
             result += ` ${modifier > 0 ? '+' : ''}${modifier}`;
         }
         result += ` = ${total}`;
+        if (dc) {
+            result += ` vs DC ${dc} (${total >= dc ? 'success' : 'fail'})`;
+        }
+        if (!online) {
+            result += ' (offline, unverified)';
+        }
         
         // Get local name
         const localName = typeof SyncManager !== 'undefined' ? SyncManager.getLocalState().name : 'You';
@@ -1237,20 +1413,48 @@ const ChatManager = (function() {
         // Show result locally
         addMessage('roll', `${localName} rolled ${result}`);
         
-        // Broadcast to other players
-        if (typeof SyncManager !== 'undefined' && SyncManager.isConnected()) {
-            SyncManager.broadcastRoll({
-                expression: expr,
-                rolls,
-                modifier,
-                total
-            });
-        }
-        
         // Emit event for other systems
         if (typeof EventBus !== 'undefined') {
-            EventBus.emit('dice:rolled', { expression: expr, rolls, modifier, total });
+            EventBus.emit('dice:rolled', { id: rollId, expression: expr, rolls, modifier, total, verified: online });
+        }
+    }
+    
+    /**
+     * Throw the 3D dice. A local roll reads where they land; a server roll
+     * passes its values and the dice are brought to rest on them.
+     * @param {string} expr - Dice notation like "2d6+3"
+     * @param {number} sides - Die type
+     * @param {Array<number>} [values] - The server's value for each die
+     * @returns {Promise<Object|null>} DiceManager's result, or null without 3D dice for this die type
+     */
+    async function throwDice3D(expr, sides, values) {
+        const supported3DDice = [4, 6, 8, 10, 12, 20, 100];
+        if (typeof DiceManager === 'undefined' ||
+            !DiceManager.isInitialized() ||
+            !supported3DDice.includes(sides)) {
+            return null;
+        }
+        
+        // Show rolling message
+        addMessage('system', `Rolling ${expr}...`);
+        
+        // Show dice box
+        const diceBox = document.getElementById('dice-box');
+        if (diceBox) diceBox.classList.add('active');
+        
+        let result = null;
+        try {
+            result = values ? await DiceManager.land(expr, values) : await DiceManager.roll(expr);
+        } catch (error) {
+            console.error('[ChatManager] 3D dice error:', error);
         }
+        
+        // Hide dice box after delay
+        setTimeout(() => {
+            if (diceBox) diceBox.classList.remove('active');
+        }, 2000);
+        
+        return result;
     }
     
     /**
@@ -1270,6 +1474,28 @@ const ChatManager = (function() {
         return { rolls, total };
     }
     
+    /**
+     * Send a private message: /w <name> <text>
+     * Names containing spaces can be quoted: /w "Game Master" <text>
+     */
+    function whisper(argString) {
+        if (typeof SyncManager === 'undefined') {
+            addMessage('error', 'SyncManager not available');
+            return;
+        }
+        
+        const match = argString.match(/^"([^"]+)"\s+(.+)$/) || argString.match(/^(\S+)\s+(.+)$/);
+        if (!match) {
+            addMessage('error', 'Usage: /w <name> <message>');
+            return;
+        }
+        
+        const [, target, text] = match;
+        
+        const deliveryId = SyncManager.sendWhisper(target, text);
+        addMessage('whisper', `[WHISPER → ${target}] ${text}`, Date.now(), deliveryId);
+    }
+    
     /**
      * Show who is connected
      */
@@ -1281,15 +1507,21 @@ const ChatManager = (function() {
         
         const local = SyncManager.getLocalState();
         const peers = SyncManager.getPeers();
+        const spectators = SyncManager.getSpectators();
+        const selfSpectating = local.role === 'spectator';
         
         addMessage('system', '─── CONNECTED ───');
         
-        // Show self
-        const selfRole = local.role === 'gm' ? ' [GM]' : '';
-        addMessage('system', `• ${local.name}${selfRole} (you)`);
+        // Show self (spectators are listed with the other spectators)
+        if (!selfSpectating) {
+            const selfRole = local.role === 'gm' ? ' [GM]' : '';
+            addMessage('system', `• ${local.name}${selfRole} (you)`);
+        }
         
         // Show peers
-        if (peers.length === 0) {
+        if (peers.length === 0 && selfSpectating) {
+            addMessage('system', '  (no players)');
+        } else if (peers.length === 0) {
             addMessage('system', '  (no other players)');
         } else {
             for (const peer of peers) {
@@ -1298,7 +1530,21 @@ const ChatManager = (function() {
             }
         }
         
-        addMessage('system', `─── ${peers.length + 1} online ───`);
+        // Show spectators
+        if (spectators.length > 0 || selfSpectating) {
+            addMessage('system', '─── SPECTATING ───');
+            if (selfSpectating) {
+                addMessage('system', `• ${local.name} (you)`);
+            }
+            for (const spectator of spectators) {
+                addMessage('system', `• ${spectator.name}`);
+            }
+        }
+        
+        const playerCount = peers.length + (selfSpectating ? 0 : 1);
+        const spectatorCount = spectators.length + (selfSpectating ? 1 : 0);
+        const watching = spectatorCount > 0 ? `, ${spectatorCount} watching` : '';
+        addMessage('system', `─── ${playerCount} online${watching} ───`);
     }
     
     /**
@@ -1346,11 +1592,39 @@ const ChatManager = (function() {
         
         addMessage('system', 'Authenticating...');
         
-        SyncManager.authenticateGM(password).then(success => {
-            if (success) {
+        SyncManager.authenticateGM(password).then(response => {
+            if (response.success) {
                 addMessage('system', 'GM authentication successful');
             } else {
-                addMessage('error', 'GM authentication failed');
+                addMessage('error', `GM authentication failed: ${response.message || 'unknown error'}`);
+            }
+        });
+    }
+    
+    /**
+     * Change the session's GM secret (GM only)
+     */
+    function changeGMSecret(secret) {
+        if (typeof SyncManager === 'undefined') {
+            addMessage('error', 'SyncManager not available');
+            return;
+        }
+        
+        if (!SyncManager.isGM()) {
+            addMessage('error', 'Only the GM can change the GM secret');
+            return;
+        }
+        
+        if (!secret) {
+            addMessage('error', 'Usage: /gmsecret <new secret>');
+            return;
+        }
+        
+        SyncManager.changeGMSecret(secret).then(response => {
+            if (response.success) {
+                addMessage('system', 'GM secret changed for this session');
+            } else {
+                addMessage('error', `Could not change GM secret: ${response.message}`);
             }
         });
     }
@@ -1392,6 +1666,185 @@ const ChatManager = (function() {
         addMessage('system', `Name changed to: ${trimmed}`);
     }
     
+    /**
+     * Join another session by its join code
+     */
+    function joinSession(code) {
+        if (typeof SyncManager === 'undefined') {
+            addMessage('error', 'SyncManager not available');
+            return;
+        }
+        
+        if (!code) {
+            addMessage('error', 'Usage: /join <code>');
+            return;
+        }
+        
+        addMessage('system', `Joining session ${code.toUpperCase()}...`);
+        SyncManager.joinSession(code);
+    }
+    
+    /**
+     * Show the current session and its join code
+     */
+    function showSession() {
+        if (typeof SyncManager === 'undefined') {
+            addMessage('error', 'SyncManager not available');
+            return;
+        }
+        
+        const local = SyncManager.getLocalState();
+        addMessage('system', `Session: ${local.sessionName || local.sessionId || 'none'}`);
+        if (local.joinCode) {
+            addMessage('system', `Join code: ${local.joinCode}`);
+        }
+    }
+    
+    /**
+     * Handle /time - show the campaign clock, or (GM) set/advance it
+     *   /time             show
+     *   /time +90         advance 90 minutes (also -30, +2h)
+     *   /time 3 14:20     set to Day 3, 14:20
+     */
+    function handleTimeCommand(args) {
+        if (typeof SyncManager === 'undefined') {
+            addMessage('error', 'SyncManager not available');
+            return;
+        }
+        
+        if (args.length === 0) {
+            const clock = SyncManager.getCampaignClock();
+            addMessage('system', clock ? `Day ${clock.day}, ${clock.time}` : 'Campaign clock not set');
+            return;
+        }
+        
+        if (!SyncManager.isGM()) {
+            addMessage('error', 'Only the GM can change the clock');
+            return;
+        }
+        
+        let change = null;
+        const advanceMatch = args[0].match(/^([+-]\d+)(h|m)?$/i);
+        if (advanceMatch) {
+            const amount = parseInt(advanceMatch[1], 10);
+            change = { advance: (advanceMatch[2] || '').toLowerCase() === 'h' ? amount * 60 : amount };
+        } else if (args.length === 2) {
+            change = { day: parseInt(args[0], 10), time: args[1] };
+        }
+        
+        if (!change) {
+            addMessage('error', 'Usage: /time [+minutes | +Nh | <day> <HH:MM>]');
+            return;
+        }
+        
+        SyncManager.changeClock(change).then((response) => {
+            if (!response.success) {
+                addMessage('error', `Clock: ${response.message || 'rejected'}`);
+                return;
+            }
+            if (response.fired && response.fired.length > 0) {
+                addMessage('system', `${response.fired.length} scheduled event(s) fired`);
+            }
+        });
+    }
+    
+    /**
+     * Show the character bound to us
+     */
+    function showSheet() {
+        const character = typeof SyncManager !== 'undefined' ? SyncManager.getCharacter() : null;
+        if (!character) {
+            addMessage('system', 'No character assigned - /create one or ask the GM');
+            return;
+        }
+        
+        const derived = character.derived || {};
+        const wounds = (derived.wounds || []).filter(w => w.name);
+        const gear = (character.gear || []).map(g => g.quantity === 1 ? g.name : `${g.name} x${g.quantity}`);
+        const cyberware = (character.cyberware || []).map(c => c.active === false ? `${c.name} (offline)` : c.name);
+        
+        addMessage('system', `─── ${character.name}${character.handle ? ` "${character.handle}"` : ''} ───`);
+        addMessage('system', `Stress ${derived.stress}/${derived.stressMax}  Armor ${derived.armor}`);
+        addMessage('system', `Wounds: ${wounds.length ? wounds.map(w => `[${w.slot}] ${w.name}`).join(', ') : 'none'}`);
+        addMessage('system', `Gear: ${gear.join(', ') || 'none'}`);
+        addMessage('system', `Cyberware: ${cyberware.join(', ') || 'none'}`);
+    }
+    
+    /**
+     * Change our character; the server saves it and shows the GM
+     *   /stress 3 | +1 | -1
+     *   /armor 2
+     *   /wound 1 Broken arm      (no name clears the slot)
+     *   /gear add Medkit | /gear drop Medkit
+     */
+    function handleCharacterCommand(cmd, args) {
+        const character = typeof SyncManager !== 'undefined' ? SyncManager.getCharacter() : null;
+        if (!character) {
+            addMessage('error', 'No character assigned');
+            return;
+        }
+        
+        const derived = character.derived || {};
+        const usage = {
+            stress: '/stress <n | +n | -n>',
+            armor: '/armor <n>',
+            wound: '/wound <slot> [name]',
+            gear: '/gear add|drop <item>'
+        };
+        let changes = null;
+        
+        if (cmd === 'stress') {
+            const match = (args[0] || '').match(/^([+-]?)(\d+)$/);
+            if (match) {
+                const amount = parseInt(match[2], 10);
+                changes = { stress: match[1] ? derived.stress + (match[1] === '-' ? -amount : amount) : amount };
+            }
+        } else if (cmd === 'armor') {
+            if (/^\d+$/.test(args[0] || '')) {
+                changes = { armor: parseInt(args[0], 10) };
+            }
+        } else if (cmd === 'wound') {
+            const slot = parseInt(args[0], 10);
+            if (slot) {
+                changes = { wounds: [{ slot, name: args.slice(1).join(' ') || null }] };
+            }
+        } else if (cmd === 'gear') {
+            const action = (args[0] || '').toLowerCase();
+            const name = args.slice(1).join(' ');
+            const gear = character.gear || [];
+            const existing = gear.find(g => g.name.toLowerCase() === name.toLowerCase());
+            
+            if (name && action === 'add') {
+                changes = {
+                    gear: existing
+                        ? gear.map(g => g === existing ? { ...g, quantity: g.quantity + 1 } : g)
+                        : [...gear, { name, quantity: 1 }]
+                };
+            } else if (name && action === 'drop') {
+                if (!existing) {
+                    addMessage('error', `You don't have ${name}`);
+                    return;
+                }
+                changes = {
+                    gear: existing.quantity > 1
+                        ? gear.map(g => g === existing ? { ...g, quantity: g.quantity - 1 } : g)
+                        : gear.filter(g => g !== existing)
+                };
+            }
+        }
+        
+        if (!changes) {
+            addMessage('error', `Usage: ${usage[cmd]}`);
+            return;
+        }
+        
+        SyncManager.updateCharacter(changes).then((response) => {
+            if (!response.success) {
+                addMessage('error', `Character: ${response.message || 'rejected'}`);
+            }
+        });
+    }
+    
     /**
      * Test connection status
      */
@@ -1423,7 +1876,9 @@ const ChatManager = (function() {
     function listScenes() {
         addMessage('system', 'Loading scenes...');
         
-        fetch('/api/scenes')
+        // With our session token the list is limited to the session's adventure
+        const load = typeof SyncManager !== 'undefined' ? SyncManager.apiFetch : fetch;
+        load(`/api/scenes?fields=${SCENE_LIST_FIELDS}`)
             .then(res => res.json())
             .then(scenes => {
                 if (scenes.length === 0) {
@@ -1506,7 +1961,8 @@ const ChatManager = (function() {
 
         // Fallback: fetch list and try to match by ID or title, then
         // delegate to SceneManager.goToScene(id, true) for transition.
-        fetch('/api/scenes')
+        const load = typeof SyncManager !== 'undefined' ? SyncManager.apiFetch : fetch;
+        load(`/api/scenes?fields=${SCENE_LIST_FIELDS}`)
             .then(res => res.json())
             .then(scenes => {
                 let targetScene = scenes.find(s => 
@@ -1685,9 +2141,13 @@ const ChatManager = (function() {
      */
     function showHelp() {
         addMessage('system', '─── COMMANDS ───');
-        addMessage('system', '/roll XdY+Z - Roll dice');
+        addMessage('system', '/roll XdY+Z [vs DC] - Roll dice');
         addMessage('system', '/who - List connected players');
+        addMessage('system', '/w <name> <msg> - Whisper (/w gm ...)');
         addMessage('system', '/name <name> - Change name');
+        addMessage('system', '/join <code> - Join a session');
+        addMessage('system', '/session - Show session & join code');
+        addMessage('system', '/time - Show in-world day and time');
         addMessage('system', '/ping - Test connection');
         addMessage('system', '/clear - Clear log');
         addMessage('system', '/help - Show this help');
@@ -1698,10 +2158,12 @@ const ChatManager = (function() {
         addMessage('system', '/gm <pass> - Authenticate as GM');
         addMessage('system', '/scenes - List available scenes');
         addMessage('system', '/scene <num> - Change scene');
+        addMessage('system', '/time +30 | <day> <HH:MM> - Move clock');
         addMessage('system', '/next - Next scene');
         addMessage('system', '/prev - Previous scene');
         addMessage('system', '/overlay - Toggle GM overlay');
         addMessage('system', '/views - See player views');
+        addMessage('system', '/gmsecret <new> - Change GM secret');
         addMessage('system', '/logout - Logout from GM');
         addMessage('system', '─── DICE COMMANDS ───');
         addMessage('system', '/dice - Show dice settings');
@@ -1710,6 +2172,10 @@ const ChatManager = (function() {
         addMessage('system', '─── CHARACTER ───');
         addMessage('system', '/onboard - Start onboarding');
         addMessage('system', '/create - Create character');
+        addMessage('system', '/sheet - Show your character');
+        addMessage('system', '/stress +1 | /armor <n> - Update stats');
+        addMessage('system', '/wound <slot> [name] - Mark a wound');
+        addMessage('system', '/gear add|drop <item> - Change gear');
         addMessage('system', '─── SHORTCUTS ───');
         addMessage('system', 'F1 - Settings panel');
         addMessage('system', 'TAB - Header navigation');
@@ -1876,7 +2342,7 @@ const ChatManager = (function() {
     function getTotalLines() {
         let total = 0;
         for (const msg of state.messages) {
-            total += wrapText(msg.text, layout.width - layout.padding * 2).length;
+            total += wrapText(messageText(msg), layout.width - layout.padding * 2).length;
         }
         return total;
     }
@@ -2029,12 +2495,17 @@ const ChatManager = (function() {
         
         // Content
         addMessage,
+        setDeliveryStatus,
+        replayHistory,
+        setCampaignClock,
         clear,
         
         // Input
         setInputActive,
         handleChar,
         handleKey,
+        setSpectatorMode,
+        isSpectating: () => state.spectating,
         
         // Control bar
         focusControlBar,
@@ -9,6 +9,13 @@
  * Usage:
  *   await DiceManager.init('#dice-box');
  *   const result = await DiceManager.roll('2d6+3');
+ *   await DiceManager.land('2d6+3', [4, 2]);
+ * 
+ * The physics decides what each die shows, and dice-box can't be told where
+ * to land. roll() reports whatever the dice settled on. land() throws dice
+ * for a result the server already made: dice that show the wrong face are
+ * thrown again, and any still wrong after MAX_LANDING_THROWS are taken off
+ * the table. Either way the server's values are the result.
  * 
  * Events emitted via EventBus:
  *   - dice:rolling - Roll started
@@ -26,8 +33,12 @@ const DiceManager = (function() {
     let diceBox = null;
     let initialized = false;
     let rolling = false;
+    let landing = false;
     let pendingRollResolve = null;
     
+    // Throws land() makes before it gives up on matching a die
+    const MAX_LANDING_THROWS = 5;
+    
     // Default dice appearance settings
     const DEFAULT_SETTINGS = {
         theme: 'default',
@@ -138,7 +149,7 @@ const DiceManager = (function() {
     /**
      * Roll dice with 3D animation
      * @param {string} notation - Dice notation like "2d6+3" or "d20"
-     * @returns {Promise<Object>} Roll result with total and individual rolls
+     * @returns {Promise<Object>} Roll result with total and individual rolls, as the dice landed
      */
     async function roll(notation) {
         if (!initialized) {
@@ -168,6 +179,70 @@ const DiceManager = (function() {
         });
     }
     
+    /**
+     * Throw dice for a roll the server has already made and bring them to rest
+     * on its values. Dice are matched to values regardless of order; the ones
+     * left over are thrown again, and removed if they never match.
+     * @param {string} notation - Dice notation like "2d6+3"
+     * @param {Array<number>} values - The server's value for each die
+     * @returns {Promise<Object|null>} The server's result in roll()'s format, and
+     *          `matched` - whether every die on the table shows it
+     */
+    async function land(notation, values) {
+        if (!initialized) {
+            console.error('[DiceManager] Not initialized. Call init() first.');
+            return null;
+        }
+        
+        if (rolling) {
+            console.warn('[DiceManager] Roll already in progress');
+            return null;
+        }
+        
+        console.log('[DiceManager] Landing:', notation, values);
+        rolling = true;
+        landing = true;
+        
+        if (typeof EventBus !== 'undefined') {
+            EventBus.emit('dice:rolling', { notation });
+        }
+        
+        let unmatched = [];
+        try {
+            let thrown = await diceBox.roll(notation);
+            
+            for (let attempt = 1; ; attempt++) {
+                // Keep each die that shows a value still owed, in any order
+                const owed = [...values];
+                unmatched = thrown.filter(die => {
+                    const index = owed.indexOf(die.value);
+                    if (index === -1) return true;
+                    owed.splice(index, 1);
+                    return false;
+                });
+                
+                if (unmatched.length === 0 || attempt >= MAX_LANDING_THROWS) break;
+                
+                const kept = thrown.filter(die => !unmatched.includes(die));
+                thrown = kept.concat(await diceBox.reroll(unmatched, { remove: true }));
+            }
+            
+            // No die stays on the table showing a face that isn't the result
+            if (unmatched.length > 0) {
+                await diceBox.remove(unmatched);
+            }
+        } catch (error) {
+            console.error('[DiceManager] Landing failed:', error);
+        }
+        
+        landing = false;
+        
+        const parsed = parseServerRoll(notation, values);
+        parsed.matched = unmatched.length === 0;
+        handleRollComplete(parsed);
+        return parsed;
+    }
+    
     /**
      * Add more dice to current roll
      * @param {string} notation - Additional dice notation
@@ -196,10 +271,13 @@ const DiceManager = (function() {
      * @param {Array} results - Array of die results
      */
     function handleRollComplete(results) {
+        // land() reports once, with the server's values, after its last throw
+        if (landing) return;
+        
         console.log('[DiceManager] Roll complete:', results);
         
-        // Parse results into a cleaner format
-        const parsed = parseResults(results);
+        // Parse results into a cleaner format (land() passes its own)
+        const parsed = Array.isArray(results) ? parseResults(results) : results;
         
         rolling = false;
         
@@ -232,7 +310,8 @@ const DiceManager = (function() {
     
     /**
      * Parse dice-box results into a cleaner format
-     * @param {Array} results - Raw results from dice-box
+     * @param {Array} results - Raw results from dice-box: roll groups, each
+     *                          with its dice in `rolls` and a `modifier`
      * @returns {Object} Parsed result object
      */
     function parseResults(results) {
@@ -240,10 +319,14 @@ const DiceManager = (function() {
         let total = 0;
         let modifier = 0;
         
-        for (const die of results) {
-            if (die.type === 'mod') {
-                modifier += die.value;
-            } else {
+        for (const group of results) {
+            if (group.type === 'mod') {
+                modifier += group.value;
+                continue;
+            }
+            
+            modifier += group.modifier || 0;
+            for (const die of group.rolls || [group]) {
                 rolls.push({
                     type: die.type || `d${die.sides}`,
                     sides: die.sides,
@@ -279,6 +362,26 @@ const DiceManager = (function() {
         };
     }
     
+    /**
+     * Build roll()'s result format from a server roll
+     * @param {string} notation - Dice notation like "2d6+3"
+     * @param {Array<number>} values - The server's value for each die
+     * @returns {Object} Parsed result object
+     */
+    function parseServerRoll(notation, values) {
+        const match = notation.match(/d(\d+)([+-]\d+)?/i);
+        const sides = match ? parseInt(match[1]) : 0;
+        const modifier = match ? parseInt(match[2]) || 0 : 0;
+        
+        return {
+            expression: notation,
+            rolls: values.map(value => ({ type: `d${sides}`, sides, value })),
+            modifier,
+            total: values.reduce((sum, value) => sum + value, 0) + modifier,
+            raw: values
+        };
+    }
+    
     // ═══════════════════════════════════════════════════════════════════════
     // SETTINGS MANAGEMENT
     // ═══════════════════════════════════════════════════════════════════════
@@ -473,6 +576,7 @@ const DiceManager = (function() {
         
         // Rolling
         roll,
+        land,
         add,
         clear,
         
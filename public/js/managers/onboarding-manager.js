@@ -1326,7 +1326,9 @@ const OnboardingManager = (function() {
      */
     async function saveCharacter(characterData) {
         try {
-            const response = await fetch('/api/characters', {
+            // Sent with our session token so the server binds the character to us
+            const save = typeof SyncManager !== 'undefined' ? SyncManager.apiFetch : fetch;
+            const response = await save('/api/characters', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(characterData)
@@ -7,6 +7,11 @@
  * - Provide prev/next navigation
  * - Emit events when scene changes
  * - Coordinate with SyncManager for multiplayer
+ * 
+ * Scenes are fetched with our session token: players get the server's
+ * redacted projection (no GM notes, DCs or hidden NPCs), GMs the full
+ * documents. The list is refetched when the GM reveals something, and a
+ * single scene when its file is edited on the server.
  */
 
 const SceneManager = (function() {
@@ -28,6 +33,9 @@ const SceneManager = (function() {
     // Cache for loaded scenes
     const cache = new Map();
     
+    // A refresh was asked for while the list was loading
+    let refreshPending = false;
+    
     // ═══════════════════════════════════════════════════════════════════
     // INITIALIZATION
     // ═══════════════════════════════════════════════════════════════════
@@ -47,6 +55,17 @@ const SceneManager = (function() {
         // Listen for sync scene changes (from other GM)
         if (typeof EventBus !== 'undefined') {
             EventBus.on('sync:scene_change', handleRemoteSceneChange);
+            
+            // Reveals are flags, and GMs get full documents
+            EventBus.on('sync:flag_update', refreshSceneList);
+            EventBus.on('sync:flags_restored', refreshSceneList);
+            EventBus.on('sync:gm_authenticated', refreshSceneList);
+            
+            // The list is limited to the adventure our session is bound to
+            EventBus.on('sync:session_joined', refreshSceneList);
+            
+            // Scene files edited while we play
+            EventBus.on('sync:content_updated', handleContentUpdated);
         }
         
         initialized = true;
@@ -61,7 +80,8 @@ const SceneManager = (function() {
     async function loadSceneList() {
         try {
             state.loading = true;
-            const response = await fetch('/api/scenes');
+            const load = typeof SyncManager !== 'undefined' ? SyncManager.apiFetch : fetch;
+            const response = await load('/api/scenes');
             state.scenes = await response.json();
             state.loading = false;
             
@@ -70,6 +90,12 @@ const SceneManager = (function() {
                 cache.set(scene.id, scene);
             }
             
+            // Keep our place in the refreshed list
+            if (state.currentScene) {
+                state.currentIndex = state.scenes.findIndex(s => s.id === state.currentScene.id);
+                state.currentScene = state.scenes[state.currentIndex] || null;
+            }
+            
             console.log('[SceneManager] Loaded', state.scenes.length, 'scenes');
         } catch (err) {
             console.error('[SceneManager] Failed to load scenes:', err);
@@ -78,6 +104,82 @@ const SceneManager = (function() {
         }
     }
     
+    /**
+     * Refetch the scene list (what we may see has changed)
+     */
+    function refreshSceneList() {
+        if (state.loading) {
+            refreshPending = true;
+            return;
+        }
+        loadSceneList().then(() => {
+            if (refreshPending) {
+                refreshPending = false;
+                refreshSceneList();
+            }
+        });
+    }
+    
+    /**
+     * Refetch one scene after its file changed, keeping our place. New and
+     * removed scenes change the list, so those refetch the whole list.
+     * @param {string} sceneId
+     */
+    async function reloadScene(sceneId) {
+        const index = state.scenes.findIndex(s => s.id === sceneId);
+        if (index === -1) {
+            refreshSceneList();
+            return;
+        }
+        
+        try {
+            const load = typeof SyncManager !== 'undefined' ? SyncManager.apiFetch : fetch;
+            const response = await load(`/api/scenes/${encodeURIComponent(sceneId)}`);
+            if (!response.ok) {
+                refreshSceneList();
+                return;
+            }
+            const scene = await response.json();
+            
+            // The list may have moved on while we were fetching
+            const current = state.scenes.findIndex(s => s.id === sceneId);
+            if (current === -1) return;
+            state.scenes[current] = scene;
+            cache.set(scene.id, scene);
+            
+            const isCurrent = state.currentScene && state.currentScene.id === sceneId;
+            if (isCurrent) {
+                const previousImage = state.currentScene.imageUrl;
+                state.currentScene = scene;
+                
+                // Swap the backdrop in place, no power-down transition
+                if (scene.imageUrl !== previousImage && typeof ThreeSetup !== 'undefined' && scene.imageUrl) {
+                    ThreeSetup.loadSceneImage(scene.imageUrl);
+                }
+            }
+            
+            if (typeof EventBus !== 'undefined') {
+                EventBus.emit('scene:updated', { scene, index: current, isCurrent });
+            }
+            console.log('[SceneManager] Scene updated:', scene.title);
+        } catch (err) {
+            console.error('[SceneManager] Failed to reload scene:', sceneId, err);
+        }
+    }
+    
+    /**
+     * Handle a content change from the server
+     * @param {Object} data - { kind, id, removed }
+     */
+    function handleContentUpdated(data) {
+        if (data.kind !== 'scene') return;
+        if (data.removed) {
+            refreshSceneList();
+        } else {
+            reloadScene(data.id);
+        }
+    }
+    
     /**
      * Handle remote scene change from SyncManager
      */
@@ -301,6 +403,7 @@ const SceneManager = (function() {
         // Lifecycle
         init,
         loadSceneList,
+        reloadScene,
         
         // Navigation
         setCurrentIndex,
@@ -444,6 +444,53 @@ const TerminalManager = (function() {
         dirty = true;
     }
     
+    /**
+     * Word wrap text to the terminal width
+     * @param {string} text - Single paragraph (no newlines)
+     * @returns {string[]}
+     */
+    function wrapText(text) {
+        const maxWidth = layout.width - layout.padding * 2;
+        const words = text.split(' ');
+        const lines = [];
+        let currentLine = '';
+
+        for (const word of words) {
+            const testLine = currentLine ? currentLine + ' ' + word : word;
+            if (ctx && TextRenderer.measureText(ctx, testLine, config) > maxWidth && currentLine) {
+                lines.push(currentLine);
+                currentLine = word;
+            } else {
+                currentLine = testLine;
+            }
+        }
+        lines.push(currentLine);
+        return lines;
+    }
+
+    /**
+     * Print a shared document (see SyncManager.getDocuments)
+     * @param {Object} doc - { title, text, publishedBy, publishedAt }
+     */
+    function showDocument(doc) {
+        const start = state.lines.length;
+        const rule = '═'.repeat(60);
+        addLine(rule, 'system');
+        addLine(doc.title.toUpperCase(), 'system');
+        if (doc.publishedBy) {
+            addLine(`Shared by ${doc.publishedBy}, ${new Date(doc.publishedAt).toLocaleString()}`, 'system');
+        }
+        addLine(rule, 'system');
+
+        for (const paragraph of doc.text.split('\n')) {
+            wrapText(paragraph).forEach(line => addLine(line, 'output'));
+        }
+
+        // Start at the top of the document, not the bottom (+1 for the input line)
+        state.scrollOffset = Math.max(0, state.lines.length + 1 - layout.maxVisibleLines - start);
+        dirty = true;
+    }
+
     /**
      * Clear the terminal
      */
@@ -734,6 +781,32 @@ const TerminalManager = (function() {
             });
         }, { description: 'Show command history' });
         
+        registerCommand('docs', () => {
+            const documents = typeof SyncManager !== 'undefined' ? SyncManager.getDocuments() : [];
+            if (documents.length === 0) {
+                addLine('No documents have been shared with you.', 'system');
+                return;
+            }
+            addLine('Shared documents:', 'system');
+            documents.forEach((doc, i) => {
+                const date = new Date(doc.publishedAt).toLocaleDateString();
+                addLine(`  ${String(i + 1).padStart(2)}  ${doc.title}  (${date})`, 'output');
+            });
+            addLine('Type "read <number>" to open one.', 'system');
+        }, { description: 'List documents shared by the GM' });
+
+        registerCommand('read', (args) => {
+            const documents = typeof SyncManager !== 'undefined' ? SyncManager.getDocuments() : [];
+            // No number opens the newest document
+            const index = args.length ? parseInt(args[0], 10) - 1 : documents.length - 1;
+            const doc = documents[index];
+            if (!doc) {
+                addLine('No such document. Type "docs" to list them.', 'error');
+                return;
+            }
+            showDocument(doc);
+        }, { description: 'Read a shared document', usage: 'read [number]' });
+
         registerCommand('exit', () => {
             // During onboarding, 'exit' cancels onboarding instead of exiting terminal
             if (typeof OnboardingManager !== 'undefined' && OnboardingManager.isActive()) {
@@ -868,6 +941,7 @@ const TerminalManager = (function() {
         addLine,
         clear,
         typewrite,
+        showDocument,
         
         // Input
         handleChar,
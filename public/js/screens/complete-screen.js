@@ -101,8 +101,9 @@ const CompleteScreen = (function() {
         }
         
         try {
-            // Save to server
-            const response = await fetch('/api/characters', {
+            // Save to server with our session token, so the character is bound to us
+            const save = typeof SyncManager !== 'undefined' ? SyncManager.apiFetch : fetch;
+            const response = await save('/api/characters', {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
                 body: JSON.stringify(state.characterData)
@@ -0,0 +1,61 @@
+const AdventureRegistry = require('../server/AdventureRegistry');
+const AdventureGraph = require('../server/AdventureGraph');
+
+// Usage: node scripts/analyze-adventure.js [adventureId ...] [--json]
+//   No IDs: every adventure with a manifest or guide in assets/adventures.
+//   --json: print the reports as JSON (what GET /api/adventures/:id/graph returns).
+// Exits non-zero if any adventure has critical issues (dead ends, soft locks, cycles).
+
+function printReport(report) {
+  const { verdict } = report;
+  const reachable = report.scenes.filter(s => s.reachable).length;
+  console.log(`${report.adventureId}: ${verdict.status.toUpperCase()} (${reachable}/${report.scenes.length} scenes reachable, ${verdict.issueCount.critical} critical, ${verdict.issueCount.warning} warnings)`);
+
+  for (const scene of report.scenes) {
+    const marker = !scene.reachable ? 'x' : scene.ending ? '*' : '-';
+    console.log(`  ${marker} ${scene.id} "${scene.title}"`);
+    for (const exit of scene.exits) {
+      const state = exit.canOpen ? '' : ' (never opens)';
+      console.log(`      → ${exit.target} [${exit.condition}]${state}`);
+    }
+  }
+
+  for (const issue of report.issues) {
+    console.log(`  ${issue.severity.toUpperCase()} [${issue.type}] ${issue.message}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asJSON = args.includes('--json');
+  const ids = args.filter(a => !a.startsWith('--'));
+  const adventureIds = ids.length > 0 ? ids : AdventureRegistry.listAdventureIds();
+
+  if (adventureIds.length === 0) {
+    console.error('[analyze-adventure] No adventures found in assets/adventures.');
+    process.exit(1);
+  }
+
+  const reports = [];
+  let failed = false;
+  for (const adventureId of adventureIds) {
+    const report = AdventureGraph.analyzeAdventure(adventureId);
+    if (!report) {
+      console.error(`[analyze-adventure] Adventure not found: ${adventureId}`);
+      failed = true;
+      continue;
+    }
+    reports.push(report);
+    if (report.verdict.status === 'fail') failed = true;
+  }
+
+  if (asJSON) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(printReport);
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
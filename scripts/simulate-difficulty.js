@@ -0,0 +1,104 @@
+const fs = require('fs');
+const path = require('path');
+const AdventureRegistry = require('../server/AdventureRegistry');
+const DifficultySimulator = require('../server/DifficultySimulator');
+
+// Usage: node scripts/simulate-difficulty.js <character> [adventureId ...] [--runs N] [--seed N] [--json]
+//   character: a character JSON file, or an ID in assets/characters/players (e.g. kira_voltage)
+//   No adventure IDs: every adventure with a manifest or guide in assets/adventures.
+//   --runs: playthroughs per adventure (default 2000), --seed: RNG seed (default 1)
+//   --json: print the reports as JSON (what GET /api/adventures/:id/difficulty returns).
+
+const PLAYERS_DIR = path.join(__dirname, '../assets/characters/players');
+
+function readCharacter(arg) {
+  const file = fs.existsSync(arg) ? arg : path.join(PLAYERS_DIR, `${arg.replace(/\.json$/, '')}.json`);
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+function parseArgs(argv) {
+  const options = { json: false, runs: undefined, seed: undefined, positional: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--json') options.json = true;
+    else if (arg === '--runs') options.runs = Number(argv[++i]);
+    else if (arg === '--seed') options.seed = Number(argv[++i]);
+    else options.positional.push(arg);
+  }
+  return options;
+}
+
+const percent = (rate) => rate === null ? '   -' : `${Math.round(rate * 100)}%`.padStart(4);
+
+function printReport(report) {
+  const { summary } = report;
+  console.log(`${report.adventureId} with ${report.character.name || report.character.id}: ${percent(summary.completionRate)} complete over ${report.runs} runs (seed ${report.seed})`);
+  const outcomes = Object.entries(summary.outcomes).filter(([, n]) => n > 0).map(([o, n]) => `${o} ${n}`).join(', ');
+  console.log(`  Outcomes: ${outcomes}; ${summary.averageWoundsTaken.toFixed(2)} wounds per run`);
+
+  console.log('  Challenges:');
+  for (const c of report.challenges) {
+    const attempts = c.attempts ? `${c.attempts} attempts` : 'never attempted';
+    console.log(`    ${percent(c.successRate)} ${c.id} (${c.skill} ${c.bonus < 0 ? c.bonus : `+${c.bonus}`} vs DC ${c.dc}, expected ${percent(c.expectedRate).trim()}, ${attempts})`);
+  }
+
+  console.log('  Paths:');
+  const shortId = (sceneId) => sceneId.replace(`${report.adventureId}_`, '');
+  for (const p of report.paths.slice(0, 5)) {
+    console.log(`    ${percent(p.share)} of runs, ${percent(p.completionRate).trim()} complete: ${p.scenes.map(shortId).join(' → ')}`);
+  }
+  if (report.paths.length > 5) console.log(`    ... ${report.paths.length - 5} more`);
+
+  for (const risk of report.highRisk) {
+    console.log(`  HIGH_RISK ${risk.message}`);
+  }
+  if (report.unknownSkills.length > 0) {
+    console.log(`  Unknown skills (rolled at +0): ${report.unknownSkills.join(', ')}`);
+  }
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const [characterArg, ...ids] = options.positional;
+
+  if (!characterArg) {
+    console.error('Usage: node scripts/simulate-difficulty.js <character> [adventureId ...] [--runs N] [--seed N] [--json]');
+    process.exit(1);
+  }
+
+  let character;
+  try {
+    character = readCharacter(characterArg);
+  } catch (err) {
+    console.error(`[simulate-difficulty] Could not read character ${characterArg}: ${err.message}`);
+    process.exit(1);
+  }
+  if (!character) {
+    console.error(`[simulate-difficulty] Character not found: ${characterArg}`);
+    process.exit(1);
+  }
+
+  const adventureIds = ids.length > 0 ? ids : AdventureRegistry.listAdventureIds();
+  const reports = [];
+  let failed = false;
+  for (const adventureId of adventureIds) {
+    const report = DifficultySimulator.simulateAdventure(adventureId, character, { runs: options.runs, seed: options.seed });
+    if (!report) {
+      console.error(`[simulate-difficulty] Adventure not found: ${adventureId}`);
+      failed = true;
+      continue;
+    }
+    reports.push(report);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(printReport);
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
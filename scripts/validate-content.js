@@ -0,0 +1,59 @@
+const AdventureRegistry = require('../server/AdventureRegistry');
+const ContentValidator = require('../server/ContentValidator');
+
+// Usage: node scripts/validate-content.js [adventureId ...] [--json] [--strict]
+//   No IDs: every adventure with a manifest or guide in assets/adventures.
+//   --json: print the reports as JSON (what GET /api/adventures/:id/validate returns).
+//   --strict: exit non-zero on warnings too.
+
+function printReport(report) {
+  const { summary } = report;
+  const status = report.valid ? 'OK' : 'FAILED';
+  console.log(`${report.adventureId}: ${status} (${summary.files} files, ${summary.errors} errors, ${summary.warnings} warnings)`);
+
+  let lastFile = null;
+  for (const issue of report.issues) {
+    if (issue.file !== lastFile) {
+      console.log(`  ${issue.file}`);
+      lastFile = issue.file;
+    }
+    const where = issue.path ? ` ${issue.path}:` : '';
+    console.log(`    ${issue.severity.toUpperCase()} [${issue.code}]${where} ${issue.message}`);
+  }
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  const asJSON = args.includes('--json');
+  const strict = args.includes('--strict');
+  const ids = args.filter(a => !a.startsWith('--'));
+  const adventureIds = ids.length > 0 ? ids : AdventureRegistry.listAdventureIds();
+
+  if (adventureIds.length === 0) {
+    console.error('[validate-content] No adventures found in assets/adventures.');
+    process.exit(1);
+  }
+
+  const reports = [];
+  let failed = false;
+  for (const adventureId of adventureIds) {
+    const report = ContentValidator.validateAdventure(adventureId);
+    if (!report) {
+      console.error(`[validate-content] Adventure not found: ${adventureId}`);
+      failed = true;
+      continue;
+    }
+    reports.push(report);
+    if (!report.valid || (strict && report.summary.warnings > 0)) failed = true;
+  }
+
+  if (asJSON) {
+    console.log(JSON.stringify(reports, null, 2));
+  } else {
+    reports.forEach(printReport);
+  }
+
+  process.exit(failed ? 1 : 0);
+}
+
+main();
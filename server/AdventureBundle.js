@@ -0,0 +1,594 @@
+/**
+ * AdventureBundle - Pack an adventure into one archive and install archives
+ *
+ * Handles:
+ * - Collecting every file an adventure's manifest references (guide, timeline,
+ *   world setting, scenes and their images, NPCs and their portraits,
+ *   terminals, programs, documents, cover art)
+ * - Writing and reading the archive (a plain .zip, built with zlib so no
+ *   network or extra dependency is needed)
+ * - Checking an uploaded archive: safe paths, valid JSON, content validation
+ *   and collisions with files already under assets/
+ * - Installing a checked archive under assets/
+ *
+ * Paths inside the archive are relative to assets/, e.g.
+ * "scene_backgrounds/X.json", so installing is a copy. Portraits live in
+ * public/assets/portraits in this repo; they are packed as "portraits/…" and
+ * installed to assets/portraits, which the /assets static route also serves.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const AdventureContent = require('./AdventureContent');
+const AdventureRegistry = require('./AdventureRegistry');
+const ContentValidator = require('./ContentValidator');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const PUBLIC_ASSETS_DIR = path.join(__dirname, '../public/assets');
+
+const BUNDLE_FORMAT = 'light-deck-adventure';
+const BUNDLE_FORMAT_VERSION = 1;
+const METADATA_FILE = 'bundle.json';
+
+// Limits for uploaded archives
+const MAX_BUNDLE_BYTES = 50 * 1024 * 1024;
+const MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+const MAX_ENTRIES = 2000;
+
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp', '.gif'];
+
+// Top-level directory → what may be installed there
+const BUNDLE_DIRS = {
+    [AdventureContent.CONTENT_DIRS.guide]: { kind: 'guide', images: false },
+    [AdventureContent.CONTENT_DIRS.scene]: { kind: 'scene', images: true },
+    [AdventureContent.CONTENT_DIRS.terminal]: { kind: 'terminal', images: false },
+    [AdventureContent.CONTENT_DIRS.program]: { kind: 'program', images: false },
+    [AdventureContent.CONTENT_DIRS.document]: { kind: 'document', images: false },
+    [AdventureContent.CONTENT_DIRS.npc]: { kind: 'npc', images: false },
+    portraits: { kind: 'portrait', images: true },
+};
+
+// Validator issues that make a bundle impossible to install
+const BLOCKING_CODES = [ContentValidator.IssueCode.UNREADABLE, ContentValidator.IssueCode.MISSING_FILE];
+
+// One file or directory name: no separators, no leading dot
+const NAME_PATTERN = /^[A-Za-z0-9_ ()-][A-Za-z0-9_ ().-]*$/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ZIP FORMAT
+// ═══════════════════════════════════════════════════════════════════════════
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+const FLAG_ENCRYPTED = 0x0001;
+const FLAG_UTF8 = 0x0800;
+
+const CRC_TABLE = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+/**
+ * CRC-32 as used by zip
+ * @param {Buffer} data
+ * @returns {number}
+ */
+function crc32(data) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+        date: ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+    };
+}
+
+/**
+ * Write a zip archive. Entries are deflated unless that makes them bigger.
+ * @param {Array<{ path: string, data: Buffer }>} entries
+ * @param {Date} [modified]
+ * @returns {Buffer}
+ */
+function writeZip(entries, modified = new Date()) {
+    const { time, date } = dosDateTime(modified);
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const name = Buffer.from(entry.path, 'utf8');
+        const deflated = zlib.deflateRawSync(entry.data);
+        const stored = deflated.length >= entry.data.length;
+        const body = stored ? entry.data : deflated;
+        const crc = crc32(entry.data);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(LOCAL_HEADER, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt16LE(FLAG_UTF8, 6);
+        local.writeUInt16LE(stored ? METHOD_STORED : METHOD_DEFLATED, 8);
+        local.writeUInt16LE(time, 10);
+        local.writeUInt16LE(date, 12);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(body.length, 18);
+        local.writeUInt32LE(entry.data.length, 22);
+        local.writeUInt16LE(name.length, 26);
+        local.writeUInt16LE(0, 28);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(CENTRAL_HEADER, 0);
+        central.writeUInt16LE(20, 4);
+        local.copy(central, 6, 4, 30);
+        central.writeUInt16LE(0, 32);
+        central.writeUInt16LE(0, 34);
+        central.writeUInt16LE(0, 36);
+        central.writeUInt32LE(0, 38);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, name, body);
+        centrals.push(central, name);
+        offset += local.length + name.length + body.length;
+    }
+
+    const centralDir = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralDir.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, centralDir, end]);
+}
+
+/**
+ * Read a zip archive. Directory entries are skipped.
+ * @param {Buffer} buffer
+ * @returns {Array<{ path: string, data: Buffer }>}
+ * @throws {Error} If the archive is damaged, encrypted, zip64 or over the limits
+ */
+function readZip(buffer) {
+    let endAt = -1;
+    for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 22 - 0xffff); i--) {
+        if (buffer.readUInt32LE(i) === END_OF_CENTRAL_DIR) {
+            endAt = i;
+            break;
+        }
+    }
+    if (endAt < 0) throw new Error('Not a zip archive');
+
+    const count = buffer.readUInt16LE(endAt + 10);
+    const centralSize = buffer.readUInt32LE(endAt + 12);
+    let at = buffer.readUInt32LE(endAt + 16);
+    if (count === 0xffff || at === 0xffffffff) throw new Error('Zip64 archives are not supported');
+    if (count > MAX_ENTRIES) throw new Error(`Archive has more than ${MAX_ENTRIES} files`);
+    if (at + centralSize > endAt) throw new Error('Archive is damaged');
+
+    const entries = [];
+    let unpacked = 0;
+
+    for (let n = 0; n < count; n++) {
+        if (at + 46 > endAt || buffer.readUInt32LE(at) !== CENTRAL_HEADER) throw new Error('Archive is damaged');
+        const flags = buffer.readUInt16LE(at + 8);
+        const method = buffer.readUInt16LE(at + 10);
+        const crc = buffer.readUInt32LE(at + 16);
+        const compressedSize = buffer.readUInt32LE(at + 20);
+        const size = buffer.readUInt32LE(at + 24);
+        const nameLength = buffer.readUInt16LE(at + 28);
+        const skip = nameLength + buffer.readUInt16LE(at + 30) + buffer.readUInt16LE(at + 32);
+        const localAt = buffer.readUInt32LE(at + 42);
+        const name = buffer.toString('utf8', at + 46, at + 46 + nameLength);
+        at += 46 + skip;
+
+        if (name.endsWith('/')) continue;
+        if (flags & FLAG_ENCRYPTED) throw new Error(`${name} is encrypted`);
+        if (method !== METHOD_STORED && method !== METHOD_DEFLATED) throw new Error(`${name} uses an unsupported compression method`);
+
+        unpacked += size;
+        if (unpacked > MAX_UNPACKED_BYTES) throw new Error(`Archive unpacks to more than ${MAX_UNPACKED_BYTES / 1024 / 1024} MB`);
+
+        if (localAt + 30 > buffer.length || buffer.readUInt32LE(localAt) !== LOCAL_HEADER) throw new Error(`${name} is damaged`);
+        const dataAt = localAt + 30 + buffer.readUInt16LE(localAt + 26) + buffer.readUInt16LE(localAt + 28);
+        if (dataAt + compressedSize > buffer.length) throw new Error(`${name} is damaged`);
+
+        const body = buffer.subarray(dataAt, dataAt + compressedSize);
+        let data;
+        try {
+            data = method === METHOD_STORED ? Buffer.from(body) : zlib.inflateRawSync(body, { maxOutputLength: Math.max(size, 1) });
+        } catch (err) {
+            throw new Error(`${name} is damaged: ${err.message}`);
+        }
+        if (data.length !== size || crc32(data) !== crc) throw new Error(`${name} is damaged (checksum mismatch)`);
+
+        entries.push({ path: name, data });
+    }
+
+    return entries;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Path relative to assets/ for an image reference: a file name in
+ * scene_backgrounds, or an "/assets/…" URL as player portraits use
+ * @param {*} reference
+ * @param {string} dir - Directory for bare file names
+ * @returns {string|null}
+ */
+function imagePath(reference, dir) {
+    const url = reference && typeof reference === 'object' ? reference.url : reference;
+    if (typeof url !== 'string' || !url.trim()) return null;
+
+    let relative;
+    try {
+        relative = url.startsWith('/assets/') ? decodeURIComponent(url.slice('/assets/'.length)) : `${dir}/${path.basename(url)}`;
+    } catch {
+        return null;
+    }
+    return checkPath(relative) ? null : relative;
+}
+
+/**
+ * Find a file under assets/, falling back to public/assets/
+ * @param {string} relative
+ * @param {string} assetsDir
+ * @param {string} publicAssetsDir
+ * @returns {string|null} Absolute path
+ */
+function locate(relative, assetsDir, publicAssetsDir) {
+    for (const dir of [assetsDir, publicAssetsDir]) {
+        const file = path.join(dir, relative);
+        if (fs.existsSync(file) && fs.statSync(file).isFile()) return file;
+    }
+    return null;
+}
+
+/**
+ * @typedef {Object} BundleMetadata
+ * @property {string} format - Always "light-deck-adventure"
+ * @property {number} formatVersion
+ * @property {string} adventureId
+ * @property {string} name
+ * @property {string|null} version
+ * @property {string} exportedAt - ISO timestamp
+ * @property {string[]} files - Paths relative to assets/, bundle.json excluded
+ * @property {string[]} missing - Referenced files that were not found
+ */
+
+/**
+ * Pack an adventure into a zip archive
+ * @param {string} adventureId
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @param {string} [options.publicAssetsDir] - Where portraits are looked up too
+ * @returns {{ archive: Buffer, metadata: BundleMetadata }|null} Null for unknown adventures
+ */
+function exportBundle(adventureId, { assetsDir = AdventureContent.ASSETS_DIR, publicAssetsDir = PUBLIC_ASSETS_DIR } = {}) {
+    const adventure = AdventureRegistry.getAdventure(adventureId, { assetsDir });
+    if (!adventure) return null;
+
+    const { hasManifest, ...manifest } = adventure;
+    const files = new Map();
+    const missing = [];
+    const add = (relative) => {
+        if (!relative || files.has(relative) || missing.includes(relative)) return null;
+        const file = locate(relative, assetsDir, publicAssetsDir);
+        if (!file) {
+            missing.push(relative);
+            return null;
+        }
+        const data = fs.readFileSync(file);
+        files.set(relative, data);
+        return data;
+    };
+    const readJSON = (data) => {
+        try {
+            return JSON.parse(data.toString('utf8'));
+        } catch {
+            return null;
+        }
+    };
+
+    // Adventures without a manifest get one, so the archive says what it holds
+    const manifestPath = `${AdventureContent.CONTENT_DIRS.guide}/${adventureId}${AdventureContent.MANIFEST_SUFFIX}`;
+    if (hasManifest) {
+        add(manifestPath);
+    } else {
+        files.set(manifestPath, Buffer.from(JSON.stringify(manifest, null, 2) + '\n'));
+    }
+
+    for (const id of [manifest.guide, manifest.timeline, manifest.worldSetting]) {
+        if (id) add(`${AdventureContent.CONTENT_DIRS.guide}/${id}.json`);
+    }
+
+    for (const [list, kind] of Object.entries(AdventureContent.MANIFEST_LISTS)) {
+        const dir = AdventureContent.CONTENT_DIRS[kind];
+        for (const id of manifest[list]) {
+            const data = add(`${dir}/${id}.json`);
+            const content = data && readJSON(data);
+            if (!content) continue;
+            if (kind === 'scene') add(imagePath(content.image, dir));
+            if (kind === 'npc') add(imagePath(content.portrait, 'portraits'));
+        }
+    }
+
+    if (manifest.coverArt) add(imagePath(`/assets/${manifest.coverArt}`, ''));
+
+    /** @type {BundleMetadata} */
+    const metadata = {
+        format: BUNDLE_FORMAT,
+        formatVersion: BUNDLE_FORMAT_VERSION,
+        adventureId,
+        name: manifest.name,
+        version: manifest.version,
+        exportedAt: new Date().toISOString(),
+        files: [...files.keys()],
+        missing,
+    };
+
+    const entries = [
+        { path: METADATA_FILE, data: Buffer.from(JSON.stringify(metadata, null, 2) + '\n') },
+        ...[...files].map(([relative, data]) => ({ path: relative, data })),
+    ];
+    return { archive: writeZip(entries), metadata };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// IMPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check an archive path before it is joined onto assets/
+ * @param {string} relative
+ * @returns {string|null} Why the path is refused, null if it is fine
+ */
+function checkPath(relative) {
+    if (relative.includes('\\') || relative.startsWith('/')) return 'must be a relative path with "/" separators';
+
+    const parts = relative.split('/');
+    if (!parts.every(part => NAME_PATTERN.test(part))) return 'contains an unsafe file or directory name';
+
+    const name = parts.pop();
+    const dir = parts.join('/');
+    const rules = BUNDLE_DIRS[dir];
+    if (!rules) return `is outside the content directories (${Object.keys(BUNDLE_DIRS).join(', ')})`;
+
+    const ext = path.extname(name).toLowerCase();
+    if (ext === '.json' && rules.kind !== 'portrait') return null;
+    if (rules.images && IMAGE_EXTENSIONS.includes(ext)) return null;
+    return `is not a file type ${dir}/ holds`;
+}
+
+/**
+ * What an archive path holds, for the collision report
+ * @param {string} relative
+ * @returns {{ kind: string, id: string }}
+ */
+function describePath(relative) {
+    const dir = path.posix.dirname(relative);
+    const name = path.posix.basename(relative);
+    const ext = path.extname(name);
+    const isImage = IMAGE_EXTENSIONS.includes(ext.toLowerCase());
+    let kind = isImage ? 'image' : BUNDLE_DIRS[dir].kind;
+    if (AdventureContent.isManifestFile(name)) kind = 'manifest';
+    return { kind, id: isImage ? name : path.basename(name, ext) };
+}
+
+/**
+ * @typedef {Object} BundleFile
+ * @property {string} path - Relative to assets/
+ * @property {number} size
+ * @property {string} kind - Content kind, 'manifest', 'image' or 'portrait'
+ * @property {string} id - File name without .json (images keep their extension)
+ * @property {string} status - 'new' | 'same' (identical file installed) | 'collision' (different file installed)
+ */
+
+/**
+ * @typedef {Object} BundleReport
+ * @property {string|null} adventureId
+ * @property {string|null} name
+ * @property {string|null} version
+ * @property {boolean} adventureExists - An adventure with this ID is already installed
+ * @property {BundleFile[]} files
+ * @property {BundleFile[]} collisions - Files that would replace different content
+ * @property {string[]} problems - Reasons the bundle cannot be installed at all
+ * @property {import('./ContentValidator').ValidationReport|null} validation
+ * @property {boolean} installable - No problems (collisions need overwrite)
+ * @property {boolean} installed
+ * @property {string[]} written - Paths installed by this call
+ */
+
+/**
+ * Validate the unpacked content in a scratch copy of assets/
+ * @param {string} adventureId
+ * @param {Map<string, Buffer>} files
+ * @returns {import('./ContentValidator').ValidationReport|null}
+ */
+function validateFiles(adventureId, files) {
+    const stagingDir = fs.mkdtempSync(path.join(os.tmpdir(), 'light-deck-bundle-'));
+    try {
+        for (const [relative, data] of files) {
+            const target = path.join(stagingDir, relative);
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, data);
+        }
+        return ContentValidator.validateAdventure(adventureId, { assetsDir: stagingDir });
+    } finally {
+        fs.rmSync(stagingDir, { recursive: true, force: true });
+    }
+}
+
+/**
+ * Unpack and check an archive without installing anything
+ * @param {Buffer} archive
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {{ report: BundleReport, files: Map<string, Buffer> }}
+ * @throws {Error} If the archive cannot be read
+ */
+function inspect(archive, { assetsDir = AdventureContent.ASSETS_DIR } = {}) {
+    const problems = [];
+    const files = new Map();
+    let metadata = null;
+
+    for (const entry of readZip(archive)) {
+        if (entry.path === METADATA_FILE) {
+            try {
+                metadata = JSON.parse(entry.data.toString('utf8'));
+            } catch (err) {
+                problems.push(`${METADATA_FILE} is not valid JSON: ${err.message}`);
+            }
+            continue;
+        }
+        const refused = checkPath(entry.path);
+        if (refused) {
+            problems.push(`${entry.path} ${refused}`);
+            continue;
+        }
+        if (files.has(entry.path)) {
+            problems.push(`${entry.path} appears twice`);
+            continue;
+        }
+        if (entry.path.endsWith('.json')) {
+            try {
+                JSON.parse(entry.data.toString('utf8'));
+            } catch (err) {
+                problems.push(`${entry.path} is not valid JSON: ${err.message}`);
+            }
+        }
+        files.set(entry.path, entry.data);
+    }
+
+    const adventureId = metadata && metadata.adventureId;
+    if (!metadata) {
+        problems.push(`No ${METADATA_FILE}; this is not an adventure bundle`);
+    } else if (metadata.format !== BUNDLE_FORMAT) {
+        problems.push(`${METADATA_FILE} is not a ${BUNDLE_FORMAT} bundle`);
+    } else if (metadata.formatVersion > BUNDLE_FORMAT_VERSION) {
+        problems.push(`Bundle format ${metadata.formatVersion} is newer than this server supports (${BUNDLE_FORMAT_VERSION})`);
+    } else if (!AdventureContent.isValidAdventureId(adventureId)) {
+        problems.push(`${METADATA_FILE} has no valid adventureId`);
+    } else if (!files.has(`${AdventureContent.CONTENT_DIRS.guide}/${adventureId}${AdventureContent.MANIFEST_SUFFIX}`)) {
+        problems.push(`No manifest for ${adventureId}`);
+    }
+
+    let validation = null;
+    if (problems.length === 0) {
+        validation = validateFiles(adventureId, files);
+        for (const issue of (validation && validation.issues) || []) {
+            if (BLOCKING_CODES.includes(issue.code)) problems.push(`${issue.file}: ${issue.message}`);
+        }
+    }
+
+    const bundleFiles = [...files].map(([relative, data]) => {
+        const target = path.join(assetsDir, relative);
+        let status = 'new';
+        if (fs.existsSync(target)) {
+            status = fs.readFileSync(target).equals(data) ? 'same' : 'collision';
+        }
+        return { path: relative, size: data.length, ...describePath(relative), status };
+    });
+
+    /** @type {BundleReport} */
+    const report = {
+        adventureId: adventureId || null,
+        name: (metadata && metadata.name) || null,
+        version: (metadata && metadata.version) || null,
+        adventureExists: AdventureContent.isValidAdventureId(adventureId)
+            && AdventureRegistry.listAdventureIds({ assetsDir }).includes(adventureId),
+        files: bundleFiles,
+        collisions: bundleFiles.filter(f => f.status === 'collision'),
+        problems,
+        validation,
+        installable: problems.length === 0,
+        installed: false,
+        written: [],
+    };
+    return { report, files };
+}
+
+/**
+ * Check an archive and report what installing it would do
+ * @param {Buffer} archive
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {BundleReport}
+ * @throws {Error} If the archive cannot be read
+ */
+function checkBundle(archive, options = {}) {
+    return inspect(archive, options).report;
+}
+
+/**
+ * Check an archive and install it under assets/. Nothing is written if the
+ * bundle has problems, or if it collides with existing files and overwrite
+ * is off; the report says which.
+ * @param {Buffer} archive
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @param {boolean} [options.overwrite] - Replace files that differ
+ * @returns {BundleReport}
+ * @throws {Error} If the archive cannot be read
+ */
+function installBundle(archive, { assetsDir = AdventureContent.ASSETS_DIR, overwrite = false } = {}) {
+    const { report, files } = inspect(archive, { assetsDir });
+    if (!report.installable || (report.collisions.length > 0 && !overwrite)) return report;
+
+    for (const file of report.files) {
+        if (file.status === 'same') continue;
+        const target = path.join(assetsDir, file.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, files.get(file.path));
+        report.written.push(file.path);
+    }
+    report.installed = true;
+
+    console.log(`[AdventureBundle] Installed ${report.adventureId}: ${report.written.length} files written, ${report.files.length - report.written.length} unchanged`);
+    return report;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Export
+    exportBundle,
+
+    // Import
+    checkBundle,
+    installBundle,
+
+    // Archive
+    writeZip,
+    readZip,
+    crc32,
+
+    // Constants
+    BUNDLE_FORMAT,
+    BUNDLE_FORMAT_VERSION,
+    MAX_BUNDLE_BYTES,
+};
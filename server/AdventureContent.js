@@ -0,0 +1,292 @@
+/**
+ * AdventureContent - Loads an adventure's hand-edited content from assets/
+ *
+ * Handles:
+ * - Reading the guide, scenes, terminals, programs, documents and NPCs that
+ *   belong to an adventure
+ * - Recording files that cannot be read or parsed instead of skipping them
+ *
+ * Files are read fresh on every call; the content API routes serve
+ * ContentIndex's in-memory copy instead.
+ * An adventure with a manifest (assets/adventures/<id>_Manifest.json) owns
+ * exactly the files it lists. Without one, scenes belong to an adventure by
+ * file name prefix; terminals, programs and documents by their `adventure`
+ * field (missing means shared); NPCs are shared by every adventure.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const ASSETS_DIR = path.join(__dirname, '../assets');
+
+const ADVENTURE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// assets/adventures/<adventureId>_Manifest.json
+const MANIFEST_SUFFIX = '_Manifest.json';
+
+// Manifest list → content kind
+const MANIFEST_LISTS = {
+    scenes: 'scene',
+    npcs: 'npc',
+    terminals: 'terminal',
+    documents: 'document',
+    programs: 'program',
+};
+
+// Content kind → directory under assets/
+const CONTENT_DIRS = {
+    guide: 'adventures',
+    scene: 'scene_backgrounds',
+    terminal: 'terminals',
+    program: 'programs',
+    document: 'documents',
+    npc: 'characters/npcs',
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ContentFile
+ * @property {string} kind - 'guide' | 'scene' | 'terminal' | 'program' | 'document' | 'npc'
+ * @property {string} file - Path relative to assets/, e.g. "terminals/oakhaven_lobby_kiosk.json"
+ * @property {Object} data - Parsed JSON
+ */
+
+/**
+ * @typedef {Object} AdventureBundle
+ * @property {string} adventureId - File name prefix, e.g. "AChangeOfHeart"
+ * @property {ContentFile|null} guide
+ * @property {ContentFile[]} scenes
+ * @property {ContentFile[]} terminals
+ * @property {ContentFile[]} programs
+ * @property {ContentFile[]} documents
+ * @property {ContentFile[]} npcs
+ * @property {AdventureManifest|null} manifest - Null when the adventure goes by naming convention
+ * @property {Array<{ kind: string, file: string, message: string }>} unreadable - Files that failed to parse
+ * @property {Array<{ kind: string, file: string }>} missing - Files the manifest lists that do not exist
+ */
+
+/**
+ * @typedef {Object} AdventureManifest
+ * @property {string} id - Adventure ID, also the manifest's file name prefix
+ * @property {string} name - Display name
+ * @property {string|null} version
+ * @property {string|null} summary - One or two sentences for the adventure picker
+ * @property {string|null} coverArt - Image path relative to assets/
+ * @property {string|null} guide - File name without .json in assets/adventures
+ * @property {string|null} timeline
+ * @property {string|null} worldSetting
+ * @property {string[]} scenes - File names without .json, in play order
+ * @property {string[]} npcs
+ * @property {string[]} terminals
+ * @property {string[]} documents
+ * @property {string[]} programs
+ */
+
+/**
+ * Check an adventure ID before it is used in a file name
+ * @param {*} adventureId
+ * @returns {boolean}
+ */
+function isValidAdventureId(adventureId) {
+    return typeof adventureId === 'string' && ADVENTURE_ID_PATTERN.test(adventureId);
+}
+
+/**
+ * Keep the string entries of a manifest list that are safe to use as file names
+ * @param {*} list
+ * @returns {string[]}
+ */
+function idList(list) {
+    return Array.isArray(list) ? list.filter(isValidAdventureId) : [];
+}
+
+/**
+ * Fill in the defaults of a hand-written manifest
+ * @param {string} adventureId
+ * @param {Object} data - Parsed manifest JSON
+ * @returns {AdventureManifest}
+ */
+function normalizeManifest(adventureId, data) {
+    const optional = (value) => typeof value === 'string' && value.trim() ? value : null;
+    const fileId = (value) => isValidAdventureId(value) ? value : null;
+
+    const manifest = {
+        id: adventureId,
+        name: optional(data.name) || adventureId,
+        version: optional(data.version),
+        summary: optional(data.summary),
+        coverArt: optional(data.coverArt),
+        guide: fileId(data.guide),
+        timeline: fileId(data.timeline),
+        worldSetting: fileId(data.worldSetting),
+    };
+    for (const list of Object.keys(MANIFEST_LISTS)) {
+        manifest[list] = idList(data[list]);
+    }
+    return manifest;
+}
+
+/**
+ * Read an adventure's manifest, if it has one
+ * @param {string} adventureId - Already checked with isValidAdventureId
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {AdventureManifest|null}
+ * @throws {SyntaxError} If the manifest is not valid JSON
+ */
+function readManifest(adventureId, { assetsDir = ASSETS_DIR } = {}) {
+    const file = path.join(assetsDir, CONTENT_DIRS.guide, `${adventureId}${MANIFEST_SUFFIX}`);
+    if (!fs.existsSync(file)) return null;
+    return normalizeManifest(adventureId, JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Whether a file in assets/adventures is a manifest rather than a guide
+ * @param {string} name - File name
+ * @returns {boolean}
+ */
+function isManifestFile(name) {
+    return name.endsWith(MANIFEST_SUFFIX);
+}
+
+/**
+ * Read every JSON file of one kind
+ * @param {string} assetsDir
+ * @param {string} kind - Key of CONTENT_DIRS
+ * @param {function(string): boolean} [includeFile] - Filter on the file name
+ * @returns {{ files: ContentFile[], unreadable: Object[] }}
+ */
+function readKind(assetsDir, kind, includeFile = () => true) {
+    const dir = path.join(assetsDir, CONTENT_DIRS[kind]);
+    const files = [];
+    const unreadable = [];
+    if (!fs.existsSync(dir)) return { files, unreadable };
+
+    for (const name of fs.readdirSync(dir).filter(f => f.endsWith('.json') && includeFile(f)).sort()) {
+        const file = `${CONTENT_DIRS[kind]}/${name}`;
+        try {
+            files.push({ kind, file, data: JSON.parse(fs.readFileSync(path.join(dir, name), 'utf8')) });
+        } catch (err) {
+            unreadable.push({ kind, file, message: err.message });
+        }
+    }
+    return { files, unreadable };
+}
+
+/**
+ * Read the files a manifest lists for one kind, in the manifest's order
+ * @param {string} assetsDir
+ * @param {string} kind - Key of CONTENT_DIRS
+ * @param {string[]} ids - File names without .json
+ * @returns {{ files: ContentFile[], unreadable: Object[], missing: Object[] }}
+ */
+function readListed(assetsDir, kind, ids) {
+    const idOf = (f) => path.basename(f.file, '.json');
+    const result = readKind(assetsDir, kind, f => ids.includes(path.basename(f, '.json')));
+    result.files.sort((a, b) => ids.indexOf(idOf(a)) - ids.indexOf(idOf(b)));
+
+    const found = new Set(result.files.concat(result.unreadable).map(idOf));
+    result.missing = ids
+        .filter(id => !found.has(id))
+        .map(id => ({ kind, file: `${CONTENT_DIRS[kind]}/${id}.json` }));
+    return result;
+}
+
+/**
+ * Load everything that belongs to an adventure
+ * @param {string} adventureId - Already checked with isValidAdventureId
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {AdventureBundle}
+ */
+function loadAdventure(adventureId, { assetsDir = ASSETS_DIR } = {}) {
+    const unreadable = [];
+    const missing = [];
+    const collect = (result) => {
+        unreadable.push(...result.unreadable);
+        missing.push(...(result.missing || []));
+        return result.files;
+    };
+
+    let manifest = null;
+    try {
+        manifest = readManifest(adventureId, { assetsDir });
+    } catch (err) {
+        unreadable.push({ kind: 'guide', file: `${CONTENT_DIRS.guide}/${adventureId}${MANIFEST_SUFFIX}`, message: err.message });
+    }
+
+    if (manifest) {
+        const guideId = manifest.guide || `${adventureId}_Guide`;
+        const guides = collect(readKind(assetsDir, 'guide', f => f === `${guideId}.json`));
+        return {
+            adventureId,
+            guide: guides[0] || null,
+            scenes: collect(readListed(assetsDir, 'scene', manifest.scenes)),
+            terminals: collect(readListed(assetsDir, 'terminal', manifest.terminals)),
+            programs: collect(readListed(assetsDir, 'program', manifest.programs)),
+            documents: collect(readListed(assetsDir, 'document', manifest.documents)),
+            npcs: collect(readListed(assetsDir, 'npc', manifest.npcs)),
+            manifest,
+            unreadable,
+            missing,
+        };
+    }
+
+    const guides = collect(readKind(assetsDir, 'guide', f => f === `${adventureId}_Guide.json`));
+    const guide = guides[0] || null;
+    const adventureName = guide && guide.data.adventure;
+
+    // Shared content has no adventure; the rest names it by ID or display name
+    const belongs = ({ data }) => !data.adventure || data.adventure === adventureId || data.adventure === adventureName;
+
+    return {
+        adventureId,
+        guide,
+        scenes: collect(readKind(assetsDir, 'scene', f => f.startsWith(adventureId))),
+        terminals: collect(readKind(assetsDir, 'terminal')).filter(belongs),
+        programs: collect(readKind(assetsDir, 'program')).filter(belongs),
+        documents: collect(readKind(assetsDir, 'document')).filter(belongs),
+        npcs: collect(readKind(assetsDir, 'npc')),
+        manifest: null,
+        unreadable,
+        missing,
+    };
+}
+
+/**
+ * Whether an adventure has any content at all
+ * @param {AdventureBundle} bundle
+ * @returns {boolean}
+ */
+function hasContent(bundle) {
+    return Boolean(bundle.manifest) || Boolean(bundle.guide) || bundle.scenes.length > 0
+        || bundle.unreadable.some(u => u.kind === 'guide' || u.kind === 'scene');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Loading
+    loadAdventure,
+    hasContent,
+    isValidAdventureId,
+
+    // Manifests
+    readManifest,
+    isManifestFile,
+
+    // Constants
+    ASSETS_DIR,
+    CONTENT_DIRS,
+    MANIFEST_SUFFIX,
+    MANIFEST_LISTS,
+};
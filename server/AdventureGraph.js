@@ -0,0 +1,634 @@
+/**
+ * AdventureGraph - Static analysis of an adventure's scene graph
+ *
+ * Handles:
+ * - Parsing exit and trigger conditions ("jax_dead AND !hazers_killed")
+ * - Building the graph: scenes, exits, and the flags each scene can set
+ *   through triggers, challenges and the terminals it gives access to
+ * - Finding dead ends, soft locks (no exit can ever open), unreachable
+ *   scenes, flags that are read but never set, and circular flag dependencies
+ *
+ * This is the headless half of docs/SIMULATION-TEST-MODE.md: no browser and
+ * no dice. Reachability is optimistic - a flag counts as available once any
+ * reachable scene can set it, and a negated flag always counts as possible
+ * because flags start unset - so anything reported unreachable really is.
+ */
+
+const path = require('path');
+const AdventureContent = require('./AdventureContent');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Severity = {
+    CRITICAL: 'critical',
+    WARNING: 'warning',
+    INFO: 'info',
+};
+
+const IssueType = {
+    DEAD_END: 'DEAD_END',
+    SOFT_LOCK: 'SOFT_LOCK',
+    UNREACHABLE_SCENE: 'UNREACHABLE_SCENE',
+    FLAG_NEVER_SET: 'FLAG_NEVER_SET',
+    CIRCULAR_DEPENDENCY: 'CIRCULAR_DEPENDENCY',
+    BAD_CONDITION: 'BAD_CONDITION',
+};
+
+// Scene types that end the adventure and need no exits
+const ENDING_TYPES = ['ending'];
+
+// Keys whose values are flags a piece of content sets
+const SETTER_KEYS = ['sets_flag', 'sets_flag_2', 'reveal_flag', 'reveal_flags'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONDITIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Condition syntax: flag names combined with AND / OR / NOT (or && || !)
+ * and parentheses. "default" (or an empty condition) is always true.
+ *
+ * @typedef {Object} ConditionNode
+ * @property {string} op - 'flag' | 'const' | 'not' | 'and' | 'or'
+ * @property {string} [flag]
+ * @property {boolean} [value]
+ * @property {ConditionNode[]} [args]
+ */
+
+const ALWAYS = { op: 'const', value: true };
+
+/**
+ * Split a condition into tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    const tokens = [];
+    const pattern = /\s*(&&|\|\||[()!]|[A-Za-z_][A-Za-z0-9_:]*)/y;
+    let index = 0;
+    while (index < text.length) {
+        if (/^\s*$/.test(text.slice(index))) break;
+        pattern.lastIndex = index;
+        const match = pattern.exec(text);
+        if (!match) throw new Error(`Unexpected "${text.slice(index).trim()}"`);
+        tokens.push(match[1]);
+        index = pattern.lastIndex;
+    }
+    return tokens;
+}
+
+/**
+ * Parse a condition
+ * @param {string|null|undefined} text
+ * @returns {ConditionNode}
+ * @throws {Error} On syntax errors
+ */
+function parseCondition(text) {
+    if (text === null || text === undefined || !String(text).trim()) return ALWAYS;
+
+    const tokens = tokenize(String(text));
+    let pos = 0;
+    const peek = () => tokens[pos];
+    const isWord = (token, word) => typeof token === 'string' && token.toUpperCase() === word;
+
+    function parseOr() {
+        const args = [parseAnd()];
+        while (peek() === '||' || isWord(peek(), 'OR')) {
+            pos++;
+            args.push(parseAnd());
+        }
+        return args.length === 1 ? args[0] : { op: 'or', args };
+    }
+
+    function parseAnd() {
+        const args = [parseNot()];
+        while (peek() === '&&' || isWord(peek(), 'AND')) {
+            pos++;
+            args.push(parseNot());
+        }
+        return args.length === 1 ? args[0] : { op: 'and', args };
+    }
+
+    function parseNot() {
+        if (peek() === '!' || isWord(peek(), 'NOT')) {
+            pos++;
+            return { op: 'not', args: [parseNot()] };
+        }
+        return parseAtom();
+    }
+
+    function parseAtom() {
+        const token = tokens[pos++];
+        if (token === undefined) throw new Error('Condition ends too early');
+        if (token === '(') {
+            const node = parseOr();
+            if (tokens[pos++] !== ')') throw new Error('Missing ")"');
+            return node;
+        }
+        if (!/^[A-Za-z_]/.test(token) || ['AND', 'OR', 'NOT'].includes(token.toUpperCase())) {
+            throw new Error(`Unexpected "${token}"`);
+        }
+        const word = token.toLowerCase();
+        if (word === 'default' || word === 'true') return ALWAYS;
+        if (word === 'false') return { op: 'const', value: false };
+        return { op: 'flag', flag: token };
+    }
+
+    const node = parseOr();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos]}"`);
+    return node;
+}
+
+/**
+ * Evaluate a condition against the flags actually set
+ * @param {ConditionNode} node
+ * @param {Object<string, *>|Set<string>} flags - Truthy values count as set
+ * @returns {boolean}
+ */
+function evaluateCondition(node, flags) {
+    switch (node.op) {
+        case 'const': return node.value;
+        case 'flag': return flags instanceof Set ? flags.has(node.flag) : Boolean(flags[node.flag]);
+        case 'not': return !evaluateCondition(node.args[0], flags);
+        case 'and': return node.args.every(arg => evaluateCondition(arg, flags));
+        case 'or': return node.args.some(arg => evaluateCondition(arg, flags));
+        default: return false;
+    }
+}
+
+/**
+ * Whether a condition could be true at some point, given the flags that can
+ * be set so far. A flag that must be unset always can be (flags start unset).
+ * @param {ConditionNode} node
+ * @param {Set<string>} possible
+ * @param {boolean} [negated]
+ * @returns {boolean}
+ */
+function canSatisfy(node, possible, negated = false) {
+    switch (node.op) {
+        case 'const': return node.value !== negated;
+        case 'flag': return negated || possible.has(node.flag);
+        case 'not': return canSatisfy(node.args[0], possible, !negated);
+        case 'and': return negated
+            ? node.args.some(arg => canSatisfy(arg, possible, true))
+            : node.args.every(arg => canSatisfy(arg, possible, false));
+        case 'or': return negated
+            ? node.args.every(arg => canSatisfy(arg, possible, true))
+            : node.args.some(arg => canSatisfy(arg, possible, false));
+        default: return false;
+    }
+}
+
+/**
+ * Flags a condition reads
+ * @param {ConditionNode} node
+ * @param {boolean} [positiveOnly] - Only flags that must be set (not under NOT)
+ * @param {boolean} [negated]
+ * @returns {string[]}
+ */
+function conditionFlags(node, positiveOnly = false, negated = false) {
+    switch (node.op) {
+        case 'flag': return positiveOnly && negated ? [] : [node.flag];
+        case 'not': return conditionFlags(node.args[0], positiveOnly, !negated);
+        case 'and':
+        case 'or': return [...new Set(node.args.flatMap(arg => conditionFlags(arg, positiveOnly, negated)))];
+        default: return [];
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GRAPH
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} FlagSource
+ * @property {string} flag
+ * @property {string|null} sceneId - null for terminals no scene gives access to
+ * @property {string} source - e.g. "trigger:clue_sludge", "challenge:assess_jax", "terminal:oakhaven_admin_terminal"
+ * @property {ConditionNode} condition - What must hold for the source to fire
+ * @property {string|null} requiresItem
+ */
+
+/**
+ * @typedef {Object} SceneNode
+ * @property {string} id
+ * @property {string} title
+ * @property {number[]} order - [act, chapter, scene]
+ * @property {boolean} ending
+ * @property {Array<{ target: string, label: string|null, condition: string, parsed: ConditionNode }>} exits
+ * @property {FlagSource[]} sources
+ */
+
+/**
+ * @typedef {Object} AdventureGraph
+ * @property {string} adventureId
+ * @property {string|null} start - First scene by act, chapter and scene number
+ * @property {Map<string, SceneNode>} scenes
+ * @property {FlagSource[]} sources - Every flag source, including unattached terminals
+ * @property {Map<string, string[]>} reads - Flag → where it is read ("Scene_04 exit → Scene_05")
+ * @property {Set<string>} items - Items that can be obtained
+ * @property {Array<{ sceneId: string, where: string, condition: string, message: string }>} badConditions
+ */
+
+/**
+ * Flags set anywhere inside a piece of content
+ * @param {*} value
+ * @returns {string[]}
+ */
+function collectSetFlags(value) {
+    const flags = [];
+    const visit = (node) => {
+        if (Array.isArray(node)) {
+            node.forEach(visit);
+        } else if (node && typeof node === 'object') {
+            for (const [key, child] of Object.entries(node)) {
+                if (SETTER_KEYS.includes(key)) {
+                    for (const flag of Array.isArray(child) ? child : [child]) {
+                        if (typeof flag === 'string' && flag) flags.push(flag);
+                    }
+                }
+                visit(child);
+            }
+        }
+    };
+    visit(value);
+    return [...new Set(flags)];
+}
+
+/**
+ * Build the graph for a loaded adventure
+ * @param {Object} bundle - AdventureContent.loadAdventure() result
+ * @returns {AdventureGraph}
+ */
+function buildGraph(bundle) {
+    const byId = (files) => new Map(files.map(f => [path.basename(f.file, '.json'), f.data]));
+    const terminals = byId(bundle.terminals);
+    const programs = byId(bundle.programs);
+    const documents = byId(bundle.documents);
+
+    const reads = new Map();
+    const badConditions = [];
+    const addRead = (flag, where) => {
+        if (!reads.has(flag)) reads.set(flag, []);
+        reads.get(flag).push(where);
+    };
+    const parse = (sceneId, where, text) => {
+        try {
+            const node = parseCondition(text);
+            for (const flag of conditionFlags(node)) addRead(flag, `${sceneId} ${where}`);
+            return node;
+        } catch (err) {
+            badConditions.push({ sceneId, where, condition: String(text), message: err.message });
+            return { op: 'const', value: false };
+        }
+    };
+
+    // A terminal sets its own event flags plus those of its programs and documents
+    const terminalFlags = (terminalId) => {
+        const terminal = terminals.get(terminalId);
+        if (!terminal) return [];
+        const linked = [
+            terminal,
+            ...(Array.isArray(terminal.programs) ? terminal.programs : []).map(id => programs.get(id)),
+            ...(Array.isArray(terminal.documents) ? terminal.documents : []).map(id => documents.get(id)),
+        ].filter(Boolean);
+        return [...new Set(linked.flatMap(collectSetFlags))];
+    };
+
+    const items = new Set();
+    const guideItems = bundle.guide && bundle.guide.data.items && bundle.guide.data.items.content;
+    for (const item of Array.isArray(guideItems) ? guideItems : []) {
+        if (item && typeof item.id === 'string') items.add(item.id);
+    }
+
+    const scenes = new Map();
+    const accessedTerminals = new Set();
+
+    for (const { file, data } of bundle.scenes) {
+        const id = path.basename(file, '.json');
+        const list = (field) => Array.isArray(data[field]) ? data[field].filter(e => e && typeof e === 'object') : [];
+        const sources = [];
+        const addSources = (flags, source, condition = ALWAYS, requiresItem = null) => {
+            for (const flag of flags) sources.push({ flag, sceneId: id, source, condition, requiresItem });
+        };
+
+        for (const trigger of list('triggers')) {
+            const condition = parse(id, `trigger ${trigger.id}`, trigger.condition);
+            addSources(collectSetFlags(trigger), `trigger:${trigger.id}`, condition);
+            if (typeof trigger.grants_item === 'string') items.add(trigger.grants_item);
+        }
+
+        for (const challenge of list('challenges')) {
+            const condition = parse(id, `challenge ${challenge.id}`, challenge.requires_flag);
+            const requiresItem = typeof challenge.requires_item === 'string' ? challenge.requires_item : null;
+            addSources(collectSetFlags(challenge), `challenge:${challenge.id}`, condition, requiresItem);
+            for (const effect of [challenge.success_effect, challenge.failure_effect]) {
+                if (effect && typeof effect.grants_item === 'string') items.add(effect.grants_item);
+            }
+        }
+
+        for (const point of list('terminal_access_points')) {
+            addSources(collectSetFlags(point.on_access || {}), `access:${point.id}`);
+            if (typeof point.terminal_id === 'string') {
+                accessedTerminals.add(point.terminal_id);
+                addSources(terminalFlags(point.terminal_id), `terminal:${point.terminal_id}`);
+            }
+        }
+
+        const exits = list('exits').map(exit => ({
+            target: exit.target_scene_id,
+            label: exit.label || null,
+            condition: exit.condition || 'default',
+            parsed: parse(id, `exit → ${exit.target_scene_id}`, exit.condition),
+        }));
+
+        scenes.set(id, {
+            id,
+            title: data.title || id,
+            order: [data.act, data.chapter, data.scene].map(n => Number.isFinite(n) ? n : Infinity),
+            ending: ENDING_TYPES.includes(data.type),
+            exits,
+            sources,
+        });
+    }
+
+    // Terminals no scene links to can still set flags (the GM can open them)
+    const sources = [...scenes.values()].flatMap(scene => scene.sources);
+    for (const terminalId of terminals.keys()) {
+        if (accessedTerminals.has(terminalId)) continue;
+        for (const flag of terminalFlags(terminalId)) {
+            sources.push({ flag, sceneId: null, source: `terminal:${terminalId}`, condition: ALWAYS, requiresItem: null });
+        }
+    }
+
+    const ordered = [...scenes.values()].sort((a, b) =>
+        a.order[0] - b.order[0] || a.order[1] - b.order[1] || a.order[2] - b.order[2] || a.id.localeCompare(b.id));
+
+    return {
+        adventureId: bundle.adventureId,
+        start: ordered.length ? ordered[0].id : null,
+        scenes,
+        sources,
+        reads,
+        items,
+        badConditions,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ANALYSIS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a flag source can fire given the flags possible so far
+ * @param {FlagSource} source
+ * @param {Set<string>} possible
+ * @param {Set<string>} items
+ * @returns {boolean}
+ */
+function canFire(source, possible, items) {
+    return canSatisfy(source.condition, possible) && (!source.requiresItem || items.has(source.requiresItem));
+}
+
+/**
+ * Walk the graph from the start scene, growing the set of possible flags
+ * until nothing changes
+ * @param {AdventureGraph} graph
+ * @returns {{ reachable: Set<string>, possible: Set<string> }}
+ */
+function explore(graph) {
+    const reachable = new Set(graph.start ? [graph.start] : []);
+    const possible = new Set();
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const sceneId of reachable) {
+            const scene = graph.scenes.get(sceneId);
+            for (const source of scene.sources) {
+                if (!possible.has(source.flag) && canFire(source, possible, graph.items)) {
+                    possible.add(source.flag);
+                    changed = true;
+                }
+            }
+            for (const exit of scene.exits) {
+                if (graph.scenes.has(exit.target) && !reachable.has(exit.target) && canSatisfy(exit.parsed, possible)) {
+                    reachable.add(exit.target);
+                    changed = true;
+                }
+            }
+        }
+    }
+
+    return { reachable, possible };
+}
+
+/**
+ * Flags that could ever be set if every scene were reachable
+ * @param {AdventureGraph} graph
+ * @returns {Set<string>}
+ */
+function settableFlags(graph) {
+    const possible = new Set();
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (const source of graph.sources) {
+            if (!possible.has(source.flag) && canFire(source, possible, graph.items)) {
+                possible.add(source.flag);
+                changed = true;
+            }
+        }
+    }
+    return possible;
+}
+
+/**
+ * Find cycles among flags that can never be set because each one's sources
+ * need another flag in the cycle (A needs B, B needs A)
+ * @param {AdventureGraph} graph
+ * @param {Set<string>} blocked - Flags with sources that can never fire
+ * @returns {string[][]} Each cycle once, starting from its first flag alphabetically
+ */
+function findCycles(graph, blocked) {
+    const needs = new Map();
+    for (const flag of blocked) {
+        const deps = graph.sources
+            .filter(s => s.flag === flag)
+            .flatMap(s => conditionFlags(s.condition, true))
+            .filter(dep => blocked.has(dep));
+        needs.set(flag, [...new Set(deps)].sort());
+    }
+
+    const cycles = new Map();
+    const visit = (flag, trail) => {
+        const at = trail.indexOf(flag);
+        if (at !== -1) {
+            const cycle = trail.slice(at);
+            const first = cycle.indexOf([...cycle].sort()[0]);
+            const rotated = [...cycle.slice(first), ...cycle.slice(0, first)];
+            cycles.set(rotated.join('>'), rotated);
+            return;
+        }
+        for (const dep of needs.get(flag) || []) visit(dep, [...trail, flag]);
+    };
+    for (const flag of [...blocked].sort()) visit(flag, []);
+
+    return [...cycles.values()];
+}
+
+/**
+ * @typedef {Object} GraphIssue
+ * @property {string} severity - 'critical' | 'warning' | 'info'
+ * @property {string} type - See IssueType
+ * @property {string|null} sceneId
+ * @property {string|null} flag
+ * @property {string} message
+ */
+
+/**
+ * @typedef {Object} GraphReport
+ * @property {string} adventureId
+ * @property {string|null} start
+ * @property {number} analyzedAt
+ * @property {{ status: string, issueCount: { critical: number, warning: number, info: number } }} verdict
+ * @property {Array<Object>} scenes - { id, title, reachable, ending, exits, setsFlags }
+ * @property {{ set: string[], read: string[], neverSet: string[] }} flags
+ * @property {GraphIssue[]} issues - Most severe first
+ */
+
+/**
+ * Analyze a built graph
+ * @param {AdventureGraph} graph
+ * @returns {GraphReport}
+ */
+function analyzeGraph(graph) {
+    const issues = [];
+    const add = (severity, type, message, { sceneId = null, flag = null } = {}) => {
+        issues.push({ severity, type, sceneId, flag, message });
+    };
+
+    const { reachable, possible } = explore(graph);
+    const settable = settableFlags(graph);
+
+    for (const bad of graph.badConditions) {
+        add(Severity.CRITICAL, IssueType.BAD_CONDITION,
+            `Cannot parse the ${bad.where} condition "${bad.condition}": ${bad.message}`, { sceneId: bad.sceneId });
+    }
+
+    for (const scene of graph.scenes.values()) {
+        if (!reachable.has(scene.id)) {
+            add(Severity.WARNING, IssueType.UNREACHABLE_SCENE,
+                `"${scene.title}" cannot be reached from "${graph.scenes.get(graph.start).title}"`, { sceneId: scene.id });
+            continue;
+        }
+        if (scene.ending) continue;
+
+        const exits = scene.exits.filter(exit => graph.scenes.has(exit.target));
+        if (exits.length === 0) {
+            add(Severity.CRITICAL, IssueType.DEAD_END,
+                `"${scene.title}" has no exits and is not an ending`, { sceneId: scene.id });
+        } else if (!exits.some(exit => canSatisfy(exit.parsed, possible))) {
+            const conditions = exits.map(exit => `"${exit.condition}"`).join(', ');
+            add(Severity.CRITICAL, IssueType.SOFT_LOCK,
+                `No exit from "${scene.title}" can ever open (${conditions})`, { sceneId: scene.id });
+        }
+    }
+
+    const hasSources = new Set(graph.sources.map(s => s.flag));
+    const blocked = new Set([...hasSources].filter(flag => !settable.has(flag)));
+    const cycles = findCycles(graph, blocked);
+    const inCycle = new Set(cycles.flat());
+
+    for (const cycle of cycles) {
+        add(Severity.CRITICAL, IssueType.CIRCULAR_DEPENDENCY,
+            `Flags need each other before they can be set: ${[...cycle, cycle[0]].join(' → ')}`, { flag: cycle[0] });
+    }
+
+    const neverSet = [...graph.reads.keys()].filter(flag => !settable.has(flag)).sort();
+    for (const flag of neverSet) {
+        if (inCycle.has(flag)) continue;
+        const why = hasSources.has(flag) ? 'can never be set (its sources need flags that are never set)' : 'is read but never set';
+        const where = graph.reads.get(flag);
+        add(Severity.WARNING, IssueType.FLAG_NEVER_SET,
+            `"${flag}" ${why}; read by ${where.join(', ')}`, { flag });
+    }
+
+    const rank = { critical: 0, warning: 1, info: 2 };
+    issues.sort((a, b) => rank[a.severity] - rank[b.severity]);
+
+    const issueCount = {
+        critical: issues.filter(i => i.severity === Severity.CRITICAL).length,
+        warning: issues.filter(i => i.severity === Severity.WARNING).length,
+        info: issues.filter(i => i.severity === Severity.INFO).length,
+    };
+
+    return {
+        adventureId: graph.adventureId,
+        start: graph.start,
+        analyzedAt: Date.now(),
+        verdict: {
+            status: issueCount.critical > 0 ? 'fail' : issueCount.warning > 0 ? 'warning' : 'pass',
+            issueCount,
+        },
+        scenes: [...graph.scenes.values()].map(scene => ({
+            id: scene.id,
+            title: scene.title,
+            reachable: reachable.has(scene.id),
+            ending: scene.ending,
+            exits: scene.exits.map(exit => ({
+                target: exit.target,
+                label: exit.label,
+                condition: exit.condition,
+                canOpen: graph.scenes.has(exit.target) && canSatisfy(exit.parsed, possible),
+            })),
+            setsFlags: [...new Set(scene.sources.map(s => s.flag))].sort(),
+        })),
+        flags: {
+            set: [...hasSources].sort(),
+            read: [...graph.reads.keys()].sort(),
+            neverSet,
+        },
+        issues,
+    };
+}
+
+/**
+ * Load, build and analyze an adventure
+ * @param {string} adventureId
+ * @param {Object} [options] - Passed to AdventureContent.loadAdventure
+ * @returns {GraphReport|null} null if the adventure has no scenes
+ */
+function analyzeAdventure(adventureId, options = {}) {
+    if (!AdventureContent.isValidAdventureId(adventureId)) return null;
+
+    const bundle = AdventureContent.loadAdventure(adventureId, options);
+    if (bundle.scenes.length === 0) return null;
+
+    return analyzeGraph(buildGraph(bundle));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Conditions
+    parseCondition,
+    evaluateCondition,
+    canSatisfy,
+    conditionFlags,
+
+    // Graph
+    buildGraph,
+
+    // Analysis
+    analyzeGraph,
+    analyzeAdventure,
+
+    // Constants
+    Severity,
+    IssueType,
+};
@@ -0,0 +1,182 @@
+/**
+ * AdventureRegistry - Which adventures exist and which content each one owns
+ *
+ * Handles:
+ * - Listing the adventures in assets/adventures for the session picker
+ * - Resolving an adventure to its manifest (scenes, NPCs, terminals,
+ *   documents, programs, world setting, cover art)
+ * - Answering "does this content belong to that adventure?" for the content
+ *   routes of a session bound to one adventure
+ *
+ * Adventures without a manifest still work: their manifest is derived from
+ * the naming convention AdventureContent uses (guide and scene file prefixes,
+ * `adventure` fields), so older content needs no migration.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdventureContent = require('./AdventureContent');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const GUIDE_SUFFIX = '_Guide.json';
+const TIMELINE_SUFFIX = '_Timeline';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESOLVING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {import('./AdventureContent').AdventureManifest & { hasManifest: boolean }} ResolvedAdventure
+ */
+
+/**
+ * Build a manifest from the naming convention
+ * @param {import('./AdventureContent').AdventureBundle} bundle
+ * @param {string} assetsDir
+ * @returns {ResolvedAdventure}
+ */
+function deriveManifest(bundle, assetsDir) {
+    const ids = (files) => files.map(f => path.basename(f.file, '.json'));
+    const guide = bundle.guide && bundle.guide.data;
+    const timeline = `${bundle.adventureId}${TIMELINE_SUFFIX}`;
+    const hasTimeline = fs.existsSync(path.join(assetsDir, AdventureContent.CONTENT_DIRS.guide, `${timeline}.json`));
+
+    return {
+        id: bundle.adventureId,
+        name: (guide && guide.adventure) || bundle.adventureId,
+        version: (guide && guide.version) || null,
+        summary: (guide && guide.overview && guide.overview.synopsis) || null,
+        coverArt: null,
+        guide: bundle.guide ? path.basename(bundle.guide.file, '.json') : null,
+        timeline: hasTimeline ? timeline : null,
+        worldSetting: null,
+        scenes: ids(bundle.scenes),
+        npcs: ids(bundle.npcs),
+        terminals: ids(bundle.terminals),
+        documents: ids(bundle.documents),
+        programs: ids(bundle.programs),
+        hasManifest: false,
+    };
+}
+
+/**
+ * Resolve an adventure to its manifest
+ * @param {string} adventureId
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {ResolvedAdventure|null} Null for unknown or invalid IDs
+ */
+function getAdventure(adventureId, { assetsDir = AdventureContent.ASSETS_DIR } = {}) {
+    if (!AdventureContent.isValidAdventureId(adventureId)) return null;
+
+    try {
+        const manifest = AdventureContent.readManifest(adventureId, { assetsDir });
+        if (manifest) return { ...manifest, hasManifest: true };
+    } catch (err) {
+        console.error(`[AdventureRegistry] Manifest for ${adventureId} is not valid JSON, using file names:`, err.message);
+    }
+
+    const bundle = AdventureContent.loadAdventure(adventureId, { assetsDir });
+    if (!AdventureContent.hasContent(bundle)) return null;
+    return deriveManifest(bundle, assetsDir);
+}
+
+/**
+ * IDs of every adventure that has a manifest or a guide
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {string[]}
+ */
+function listAdventureIds({ assetsDir = AdventureContent.ASSETS_DIR } = {}) {
+    const dir = path.join(assetsDir, AdventureContent.CONTENT_DIRS.guide);
+    if (!fs.existsSync(dir)) return [];
+
+    const ids = new Set();
+    for (const name of fs.readdirSync(dir)) {
+        for (const suffix of [AdventureContent.MANIFEST_SUFFIX, GUIDE_SUFFIX]) {
+            if (name.endsWith(suffix)) ids.add(name.slice(0, -suffix.length));
+        }
+    }
+    return [...ids].filter(AdventureContent.isValidAdventureId).sort();
+}
+
+/**
+ * @typedef {Object} AdventureSummary
+ * @property {string} id
+ * @property {string} name
+ * @property {string|null} version
+ * @property {string|null} summary
+ * @property {string|null} coverUrl - URL of the cover art, null if there is none
+ * @property {boolean} hasManifest
+ * @property {Object<string, number>} counts - Scenes, NPCs, terminals, documents, programs
+ */
+
+/**
+ * Public description of an adventure. Leaves out the content IDs, which
+ * would tell players which NPCs and documents are still to come.
+ * @param {ResolvedAdventure} adventure
+ * @returns {AdventureSummary}
+ */
+function toAdventureSummary(adventure) {
+    const counts = {};
+    for (const list of Object.keys(AdventureContent.MANIFEST_LISTS)) {
+        counts[list] = adventure[list].length;
+    }
+    return {
+        id: adventure.id,
+        name: adventure.name,
+        version: adventure.version,
+        summary: adventure.summary,
+        coverUrl: adventure.coverArt ? `/assets/${adventure.coverArt}` : null,
+        hasManifest: adventure.hasManifest,
+        counts,
+    };
+}
+
+/**
+ * Summaries of every adventure, sorted by name
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {AdventureSummary[]}
+ */
+function listAdventures({ assetsDir = AdventureContent.ASSETS_DIR } = {}) {
+    return listAdventureIds({ assetsDir })
+        .map(id => getAdventure(id, { assetsDir }))
+        .filter(Boolean)
+        .map(toAdventureSummary)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCOPING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether a content file belongs to an adventure
+ * @param {ResolvedAdventure|null} adventure - Null means no scoping; everything belongs
+ * @param {string} list - 'scenes' | 'npcs' | 'terminals' | 'documents' | 'programs'
+ * @param {string} id - File name without .json
+ * @returns {boolean}
+ */
+function includes(adventure, list, id) {
+    if (!adventure) return true;
+    return adventure[list].includes(id);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Resolving
+    getAdventure,
+    listAdventureIds,
+    listAdventures,
+    toAdventureSummary,
+
+    // Scoping
+    includes,
+};
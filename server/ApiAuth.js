@@ -0,0 +1,199 @@
+/**
+ * ApiAuth - Authorization middleware for the REST API
+ *
+ * Handles:
+ * - Resolving the caller from the X-Session-Token header (a SessionManager token)
+ * - Per-route policies (server admin, GM of a session or its adventure,
+ *   character owner or their session's GM)
+ * - Consistent 401/403 JSON errors: { error, code }
+ *
+ * Read-only routes stay open; every route that changes files or sessions
+ * should be wrapped with requireAuth(policy).
+ */
+
+const SessionManager = require('./SessionManager');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ERRORS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const AuthErrorCode = {
+    AUTH_REQUIRED: 'AUTH_REQUIRED',     // 401 - no token, or an unknown/expired one
+    FORBIDDEN: 'FORBIDDEN'              // 403 - valid token, but the policy refused it
+};
+
+/**
+ * Send a 401 or 403 JSON error
+ * @param {Object} res - Express response
+ * @param {number} status - 401 or 403
+ * @param {string} message
+ */
+function sendAuthError(res, status, message) {
+    const code = status === 401 ? AuthErrorCode.AUTH_REQUIRED : AuthErrorCode.FORBIDDEN;
+    res.status(status).json({ error: message, code });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CALLER RESOLUTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} AuthContext
+ * @property {string} token - Session token the request was made with
+ * @property {Object} user - SessionManager UserState
+ * @property {Object} session - Session the token belongs to
+ */
+
+/**
+ * Resolve the caller of a request
+ * @param {Object} req - Express request
+ * @returns {AuthContext|null}
+ */
+function getAuthContext(req) {
+    const token = req.get('X-Session-Token');
+    if (!token) return null;
+
+    const lookup = SessionManager.validateToken(token);
+    if (!lookup) return null;
+
+    return { token, user: lookup.user, session: lookup.session };
+}
+
+/**
+ * Whether the caller may read an adventure's GM material (guide, export,
+ * reports, full scenes): admins, and GMs of a session that plays it. A
+ * session bound to no adventure plays the whole library (see
+ * AdventureRegistry.includes).
+ * @param {AuthContext} auth
+ * @param {string|null} adventureId
+ * @returns {boolean}
+ */
+function canReadAdventure(auth, adventureId) {
+    if (auth.user.role !== 'gm') return false;
+    if (auth.user.admin) return true;
+
+    const bound = auth.session.adventureId;
+    return Boolean(adventureId) && (!bound || bound === adventureId);
+}
+
+/**
+ * Whether a GM may assign or change a character that isn't their own:
+ * admins, and GMs of a session the character was created in or a player is
+ * bound to. Binding itself takes this check (sync:character_assign), so a
+ * GM can't claim other sessions' characters by assigning them.
+ * @param {AuthContext} auth
+ * @param {string} characterId
+ * @returns {boolean}
+ */
+function canGMCharacter(auth, characterId) {
+    if (auth.user.role !== 'gm') return false;
+    if (auth.user.admin) return true;
+
+    const { session } = auth;
+    return (session.characterIds || []).includes(characterId)
+        || Object.values(session.users).some(user => user.characterId === characterId);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// POLICIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * A policy decides whether an authenticated caller may use a route.
+ * @callback Policy
+ * @param {AuthContext} auth
+ * @param {Object} req - Express request
+ * @returns {string|null} Reason for refusing, or null if allowed
+ */
+
+const Policy = {
+    /** Any caller with a valid session token */
+    authenticated: () => null,
+
+    /**
+     * Server admin: a GM who logged in with the server-wide GM_PASSWORD rather
+     * than a session's own secret (UserState.admin). Session GMs pick their
+     * secret themselves, so only admins create sessions.
+     */
+    admin: (auth) => auth.user.role === 'gm' && auth.user.admin ? null : 'Server admin access required',
+
+    /**
+     * GM material of one adventure (see canReadAdventure)
+     * @param {function(Object): string|null} getAdventureId - Reads the adventure ID from the request
+     * @returns {Policy}
+     */
+    adventureGM: (getAdventureId) => (auth, req) => {
+        if (auth.user.role !== 'gm') return 'GM access required';
+        return canReadAdventure(auth, getAdventureId(req)) ? null : 'GM access to this adventure required';
+    },
+
+    /** GM of the session named by req.params.id, or a server admin */
+    sessionGM: (auth, req) => {
+        if (auth.user.role !== 'gm') return 'GM access to this session required';
+        if (auth.user.admin || auth.session.id === req.params.id) return null;
+        return 'GM access to this session required';
+    },
+
+    /**
+     * The player bound to the character (UserState.characterId), a GM who
+     * may manage it (see canGMCharacter), or a server admin. A new ID may be
+     * created by a GM, or by a player who has no character yet (onboarding
+     * binds it to them); either way it is recorded as the session's.
+     * @param {function(Object): string} getCharacterId - Reads the ID from the request
+     * @param {function(string): boolean} characterExists
+     * @returns {Policy}
+     */
+    characterOwnerOrGM: (getCharacterId, characterExists) => (auth, req) => {
+        const characterId = getCharacterId(req);
+        if (!characterId) return 'You can only modify your own character';
+        if (!characterExists(characterId)) {
+            if (auth.user.role === 'gm') return null;
+            if (auth.user.role === 'player' && !auth.user.characterId) return null;
+            return 'You already have a character';
+        }
+        if (auth.user.characterId === characterId) return null;
+        if (canGMCharacter(auth, characterId)) return null;
+        return 'You can only modify your own character';
+    }
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MIDDLEWARE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Build middleware that requires a valid token and a passing policy.
+ * On success the caller is available as req.auth.
+ * @param {Policy} [policy=Policy.authenticated]
+ * @returns {function(Object, Object, Function): void}
+ */
+function requireAuth(policy = Policy.authenticated) {
+    return (req, res, next) => {
+        const auth = getAuthContext(req);
+        if (!auth) {
+            return sendAuthError(res, 401, 'Authentication required');
+        }
+
+        const refusal = policy(auth, req);
+        if (refusal) {
+            console.warn(`[ApiAuth] ${req.method} ${req.path} refused for ${auth.user.name}: ${refusal}`);
+            return sendAuthError(res, 403, refusal);
+        }
+
+        req.auth = auth;
+        next();
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    requireAuth,
+    getAuthContext,
+    canReadAdventure,
+    canGMCharacter,
+    Policy,
+    AuthErrorCode
+};
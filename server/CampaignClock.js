@@ -0,0 +1,230 @@
+/**
+ * CampaignClock - In-world time and scheduled timeline events for Light Deck
+ *
+ * Handles:
+ * - Validating and normalizing clock values ({ day, time: "HH:MM" })
+ * - Advancing the clock by a number of minutes
+ * - Validating scheduled events and finding the ones that are due
+ *
+ * The server owns the clock; clients only ask to set or advance it.
+ * Events are stored on the session (see SessionManager.addScheduledEvent)
+ * and fired by the socket layer when the clock passes their time.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MINUTES_PER_DAY = 24 * 60;
+const MAX_DAY = 9999;
+const MAX_ADVANCE_MINUTES = 30 * MINUTES_PER_DAY;
+
+const MAX_LABEL_LENGTH = 120;
+const MAX_ANNOUNCEMENT_LENGTH = 500;
+const MAX_ACTIONS_PER_EVENT = 10;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const ActionType = {
+    FLAG: 'flag',                   // { type, key, value } - set a campaign flag
+    ANNOUNCEMENT: 'announcement',   // { type, text } - system line in everyone's chat
+    SCENE: 'scene',                 // { type, scene } - cut to a scene
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLOCK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} Clock
+ * @property {number} day - Campaign day, starting at 1
+ * @property {string} time - 24-hour "HH:MM"
+ */
+
+/**
+ * Validate a clock value
+ * @param {Object} input - { day, time }
+ * @returns {Clock|null} Normalized clock, or null if invalid
+ */
+function normalizeClock(input) {
+    if (!input || typeof input !== 'object') return null;
+
+    const day = Number(input.day);
+    if (!Number.isInteger(day) || day < 1 || day > MAX_DAY) return null;
+    if (typeof input.time !== 'string' || !TIME_PATTERN.test(input.time)) return null;
+
+    return { day, time: input.time };
+}
+
+/**
+ * Convert a clock to minutes since Day 1 00:00
+ * @param {Clock} clock
+ * @returns {number}
+ */
+function toMinutes(clock) {
+    const [, hours, minutes] = clock.time.match(TIME_PATTERN);
+    return (clock.day - 1) * MINUTES_PER_DAY + Number(hours) * 60 + Number(minutes);
+}
+
+/**
+ * Convert minutes since Day 1 00:00 back to a clock
+ * @param {number} total
+ * @returns {Clock}
+ */
+function fromMinutes(total) {
+    const clamped = Math.min(Math.max(0, Math.floor(total)), MAX_DAY * MINUTES_PER_DAY - 1);
+    const day = Math.floor(clamped / MINUTES_PER_DAY) + 1;
+    const minuteOfDay = clamped % MINUTES_PER_DAY;
+    const hours = String(Math.floor(minuteOfDay / 60)).padStart(2, '0');
+    const minutes = String(minuteOfDay % 60).padStart(2, '0');
+    return { day, time: `${hours}:${minutes}` };
+}
+
+/**
+ * Move a clock forward (or back, for negative values)
+ * @param {Clock} clock
+ * @param {number} minutes
+ * @returns {Clock|null} New clock, or null if minutes is out of range
+ */
+function advance(clock, minutes) {
+    const delta = Number(minutes);
+    if (!Number.isInteger(delta) || Math.abs(delta) > MAX_ADVANCE_MINUTES) return null;
+    return fromMinutes(toMinutes(clock) + delta);
+}
+
+/**
+ * Format a clock for chat and logs
+ * @param {Clock} clock
+ * @returns {string} e.g. "Day 3, 14:20"
+ */
+function format(clock) {
+    return `Day ${clock.day}, ${clock.time}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEDULED EVENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ScheduledEvent
+ * @property {string} id - Unique event ID
+ * @property {Clock} at - When the event fires
+ * @property {string} label - GM-facing description
+ * @property {Object[]} actions - See ActionType
+ * @property {boolean} fired - Set once the clock has passed `at`
+ * @property {Clock} [firedAt] - Clock value that fired the event
+ * @property {number} createdAt
+ */
+
+/**
+ * Validate a single event action
+ * @param {Object} action
+ * @returns {Object|string} Normalized action, or an error message
+ */
+function normalizeAction(action) {
+    if (!action || typeof action !== 'object') return 'Invalid action';
+
+    switch (action.type) {
+        case ActionType.FLAG: {
+            const key = typeof action.key === 'string' ? action.key.trim() : '';
+            if (!key) return 'Flag actions need a key';
+            const value = typeof action.value === 'string' ? action.value : action.value !== false;
+            return { type: ActionType.FLAG, key, value };
+        }
+
+        case ActionType.ANNOUNCEMENT: {
+            const text = typeof action.text === 'string' ? action.text.trim() : '';
+            if (!text) return 'Announcements need text';
+            return { type: ActionType.ANNOUNCEMENT, text: text.slice(0, MAX_ANNOUNCEMENT_LENGTH) };
+        }
+
+        case ActionType.SCENE: {
+            const scene = typeof action.scene === 'string' ? action.scene.trim() : '';
+            if (!scene) return 'Scene actions need a scene ID';
+            return { type: ActionType.SCENE, scene };
+        }
+
+        default:
+            return `Unknown action type: ${action.type}`;
+    }
+}
+
+/**
+ * Validate a new scheduled event
+ * @param {Object} input - { at: { day, time }, label, actions }
+ * @param {Clock} now - Current campaign clock
+ * @returns {{ event?: Object, error?: string }} Event without id/fired fields
+ */
+function normalizeEvent(input, now) {
+    if (!input || typeof input !== 'object') return { error: 'Invalid event' };
+
+    const at = normalizeClock(input.at);
+    if (!at) return { error: 'Event time must be { day, time: "HH:MM" }' };
+    if (toMinutes(at) <= toMinutes(now)) return { error: 'Event time has already passed' };
+
+    if (!Array.isArray(input.actions) || input.actions.length === 0) {
+        return { error: 'Events need at least one action' };
+    }
+    if (input.actions.length > MAX_ACTIONS_PER_EVENT) {
+        return { error: `Events can have at most ${MAX_ACTIONS_PER_EVENT} actions` };
+    }
+
+    const actions = [];
+    for (const raw of input.actions) {
+        const action = normalizeAction(raw);
+        if (typeof action === 'string') return { error: action };
+        actions.push(action);
+    }
+
+    const label = typeof input.label === 'string' && input.label.trim()
+        ? input.label.trim().slice(0, MAX_LABEL_LENGTH)
+        : `Event at ${format(at)}`;
+
+    return { event: { at, label, actions } };
+}
+
+/**
+ * Find unfired events whose time is at or before the clock, oldest first
+ * @param {ScheduledEvent[]} events
+ * @param {Clock} clock
+ * @returns {ScheduledEvent[]}
+ */
+function dueEvents(events, clock) {
+    const now = toMinutes(clock);
+    return events
+        .filter(e => !e.fired && toMinutes(e.at) <= now)
+        .sort((a, b) => toMinutes(a.at) - toMinutes(b.at));
+}
+
+/**
+ * Sort events by time for display
+ * @param {ScheduledEvent[]} events
+ * @returns {ScheduledEvent[]}
+ */
+function sortEvents(events) {
+    return [...events].sort((a, b) => toMinutes(a.at) - toMinutes(b.at));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Clock
+    normalizeClock,
+    toMinutes,
+    fromMinutes,
+    advance,
+    format,
+
+    // Scheduled events
+    normalizeEvent,
+    dueEvents,
+    sortEvents,
+
+    // Constants
+    ActionType,
+    MINUTES_PER_DAY,
+    MAX_DAY,
+    MAX_ADVANCE_MINUTES,
+};
@@ -0,0 +1,225 @@
+/**
+ * CharacterSync - Live character state for players bound to a character
+ *
+ * Handles:
+ * - Validating sync:character_update changes (stress, wounds, armor, gear,
+ *   cyberware) against the character they apply to
+ * - Applying validated changes to a character record
+ *
+ * Characters live in assets/characters/players, outside any session; a
+ * session user points at one through UserState.characterId. The socket
+ * layer reads and writes the files the same way the character API does.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_STRESS_MAX = 5;
+const MAX_ARMOR = 10;
+const MAX_GEAR_ITEMS = 50;
+const MAX_GEAR_QUANTITY = 999;
+const MAX_CYBERWARE = 20;
+const MAX_NAME_LENGTH = 80;
+const MAX_TEXT_LENGTH = 200;
+
+const CHARACTER_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Top-level keys a sync:character_update may carry
+const SYNCED_FIELDS = ['stress', 'wounds', 'armor', 'gear', 'cyberware'];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check a character ID before it is used as a file name
+ * @param {*} id
+ * @returns {boolean}
+ */
+function isValidCharacterId(id) {
+    return typeof id === 'string' && CHARACTER_ID_PATTERN.test(id);
+}
+
+/**
+ * Trim a string field; anything else becomes the fallback
+ * @param {*} value
+ * @param {number} maxLength
+ * @param {*} [fallback]
+ * @returns {string|*}
+ */
+function cleanText(value, maxLength, fallback = null) {
+    if (typeof value !== 'string' || !value.trim()) return fallback;
+    return value.trim().slice(0, maxLength);
+}
+
+/**
+ * Turn an item name into an ID for items added without one
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'item';
+}
+
+/**
+ * Validate wound names. Slots and penalties belong to the character sheet,
+ * so only the names of existing slots can change.
+ * @param {*} wounds - [{ slot, name }]
+ * @param {Object[]} current - The character's wound slots
+ * @returns {Object[]|string} Full wound list, or an error message
+ */
+function normalizeWounds(wounds, current) {
+    if (!Array.isArray(wounds)) return 'Wounds must be a list';
+
+    const names = new Map();
+    for (const wound of wounds) {
+        if (!wound || typeof wound !== 'object') return 'Invalid wound';
+        if (!current.some(w => w.slot === wound.slot)) return `Unknown wound slot: ${wound.slot}`;
+        names.set(wound.slot, cleanText(wound.name, MAX_NAME_LENGTH));
+    }
+
+    return current.map(w => names.has(w.slot) ? { ...w, name: names.get(w.slot) } : { ...w });
+}
+
+/**
+ * Validate a gear list
+ * @param {*} gear - [{ id?, name, quantity? }]
+ * @returns {Object[]|string}
+ */
+function normalizeGear(gear) {
+    if (!Array.isArray(gear)) return 'Gear must be a list';
+    if (gear.length > MAX_GEAR_ITEMS) return `At most ${MAX_GEAR_ITEMS} gear items`;
+
+    const items = [];
+    for (const item of gear) {
+        const name = item && cleanText(item.name, MAX_NAME_LENGTH);
+        if (!name) return 'Gear items need a name';
+
+        const quantity = item.quantity === undefined ? 1 : Number(item.quantity);
+        if (!Number.isInteger(quantity) || quantity < 0 || quantity > MAX_GEAR_QUANTITY) {
+            return `Invalid quantity for ${name}`;
+        }
+
+        items.push({ id: cleanText(item.id, MAX_NAME_LENGTH, slugify(name)), name, quantity });
+    }
+    return items;
+}
+
+/**
+ * Validate a cyberware list
+ * @param {*} cyberware - [{ id?, name, slot?, glitch?, active? }]
+ * @returns {Object[]|string}
+ */
+function normalizeCyberware(cyberware) {
+    if (!Array.isArray(cyberware)) return 'Cyberware must be a list';
+    if (cyberware.length > MAX_CYBERWARE) return `At most ${MAX_CYBERWARE} cyberware pieces`;
+
+    const pieces = [];
+    for (const piece of cyberware) {
+        const name = piece && cleanText(piece.name, MAX_NAME_LENGTH);
+        if (!name) return 'Cyberware needs a name';
+
+        pieces.push({
+            id: cleanText(piece.id, MAX_NAME_LENGTH, slugify(name)),
+            name,
+            slot: cleanText(piece.slot, MAX_NAME_LENGTH),
+            glitch: cleanText(piece.glitch, MAX_TEXT_LENGTH),
+            active: piece.active !== false,
+        });
+    }
+    return pieces;
+}
+
+/**
+ * Validate a character update
+ * @param {Object} input - Any of { stress, wounds, armor, gear, cyberware }
+ * @param {Object} character - The stored character it applies to
+ * @returns {{ changes?: Object, error?: string }}
+ */
+function normalizeChanges(input, character) {
+    if (!input || typeof input !== 'object') return { error: 'Invalid character update' };
+
+    const derived = character.derived || {};
+    const changes = {};
+
+    if (input.stress !== undefined) {
+        const stressMax = Number.isInteger(derived.stressMax) ? derived.stressMax : DEFAULT_STRESS_MAX;
+        const stress = Number(input.stress);
+        if (!Number.isInteger(stress) || stress < 0 || stress > stressMax) {
+            return { error: `Stress must be between 0 and ${stressMax}` };
+        }
+        changes.stress = stress;
+    }
+
+    if (input.armor !== undefined) {
+        const armor = Number(input.armor);
+        if (!Number.isInteger(armor) || armor < 0 || armor > MAX_ARMOR) {
+            return { error: `Armor must be between 0 and ${MAX_ARMOR}` };
+        }
+        changes.armor = armor;
+    }
+
+    if (input.wounds !== undefined) {
+        const wounds = normalizeWounds(input.wounds, Array.isArray(derived.wounds) ? derived.wounds : []);
+        if (typeof wounds === 'string') return { error: wounds };
+        changes.wounds = wounds;
+    }
+
+    if (input.gear !== undefined) {
+        const gear = normalizeGear(input.gear);
+        if (typeof gear === 'string') return { error: gear };
+        changes.gear = gear;
+    }
+
+    if (input.cyberware !== undefined) {
+        const cyberware = normalizeCyberware(input.cyberware);
+        if (typeof cyberware === 'string') return { error: cyberware };
+        changes.cyberware = cyberware;
+    }
+
+    if (Object.keys(changes).length === 0) {
+        return { error: `Nothing to update (expected ${SYNCED_FIELDS.join(', ')})` };
+    }
+    return { changes };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// APPLYING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Apply validated changes to a character (mutates and returns it).
+ * Stress, wounds and armor live under `derived`; gear and cyberware at the top.
+ * @param {Object} character
+ * @param {Object} changes - From normalizeChanges
+ * @returns {Object}
+ */
+function applyChanges(character, changes) {
+    const derived = { ...(character.derived || {}) };
+    for (const field of ['stress', 'wounds', 'armor']) {
+        if (changes[field] !== undefined) derived[field] = changes[field];
+    }
+    character.derived = derived;
+
+    if (changes.gear !== undefined) character.gear = changes.gear;
+    if (changes.cyberware !== undefined) character.cyberware = changes.cyberware;
+
+    return character;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Validation
+    isValidCharacterId,
+    normalizeChanges,
+
+    // Applying
+    applyChanges,
+
+    // Constants
+    SYNCED_FIELDS,
+};
@@ -0,0 +1,267 @@
+/**
+ * ContentIndex - In-memory copy of the adventure content served by the API
+ *
+ * Handles:
+ * - Reading every scene, guide, terminal, program, document and NPC file once
+ *   at startup, so content routes don't touch the disk per request
+ * - Re-reading just the file ContentWatcher reports as changed
+ * - Remembering resolved adventure manifests until any content changes
+ * - Validators for HTTP caching: strong ETags over response bodies and
+ *   last-modified times that also move when files are removed
+ * - Field selection for list views (?fields=id,title)
+ *
+ * Parsed documents are frozen and shared between requests; routes build new
+ * objects (projections, field picks) instead of editing them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const AdventureContent = require('./AdventureContent');
+const AdventureRegistry = require('./AdventureRegistry');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const FIELD_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+const MAX_FIELDS = 32;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} IndexEntry
+ * @property {string} id - File name without .json (what the content routes look up)
+ * @property {string} file - Path relative to assets/
+ * @property {Object} data - Parsed and frozen document
+ * @property {number} mtimeMs - File modification time
+ */
+
+// Kind → Map(id → IndexEntry)
+const entries = new Map();
+
+// Kind → when a file of that kind was last removed (lists shrink without any newer mtime)
+const removedAt = new Map();
+
+// Adventure ID → ResolvedAdventure|null
+const adventures = new Map();
+
+let assetsRoot = AdventureContent.ASSETS_DIR;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LOADING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Freeze a parsed document and everything in it
+ * @param {*} value
+ * @returns {*} The same value
+ */
+function deepFreeze(value) {
+    if (value && typeof value === 'object' && !Object.isFrozen(value)) {
+        Object.freeze(value);
+        for (const child of Object.values(value)) deepFreeze(child);
+    }
+    return value;
+}
+
+/**
+ * Read one content file into the index, or drop it if it is gone or broken
+ * @param {string} kind
+ * @param {string} name - File name
+ * @returns {boolean} Whether the file is indexed now
+ */
+function load(kind, name) {
+    const id = path.basename(name, '.json');
+    const file = `${AdventureContent.CONTENT_DIRS[kind]}/${name}`;
+    const kindEntries = entries.get(kind);
+
+    try {
+        const fullPath = path.join(assetsRoot, file);
+        const { mtimeMs } = fs.statSync(fullPath);
+        const data = deepFreeze(JSON.parse(fs.readFileSync(fullPath, 'utf8')));
+        kindEntries.set(id, { id, file, data, mtimeMs });
+        return true;
+    } catch (err) {
+        if (err.code !== 'ENOENT') console.error(`[ContentIndex] Cannot read ${file}:`, err.message);
+        if (kindEntries.delete(id)) removedAt.set(kind, Date.now());
+        return false;
+    }
+}
+
+/**
+ * Read every content file. Called at startup; later changes come in through
+ * refresh().
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {Object<string, number>} Files indexed per kind
+ */
+function build({ assetsDir = AdventureContent.ASSETS_DIR } = {}) {
+    assetsRoot = assetsDir;
+    entries.clear();
+    removedAt.clear();
+    adventures.clear();
+
+    const counts = {};
+    for (const [kind, dirName] of Object.entries(AdventureContent.CONTENT_DIRS)) {
+        entries.set(kind, new Map());
+        const dir = path.join(assetsDir, dirName);
+        const names = fs.existsSync(dir) ? fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort() : [];
+        counts[kind] = names.filter(name => load(kind, name)).length;
+    }
+
+    const total = Object.values(counts).reduce((sum, n) => sum + n, 0);
+    console.log(`[ContentIndex] Indexed ${total} content files`);
+    return counts;
+}
+
+/**
+ * Re-read one file after it changed on disk
+ * @param {string} kind - 'guide' | 'scene' | 'terminal' | 'program' | 'document' | 'npc'
+ * @param {string} id - File name without .json
+ */
+function refresh(kind, id) {
+    if (!entries.has(kind) || typeof id !== 'string' || path.basename(id) !== id) return;
+    load(kind, `${id}.json`);
+
+    // Any file can change which content an adventure without a manifest owns
+    adventures.clear();
+}
+
+/**
+ * ContentWatcher listener
+ * @param {import('./ContentWatcher').ContentChange} change
+ */
+function applyChange(change) {
+    refresh(change.kind, change.id);
+}
+
+/**
+ * Re-read a file by its path relative to assets/ (for writes the server
+ * makes itself, which shouldn't wait for the watcher). Other files are ignored.
+ * @param {string} file - e.g. "scene_backgrounds/X.json"
+ */
+function refreshFile(file) {
+    const dir = path.posix.dirname(file);
+    const kind = Object.keys(AdventureContent.CONTENT_DIRS).find(k => AdventureContent.CONTENT_DIRS[k] === dir);
+    if (kind && file.endsWith('.json')) refresh(kind, path.posix.basename(file, '.json'));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// QUERIES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Every indexed file of a kind, in file name order
+ * @param {string} kind
+ * @returns {IndexEntry[]}
+ */
+function list(kind) {
+    const kindEntries = entries.get(kind);
+    return kindEntries ? [...kindEntries.values()].sort((a, b) => a.file.localeCompare(b.file)) : [];
+}
+
+/**
+ * One indexed file
+ * @param {string} kind
+ * @param {string} id - File name without .json
+ * @returns {IndexEntry|null}
+ */
+function get(kind, id) {
+    const kindEntries = entries.get(kind);
+    return (kindEntries && typeof id === 'string' && kindEntries.get(id)) || null;
+}
+
+/**
+ * AdventureRegistry.getAdventure, remembered until content changes
+ * @param {string} adventureId
+ * @returns {import('./AdventureRegistry').ResolvedAdventure|null}
+ */
+function getAdventure(adventureId) {
+    if (adventures.has(adventureId)) return adventures.get(adventureId);
+
+    // Unknown IDs aren't remembered, so made-up IDs can't grow the map
+    const adventure = AdventureRegistry.getAdventure(adventureId, { assetsDir: assetsRoot });
+    if (adventure) adventures.set(adventureId, deepFreeze(adventure));
+    return adventure;
+}
+
+/**
+ * When a response built from these entries last changed
+ * @param {IndexEntry[]} used - Entries the response was built from
+ * @param {string} [kind] - For lists: removals of this kind count as changes
+ * @returns {Date}
+ */
+function lastModified(used, kind) {
+    let latest = kind ? removedAt.get(kind) || 0 : 0;
+    for (const entry of used) latest = Math.max(latest, entry.mtimeMs);
+    return new Date(latest);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESPONSES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Strong ETag for a response body
+ * @param {string} body
+ * @returns {string}
+ */
+function etag(body) {
+    return `"${crypto.createHash('sha1').update(body).digest('base64url')}"`;
+}
+
+/**
+ * Parse a ?fields= query value
+ * @param {*} value - "id,title" or ["id", "title"]
+ * @returns {string[]|null} Field names, null for "everything"
+ * @throws {Error} If a field name is not a plain identifier
+ */
+function parseFields(value) {
+    if (value === undefined || value === '') return null;
+    const names = [].concat(value).join(',').split(',').map(f => f.trim()).filter(Boolean);
+    if (names.length > MAX_FIELDS) throw new Error(`At most ${MAX_FIELDS} fields`);
+    const invalid = names.find(f => !FIELD_PATTERN.test(f));
+    if (invalid) throw new Error(`Invalid field name: ${invalid}`);
+    return names.length > 0 ? names : null;
+}
+
+/**
+ * Keep the selected top-level fields of a response item
+ * @param {Object} item
+ * @param {string[]|null} fields
+ * @returns {Object}
+ */
+function selectFields(item, fields) {
+    if (!fields) return item;
+    const picked = {};
+    for (const field of fields) {
+        if (Object.prototype.hasOwnProperty.call(item, field)) picked[field] = item[field];
+    }
+    return picked;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Loading
+    build,
+    refresh,
+    refreshFile,
+    applyChange,
+
+    // Queries
+    list,
+    get,
+    getAdventure,
+    lastModified,
+
+    // Responses
+    etag,
+    parseFields,
+    selectFields,
+};
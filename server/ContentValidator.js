@@ -0,0 +1,536 @@
+/**
+ * ContentValidator - Checks an adventure's content files
+ *
+ * Handles:
+ * - Checking each scene, terminal, program, document, NPC and guide against
+ *   the schema the app reads it with
+ * - Cross-checking references between files: exits, flags, NPCs, programs,
+ *   documents, terminals, clues and items
+ * - Building a structured report for the CLI and the GM overlay
+ *
+ * Errors are problems the app trips over (a missing file, a wrong type, an
+ * exit to nowhere). Warnings are names the guide doesn't declare, which
+ * still work at runtime but are usually typos.
+ */
+
+const path = require('path');
+const AdventureContent = require('./AdventureContent');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const Severity = {
+    ERROR: 'error',
+    WARNING: 'warning',
+};
+
+const IssueCode = {
+    UNREADABLE: 'UNREADABLE',
+    MISSING_GUIDE: 'MISSING_GUIDE',
+    MISSING_FILE: 'MISSING_FILE',
+    MISSING_FIELD: 'MISSING_FIELD',
+    WRONG_TYPE: 'WRONG_TYPE',
+    ID_MISMATCH: 'ID_MISMATCH',
+    DUPLICATE_ID: 'DUPLICATE_ID',
+    UNKNOWN_SCENE: 'UNKNOWN_SCENE',
+    UNKNOWN_FLAG: 'UNKNOWN_FLAG',
+    UNKNOWN_NPC: 'UNKNOWN_NPC',
+    UNKNOWN_PROGRAM: 'UNKNOWN_PROGRAM',
+    UNKNOWN_DOCUMENT: 'UNKNOWN_DOCUMENT',
+    UNKNOWN_TERMINAL: 'UNKNOWN_TERMINAL',
+    UNKNOWN_CLUE: 'UNKNOWN_CLUE',
+    UNKNOWN_ITEM: 'UNKNOWN_ITEM',
+};
+
+// ─────────────────────────────────────────────────────────────────────────
+// Schemas: field → type. A trailing "?" means the field may be missing or
+// null. { array: spec } and { object: schema } describe nested values.
+// Fields not listed are allowed; content files carry plenty of free-form
+// GM material.
+// ─────────────────────────────────────────────────────────────────────────
+
+const EFFECT_SCHEMA = {
+    text: 'string?',
+    sets_flag: 'string?',
+    unlocks_clue: 'string?',
+    grants_item: 'string?',
+    stress_damage: 'integer?',
+};
+
+const SCENE_SCHEMA = {
+    id: 'string',
+    adventure: 'string',
+    act: 'integer',
+    chapter: 'integer',
+    scene: 'integer',
+    type: 'string',
+    title: 'string',
+    location: 'string?',
+    image: 'string?',
+    narrative: 'string',
+    gmNotes: 'string?',
+    npcs: { array: { object: { id: 'string', name: 'string', role: 'string?', statblock: 'string?', state: 'string?' } }, optional: true },
+    challenges: { array: { object: {
+        id: 'string',
+        skill: 'string',
+        difficulty: 'integer',
+        description: 'string?',
+        success_effect: { object: EFFECT_SCHEMA, optional: true },
+        failure_effect: { object: EFFECT_SCHEMA, optional: true },
+    } }, optional: true },
+    triggers: { array: { object: { id: 'string', label: 'string', action: 'string?', text: 'string?', condition: 'string?', sets_flag: 'string?' } }, optional: true },
+    exits: { array: { object: { target_scene_id: 'string', condition: 'string?', label: 'string?' } }, optional: true },
+    flags: { array: 'string', optional: true },
+};
+
+const TERMINAL_SCHEMA = {
+    id: 'string',
+    name: 'string',
+    type: 'string?',
+    location: 'string?',
+    description: 'string?',
+    requires_hack: 'boolean?',
+    style: 'object?',
+    boot_sequence: 'object?',
+    filesystem: 'object?',
+    documents: { array: 'string', optional: true },
+    programs: { array: 'string', optional: true },
+    commands: { object: {
+        available: { array: 'string', optional: true },
+        custom: { array: { object: { name: 'string', requires_program: 'string?' } }, optional: true },
+    }, optional: true },
+    events: 'object?',
+};
+
+const PROGRAM_SCHEMA = {
+    id: 'string',
+    name: 'string',
+    type: 'string',
+    category: 'string?',
+    description: 'string?',
+    mechanics: 'object?',
+    documents: { array: 'string', optional: true },
+    found_in: 'object?',
+};
+
+const DOCUMENT_SCHEMA = {
+    id: 'string',
+    name: 'string',
+    type: 'string',
+    format: 'string?',
+    metadata: 'object?',
+    content: 'object',
+    reveal_flags: { array: 'string', optional: true },
+    unlocks_clues: { array: 'string', optional: true },
+    found_in: 'object?',
+};
+
+const NPC_SCHEMA = {
+    id: 'string',
+    name: 'string',
+    type: 'string?',
+    archetype: 'string?',
+    public: 'object?',
+    private: 'object?',
+};
+
+const GUIDE_SCHEMA = {
+    id: 'string',
+    adventure: 'string',
+    version: 'string?',
+    overview: 'object?',
+    state_tracking: { object: {
+        flags: { array: { object: { id: 'string', type: 'string', description: 'string?' } } },
+    }, optional: true },
+    items: { object: { content: { array: { object: { id: 'string', name: 'string', reveal_flag: 'string?' } } } }, optional: true },
+    clues: { object: { content: { array: { object: { id: 'string', name: 'string', unlocked_by: { array: 'string', optional: true } } } } }, optional: true },
+};
+
+const SCHEMAS = {
+    guide: GUIDE_SCHEMA,
+    scene: SCENE_SCHEMA,
+    terminal: TERMINAL_SCHEMA,
+    program: PROGRAM_SCHEMA,
+    document: DOCUMENT_SCHEMA,
+    npc: NPC_SCHEMA,
+};
+
+// ─────────────────────────────────────────────────────────────────────────
+// References: keys that name something in another file, wherever they
+// appear in a file
+// ─────────────────────────────────────────────────────────────────────────
+
+const REFERENCE_KEYS = {
+    target_scene_id: 'scene',
+    sets_flag: 'flag',
+    sets_flag_2: 'flag',
+    requires_flag: 'flag',
+    reveal_flag: 'flag',
+    reveal_flags: 'flag',
+    requires_program: 'program',
+    terminal_id: 'terminal',
+    unlocks_clue: 'clue',
+    unlocks_clues: 'clue',
+    grants_item: 'item',
+    requires_item: 'item',
+    statblock: 'npc',
+};
+
+// Reference kind → code, severity and where the names come from
+const REFERENCE_KINDS = {
+    scene: { code: IssueCode.UNKNOWN_SCENE, severity: Severity.ERROR, source: 'scene files' },
+    flag: { code: IssueCode.UNKNOWN_FLAG, severity: Severity.WARNING, source: "the guide's state_tracking" },
+    npc: { code: IssueCode.UNKNOWN_NPC, severity: Severity.ERROR, source: 'NPC files' },
+    program: { code: IssueCode.UNKNOWN_PROGRAM, severity: Severity.ERROR, source: 'program files' },
+    document: { code: IssueCode.UNKNOWN_DOCUMENT, severity: Severity.ERROR, source: 'document files' },
+    terminal: { code: IssueCode.UNKNOWN_TERMINAL, severity: Severity.ERROR, source: 'terminal files' },
+    clue: { code: IssueCode.UNKNOWN_CLUE, severity: Severity.WARNING, source: "the guide's clues" },
+    item: { code: IssueCode.UNKNOWN_ITEM, severity: Severity.WARNING, source: "the guide's items" },
+};
+
+// Words in exit and trigger conditions that are not flag names
+const CONDITION_KEYWORDS = new Set(['and', 'or', 'not', 'default', 'true', 'false']);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMA CHECKS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ValidationIssue
+ * @property {string} severity - 'error' | 'warning'
+ * @property {string} code - See IssueCode
+ * @property {string} file - Path relative to assets/
+ * @property {string} path - Location inside the file, e.g. "exits[0].target_scene_id"
+ * @property {string} message
+ */
+
+/**
+ * Name a JSON value's type the way schemas do
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    if (Number.isInteger(value)) return 'integer';
+    return typeof value;
+}
+
+/**
+ * Check one value against a field spec
+ * @param {*} value
+ * @param {string|Object} spec
+ * @param {string} at - Path so far
+ * @param {function(string, string, string): void} report - (code, path, message)
+ */
+function checkValue(value, spec, at, report) {
+    const optional = typeof spec === 'string' ? spec.endsWith('?') : Boolean(spec.optional);
+    if (value === undefined || value === null) {
+        if (!optional) report(IssueCode.MISSING_FIELD, at, `Missing required field "${at}"`);
+        return;
+    }
+
+    if (typeof spec === 'string') {
+        const expected = spec.replace(/\?$/, '');
+        const actual = typeOf(value);
+        const matches = actual === expected || (expected === 'number' && actual === 'integer');
+        if (!matches) report(IssueCode.WRONG_TYPE, at, `"${at}" should be ${expected}, not ${actual}`);
+        return;
+    }
+
+    if (spec.array !== undefined) {
+        if (!Array.isArray(value)) {
+            report(IssueCode.WRONG_TYPE, at, `"${at}" should be array, not ${typeOf(value)}`);
+            return;
+        }
+        value.forEach((item, i) => checkValue(item, spec.array, `${at}[${i}]`, report));
+        return;
+    }
+
+    if (typeOf(value) !== 'object') {
+        report(IssueCode.WRONG_TYPE, at, `"${at}" should be object, not ${typeOf(value)}`);
+        return;
+    }
+    checkFields(value, spec.object, at, report);
+}
+
+/**
+ * Check an object's fields against a schema
+ * @param {Object} data
+ * @param {Object} schema
+ * @param {string} at - Path of the object ('' at the top)
+ * @param {function(string, string, string): void} report
+ */
+function checkFields(data, schema, at, report) {
+    for (const [field, spec] of Object.entries(schema)) {
+        checkValue(data[field], spec, at ? `${at}.${field}` : field, report);
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REFERENCES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Flag names used in a condition such as "jax_dead AND !hazers_killed"
+ * @param {string} condition
+ * @returns {string[]}
+ */
+function conditionFlags(condition) {
+    return (condition.match(/[A-Za-z_][A-Za-z0-9_:]*/g) || [])
+        .filter(word => !CONDITION_KEYWORDS.has(word.toLowerCase()));
+}
+
+/**
+ * Visit every key/value pair in a JSON value
+ * @param {*} value
+ * @param {string} at
+ * @param {function(string, *, string): void} visit - (key, value, path)
+ */
+function walk(value, at, visit) {
+    if (Array.isArray(value)) {
+        value.forEach((item, i) => walk(item, `${at}[${i}]`, visit));
+    } else if (value && typeof value === 'object') {
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = at ? `${at}.${key}` : key;
+            visit(key, child, childPath);
+            walk(child, childPath, visit);
+        }
+    }
+}
+
+/**
+ * The names each reference kind can resolve to
+ * @param {Object} bundle - AdventureContent.loadAdventure() result
+ * @returns {Object<string, Set<string>>}
+ */
+function buildIndex(bundle) {
+    // Content routes look files up by name, so the file name is the ID
+    const fileIds = (files) => new Set(files.map(f => path.basename(f.file, '.json')));
+    const guide = bundle.guide ? bundle.guide.data : {};
+    const listIds = (list) => new Set((Array.isArray(list) ? list : [])
+        .filter(entry => entry && typeof entry.id === 'string')
+        .map(entry => entry.id));
+
+    return {
+        scene: fileIds(bundle.scenes),
+        terminal: fileIds(bundle.terminals),
+        program: fileIds(bundle.programs),
+        document: fileIds(bundle.documents),
+        npc: fileIds(bundle.npcs),
+        flag: listIds(guide.state_tracking && guide.state_tracking.flags),
+        clue: listIds(guide.clues && guide.clues.content),
+        item: listIds(guide.items && guide.items.content),
+    };
+}
+
+/**
+ * NPCs a scene may mention: NPC files plus the guide's NPC manifest
+ * (background characters are listed there without a statblock)
+ * @param {Object} bundle
+ * @param {Set<string>} npcFiles
+ * @returns {Set<string>}
+ */
+function knownNPCs(bundle, npcFiles) {
+    const known = new Set(npcFiles);
+    const manifest = bundle.guide && bundle.guide.data.content && bundle.guide.data.content.npc_manifest;
+    if (manifest && typeof manifest === 'object') {
+        for (const group of Object.values(manifest)) {
+            if (!Array.isArray(group)) continue;
+            for (const npc of group) {
+                if (npc && typeof npc.id === 'string') known.add(npc.id);
+            }
+        }
+    }
+    return known;
+}
+
+/**
+ * Check the references in one file
+ * @param {Object} contentFile - { kind, file, data }
+ * @param {Object<string, Set<string>>} index
+ * @param {Set<string>} sceneNPCs - Names scene NPC lists may use
+ * @param {function(string, string, string, string): void} report - (severity, code, path, message)
+ */
+function checkReferences({ kind, data }, index, sceneNPCs, report) {
+    const check = (refKind, name, at) => {
+        if (typeof name !== 'string' || index[refKind].has(name)) return;
+        const { code, severity, source } = REFERENCE_KINDS[refKind];
+        report(severity, code, at, `${refKind} "${name}" is not in ${source}`);
+    };
+
+    walk(data, '', (key, value, at) => {
+        const refKind = REFERENCE_KEYS[key];
+        if (!refKind) return;
+        if (Array.isArray(value)) {
+            value.forEach((name, i) => check(refKind, name, `${at}[${i}]`));
+        } else {
+            check(refKind, value, at);
+        }
+    });
+
+    if (kind === 'scene') {
+        const list = (field) => Array.isArray(data[field]) ? data[field] : [];
+
+        list('npcs').forEach((npc, i) => {
+            if (npc && typeof npc.id === 'string' && !sceneNPCs.has(npc.id)) {
+                report(Severity.WARNING, IssueCode.UNKNOWN_NPC, `npcs[${i}].id`,
+                    `npc "${npc.id}" is not in NPC files or the guide's npc_manifest`);
+            }
+        });
+        list('flags').forEach((name, i) => check('flag', name, `flags[${i}]`));
+        for (const field of ['exits', 'triggers']) {
+            list(field).forEach((entry, i) => {
+                if (!entry || typeof entry.condition !== 'string') return;
+                for (const name of conditionFlags(entry.condition)) {
+                    check('flag', name, `${field}[${i}].condition`);
+                }
+            });
+        }
+    }
+
+    if (kind === 'terminal' || kind === 'program') {
+        (Array.isArray(data.programs) ? data.programs : []).forEach((name, i) => check('program', name, `programs[${i}]`));
+        (Array.isArray(data.documents) ? data.documents : []).forEach((name, i) => check('document', name, `documents[${i}]`));
+    }
+
+    const foundIn = data.found_in;
+    if (foundIn && typeof foundIn === 'object') {
+        for (const [field, refKind] of [['terminals', 'terminal'], ['programs', 'program'], ['scenes', 'scene']]) {
+            (Array.isArray(foundIn[field]) ? foundIn[field] : [])
+                .forEach((name, i) => check(refKind, name, `found_in.${field}[${i}]`));
+        }
+    }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ValidationReport
+ * @property {string} adventureId
+ * @property {boolean} valid - No errors (warnings allowed)
+ * @property {number} checkedAt
+ * @property {{ files: number, errors: number, warnings: number }} summary
+ * @property {Object<string, number>} counts - Files checked per kind
+ * @property {ValidationIssue[]} issues - Errors first, then by file
+ */
+
+/**
+ * Validate loaded adventure content
+ * @param {Object} bundle - AdventureContent.loadAdventure() result
+ * @returns {ValidationReport}
+ */
+function validateBundle(bundle) {
+    const issues = [];
+    const index = buildIndex(bundle);
+    const sceneNPCs = knownNPCs(bundle, index.npc);
+
+    for (const { file, message } of bundle.unreadable) {
+        issues.push({ severity: Severity.ERROR, code: IssueCode.UNREADABLE, file, path: '', message: `Not valid JSON: ${message}` });
+    }
+
+    for (const { file } of bundle.missing || []) {
+        issues.push({ severity: Severity.ERROR, code: IssueCode.MISSING_FILE, file, path: '', message: 'Listed in the adventure manifest but the file does not exist' });
+    }
+
+    if (!bundle.guide && !bundle.unreadable.some(u => u.kind === 'guide')) {
+        const guideId = (bundle.manifest && bundle.manifest.guide) || `${bundle.adventureId}_Guide`;
+        issues.push({
+            severity: Severity.ERROR,
+            code: IssueCode.MISSING_GUIDE,
+            file: `adventures/${guideId}.json`,
+            path: '',
+            message: 'No adventure guide; flags, clues and items cannot be checked',
+        });
+    }
+
+    const files = [
+        ...(bundle.guide ? [bundle.guide] : []),
+        ...bundle.scenes, ...bundle.terminals, ...bundle.programs, ...bundle.documents, ...bundle.npcs,
+    ];
+    const seenIds = new Map();
+
+    for (const contentFile of files) {
+        const { kind, file, data } = contentFile;
+        const report = (severity, code, at, message) => issues.push({ severity, code, file, path: at, message });
+
+        if (typeOf(data) !== 'object') {
+            report(Severity.ERROR, IssueCode.WRONG_TYPE, '', `${kind} file should hold an object`);
+            continue;
+        }
+
+        checkFields(data, SCHEMAS[kind], '', (code, at, message) => report(Severity.ERROR, code, at, message));
+
+        const expectedId = path.basename(file, '.json');
+        if (typeof data.id === 'string' && data.id !== expectedId) {
+            report(Severity.ERROR, IssueCode.ID_MISMATCH, 'id',
+                `id "${data.id}" does not match the file name; the app loads it as "${expectedId}"`);
+        }
+
+        const idKey = `${kind}:${data.id}`;
+        if (typeof data.id === 'string' && seenIds.has(idKey)) {
+            report(Severity.ERROR, IssueCode.DUPLICATE_ID, 'id', `${kind} id "${data.id}" is also used by ${seenIds.get(idKey)}`);
+        } else {
+            seenIds.set(idKey, file);
+        }
+
+        checkReferences(contentFile, index, sceneNPCs, report);
+    }
+
+    issues.sort((a, b) =>
+        (a.severity === b.severity ? 0 : a.severity === Severity.ERROR ? -1 : 1)
+        || a.file.localeCompare(b.file));
+
+    const errors = issues.filter(i => i.severity === Severity.ERROR).length;
+    return {
+        adventureId: bundle.adventureId,
+        valid: errors === 0,
+        checkedAt: Date.now(),
+        summary: { files: files.length + bundle.unreadable.length, errors, warnings: issues.length - errors },
+        counts: {
+            guide: bundle.guide ? 1 : 0,
+            scenes: bundle.scenes.length,
+            terminals: bundle.terminals.length,
+            programs: bundle.programs.length,
+            documents: bundle.documents.length,
+            npcs: bundle.npcs.length,
+        },
+        issues,
+    };
+}
+
+/**
+ * Load and validate an adventure
+ * @param {string} adventureId
+ * @param {Object} [options] - Passed to AdventureContent.loadAdventure
+ * @returns {ValidationReport|null} null if the adventure has no content
+ */
+function validateAdventure(adventureId, options = {}) {
+    if (!AdventureContent.isValidAdventureId(adventureId)) return null;
+
+    const bundle = AdventureContent.loadAdventure(adventureId, options);
+    if (!AdventureContent.hasContent(bundle)) return null;
+
+    return validateBundle(bundle);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Validation
+    validateAdventure,
+    validateBundle,
+
+    // References
+    conditionFlags,
+
+    // Constants
+    Severity,
+    IssueCode,
+    SCHEMAS,
+};
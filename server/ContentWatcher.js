@@ -0,0 +1,159 @@
+/**
+ * ContentWatcher - Notices edits to adventure content while the server runs
+ *
+ * Handles:
+ * - Watching the content directories under assets/ (scenes, guides,
+ *   terminals, programs, documents, NPCs)
+ * - Collapsing the burst of events one save produces into one change
+ * - Telling listeners which asset changed, so caches can be dropped and
+ *   clients can refetch just that asset
+ *
+ * Only `.json` files are reported; editor swap and temp files are ignored.
+ * A file that no longer exists when the change settles is reported as removed.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const AdventureContent = require('./AdventureContent');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Editors write a file in several steps (truncate, write, rename); wait for quiet
+const SETTLE_MS = 150;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Directory → fs.FSWatcher
+const watchers = new Map();
+
+// Relative file → settle timer
+const pending = new Map();
+
+const listeners = new Set();
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHANGES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ContentChange
+ * @property {string} kind - 'guide' | 'scene' | 'terminal' | 'program' | 'document' | 'npc'
+ * @property {string} id - File name without .json (what the content routes look up)
+ * @property {string} file - Path relative to assets/, e.g. "scene_backgrounds/X.json"
+ * @property {boolean} removed - The file is gone
+ * @property {number} at - When the change settled
+ */
+
+/**
+ * Report a settled change to every listener
+ * @param {string} assetsDir
+ * @param {string} kind
+ * @param {string} name - File name
+ */
+function settle(assetsDir, kind, name) {
+    const file = `${AdventureContent.CONTENT_DIRS[kind]}/${name}`;
+    pending.delete(file);
+
+    /** @type {ContentChange} */
+    const change = {
+        kind,
+        id: path.basename(name, '.json'),
+        file,
+        removed: !fs.existsSync(path.join(assetsDir, file)),
+        at: Date.now(),
+    };
+
+    for (const listener of listeners) {
+        try {
+            listener(change);
+        } catch (err) {
+            console.error('[ContentWatcher] Listener failed:', err);
+        }
+    }
+}
+
+/**
+ * Restart the settle timer for a file
+ * @param {string} assetsDir
+ * @param {string} kind
+ * @param {string} name
+ */
+function schedule(assetsDir, kind, name) {
+    const file = `${AdventureContent.CONTENT_DIRS[kind]}/${name}`;
+    clearTimeout(pending.get(file));
+    pending.set(file, setTimeout(() => settle(assetsDir, kind, name), SETTLE_MS));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Start watching the content directories. Calling it again is a no-op.
+ * @param {Object} [options]
+ * @param {string} [options.assetsDir] - Defaults to the repo's assets/
+ * @returns {string[]} Directories being watched
+ */
+function start({ assetsDir = AdventureContent.ASSETS_DIR } = {}) {
+    for (const [kind, dirName] of Object.entries(AdventureContent.CONTENT_DIRS)) {
+        const dir = path.join(assetsDir, dirName);
+        if (watchers.has(dir) || !fs.existsSync(dir)) continue;
+
+        try {
+            const watcher = fs.watch(dir, (eventType, name) => {
+                if (name && name.endsWith('.json')) schedule(assetsDir, kind, name);
+            });
+            watcher.on('error', (err) => {
+                console.error(`[ContentWatcher] Stopped watching ${dirName}:`, err.message);
+                watcher.close();
+                watchers.delete(dir);
+            });
+            watchers.set(dir, watcher);
+        } catch (err) {
+            console.error(`[ContentWatcher] Cannot watch ${dirName}:`, err.message);
+        }
+    }
+
+    console.log(`[ContentWatcher] Watching ${watchers.size} content directories`);
+    return [...watchers.keys()];
+}
+
+/**
+ * Stop watching and drop changes that have not settled yet
+ */
+function stop() {
+    for (const watcher of watchers.values()) watcher.close();
+    watchers.clear();
+    for (const timer of pending.values()) clearTimeout(timer);
+    pending.clear();
+}
+
+/**
+ * Listen for content changes
+ * @param {function(ContentChange): void} listener
+ * @returns {function(): void} Unsubscribe
+ */
+function onChange(listener) {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Lifecycle
+    start,
+    stop,
+
+    // Listeners
+    onChange,
+
+    // Constants
+    SETTLE_MS,
+};
@@ -0,0 +1,115 @@
+/**
+ * DiceRoller - Server-authoritative dice rolling for Light Deck
+ *
+ * Handles:
+ * - Parsing dice expressions ("2d6+3", "d20", "1d100-2")
+ * - Generating results with a cryptographically secure RNG
+ *
+ * Clients never supply roll results; they send an expression and the
+ * server decides the outcome. The 3D dice on the client are then
+ * animated to land on the values chosen here.
+ */
+
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Same limits the client enforces in ChatManager.rollDice
+const MIN_DICE = 1;
+const MAX_DICE = 100;
+const MIN_SIDES = 2;
+const MAX_SIDES = 1000;
+
+const EXPRESSION_PATTERN = /^(\d*)d(\d+)([+-]\d+)?$/i;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} DiceExpression
+ * @property {string} expression - Normalized expression (e.g. "2d6+3")
+ * @property {number} count - Number of dice
+ * @property {number} sides - Sides per die
+ * @property {number} modifier - Flat modifier added to the total
+ */
+
+/**
+ * Parse a dice expression
+ * @param {string} expression - Expression like "2d6+3" or "d20"
+ * @returns {DiceExpression|null} Parsed expression, or null if invalid
+ */
+function parse(expression) {
+    if (typeof expression !== 'string') return null;
+
+    const match = expression.trim().replace(/\s+/g, '').match(EXPRESSION_PATTERN);
+    if (!match) return null;
+
+    const count = parseInt(match[1]) || 1;
+    const sides = parseInt(match[2]);
+    const modifier = parseInt(match[3]) || 0;
+
+    if (count < MIN_DICE || count > MAX_DICE) return null;
+    if (sides < MIN_SIDES || sides > MAX_SIDES) return null;
+
+    let normalized = `${count}d${sides}`;
+    if (modifier !== 0) {
+        normalized += modifier > 0 ? `+${modifier}` : `${modifier}`;
+    }
+
+    return { expression: normalized, count, sides, modifier };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ROLLING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Roll a single die
+ * @param {number} sides
+ * @returns {number} Value between 1 and sides (inclusive)
+ */
+function rollDie(sides) {
+    return crypto.randomInt(1, sides + 1);
+}
+
+/**
+ * Roll a dice expression
+ * @param {string|DiceExpression} expression - Raw or already-parsed expression
+ * @returns {{ expression: string, sides: number, rolls: number[], modifier: number, total: number }|null}
+ */
+function roll(expression) {
+    const parsed = typeof expression === 'string' ? parse(expression) : expression;
+    if (!parsed) return null;
+
+    const rolls = [];
+    for (let i = 0; i < parsed.count; i++) {
+        rolls.push(rollDie(parsed.sides));
+    }
+
+    const total = rolls.reduce((sum, value) => sum + value, 0) + parsed.modifier;
+
+    return {
+        expression: parsed.expression,
+        sides: parsed.sides,
+        rolls,
+        modifier: parsed.modifier,
+        total,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    parse,
+    roll,
+    rollDie,
+
+    // Constants
+    MAX_DICE,
+    MAX_SIDES,
+};
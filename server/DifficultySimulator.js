@@ -0,0 +1,559 @@
+/**
+ * DifficultySimulator - Monte Carlo playthroughs of an adventure for one character
+ *
+ * Handles:
+ * - Resolving scene challenges as d20 + Attribute + Skill vs difficulty
+ *   (docs/GAME-SYSTEM.md 1.2), with natural 20s and 1s and wound penalties
+ * - Stress from failed checks, rolling over into Wounds when the track is full
+ * - Running thousands of seeded playthroughs and reporting per-challenge
+ *   success rates, per-path completion odds and HIGH_RISK exits
+ *
+ * Runs are reproducible: the same character, content, seed and run count
+ * always give the same report. Exits and conditions follow AdventureGraph.
+ */
+
+const path = require('path');
+const AdventureContent = require('./AdventureContent');
+const AdventureGraph = require('./AdventureGraph');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_RUNS = 2000;
+// Keeps a request under a second on one core
+const MAX_RUNS = 20000;
+const DEFAULT_SEED = 1;
+
+// A playthrough that visits this many scenes without ending is stopped
+const MAX_SCENES_PER_RUN = 50;
+
+// GAME-SYSTEM.md 4.1 / 4.2 defaults for characters without derived stats
+const DEFAULT_STRESS_MAX = 5;
+const DEFAULT_WOUND_PENALTIES = [-1, -2, 'out'];
+
+// A lone exit is HIGH_RISK when the check gating it is Hard (DC 18+, GAME-SYSTEM.md 1.2)
+// or this character passes it less than half the time
+const HIGH_RISK_DC = 18;
+const HIGH_RISK_RATE = 0.5;
+
+// Skill → governing attribute (GAME-SYSTEM.md 3)
+const SKILL_ATTRIBUTES = {
+    firearms: 'reflex',
+    heavy_weapons: 'reflex',
+    melee: 'body',
+    evasion: 'reflex',
+    netrunning: 'neural',
+    hardware: 'tech',
+    rigging: 'tech',
+    medicine: 'tech',
+    persuasion: 'presence',
+    intimidation: 'presence',
+    deception: 'presence',
+    streetwise: 'edge',
+    perception: 'edge',
+    investigation: 'neural',
+    stealth: 'reflex',
+    survival: 'body',
+};
+
+// Challenge skill names used in scene files that are not skills; the
+// character uses the best of the listed skills
+const SKILL_ALIASES = {
+    investigate: ['investigation'],
+    combat: ['firearms', 'melee'],
+    empathy: ['perception', 'deception'],
+    insight: ['perception', 'deception'],
+    hacking: ['netrunning'],
+};
+
+const Outcome = {
+    COMPLETED: 'completed',
+    TAKEN_OUT: 'taken_out',
+    STUCK: 'stuck',
+    TURN_LIMIT: 'turn_limit',
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DICE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Seeded PRNG (mulberry32) so runs can be reproduced
+ * @param {number} seed
+ * @returns {function(): number} Uniform in [0, 1)
+ */
+function createRng(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * Resolve a check. A natural 20 always succeeds; a natural 1 always fails
+ * (the complication is the challenge's failure effect).
+ * @param {number} roll - Natural d20
+ * @param {number} bonus - Attribute + skill + wound penalty
+ * @param {number} dc
+ * @returns {boolean}
+ */
+function checkSucceeds(roll, bonus, dc) {
+    if (roll === 20) return true;
+    if (roll === 1) return false;
+    return roll + bonus >= dc;
+}
+
+/**
+ * Exact chance of passing a check
+ * @param {number} bonus
+ * @param {number} dc
+ * @returns {number}
+ */
+function successChance(bonus, dc) {
+    let passes = 0;
+    for (let roll = 1; roll <= 20; roll++) {
+        if (checkSucceeds(roll, bonus, dc)) passes++;
+    }
+    return passes / 20;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHARACTER
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check bonus for a challenge skill. Skills add their attribute; a bare
+ * attribute ("Tech") adds the character's best skill under it.
+ * @param {Object} character - Player character JSON
+ * @param {string} skillName - As written in the scene file
+ * @returns {{ bonus: number, known: boolean }}
+ */
+function skillBonus(character, skillName) {
+    const attributes = character.attributes || {};
+    const skills = character.skills || {};
+    const key = String(skillName || '').trim().toLowerCase().replace(/\s+/g, '_');
+    const withAttribute = (skill) => (attributes[SKILL_ATTRIBUTES[skill]] || 0) + (skills[skill] || 0);
+
+    if (SKILL_ATTRIBUTES[key]) {
+        return { bonus: withAttribute(key), known: true };
+    }
+    if (SKILL_ALIASES[key]) {
+        return { bonus: Math.max(...SKILL_ALIASES[key].map(withAttribute)), known: true };
+    }
+    if (Object.values(SKILL_ATTRIBUTES).includes(key)) {
+        const governed = Object.keys(SKILL_ATTRIBUTES).filter(skill => SKILL_ATTRIBUTES[skill] === key);
+        return { bonus: (attributes[key] || 0) + Math.max(...governed.map(skill => skills[skill] || 0)), known: true };
+    }
+    return { bonus: 0, known: false };
+}
+
+/**
+ * Starting stress and wound track for a character
+ * @param {Object} character
+ * @returns {{ stressMax: number, penalties: Array<number|string>, filled: number }}
+ */
+function woundTrack(character) {
+    const derived = character.derived || {};
+    const slots = Array.isArray(derived.wounds) && derived.wounds.length > 0 ? derived.wounds : null;
+    return {
+        stressMax: Number.isInteger(derived.stressMax) ? derived.stressMax : DEFAULT_STRESS_MAX,
+        penalties: slots ? slots.map(slot => slot.penalty) : DEFAULT_WOUND_PENALTIES,
+        filled: slots ? slots.filter(slot => slot.name).length : 0,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ADVENTURE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} SimChallenge
+ * @property {string} key - "<sceneId>/<challengeId>"
+ * @property {string} id
+ * @property {string} sceneId
+ * @property {string} skill
+ * @property {number} dc
+ * @property {number} bonus - Before wound penalties
+ * @property {boolean} knownSkill
+ * @property {Object} requires - Parsed requires_flag
+ * @property {string|null} requiresItem
+ * @property {Object} success - success_effect
+ * @property {Object} failure - failure_effect
+ */
+
+/**
+ * Prepare an adventure's scenes for simulation
+ * @param {Object} bundle - AdventureContent.loadAdventure() result
+ * @param {Object} character
+ * @returns {{ start: string|null, scenes: Map<string, Object> }}
+ */
+function prepareAdventure(bundle, character) {
+    const graph = AdventureGraph.buildGraph(bundle);
+    const scenes = new Map();
+
+    for (const { file, data } of bundle.scenes) {
+        const sceneId = path.basename(file, '.json');
+        const node = graph.scenes.get(sceneId);
+        const list = (field) => Array.isArray(data[field]) ? data[field].filter(e => e && typeof e === 'object') : [];
+        const parse = (text) => {
+            try {
+                return AdventureGraph.parseCondition(text);
+            } catch (err) {
+                return { op: 'const', value: false };
+            }
+        };
+
+        const challenges = list('challenges').map(challenge => {
+            const { bonus, known } = skillBonus(character, challenge.skill);
+            return {
+                key: `${sceneId}/${challenge.id}`,
+                id: challenge.id,
+                sceneId,
+                skill: challenge.skill,
+                dc: Number(challenge.difficulty) || 0,
+                bonus,
+                knownSkill: known,
+                requires: parse(challenge.requires_flag),
+                requiresItem: typeof challenge.requires_item === 'string' ? challenge.requires_item : null,
+                success: challenge.success_effect || {},
+                failure: challenge.failure_effect || {},
+            };
+        });
+
+        // Triggers with a condition react to flags; unconditioned ones that set
+        // flags are the GM's call (e.g. "Player Kills" / "Player Spares")
+        const triggers = list('triggers')
+            .filter(trigger => trigger.condition)
+            .map(trigger => ({ condition: parse(trigger.condition), effect: trigger }));
+        const choices = list('triggers')
+            .filter(trigger => !trigger.condition && (trigger.sets_flag || trigger.sets_flag_2));
+
+        scenes.set(sceneId, {
+            id: sceneId,
+            title: node.title,
+            ending: node.ending,
+            exits: node.exits.filter(exit => graph.scenes.has(exit.target)),
+            challenges,
+            triggers,
+            choices,
+        });
+    }
+
+    return { start: graph.start, scenes };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PLAYTHROUGH
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Apply a success or failure effect
+ * @param {Object} state
+ * @param {Object} effect
+ */
+function applyEffect(state, effect) {
+    for (const key of ['sets_flag', 'sets_flag_2']) {
+        if (typeof effect[key] === 'string') state.flags.add(effect[key]);
+    }
+    if (typeof effect.grants_item === 'string') state.items.add(effect.grants_item);
+
+    const harm = Number(effect.stress_damage) || 0;
+    for (let i = 0; i < harm && !state.out; i++) {
+        if (state.stress < state.track.stressMax) {
+            state.stress++;
+        } else {
+            // No Stress left: fill the next Wound slot (GAME-SYSTEM.md 4.1)
+            const penalty = state.track.penalties[state.wounds];
+            state.wounds++;
+            state.woundsTaken++;
+            if (penalty === 'out' || state.wounds >= state.track.penalties.length) state.out = true;
+        }
+    }
+}
+
+/**
+ * Current penalty from filled Wound slots (they stack)
+ * @param {Object} state
+ * @returns {number}
+ */
+function woundPenalty(state) {
+    return state.track.penalties
+        .slice(0, state.wounds)
+        .reduce((sum, penalty) => sum + (typeof penalty === 'number' ? penalty : 0), 0);
+}
+
+/**
+ * Play one scene: fire triggers whose conditions hold, attempt each
+ * available challenge once, make the GM's choice, then fire triggers again
+ * for new flags. Challenges whose success flags are all already set are
+ * skipped (an alternative approach already worked); the choice is skipped
+ * if a challenge already set one of its flags, otherwise one option is
+ * picked at random.
+ * @param {Object} scene
+ * @param {Object} state
+ * @param {function(): number} rng
+ * @param {Map<string, Object>} tally - Per-challenge counters
+ */
+function playScene(scene, state, rng, tally) {
+    const fireTriggers = () => {
+        for (const trigger of scene.triggers) {
+            if (AdventureGraph.evaluateCondition(trigger.condition, state.flags)) applyEffect(state, trigger.effect);
+        }
+    };
+
+    fireTriggers();
+    for (const challenge of scene.challenges) {
+        if (state.out) break;
+        if (!AdventureGraph.evaluateCondition(challenge.requires, state.flags)) continue;
+        if (challenge.requiresItem && !state.items.has(challenge.requiresItem)) continue;
+
+        const rewards = ['sets_flag', 'sets_flag_2'].map(k => challenge.success[k]).filter(f => typeof f === 'string');
+        if (rewards.length > 0 && rewards.every(flag => state.flags.has(flag))) continue;
+
+        const roll = Math.floor(rng() * 20) + 1;
+        const success = checkSucceeds(roll, challenge.bonus + woundPenalty(state), challenge.dc);
+
+        const counts = tally.get(challenge.key);
+        counts.attempts++;
+        if (success) counts.successes++;
+        if (roll === 20) counts.criticalSuccesses++;
+        if (roll === 1) counts.criticalFailures++;
+
+        applyEffect(state, success ? challenge.success : challenge.failure);
+    }
+
+    const choiceFlags = (trigger) => [trigger.sets_flag, trigger.sets_flag_2].filter(f => typeof f === 'string');
+    if (!state.out && scene.choices.length > 0 && !scene.choices.some(t => choiceFlags(t).some(f => state.flags.has(f)))) {
+        applyEffect(state, scene.choices[Math.floor(rng() * scene.choices.length)]);
+    }
+    fireTriggers();
+
+    // Stress resets when the scene ends (GAME-SYSTEM.md 4.1)
+    state.stress = 0;
+}
+
+/**
+ * Play the adventure once
+ * @param {Object} adventure - prepareAdventure() result
+ * @param {Object} character
+ * @param {function(): number} rng
+ * @param {Map<string, Object>} tally
+ * @returns {{ outcome: string, path: string[], woundsTaken: number }}
+ */
+function playthrough(adventure, character, rng, tally) {
+    const track = woundTrack(character);
+    const state = {
+        flags: new Set(),
+        items: new Set(),
+        stress: 0,
+        wounds: track.filled,
+        woundsTaken: 0,
+        out: false,
+        track,
+    };
+    const route = [];
+    let sceneId = adventure.start;
+
+    while (sceneId) {
+        const scene = adventure.scenes.get(sceneId);
+        route.push(sceneId);
+        playScene(scene, state, rng, tally);
+
+        if (state.out) return { outcome: Outcome.TAKEN_OUT, path: route, woundsTaken: state.woundsTaken };
+        if (scene.ending) return { outcome: Outcome.COMPLETED, path: route, woundsTaken: state.woundsTaken };
+        if (route.length >= MAX_SCENES_PER_RUN) return { outcome: Outcome.TURN_LIMIT, path: route, woundsTaken: state.woundsTaken };
+
+        const open = scene.exits.filter(exit => AdventureGraph.evaluateCondition(exit.parsed, state.flags));
+        if (open.length === 0) return { outcome: Outcome.STUCK, path: route, woundsTaken: state.woundsTaken };
+        sceneId = open[Math.floor(rng() * open.length)].target;
+    }
+
+    return { outcome: Outcome.STUCK, path: route, woundsTaken: state.woundsTaken };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ANALYSIS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Lone exits whose condition needs a flag only hard checks can set
+ * @param {Object} adventure
+ * @param {Map<string, Object>} challengeRates - key → { dc, successRate }
+ * @returns {Array<Object>}
+ */
+function findHighRisk(adventure, challengeRates) {
+    const setters = new Map();
+    for (const scene of adventure.scenes.values()) {
+        for (const challenge of scene.challenges) {
+            for (const key of ['sets_flag', 'sets_flag_2']) {
+                const flag = challenge.success[key];
+                if (typeof flag !== 'string') continue;
+                if (!setters.has(flag)) setters.set(flag, []);
+                setters.get(flag).push(challenge);
+            }
+        }
+        for (const trigger of [...scene.triggers.map(t => t.effect), ...scene.choices]) {
+            for (const key of ['sets_flag', 'sets_flag_2']) {
+                const flag = trigger[key];
+                // A trigger is a free way to set the flag, so it never gates an exit
+                if (typeof flag === 'string') setters.set(flag, null);
+            }
+        }
+    }
+
+    const risks = [];
+    for (const scene of adventure.scenes.values()) {
+        if (scene.ending || scene.exits.length !== 1) continue;
+        const exit = scene.exits[0];
+
+        for (const flag of AdventureGraph.conditionFlags(exit.parsed, true)) {
+            const checks = setters.get(flag);
+            if (!checks || checks.length === 0) continue;
+
+            const rates = checks.map(c => challengeRates.get(c.key));
+            const easiestDC = Math.min(...checks.map(c => c.dc));
+            const bestRate = Math.max(...rates.map(r => r.expectedRate));
+            if (easiestDC < HIGH_RISK_DC && bestRate >= HIGH_RISK_RATE) continue;
+
+            risks.push({
+                type: 'HIGH_RISK',
+                sceneId: scene.id,
+                target: exit.target,
+                flag,
+                checks: checks.map(c => c.key),
+                dc: easiestDC,
+                successRate: bestRate,
+                message: `The only exit from "${scene.title}" needs "${flag}", set by a DC ${easiestDC}+ check this character passes ${Math.round(bestRate * 100)}% of the time`,
+            });
+        }
+    }
+    return risks;
+}
+
+/**
+ * @typedef {Object} DifficultyReport
+ * @property {string} adventureId
+ * @property {{ id: string, name: string }} character
+ * @property {number} runs
+ * @property {number} seed
+ * @property {number} simulatedAt
+ * @property {{ completionRate: number, outcomes: Object<string, number>, averageWoundsTaken: number }} summary
+ * @property {Array<Object>} challenges - Per challenge: attempts, successRate, expectedRate, criticals
+ * @property {Array<Object>} paths - Distinct scene sequences, most common first
+ * @property {Array<Object>} highRisk
+ * @property {string[]} unknownSkills - Challenge skills that map to no attribute or skill (rolled at +0)
+ */
+
+/**
+ * Simulate a loaded adventure
+ * @param {Object} bundle - AdventureContent.loadAdventure() result
+ * @param {Object} character - Player character JSON
+ * @param {Object} [options]
+ * @param {number} [options.runs]
+ * @param {number} [options.seed]
+ * @returns {DifficultyReport}
+ */
+function simulateBundle(bundle, character, { runs = DEFAULT_RUNS, seed = DEFAULT_SEED } = {}) {
+    runs = Math.min(Math.max(1, Math.floor(runs) || DEFAULT_RUNS), MAX_RUNS);
+    seed = Number.isFinite(seed) ? Math.floor(seed) : DEFAULT_SEED;
+
+    const adventure = prepareAdventure(bundle, character);
+    const rng = createRng(seed);
+    const challenges = [...adventure.scenes.values()].flatMap(scene => scene.challenges);
+    const tally = new Map(challenges.map(c => [c.key, { attempts: 0, successes: 0, criticalSuccesses: 0, criticalFailures: 0 }]));
+
+    const outcomes = Object.fromEntries(Object.values(Outcome).map(o => [o, 0]));
+    const paths = new Map();
+    let woundsTaken = 0;
+
+    for (let i = 0; i < runs && adventure.start; i++) {
+        const result = playthrough(adventure, character, rng, tally);
+        outcomes[result.outcome]++;
+        woundsTaken += result.woundsTaken;
+
+        const key = result.path.join('>');
+        if (!paths.has(key)) paths.set(key, { scenes: result.path, runs: 0, completed: 0 });
+        const entry = paths.get(key);
+        entry.runs++;
+        if (result.outcome === Outcome.COMPLETED) entry.completed++;
+    }
+
+    const challengeRates = new Map(challenges.map(c => {
+        const counts = tally.get(c.key);
+        return [c.key, {
+            key: c.key,
+            sceneId: c.sceneId,
+            id: c.id,
+            skill: c.skill,
+            dc: c.dc,
+            bonus: c.bonus,
+            attempts: counts.attempts,
+            successRate: counts.attempts ? counts.successes / counts.attempts : null,
+            expectedRate: successChance(c.bonus, c.dc),
+            criticalSuccesses: counts.criticalSuccesses,
+            criticalFailures: counts.criticalFailures,
+        }];
+    }));
+
+    return {
+        adventureId: bundle.adventureId,
+        character: { id: character.id || null, name: character.name || character.handle || null },
+        runs,
+        seed,
+        simulatedAt: Date.now(),
+        summary: {
+            completionRate: outcomes[Outcome.COMPLETED] / runs,
+            outcomes,
+            averageWoundsTaken: woundsTaken / runs,
+        },
+        challenges: [...challengeRates.values()],
+        paths: [...paths.values()]
+            .map(p => ({ ...p, share: p.runs / runs, completionRate: p.completed / p.runs }))
+            .sort((a, b) => b.runs - a.runs),
+        highRisk: findHighRisk(adventure, challengeRates),
+        unknownSkills: [...new Set(challenges.filter(c => !c.knownSkill).map(c => c.skill))],
+    };
+}
+
+/**
+ * Load and simulate an adventure
+ * @param {string} adventureId
+ * @param {Object} character - Player character JSON
+ * @param {Object} [options] - runs, seed, assetsDir
+ * @returns {DifficultyReport|null} null if the adventure has no scenes
+ */
+function simulateAdventure(adventureId, character, options = {}) {
+    if (!AdventureContent.isValidAdventureId(adventureId)) return null;
+
+    const bundle = AdventureContent.loadAdventure(adventureId, options);
+    if (bundle.scenes.length === 0) return null;
+
+    return simulateBundle(bundle, character, options);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Simulation
+    simulateAdventure,
+    simulateBundle,
+
+    // Rules
+    skillBonus,
+    checkSucceeds,
+    successChance,
+    createRng,
+
+    // Constants
+    Outcome,
+    DEFAULT_RUNS,
+    MAX_RUNS,
+    HIGH_RISK_DC,
+};
@@ -0,0 +1,164 @@
+/**
+ * GMAuth - GM credential hashing and login throttling for Light Deck
+ *
+ * Handles:
+ * - Hashing per-session GM secrets (scrypt, random salt) for the session file
+ * - Constant-time verification of login attempts
+ * - Throttling repeated failures per client address, across sessions
+ *
+ * Secrets are never stored or logged in plain text. The audit trail itself
+ * is kept in the session (see SessionManager.addAuditEntry).
+ */
+
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SALT_BYTES = 16;
+const KEY_LENGTH = 64;
+const MIN_SECRET_LENGTH = 4;
+
+const MAX_FAILED_ATTEMPTS = 5;              // Failures allowed per window
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;   // Window failures are counted in
+const LOCKOUT_MS = 5 * 60 * 1000;           // Lockout once the limit is hit
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HASHING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} SecretHash
+ * @property {string} algorithm - Always 'scrypt'
+ * @property {string} salt - Hex salt
+ * @property {string} hash - Hex derived key
+ */
+
+/**
+ * Hash a GM secret for storage
+ * @param {string} secret
+ * @returns {SecretHash}
+ */
+function hashSecret(secret) {
+    const salt = crypto.randomBytes(SALT_BYTES).toString('hex');
+    const hash = crypto.scryptSync(String(secret), salt, KEY_LENGTH).toString('hex');
+    return { algorithm: 'scrypt', salt, hash };
+}
+
+/**
+ * Check a login attempt against a stored hash
+ * @param {string} secret - Attempted secret
+ * @param {SecretHash} stored
+ * @returns {boolean}
+ */
+function verifySecret(secret, stored) {
+    if (typeof secret !== 'string' || !stored || !stored.salt || !stored.hash) return false;
+
+    const expected = Buffer.from(stored.hash, 'hex');
+    const actual = crypto.scryptSync(secret, stored.salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Check a login attempt against a plain-text secret (the GM_PASSWORD
+ * fallback) without leaking its length through timing
+ * @param {string} secret - Attempted secret
+ * @param {string} expected
+ * @returns {boolean}
+ */
+function verifyPlainSecret(secret, expected) {
+    if (typeof secret !== 'string' || !expected) return false;
+
+    const a = crypto.createHash('sha256').update(secret).digest();
+    const b = crypto.createHash('sha256').update(expected).digest();
+    return crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Validate a new secret before hashing it
+ * @param {string} secret
+ * @returns {string|null} Error message, or null if acceptable
+ */
+function validateNewSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < MIN_SECRET_LENGTH) {
+        return `GM secret must be at least ${MIN_SECRET_LENGTH} characters`;
+    }
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// THROTTLING
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Failed attempts: client address → { failures: number[], lockedUntil: number }
+// Keyed on the address alone, so guesses can't be spread over sessions, and
+// a successful login doesn't clear it: being GM of one session must not
+// reset the count against another.
+const attempts = new Map();
+
+/**
+ * Forget addresses that are neither locked out nor have failures left in
+ * the window
+ * @param {number} now
+ */
+function pruneAttempts(now) {
+    for (const [address, entry] of attempts) {
+        const recent = entry.failures.some(t => now - t < FAILURE_WINDOW_MS);
+        if (!recent && entry.lockedUntil <= now) attempts.delete(address);
+    }
+}
+
+/**
+ * How long a client must wait before trying again
+ * @param {string} address - Client IP address
+ * @returns {number} Milliseconds remaining, 0 if not locked
+ */
+function getLockRemaining(address) {
+    const entry = attempts.get(address);
+    if (!entry) return 0;
+    return Math.max(0, entry.lockedUntil - Date.now());
+}
+
+/**
+ * Record a failed attempt
+ * @param {string} address - Client IP address
+ * @returns {{ locked: boolean, remainingAttempts: number }}
+ */
+function recordFailure(address) {
+    const now = Date.now();
+    pruneAttempts(now);
+    const entry = attempts.get(address) || { failures: [], lockedUntil: 0 };
+
+    entry.failures = entry.failures.filter(t => now - t < FAILURE_WINDOW_MS);
+    entry.failures.push(now);
+
+    const locked = entry.failures.length >= MAX_FAILED_ATTEMPTS;
+    if (locked) {
+        entry.lockedUntil = now + LOCKOUT_MS;
+        entry.failures = [];
+    }
+
+    attempts.set(address, entry);
+    return { locked, remainingAttempts: locked ? 0 : MAX_FAILED_ATTEMPTS - entry.failures.length };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Hashing
+    hashSecret,
+    verifySecret,
+    verifyPlainSecret,
+    validateNewSecret,
+
+    // Throttling
+    getLockRemaining,
+    recordFailure,
+
+    // Constants
+    MAX_FAILED_ATTEMPTS,
+    LOCKOUT_MS,
+};
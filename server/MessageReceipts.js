@@ -0,0 +1,78 @@
+/**
+ * MessageReceipts - Remembers which client messages were already handled
+ *
+ * Handles:
+ * - Recording the ack sent for each client-generated message id, per session
+ * - Handing that ack back when the same message arrives again, so a retry
+ *   from a client's outbox doesn't post a second chat line, roll or clock
+ *   advance
+ * - Bounded memory: the oldest receipts of a session are dropped first
+ *
+ * Receipts live in memory only. Outboxes retry within seconds of a
+ * reconnect, long before a restart would matter.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_RECEIPTS_PER_SESSION = 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Session ID → Map(message id → ack), oldest first
+const receipts = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECEIPTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * The ack sent the first time a message was handled
+ * @param {string} sessionId
+ * @param {string} messageId - Client-generated id
+ * @returns {Object|null}
+ */
+function get(sessionId, messageId) {
+    const session = receipts.get(sessionId);
+    return (session && session.get(messageId)) || null;
+}
+
+/**
+ * Remember the ack for a handled message
+ * @param {string} sessionId
+ * @param {string} messageId
+ * @param {Object} ack
+ */
+function record(sessionId, messageId, ack) {
+    let session = receipts.get(sessionId);
+    if (!session) {
+        session = new Map();
+        receipts.set(sessionId, session);
+    }
+
+    session.set(messageId, ack);
+    if (session.size > MAX_RECEIPTS_PER_SESSION) {
+        session.delete(session.keys().next().value);
+    }
+}
+
+/**
+ * Forget a session's receipts (session deleted)
+ * @param {string} sessionId
+ */
+function clearSession(sessionId) {
+    receipts.delete(sessionId);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    get,
+    record,
+    clearSession,
+};
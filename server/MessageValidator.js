@@ -0,0 +1,448 @@
+/**
+ * MessageValidator - Checks socket messages before their handlers run
+ *
+ * Handles:
+ * - One schema per client → server message: field types, string lengths,
+ *   number ranges, allowed values, array sizes
+ * - A size cap on every payload
+ * - Per-socket rate limits (a token bucket per message type)
+ * - Structured sync:error replies: { code, message, type, retryAfter? }
+ *
+ * Fields a schema doesn't name are dropped before the handler sees the
+ * payload, so nothing a client makes up ends up in persisted state.
+ */
+
+const { MessageType, ErrorCode } = require('./SyncProtocol');
+const CampaignClock = require('./CampaignClock');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const DEFAULT_MAX_BYTES = 4 * 1024;
+const MAX_PACKET_BYTES = 64 * 1024;         // Engine limit; larger packets close the connection
+
+const MAX_CHAT_LENGTH = 2000;
+const MAX_NAME_LENGTH = 80;
+const MAX_ID_LENGTH = 64;
+
+// Messages without their own limit: 20 at once, then 10 per second
+const DEFAULT_RATE = { burst: 20, perSecond: 10 };
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEMAS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} FieldSpec
+ * @property {string|string[]} type - 'string' | 'integer' | 'number' | 'boolean' | 'object' | 'array'
+ * @property {boolean} [optional] - Missing and null are allowed
+ * @property {number} [min] - Smallest number
+ * @property {number} [max] - Largest number
+ * @property {number} [minLength] - Shortest string
+ * @property {number} [maxLength] - Longest string
+ * @property {Array} [values] - Allowed values
+ * @property {FieldSpec} [items] - Spec for every array item
+ * @property {number} [maxItems] - Longest array
+ * @property {Object<string, FieldSpec>} [fields] - The only keys an object may have
+ */
+
+/**
+ * @typedef {Object} MessageSpec
+ * @property {Object<string, FieldSpec>} fields
+ * @property {number} [maxBytes] - Payload size cap (JSON), default DEFAULT_MAX_BYTES
+ * @property {{ burst: number, perSecond: number }} [rate] - Default DEFAULT_RATE
+ */
+
+const optionalTimestamp = { type: 'number', optional: true };
+
+// Client-generated message id; retries with the same id are answered from MessageReceipts
+const messageId = { type: 'string', maxLength: 64, optional: true };
+
+/** @type {Object<string, MessageSpec>} */
+const MESSAGES = {
+    [MessageType.ECHO_REQUEST]: {
+        fields: {
+            token: { type: 'string', maxLength: 128 },
+            sentAt: { type: 'number' },
+        },
+        rate: { burst: 3, perSecond: 0.5 },
+    },
+    [MessageType.JOIN]: {
+        fields: {
+            name: { type: 'string', maxLength: MAX_NAME_LENGTH, optional: true },
+            role: { type: 'string', maxLength: 16, optional: true },
+            view: { type: 'string', maxLength: 32, optional: true },
+            sessionId: { type: 'string', maxLength: MAX_ID_LENGTH, optional: true },
+            joinCode: { type: 'string', maxLength: 16, optional: true },
+            token: { type: 'string', maxLength: 128, optional: true },
+            protocolVersion: { type: 'integer', optional: true },
+            lastRevision: { type: 'integer', min: 0, optional: true },
+            lastEpoch: { type: 'string', maxLength: 32, optional: true },
+        },
+        rate: { burst: 5, perSecond: 0.2 },
+    },
+    [MessageType.VIEW_CHANGE]: {
+        fields: {
+            view: { type: 'string', maxLength: 32 },
+        },
+    },
+    [MessageType.CHAT]: {
+        fields: {
+            id: messageId,
+            text: { type: 'string', minLength: 1, maxLength: MAX_CHAT_LENGTH },
+            to: { type: 'string', maxLength: MAX_NAME_LENGTH, optional: true },
+            timestamp: optionalTimestamp,
+        },
+        maxBytes: 16 * 1024,
+        rate: { burst: 5, perSecond: 1 },
+    },
+    [MessageType.ROLL]: {
+        fields: {
+            id: messageId,
+            expression: { type: 'string', maxLength: 64 },
+            label: { type: 'string', maxLength: 100, optional: true },
+            dc: { type: 'integer', min: 1, max: 1000, optional: true },
+            timestamp: optionalTimestamp,
+        },
+        rate: { burst: 5, perSecond: 1 },
+    },
+    [MessageType.SCENE_CHANGE]: {
+        fields: {
+            id: messageId,
+            scene: { type: 'string', maxLength: 128 },
+            // A named effect ('fade'), or options from the player client
+            transition: {
+                type: ['string', 'object'],
+                maxLength: 32,
+                fields: {
+                    fade: { type: 'boolean', optional: true },
+                },
+                optional: true,
+            },
+            timestamp: optionalTimestamp,
+        },
+        rate: { burst: 5, perSecond: 1 },
+    },
+    [MessageType.NPC_STATE]: {
+        fields: {
+            id: messageId,
+            npcId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            status: { type: 'string', values: ['alive', 'dead', 'hidden', 'fled'], optional: true },
+            currentStress: { type: 'integer', min: 0, max: 100, optional: true },
+            wounds: { type: 'integer', min: 0, max: 100, optional: true },
+            conditions: { type: 'array', items: { type: 'string', maxLength: 64 }, maxItems: 20, optional: true },
+            customData: {
+                type: 'object',
+                fields: {
+                    disposition: { type: 'string', values: ['hostile', 'wary', 'neutral', 'friendly', 'allied'], optional: true },
+                    location: { type: 'string', maxLength: MAX_NAME_LENGTH, optional: true },
+                    notes: { type: 'string', maxLength: 500, optional: true },
+                },
+                optional: true,
+            },
+        },
+    },
+    [MessageType.FLAG_UPDATE]: {
+        fields: {
+            id: messageId,
+            key: { type: 'string', maxLength: 128 },
+            value: { type: ['boolean', 'number', 'string'], maxLength: 200, optional: true },
+        },
+    },
+    [MessageType.CLOCK]: {
+        fields: {
+            id: messageId,
+            day: { type: 'integer', min: 1, max: CampaignClock.MAX_DAY, optional: true },
+            time: { type: 'string', maxLength: 5, optional: true },
+            advance: {
+                type: 'integer',
+                min: -CampaignClock.MAX_ADVANCE_MINUTES,
+                max: CampaignClock.MAX_ADVANCE_MINUTES,
+                optional: true,
+            },
+        },
+        rate: { burst: 10, perSecond: 2 },
+    },
+    [MessageType.CLOCK_SCHEDULE]: {
+        fields: {
+            action: { type: 'string', values: ['add', 'remove', 'list'] },
+            event: { type: 'object', optional: true },
+            id: { type: 'string', maxLength: MAX_ID_LENGTH, optional: true },
+        },
+        maxBytes: 16 * 1024,
+        rate: { burst: 10, perSecond: 2 },
+    },
+    [MessageType.CHARACTER_ASSIGN]: {
+        fields: {
+            id: messageId,
+            socketId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            characterId: { type: 'string', maxLength: MAX_ID_LENGTH, optional: true },
+        },
+    },
+    [MessageType.CHARACTER_UPDATE]: {
+        fields: {
+            id: messageId,
+            characterId: { type: 'string', maxLength: MAX_ID_LENGTH },
+            changes: { type: 'object' },
+        },
+        maxBytes: 32 * 1024,
+        rate: { burst: 10, perSecond: 4 },
+    },
+    [MessageType.STATE_REQUEST]: {
+        fields: {
+            lastRevision: { type: 'integer', min: 0, optional: true },
+            lastEpoch: { type: 'string', maxLength: 32, optional: true },
+        },
+        rate: { burst: 5, perSecond: 1 },
+    },
+    [MessageType.PING]: {
+        fields: {
+            sentAt: { type: 'number' },
+        },
+        rate: { burst: 5, perSecond: 1 },
+    },
+    [MessageType.GM_AUTHENTICATE]: {
+        fields: {
+            password: { type: 'string', maxLength: 256 },
+        },
+        rate: { burst: 5, perSecond: 0.2 },
+    },
+    [MessageType.GM_LOGOUT]: {
+        fields: {},
+        rate: { burst: 5, perSecond: 1 },
+    },
+    [MessageType.GM_SET_SECRET]: {
+        fields: {
+            id: messageId,
+            secret: { type: 'string', maxLength: 256 },
+        },
+        rate: { burst: 3, perSecond: 0.1 },
+    },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} MessageError
+ * @property {string} code - See ErrorCode
+ * @property {string} message - Human-readable reason
+ * @property {number} [retryAfter] - Milliseconds until RATE_LIMITED messages go through again
+ */
+
+/**
+ * JSON type of a value ('integer' for whole numbers)
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+    if (value && typeof value === 'object') {
+        const proto = Object.getPrototypeOf(value);
+        return proto === Object.prototype || proto === null ? 'object' : 'binary';
+    }
+    return typeof value;
+}
+
+/**
+ * Check one value against its spec
+ * @param {*} value
+ * @param {FieldSpec} spec
+ * @returns {string|null} What is wrong, or null
+ */
+function checkValue(value, spec) {
+    const types = [].concat(spec.type);
+    const actual = typeOf(value);
+    if (!types.includes(actual) && !(actual === 'integer' && types.includes('number'))) {
+        return `must be ${types.join(' or ')}`;
+    }
+
+    if (spec.values && !spec.values.includes(value)) {
+        return `must be one of ${spec.values.join(', ')}`;
+    }
+
+    if (actual === 'string') {
+        if (spec.minLength !== undefined && value.length < spec.minLength) return 'is empty';
+        if (spec.maxLength !== undefined && value.length > spec.maxLength) return `is longer than ${spec.maxLength} characters`;
+    } else if (actual === 'integer' || actual === 'number') {
+        if (spec.min !== undefined && value < spec.min) return `must be at least ${spec.min}`;
+        if (spec.max !== undefined && value > spec.max) return `must be at most ${spec.max}`;
+    } else if (actual === 'array') {
+        if (spec.maxItems !== undefined && value.length > spec.maxItems) return `has more than ${spec.maxItems} items`;
+        if (spec.items) {
+            for (let i = 0; i < value.length; i++) {
+                const problem = checkValue(value[i], spec.items);
+                if (problem) return `[${i}] ${problem}`;
+            }
+        }
+    } else if (actual === 'object' && spec.fields) {
+        // Nested objects are persisted as sent, so unknown keys are refused rather than dropped
+        const unknown = Object.keys(value).find(key => !Object.prototype.hasOwnProperty.call(spec.fields, key));
+        if (unknown !== undefined) return `has unknown key ${unknown.slice(0, 64)}`;
+        for (const [key, fieldSpec] of Object.entries(spec.fields)) {
+            if (value[key] === undefined || value[key] === null) {
+                if (!fieldSpec.optional) return `.${key} is required`;
+                continue;
+            }
+            const problem = checkValue(value[key], fieldSpec);
+            if (problem) return `.${key} ${problem}`;
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Check a payload against its message's schema
+ * @param {string} type - Event name
+ * @param {*} data - Payload as received
+ * @returns {{ data: Object }|{ error: MessageError }} Payload with only the schema's fields
+ */
+function validatePayload(type, data) {
+    const spec = MESSAGES[type];
+    if (!spec) {
+        return { error: { code: ErrorCode.UNKNOWN_MESSAGE, message: `Unknown message type: ${String(type).slice(0, 64)}` } };
+    }
+
+    // Messages without required fields may be sent without a payload
+    const payload = data === undefined || data === null ? {} : data;
+    if (typeOf(payload) !== 'object') {
+        return { error: { code: ErrorCode.INVALID_PAYLOAD, message: 'Payload must be an object' } };
+    }
+
+    const maxBytes = spec.maxBytes || DEFAULT_MAX_BYTES;
+    const size = Buffer.byteLength(JSON.stringify(payload));
+    if (size > maxBytes) {
+        return { error: { code: ErrorCode.PAYLOAD_TOO_LARGE, message: `Payload is ${size} bytes (limit ${maxBytes})` } };
+    }
+
+    const cleaned = {};
+    for (const [field, fieldSpec] of Object.entries(spec.fields)) {
+        const value = payload[field];
+        if (value === undefined || value === null) {
+            if (!fieldSpec.optional) {
+                return { error: { code: ErrorCode.INVALID_PAYLOAD, message: `${field} is required` } };
+            }
+            if (value === null) cleaned[field] = null;
+            continue;
+        }
+
+        const problem = checkValue(value, fieldSpec);
+        if (problem) {
+            return { error: { code: ErrorCode.INVALID_PAYLOAD, message: `${field} ${problem}` } };
+        }
+        cleaned[field] = value;
+    }
+
+    return { data: cleaned };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RATE LIMITING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Token buckets for one socket, one per message type. Unknown types share
+ * a bucket so made-up event names can't grow the map.
+ * @returns {{ take: function(string, number=): { retryAfter: number, repeated: boolean }|null }}
+ */
+function createRateLimiter() {
+    const buckets = new Map();
+
+    return {
+        /**
+         * Spend one token
+         * @param {string} type
+         * @param {number} [now]
+         * @returns {{ retryAfter: number, repeated: boolean }|null} null if allowed
+         */
+        take(type, now = Date.now()) {
+            const key = MESSAGES[type] ? type : '*';
+            const { burst, perSecond } = (MESSAGES[type] && MESSAGES[type].rate) || DEFAULT_RATE;
+
+            let bucket = buckets.get(key);
+            if (!bucket) {
+                bucket = { tokens: burst, updatedAt: now, limited: false };
+                buckets.set(key, bucket);
+            }
+
+            bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / 1000 * perSecond);
+            bucket.updatedAt = now;
+
+            if (bucket.tokens >= 1) {
+                bucket.tokens -= 1;
+                bucket.limited = false;
+                return null;
+            }
+
+            const repeated = bucket.limited;
+            bucket.limited = true;
+            return { retryAfter: Math.ceil((1 - bucket.tokens) / perSecond * 1000), repeated };
+        },
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SOCKET MIDDLEWARE
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Middleware for socket.use(): rate limit, size cap and schema check for
+ * every incoming message. Valid payloads are replaced by their cleaned copy;
+ * rejected messages never reach a handler. The sender gets a sync:error (once
+ * per burst of rate-limited messages) and, if it asked for an ack,
+ * { success: false, code, message, retryAfter? }.
+ * @param {import('socket.io').Socket} socket
+ * @returns {function(Array, Function): void}
+ */
+function createGuard(socket) {
+    const limiter = createRateLimiter();
+
+    return (packet, next) => {
+        const [type, data] = packet;
+        const ack = packet.length > 1 && typeof packet[packet.length - 1] === 'function'
+            ? packet[packet.length - 1]
+            : null;
+
+        const limited = limiter.take(type);
+        const result = limited
+            ? { error: { code: ErrorCode.RATE_LIMITED, message: 'Too many messages, slow down', retryAfter: limited.retryAfter } }
+            : validatePayload(type, data === ack ? undefined : data);
+
+        if (!result.error) {
+            if (data === ack) packet.splice(1, 0, result.data);
+            else packet[1] = result.data;
+            next();
+            return;
+        }
+
+        const { error } = result;
+        if (!(limited && limited.repeated)) {
+            console.warn('[MessageValidator] Rejected', String(type).slice(0, 64), 'from', socket.id, `(${error.code}: ${error.message})`);
+            socket.emit(MessageType.ERROR, { ...error, type: MESSAGES[type] ? type : null });
+        }
+        if (ack) ack({ success: false, code: error.code, message: error.message, retryAfter: error.retryAfter });
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Validation
+    validatePayload,
+
+    // Rate limiting
+    createRateLimiter,
+
+    // Socket middleware
+    createGuard,
+
+    // Constants
+    MESSAGES,
+    MAX_PACKET_BYTES,
+};
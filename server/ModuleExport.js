@@ -0,0 +1,771 @@
+/**
+ * ModuleExport - Printable adventure module for running a game from paper
+ *
+ * Handles:
+ * - Laying out an adventure export (the sections /api/export returns) as a
+ *   document: world setting, timeline, scenes in act/chapter order with
+ *   read-aloud narrative and a challenges table, NPC stat blocks, terminal
+ *   file trees and document texts
+ * - A table of contents, and anchors so scenes, NPCs, terminals, documents
+ *   and programs link to each other
+ * - Rendering the document as Markdown or as one self-contained HTML file
+ *
+ * Content text is escaped, never interpreted: only the layout adds markup.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const FORMATS = ['markdown', 'html'];
+
+// Deepest heading free-form content gets; anything nested further is listed
+const MAX_HEADING_LEVEL = 5;
+
+// Bookkeeping fields that say nothing to someone running the game
+const META_FIELDS = ['id', 'type', 'adventure', 'version', 'lastUpdated', 'style'];
+
+const HTML_STYLE = `
+body { font-family: Georgia, 'Times New Roman', serif; max-width: 50em; margin: 2em auto; padding: 0 1em; line-height: 1.45; color: #111; }
+h1, h2, h3, h4, h5 { font-family: 'Helvetica Neue', Arial, sans-serif; line-height: 1.2; }
+h2 { border-bottom: 2px solid #111; padding-bottom: 0.2em; margin-top: 2em; }
+h3 { margin-top: 1.6em; }
+a { color: #0645ad; }
+blockquote { margin: 1em 0; padding: 0.5em 1em; border-left: 4px solid #888; background: #f3f3f3; font-style: italic; }
+table { border-collapse: collapse; width: 100%; margin: 1em 0; font-size: 0.9em; }
+th, td { border: 1px solid #999; padding: 0.3em 0.5em; text-align: left; vertical-align: top; }
+th { background: #e6e6e6; }
+pre { background: #f6f6f6; border: 1px solid #ccc; padding: 0.6em; overflow-x: auto; font-size: 0.85em; }
+code { font-size: 0.9em; }
+nav ul { column-count: 2; }
+@media print {
+  body { max-width: none; margin: 0; }
+  a { color: inherit; text-decoration: none; }
+  h2 { page-break-before: always; }
+  h2:first-of-type { page-break-before: avoid; }
+  h3, h4 { page-break-after: avoid; }
+  table, pre, blockquote { page-break-inside: avoid; }
+  nav ul { column-count: 1; }
+}
+`.trim();
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DOCUMENT MODEL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Inline text: a string, a span, or a list of them. Strings are plain text.
+ * @typedef {string|{ code: string }|{ strong: Inline }|{ link: Inline, href: string }|Inline[]} Inline
+ */
+
+/**
+ * @typedef {Object} Block
+ * @property {string} type - 'heading' | 'paragraph' | 'quote' | 'list' | 'table' | 'pre' | 'toc'
+ * @property {number} [level] - heading
+ * @property {string} [id] - heading anchor; anchored headings of level 2-3 are listed in the contents
+ * @property {Inline} [text] - heading, paragraph
+ * @property {string} [body] - quote (blank lines separate paragraphs), pre
+ * @property {Inline[]} [items] - list
+ * @property {string[]} [columns] - table
+ * @property {Inline[][]} [rows] - table
+ */
+
+const code = (text) => ({ code: String(text) });
+const strong = (text) => ({ strong: text });
+const link = (text, id) => ({ link: text, href: `#${id}` });
+
+/**
+ * Anchor for a piece of content
+ * @param {string} kind - 'scene' | 'npc' | 'terminal' | 'document' | 'program' | section name
+ * @param {string} [id]
+ * @returns {string}
+ */
+function anchor(kind, id) {
+    return id === undefined ? kind : `${kind}-${String(id).replace(/[^A-Za-z0-9_-]+/g, '-')}`;
+}
+
+/**
+ * "gmNotes_TheSump" → "GM Notes The Sump"
+ * @param {string} key
+ * @returns {string}
+ */
+function humanize(key) {
+    return String(key)
+        .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+        .split(/[_\s]+/)
+        .filter(Boolean)
+        .map(word => word.toLowerCase() === 'gm' ? 'GM' : word.charAt(0).toUpperCase() + word.slice(1))
+        .join(' ');
+}
+
+const isPlain = (value) => value === null || ['string', 'number', 'boolean'].includes(typeof value);
+
+/**
+ * One line of text for a value nested too deep to lay out
+ * @param {*} value
+ * @returns {string}
+ */
+function flatText(value) {
+    if (value === null || value === undefined) return '—';
+    if (isPlain(value)) return String(value);
+    if (Array.isArray(value)) return value.map(flatText).join('; ');
+    return Object.entries(value).map(([k, v]) => `${humanize(k)}: ${flatText(v)}`).join('; ');
+}
+
+/**
+ * Lay out free-form content (world setting, guide sections, NPC extras)
+ * @param {Block[]} blocks - Appended to
+ * @param {*} value
+ * @param {number} level - Heading level for the value's own keys
+ * @param {Object} [options]
+ * @param {string} [options.idPrefix] - Anchor the top-level headings so they reach the contents
+ */
+function describe(blocks, value, level, { idPrefix } = {}) {
+    if (value === null || value === undefined || value === '') return;
+    if (isPlain(value)) {
+        paragraphs(blocks, String(value));
+        return;
+    }
+    if (Array.isArray(value)) {
+        if (value.every(isPlain) || level > MAX_HEADING_LEVEL) {
+            blocks.push({ type: 'list', items: value.map(flatText) });
+            return;
+        }
+        for (const item of value) {
+            const title = item && typeof item === 'object' && (item.name || item.title || item.label);
+            if (title) {
+                blocks.push({ type: 'heading', level, text: String(title) });
+                const { name, title: _title, label, ...rest } = item;
+                describe(blocks, rest, level + 1);
+            } else {
+                describe(blocks, item, level);
+            }
+        }
+        return;
+    }
+
+    const fields = [];
+    const nested = [];
+    for (const [key, child] of Object.entries(value)) {
+        if (child === null || child === undefined || child === '') continue;
+        // Text of several paragraphs gets its own heading rather than a list line
+        const multiline = typeof child === 'string' && child.includes('\n');
+        if ((isPlain(child) && !multiline) || level > MAX_HEADING_LEVEL) {
+            fields.push([strong(`${humanize(key)}:`), ` ${flatText(child)}`]);
+        } else {
+            nested.push([key, child]);
+        }
+    }
+    if (fields.length > 0) blocks.push({ type: 'list', items: fields });
+    for (const [key, child] of nested) {
+        blocks.push({ type: 'heading', level, id: idPrefix && anchor(idPrefix, key), text: humanize(key) });
+        describe(blocks, child, level + 1);
+    }
+}
+
+/**
+ * Add text as paragraphs (blank lines separate them)
+ * @param {Block[]} blocks
+ * @param {string} text
+ */
+function paragraphs(blocks, text) {
+    for (const para of String(text).split(/\n\s*\n/)) {
+        if (para.trim()) blocks.push({ type: 'paragraph', text: para.trim() });
+    }
+}
+
+/**
+ * Index the export by section type
+ * @param {Object} exportData - From /api/export/:adventureId
+ * @returns {Object<string, Object>}
+ */
+function sectionsByType(exportData) {
+    const sections = {};
+    for (const section of exportData.sections || []) sections[section.type] = section;
+    return sections;
+}
+
+/**
+ * Printed content by anchor, so references only become links when the
+ * target is in the module, and can show its name
+ * @param {Object<string, Object>} sections
+ * @returns {Map<string, string>} Anchor → display name
+ */
+function collectAnchors(sections) {
+    const anchors = new Map();
+    const add = (kind, list) => {
+        for (const item of list || []) {
+            if (item && item.id) anchors.set(anchor(kind, item.id), item.name || item.title || item.id);
+        }
+    };
+    add('scene', sections.scenes && sections.scenes.content);
+    add('npc', sections.npcs && sections.npcs.content);
+    add('terminal', sections.terminals && sections.terminals.content);
+    add('document', sections.documents && sections.documents.content);
+    add('program', sections.programs && sections.programs.content);
+    return anchors;
+}
+
+// ─────────────────────────────────────────────────────────────────────────
+// Sections
+// ─────────────────────────────────────────────────────────────────────────
+
+function layoutWorldSetting(blocks, setting) {
+    blocks.push({ type: 'heading', level: 2, id: anchor('world-setting'), text: `World Setting: ${setting.name || 'Untitled'}` });
+    if (setting.version) blocks.push({ type: 'paragraph', text: `Version ${setting.version}` });
+    const { name, ...rest } = setting;
+    for (const field of META_FIELDS) delete rest[field];
+    describe(blocks, rest, 3, { idPrefix: 'world' });
+}
+
+function layoutTimeline(blocks, timeline) {
+    blocks.push({ type: 'heading', level: 2, id: anchor('timeline'), text: 'Timeline' });
+    if (timeline.overview) paragraphs(blocks, timeline.overview);
+
+    const entries = Array.isArray(timeline.timeline) ? [...timeline.timeline] : [];
+    entries.sort((a, b) => (a.year || 0) - (b.year || 0));
+    if (entries.length > 0) {
+        blocks.push({
+            type: 'table',
+            columns: ['When', 'What', 'Events'],
+            rows: entries.map(e => [
+                e.year === undefined ? '' : e.year < 0 ? `${-e.year} years ago` : e.year === 0 ? 'Now' : `+${e.year} years`,
+                e.label || '',
+                flatText(e.events || []),
+            ]),
+        });
+    }
+
+    const { overview, timeline: _entries, ...rest } = timeline;
+    for (const field of META_FIELDS) delete rest[field];
+    describe(blocks, rest, 3);
+}
+
+function layoutOverview(blocks, guide) {
+    if (!guide.overview) return;
+    blocks.push({ type: 'heading', level: 2, id: anchor('overview'), text: 'Adventure Overview' });
+    describe(blocks, guide.overview, 3);
+}
+
+/**
+ * "Act 1 · Chapter 1 · Scene 2"
+ * @param {Object} scene
+ * @returns {string}
+ */
+function scenePosition(scene) {
+    return ['act', 'chapter', 'scene']
+        .filter(part => scene[part] !== undefined && scene[part] !== null)
+        .map(part => `${humanize(part)} ${scene[part]}`)
+        .join(' · ');
+}
+
+/**
+ * Challenge outcome cell: its text plus the flag it sets
+ * @param {Object|string|undefined} effect
+ * @returns {Inline}
+ */
+function outcome(effect) {
+    if (!effect) return '';
+    if (typeof effect === 'string') return effect;
+    const parts = [effect.text || ''];
+    if (effect.stress_damage) parts.push(` (${effect.stress_damage} Stress)`);
+    if (effect.sets_flag) parts.push(' Sets ', code(effect.sets_flag), '.');
+    return parts;
+}
+
+function layoutScene(blocks, scene, anchors) {
+    const title = `${scene.title || scene.id}`;
+    blocks.push({ type: 'heading', level: 3, id: anchor('scene', scene.id), text: title });
+
+    const position = scenePosition(scene);
+    const facts = [];
+    if (position) facts.push([strong('Position:'), ` ${position}`]);
+    for (const field of ['location', 'type', 'tone', 'lighting', 'audio', 'smell']) {
+        if (scene[field]) facts.push([strong(`${humanize(field)}:`), ` ${scene[field]}`]);
+    }
+    if (facts.length > 0) blocks.push({ type: 'list', items: facts });
+
+    if (scene.narrative) {
+        blocks.push({ type: 'heading', level: 4, text: 'Read Aloud' });
+        blocks.push({ type: 'quote', body: scene.narrative });
+    }
+
+    if (scene.gmNotes) {
+        blocks.push({ type: 'heading', level: 4, text: 'GM Notes' });
+        paragraphs(blocks, scene.gmNotes);
+    }
+
+    const npcs = scene.npcs || [];
+    if (npcs.length > 0) {
+        blocks.push({ type: 'heading', level: 4, text: 'People' });
+        blocks.push({
+            type: 'list',
+            items: npcs.map(npc => {
+                const target = anchor('npc', npc.statblock || npc.id);
+                const name = anchors.has(target) ? link(npc.name || npc.id, target) : strong(npc.name || npc.id);
+                return [name, npc.role ? ` (${npc.role})` : '', npc.notes ? `: ${npc.notes}` : ''];
+            }),
+        });
+    }
+
+    const challenges = scene.challenges || [];
+    if (challenges.length > 0) {
+        blocks.push({ type: 'heading', level: 4, text: 'Challenges' });
+        blocks.push({
+            type: 'table',
+            columns: ['Challenge', 'Skill', 'DC', 'Success', 'Failure'],
+            rows: challenges.map(c => [
+                [c.name ? strong(c.name) : code(c.id || '?'), c.description ? `: ${c.description}` : ''],
+                c.skill || '',
+                String(c.difficulty ?? c.dc ?? ''),
+                outcome(c.success_effect || c.success),
+                outcome(c.failure_effect || c.fail),
+            ]),
+        });
+    }
+
+    const triggers = scene.triggers || [];
+    if (triggers.length > 0) {
+        blocks.push({ type: 'heading', level: 4, text: 'Triggers' });
+        blocks.push({
+            type: 'list',
+            items: triggers.map(t => [
+                strong(t.label || t.id),
+                t.condition ? [' (when ', code(t.condition), ')'] : '',
+                t.text ? `: ${t.text}` : '',
+                t.sets_flag || t.setsFlag ? [' Sets ', code(t.sets_flag || t.setsFlag), '.'] : '',
+            ]),
+        });
+    }
+
+    const exits = scene.exits || [];
+    if (exits.length > 0) {
+        blocks.push({ type: 'heading', level: 4, text: 'Exits' });
+        blocks.push({
+            type: 'list',
+            items: exits.map(exit => {
+                const targetId = exit.target_scene_id || exit.targetSceneId;
+                const target = anchor('scene', targetId);
+                const label = exit.label || targetId;
+                const condition = exit.condition && exit.condition !== 'default' ? [' (if ', code(exit.condition), ')'] : '';
+                return [anchors.has(target) ? link(label, target) : label, condition];
+            }),
+        });
+    }
+}
+
+function layoutScenes(blocks, scenes, anchors) {
+    blocks.push({ type: 'heading', level: 2, id: anchor('scenes'), text: 'Scenes' });
+    const ordered = [...scenes].sort((a, b) =>
+        (a.act || 0) - (b.act || 0) || (a.chapter || 0) - (b.chapter || 0) || (a.scene || 0) - (b.scene || 0));
+    for (const scene of ordered) layoutScene(blocks, scene, anchors);
+}
+
+function layoutNPC(blocks, npc) {
+    blocks.push({ type: 'heading', level: 3, id: anchor('npc', npc.id), text: npc.name || npc.id });
+    const role = [npc.type, npc.archetype].filter(Boolean).map(humanize).join(', ');
+    if (role) blocks.push({ type: 'paragraph', text: role });
+
+    const pub = npc.public || {};
+    const priv = npc.private || {};
+    if (pub.description) paragraphs(blocks, pub.description);
+
+    const stats = priv.stats || npc.stats;
+    if (stats && typeof stats === 'object') {
+        const entries = Object.entries(stats);
+        blocks.push({ type: 'table', columns: entries.map(([k]) => humanize(k)), rows: [entries.map(([, v]) => flatText(v))] });
+    }
+    const attributes = priv.attributes || npc.attributes;
+    if (attributes && typeof attributes === 'object') {
+        const entries = Object.entries(attributes);
+        blocks.push({ type: 'table', columns: entries.map(([k]) => humanize(k)), rows: [entries.map(([, v]) => flatText(v))] });
+    }
+
+    const weapons = priv.weapons || [];
+    if (weapons.length > 0) {
+        blocks.push({
+            type: 'table',
+            columns: ['Weapon', 'Damage', 'Type', 'Notes'],
+            rows: weapons.map(w => [w.name || '', w.damage || '', w.type || '', w.notes || '']),
+        });
+    }
+
+    const { description, ...publicRest } = pub;
+    const { stats: _stats, attributes: _attributes, weapons: _weapons, ...privateRest } = priv;
+    describe(blocks, publicRest, 4);
+    describe(blocks, privateRest, 4);
+}
+
+/**
+ * Draw a terminal's directories as a tree
+ * @param {Object} filesystem - { root, directories: [{ path, files, subdirs, locked, access_level }] }
+ * @returns {string}
+ */
+function fileTree(filesystem) {
+    const dirs = new Map((filesystem.directories || []).map(d => [d.path, d]));
+    const lines = [filesystem.root || '/'];
+
+    const walk = (dirPath, prefix) => {
+        const dir = dirs.get(dirPath);
+        if (!dir) return;
+        const children = [
+            ...(dir.subdirs || []).map(name => ({ name, path: `${dirPath === '/' ? '' : dirPath}/${name}` })),
+            ...(dir.files || []).map(name => ({ name })),
+        ];
+        children.forEach((child, i) => {
+            const last = i === children.length - 1;
+            if (child.path) {
+                const sub = dirs.get(child.path) || {};
+                const lock = sub.locked ? ` [locked${sub.access_level ? `: ${sub.access_level}` : ''}]` : '';
+                lines.push(`${prefix}${last ? '└── ' : '├── '}${child.name}/${lock}`);
+                walk(child.path, `${prefix}${last ? '    ' : '│   '}`);
+            } else {
+                lines.push(`${prefix}${last ? '└── ' : '├── '}${child.name}`);
+            }
+        });
+    };
+    walk('/', '');
+    return lines.join('\n');
+}
+
+/**
+ * Link a list of document or program IDs where they are printed
+ * @param {string[]} ids
+ * @param {string} kind
+ * @param {Map<string, string>} anchors
+ * @returns {Inline[]}
+ */
+function references(ids, kind, anchors) {
+    return ids.map(id => {
+        const target = anchor(kind, id);
+        return anchors.has(target) ? link(anchors.get(target), target) : [code(id), ' (not in this module)'];
+    });
+}
+
+function layoutTerminal(blocks, terminal, anchors) {
+    blocks.push({ type: 'heading', level: 3, id: anchor('terminal', terminal.id), text: terminal.name || terminal.id });
+
+    const facts = [];
+    for (const field of ['location', 'type', 'access_level']) {
+        if (terminal[field]) facts.push([strong(`${humanize(field)}:`), ` ${terminal[field]}`]);
+    }
+    if (terminal.requires_hack) {
+        facts.push([strong('Hack:'), ` required${terminal.hack_difficulty ? `, DC ${terminal.hack_difficulty}` : ''}`]);
+    }
+    if (facts.length > 0) blocks.push({ type: 'list', items: facts });
+    if (terminal.description) paragraphs(blocks, terminal.description);
+
+    if (terminal.filesystem) {
+        blocks.push({ type: 'heading', level: 4, text: 'Files' });
+        blocks.push({ type: 'pre', body: fileTree(terminal.filesystem) });
+    }
+    if (terminal.menu && Array.isArray(terminal.menu.options)) {
+        blocks.push({ type: 'heading', level: 4, text: 'Menu' });
+        blocks.push({
+            type: 'list',
+            items: terminal.menu.options.map(o => {
+                const kind = o.action === 'run' ? 'program' : 'document';
+                const target = o.target ? [' → ', references([o.target], kind, anchors)[0]] : '';
+                return [code(o.key), ` ${o.label || ''}`, target];
+            }),
+        });
+    }
+    if (Array.isArray(terminal.documents) && terminal.documents.length > 0) {
+        blocks.push({ type: 'heading', level: 4, text: 'Documents' });
+        blocks.push({ type: 'list', items: references(terminal.documents, 'document', anchors) });
+    }
+    if (Array.isArray(terminal.programs) && terminal.programs.length > 0) {
+        blocks.push({ type: 'heading', level: 4, text: 'Programs' });
+        blocks.push({ type: 'list', items: references(terminal.programs, 'program', anchors) });
+    }
+    if (terminal.gmNotes) {
+        blocks.push({ type: 'heading', level: 4, text: 'GM Notes' });
+        paragraphs(blocks, terminal.gmNotes);
+    }
+}
+
+/**
+ * A document's text as it reads on screen
+ * @param {Object} doc
+ * @returns {string}
+ */
+function documentText(doc) {
+    const content = doc.content;
+    if (typeof content === 'string') return content;
+    if (!content || typeof content !== 'object') return '';
+
+    const parts = [];
+    if (content.header) parts.push(content.header);
+    for (const section of content.sections || []) {
+        parts.push(section.title ? `${section.title}:\n${section.text || ''}` : section.text || '');
+    }
+    for (const message of content.messages || []) {
+        parts.push(`[${message.timestamp || ''}] ${message.user || '???'}: ${message.text || ''}`);
+    }
+    if (content.footer) parts.push(content.footer);
+    return parts.join('\n\n');
+}
+
+function layoutDocument(blocks, doc) {
+    blocks.push({ type: 'heading', level: 3, id: anchor('document', doc.id), text: doc.name || doc.id });
+    const meta = doc.metadata || {};
+    const facts = ['filename', 'author', 'created', 'classification']
+        .filter(field => meta[field])
+        .map(field => [strong(`${humanize(field)}:`), ` ${meta[field]}`]);
+    if (facts.length > 0) blocks.push({ type: 'list', items: facts });
+    const text = documentText(doc);
+    if (text) blocks.push({ type: 'pre', body: text });
+    if (doc.gmNotes) paragraphs(blocks, doc.gmNotes);
+}
+
+function layoutProgram(blocks, program) {
+    blocks.push({ type: 'heading', level: 3, id: anchor('program', program.id), text: program.name || program.id });
+    if (program.description) paragraphs(blocks, program.description);
+    const facts = ['category', 'found_in']
+        .filter(field => program[field])
+        .map(field => [strong(`${humanize(field)}:`), ` ${flatText(program[field])}`]);
+    if (facts.length > 0) blocks.push({ type: 'list', items: facts });
+    if (program.gmNotes) paragraphs(blocks, flatText(program.gmNotes));
+}
+
+/**
+ * Lay out an adventure export as a printable document
+ * @param {Object} exportData - From /api/export/:adventureId
+ * @returns {{ title: string, blocks: Block[] }}
+ */
+function buildModule(exportData) {
+    const sections = sectionsByType(exportData);
+    const anchors = collectAnchors(sections);
+    const guide = sections.guide ? sections.guide.content : {};
+    const title = guide.adventure || exportData.adventure;
+
+    const blocks = [{ type: 'heading', level: 1, text: title }];
+    const byline = [guide.version && `Version ${guide.version}`, exportData.exportedAt && `exported ${exportData.exportedAt.slice(0, 10)}`];
+    if (byline.some(Boolean)) blocks.push({ type: 'paragraph', text: byline.filter(Boolean).join(', ') });
+    blocks.push({ type: 'toc' });
+
+    if (sections.guide) layoutOverview(blocks, guide);
+    if (sections.world_setting) layoutWorldSetting(blocks, sections.world_setting.content);
+    if (sections.timeline) layoutTimeline(blocks, sections.timeline.content);
+
+    const list = (type) => (sections[type] && sections[type].content) || [];
+    if (list('scenes').length > 0) layoutScenes(blocks, list('scenes'), anchors);
+    if (list('npcs').length > 0) {
+        blocks.push({ type: 'heading', level: 2, id: anchor('npcs'), text: 'NPCs' });
+        for (const npc of list('npcs')) layoutNPC(blocks, npc);
+    }
+    if (list('terminals').length > 0) {
+        blocks.push({ type: 'heading', level: 2, id: anchor('terminals'), text: 'Terminals' });
+        for (const terminal of list('terminals')) layoutTerminal(blocks, terminal, anchors);
+    }
+    if (list('documents').length > 0) {
+        blocks.push({ type: 'heading', level: 2, id: anchor('documents'), text: 'Documents' });
+        for (const doc of list('documents')) layoutDocument(blocks, doc);
+    }
+    if (list('programs').length > 0) {
+        blocks.push({ type: 'heading', level: 2, id: anchor('programs'), text: 'Programs' });
+        for (const program of list('programs')) layoutProgram(blocks, program);
+    }
+
+    return { title, blocks };
+}
+
+/**
+ * Anchored level 2 and 3 headings, for the table of contents
+ * @param {Block[]} blocks
+ * @returns {Block[]}
+ */
+function contentsEntries(blocks) {
+    return blocks.filter(b => b.type === 'heading' && b.id && (b.level === 2 || b.level === 3));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MARKDOWN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Escape characters Markdown would treat as markup
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeMarkdown(text) {
+    return String(text).replace(/([\\`*_[\]<>#|])/g, '\\$1');
+}
+
+/**
+ * @param {Inline} inline
+ * @returns {string}
+ */
+function inlineMarkdown(inline) {
+    if (inline === null || inline === undefined) return '';
+    if (typeof inline === 'string') return escapeMarkdown(inline).replace(/\n/g, '  \n');
+    if (Array.isArray(inline)) return inline.map(inlineMarkdown).join('');
+    if ('code' in inline) return `\`${inline.code.replace(/`/g, "'")}\``;
+    if ('strong' in inline) return `**${inlineMarkdown(inline.strong)}**`;
+    return `[${inlineMarkdown(inline.link)}](${inline.href})`;
+}
+
+/**
+ * Render a module as Markdown. Anchors are HTML tags, which most Markdown
+ * renderers keep.
+ * @param {{ title: string, blocks: Block[] }} module - From buildModule
+ * @returns {string}
+ */
+function toMarkdown({ blocks }) {
+    const out = [];
+    const cell = (inline) => inlineMarkdown(inline).replace(/ {2}\n/g, '<br>');
+
+    for (const block of blocks) {
+        switch (block.type) {
+        case 'heading':
+            if (block.id) out.push(`<a id="${block.id}"></a>`);
+            out.push(`${'#'.repeat(block.level)} ${inlineMarkdown(block.text)}`, '');
+            break;
+        case 'paragraph':
+            out.push(inlineMarkdown(block.text), '');
+            break;
+        case 'quote':
+            out.push(...block.body.trim().split('\n').map(line => line.trim() ? `> ${escapeMarkdown(line)}` : '>'), '');
+            break;
+        case 'list':
+            out.push(...block.items.map(item => `- ${inlineMarkdown(item).replace(/ {2}\n/g, '  \n  ')}`), '');
+            break;
+        case 'table':
+            out.push(`| ${block.columns.map(c => cell(c)).join(' | ')} |`);
+            out.push(`| ${block.columns.map(() => '---').join(' | ')} |`);
+            out.push(...block.rows.map(row => `| ${row.map(cell).join(' | ')} |`), '');
+            break;
+        case 'pre': {
+            const fence = block.body.includes('```') ? '~~~' : '```';
+            out.push(fence, block.body, fence, '');
+            break;
+        }
+        case 'toc':
+            out.push('## Contents', '');
+            for (const entry of contentsEntries(blocks)) {
+                out.push(`${entry.level === 3 ? '  ' : ''}- ${inlineMarkdown(link(entry.text, entry.id))}`);
+            }
+            out.push('');
+            break;
+        }
+    }
+
+    return out.join('\n').trimEnd() + '\n';
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HTML
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * @param {Inline} inline
+ * @returns {string}
+ */
+function inlineHTML(inline) {
+    if (inline === null || inline === undefined) return '';
+    if (typeof inline === 'string') return escapeHTML(inline).replace(/\n/g, '<br>');
+    if (Array.isArray(inline)) return inline.map(inlineHTML).join('');
+    if ('code' in inline) return `<code>${escapeHTML(inline.code)}</code>`;
+    if ('strong' in inline) return `<strong>${inlineHTML(inline.strong)}</strong>`;
+    return `<a href="${escapeHTML(inline.href)}">${inlineHTML(inline.link)}</a>`;
+}
+
+/**
+ * Render a module as one HTML file: no scripts, no external stylesheets or
+ * fonts, with print styles (one page per top-level section)
+ * @param {{ title: string, blocks: Block[] }} module - From buildModule
+ * @returns {string}
+ */
+function toHTML({ title, blocks }) {
+    const body = [];
+
+    for (const block of blocks) {
+        switch (block.type) {
+        case 'heading': {
+            const id = block.id ? ` id="${escapeHTML(block.id)}"` : '';
+            body.push(`<h${block.level}${id}>${inlineHTML(block.text)}</h${block.level}>`);
+            break;
+        }
+        case 'paragraph':
+            body.push(`<p>${inlineHTML(block.text)}</p>`);
+            break;
+        case 'quote':
+            body.push(`<blockquote>${block.body.trim().split(/\n\s*\n/).map(p => `<p>${inlineHTML(p.trim())}</p>`).join('')}</blockquote>`);
+            break;
+        case 'list':
+            body.push(`<ul>${block.items.map(item => `<li>${inlineHTML(item)}</li>`).join('')}</ul>`);
+            break;
+        case 'table':
+            body.push([
+                '<table>',
+                `<thead><tr>${block.columns.map(c => `<th>${escapeHTML(c)}</th>`).join('')}</tr></thead>`,
+                `<tbody>${block.rows.map(row => `<tr>${row.map(c => `<td>${inlineHTML(c)}</td>`).join('')}</tr>`).join('')}</tbody>`,
+                '</table>',
+            ].join(''));
+            break;
+        case 'pre':
+            body.push(`<pre>${escapeHTML(block.body)}</pre>`);
+            break;
+        case 'toc': {
+            // Level 3 entries nest under the level 2 entry before them
+            const groups = [];
+            for (const entry of contentsEntries(blocks)) {
+                if (entry.level === 2 || groups.length === 0) groups.push({ entry, children: [] });
+                else groups[groups.length - 1].children.push(entry);
+            }
+            const item = (entry, children = []) => {
+                const sub = children.length > 0 ? `<ul>${children.map(c => item(c)).join('')}</ul>` : '';
+                return `<li>${inlineHTML(link(entry.text, entry.id))}${sub}</li>`;
+            };
+            body.push(`<nav><h2>Contents</h2><ul>${groups.map(g => item(g.entry, g.children)).join('')}</ul></nav>`);
+            break;
+        }
+        }
+    }
+
+    return [
+        '<!DOCTYPE html>',
+        '<html lang="en">',
+        '<head>',
+        '<meta charset="utf-8">',
+        '<meta name="viewport" content="width=device-width, initial-scale=1">',
+        `<title>${escapeHTML(title)}</title>`,
+        `<style>\n${HTML_STYLE}\n</style>`,
+        '</head>',
+        '<body>',
+        ...body,
+        '</body>',
+        '</html>',
+        '',
+    ].join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Layout
+    buildModule,
+    anchor,
+
+    // Rendering
+    toMarkdown,
+    toHTML,
+
+    // Constants
+    FORMATS,
+};
@@ -0,0 +1,213 @@
+/**
+ * SceneProjection - Player-safe views of scene, terminal and document files
+ *
+ * Handles:
+ * - Reducing a scene to what players may see: narrative, image and sensory
+ *   fields, and the NPCs in plain sight
+ * - Reducing a terminal to what its screen shows (no events, hack DCs or
+ *   GM notes), and a document to its cover until it has been found
+ * - Adding back what the GM has revealed through session flags
+ *
+ * The GM gets the full document. Content files themselves are never changed.
+ *
+ * Reveals are ordinary campaign flags, so they persist, journal and sync
+ * like any other flag:
+ * - A trigger shows once its `sets_flag` (or `reveal:<triggerId>`) is set
+ * - A challenge shows once `reveal:<challengeId>` is set, with the outcome
+ *   text once its success or failure flag is set
+ * - A hidden NPC shows once `reveal:<npcId>` is set
+ * - A document's content shows once `reveal:<documentId>` or one of its
+ *   `reveal_flags` (set when it is read) is set
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Scene fields players always get
+const PUBLIC_FIELDS = [
+    'id', 'adventure', 'act', 'chapter', 'scene', 'type',
+    'title', 'location', 'image', 'imageUrl',
+    'narrative', 'visuals', 'tone', 'lighting', 'audio', 'smell',
+    'music', 'ambience',
+];
+
+// NPC fields players get for NPCs in plain sight (no notes or motivation)
+const PUBLIC_NPC_FIELDS = ['id', 'name', 'role', 'statblock'];
+
+// Terminal fields players get: what the machine shows and runs
+const PUBLIC_TERMINAL_FIELDS = [
+    'id', 'name', 'type', 'location', 'adventure', 'description',
+    'style', 'boot_sequence', 'access_level', 'requires_hack',
+    'filesystem', 'documents', 'programs', 'commands',
+];
+
+// Document fields players always get; `content` once it is revealed
+const PUBLIC_DOCUMENT_FIELDS = [
+    'id', 'name', 'type', 'format', 'adventure', 'metadata', 'style',
+    'requires_access', 'requires_hack',
+];
+
+const REVEAL_PREFIX = 'reveal:';
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PROJECTION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Copy the listed fields that are present
+ * @param {Object} source
+ * @param {string[]} fields
+ * @returns {Object}
+ */
+function pick(source, fields) {
+    const result = {};
+    for (const field of fields) {
+        if (source[field] !== undefined) result[field] = source[field];
+    }
+    return result;
+}
+
+/**
+ * Flag key that reveals a scene item by ID
+ * @param {string} id
+ * @returns {string}
+ */
+function revealFlag(id) {
+    return `${REVEAL_PREFIX}${id}`;
+}
+
+/**
+ * Project the NPCs players can see
+ * @param {Object[]} npcs - Scene NPC references
+ * @param {Object} flags
+ * @param {Object} npcStates - Session NPC states (status 'hidden' hides an NPC)
+ * @returns {Object[]}
+ */
+function projectNPCs(npcs, flags, npcStates) {
+    return npcs
+        .filter(npc => {
+            const status = npcStates[npc.id] ? npcStates[npc.id].status : npc.state;
+            return status !== 'hidden' || Boolean(flags[revealFlag(npc.id)]);
+        })
+        .map(npc => pick(npc, PUBLIC_NPC_FIELDS));
+}
+
+/**
+ * Project the triggers that have fired
+ * @param {Object[]} triggers
+ * @param {Object} flags
+ * @returns {Object[]}
+ */
+function projectTriggers(triggers, flags) {
+    return triggers
+        .filter(t => (t.sets_flag && flags[t.sets_flag]) || flags[revealFlag(t.id)])
+        .map(t => pick(t, ['id', 'label', 'text']));
+}
+
+/**
+ * Project the challenges players know about. DCs stay hidden; the outcome
+ * text appears once the challenge has been resolved.
+ * @param {Object[]} challenges
+ * @param {Object} flags
+ * @returns {Object[]}
+ */
+function projectChallenges(challenges, flags) {
+    const projected = [];
+    for (const challenge of challenges) {
+        const success = challenge.success_effect || {};
+        const failure = challenge.failure_effect || {};
+        const outcome = success.sets_flag && flags[success.sets_flag] ? success
+            : failure.sets_flag && flags[failure.sets_flag] ? failure
+            : null;
+
+        if (!outcome && !flags[revealFlag(challenge.id)]) continue;
+
+        const entry = pick(challenge, ['id', 'skill', 'description']);
+        if (outcome && outcome.text) entry.outcome = outcome.text;
+        projected.push(entry);
+    }
+    return projected;
+}
+
+/**
+ * Reduce a scene to what a player may see
+ * @param {Object} scene - Full scene document
+ * @param {Object} [revealed]
+ * @param {Object} [revealed.flags] - Session flags
+ * @param {Object} [revealed.npcStates] - Session NPC states
+ * @returns {Object}
+ */
+function projectForPlayer(scene, { flags = {}, npcStates = {} } = {}) {
+    const projected = pick(scene, PUBLIC_FIELDS);
+
+    projected.npcs = projectNPCs(Array.isArray(scene.npcs) ? scene.npcs : [], flags, npcStates);
+    projected.triggers = projectTriggers(Array.isArray(scene.triggers) ? scene.triggers : [], flags);
+    projected.challenges = projectChallenges(Array.isArray(scene.challenges) ? scene.challenges : [], flags);
+    projected._fullAccess = false;
+
+    return projected;
+}
+
+/**
+ * Project a scene for a viewer
+ * @param {Object} scene - Full scene document
+ * @param {Object|null} viewer - { role, flags, npcStates }; null for anonymous callers
+ * @returns {Object}
+ */
+function projectScene(scene, viewer) {
+    if (viewer && viewer.role === 'gm') {
+        return { ...scene, _fullAccess: true };
+    }
+    return projectForPlayer(scene, viewer || {});
+}
+
+/**
+ * Project a terminal for a viewer
+ * @param {Object} terminal - Full terminal document
+ * @param {Object|null} viewer - { role }; null for anonymous callers
+ * @returns {Object}
+ */
+function projectTerminal(terminal, viewer) {
+    if (viewer && viewer.role === 'gm') {
+        return { ...terminal, _fullAccess: true };
+    }
+    return { ...pick(terminal, PUBLIC_TERMINAL_FIELDS), _fullAccess: false };
+}
+
+/**
+ * Project an in-game document for a viewer
+ * @param {Object} doc - Full document
+ * @param {Object|null} viewer - { role, flags }; null for anonymous callers
+ * @returns {Object}
+ */
+function projectDocument(doc, viewer) {
+    if (viewer && viewer.role === 'gm') {
+        return { ...doc, _fullAccess: true };
+    }
+
+    const flags = (viewer && viewer.flags) || {};
+    const projected = pick(doc, PUBLIC_DOCUMENT_FIELDS);
+    const found = Boolean(flags[revealFlag(doc.id)])
+        || (Array.isArray(doc.reveal_flags) && doc.reveal_flags.some(flag => flags[flag]));
+    if (found && doc.content !== undefined) projected.content = doc.content;
+    projected._fullAccess = false;
+
+    return projected;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Projection
+    projectScene,
+    projectForPlayer,
+    projectTerminal,
+    projectDocument,
+    revealFlag,
+
+    // Constants
+    PUBLIC_FIELDS,
+};
@@ -0,0 +1,542 @@
+/**
+ * SessionJournal - Append-only event journal for Light Deck sessions
+ *
+ * Handles:
+ * - Appending one entry per state change (scene, flags, NPCs, clock, chat,
+ *   rolls, users, GM auth, snapshots) to <sessionId>.journal.jsonl
+ * - Querying entries by type, actor and time range
+ * - Rebuilding session state by replaying entries
+ *
+ * The session JSON file is a cache of the latest state; the journal is the
+ * full history. Entries are never rewritten - a snapshot restore is itself
+ * an entry carrying the restored state.
+ *
+ * Each journal is read once (SessionManager.init, or its first append) and
+ * kept in memory, so queries, recaps and appends never read the file again.
+ * Appends go to disk in order through one asynchronous write per session at
+ * a time; flush() writes what is still queued on shutdown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, 'sessions'); // Shared with SessionManager
+const ARCHIVE_DIR = path.join(SESSIONS_DIR, 'archive');
+const JOURNAL_SUFFIX = '.journal.jsonl';
+const MAX_QUERY_LIMIT = 1000;
+
+const EntryType = {
+    SESSION_CREATED: 'session.created',
+    SESSION_UPDATED: 'session.updated',
+    USER_JOINED: 'user.joined',
+    USER_UPDATED: 'user.updated',
+    CHARACTER_CREATED: 'character.created',
+    CHARACTER_DELETED: 'character.deleted',
+    CHARACTER_ASSIGNED: 'character.assigned',
+    SCENE_CHANGED: 'scene.changed',
+    FLAG_SET: 'flag.set',
+    NPC_UPDATED: 'npc.updated',
+    CLOCK_SET: 'clock.set',
+    EVENT_SCHEDULED: 'event.scheduled',
+    EVENT_REMOVED: 'event.removed',
+    EVENTS_FIRED: 'event.fired',
+    CHAT: 'chat.message',
+    ROLL: 'roll',
+    AUDIT: 'audit',
+    GM_SECRET_CHANGED: 'gm.secret_changed',
+    SNAPSHOT_CREATED: 'snapshot.created',
+    SNAPSHOT_RESTORED: 'snapshot.restored',
+    DOCUMENT_PUBLISHED: 'document.published',
+    DOCUMENT_REMOVED: 'document.removed',
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATE
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Entries of each loaded journal, oldest first: sessionId → JournalEntry[]
+const journals = new Map();
+
+/**
+ * @typedef {Object} JournalWriter
+ * @property {number|null} fd - Open in append mode; null once closed
+ * @property {Buffer[]} pending - Lines waiting for the write in flight
+ * @property {boolean} writing - A write is in flight
+ * @property {boolean} closing - Archived: close the file once drained
+ */
+
+// Append queues: sessionId → JournalWriter
+const writers = new Map();
+
+// Journals whose last line was torn by a crash; the next append starts a new line
+const tornJournals = new Set();
+
+// ═══════════════════════════════════════════════════════════════════════════
+// WRITING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} Actor
+ * @property {string} name - Display name
+ * @property {string} [role] - 'player' | 'gm' | 'spectator'
+ */
+
+/**
+ * @typedef {Object} JournalEntry
+ * @property {number} seq - 1-based position in the journal
+ * @property {string} id - Unique entry ID
+ * @property {string} type - See EntryType
+ * @property {Actor|null} actor - Who caused it; null for the server (timeline events, restores)
+ * @property {Object} payload - Type-specific data
+ * @property {number} timestamp
+ */
+
+/**
+ * Path of a session's journal file
+ * @param {string} sessionId - Already validated by SessionManager
+ * @returns {string}
+ */
+function getJournalPath(sessionId) {
+    return path.join(SESSIONS_DIR, `${sessionId}${JOURNAL_SUFFIX}`);
+}
+
+/**
+ * Read every entry of a session's journal file, oldest first
+ * @param {string} sessionId
+ * @returns {JournalEntry[]}
+ */
+function readAll(sessionId) {
+    const filePath = getJournalPath(sessionId);
+    if (!fs.existsSync(filePath)) return [];
+
+    const content = fs.readFileSync(filePath, 'utf8');
+    if (content && !content.endsWith('\n')) tornJournals.add(sessionId);
+
+    const entries = [];
+    for (const line of content.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            entries.push(JSON.parse(line));
+        } catch (err) {
+            // A torn last line after a crash; everything before it is intact
+            console.error('[SessionJournal] Skipping unreadable entry in', sessionId);
+        }
+    }
+    // Lines queued at shutdown may land out of order; seq is authoritative
+    return entries.sort((a, b) => a.seq - b.seq);
+}
+
+/**
+ * IDs of the sessions that have a journal file
+ * @returns {string[]}
+ */
+function listJournals() {
+    try {
+        return fs.readdirSync(SESSIONS_DIR)
+            .filter(file => file.endsWith(JOURNAL_SUFFIX))
+            .map(file => file.slice(0, -JOURNAL_SUFFIX.length));
+    } catch (err) {
+        console.error('[SessionJournal] Failed to list journals:', err);
+        return [];
+    }
+}
+
+/**
+ * Read a session's journal into memory (once; later calls return the copy
+ * in memory)
+ * @param {string} sessionId
+ * @returns {JournalEntry[]}
+ */
+function load(sessionId) {
+    if (!journals.has(sessionId)) {
+        journals.set(sessionId, readAll(sessionId));
+    }
+    return journals.get(sessionId);
+}
+
+/**
+ * Entries of a journal without keeping it in memory if it isn't already
+ * (queries for sessions that aren't loaded)
+ * @param {string} sessionId
+ * @returns {JournalEntry[]}
+ */
+function entriesOf(sessionId) {
+    return journals.get(sessionId) || readAll(sessionId);
+}
+
+/**
+ * Seq of a session's last entry
+ * @param {string} sessionId
+ * @returns {number} 0 for an empty journal
+ */
+function lastSeq(sessionId) {
+    const entries = load(sessionId);
+    return entries.length ? entries[entries.length - 1].seq : 0;
+}
+
+/**
+ * Write the next queued lines of a journal, one write at a time so they
+ * land in order
+ * @param {string} sessionId - For log messages
+ * @param {JournalWriter} writer
+ */
+function drain(sessionId, writer) {
+    if (writer.writing || writer.fd === null) return;
+    if (writer.pending.length === 0) {
+        if (writer.closing) closeWriter(sessionId, writer);
+        return;
+    }
+
+    const chunk = Buffer.concat(writer.pending);
+    writer.pending = [];
+    writer.writing = true;
+    fs.write(writer.fd, chunk, 0, chunk.length, null, (err, written) => {
+        writer.writing = false;
+        if (err) {
+            console.error('[SessionJournal] Failed to append to', sessionId, err);
+        } else if (written < chunk.length) {
+            writer.pending.unshift(chunk.subarray(written));
+        }
+        drain(sessionId, writer);
+    });
+}
+
+/**
+ * Close a writer's file
+ * @param {string} sessionId - For log messages
+ * @param {JournalWriter} writer
+ */
+function closeWriter(sessionId, writer) {
+    try {
+        fs.closeSync(writer.fd);
+    } catch (err) {
+        console.error('[SessionJournal] Failed to close journal of', sessionId, err);
+    }
+    writer.fd = null;
+}
+
+/**
+ * The append queue of a session, opening its journal file if needed. The
+ * file is opened synchronously so an archive() right after an append
+ * renames the file the queued lines go to.
+ * @param {string} sessionId
+ * @returns {JournalWriter|null} null if the file can't be opened
+ */
+function getWriter(sessionId) {
+    if (writers.has(sessionId)) return writers.get(sessionId);
+
+    let fd;
+    try {
+        fd = fs.openSync(getJournalPath(sessionId), 'a');
+    } catch (err) {
+        console.error('[SessionJournal] Failed to open journal of', sessionId, err);
+        return null;
+    }
+
+    const writer = { fd, pending: [], writing: false, closing: false };
+    if (tornJournals.delete(sessionId)) writer.pending.push(Buffer.from('\n'));
+    writers.set(sessionId, writer);
+    return writer;
+}
+
+/**
+ * Append an entry to a session's journal. It is in memory (and in query
+ * results) at once; the file write happens in the background.
+ * @param {string} sessionId
+ * @param {string} type - See EntryType
+ * @param {Object} payload
+ * @param {Actor|null} [actor]
+ * @returns {JournalEntry}
+ */
+function append(sessionId, type, payload, actor = null) {
+    const entry = {
+        seq: lastSeq(sessionId) + 1,
+        id: `jrn_${crypto.randomBytes(6).toString('hex')}`,
+        type,
+        actor: actor ? { name: actor.name, role: actor.role } : null,
+        payload,
+        timestamp: Date.now(),
+    };
+    journals.get(sessionId).push(entry);
+
+    const writer = getWriter(sessionId);
+    if (writer) {
+        writer.pending.push(Buffer.from(JSON.stringify(entry) + '\n'));
+        drain(sessionId, writer);
+    }
+    return entry;
+}
+
+/**
+ * Write every queued line now (shutdown). A write already in flight may
+ * finish after these; readAll() orders entries by seq.
+ */
+function flush() {
+    for (const [sessionId, writer] of writers) {
+        if (writer.fd === null || writer.pending.length === 0) continue;
+        try {
+            fs.writeSync(writer.fd, Buffer.concat(writer.pending));
+            writer.pending = [];
+        } catch (err) {
+            console.error('[SessionJournal] Failed to flush journal of', sessionId, err);
+        }
+    }
+}
+
+/**
+ * Move a session's journal to sessions/archive/ when the session is deleted
+ * or expires. It stays there as the session's audit record, under a name no
+ * later session with the same ID will read or append to.
+ * @param {string} sessionId
+ * @param {number} stamp - Archive time, shared with the archived session file
+ * @returns {string|null} Archived path, or null if there was no journal
+ */
+function archive(sessionId, stamp) {
+    journals.delete(sessionId);
+    tornJournals.delete(sessionId);
+    const filePath = getJournalPath(sessionId);
+    let archivedPath = null;
+
+    if (fs.existsSync(filePath)) {
+        try {
+            fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+            archivedPath = path.join(ARCHIVE_DIR, `${sessionId}.${stamp}${JOURNAL_SUFFIX}`);
+            fs.renameSync(filePath, archivedPath);
+        } catch (err) {
+            console.error('[SessionJournal] Failed to archive', sessionId, err);
+            archivedPath = null;
+        }
+    }
+
+    // Lines still queued follow the open file to the archive
+    const writer = writers.get(sessionId);
+    if (writer) {
+        writers.delete(sessionId);
+        writer.closing = true;
+        drain(sessionId, writer);
+    }
+    return archivedPath;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// QUERYING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check an entry type against a filter. "flag" matches "flag.set";
+ * "scene.changed" only matches itself.
+ * @param {string} type
+ * @param {string[]} wanted
+ * @returns {boolean}
+ */
+function matchesType(type, wanted) {
+    return wanted.some(w => type === w || type.startsWith(`${w}.`));
+}
+
+/**
+ * Query a session's journal
+ * @param {string} sessionId
+ * @param {Object} [filter]
+ * @param {string[]} [filter.types] - Entry types or type prefixes
+ * @param {string} [filter.actor] - Actor name (case-insensitive); "server" for entries without one
+ * @param {number} [filter.since] - Timestamp, inclusive
+ * @param {number} [filter.until] - Timestamp, inclusive
+ * @param {number} [filter.after] - Only entries with a higher seq (pagination cursor)
+ * @param {number} [filter.limit=200]
+ * @returns {{ entries: JournalEntry[], hasMore: boolean }}
+ */
+function query(sessionId, { types = null, actor = null, since = null, until = null, after = null, limit = 200 } = {}) {
+    const wantedActor = actor ? actor.toLowerCase() : null;
+    const max = Math.min(Math.max(limit, 1), MAX_QUERY_LIMIT);
+
+    const matches = entriesOf(sessionId).filter(entry => {
+        if (after !== null && entry.seq <= after) return false;
+        if (since !== null && entry.timestamp < since) return false;
+        if (until !== null && entry.timestamp > until) return false;
+        if (types && types.length && !matchesType(entry.type, types)) return false;
+        if (wantedActor) {
+            const name = entry.actor ? entry.actor.name.toLowerCase() : 'server';
+            if (name !== wantedActor) return false;
+        }
+        return true;
+    });
+
+    return { entries: matches.slice(0, max), hasMore: matches.length > max };
+}
+
+/**
+ * Every entry in a time range, without paging (for recaps)
+ * @param {string} sessionId
+ * @param {number|null} [since] - Timestamp, inclusive
+ * @param {number|null} [until] - Timestamp, inclusive
+ * @returns {JournalEntry[]}
+ */
+function entriesBetween(sessionId, since = null, until = null) {
+    return entriesOf(sessionId).filter(entry =>
+        (since === null || entry.timestamp >= since) && (until === null || entry.timestamp <= until)
+    );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} ReplayedState
+ * @property {string|null} currentScene
+ * @property {Object<string, boolean|string>} flags
+ * @property {Object<string, Object>} npcStates
+ * @property {Object} campaignClock - { day, time }
+ * @property {Object[]} scheduledEvents
+ * @property {Object[]} chatHistory
+ * @property {Object[]} rollHistory
+ * @property {Object<string, Object>} users - Journal user ID → { name, role, characterId }
+ * @property {string[]} characterIds - Characters created in the session
+ * @property {number} lastSeq - Seq of the last entry applied
+ */
+
+/**
+ * An empty session, as SessionManager creates it
+ * @returns {ReplayedState}
+ */
+function emptyState() {
+    return {
+        currentScene: null,
+        flags: {},
+        npcStates: {},
+        campaignClock: { day: 1, time: '00:00' },
+        scheduledEvents: [],
+        chatHistory: [],
+        rollHistory: [],
+        users: {},
+        characterIds: [],
+        lastSeq: 0,
+    };
+}
+
+/**
+ * An NPC nobody has touched yet, as SessionManager.updateNPCState creates it
+ * @param {string} npcId
+ * @returns {Object}
+ */
+function newNPCState(npcId) {
+    return { id: npcId, status: 'alive', currentStress: 0, wounds: 0, conditions: [], customData: {} };
+}
+
+/**
+ * Apply one entry to a replayed state (mutates and returns it)
+ * @param {ReplayedState} state
+ * @param {JournalEntry} entry
+ * @returns {ReplayedState}
+ */
+function applyEntry(state, entry) {
+    const p = entry.payload || {};
+
+    switch (entry.type) {
+        case EntryType.SCENE_CHANGED:
+            state.currentScene = p.scene;
+            break;
+        case EntryType.FLAG_SET:
+            state.flags[p.key] = p.value;
+            break;
+        case EntryType.NPC_UPDATED:
+            state.npcStates[p.npcId] = { ...(state.npcStates[p.npcId] || newNPCState(p.npcId)), ...p.updates };
+            break;
+        case EntryType.CLOCK_SET:
+            state.campaignClock = p.clock;
+            break;
+        case EntryType.EVENT_SCHEDULED:
+            state.scheduledEvents.push(p.event);
+            break;
+        case EntryType.EVENT_REMOVED:
+            state.scheduledEvents = state.scheduledEvents.filter(e => e.id !== p.id);
+            break;
+        case EntryType.EVENTS_FIRED:
+            for (const event of state.scheduledEvents) {
+                if (p.ids.includes(event.id)) {
+                    event.fired = true;
+                    event.firedAt = p.clock;
+                }
+            }
+            break;
+        case EntryType.CHAT:
+            state.chatHistory.push(p.entry);
+            break;
+        case EntryType.ROLL:
+            state.rollHistory.push(p.roll);
+            break;
+        case EntryType.USER_JOINED:
+        case EntryType.USER_UPDATED:
+            state.users[p.userId] = { ...(state.users[p.userId] || {}), ...p.user };
+            break;
+        case EntryType.CHARACTER_CREATED:
+            if (!state.characterIds.includes(p.characterId)) state.characterIds.push(p.characterId);
+            break;
+        case EntryType.CHARACTER_DELETED:
+            state.characterIds = state.characterIds.filter(id => id !== p.characterId);
+            break;
+        case EntryType.CHARACTER_ASSIGNED:
+            state.users[p.userId] = { ...(state.users[p.userId] || {}), characterId: p.characterId };
+            break;
+        case EntryType.SNAPSHOT_RESTORED:
+            state.currentScene = p.state.currentScene;
+            state.flags = { ...p.state.flags };
+            state.npcStates = JSON.parse(JSON.stringify(p.state.npcStates));
+            state.campaignClock = p.state.campaignClock;
+            state.scheduledEvents = JSON.parse(JSON.stringify(p.state.scheduledEvents));
+            break;
+        // session.*, audit, gm.secret_changed, snapshot.created and document.* don't change game state
+    }
+
+    state.lastSeq = entry.seq;
+    return state;
+}
+
+/**
+ * Rebuild a session's state by replaying its journal
+ * @param {string} sessionId
+ * @param {Object} [options]
+ * @param {number} [options.until] - Stop at this timestamp (state "as of" then)
+ * @param {number} [options.untilSeq] - Stop after this entry
+ * @returns {ReplayedState}
+ */
+function replay(sessionId, { until = null, untilSeq = null } = {}) {
+    const state = emptyState();
+    for (const entry of entriesOf(sessionId)) {
+        if (until !== null && entry.timestamp > until) break;
+        if (untilSeq !== null && entry.seq > untilSeq) break;
+        applyEntry(state, entry);
+    }
+    return state;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Writing
+    load,
+    lastSeq,
+    append,
+    flush,
+    archive,
+
+    // Querying
+    listJournals,
+    query,
+    entriesBetween,
+
+    // Replay
+    replay,
+    applyEntry,
+    newNPCState,
+
+    // Constants
+    EntryType,
+};
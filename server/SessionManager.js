@@ -7,8 +7,12 @@
  * - State persistence (scene, players, NPCs, flags)
  * - Reconnection with state recovery
  * 
+ * - Named sessions (campaigns) with short join codes
+ * - Journaling every mutation (see SessionJournal); mutators take an
+ *   optional trailing `actor` ({ name, role }, null for the server)
+ * 
  * Session Lifecycle:
- * 1. GM creates session (or auto-created on first connect)
+ * 1. GM creates session via the REST API (or auto-created on first connect)
  * 2. Players join with generated tokens stored in localStorage
  * 3. On disconnect, user state preserved in session
  * 4. On reconnect, token matched → state restored
@@ -18,15 +22,29 @@
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
+const SessionJournal = require('./SessionJournal');
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════
 
-const SESSIONS_DIR = path.join(__dirname, 'sessions');
+const SESSIONS_DIR = process.env.SESSIONS_DIR || path.join(__dirname, 'sessions'); // Also holds the journals (SessionJournal)
+const ARCHIVE_DIR = path.join(SESSIONS_DIR, 'archive'); // Deleted and expired sessions (see SessionJournal.archive)
 const SESSION_EXPIRY_MS = 24 * 60 * 60 * 1000; // 24 hours
 const SAVE_DEBOUNCE_MS = 2000; // Debounce saves to avoid excessive disk writes
 const TOKEN_LENGTH = 32;
+const MAX_CHAT_HISTORY = 2000; // Chat log entries kept per session
+const MAX_ROLL_HISTORY = 100; // Rolls kept per session
+const JOIN_CODE_LENGTH = 6;
+const JOIN_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // No 0/O or 1/I
+const SESSION_ID_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/; // IDs double as file names
+const MAX_SESSION_NAME_LENGTH = 80;
+const MAX_AUDIT_LOG = 500; // GM auth audit entries kept per session
+const MAX_SNAPSHOTS = 25; // Named snapshots kept per session (oldest dropped)
+const MAX_SNAPSHOT_NAME_LENGTH = 80;
+const MAX_DOCUMENTS = 50; // Published documents kept per session (oldest dropped)
+const MAX_DOCUMENT_TITLE_LENGTH = 120;
+const MAX_STATE_CHANGES = 500; // Changes kept per session for reconnect patches (memory only)
 
 // ═══════════════════════════════════════════════════════════════════════════
 // SESSION SCHEMA
@@ -36,9 +54,10 @@ const TOKEN_LENGTH = 32;
  * @typedef {Object} UserState
  * @property {string} token - Unique reconnection token
  * @property {string} name - Display name
- * @property {string} role - 'player' | 'gm'
+ * @property {string} role - 'player' | 'gm' | 'spectator'
  * @property {string} view - Current view mode
  * @property {string|null} characterId - Assigned character ID
+ * @property {boolean} [admin] - GM logged in with the server-wide GM_PASSWORD
  * @property {number} lastSeen - Timestamp of last activity
  * @property {boolean} connected - Currently connected
  */
@@ -50,23 +69,90 @@ const TOKEN_LENGTH = 32;
  * @property {number} currentStress - Current stress value
  * @property {number} wounds - Current wounds
  * @property {string[]} conditions - Active conditions
- * @property {Object} customData - Any GM-set custom data
+ * @property {NPCCustomData} customData - GM notes on the NPC
+ */
+
+/**
+ * @typedef {Object} NPCCustomData
+ * Only these keys pass MessageValidator's sync:npc_state schema
+ * @property {string} [disposition] - 'hostile' | 'wary' | 'neutral' | 'friendly' | 'allied'
+ * @property {string} [location] - Where the NPC is now
+ * @property {string} [notes] - Free text, up to 500 characters
  */
 
 /**
  * @typedef {Object} SessionState
  * @property {string} id - Session ID
+ * @property {string} name - Display name of the campaign
+ * @property {string} joinCode - Short code players type to join
+ * @property {string} status - 'active' | 'archived'
+ * @property {boolean} persistent - Created through the API; never expires
+ * @property {Object|null} gmSecret - Hashed GM secret (see GMAuth.hashSecret)
+ * @property {AuditEntry[]} auditLog - GM login/logout audit trail
  * @property {string} adventureId - Current adventure
  * @property {string} currentScene - Active scene ID
  * @property {Object<string, UserState>} users - Token → UserState
+ * @property {string[]} characterIds - Characters created in this session (its GM may assign and edit them)
  * @property {Object<string, NPCState>} npcStates - NPC ID → NPCState
  * @property {Object<string, boolean|string>} flags - Campaign flags
  * @property {Object} campaignClock - { day, time }
- * @property {Array} chatHistory - Recent chat messages (last 100)
+ * @property {Object[]} scheduledEvents - Timeline events fired by the clock (see CampaignClock)
+ * @property {Snapshot[]} snapshots - Named GM save points (last MAX_SNAPSHOTS)
+ * @property {SessionDocument[]} documents - Documents published to players (last MAX_DOCUMENTS)
+ * @property {ChatEntry[]} chatHistory - Chat log (last MAX_CHAT_HISTORY entries)
+ * @property {RollRecord[]} rollHistory - Recent server-generated rolls (last MAX_ROLL_HISTORY)
+ * @property {number} revision - Bumped by every change clients see in STATE_SYNC
+ * @property {number} journalSeq - Last journal entry included in the saved file
  * @property {number} createdAt - Session creation timestamp
  * @property {number} updatedAt - Last update timestamp
  */
 
+/**
+ * @typedef {Object} ChatEntry
+ * @property {string} id - Unique entry ID (used as pagination cursor)
+ * @property {string} kind - 'chat' | 'roll' | 'system'
+ * @property {string} visibility - 'public' | 'whisper'
+ * @property {string} [name] - Sender display name
+ * @property {string} [role] - Sender role at send time
+ * @property {string} text - Message text
+ * @property {string} [type] - Client rendering type ('player', 'gm', 'system', ...)
+ * @property {string} [toName] - Whisper target name
+ * @property {string[]} [participants] - Whisper sender + target tokens (never sent to clients)
+ * @property {string} [clientId] - Message id the sender's client sent it with (see MessageReceipts)
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} AuditEntry
+ * @property {string} event - 'gm_login' | 'gm_login_failed' | 'gm_login_locked' | 'gm_logout' | 'gm_secret_changed' | 'snapshot_restored'
+ * @property {string} [name] - Display name of the user
+ * @property {string} [address] - Client IP address
+ * @property {string} [snapshot] - Snapshot name (snapshot_restored only)
+ * @property {number} timestamp
+ */
+
+/**
+ * @typedef {Object} StateChange
+ * @property {number} revision - Session revision after the change
+ * @property {string} type - SessionJournal.EntryType of the change
+ * @property {Object} payload - { scene } | { npcId, updates } | { key, value } | { clock } |
+ *   { entry } (chat, rolls, system lines) | { document } | { id } | {} (schedule changes)
+ */
+
+/**
+ * @typedef {Object} RollRecord
+ * @property {string} id - Unique roll ID
+ * @property {string} name - Display name of the roller
+ * @property {string} role - Role of the roller at roll time
+ * @property {string} expression - Normalized dice expression
+ * @property {number[]} rolls - Individual die results
+ * @property {number} modifier - Flat modifier
+ * @property {number} total - Final total
+ * @property {number} [dc] - Difficulty the roll was made against
+ * @property {boolean} [success] - total >= dc (only with a dc)
+ * @property {number} timestamp - Server timestamp of the roll
+ */
+
 // ═══════════════════════════════════════════════════════════════════════════
 // STATE
 // ═══════════════════════════════════════════════════════════════════════════
@@ -80,6 +166,28 @@ const saveTimers = new Map();
 // Token to session lookup: token → { sessionId, userId }
 const tokenIndex = new Map();
 
+// Join code lookup: joinCode → sessionId
+const joinCodeIndex = new Map();
+
+// Recent changes per session, oldest first: sessionId → StateChange[]. Not
+// saved; after a restart clients that are behind get a full STATE_SYNC.
+const stateChanges = new Map();
+
+// Epoch of each session's change log: sessionId → random ID. Also not saved,
+// so revisions from before a restart (which may be handed out again, as the
+// revision is only saved with the debounced session file) never match.
+const stateEpochs = new Map();
+
+/**
+ * Stable, non-secret ID for a user in journal entries (tokens must never
+ * be written to the journal)
+ * @param {string} token
+ * @returns {string}
+ */
+function journalUserId(token) {
+    return `usr_${crypto.createHash('sha256').update(token).digest('hex').slice(0, 12)}`;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // INITIALIZATION
 // ═══════════════════════════════════════════════════════════════════════════
@@ -118,15 +226,21 @@ function loadAllSessions() {
                 const session = JSON.parse(data);
                 
                 // Check if expired
-                if (Date.now() - session.updatedAt > SESSION_EXPIRY_MS) {
-                    fs.unlinkSync(filePath);
-                    console.log('[SessionManager] Removed expired session:', session.id);
+                if (isExpired(session)) {
+                    archiveSessionFiles(session.id);
+                    console.log('[SessionManager] Archived expired session:', session.id);
                     continue;
                 }
                 
+                // Sessions saved before naming/join codes existed
+                ensureSessionMetadata(session);
+                
                 // Add to cache
                 sessions.set(session.id, session);
                 
+                // Changes journaled after the last save (crash inside the debounce)
+                rollForward(session);
+                
                 // Index tokens
                 for (const [token, user] of Object.entries(session.users)) {
                     tokenIndex.set(token, { sessionId: session.id, userId: token });
@@ -139,6 +253,94 @@ function loadAllSessions() {
     } catch (err) {
         console.error('[SessionManager] Failed to read sessions directory:', err);
     }
+    
+    // Journals whose session file was never written
+    for (const sessionId of SessionJournal.listJournals()) {
+        if (!sessions.has(sessionId) && isValidSessionId(sessionId)) {
+            recoverSession(sessionId);
+        }
+    }
+}
+
+/**
+ * Apply the journal entries written after a session file was last saved.
+ * Users aren't journaled with their tokens, so they are left as saved.
+ * @param {SessionState} session - Mutated
+ * @returns {number} Entries applied
+ */
+function rollForward(session) {
+    const entries = SessionJournal.load(session.id);
+    
+    // Files saved before journalSeq was stamped are taken as up to date
+    if (!Number.isInteger(session.journalSeq)) {
+        session.journalSeq = SessionJournal.lastSeq(session.id);
+        return 0;
+    }
+    
+    const pending = entries.filter(entry => entry.seq > session.journalSeq);
+    if (pending.length === 0) return 0;
+    
+    const state = {
+        currentScene: session.currentScene,
+        flags: session.flags,
+        npcStates: session.npcStates,
+        campaignClock: session.campaignClock,
+        scheduledEvents: session.scheduledEvents,
+        chatHistory: session.chatHistory,
+        rollHistory: session.rollHistory || [],
+        users: {},
+        characterIds: session.characterIds,
+        lastSeq: session.journalSeq,
+    };
+    
+    for (const entry of pending) {
+        SessionJournal.applyEntry(state, entry);
+        if (entry.type === SessionJournal.EntryType.SESSION_UPDATED) {
+            session.name = entry.payload.name;
+            session.adventureId = entry.payload.adventureId;
+            session.status = entry.payload.status;
+        }
+    }
+    
+    session.currentScene = state.currentScene;
+    session.flags = state.flags;
+    session.npcStates = state.npcStates;
+    session.campaignClock = state.campaignClock;
+    session.scheduledEvents = state.scheduledEvents;
+    session.chatHistory = state.chatHistory.slice(-MAX_CHAT_HISTORY);
+    session.rollHistory = state.rollHistory.slice(-MAX_ROLL_HISTORY);
+    session.characterIds = state.characterIds;
+    session.journalSeq = state.lastSeq;
+    session.updatedAt = Math.max(session.updatedAt, pending[pending.length - 1].timestamp);
+    
+    saveSession(session.id);
+    console.log('[SessionManager] Rolled', session.id, 'forward by', pending.length, 'journal entries');
+    return pending.length;
+}
+
+/**
+ * Rebuild a session whose file was never saved from its journal. Its GM
+ * secret and user tokens aren't journaled: GMs log in with GM_PASSWORD
+ * and players join again. Recovered whispers are shown to GMs only.
+ * @param {string} sessionId
+ * @returns {SessionState|null} null if the journal is empty
+ */
+function recoverSession(sessionId) {
+    const entries = SessionJournal.load(sessionId);
+    if (entries.length === 0) return null;
+    
+    const created = entries.find(entry => entry.type === SessionJournal.EntryType.SESSION_CREATED);
+    const session = newSessionState(sessionId, created ? created.payload : {});
+    session.createdAt = entries[0].timestamp;
+    session.updatedAt = entries[0].timestamp;
+    session.journalSeq = 0;
+    
+    ensureSessionMetadata(session);
+    sessions.set(sessionId, session);
+    rollForward(session);
+    
+    console.log('[SessionManager] Recovered session from its journal:', sessionId);
+    return session;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -146,35 +348,167 @@ function loadAllSessions() {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Get or create a session
- * @param {string} sessionId - Session identifier
- * @returns {SessionState}
+ * Check whether a string is usable as a session ID
+ * @param {string} sessionId
+ * @returns {boolean}
  */
-function getOrCreateSession(sessionId) {
-    if (sessions.has(sessionId)) {
-        return sessions.get(sessionId);
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+/**
+ * Generate a unique join code
+ * @returns {string}
+ */
+function generateJoinCode() {
+    let code;
+    do {
+        code = '';
+        for (let i = 0; i < JOIN_CODE_LENGTH; i++) {
+            code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+        }
+    } while (joinCodeIndex.has(code));
+    return code;
+}
+
+/**
+ * Normalize user-typed join codes ("abc-123 " → "ABC123")
+ * @param {string} code
+ * @returns {string}
+ */
+function normalizeJoinCode(code) {
+    return String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Fill in name, join code and status for sessions that predate them,
+ * and index the join code
+ * @param {SessionState} session
+ */
+function ensureSessionMetadata(session) {
+    if (!session.name) {
+        session.name = session.id === 'default' ? 'Default Session' : session.id;
     }
-    
-    const session = {
+    if (!session.status) {
+        session.status = 'active';
+    }
+    if (!session.joinCode || joinCodeIndex.has(session.joinCode)) {
+        session.joinCode = generateJoinCode();
+    }
+    joinCodeIndex.set(session.joinCode, session.id);
+    if (!Array.isArray(session.scheduledEvents)) {
+        session.scheduledEvents = [];
+    }
+    if (!Array.isArray(session.snapshots)) {
+        session.snapshots = [];
+    }
+    if (!Array.isArray(session.documents)) {
+        session.documents = [];
+    }
+    if (!Number.isInteger(session.revision)) {
+        session.revision = 0;
+    }
+    if (!Array.isArray(session.characterIds)) {
+        session.characterIds = [];
+    }
+}
+
+/**
+ * Sessions created through the API are campaigns and are kept until deleted;
+ * ad-hoc sessions expire after SESSION_EXPIRY_MS of inactivity.
+ * @param {SessionState} session
+ * @returns {boolean}
+ */
+function isExpired(session) {
+    return !session.persistent && Date.now() - session.updatedAt > SESSION_EXPIRY_MS;
+}
+
+/**
+ * A fresh session, not yet indexed or saved
+ * @param {string} sessionId
+ * @param {Object} options - See getOrCreateSession
+ * @returns {SessionState}
+ */
+function newSessionState(sessionId, options) {
+    return {
         id: sessionId,
-        adventureId: null,
+        name: options.name || null,
+        joinCode: null,
+        status: 'active',
+        persistent: !!options.persistent,
+        gmSecret: options.gmSecret || null,
+        auditLog: [],
+        adventureId: options.adventureId || null,
         currentScene: null,
         users: {},
+        characterIds: [],
         npcStates: {},
         flags: {},
         campaignClock: { day: 1, time: '00:00' },
+        scheduledEvents: [],
+        snapshots: [],
+        documents: [],
         chatHistory: [],
+        rollHistory: [],
+        revision: 0,
+        journalSeq: 0,
         createdAt: Date.now(),
         updatedAt: Date.now(),
     };
+}
+
+/**
+ * Get or create a session
+ * @param {string} sessionId - Session identifier
+ * @param {Object} [options] - Applied only when the session is created
+ * @param {string} [options.name] - Display name
+ * @param {string|null} [options.adventureId] - Adventure to run
+ * @param {boolean} [options.persistent] - Exempt from expiry
+ * @param {Object|null} [options.gmSecret] - Hashed GM secret
+ * @returns {SessionState}
+ */
+function getOrCreateSession(sessionId, options = {}) {
+    if (sessions.has(sessionId)) {
+        return sessions.get(sessionId);
+    }
     
+    const session = newSessionState(sessionId, options);
+    ensureSessionMetadata(session);
     sessions.set(sessionId, session);
     scheduleSave(sessionId);
     
+    SessionJournal.append(sessionId, SessionJournal.EntryType.SESSION_CREATED, {
+        name: session.name,
+        adventureId: session.adventureId,
+        persistent: session.persistent,
+    });
+    
     console.log('[SessionManager] Created new session:', sessionId);
     return session;
 }
 
+/**
+ * Create a new named session (campaign)
+ * @param {Object} options
+ * @param {string} options.name - Display name
+ * @param {string|null} [options.adventureId] - Adventure to run
+ * @param {Object|null} [options.gmSecret] - Hashed GM secret
+ * @returns {SessionState}
+ */
+function createSession({ name, adventureId = null, gmSecret = null } = {}) {
+    let sessionId;
+    do {
+        sessionId = `sess_${crypto.randomBytes(4).toString('hex')}`;
+    } while (sessions.has(sessionId));
+    
+    return getOrCreateSession(sessionId, {
+        name: String(name).trim().slice(0, MAX_SESSION_NAME_LENGTH),
+        adventureId,
+        gmSecret,
+        persistent: true,
+    });
+}
+
 /**
  * Get session by ID
  * @param {string} sessionId
@@ -184,6 +518,86 @@ function getSession(sessionId) {
     return sessions.get(sessionId) || null;
 }
 
+/**
+ * Find a session by its join code
+ * @param {string} code - Join code (case and separators ignored)
+ * @returns {SessionState|null}
+ */
+function findSessionByJoinCode(code) {
+    const sessionId = joinCodeIndex.get(normalizeJoinCode(code));
+    return sessionId ? getSession(sessionId) : null;
+}
+
+/**
+ * Rename a session, change its adventure, or archive/unarchive it
+ * @param {string} sessionId
+ * @param {Object} updates
+ * @param {string} [updates.name]
+ * @param {string|null} [updates.adventureId]
+ * @param {boolean} [updates.archived]
+ * @param {Object|null} [actor]
+ * @returns {SessionState|null}
+ */
+function updateSession(sessionId, updates = {}, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    
+    if (typeof updates.name === 'string' && updates.name.trim()) {
+        session.name = updates.name.trim().slice(0, MAX_SESSION_NAME_LENGTH);
+    }
+    if (updates.adventureId !== undefined) {
+        session.adventureId = updates.adventureId || null;
+    }
+    if (typeof updates.archived === 'boolean') {
+        session.status = updates.archived ? 'archived' : 'active';
+    }
+    
+    session.updatedAt = Date.now();
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.SESSION_UPDATED, {
+        name: session.name,
+        adventureId: session.adventureId,
+        status: session.status,
+    }, actor);
+    
+    return session;
+}
+
+/**
+ * Summarize a session for listings (no tokens or chat)
+ * @param {SessionState} session
+ * @returns {Object}
+ */
+function toSessionSummary(session) {
+    const users = Object.values(session.users);
+    return {
+        id: session.id,
+        name: session.name,
+        joinCode: session.joinCode,
+        status: session.status,
+        adventureId: session.adventureId,
+        currentScene: session.currentScene,
+        hasGMSecret: !!session.gmSecret,
+        userCount: users.length,
+        connectedCount: users.filter(u => u.connected).length,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+    };
+}
+
+/**
+ * List sessions, most recently used first
+ * @param {Object} [options]
+ * @param {boolean} [options.includeArchived=false]
+ * @returns {Object[]} Session summaries
+ */
+function listSessions({ includeArchived = false } = {}) {
+    return Array.from(sessions.values())
+        .filter(session => includeArchived || session.status !== 'archived')
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(toSessionSummary);
+}
+
 /**
  * Delete a session
  * @param {string} sessionId
@@ -196,17 +610,114 @@ function deleteSession(sessionId) {
     for (const token of Object.keys(session.users)) {
         tokenIndex.delete(token);
     }
+    joinCodeIndex.delete(session.joinCode);
+    
+    // Drop any pending save so the file isn't written back
+    if (saveTimers.has(sessionId)) {
+        clearTimeout(saveTimers.get(sessionId));
+        saveTimers.delete(sessionId);
+    }
     
     // Remove from cache
     sessions.delete(sessionId);
+    stateChanges.delete(sessionId);
+    stateEpochs.delete(sessionId);
+    
+    // Keep the file and journal as its audit record
+    archiveSessionFiles(sessionId);
     
-    // Delete file
+    console.log('[SessionManager] Deleted session:', sessionId);
+}
+
+/**
+ * Move a session's file and journal to ARCHIVE_DIR, stamped with the same
+ * time so they pair up. Nothing there is loaded again.
+ * @param {string} sessionId
+ */
+function archiveSessionFiles(sessionId) {
+    const stamp = Date.now();
     const filePath = path.join(SESSIONS_DIR, `${sessionId}.json`);
-    if (fs.existsSync(filePath)) {
-        fs.unlinkSync(filePath);
+    try {
+        if (fs.existsSync(filePath)) {
+            fs.mkdirSync(ARCHIVE_DIR, { recursive: true });
+            fs.renameSync(filePath, path.join(ARCHIVE_DIR, `${sessionId}.${stamp}.json`));
+        }
+    } catch (err) {
+        console.error('[SessionManager] Failed to archive session file:', sessionId, err);
     }
+    SessionJournal.archive(sessionId, stamp);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// GM CREDENTIALS & AUDIT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Get a session's hashed GM secret
+ * @param {string} sessionId
+ * @returns {Object|null}
+ */
+function getGMSecret(sessionId) {
+    const session = getSession(sessionId);
+    return session ? session.gmSecret || null : null;
+}
+
+/**
+ * Replace a session's GM secret. The journal records that it changed,
+ * never the secret or its hash.
+ * @param {string} sessionId
+ * @param {Object} secretHash - From GMAuth.hashSecret
+ * @param {Object|null} [actor]
+ * @returns {boolean} False if the session doesn't exist
+ */
+function setGMSecret(sessionId, secretHash, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return false;
     
-    console.log('[SessionManager] Deleted session:', sessionId);
+    session.gmSecret = secretHash;
+    session.updatedAt = Date.now();
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.GM_SECRET_CHANGED, {}, actor);
+    return true;
+}
+
+/**
+ * Append an entry to a session's GM auth audit trail
+ * @param {string} sessionId
+ * @param {Object} entry - { event, name, address }
+ * @returns {AuditEntry|null}
+ */
+function addAuditEntry(sessionId, entry) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    
+    // Sessions saved before auditing existed have no log yet
+    if (!session.auditLog) {
+        session.auditLog = [];
+    }
+    
+    const record = { ...entry, timestamp: Date.now() };
+    session.auditLog.push(record);
+    if (session.auditLog.length > MAX_AUDIT_LOG) {
+        session.auditLog = session.auditLog.slice(-MAX_AUDIT_LOG);
+    }
+    
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.AUDIT, entry,
+        entry.name ? { name: entry.name } : null);
+    return record;
+}
+
+/**
+ * Get the most recent audit entries for a session
+ * @param {string} sessionId
+ * @param {number} limit
+ * @returns {AuditEntry[]}
+ */
+function getAuditLog(sessionId, limit = 100) {
+    const session = getSession(sessionId);
+    if (!session || !session.auditLog) return [];
+    return session.auditLog.slice(-limit);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -246,6 +757,10 @@ function registerUser(sessionId, userData) {
     
     session.updatedAt = Date.now();
     scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.USER_JOINED, {
+        userId: journalUserId(token),
+        user: { name: user.name, role: user.role, characterId: user.characterId },
+    }, user);
     
     console.log('[SessionManager] Registered user:', user.name, 'in session:', sessionId);
     return { token, user };
@@ -276,20 +791,61 @@ function validateToken(token) {
 }
 
 /**
- * Update user state
+ * Update user state. Name, role and character changes are journaled;
+ * presence (view, connected, lastSeen) is not.
  * @param {string} token
  * @param {Partial<UserState>} updates
+ * @param {Object|null} [actor] - Who made the change; defaults to the user (GM assignments pass the GM)
  */
-function updateUser(token, updates) {
+function updateUser(token, updates, actor = null) {
     const result = validateToken(token);
     if (!result) return null;
     
     const { session, user } = result;
     
+    const journaled = {};
+    // Character bindings are journaled by assignCharacter
+    for (const key of ['name', 'role']) {
+        if (updates[key] !== undefined && updates[key] !== user[key]) {
+            journaled[key] = updates[key];
+        }
+    }
+    
     Object.assign(user, updates, { lastSeen: Date.now() });
     session.updatedAt = Date.now();
     scheduleSave(session.id);
     
+    if (Object.keys(journaled).length > 0) {
+        SessionJournal.append(session.id, SessionJournal.EntryType.USER_UPDATED, {
+            userId: journalUserId(token),
+            user: journaled,
+        }, actor || user);
+    }
+    
+    return user;
+}
+
+/**
+ * Bind a character to a user, or unbind it with null
+ * @param {string} token
+ * @param {string|null} characterId
+ * @param {Object|null} [actor] - Defaults to the user
+ * @returns {UserState|null}
+ */
+function assignCharacter(token, characterId, actor = null) {
+    const result = validateToken(token);
+    if (!result) return null;
+    
+    const { session, user } = result;
+    user.characterId = characterId;
+    user.lastSeen = Date.now();
+    session.updatedAt = Date.now();
+    scheduleSave(session.id);
+    SessionJournal.append(session.id, SessionJournal.EntryType.CHARACTER_ASSIGNED, {
+        userId: journalUserId(token),
+        characterId,
+    }, actor || user);
+    
     return user;
 }
 
@@ -321,53 +877,197 @@ function reconnectUser(token) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
-// STATE MANAGEMENT
+// SESSION CHARACTERS
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * Update session scene
+ * Record that a character was created in a session. Character files are
+ * shared by every session; this is what lets the session's GM assign and
+ * edit it (see ApiAuth.canGMCharacter).
  * @param {string} sessionId
- * @param {string} sceneId
+ * @param {string} characterId
+ * @param {Object|null} [actor]
  */
-function setScene(sessionId, sceneId) {
+function addSessionCharacter(sessionId, characterId, actor = null) {
     const session = getSession(sessionId);
-    if (!session) return;
+    if (!session || session.characterIds.includes(characterId)) return;
     
-    session.currentScene = sceneId;
+    session.characterIds.push(characterId);
     session.updatedAt = Date.now();
     scheduleSave(sessionId);
-    
-    console.log('[SessionManager] Scene changed:', sceneId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.CHARACTER_CREATED, { characterId }, actor);
 }
 
 /**
- * Update NPC state
- * @param {string} sessionId
- * @param {string} npcId
- * @param {Partial<NPCState>} updates
+ * Forget a deleted character in every session that created it
+ * @param {string} characterId
+ * @param {Object|null} [actor]
  */
-function updateNPCState(sessionId, npcId, updates) {
-    const session = getSession(sessionId);
-    if (!session) return;
-    
-    if (!session.npcStates[npcId]) {
-        session.npcStates[npcId] = {
-            id: npcId,
-            status: 'alive',
-            currentStress: 0,
-            wounds: 0,
-            conditions: [],
-            customData: {},
-        };
+function forgetCharacter(characterId, actor = null) {
+    for (const session of sessions.values()) {
+        if (!session.characterIds.includes(characterId)) continue;
+        
+        session.characterIds = session.characterIds.filter(id => id !== characterId);
+        session.updatedAt = Date.now();
+        scheduleSave(session.id);
+        SessionJournal.append(session.id, SessionJournal.EntryType.CHARACTER_DELETED, { characterId }, actor);
     }
-    
-    Object.assign(session.npcStates[npcId], updates);
-    session.updatedAt = Date.now();
-    scheduleSave(sessionId);
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// STATE REVISIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
 /**
- * Get NPC state
+ * Bump the session revision for a change clients see, and remember the change
+ * for clients that reconnect after missing it
+ * @param {SessionState} session
+ * @param {string} type - SessionJournal.EntryType
+ * @param {Object} payload - See StateChange
+ * @returns {number} The new revision
+ */
+function recordChange(session, type, payload) {
+    session.revision += 1;
+    
+    let changes = stateChanges.get(session.id);
+    if (!changes) {
+        changes = [];
+        stateChanges.set(session.id, changes);
+    }
+    changes.push({ revision: session.revision, type, payload });
+    if (changes.length > MAX_STATE_CHANGES) {
+        changes.shift();
+    }
+    
+    return session.revision;
+}
+
+/**
+ * Current state revision of a session
+ * @param {string} sessionId
+ * @returns {number}
+ */
+function getRevision(sessionId) {
+    const session = getSession(sessionId);
+    return session ? session.revision : 0;
+}
+
+/**
+ * Epoch the session's revisions belong to. Clients send it back with their
+ * last revision; a different one means the change log they were counting
+ * against is gone.
+ * @param {string} sessionId
+ * @returns {string}
+ */
+function getStateEpoch(sessionId) {
+    if (!stateEpochs.has(sessionId)) {
+        stateEpochs.set(sessionId, crypto.randomBytes(6).toString('hex'));
+    }
+    return stateEpochs.get(sessionId);
+}
+
+/**
+ * Whether a viewer may see a change (whispers and the GM's schedule are private)
+ * @param {StateChange} change
+ * @param {UserState|null} viewer
+ * @returns {boolean}
+ */
+function isChangeVisibleTo(change, viewer) {
+    switch (change.type) {
+        case SessionJournal.EntryType.CHAT:
+            return isChatVisibleTo(change.payload.entry, viewer);
+        case SessionJournal.EntryType.EVENT_SCHEDULED:
+        case SessionJournal.EntryType.EVENT_REMOVED:
+        case SessionJournal.EntryType.EVENTS_FIRED:
+            return !!viewer && viewer.role === 'gm';
+        default:
+            return true;
+    }
+}
+
+/**
+ * Changes a client missed since the revision it last saw, as the viewer may
+ * see them
+ * @param {string} sessionId
+ * @param {number} revision - Last revision the client applied
+ * @param {string|null} epoch - Epoch that revision came with (see getStateEpoch)
+ * @param {UserState|null} viewer
+ * @returns {StateChange[]|null} Oldest first; null if the client needs a full
+ *   STATE_SYNC (too far behind, a snapshot restore or server restart since,
+ *   or a revision this session never had)
+ */
+function getChangesSince(sessionId, revision, epoch, viewer = null) {
+    const session = getSession(sessionId);
+    if (!session || !Number.isInteger(revision) || revision < 0 || revision > session.revision) {
+        return null;
+    }
+    if (epoch !== getStateEpoch(sessionId)) return null;
+    
+    const changes = stateChanges.get(sessionId) || [];
+    const oldest = changes.length > 0 ? changes[0].revision : session.revision + 1;
+    if (revision + 1 < oldest) return null;
+    
+    return changes
+        .filter(change => change.revision > revision && isChangeVisibleTo(change, viewer))
+        .map(change => change.type === SessionJournal.EntryType.CHAT
+            ? { ...change, payload: { entry: toPublicChatEntry(change.payload.entry) } }
+            : change);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// STATE MANAGEMENT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Update session scene
+ * @param {string} sessionId
+ * @param {string} sceneId
+ * @param {Object|null} [actor]
+ */
+function setScene(sessionId, sceneId, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return;
+    
+    session.currentScene = sceneId;
+    session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.SCENE_CHANGED, { scene: sceneId });
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.SCENE_CHANGED, { scene: sceneId }, actor);
+    
+    console.log('[SessionManager] Scene changed:', sceneId);
+}
+
+/**
+ * Update NPC state
+ * @param {string} sessionId
+ * @param {string} npcId
+ * @param {Partial<NPCState>} updates
+ * @param {Object|null} [actor]
+ */
+function updateNPCState(sessionId, npcId, updates, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return;
+    
+    if (!session.npcStates[npcId]) {
+        session.npcStates[npcId] = {
+            id: npcId,
+            status: 'alive',
+            currentStress: 0,
+            wounds: 0,
+            conditions: [],
+            customData: {},
+        };
+    }
+    
+    Object.assign(session.npcStates[npcId], updates);
+    session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.NPC_UPDATED, { npcId, updates });
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.NPC_UPDATED, { npcId, updates }, actor);
+}
+
+/**
+ * Get NPC state
  * @param {string} sessionId
  * @param {string} npcId
  * @returns {NPCState|null}
@@ -394,14 +1094,17 @@ function getAllNPCStates(sessionId) {
  * @param {string} sessionId
  * @param {string} key
  * @param {boolean|string} value
+ * @param {Object|null} [actor]
  */
-function setFlag(sessionId, key, value) {
+function setFlag(sessionId, key, value, actor = null) {
     const session = getSession(sessionId);
     if (!session) return;
     
     session.flags[key] = value;
     session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.FLAG_SET, { key, value });
     scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.FLAG_SET, { key, value }, actor);
 }
 
 /**
@@ -419,72 +1122,602 @@ function getFlags(sessionId) {
  * Update campaign clock
  * @param {string} sessionId
  * @param {Object} clock - { day, time }
+ * @param {Object|null} [actor]
  */
-function setCampaignClock(sessionId, clock) {
+function setCampaignClock(sessionId, clock, actor = null) {
     const session = getSession(sessionId);
     if (!session) return;
     
     session.campaignClock = clock;
     session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.CLOCK_SET, { clock });
     scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.CLOCK_SET, { clock }, actor);
+}
+
+/**
+ * Get campaign clock
+ * @param {string} sessionId
+ * @returns {Object|null} { day, time }
+ */
+function getCampaignClock(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    return { ...session.campaignClock };
 }
 
 /**
- * Add chat message to history
+ * Add an entry to the session chat log.
+ * Covers player/GM chat, whispers, rolls and system announcements.
  * @param {string} sessionId
- * @param {Object} message
+ * @param {Object} message - { kind, name, role, text, type, visibility, participants, ... }
+ * @returns {ChatEntry|null} The stored entry with its ID and timestamp
  */
 function addChatMessage(sessionId, message) {
     const session = getSession(sessionId);
-    if (!session) return;
+    if (!session) return null;
     
-    session.chatHistory.push({
+    const entry = {
+        kind: 'chat',
+        visibility: 'public',
         ...message,
+        id: `msg_${crypto.randomBytes(8).toString('hex')}`,
         timestamp: message.timestamp || Date.now(),
-    });
+    };
     
-    // Keep only last 100 messages
-    if (session.chatHistory.length > 100) {
-        session.chatHistory = session.chatHistory.slice(-100);
+    session.chatHistory.push(entry);
+    
+    // Keep a full evening's worth of log, drop the oldest beyond that
+    if (session.chatHistory.length > MAX_CHAT_HISTORY) {
+        session.chatHistory = session.chatHistory.slice(-MAX_CHAT_HISTORY);
     }
     
     session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.CHAT, { entry });
     scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.CHAT, { entry: toPublicChatEntry(entry) },
+        entry.name ? { name: entry.name, role: entry.role } : null);
+    
+    return entry;
 }
 
 /**
- * Get chat history
+ * Check whether a chat entry may be shown to a user.
+ * Public entries are visible to everyone; whispers only to their
+ * participants and to GMs.
+ * @param {ChatEntry} entry
+ * @param {UserState|null} viewer - null means an anonymous viewer
+ * @returns {boolean}
+ */
+function isChatVisibleTo(entry, viewer) {
+    if (entry.visibility !== 'whisper') return true;
+    if (!viewer) return false;
+    if (viewer.role === 'gm') return true;
+    return Array.isArray(entry.participants) && entry.participants.includes(viewer.token);
+}
+
+/**
+ * Strip server-only fields (participant tokens) from a chat entry
+ * @param {ChatEntry} entry
+ * @returns {Object}
+ */
+function toPublicChatEntry(entry) {
+    const { participants, ...rest } = entry;
+    return rest;
+}
+
+/**
+ * Get chat history visible to a viewer
  * @param {string} sessionId
  * @param {number} limit
+ * @param {UserState|null} viewer - Filters out whispers the viewer is not part of
  * @returns {Array}
  */
-function getChatHistory(sessionId, limit = 50) {
+function getChatHistory(sessionId, limit = 50, viewer = null) {
+    return getChatPage(sessionId, { limit, viewer }).messages;
+}
+
+/**
+ * Get one page of chat history, newest last.
+ * @param {string} sessionId
+ * @param {Object} options
+ * @param {string|null} options.before - Only entries older than this entry ID
+ * @param {number} options.limit - Page size
+ * @param {UserState|null} options.viewer - Filters out whispers the viewer is not part of
+ * @returns {{ messages: Array, hasMore: boolean }}
+ */
+function getChatPage(sessionId, { before = null, limit = 50, viewer = null } = {}) {
     const session = getSession(sessionId);
-    if (!session) return [];
-    return session.chatHistory.slice(-limit);
+    if (!session) return { messages: [], hasMore: false };
+    
+    let entries = session.chatHistory.filter(entry => isChatVisibleTo(entry, viewer));
+    
+    if (before) {
+        const index = entries.findIndex(entry => entry.id === before);
+        if (index >= 0) {
+            entries = entries.slice(0, index);
+        }
+    }
+    
+    const page = entries.slice(-limit);
+    return {
+        messages: page.map(toPublicChatEntry),
+        hasMore: entries.length > page.length,
+    };
+}
+
+/**
+ * Record a server-generated roll in the session
+ * @param {string} sessionId
+ * @param {Object} roll - { name, role, expression, rolls, modifier, total, ... }
+ * @returns {RollRecord|null} The stored roll with its ID and timestamp
+ */
+function addRoll(sessionId, roll) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    
+    // Sessions saved before rolls were tracked have no history yet
+    if (!session.rollHistory) {
+        session.rollHistory = [];
+    }
+    
+    const record = {
+        ...roll,
+        id: `roll_${crypto.randomBytes(8).toString('hex')}`,
+        timestamp: Date.now(),
+    };
+    
+    session.rollHistory.push(record);
+    
+    // Keep only the latest rolls
+    if (session.rollHistory.length > MAX_ROLL_HISTORY) {
+        session.rollHistory = session.rollHistory.slice(-MAX_ROLL_HISTORY);
+    }
+    
+    session.updatedAt = Date.now();
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.ROLL, { roll: record },
+        { name: record.name, role: record.role });
+    
+    return record;
+}
+
+/**
+ * Get roll history
+ * @param {string} sessionId
+ * @param {number} limit
+ * @returns {RollRecord[]}
+ */
+function getRollHistory(sessionId, limit = 50) {
+    const session = getSession(sessionId);
+    if (!session || !session.rollHistory) return [];
+    return session.rollHistory.slice(-limit);
 }
 
 /**
  * Get full session state for reconnection
  * @param {string} sessionId
+ * @param {UserState|null} viewer - User the state is for (filters whispers)
  * @returns {Object}
  */
-function getSessionState(sessionId) {
+function getSessionState(sessionId, viewer = null) {
     const session = getSession(sessionId);
     if (!session) return null;
     
+    const chatPage = getChatPage(sessionId, { limit: 50, viewer });
+    
     return {
+        revision: session.revision,
+        epoch: getStateEpoch(sessionId),
         currentScene: session.currentScene,
         npcStates: session.npcStates,
         flags: session.flags,
         campaignClock: session.campaignClock,
-        chatHistory: session.chatHistory.slice(-50),
+        ...(viewer && viewer.role === 'gm' ? { scheduledEvents: session.scheduledEvents } : {}),
+        documents: session.documents,
+        chatHistory: chatPage.messages,
+        chatHistoryHasMore: chatPage.hasMore,
         connectedUsers: Object.values(session.users)
             .filter(u => u.connected)
             .map(u => ({ name: u.name, role: u.role, view: u.view })),
     };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SCHEDULED EVENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Schedule a timeline event. Validate it first with CampaignClock.normalizeEvent.
+ * @param {string} sessionId
+ * @param {Object} event - { at, label, actions }
+ * @param {Object|null} [actor]
+ * @returns {Object|null} The stored event with its ID
+ */
+function addScheduledEvent(sessionId, event, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    
+    const entry = {
+        id: `evt_${crypto.randomBytes(6).toString('hex')}`,
+        ...event,
+        fired: false,
+        createdAt: Date.now(),
+    };
+    
+    session.scheduledEvents.push(entry);
+    session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.EVENT_SCHEDULED, {});
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.EVENT_SCHEDULED, { event: entry }, actor);
+    
+    return entry;
+}
+
+/**
+ * Cancel a scheduled event
+ * @param {string} sessionId
+ * @param {string} eventId
+ * @param {Object|null} [actor]
+ * @returns {boolean} Whether the event existed
+ */
+function removeScheduledEvent(sessionId, eventId, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return false;
+    
+    const before = session.scheduledEvents.length;
+    session.scheduledEvents = session.scheduledEvents.filter(e => e.id !== eventId);
+    if (session.scheduledEvents.length === before) return false;
+    
+    session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.EVENT_REMOVED, {});
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.EVENT_REMOVED, { id: eventId }, actor);
+    return true;
+}
+
+/**
+ * Get all scheduled events (fired and pending)
+ * @param {string} sessionId
+ * @returns {Object[]}
+ */
+function getScheduledEvents(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return [];
+    return session.scheduledEvents.map(e => ({ ...e }));
+}
+
+/**
+ * Mark events as fired so they never fire twice, even across restarts
+ * @param {string} sessionId
+ * @param {string[]} eventIds
+ * @param {Object} clock - Clock value that fired them
+ */
+function markEventsFired(sessionId, eventIds, clock) {
+    const session = getSession(sessionId);
+    if (!session || eventIds.length === 0) return;
+    
+    for (const event of session.scheduledEvents) {
+        if (eventIds.includes(event.id)) {
+            event.fired = true;
+            event.firedAt = { ...clock };
+        }
+    }
+    session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.EVENTS_FIRED, {});
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.EVENTS_FIRED, { ids: eventIds, clock });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SNAPSHOTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} id - Unique snapshot ID
+ * @property {string} name - GM-given name
+ * @property {string|null} createdBy - Display name of the GM who saved it
+ * @property {number} createdAt
+ * @property {SnapshotState} state
+ */
+
+/**
+ * @typedef {Object} SnapshotState
+ * @property {string|null} currentScene
+ * @property {Object<string, boolean|string>} flags
+ * @property {Object<string, NPCState>} npcStates
+ * @property {Object} campaignClock - { day, time }
+ * @property {Object[]} scheduledEvents - Restored too, so rewinding the clock re-arms events
+ * @property {Object<string, Object>} characters - Character ID → `derived` stats
+ */
+
+/**
+ * Deep copy plain JSON data
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneJSON(value) {
+    return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Character IDs bound to users of a session (see UserState.characterId)
+ * @param {string} sessionId
+ * @returns {string[]}
+ */
+function getSessionCharacterIds(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return [];
+    const ids = Object.values(session.users).map(u => u.characterId).filter(Boolean);
+    return [...new Set(ids)];
+}
+
+/**
+ * Summarize a snapshot for listings (no state)
+ * @param {Snapshot} snapshot
+ * @returns {Object}
+ */
+function toSnapshotSummary(snapshot) {
+    return {
+        id: snapshot.id,
+        name: snapshot.name,
+        createdBy: snapshot.createdBy,
+        createdAt: snapshot.createdAt,
+        currentScene: snapshot.state.currentScene,
+        campaignClock: snapshot.state.campaignClock,
+        characterCount: Object.keys(snapshot.state.characters).length,
+    };
+}
+
+/**
+ * Capture the restorable part of a session as it is now
+ * @param {string} sessionId
+ * @param {Object<string, Object>} [characters] - Character ID → derived stats (read by the caller)
+ * @returns {SnapshotState|null}
+ */
+function captureSnapshotState(sessionId, characters = {}) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    
+    return cloneJSON({
+        currentScene: session.currentScene,
+        flags: session.flags,
+        npcStates: session.npcStates,
+        campaignClock: session.campaignClock,
+        scheduledEvents: session.scheduledEvents,
+        characters,
+    });
+}
+
+/**
+ * Save a named snapshot of a session
+ * @param {string} sessionId
+ * @param {Object} options
+ * @param {string} options.name
+ * @param {string|null} [options.createdBy]
+ * @param {Object<string, Object>} [options.characters] - Character ID → derived stats
+ * @param {Object|null} [actor]
+ * @returns {Object|null} Snapshot summary
+ */
+function createSnapshot(sessionId, { name, createdBy = null, characters = {} }, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    
+    const snapshot = {
+        id: `snap_${crypto.randomBytes(6).toString('hex')}`,
+        name: String(name).trim().slice(0, MAX_SNAPSHOT_NAME_LENGTH),
+        createdBy,
+        createdAt: Date.now(),
+        state: captureSnapshotState(sessionId, characters),
+    };
+    
+    session.snapshots.push(snapshot);
+    if (session.snapshots.length > MAX_SNAPSHOTS) {
+        session.snapshots = session.snapshots.slice(-MAX_SNAPSHOTS);
+    }
+    
+    session.updatedAt = Date.now();
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.SNAPSHOT_CREATED, {
+        id: snapshot.id,
+        name: snapshot.name,
+    }, actor);
+    
+    return toSnapshotSummary(snapshot);
+}
+
+/**
+ * List a session's snapshots, newest first
+ * @param {string} sessionId
+ * @returns {Object[]} Snapshot summaries
+ */
+function listSnapshots(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return [];
+    return [...session.snapshots].reverse().map(toSnapshotSummary);
+}
+
+/**
+ * Get a full snapshot
+ * @param {string} sessionId
+ * @param {string} snapshotId
+ * @returns {Snapshot|null}
+ */
+function getSnapshot(sessionId, snapshotId) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    const snapshot = session.snapshots.find(s => s.id === snapshotId);
+    return snapshot ? cloneJSON(snapshot) : null;
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} sessionId
+ * @param {string} snapshotId
+ * @returns {boolean} Whether the snapshot existed
+ */
+function deleteSnapshot(sessionId, snapshotId) {
+    const session = getSession(sessionId);
+    if (!session) return false;
+    
+    const before = session.snapshots.length;
+    session.snapshots = session.snapshots.filter(s => s.id !== snapshotId);
+    if (session.snapshots.length === before) return false;
+    
+    session.updatedAt = Date.now();
+    scheduleSave(sessionId);
+    return true;
+}
+
+/**
+ * Roll a session back to a snapshot. Character stats are returned for the
+ * caller to write back, since character files live outside the session.
+ * @param {string} sessionId
+ * @param {string} snapshotId
+ * @param {Object|null} [actor]
+ * @returns {SnapshotState|null} The restored state
+ */
+function restoreSnapshot(sessionId, snapshotId, actor = null) {
+    const session = getSession(sessionId);
+    const snapshot = session && session.snapshots.find(s => s.id === snapshotId);
+    if (!snapshot) return null;
+    
+    const state = cloneJSON(snapshot.state);
+    session.currentScene = state.currentScene;
+    session.flags = state.flags;
+    session.npcStates = state.npcStates;
+    session.campaignClock = state.campaignClock;
+    session.scheduledEvents = state.scheduledEvents;
+    session.updatedAt = Date.now();
+    
+    // Too much changed to patch; everyone gets a full STATE_SYNC
+    session.revision += 1;
+    stateChanges.delete(sessionId);
+    stateEpochs.delete(sessionId);
+    scheduleSave(sessionId);
+    
+    // The journal carries the restored state so replay doesn't need the snapshot
+    const { characters, ...journaled } = state;
+    SessionJournal.append(sessionId, SessionJournal.EntryType.SNAPSHOT_RESTORED, {
+        id: snapshot.id,
+        name: snapshot.name,
+        state: journaled,
+    }, actor);
+    
+    return state;
+}
+
+/**
+ * List the differences between two snapshot states
+ * @param {*} before
+ * @param {*} after
+ * @param {string} [prefix] - Path of the values being compared
+ * @returns {Array<{ path: string, from: *, to: * }>} from/to are undefined when added/removed
+ */
+function diffSnapshotStates(before, after, prefix = '') {
+    const isObject = v => v !== null && typeof v === 'object' && !Array.isArray(v);
+    
+    if (isObject(before) && isObject(after)) {
+        const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+        return keys.flatMap(key =>
+            diffSnapshotStates(before[key], after[key], prefix ? `${prefix}.${key}` : key)
+        );
+    }
+    
+    // Arrays (wounds, scheduled events) and scalars are compared whole
+    if (JSON.stringify(before) === JSON.stringify(after)) return [];
+    return [{ path: prefix, from: before, to: after }];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DOCUMENTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} SessionDocument
+ * @property {string} id - Unique document ID
+ * @property {string} kind - 'recap'
+ * @property {string} title
+ * @property {string} markdown - Source as the GM wrote it
+ * @property {string} html - Rendered for browsers
+ * @property {string} text - Rendered for the player terminal
+ * @property {string|null} publishedBy - Display name of the GM
+ * @property {number} publishedAt
+ */
+
+/**
+ * Publish a document to everyone in the session
+ * @param {string} sessionId
+ * @param {Object} document - { kind, title, markdown, html, text }
+ * @param {Object|null} [actor]
+ * @returns {SessionDocument|null}
+ */
+function addDocument(sessionId, document, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return null;
+    
+    const entry = {
+        id: `doc_${crypto.randomBytes(6).toString('hex')}`,
+        kind: document.kind,
+        title: String(document.title).trim().slice(0, MAX_DOCUMENT_TITLE_LENGTH),
+        markdown: document.markdown,
+        html: document.html,
+        text: document.text,
+        publishedBy: actor ? actor.name : null,
+        publishedAt: Date.now(),
+    };
+    
+    session.documents.push(entry);
+    if (session.documents.length > MAX_DOCUMENTS) {
+        session.documents = session.documents.slice(-MAX_DOCUMENTS);
+    }
+    
+    session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.DOCUMENT_PUBLISHED, { document: entry });
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.DOCUMENT_PUBLISHED, {
+        id: entry.id,
+        kind: entry.kind,
+        title: entry.title,
+    }, actor);
+    
+    return entry;
+}
+
+/**
+ * List a session's published documents, oldest first
+ * @param {string} sessionId
+ * @returns {SessionDocument[]}
+ */
+function listDocuments(sessionId) {
+    const session = getSession(sessionId);
+    if (!session) return [];
+    return session.documents.map(d => ({ ...d }));
+}
+
+/**
+ * Unpublish a document
+ * @param {string} sessionId
+ * @param {string} documentId
+ * @param {Object|null} [actor]
+ * @returns {boolean} Whether the document existed
+ */
+function deleteDocument(sessionId, documentId, actor = null) {
+    const session = getSession(sessionId);
+    if (!session) return false;
+    
+    const before = session.documents.length;
+    session.documents = session.documents.filter(d => d.id !== documentId);
+    if (session.documents.length === before) return false;
+    
+    session.updatedAt = Date.now();
+    recordChange(session, SessionJournal.EntryType.DOCUMENT_REMOVED, { id: documentId });
+    scheduleSave(sessionId);
+    SessionJournal.append(sessionId, SessionJournal.EntryType.DOCUMENT_REMOVED, { id: documentId }, actor);
+    return true;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // PERSISTENCE
 // ═══════════════════════════════════════════════════════════════════════════
@@ -518,6 +1751,9 @@ function saveSession(sessionId) {
     
     const filePath = path.join(SESSIONS_DIR, `${sessionId}.json`);
     
+    // Entries after this are replayed onto the file if the next save never happens
+    session.journalSeq = SessionJournal.lastSeq(sessionId);
+    
     try {
         fs.writeFileSync(filePath, JSON.stringify(session, null, 2));
         console.log('[SessionManager] Saved session:', sessionId);
@@ -538,6 +1774,7 @@ function saveAllSessions() {
         }
         saveSession(sessionId);
     }
+    SessionJournal.flush();
     console.log('[SessionManager] Saved all sessions');
 }
 
@@ -545,11 +1782,10 @@ function saveAllSessions() {
  * Clean up expired sessions
  */
 function cleanupExpiredSessions() {
-    const now = Date.now();
     let cleaned = 0;
     
     for (const [sessionId, session] of sessions) {
-        if (now - session.updatedAt > SESSION_EXPIRY_MS) {
+        if (isExpired(session)) {
             deleteSession(sessionId);
             cleaned++;
         }
@@ -571,17 +1807,39 @@ module.exports = {
     
     // Session management
     getOrCreateSession,
+    createSession,
     getSession,
+    findSessionByJoinCode,
+    updateSession,
+    listSessions,
+    toSessionSummary,
     deleteSession,
+    isValidSessionId,
+    
+    // GM credentials & audit
+    getGMSecret,
+    setGMSecret,
+    addAuditEntry,
+    getAuditLog,
     
     // User/token management
     generateToken,
     registerUser,
     validateToken,
     updateUser,
+    assignCharacter,
     disconnectUser,
     reconnectUser,
     
+    // Session characters
+    addSessionCharacter,
+    forgetCharacter,
+    
+    // State revisions
+    getRevision,
+    getStateEpoch,
+    getChangesSince,
+    
     // State management
     setScene,
     updateNPCState,
@@ -590,10 +1848,35 @@ module.exports = {
     setFlag,
     getFlags,
     setCampaignClock,
+    getCampaignClock,
     addChatMessage,
     getChatHistory,
+    getChatPage,
+    addRoll,
+    getRollHistory,
     getSessionState,
     
+    // Scheduled events
+    addScheduledEvent,
+    removeScheduledEvent,
+    getScheduledEvents,
+    markEventsFired,
+    
+    // Snapshots
+    getSessionCharacterIds,
+    captureSnapshotState,
+    createSnapshot,
+    listSnapshots,
+    getSnapshot,
+    deleteSnapshot,
+    restoreSnapshot,
+    diffSnapshotStates,
+    
+    // Documents
+    addDocument,
+    listDocuments,
+    deleteDocument,
+    
     // Constants
     SESSION_EXPIRY_MS,
 };
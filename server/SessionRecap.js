@@ -0,0 +1,330 @@
+/**
+ * SessionRecap - "Previously on..." recaps built from the session journal
+ *
+ * Handles:
+ * - Summarizing a time window of journal entries: scenes visited, flags
+ *   changed, clues discovered, notable rolls, NPC changes and key chat lines
+ * - Rendering the summary as Markdown for the GM to edit
+ * - Converting (edited) Markdown to HTML and to plain terminal text
+ *
+ * The recap is a draft: nothing is stored until the GM publishes it as a
+ * session document (see SessionManager.addDocument).
+ */
+
+const SessionJournal = require('./SessionJournal');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_KEY_CHAT_LINES = 15;
+const KEY_CHAT_MIN_LENGTH = 40; // Shorter player lines are table talk
+const CRIT_SIDES = 20;
+const MAX_DOCUMENT_LENGTH = 20000; // Characters of Markdown a published recap may have
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BUILDING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} Recap
+ * @property {string} title
+ * @property {number|null} since
+ * @property {number|null} until
+ * @property {Object|null} clockFrom - Campaign clock at the start of the window
+ * @property {Object|null} clockTo - Campaign clock at the end of the window
+ * @property {Array<{ id: string, title: string }>} scenes - In visiting order
+ * @property {Array<{ key: string, from: *, to: * }>} flags - Net changes only
+ * @property {Array<{ id: string, name: string, description: string }>} clues
+ * @property {Array<{ name: string, expression: string, total: number, label: string|null, note: string }>} rolls
+ * @property {Array<{ npcId: string, changes: Array<{ field: string, from: *, to: * }> }>} npcs
+ * @property {Array<{ name: string|null, text: string }>} chat
+ */
+
+/**
+ * Explain why a roll is worth mentioning
+ * @param {Object} roll - RollRecord
+ * @returns {string|null} e.g. "critical success", or null for an ordinary roll
+ */
+function describeNotableRoll(roll) {
+    if (roll.sides === CRIT_SIDES && roll.rolls.length === 1) {
+        if (roll.rolls[0] === CRIT_SIDES) return 'critical success';
+        if (roll.rolls[0] === 1) return 'critical failure';
+    }
+    if (typeof roll.dc === 'number' && roll.total < roll.dc) {
+        return `failed DC ${roll.dc}`;
+    }
+    return null;
+}
+
+/**
+ * Decide whether a chat line belongs in the recap. Announcements and GM
+ * narration always do; players' longer public lines do too.
+ * @param {Object} entry - ChatEntry
+ * @returns {boolean}
+ */
+function isKeyChatLine(entry) {
+    if (entry.visibility === 'whisper') return false;
+    if (entry.kind === 'system') return !/^Scene changed to:/.test(entry.text);
+    if (entry.kind !== 'chat') return false;
+    return entry.role === 'gm' || entry.text.length >= KEY_CHAT_MIN_LENGTH;
+}
+
+/**
+ * Find the clues a flag unlocks: a clue is discovered when a flag named
+ * after it, or after one of its `unlocked_by` triggers, becomes truthy.
+ * @param {Object[]} clues - Adventure guide clues.content
+ * @param {string} key
+ * @returns {Object[]}
+ */
+function cluesForFlag(clues, key) {
+    return clues.filter(clue =>
+        clue.id === key || (Array.isArray(clue.unlocked_by) && clue.unlocked_by.includes(key))
+    );
+}
+
+/**
+ * Summarize a window of journal entries
+ * @param {Object[]} entries - Journal entries inside the window, oldest first
+ * @param {Object} options
+ * @param {string} options.title
+ * @param {Object} options.startState - SessionJournal.replay() up to the window start
+ * @param {number|null} [options.since]
+ * @param {number|null} [options.until]
+ * @param {function(string): string} [options.sceneTitle] - Scene ID → display title
+ * @param {Object[]} [options.clues] - Adventure guide clues
+ * @returns {Recap}
+ */
+function buildRecap(entries, { title, startState, since = null, until = null, sceneTitle = id => id, clues = [] }) {
+    // Game state moves with the same reducer replay uses
+    const state = JSON.parse(JSON.stringify(startState));
+
+    const scenes = [];
+    const discovered = new Map();
+    const rolls = [];
+    const chat = [];
+
+    for (const entry of entries) {
+        const p = entry.payload || {};
+        SessionJournal.applyEntry(state, entry);
+
+        switch (entry.type) {
+            case 'scene.changed':
+                if (scenes.length === 0 || scenes[scenes.length - 1].id !== p.scene) {
+                    scenes.push({ id: p.scene, title: sceneTitle(p.scene) });
+                }
+                break;
+
+            case 'flag.set':
+                if (p.value) {
+                    for (const clue of cluesForFlag(clues, p.key)) {
+                        discovered.set(clue.id, { id: clue.id, name: clue.name, description: clue.description });
+                    }
+                }
+                break;
+
+            case 'roll': {
+                const note = describeNotableRoll(p.roll);
+                if (note) {
+                    rolls.push({
+                        name: p.roll.name,
+                        expression: p.roll.expression,
+                        total: p.roll.total,
+                        label: p.roll.label || null,
+                        note,
+                    });
+                }
+                break;
+            }
+
+            case 'chat.message':
+                if (isKeyChatLine(p.entry)) {
+                    chat.push({ name: p.entry.kind === 'system' ? null : p.entry.name, text: p.entry.text });
+                }
+                break;
+        }
+    }
+
+    const flagsBefore = startState.flags;
+    const flagChanges = [...new Set([...Object.keys(flagsBefore), ...Object.keys(state.flags)])]
+        .filter(key => state.flags[key] !== flagsBefore[key])
+        .map(key => ({ key, from: flagsBefore[key], to: state.flags[key] }));
+
+    const npcs = Object.keys(state.npcStates).map(npcId => {
+        const before = startState.npcStates[npcId] || SessionJournal.newNPCState(npcId);
+        const after = state.npcStates[npcId];
+        const changes = Object.keys(after)
+            .filter(field => field !== 'id' && JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+            .map(field => ({ field, from: before[field], to: after[field] }));
+        return { npcId, changes };
+    }).filter(npc => npc.changes.length > 0);
+
+    return {
+        title,
+        since,
+        until,
+        clockFrom: startState.campaignClock,
+        clockTo: state.campaignClock,
+        scenes,
+        flags: flagChanges,
+        clues: [...discovered.values()],
+        rolls,
+        npcs,
+        chat: chat.slice(-MAX_KEY_CHAT_LINES),
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RENDERING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Format a value for a "from → to" line
+ * @param {*} value
+ * @returns {string}
+ */
+function formatValue(value) {
+    if (value === undefined || value === null) return 'unset';
+    return typeof value === 'string' ? value : JSON.stringify(value);
+}
+
+/**
+ * Render a recap as Markdown
+ * @param {Recap} recap
+ * @returns {string}
+ */
+function toMarkdown(recap) {
+    const lines = [`# ${recap.title}`, ''];
+
+    if (recap.clockFrom && recap.clockTo) {
+        const from = `Day ${recap.clockFrom.day}, ${recap.clockFrom.time}`;
+        const to = `Day ${recap.clockTo.day}, ${recap.clockTo.time}`;
+        lines.push(from === to ? `_${from}_` : `_${from} to ${to}_`, '');
+    }
+
+    const section = (heading, items) => {
+        if (items.length === 0) return;
+        lines.push(`## ${heading}`, '', ...items, '');
+    };
+
+    section('Scenes', recap.scenes.map(s => `- ${s.title}`));
+    section('Clues Discovered', recap.clues.map(c => `- **${c.name}**: ${c.description}`));
+    section('Notable Rolls', recap.rolls.map(r =>
+        `- ${r.name} rolled ${r.expression} = ${r.total}${r.label ? ` (${r.label})` : ''}: ${r.note}`));
+    section('People', recap.npcs.map(n =>
+        `- **${n.npcId}**: ${n.changes.map(c => `${c.field} ${formatValue(c.from)} → ${formatValue(c.to)}`).join(', ')}`));
+    section('Changes', recap.flags.map(f => `- ${f.key}: ${formatValue(f.from)} → ${formatValue(f.to)}`));
+    section('Key Moments', recap.chat.map(c => c.name ? `> **${c.name}:** ${c.text}` : `> ${c.text}`));
+
+    if (lines.length <= 4) {
+        lines.push('Nothing happened in this window.', '');
+    }
+
+    return lines.join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render **bold** and _italic_ inside an escaped line
+ * @param {string} text
+ * @returns {string}
+ */
+function inlineHTML(text) {
+    return escapeHTML(text)
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1<em>$2</em>');
+}
+
+/**
+ * Convert the Markdown subset recaps use (headings, lists, quotes,
+ * paragraphs, bold, italic) to HTML. Anything else is escaped as text.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToHTML(markdown) {
+    const html = [];
+    let open = null; // 'ul' | 'blockquote' | 'p'
+
+    const close = () => {
+        if (open) html.push(`</${open}>`);
+        open = null;
+    };
+    const ensure = (tag) => {
+        if (open !== tag) {
+            close();
+            html.push(`<${tag}>`);
+            open = tag;
+        }
+    };
+
+    for (const line of markdown.split('\n')) {
+        const heading = line.match(/^(#{1,3})\s+(.*)$/);
+        if (heading) {
+            close();
+            const level = heading[1].length;
+            html.push(`<h${level}>${inlineHTML(heading[2])}</h${level}>`);
+        } else if (/^[-*]\s+/.test(line)) {
+            ensure('ul');
+            html.push(`<li>${inlineHTML(line.replace(/^[-*]\s+/, ''))}</li>`);
+        } else if (/^>\s?/.test(line)) {
+            ensure('blockquote');
+            html.push(`<p>${inlineHTML(line.replace(/^>\s?/, ''))}</p>`);
+        } else if (line.trim() === '') {
+            close();
+        } else {
+            ensure('p');
+            html.push(inlineHTML(line));
+        }
+    }
+    close();
+
+    return html.join('\n');
+}
+
+/**
+ * Convert Markdown to plain text for the player terminal: headings are
+ * upper-cased, list markers become bullets, emphasis markers are dropped.
+ * @param {string} markdown
+ * @returns {string}
+ */
+function markdownToText(markdown) {
+    return markdown.split('\n').map(line => {
+        const heading = line.match(/^#{1,3}\s+(.*)$/);
+        if (heading) return heading[1].toUpperCase();
+        return line
+            .replace(/^[-*]\s+/, '• ')
+            .replace(/^>\s?/, '  ')
+            .replace(/\*\*(.+?)\*\*/g, '$1')
+            .replace(/(^|\W)_(.+?)_(?=\W|$)/g, '$1$2');
+    }).join('\n');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Building
+    buildRecap,
+    describeNotableRoll,
+
+    // Rendering
+    toMarkdown,
+    markdownToHTML,
+    markdownToText,
+
+    // Constants
+    MAX_DOCUMENT_LENGTH,
+};
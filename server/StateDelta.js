@@ -0,0 +1,114 @@
+/**
+ * StateDelta - Catch-up patches for clients that reconnect
+ *
+ * Handles:
+ * - Turning the changes a client missed (SessionManager.getChangesSince) into
+ *   the messages it would have received live, so clients apply them with the
+ *   handlers they already have
+ * - Keeping only the newest scene, clock and schedule (the older values were
+ *   overwritten before the client came back)
+ * - Collecting missed chat, rolls and system lines as chatHistory, which
+ *   clients replay and deduplicate like the chat log in STATE_SYNC
+ */
+
+const SessionJournal = require('./SessionJournal');
+const SessionManager = require('./SessionManager');
+const CampaignClock = require('./CampaignClock');
+const { MessageType } = require('./SyncProtocol');
+
+const { EntryType } = SessionJournal;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Messages that carry a whole value rather than a change to it
+const LATEST_ONLY = new Set([MessageType.SCENE_CHANGE, MessageType.CLOCK, MessageType.CLOCK_SCHEDULE]);
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PATCHES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * @typedef {Object} StatePatch
+ * @property {number} fromRevision - Revision the client last saw
+ * @property {number} revision - Revision the client is at after applying it
+ * @property {string} epoch - Epoch of the revisions (SessionManager.getStateEpoch)
+ * @property {Array<{ type: string, data: Object }>} patches - Missed messages, oldest first
+ * @property {Object[]} chatHistory - Missed chat log entries, oldest first
+ */
+
+/**
+ * The message a change was sent live with
+ * @param {string} sessionId
+ * @param {import('./SessionManager').StateChange} change
+ * @returns {{ type: string, data: Object }|null}
+ */
+function toMessage(sessionId, change) {
+    const { payload } = change;
+
+    switch (change.type) {
+        case EntryType.SCENE_CHANGED:
+            return { type: MessageType.SCENE_CHANGE, data: { from: null, scene: payload.scene, isRestore: true } };
+        case EntryType.NPC_UPDATED:
+            return { type: MessageType.NPC_STATE, data: { from: null, npcId: payload.npcId, ...payload.updates } };
+        case EntryType.FLAG_SET:
+            return { type: MessageType.FLAG_UPDATE, data: { from: null, key: payload.key, value: payload.value } };
+        case EntryType.CLOCK_SET:
+            return { type: MessageType.CLOCK, data: { ...payload.clock } };
+        case EntryType.EVENT_SCHEDULED:
+        case EntryType.EVENT_REMOVED:
+        case EntryType.EVENTS_FIRED:
+            return {
+                type: MessageType.CLOCK_SCHEDULE,
+                data: { events: CampaignClock.sortEvents(SessionManager.getScheduledEvents(sessionId)) }
+            };
+        case EntryType.DOCUMENT_PUBLISHED:
+            return { type: MessageType.DOCUMENT, data: { action: 'published', document: payload.document } };
+        case EntryType.DOCUMENT_REMOVED:
+            return { type: MessageType.DOCUMENT, data: { action: 'removed', id: payload.id } };
+        default:
+            return null;
+    }
+}
+
+/**
+ * Build the STATE_PATCH for a client
+ * @param {string} sessionId
+ * @param {number} fromRevision - Revision the client sent
+ * @param {import('./SessionManager').StateChange[]} changes - From SessionManager.getChangesSince
+ * @returns {StatePatch}
+ */
+function build(sessionId, fromRevision, changes) {
+    const messages = [];
+    const chatHistory = [];
+
+    for (const change of changes) {
+        if (change.type === EntryType.CHAT) {
+            chatHistory.push(change.payload.entry);
+            continue;
+        }
+        const message = toMessage(sessionId, change);
+        if (message) messages.push(message);
+    }
+
+    const patches = messages.filter((message, index) =>
+        !LATEST_ONLY.has(message.type) || !messages.slice(index + 1).some(later => later.type === message.type)
+    );
+
+    return {
+        fromRevision,
+        revision: SessionManager.getRevision(sessionId),
+        epoch: SessionManager.getStateEpoch(sessionId),
+        patches,
+        chatHistory,
+    };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    build,
+};
@@ -0,0 +1,93 @@
+/**
+ * SyncProtocol - The socket message contract shared by server and clients
+ *
+ * Handles:
+ * - Loading shared/sync-protocol.json: message names, error codes and the
+ *   protocol version
+ * - Version negotiation for sync:join
+ * - The same contract as a script for the player client (window.SyncProtocol)
+ *
+ * The GM overlay imports the JSON at build time, so an old build keeps the
+ * version it was built with and is turned away once the protocol moves on.
+ * Bump `version` for any change a client built against the previous one
+ * would get wrong; raise `minVersion` when the server stops supporting it.
+ */
+
+const protocol = require('../shared/sync-protocol.json');
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+const VERSION = protocol.version;
+const MIN_VERSION = protocol.minVersion;
+
+// Clients from before versioning don't send one
+const LEGACY_VERSION = 1;
+
+const MessageType = Object.freeze({ ...protocol.messageTypes });
+const ErrorCode = Object.freeze({ ...protocol.errorCodes });
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NEGOTIATION
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Check the version a client sent with sync:join
+ * @param {*} clientVersion - Integer, or undefined for old clients
+ * @returns {string|null} Why the client can't join, or null if it can
+ */
+function checkVersion(clientVersion) {
+    const version = clientVersion === undefined || clientVersion === null ? LEGACY_VERSION : clientVersion;
+    if (!Number.isInteger(version)) return 'Protocol version must be an integer';
+
+    if (version < MIN_VERSION) {
+        return `This client is out of date (sync protocol v${version}, server needs v${MIN_VERSION}` +
+            `${MIN_VERSION === VERSION ? '' : `-v${VERSION}`}). Reload the page; if that doesn't help, rebuild the client.`;
+    }
+    if (version > VERSION) {
+        return `This client is newer than the server (sync protocol v${version}, server speaks v${VERSION}). Restart the server with the current code.`;
+    }
+    return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CLIENT SCRIPT
+// ═══════════════════════════════════════════════════════════════════════════
+
+const clientScript = [
+    '// Generated by server/SyncProtocol.js from shared/sync-protocol.json',
+    `const SyncProtocol = Object.freeze(${JSON.stringify({
+        VERSION,
+        MIN_VERSION,
+        MessageType,
+        ErrorCode,
+    }, null, 4)});`,
+    '',
+].join('\n');
+
+/**
+ * The contract as a classic script for the player client
+ * @returns {string} JavaScript source defining the SyncProtocol global
+ */
+function getClientScript() {
+    return clientScript;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+    // Negotiation
+    checkVersion,
+
+    // Client script
+    getClientScript,
+
+    // Constants
+    VERSION,
+    MIN_VERSION,
+    MessageType,
+    ErrorCode,
+};
@@ -6,6 +6,27 @@ const path = require('path');
 const multer = require('multer');
 const fs = require('fs');
 const SessionManager = require('./SessionManager');
+const DiceRoller = require('./DiceRoller');
+const GMAuth = require('./GMAuth');
+const CampaignClock = require('./CampaignClock');
+const SessionJournal = require('./SessionJournal');
+const SessionRecap = require('./SessionRecap');
+const CharacterSync = require('./CharacterSync');
+const SceneProjection = require('./SceneProjection');
+const ContentValidator = require('./ContentValidator');
+const AdventureGraph = require('./AdventureGraph');
+const DifficultySimulator = require('./DifficultySimulator');
+const ContentWatcher = require('./ContentWatcher');
+const ContentIndex = require('./ContentIndex');
+const AdventureContent = require('./AdventureContent');
+const AdventureRegistry = require('./AdventureRegistry');
+const ModuleExport = require('./ModuleExport');
+const AdventureBundle = require('./AdventureBundle');
+const MessageValidator = require('./MessageValidator');
+const SyncProtocol = require('./SyncProtocol');
+const MessageReceipts = require('./MessageReceipts');
+const StateDelta = require('./StateDelta');
+const { requireAuth, getAuthContext, canReadAdventure, canGMCharacter, Policy, AuthErrorCode } = require('./ApiAuth');
 
 const app = express();
 
@@ -38,8 +59,15 @@ const sceneImageUpload = multer({
         }
     }
 });
+
+// Adventure archives are checked in memory before anything touches assets/
+const bundleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: AdventureBundle.MAX_BUNDLE_BYTES }
+});
 const httpServer = createServer(app);
-const io = new Server(httpServer);
+const io = new Server(httpServer, { maxHttpBufferSize: MessageValidator.MAX_PACKET_BYTES });
+const { MessageType, ErrorCode } = SyncProtocol;
 
 const PORT = process.env.PORT || 3000;
 
@@ -48,15 +76,142 @@ app.use(express.json());
 
 // Ensure characters directory exists
 const charactersDir = path.join(__dirname, '../assets/characters/players');
+
+function characterExists(id) {
+    return fs.existsSync(path.join(charactersDir, `${id}.json`));
+}
+
+/**
+ * Read a player character file
+ * @param {string} id
+ * @returns {Object|null} null if missing or unreadable
+ */
+function readCharacter(id) {
+    const charFile = path.join(charactersDir, `${id}.json`);
+    if (!fs.existsSync(charFile)) return null;
+    try {
+        return JSON.parse(fs.readFileSync(charFile, 'utf8'));
+    } catch (err) {
+        console.error(`[Server] Could not read character ${id}:`, err.message);
+        return null;
+    }
+}
+
+/**
+ * Write a player character file, stamping meta.lastModified
+ * @param {Object} character - Must have an id
+ */
+function writeCharacter(character) {
+    character.meta = character.meta || {};
+    character.meta.lastModified = new Date().toISOString();
+    fs.writeFileSync(path.join(charactersDir, `${character.id}.json`), JSON.stringify(character, null, 2));
+}
+
+/**
+ * Read the derived stats (stress, wounds, armor) of several characters
+ * @param {string[]} ids
+ * @returns {Object<string, Object>} Character ID → derived; unreadable characters are skipped
+ */
+function readCharacterDerived(ids) {
+    const result = {};
+    for (const id of ids) {
+        try {
+            const character = JSON.parse(fs.readFileSync(path.join(charactersDir, `${id}.json`), 'utf8'));
+            if (character.derived) result[id] = character.derived;
+        } catch (err) {
+            console.warn(`[Server] Could not read character ${id} for snapshot:`, err.message);
+        }
+    }
+    return result;
+}
+
+/**
+ * Write derived stats back into character files (snapshot restore)
+ * @param {Object<string, Object>} derivedById - Character ID → derived
+ * @returns {string[]} IDs that were written
+ */
+function writeCharacterDerived(derivedById) {
+    const written = [];
+    for (const [id, derived] of Object.entries(derivedById)) {
+        const charFile = path.join(charactersDir, `${id}.json`);
+        try {
+            if (!fs.existsSync(charFile)) continue;
+            const character = JSON.parse(fs.readFileSync(charFile, 'utf8'));
+            character.derived = derived;
+            character.meta = character.meta || {};
+            character.meta.lastModified = new Date().toISOString();
+            fs.writeFileSync(charFile, JSON.stringify(character, null, 2));
+            written.push(id);
+        } catch (err) {
+            console.error(`[Server] Could not restore character ${id}:`, err.message);
+        }
+    }
+    return written;
+}
+
+// GM material (manifests, reports, guides, exports) of the adventure in the URL
+const isAdventureGM = Policy.adventureGM(req => req.params.adventureId);
+
+/**
+ * Adventure whose manifest names a guide
+ * @param {string} guideId
+ * @returns {string|null} Adventure ID, or null if no adventure uses the guide
+ */
+function getGuideAdventureId(guideId) {
+    return AdventureRegistry.listAdventureIds().find(id => {
+        const adventure = ContentIndex.getAdventure(id);
+        return adventure && adventure.guide === guideId;
+    }) || null;
+}
+
+// Guides are GM material of the adventure that uses them; unused guides are admin only
+const isGuideGM = Policy.adventureGM(req => getGuideAdventureId(req.params.id));
+
+// Players may only change the character bound to their token; GMs the ones
+// played in their session, admins any
+const canEditCharacter = Policy.characterOwnerOrGM(
+    req => req.params.id || (req.body && req.body.id),
+    characterExists
+);
+
+/**
+ * Refuse character IDs that aren't safe file names before a route builds a
+ * path from them (see CharacterSync.isValidCharacterId)
+ */
+function requireCharacterId(req, res, next) {
+    const id = req.params.id !== undefined ? req.params.id : req.body && req.body.id;
+    if (!CharacterSync.isValidCharacterId(id)) {
+        return res.status(400).json({ error: 'Invalid character ID' });
+    }
+    next();
+}
 if (!fs.existsSync(charactersDir)) {
     fs.mkdirSync(charactersDir, { recursive: true });
 }
 
+// The sync protocol contract, as a script for the player client
+app.get('/js/core/sync-protocol.js', (req, res) => {
+    res.type('application/javascript').send(SyncProtocol.getClientScript());
+});
+
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Serve assets from assets directory
-app.use('/assets', express.static(path.join(__dirname, '../assets')));
+// Serve assets from assets directory: images only. Content JSON (GM notes,
+// NPC secrets, terminal passwords) goes out through the API, which checks
+// who is asking and projects it for players.
+app.use('/assets', (req, res, next) => {
+    let file;
+    try {
+        file = decodeURIComponent(req.path);
+    } catch (err) {
+        return res.status(400).end();
+    }
+    if (path.extname(file).toLowerCase() === '.json') {
+        return res.status(404).end();
+    }
+    next();
+}, express.static(path.join(__dirname, '../assets')));
 
 // Serve music files
 app.use('/music', express.static(path.join(__dirname, '../music')));
@@ -140,7 +295,7 @@ app.get('/api/characters', (req, res) => {
 });
 
 // Get a specific character
-app.get('/api/characters/:id', (req, res) => {
+app.get('/api/characters/:id', requireCharacterId, (req, res) => {
     const charFile = path.join(charactersDir, `${req.params.id}.json`);
     
     try {
@@ -158,20 +313,27 @@ app.get('/api/characters/:id', (req, res) => {
 });
 
 // Save a new character or update existing
-app.post('/api/characters', (req, res) => {
+app.post('/api/characters', requireCharacterId, requireAuth(canEditCharacter), (req, res) => {
     try {
         const character = req.body;
-        
-        if (!character.id) {
-            return res.status(400).json({ error: 'Character ID required' });
+        const created = !characterExists(character.id);
+        writeCharacter(character);
+        
+        // A new character belongs to the session it was made in; a player
+        // who creates one owns it from then on
+        const { user, token, session } = req.auth;
+        if (created) {
+            SessionManager.addSessionCharacter(session.id, character.id, user);
+        }
+        const claimed = user.role !== 'gm' && !user.characterId;
+        if (claimed) {
+            SessionManager.assignCharacter(token, character.id);
+            broadcastPresence(session.id);
         }
         
-        // Update last modified timestamp
-        character.meta = character.meta || {};
-        character.meta.lastModified = new Date().toISOString();
-        
-        const charFile = path.join(charactersDir, `${character.id}.json`);
-        fs.writeFileSync(charFile, JSON.stringify(character, null, 2));
+        // Everyone bound to it gets the new sheet; the caller already has it,
+        // unless they just claimed it and their client doesn't know yet
+        pushCharacterUpdate(character, claimed ? {} : { by: user, exceptToken: token });
         
         console.log(`[Server] Saved character: ${character.name} (${character.id})`);
         res.json({ success: true, id: character.id });
@@ -182,7 +344,7 @@ app.post('/api/characters', (req, res) => {
 });
 
 // Update an existing character
-app.put('/api/characters/:id', (req, res) => {
+app.put('/api/characters/:id', requireCharacterId, requireAuth(canEditCharacter), (req, res) => {
     const charFile = path.join(charactersDir, `${req.params.id}.json`);
     
     try {
@@ -192,10 +354,8 @@ app.put('/api/characters/:id', (req, res) => {
         
         const character = req.body;
         character.id = req.params.id; // Ensure ID matches
-        character.meta = character.meta || {};
-        character.meta.lastModified = new Date().toISOString();
-        
-        fs.writeFileSync(charFile, JSON.stringify(character, null, 2));
+        writeCharacter(character);
+        pushCharacterUpdate(character, { by: req.auth.user, exceptToken: req.auth.token });
         
         console.log(`[Server] Updated character: ${character.name} (${character.id})`);
         res.json({ success: true, id: character.id });
@@ -206,7 +366,7 @@ app.put('/api/characters/:id', (req, res) => {
 });
 
 // Delete a character
-app.delete('/api/characters/:id', (req, res) => {
+app.delete('/api/characters/:id', requireCharacterId, requireAuth(canEditCharacter), (req, res) => {
     const charFile = path.join(charactersDir, `${req.params.id}.json`);
     
     try {
@@ -215,6 +375,7 @@ app.delete('/api/characters/:id', (req, res) => {
         }
         
         fs.unlinkSync(charFile);
+        SessionManager.forgetCharacter(req.params.id, req.auth.user);
         console.log(`[Server] Deleted character: ${req.params.id}`);
         res.json({ success: true });
     } catch (err) {
@@ -263,116 +424,317 @@ app.get('/api/portraits', (req, res) => {
     }
 });
 
-// API endpoint to list available scenes
-app.get('/api/scenes', (req, res) => {
-    const fs = require('fs');
-    const scenesDir = path.join(__dirname, '../assets/scene_backgrounds');
+/**
+ * Who is asking for scenes, terminals or documents. GMs get their adventure's
+ * files in full (admins get every file); players and anonymous callers get
+ * SceneProjection's redacted form, with whatever their session has revealed.
+ * @param {Object} req - Express request
+ * @returns {Object|null} { role, admin, adventureId, flags, npcStates }, or null without a valid token
+ */
+function getSceneViewer(req) {
+    const auth = getAuthContext(req);
+    if (!auth) return null;
+    return {
+        role: auth.user.role,
+        admin: !!auth.user.admin,
+        adventureId: auth.session.adventureId || null,
+        flags: auth.session.flags || {},
+        npcStates: auth.session.npcStates || {}
+    };
+}
+
+/**
+ * Adventure the caller's session is bound to. Content lists only include its
+ * files; callers without a token, or in a session with no adventure, get
+ * everything.
+ * @param {Object} req - Express request
+ * @returns {Object|null} The adventure's manifest (see AdventureRegistry), or null
+ */
+function getSessionAdventure(req) {
+    const auth = getAuthContext(req);
+    if (!auth || !auth.session.adventureId) return null;
+    return ContentIndex.getAdventure(auth.session.adventureId);
+}
+
+/**
+ * Keep the content files that belong to the caller's adventure
+ * @param {string[]} files - File names in one content directory
+ * @param {Object|null} adventure - From getSessionAdventure
+ * @param {string} list - Manifest list: 'scenes' | 'npcs' | 'terminals' | 'documents' | 'programs'
+ * @returns {string[]}
+ */
+function filterAdventureFiles(files, adventure, list) {
+    return files.filter(f => AdventureRegistry.includes(adventure, list, path.basename(f, '.json')));
+}
+
+/**
+ * Keep the indexed content that belongs to the caller's adventure
+ * @param {Object[]} entries - ContentIndex.list() entries of one kind
+ * @param {Object|null} adventure - From getSessionAdventure
+ * @param {string} list - Manifest list: 'scenes' | 'npcs' | 'terminals' | 'documents' | 'programs'
+ * @returns {Object[]}
+ */
+function filterAdventureEntries(entries, adventure, list) {
+    return entries.filter(entry => AdventureRegistry.includes(adventure, list, entry.id));
+}
+
+/**
+ * Read ?fields=a,b into req.fields (null means every field). Content routes
+ * use it so list views can skip narratives and other long text.
+ */
+function selectableFields(req, res, next) {
+    try {
+        req.fields = ContentIndex.parseFields(req.query.fields);
+        next();
+    } catch (err) {
+        res.status(400).json({ error: err.message });
+    }
+}
+
+/**
+ * Send content with cache validators. Clients revalidate every time and get
+ * a 304 when the response they would get is unchanged. The body depends on
+ * the session (adventure scoping, GM or player view), hence Vary.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object|Object[]} body - One item or a list; req.fields is applied to each item
+ * @param {Date} lastModified - From ContentIndex.lastModified
+ */
+function sendContent(req, res, body, lastModified) {
+    const selected = Array.isArray(body)
+        ? body.map(item => ContentIndex.selectFields(item, req.fields))
+        : ContentIndex.selectFields(body, req.fields);
+    const json = JSON.stringify(selected);
+
+    res.set({
+        'Cache-Control': 'private, no-cache',
+        'Vary': 'X-Session-Token',
+        'ETag': ContentIndex.etag(json),
+        'Last-Modified': lastModified.toUTCString()
+    });
+    if (req.fresh) {
+        return res.status(304).end();
+    }
+    res.type('json').send(json);
+}
+
+/**
+ * Order scenes by adventure, act, chapter, scene
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {number}
+ */
+function compareScenes(a, b) {
+    if (a.adventure !== b.adventure) return String(a.adventure).localeCompare(String(b.adventure));
+    if (a.act !== b.act) return a.act - b.act;
+    if (a.chapter !== b.chapter) return a.chapter - b.chapter;
+    return a.scene - b.scene;
+}
+
+/**
+ * The viewer a content file is projected for: a session's GM reads other
+ * adventures' files as a player would
+ * @param {Object|null} viewer - From getSceneViewer
+ * @param {string} list - Manifest list: 'scenes' | 'terminals' | 'documents'
+ * @param {string} id - File ID
+ * @returns {Object|null}
+ */
+function viewerFor(viewer, list, id) {
+    const outsideAdventure = viewer && viewer.role === 'gm' && !viewer.admin && viewer.adventureId
+        && !AdventureRegistry.includes(ContentIndex.getAdventure(viewer.adventureId) || { [list]: [] }, list, id);
+    return outsideAdventure ? { ...viewer, role: 'player' } : viewer;
+}
+
+/**
+ * A scene as one viewer may see it
+ * @param {Object} scene - Indexed scene document
+ * @param {Object|null} viewer - From getSceneViewer
+ * @returns {Object}
+ */
+function viewScene(scene, viewer) {
+    return SceneProjection.projectScene({
+        ...scene,
+        imageUrl: `/assets/scene_backgrounds/${scene.image}`
+    }, viewerFor(viewer, 'scenes', scene.id));
+}
+
+// API endpoint to list available scenes (only the session's adventure, if it has one)
+app.get('/api/scenes', selectableFields, (req, res) => {
+    const viewer = getSceneViewer(req);
+    const entries = filterAdventureEntries(ContentIndex.list('scene'), getSessionAdventure(req), 'scenes');
+    const scenes = entries.map(entry => viewScene(entry.data, viewer)).sort(compareScenes);
     
+    sendContent(req, res, scenes, ContentIndex.lastModified(entries, 'scene'));
+});
+
+// API endpoint to list the adventures a session can be bound to
+app.get('/api/adventures', (req, res) => {
     try {
-        const files = fs.readdirSync(scenesDir)
-            .filter(f => f.endsWith('.json'));
-        
-        const scenes = files.map(f => {
-            try {
-                const content = fs.readFileSync(path.join(scenesDir, f), 'utf8');
-                const scene = JSON.parse(content);
-                return {
-                    ...scene,
-                    imageUrl: `/assets/scene_backgrounds/${scene.image}`
-                };
-            } catch (err) {
-                console.error(`Error reading scene ${f}:`, err);
-                return null;
-            }
-        }).filter(s => s !== null);
-        
-        // Sort by adventure, act, chapter, scene
-        scenes.sort((a, b) => {
-            if (a.adventure !== b.adventure) return a.adventure.localeCompare(b.adventure);
-            if (a.act !== b.act) return a.act - b.act;
-            if (a.chapter !== b.chapter) return a.chapter - b.chapter;
-            return a.scene - b.scene;
-        });
-        
-        res.json(scenes);
+        res.json(AdventureRegistry.listAdventures());
     } catch (err) {
-        console.error('Error listing scenes:', err);
-        res.json([]);
+        console.error('Error listing adventures:', err);
+        res.status(500).json({ error: 'Failed to list adventures' });
+    }
+});
+
+// API endpoint to get an adventure's manifest
+// The content lists name NPCs and documents players haven't met yet, so it is GM only
+app.get('/api/adventures/:adventureId', requireAuth(isAdventureGM), (req, res) => {
+    const adventure = AdventureRegistry.getAdventure(req.params.adventureId);
+    if (!adventure) {
+        return res.status(404).json({ error: 'Adventure not found' });
     }
+    res.json(adventure);
 });
 
 // API endpoint to get adventure guide (for GM validation in simulation)
-app.get('/api/adventures/:adventureId/guide', (req, res) => {
-    const fs = require('fs');
-    const adventuresDir = path.join(__dirname, '../assets/adventures');
-    const adventureId = req.params.adventureId;
-    const guideFile = path.join(adventuresDir, `${adventureId}_Guide.json`);
+// Flags, clues and secrets: GM of the adventure only
+app.get('/api/adventures/:adventureId/guide', requireAuth(isAdventureGM), selectableFields, (req, res) => {
+    const adventure = ContentIndex.getAdventure(req.params.adventureId);
+    const entry = adventure && adventure.guide && ContentIndex.get('guide', adventure.guide);
     
+    if (!entry) {
+        return res.status(404).json({ error: 'Guide not found' });
+    }
+    sendContent(req, res, entry.data, ContentIndex.lastModified([entry]));
+});
+
+// API endpoint to get scenes for a specific adventure
+app.get('/api/adventures/:adventureId/scenes', selectableFields, (req, res) => {
+    const adventure = ContentIndex.getAdventure(req.params.adventureId);
+    const viewer = getSceneViewer(req);
+    
+    if (!adventure) {
+        return res.json([]);
+    }
+    
+    const entries = filterAdventureEntries(ContentIndex.list('scene'), adventure, 'scenes');
+    const scenes = entries.map(entry => viewScene(entry.data, viewer)).sort(compareScenes);
+    
+    sendContent(req, res, scenes, ContentIndex.lastModified(entries, 'scene'));
+});
+
+// API endpoint to validate an adventure's content files (schema and cross-references)
+// The report names flags and documents players shouldn't see yet, so it is GM only
+app.get('/api/adventures/:adventureId/validate', requireAuth(isAdventureGM), (req, res) => {
     try {
-        if (fs.existsSync(guideFile)) {
-            const content = fs.readFileSync(guideFile, 'utf8');
-            const guide = JSON.parse(content);
-            res.json(guide);
-        } else {
-            res.status(404).json({ error: 'Guide not found' });
+        const report = ContentValidator.validateAdventure(req.params.adventureId);
+        if (!report) {
+            return res.status(404).json({ error: 'Adventure not found' });
         }
+        res.json(report);
     } catch (err) {
-        console.error('Error loading adventure guide:', err);
-        res.status(500).json({ error: 'Failed to load guide' });
+        console.error('Error validating adventure:', err);
+        res.status(500).json({ error: 'Failed to validate adventure' });
     }
 });
 
-// API endpoint to get scenes for a specific adventure
-app.get('/api/adventures/:adventureId/scenes', (req, res) => {
-    const fs = require('fs');
-    const scenesDir = path.join(__dirname, '../assets/scene_backgrounds');
-    const adventureId = req.params.adventureId;
-    
+// API endpoint to analyze an adventure's scene graph (dead ends, soft locks, unset flags)
+// Like validation, the report lists every exit condition and flag, so it is GM only
+app.get('/api/adventures/:adventureId/graph', requireAuth(isAdventureGM), (req, res) => {
     try {
-        const files = fs.readdirSync(scenesDir)
-            .filter(f => f.startsWith(adventureId) && f.endsWith('.json'));
-        
-        const scenes = files.map(f => {
-            try {
-                const content = fs.readFileSync(path.join(scenesDir, f), 'utf8');
-                const scene = JSON.parse(content);
-                return {
-                    ...scene,
-                    imageUrl: `/assets/scene_backgrounds/${scene.image}`
-                };
-            } catch (err) {
-                console.error(`Error reading scene ${f}:`, err);
-                return null;
-            }
-        }).filter(s => s !== null);
-        
-        // Sort by act, chapter, scene
-        scenes.sort((a, b) => {
-            if (a.act !== b.act) return a.act - b.act;
-            if (a.chapter !== b.chapter) return a.chapter - b.chapter;
-            return a.scene - b.scene;
+        const report = AdventureGraph.analyzeAdventure(req.params.adventureId);
+        if (!report) {
+            return res.status(404).json({ error: 'Adventure not found' });
+        }
+        res.json(report);
+    } catch (err) {
+        console.error('Error analyzing adventure graph:', err);
+        res.status(500).json({ error: 'Failed to analyze adventure' });
+    }
+});
+
+// API endpoint to simulate an adventure for one character: ?character=<id>&runs=<n>&seed=<n>
+// Reports per-challenge success rates, path completion odds and HIGH_RISK exits
+app.get('/api/adventures/:adventureId/difficulty', requireAuth(isAdventureGM), (req, res) => {
+    const characterId = req.query.character;
+    const character = CharacterSync.isValidCharacterId(characterId) ? readCharacter(characterId) : null;
+    if (!character) {
+        return res.status(404).json({ error: 'Character not found' });
+    }
+
+    try {
+        const report = DifficultySimulator.simulateAdventure(req.params.adventureId, character, {
+            runs: req.query.runs !== undefined ? Number(req.query.runs) : undefined,
+            seed: req.query.seed !== undefined ? Number(req.query.seed) : undefined,
         });
-        
-        res.json(scenes);
+        if (!report) {
+            return res.status(404).json({ error: 'Adventure not found' });
+        }
+        res.json(report);
     } catch (err) {
-        console.error('Error listing adventure scenes:', err);
-        res.status(500).json({ error: 'Failed to load scenes' });
+        console.error('Error simulating adventure:', err);
+        res.status(500).json({ error: 'Failed to simulate adventure' });
     }
 });
 
-// API endpoint to get a specific scene
-app.get('/api/scenes/:id', (req, res) => {
-    const scenesDir = path.join(__dirname, '../assets/scene_backgrounds');
-    const sceneFile = path.join(scenesDir, `${req.params.id}.json`);
-    
+// API endpoint to download an adventure as one archive (manifest, content, images, portraits)
+// The archive holds GM notes and secrets, so it is GM only
+app.get('/api/adventures/:adventureId/bundle', requireAuth(isAdventureGM), (req, res) => {
     try {
-        const content = fs.readFileSync(sceneFile, 'utf8');
-        const scene = JSON.parse(content);
-        scene.imageUrl = `/assets/scene_backgrounds/${scene.image}`;
-        res.json(scene);
+        const bundle = AdventureBundle.exportBundle(req.params.adventureId);
+        if (!bundle) {
+            return res.status(404).json({ error: 'Adventure not found' });
+        }
+        if (bundle.metadata.missing.length > 0) {
+            console.warn(`[AdventureBundle] ${req.params.adventureId}: referenced files not found:`, bundle.metadata.missing.join(', '));
+        }
+        res.type('application/zip')
+            .attachment(`${req.params.adventureId}.zip`)
+            .send(bundle.archive);
+    } catch (err) {
+        console.error('Error exporting adventure bundle:', err);
+        res.status(500).json({ error: 'Failed to export adventure' });
+    }
+});
+
+// API endpoint to check or install an adventure archive (server admin only: it writes shared content)
+// Body: multipart/form-data with 'bundle' (the .zip), optional 'install' and 'overwrite' ("true")
+// Without install it only reports: validation, collisions with installed files, problems
+app.post('/api/adventures/import', requireAuth(Policy.admin), (req, res, next) => {
+    bundleUpload.single('bundle')(req, res, (err) => {
+        if (err) {
+            return res.status(400).json({ error: err.code === 'LIMIT_FILE_SIZE' ? 'Bundle is too large' : err.message });
+        }
+        next();
+    });
+}, (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'No bundle file provided' });
+    }
+
+    const install = req.body.install === 'true';
+    const overwrite = req.body.overwrite === 'true';
+
+    let report;
+    try {
+        report = install
+            ? AdventureBundle.installBundle(req.file.buffer, { overwrite })
+            : AdventureBundle.checkBundle(req.file.buffer);
     } catch (err) {
-        res.status(404).json({ error: 'Scene not found' });
+        return res.status(400).json({ error: `Cannot read bundle: ${err.message}` });
+    }
+
+    // Don't wait for the watcher: the GM reloads the adventure list right away
+    report.written.forEach(ContentIndex.refreshFile);
+    
+    if (!report.installable) {
+        return res.status(422).json(report);
+    }
+    if (install && !report.installed) {
+        return res.status(409).json(report);
+    }
+    res.json(report);
+});
+
+// API endpoint to get a specific scene
+// GMs (by session token) get the full document, everyone else the player projection
+app.get('/api/scenes/:id', selectableFields, (req, res) => {
+    const entry = ContentIndex.get('scene', req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Scene not found' });
     }
+    sendContent(req, res, viewScene(entry.data, getSceneViewer(req)), ContentIndex.lastModified([entry]));
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -383,11 +745,12 @@ app.get('/api/scenes/:id', (req, res) => {
  * Upload or replace a scene's background image
  * POST /api/scenes/:sceneId/image
  * Body: multipart/form-data with 'image' field
+ * Server admin only (X-Session-Token of a GM logged in with GM_PASSWORD).
  * 
  * The image will be saved with the scene ID as filename (e.g., AChangeOfHeart_Act_01_Chapter_01_Scene_01.png)
  * and the scene JSON will be updated to reference it.
  */
-app.post('/api/scenes/:sceneId/image', sceneImageUpload.single('image'), (req, res) => {
+app.post('/api/scenes/:sceneId/image', requireAuth(Policy.admin), sceneImageUpload.single('image'), (req, res) => {
     const sceneId = req.params.sceneId;
     const scenesDir = path.join(__dirname, '../assets/scene_backgrounds');
     const sceneFile = path.join(scenesDir, `${sceneId}.json`);
@@ -422,6 +785,7 @@ app.post('/api/scenes/:sceneId/image', sceneImageUpload.single('image'), (req, r
         // Update scene JSON with new image filename
         scene.image = newImage;
         fs.writeFileSync(sceneFile, JSON.stringify(scene, null, 2));
+        ContentIndex.refresh('scene', sceneId);
         
         console.log(`[SceneImage] Updated scene ${sceneId} with image: ${newImage}`);
         
@@ -441,10 +805,11 @@ app.post('/api/scenes/:sceneId/image', sceneImageUpload.single('image'), (req, r
 /**
  * Remove a scene's background image
  * DELETE /api/scenes/:sceneId/image
+ * Server admin only (X-Session-Token of a GM logged in with GM_PASSWORD).
  * 
  * Deletes the image file and clears the image field in the scene JSON.
  */
-app.delete('/api/scenes/:sceneId/image', (req, res) => {
+app.delete('/api/scenes/:sceneId/image', requireAuth(Policy.admin), (req, res) => {
     const sceneId = req.params.sceneId;
     const scenesDir = path.join(__dirname, '../assets/scene_backgrounds');
     const sceneFile = path.join(scenesDir, `${sceneId}.json`);
@@ -470,6 +835,7 @@ app.delete('/api/scenes/:sceneId/image', (req, res) => {
         // Clear the image field in scene JSON
         delete scene.image;
         fs.writeFileSync(sceneFile, JSON.stringify(scene, null, 2));
+        ContentIndex.refresh('scene', sceneId);
         
         console.log(`[SceneImage] Removed image from scene ${sceneId}`);
         
@@ -486,358 +852,221 @@ app.delete('/api/scenes/:sceneId/image', (req, res) => {
     }
 });
 
-// API endpoint to list adventure guides
-app.get('/api/guides', (req, res) => {
-    const fs = require('fs');
-    const guidesDir = path.join(__dirname, '../assets/adventures');
+// API endpoint to list adventure guides (the ones the caller may read as GM)
+app.get('/api/guides', requireAuth(), selectableFields, (req, res) => {
+    const entries = ContentIndex.list('guide')
+        .filter(entry => !AdventureContent.isManifestFile(path.basename(entry.file)))
+        .filter(entry => canReadAdventure(req.auth, getGuideAdventureId(entry.id)));
+    const guides = entries.map(({ data: guide }) => ({
+        id: guide.id,
+        adventure: guide.adventure,
+        version: guide.version,
+        lastUpdated: guide.lastUpdated,
+        overview: guide.overview
+    }));
     
-    try {
-        if (!fs.existsSync(guidesDir)) {
-            return res.json([]);
-        }
-        
-        const files = fs.readdirSync(guidesDir)
-            .filter(f => f.endsWith('.json'));
-        
-        const guides = files.map(f => {
-            try {
-                const content = fs.readFileSync(path.join(guidesDir, f), 'utf8');
-                const guide = JSON.parse(content);
-                return {
-                    id: guide.id,
-                    adventure: guide.adventure,
-                    version: guide.version,
-                    lastUpdated: guide.lastUpdated,
-                    overview: guide.overview
-                };
-            } catch (err) {
-                console.error(`Error reading guide ${f}:`, err);
-                return null;
-            }
-        }).filter(g => g !== null);
-        
-        res.json(guides);
-    } catch (err) {
-        console.error('Error listing guides:', err);
-        res.json([]);
-    }
+    sendContent(req, res, guides, ContentIndex.lastModified(entries, 'guide'));
 });
 
 // API endpoint to get a specific adventure guide
-app.get('/api/guides/:id', (req, res) => {
-    const fs = require('fs');
-    const guidesDir = path.join(__dirname, '../assets/adventures');
-    const guideFile = path.join(guidesDir, `${req.params.id}.json`);
-    
-    try {
-        const content = fs.readFileSync(guideFile, 'utf8');
-        const guide = JSON.parse(content);
-        res.json(guide);
-    } catch (err) {
-        res.status(404).json({ error: 'Guide not found' });
+app.get('/api/guides/:id', requireAuth(isGuideGM), selectableFields, (req, res) => {
+    const entry = ContentIndex.get('guide', req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Guide not found' });
     }
+    sendContent(req, res, entry.data, ContentIndex.lastModified([entry]));
 });
 
 // API endpoint to get a specific section from a guide
-app.get('/api/guides/:id/section/:sectionId', (req, res) => {
-    const fs = require('fs');
-    const guidesDir = path.join(__dirname, '../assets/adventures');
-    const guideFile = path.join(guidesDir, `${req.params.id}.json`);
+app.get('/api/guides/:id/section/:sectionId', requireAuth(isGuideGM), selectableFields, (req, res) => {
+    const entry = ContentIndex.get('guide', req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Guide not found' });
+    }
     
-    try {
-        const content = fs.readFileSync(guideFile, 'utf8');
-        const guide = JSON.parse(content);
-        
-        const sectionId = req.params.sectionId;
-        if (guide.content && guide.content[sectionId]) {
-            res.json({
-                id: sectionId,
-                ...guide.content[sectionId]
-            });
-        } else {
-            res.status(404).json({ error: 'Section not found' });
-        }
-    } catch (err) {
-        res.status(404).json({ error: 'Guide not found' });
+    const guide = entry.data;
+    const sectionId = req.params.sectionId;
+    if (guide.content && Object.prototype.hasOwnProperty.call(guide.content, sectionId)) {
+        sendContent(req, res, {
+            id: sectionId,
+            ...guide.content[sectionId]
+        }, ContentIndex.lastModified([entry]));
+    } else {
+        res.status(404).json({ error: 'Section not found' });
     }
 });
 
 // API endpoint to get NPC statblock
-// Query param: ?role=gm returns full data, otherwise returns public-only
-app.get('/api/npcs/:id', (req, res) => {
-    const fs = require('fs');
-    const npcsDir = path.join(__dirname, '../assets/characters/npcs');
-    const npcFile = path.join(npcsDir, `${req.params.id}.json`);
-    const isGM = req.query.role === 'gm';
+// GMs of the NPC's adventure (and admins) get full data, everyone else public-only
+app.get('/api/npcs/:id', selectableFields, (req, res) => {
+    const entry = ContentIndex.get('npc', req.params.id);
+    const viewer = getSceneViewer(req);
+    const isGM = !!viewer && viewer.role === 'gm' && (viewer.admin || !viewer.adventureId
+        || AdventureRegistry.includes(ContentIndex.getAdventure(viewer.adventureId) || { npcs: [] }, 'npcs', req.params.id));
     
-    try {
-        const content = fs.readFileSync(npcFile, 'utf8');
-        const npc = JSON.parse(content);
-        
-        // If NPC has public/private structure, filter based on role
-        if (npc.public && npc.private) {
-            if (isGM) {
-                // GM gets everything - flatten public + private
-                res.json({
-                    id: npc.id,
-                    name: npc.name,
-                    type: npc.type,
-                    archetype: npc.archetype,
-                    // Public info
-                    ...npc.public,
-                    // Private info (overwrites public if same keys)
-                    description: npc.private.full_description || npc.public.description,
-                    stats: npc.private.stats,
-                    attributes: npc.private.attributes,
-                    skills: npc.private.skills,
-                    weapons: npc.private.weapons,
-                    abilities: npc.private.abilities,
-                    cyberware: npc.private.cyberware,
-                    behavior: npc.private.behavior,
-                    secrets: npc.private.secrets,
-                    loot: npc.private.loot,
-                    notes: npc.private.gm_notes,
-                    // Mark as full access
-                    _fullAccess: true
-                });
-            } else {
-                // Players only get public info
-                res.json({
-                    id: npc.id,
-                    name: npc.name,
-                    type: npc.type,
-                    archetype: npc.archetype,
-                    ...npc.public,
-                    // Mark as limited access
-                    _fullAccess: false
-                });
-            }
+    if (!entry) {
+        return res.status(404).json({ error: 'NPC not found' });
+    }
+    
+    const npc = entry.data;
+    const send = (body) => sendContent(req, res, body, ContentIndex.lastModified([entry]));
+    
+    // If NPC has public/private structure, filter based on role
+    if (npc.public && npc.private) {
+        if (isGM) {
+            // GM gets everything - flatten public + private
+            send({
+                id: npc.id,
+                name: npc.name,
+                type: npc.type,
+                archetype: npc.archetype,
+                // Public info
+                ...npc.public,
+                // Private info (overwrites public if same keys)
+                description: npc.private.full_description || npc.public.description,
+                stats: npc.private.stats,
+                attributes: npc.private.attributes,
+                skills: npc.private.skills,
+                weapons: npc.private.weapons,
+                abilities: npc.private.abilities,
+                cyberware: npc.private.cyberware,
+                behavior: npc.private.behavior,
+                secrets: npc.private.secrets,
+                loot: npc.private.loot,
+                notes: npc.private.gm_notes,
+                // Mark as full access
+                _fullAccess: true
+            });
         } else {
-            // Legacy format - return as-is (GM only for backwards compat)
-            if (isGM) {
-                res.json(npc);
-            } else {
-                // Return minimal info for legacy NPCs
-                res.json({
-                    id: npc.id,
-                    name: npc.name,
-                    type: npc.type,
-                    description: npc.description,
-                    _fullAccess: false
-                });
-            }
+            // Players only get public info
+            send({
+                id: npc.id,
+                name: npc.name,
+                type: npc.type,
+                archetype: npc.archetype,
+                ...npc.public,
+                // Mark as limited access
+                _fullAccess: false
+            });
+        }
+    } else {
+        // Legacy format - return as-is (GM only for backwards compat)
+        if (isGM) {
+            send(npc);
+        } else {
+            // Return minimal info for legacy NPCs
+            send({
+                id: npc.id,
+                name: npc.name,
+                type: npc.type,
+                description: npc.description,
+                _fullAccess: false
+            });
         }
-    } catch (err) {
-        res.status(404).json({ error: 'NPC not found' });
     }
 });
 
-// API endpoint to list all NPCs
-app.get('/api/npcs', (req, res) => {
-    const fs = require('fs');
-    const npcsDir = path.join(__dirname, '../assets/characters/npcs');
+// API endpoint to list all NPCs (only the session's adventure, if it has one)
+app.get('/api/npcs', selectableFields, (req, res) => {
+    const entries = filterAdventureEntries(ContentIndex.list('npc'), getSessionAdventure(req), 'npcs');
+    const npcs = entries.map(({ data: npc }) => ({
+        id: npc.id,
+        name: npc.name,
+        type: npc.type,
+        archetype: npc.archetype,
+        description: npc.description
+    }));
     
-    try {
-        if (!fs.existsSync(npcsDir)) {
-            return res.json([]);
-        }
-        
-        const files = fs.readdirSync(npcsDir)
-            .filter(f => f.endsWith('.json'));
-        
-        const npcs = files.map(f => {
-            try {
-                const content = fs.readFileSync(path.join(npcsDir, f), 'utf8');
-                const npc = JSON.parse(content);
-                return {
-                    id: npc.id,
-                    name: npc.name,
-                    type: npc.type,
-                    archetype: npc.archetype,
-                    description: npc.description
-                };
-            } catch (err) {
-                console.error(`Error reading NPC ${f}:`, err);
-                return null;
-            }
-        }).filter(n => n !== null);
-        
-        res.json(npcs);
-    } catch (err) {
-        console.error('Error listing NPCs:', err);
-        res.json([]);
-    }
+    sendContent(req, res, npcs, ContentIndex.lastModified(entries, 'npc'));
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
 // TERMINALS API - In-game computer terminals
 // ═══════════════════════════════════════════════════════════════════════════
 
-// API endpoint to list all terminals
-app.get('/api/terminals', (req, res) => {
-    const fs = require('fs');
-    const terminalsDir = path.join(__dirname, '../assets/terminals');
+// API endpoint to list all terminals (only the session's adventure, if it has one)
+app.get('/api/terminals', selectableFields, (req, res) => {
+    const entries = filterAdventureEntries(ContentIndex.list('terminal'), getSessionAdventure(req), 'terminals');
+    const terminals = entries.map(({ data: terminal }) => ({
+        id: terminal.id,
+        name: terminal.name,
+        type: terminal.type,
+        location: terminal.location,
+        adventure: terminal.adventure,
+        description: terminal.description
+    }));
     
-    try {
-        if (!fs.existsSync(terminalsDir)) {
-            return res.json([]);
-        }
-        
-        const files = fs.readdirSync(terminalsDir)
-            .filter(f => f.endsWith('.json'));
-        
-        const terminals = files.map(f => {
-            try {
-                const content = fs.readFileSync(path.join(terminalsDir, f), 'utf8');
-                const terminal = JSON.parse(content);
-                return {
-                    id: terminal.id,
-                    name: terminal.name,
-                    type: terminal.type,
-                    location: terminal.location,
-                    adventure: terminal.adventure,
-                    description: terminal.description
-                };
-            } catch (err) {
-                console.error(`Error reading terminal ${f}:`, err);
-                return null;
-            }
-        }).filter(t => t !== null);
-        
-        res.json(terminals);
-    } catch (err) {
-        console.error('Error listing terminals:', err);
-        res.json([]);
-    }
+    sendContent(req, res, terminals, ContentIndex.lastModified(entries, 'terminal'));
 });
 
 // API endpoint to get a specific terminal
-app.get('/api/terminals/:id', (req, res) => {
-    const fs = require('fs');
-    const terminalsDir = path.join(__dirname, '../assets/terminals');
-    const terminalFile = path.join(terminalsDir, `${req.params.id}.json`);
-    
-    try {
-        const content = fs.readFileSync(terminalFile, 'utf8');
-        const terminal = JSON.parse(content);
-        res.json(terminal);
-    } catch (err) {
-        res.status(404).json({ error: 'Terminal not found' });
+// GMs of its adventure get the full file (events, hack DCs, notes), everyone else the screen
+app.get('/api/terminals/:id', selectableFields, (req, res) => {
+    const entry = ContentIndex.get('terminal', req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Terminal not found' });
     }
+    const viewer = viewerFor(getSceneViewer(req), 'terminals', req.params.id);
+    sendContent(req, res, SceneProjection.projectTerminal(entry.data, viewer), ContentIndex.lastModified([entry]));
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
 // DOCUMENTS API - In-game readable documents
 // ═══════════════════════════════════════════════════════════════════════════
 
-// API endpoint to list all documents
-app.get('/api/documents', (req, res) => {
-    const fs = require('fs');
-    const documentsDir = path.join(__dirname, '../assets/documents');
+// API endpoint to list all documents (only the session's adventure, if it has one)
+app.get('/api/documents', selectableFields, (req, res) => {
+    const entries = filterAdventureEntries(ContentIndex.list('document'), getSessionAdventure(req), 'documents');
+    const documents = entries.map(({ data: doc }) => ({
+        id: doc.id,
+        name: doc.name,
+        type: doc.type,
+        format: doc.format,
+        adventure: doc.adventure,
+        metadata: doc.metadata
+    }));
     
-    try {
-        if (!fs.existsSync(documentsDir)) {
-            return res.json([]);
-        }
-        
-        const files = fs.readdirSync(documentsDir)
-            .filter(f => f.endsWith('.json'));
-        
-        const documents = files.map(f => {
-            try {
-                const content = fs.readFileSync(path.join(documentsDir, f), 'utf8');
-                const doc = JSON.parse(content);
-                return {
-                    id: doc.id,
-                    name: doc.name,
-                    type: doc.type,
-                    format: doc.format,
-                    adventure: doc.adventure,
-                    metadata: doc.metadata
-                };
-            } catch (err) {
-                console.error(`Error reading document ${f}:`, err);
-                return null;
-            }
-        }).filter(d => d !== null);
-        
-        res.json(documents);
-    } catch (err) {
-        console.error('Error listing documents:', err);
-        res.json([]);
-    }
+    sendContent(req, res, documents, ContentIndex.lastModified(entries, 'document'));
 });
 
 // API endpoint to get a specific document
-app.get('/api/documents/:id', (req, res) => {
-    const fs = require('fs');
-    const documentsDir = path.join(__dirname, '../assets/documents');
-    const documentFile = path.join(documentsDir, `${req.params.id}.json`);
-    
-    try {
-        const content = fs.readFileSync(documentFile, 'utf8');
-        const doc = JSON.parse(content);
-        res.json(doc);
-    } catch (err) {
-        res.status(404).json({ error: 'Document not found' });
+// GMs of its adventure get the full file; everyone else the cover, and the
+// content once their session has found it
+app.get('/api/documents/:id', selectableFields, (req, res) => {
+    const entry = ContentIndex.get('document', req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Document not found' });
     }
+    const viewer = viewerFor(getSceneViewer(req), 'documents', req.params.id);
+    sendContent(req, res, SceneProjection.projectDocument(entry.data, viewer), ContentIndex.lastModified([entry]));
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
 // PROGRAMS API - Terminal programs and minigames
 // ═══════════════════════════════════════════════════════════════════════════
 
-// API endpoint to list all programs
-app.get('/api/programs', (req, res) => {
-    const fs = require('fs');
-    const programsDir = path.join(__dirname, '../assets/programs');
+// API endpoint to list all programs (only the session's adventure, if it has one)
+app.get('/api/programs', selectableFields, (req, res) => {
+    const entries = filterAdventureEntries(ContentIndex.list('program'), getSessionAdventure(req), 'programs');
+    const programs = entries.map(({ data: prog }) => ({
+        id: prog.id,
+        name: prog.name,
+        type: prog.type,
+        category: prog.category,
+        adventure: prog.adventure,
+        description: prog.description
+    }));
     
-    try {
-        if (!fs.existsSync(programsDir)) {
-            return res.json([]);
-        }
-        
-        const files = fs.readdirSync(programsDir)
-            .filter(f => f.endsWith('.json'));
-        
-        const programs = files.map(f => {
-            try {
-                const content = fs.readFileSync(path.join(programsDir, f), 'utf8');
-                const prog = JSON.parse(content);
-                return {
-                    id: prog.id,
-                    name: prog.name,
-                    type: prog.type,
-                    category: prog.category,
-                    adventure: prog.adventure,
-                    description: prog.description
-                };
-            } catch (err) {
-                console.error(`Error reading program ${f}:`, err);
-                return null;
-            }
-        }).filter(p => p !== null);
-        
-        res.json(programs);
-    } catch (err) {
-        console.error('Error listing programs:', err);
-        res.json([]);
-    }
+    sendContent(req, res, programs, ContentIndex.lastModified(entries, 'program'));
 });
 
 // API endpoint to get a specific program
-app.get('/api/programs/:id', (req, res) => {
-    const fs = require('fs');
-    const programsDir = path.join(__dirname, '../assets/programs');
-    const programFile = path.join(programsDir, `${req.params.id}.json`);
-    
-    try {
-        const content = fs.readFileSync(programFile, 'utf8');
-        const prog = JSON.parse(content);
-        res.json(prog);
-    } catch (err) {
-        res.status(404).json({ error: 'Program not found' });
+app.get('/api/programs/:id', selectableFields, (req, res) => {
+    const entry = ContentIndex.get('program', req.params.id);
+    if (!entry) {
+        return res.status(404).json({ error: 'Program not found' });
     }
+    sendContent(req, res, entry.data, ContentIndex.lastModified([entry]));
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -846,12 +1075,25 @@ app.get('/api/programs/:id', (req, res) => {
 
 /**
  * Export all adventure data for LLM consumption
- * Returns: world setting, timeline, guide, all scenes, all NPCs, all PCs,
- *          terminals, documents, programs
+ * Returns: world setting, timeline, guide, the adventure's scenes, NPCs,
+ *          terminals, documents and programs (from its manifest), all PCs
+ *
+ * ?format=markdown|html renders the same data as a printable module instead
+ * (see server/ModuleExport.js); the HTML is one self-contained file.
+ * Every format carries GM notes and secrets: GM of the adventure only.
  */
-app.get('/api/export/:adventureId', (req, res) => {
+app.get('/api/export/:adventureId', requireAuth(isAdventureGM), (req, res) => {
     const fs = require('fs');
     const adventureId = req.params.adventureId;
+    const adventure = AdventureRegistry.getAdventure(adventureId);
+    const format = req.query.format || 'json';
+    
+    if (format !== 'json' && !ModuleExport.FORMATS.includes(format)) {
+        return res.status(400).json({ error: `format must be json, ${ModuleExport.FORMATS.join(' or ')}` });
+    }
+    if (!adventure) {
+        return res.status(404).json({ error: 'Adventure not found' });
+    }
     
     // Build the export object
     const exportData = {
@@ -861,9 +1103,9 @@ app.get('/api/export/:adventureId', (req, res) => {
     };
     
     try {
-        // 1. World Setting (if exists)
-        const settingFile = path.join(__dirname, '../assets/adventures/Cyberpunk_World_Setting.json');
-        if (fs.existsSync(settingFile)) {
+        // 1. World Setting (if the adventure names one)
+        const settingFile = adventure.worldSetting && path.join(__dirname, `../assets/adventures/${adventure.worldSetting}.json`);
+        if (settingFile && fs.existsSync(settingFile)) {
             const setting = JSON.parse(fs.readFileSync(settingFile, 'utf8'));
             exportData.sections.push({
                 type: 'world_setting',
@@ -873,8 +1115,8 @@ app.get('/api/export/:adventureId', (req, res) => {
         }
         
         // 2. Adventure Timeline (if exists)
-        const timelineFile = path.join(__dirname, `../assets/adventures/${adventureId}_Timeline.json`);
-        if (fs.existsSync(timelineFile)) {
+        const timelineFile = adventure.timeline && path.join(__dirname, `../assets/adventures/${adventure.timeline}.json`);
+        if (timelineFile && fs.existsSync(timelineFile)) {
             const timeline = JSON.parse(fs.readFileSync(timelineFile, 'utf8'));
             exportData.sections.push({
                 type: 'timeline',
@@ -884,8 +1126,8 @@ app.get('/api/export/:adventureId', (req, res) => {
         }
         
         // 3. Adventure Guide (includes state_tracking, items, clues)
-        const guideFile = path.join(__dirname, `../assets/adventures/${adventureId}_Guide.json`);
-        if (fs.existsSync(guideFile)) {
+        const guideFile = adventure.guide && path.join(__dirname, `../assets/adventures/${adventure.guide}.json`);
+        if (guideFile && fs.existsSync(guideFile)) {
             const guide = JSON.parse(fs.readFileSync(guideFile, 'utf8'));
             exportData.sections.push({
                 type: 'guide',
@@ -927,9 +1169,11 @@ app.get('/api/export/:adventureId', (req, res) => {
         // 4. All Scenes for this adventure
         const scenesDir = path.join(__dirname, '../assets/scene_backgrounds');
         if (fs.existsSync(scenesDir)) {
-            const sceneFiles = fs.readdirSync(scenesDir)
-                .filter(f => f.startsWith(adventureId) && f.endsWith('.json'))
-                .sort(); // Ensure order
+            const sceneFiles = filterAdventureFiles(
+                fs.readdirSync(scenesDir).filter(f => f.endsWith('.json')),
+                adventure,
+                'scenes'
+            ).sort(); // Ensure order
             
             const scenes = sceneFiles.map(f => {
                 try {
@@ -948,10 +1192,10 @@ app.get('/api/export/:adventureId', (req, res) => {
             });
         }
         
-        // 5. All NPCs
+        // 5. The adventure's NPCs
         const npcsDir = path.join(__dirname, '../assets/characters/npcs');
         if (fs.existsSync(npcsDir)) {
-            const npcFiles = fs.readdirSync(npcsDir).filter(f => f.endsWith('.json'));
+            const npcFiles = filterAdventureFiles(fs.readdirSync(npcsDir).filter(f => f.endsWith('.json')), adventure, 'npcs');
             const npcs = npcFiles.map(f => {
                 try {
                     return JSON.parse(fs.readFileSync(path.join(npcsDir, f), 'utf8'));
@@ -992,10 +1236,10 @@ app.get('/api/export/:adventureId', (req, res) => {
             }
         }
         
-        // 7. All Terminals
+        // 7. The adventure's Terminals
         const terminalsDir = path.join(__dirname, '../assets/terminals');
         if (fs.existsSync(terminalsDir)) {
-            const terminalFiles = fs.readdirSync(terminalsDir).filter(f => f.endsWith('.json'));
+            const terminalFiles = filterAdventureFiles(fs.readdirSync(terminalsDir).filter(f => f.endsWith('.json')), adventure, 'terminals');
             const terminals = terminalFiles.map(f => {
                 try {
                     return JSON.parse(fs.readFileSync(path.join(terminalsDir, f), 'utf8'));
@@ -1015,10 +1259,10 @@ app.get('/api/export/:adventureId', (req, res) => {
             }
         }
         
-        // 8. All Documents
+        // 8. The adventure's Documents
         const documentsDir = path.join(__dirname, '../assets/documents');
         if (fs.existsSync(documentsDir)) {
-            const documentFiles = fs.readdirSync(documentsDir).filter(f => f.endsWith('.json'));
+            const documentFiles = filterAdventureFiles(fs.readdirSync(documentsDir).filter(f => f.endsWith('.json')), adventure, 'documents');
             const documents = documentFiles.map(f => {
                 try {
                     return JSON.parse(fs.readFileSync(path.join(documentsDir, f), 'utf8'));
@@ -1038,10 +1282,10 @@ app.get('/api/export/:adventureId', (req, res) => {
             }
         }
         
-        // 9. All Programs
+        // 9. The adventure's Programs
         const programsDir = path.join(__dirname, '../assets/programs');
         if (fs.existsSync(programsDir)) {
-            const programFiles = fs.readdirSync(programsDir).filter(f => f.endsWith('.json'));
+            const programFiles = filterAdventureFiles(fs.readdirSync(programsDir).filter(f => f.endsWith('.json')), adventure, 'programs');
             const programs = programFiles.map(f => {
                 try {
                     return JSON.parse(fs.readFileSync(path.join(programsDir, f), 'utf8'));
@@ -1061,7 +1305,16 @@ app.get('/api/export/:adventureId', (req, res) => {
             }
         }
         
-        res.json(exportData);
+        if (format === 'json') {
+            return res.json(exportData);
+        }
+        
+        const printable = ModuleExport.buildModule(exportData);
+        if (format === 'html') {
+            res.type('html').send(ModuleExport.toHTML(printable));
+        } else {
+            res.attachment(`${adventureId}.md`).type('text/markdown').send(ModuleExport.toMarkdown(printable));
+        }
         
     } catch (err) {
         console.error('Error exporting adventure:', err);
@@ -1105,17 +1358,14 @@ app.get('/api/dice/defaults', (req, res) => {
 });
 
 /**
- * Update GM default dice settings (GM only)
+ * Update GM default dice settings (server admin only)
  * PUT /api/dice/defaults
  * Body: { theme, themeColor, scale, ... }
  * 
  * Sets the default dice appearance for new players.
- * Requires GM authentication (checked via session or header).
+ * Server admin only (X-Session-Token of a GM logged in with GM_PASSWORD).
  */
-app.put('/api/dice/defaults', (req, res) => {
-    // In a real implementation, verify GM authentication here
-    // For now, we'll accept any update
-    
+app.put('/api/dice/defaults', requireAuth(Policy.admin), (req, res) => {
     const allowedFields = [
         'theme', 'themeColor', 'scale', 'gravity', 'mass',
         'friction', 'restitution', 'linearDamping', 'angularDamping',
@@ -1180,6 +1430,451 @@ app.get('/api/dice/themes', (req, res) => {
     }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SESSION MANAGEMENT API - Named sessions (campaigns), join codes, chat log
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * List sessions, most recently used first
+ * GET /api/sessions?includeArchived=true
+ */
+app.get('/api/sessions', (req, res) => {
+    const includeArchived = req.query.includeArchived === 'true';
+    res.json(SessionManager.listSessions({ includeArchived }));
+});
+
+/**
+ * Create a session
+ * POST /api/sessions { name, gmSecret, adventureId? }
+ * Server admin only: the caller picks the new session's GM secret.
+ * The GM secret is stored hashed; GMs log in to the session with it.
+ * adventureId must be one GET /api/adventures lists; the session's content
+ * lists (scenes, NPCs, terminals, documents, programs) are limited to it.
+ */
+app.post('/api/sessions', requireAuth(Policy.admin), (req, res) => {
+    const { name, gmSecret, adventureId } = req.body || {};
+    
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Session name required' });
+    }
+    if (adventureId && !AdventureRegistry.getAdventure(adventureId)) {
+        return res.status(400).json({ error: 'Unknown adventure' });
+    }
+    
+    const secretError = GMAuth.validateNewSecret(gmSecret);
+    if (secretError) {
+        return res.status(400).json({ error: secretError });
+    }
+    
+    const session = SessionManager.createSession({
+        name,
+        adventureId: adventureId || null,
+        gmSecret: GMAuth.hashSecret(gmSecret)
+    });
+    console.log(`[Server] Created session: ${session.name} (${session.id}, code ${session.joinCode})`);
+    res.status(201).json(SessionManager.toSessionSummary(session));
+});
+
+/**
+ * Resolve a join code to its session
+ * GET /api/sessions/by-code/:code
+ */
+app.get('/api/sessions/by-code/:code', (req, res) => {
+    const session = SessionManager.findSessionByJoinCode(req.params.code);
+    if (!session) {
+        return res.status(404).json({ error: 'Unknown join code' });
+    }
+    res.json(SessionManager.toSessionSummary(session));
+});
+
+// Get a specific session
+app.get('/api/sessions/:id', (req, res) => {
+    const session = SessionManager.getSession(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(SessionManager.toSessionSummary(session));
+});
+
+/**
+ * Rename, change adventure, or archive/unarchive a session
+ * PATCH /api/sessions/:id { name?, adventureId?, archived? }
+ * GM of this session only; changing the adventure takes a server admin, since
+ * it decides which adventure's GM material the session's GMs can read.
+ */
+app.patch('/api/sessions/:id', requireAuth(Policy.sessionGM), (req, res) => {
+    const { name, adventureId, archived } = req.body || {};
+    
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        return res.status(400).json({ error: 'Session name cannot be empty' });
+    }
+    if (archived !== undefined && typeof archived !== 'boolean') {
+        return res.status(400).json({ error: 'archived must be true or false' });
+    }
+    if (adventureId && !AdventureRegistry.getAdventure(adventureId)) {
+        return res.status(400).json({ error: 'Unknown adventure' });
+    }
+    const refusal = adventureId !== undefined && Policy.admin(req.auth);
+    if (refusal) {
+        return res.status(403).json({ error: refusal, code: AuthErrorCode.FORBIDDEN });
+    }
+    
+    const session = SessionManager.updateSession(req.params.id, { name, adventureId, archived }, toActor(req.auth.user));
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    console.log(`[Server] Updated session: ${session.name} (${session.id}, ${session.status})`);
+    res.json(SessionManager.toSessionSummary(session));
+});
+
+// Delete a session (GM of this session only; disconnects everyone still in it)
+app.delete('/api/sessions/:id', requireAuth(Policy.sessionGM), (req, res) => {
+    const sessionId = req.params.id;
+    if (!SessionManager.getSession(sessionId)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    io.to(sessionId).emit(MessageType.ERROR, { code: ErrorCode.SESSION_UNAVAILABLE, message: 'This session has been deleted' });
+    io.in(sessionId).socketsLeave(sessionId);
+    sessions.delete(sessionId);
+    MessageReceipts.clearSession(sessionId);
+    
+    SessionManager.deleteSession(sessionId);
+    console.log(`[Server] Deleted session: ${sessionId}`);
+    res.json({ success: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SNAPSHOTS API - Named save points a GM can diff and roll back to
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Capture a session's current state, including its characters' derived stats
+ * @param {string} sessionId
+ * @returns {Object} SnapshotState
+ */
+function captureCurrentState(sessionId) {
+    const characters = readCharacterDerived(SessionManager.getSessionCharacterIds(sessionId));
+    return SessionManager.captureSnapshotState(sessionId, characters);
+}
+
+/**
+ * List a session's snapshots, newest first
+ * GET /api/sessions/:id/snapshots
+ */
+app.get('/api/sessions/:id/snapshots', requireAuth(Policy.sessionGM), (req, res) => {
+    res.json(SessionManager.listSnapshots(req.params.id));
+});
+
+/**
+ * Save a named snapshot: scene, flags, NPC states, clock, scheduled events
+ * and the derived stats of every character bound to the session
+ * POST /api/sessions/:id/snapshots { name }
+ */
+app.post('/api/sessions/:id/snapshots', requireAuth(Policy.sessionGM), (req, res) => {
+    const { name } = req.body || {};
+    if (typeof name !== 'string' || !name.trim()) {
+        return res.status(400).json({ error: 'Snapshot name required' });
+    }
+    
+    const sessionId = req.params.id;
+    const characters = readCharacterDerived(SessionManager.getSessionCharacterIds(sessionId));
+    const snapshot = SessionManager.createSnapshot(sessionId, {
+        name,
+        createdBy: req.auth.user.name,
+        characters
+    }, toActor(req.auth.user));
+    
+    console.log(`[Server] Snapshot saved: ${snapshot.name} (${sessionId})`);
+    res.status(201).json(snapshot);
+});
+
+/**
+ * Compare two snapshots, or a snapshot with the live session
+ * GET /api/sessions/:id/snapshots/diff?from=<snapshotId|current>&to=<snapshotId|current>
+ * Returns { from, to, changes: [{ path, from, to }] }
+ */
+app.get('/api/sessions/:id/snapshots/diff', requireAuth(Policy.sessionGM), (req, res) => {
+    const sessionId = req.params.id;
+    const resolve = (id) => {
+        if (id === 'current') return captureCurrentState(sessionId);
+        const snapshot = SessionManager.getSnapshot(sessionId, id);
+        return snapshot ? snapshot.state : null;
+    };
+    
+    const from = req.query.from;
+    const to = req.query.to || 'current';
+    const before = from ? resolve(from) : null;
+    const after = resolve(to);
+    if (!before || !after) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    res.json({ from, to, changes: SessionManager.diffSnapshotStates(before, after) });
+});
+
+/**
+ * Roll the session back to a snapshot and resync every connected client
+ * POST /api/sessions/:id/snapshots/:snapshotId/restore
+ */
+app.post('/api/sessions/:id/snapshots/:snapshotId/restore', requireAuth(Policy.sessionGM), (req, res) => {
+    const sessionId = req.params.id;
+    const snapshot = SessionManager.getSnapshot(sessionId, req.params.snapshotId);
+    const state = snapshot && SessionManager.restoreSnapshot(sessionId, snapshot.id, toActor(req.auth.user));
+    if (!state) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    
+    const restoredCharacters = writeCharacterDerived(state.characters);
+    SessionManager.addAuditEntry(sessionId, {
+        event: 'snapshot_restored',
+        name: req.auth.user.name,
+        address: req.ip,
+        snapshot: snapshot.name
+    });
+    
+    const room = sessions.get(sessionId);
+    if (room) {
+        room.scene = state.currentScene;
+    }
+    
+    announce(sessionId, `Session rewound to "${snapshot.name}"`);
+    broadcastStateSync(sessionId);
+    for (const id of restoredCharacters) {
+        const character = readCharacter(id);
+        if (character) pushCharacterUpdate(character);
+    }
+    
+    console.log(`[Server] Snapshot restored: ${snapshot.name} (${sessionId})`);
+    res.json({ success: true, snapshot: { id: snapshot.id, name: snapshot.name }, characters: restoredCharacters });
+});
+
+// Delete a snapshot
+app.delete('/api/sessions/:id/snapshots/:snapshotId', requireAuth(Policy.sessionGM), (req, res) => {
+    if (!SessionManager.deleteSnapshot(req.params.id, req.params.snapshotId)) {
+        return res.status(404).json({ error: 'Snapshot not found' });
+    }
+    res.json({ success: true });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// JOURNAL API - Append-only history of every session mutation
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parse a time query parameter (epoch milliseconds or ISO date)
+ * @param {string|undefined} value
+ * @returns {number|null|undefined} null if absent, undefined if invalid
+ */
+function parseTimeParam(value) {
+    if (value === undefined || value === '') return null;
+    const time = /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+    return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Query a session's journal
+ * GET /api/sessions/:id/journal?type=flag,scene.changed&actor=<name>&since=&until=&after=<seq>&limit=200
+ * `type` matches exact types or prefixes ("flag" matches "flag.set");
+ * `actor=server` selects entries with no actor (timeline events).
+ *
+ * Returns { sessionId, entries, hasMore } with entries oldest → newest.
+ * Pass the last entry's seq as `after` to fetch the next page.
+ */
+app.get('/api/sessions/:id/journal', requireAuth(Policy.sessionGM), (req, res) => {
+    const since = parseTimeParam(req.query.since);
+    const until = parseTimeParam(req.query.until);
+    if (since === undefined || until === undefined) {
+        return res.status(400).json({ error: 'since/until must be a timestamp or ISO date' });
+    }
+
+    const types = req.query.type ? String(req.query.type).split(',').map(t => t.trim()).filter(Boolean) : null;
+    const after = parseInt(req.query.after);
+    const result = SessionJournal.query(req.params.id, {
+        types,
+        actor: req.query.actor ? String(req.query.actor) : null,
+        since,
+        until,
+        after: Number.isNaN(after) ? null : after,
+        limit: parseInt(req.query.limit) || 200
+    });
+
+    res.json({ sessionId: req.params.id, ...result });
+});
+
+/**
+ * Rebuild session state by replaying the journal, optionally as of a time
+ * GET /api/sessions/:id/journal/replay?until=<timestamp|ISO>&seq=<seq>
+ */
+app.get('/api/sessions/:id/journal/replay', requireAuth(Policy.sessionGM), (req, res) => {
+    const until = parseTimeParam(req.query.until);
+    if (until === undefined) {
+        return res.status(400).json({ error: 'until must be a timestamp or ISO date' });
+    }
+
+    const seq = parseInt(req.query.seq);
+    res.json(SessionJournal.replay(req.params.id, {
+        until,
+        untilSeq: Number.isNaN(seq) ? null : seq
+    }));
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECAPS & DOCUMENTS API - Session recaps the GM edits and publishes
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Look up a scene's title for recaps, falling back to its ID
+ * @param {string} sceneId
+ * @returns {string}
+ */
+function getSceneTitle(sceneId) {
+    if (!/^[\w-]+$/.test(String(sceneId))) return String(sceneId);
+    try {
+        const sceneFile = path.join(__dirname, '../assets/scene_backgrounds', `${sceneId}.json`);
+        return JSON.parse(fs.readFileSync(sceneFile, 'utf8')).title || sceneId;
+    } catch (err) {
+        return sceneId;
+    }
+}
+
+/**
+ * Load the clue database of an adventure guide
+ * @param {string|null} adventureId
+ * @returns {Object[]}
+ */
+function getAdventureClues(adventureId) {
+    const adventure = AdventureRegistry.getAdventure(adventureId);
+    if (!adventure || !adventure.guide) return [];
+    try {
+        const guideFile = path.join(__dirname, '../assets/adventures', `${adventure.guide}.json`);
+        const guide = JSON.parse(fs.readFileSync(guideFile, 'utf8'));
+        return (guide.clues && guide.clues.content) || [];
+    } catch (err) {
+        return [];
+    }
+}
+
+/**
+ * Generate a recap draft for a time window
+ * GET /api/sessions/:id/recap?since=<timestamp|ISO>&until=<timestamp|ISO>
+ * `since` defaults to when the last recap was published (or the session start).
+ *
+ * Returns { recap, markdown, html } - nothing is stored until it is published.
+ */
+app.get('/api/sessions/:id/recap', requireAuth(Policy.sessionGM), (req, res) => {
+    const session = SessionManager.getSession(req.params.id);
+    let since = parseTimeParam(req.query.since);
+    const until = parseTimeParam(req.query.until);
+    if (since === undefined || until === undefined) {
+        return res.status(400).json({ error: 'since/until must be a timestamp or ISO date' });
+    }
+    
+    if (since === null) {
+        const lastRecap = SessionManager.listDocuments(session.id).filter(d => d.kind === 'recap').pop();
+        since = lastRecap ? lastRecap.publishedAt : null;
+    }
+    
+    const recap = SessionRecap.buildRecap(SessionJournal.entriesBetween(session.id, since, until), {
+        title: `Recap: ${session.name}`,
+        startState: since === null
+            ? SessionJournal.replay(session.id, { untilSeq: 0 })
+            : SessionJournal.replay(session.id, { until: since - 1 }),
+        since,
+        until,
+        sceneTitle: getSceneTitle,
+        clues: getAdventureClues(session.adventureId)
+    });
+    
+    const markdown = SessionRecap.toMarkdown(recap);
+    res.json({ recap, markdown, html: SessionRecap.markdownToHTML(markdown) });
+});
+
+/**
+ * List documents published to the session (recaps), oldest first
+ * GET /api/sessions/:id/documents
+ */
+app.get('/api/sessions/:id/documents', (req, res) => {
+    if (!SessionManager.getSession(req.params.id)) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    res.json(SessionManager.listDocuments(req.params.id));
+});
+
+/**
+ * Publish an (edited) recap to every player's terminal
+ * POST /api/sessions/:id/documents { title, markdown }
+ */
+app.post('/api/sessions/:id/documents', requireAuth(Policy.sessionGM), (req, res) => {
+    const { title, markdown } = req.body || {};
+    if (typeof title !== 'string' || !title.trim()) {
+        return res.status(400).json({ error: 'Document title required' });
+    }
+    if (typeof markdown !== 'string' || !markdown.trim()) {
+        return res.status(400).json({ error: 'Document text required' });
+    }
+    if (markdown.length > SessionRecap.MAX_DOCUMENT_LENGTH) {
+        return res.status(400).json({ error: `Documents are limited to ${SessionRecap.MAX_DOCUMENT_LENGTH} characters` });
+    }
+    
+    const sessionId = req.params.id;
+    const document = SessionManager.addDocument(sessionId, {
+        kind: 'recap',
+        title,
+        markdown,
+        html: SessionRecap.markdownToHTML(markdown),
+        text: SessionRecap.markdownToText(markdown)
+    }, toActor(req.auth.user));
+    
+    io.to(sessionId).emit(MessageType.DOCUMENT, withRevision(sessionId, { action: 'published', document }));
+    
+    console.log(`[Server] Document published: ${document.title} (${sessionId})`);
+    res.status(201).json(document);
+});
+
+// Unpublish a document
+app.delete('/api/sessions/:id/documents/:documentId', requireAuth(Policy.sessionGM), (req, res) => {
+    const sessionId = req.params.id;
+    if (!SessionManager.deleteDocument(sessionId, req.params.documentId, toActor(req.auth.user))) {
+        return res.status(404).json({ error: 'Document not found' });
+    }
+    io.to(sessionId).emit(MessageType.DOCUMENT, withRevision(sessionId, { action: 'removed', id: req.params.documentId }));
+    res.json({ success: true });
+});
+
+/**
+ * Get one page of a session's chat log (chat, whispers, rolls, system lines)
+ * GET /api/sessions/:id/chat?before=<entryId>&limit=50
+ * Header: X-Session-Token (optional) - identifies the viewer so their
+ * whispers are included; GMs see every whisper, anonymous callers none.
+ * 
+ * Returns { sessionId, messages, hasMore } with messages oldest → newest.
+ * Pass the first message's id as `before` to fetch the previous page.
+ */
+app.get('/api/sessions/:id/chat', (req, res) => {
+    const session = SessionManager.getSession(req.params.id);
+    if (!session) {
+        return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    const auth = getAuthContext(req);
+    const viewer = auth && auth.session.id === session.id ? auth.user : null;
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const page = SessionManager.getChatPage(session.id, {
+        before: req.query.before || null,
+        limit,
+        viewer
+    });
+    
+    res.json({
+        sessionId: session.id,
+        messages: page.messages,
+        hasMore: page.hasMore
+    });
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // SYNC SYSTEM - Multiplayer state synchronization
 // ═══════════════════════════════════════════════════════════════════════════
@@ -1190,32 +1885,14 @@ const users = new Map();
 // Sessions/rooms: sessionId → { gm: socketId, players: Set<socketId> }
 const sessions = new Map();
 
-// GM password (in production, use environment variable)
-const GM_PASSWORD = process.env.GM_PASSWORD || 'gm123';
-
-// Message types (must match client)
-const MessageType = {
-    JOIN: 'sync:join',
-    LEAVE: 'sync:leave',
-    PRESENCE: 'sync:presence',
-    VIEW_CHANGE: 'sync:view_change',
-    CHAT: 'sync:chat',
-    ROLL: 'sync:roll',
-    SCENE_CHANGE: 'sync:scene_change',
-    SCENE_REQUEST: 'sync:scene_request',
-    STATE_SYNC: 'sync:state',
-    STATE_REQUEST: 'sync:state_request',
-    PING: 'sync:ping',
-    PONG: 'sync:pong',
-    ERROR: 'sync:error',
-    ECHO_REQUEST: 'sync:echo_request',
-    ECHO_RESPONSE: 'sync:echo_response',
-    // Session persistence
-    RECONNECT: 'sync:reconnect',
-    TOKEN: 'sync:token',
-    NPC_STATE: 'sync:npc_state',
-    FLAG_UPDATE: 'sync:flag_update',
-};
+// Server admin password: logs in as GM of any session, with the admin rights
+// shared content needs (see ApiAuth Policy.admin). Also the only GM login for
+// sessions without their own secret ('default' and sessions created before
+// per-session secrets). Unset = no admin.
+const GM_PASSWORD = process.env.GM_PASSWORD || null;
+
+// Content kinds players hold a copy of; GMs hear about every kind
+const PLAYER_CONTENT_KINDS = ['scene'];
 
 /**
  * Get or create a session
@@ -1239,69 +1916,486 @@ function broadcastPresence(sessionId) {
     const session = sessions.get(sessionId);
     if (!session) return;
     
+    // Spectators are listed separately so player counts only cover participants
     const userList = [];
+    const spectators = [];
     for (const [id, user] of users) {
         if (user.sessionId === sessionId) {
-            userList.push({
+            const entry = {
                 id: user.id,
                 name: user.name,
                 role: user.role,
-                view: user.view
-            });
+                view: user.view,
+                characterId: boundCharacterId(user)
+            };
+            (user.role === 'spectator' ? spectators : userList).push(entry);
         }
     }
     
-    io.to(sessionId).emit(MessageType.PRESENCE, { users: userList });
+    io.to(sessionId).emit(MessageType.PRESENCE, { users: userList, spectators });
 }
 
-// Socket.io connection handling
-io.on('connection', (socket) => {
-    console.log('[Sync] Client connected:', socket.id);
-    
-    // ─────────────────────────────────────────────────────────────────────
-    // SELF-TEST: Echo request/response for connection validation
-    // ─────────────────────────────────────────────────────────────────────
-    
-    socket.on(MessageType.ECHO_REQUEST, (data) => {
-        // Immediately echo back with the same token
-        socket.emit(MessageType.ECHO_RESPONSE, {
-            token: data.token,
-            sentAt: data.sentAt,
-            serverTime: Date.now()
-        });
-        console.log('[Sync] Echo request from', socket.id);
-    });
+/**
+ * Resolve the recipients of a whisper within a session.
+ * Matches display names case-insensitively; "gm" addresses every GM.
+ * @param {string} sessionId
+ * @param {string} to - Target name (or socket ID)
+ * @param {string} senderId - Socket ID of the sender (never a target)
+ * @returns {Array<{ id: string, name: string, token: string }>}
+ */
+function findWhisperTargets(sessionId, to, senderId) {
+    const wanted = String(to).trim().toLowerCase();
+    const targets = [];
     
-    // ─────────────────────────────────────────────────────────────────────
-    // PRESENCE: Join, leave, view changes
-    // ─────────────────────────────────────────────────────────────────────
+    for (const [id, user] of users) {
+        if (user.sessionId !== sessionId || id === senderId || user.role === 'spectator') continue;
+        if (id === to || user.name.toLowerCase() === wanted) {
+            targets.push({ id, name: user.name, token: user.token });
+        }
+    }
     
-    socket.on(MessageType.JOIN, (data) => {
-        const { name, role, view, sessionId, token } = data;
-        const roomId = sessionId || 'default';
-        
-        let userToken = token;
-        let isReconnect = false;
-        let persistentUser = null;
-        
-        // Check if this is a reconnection with existing token
-        if (token) {
-            const result = SessionManager.reconnectUser(token);
-            if (result) {
-                isReconnect = true;
-                persistentUser = result.user;
-                console.log('[Sync] User reconnected with token:', persistentUser.name);
+    if (targets.length === 0 && wanted === 'gm') {
+        for (const [id, user] of users) {
+            if (user.sessionId === sessionId && id !== senderId && user.role === 'gm') {
+                targets.push({ id, name: user.name, token: user.token });
             }
         }
-        
-        // If no valid token, register as new user
-        if (!persistentUser) {
-            const result = SessionManager.registerUser(roomId, {
-                name: name || 'Anonymous',
-                role: role || 'player',
-                view: view || 'scene',
-            });
-            userToken = result.token;
+    }
+    
+    return targets;
+}
+
+/**
+ * Take a socket out of its session room (disconnect or session switch).
+ * The persistent user is marked disconnected so their token still works.
+ * @param {Socket} socket
+ * @param {Object} user - Entry from the users map
+ */
+function leaveRoom(socket, user) {
+    const session = sessions.get(user.sessionId);
+    if (session) {
+        session.players.delete(socket.id);
+        if (session.gm === socket.id) {
+            session.gm = null;
+        }
+    }
+    
+    // Mark user as disconnected in persistent session (preserves state for reconnect)
+    if (user.token) {
+        SessionManager.disconnectUser(user.token);
+    }
+    
+    // Broadcast leave to session
+    socket.to(user.sessionId).emit(MessageType.LEAVE, {
+        id: socket.id
+    });
+    socket.leave(user.sessionId);
+}
+
+/**
+ * Handle each client message id once. Clients resend from their outbox after
+ * a reconnect; a message the server already handled gets its first ack again
+ * (marked duplicate) instead of a second chat line, roll or clock advance.
+ * Messages without an id are handled every time.
+ * @param {Object} socket
+ * @param {function(Object, function(Object): void): void} handler - Called with (data, respond)
+ * @returns {function(Object, Function=): void} Socket.io listener
+ */
+function handleOnce(socket, handler) {
+    return (data, callback) => {
+        const respond = typeof callback === 'function' ? callback : () => {};
+        const user = users.get(socket.id);
+        const messageId = data && data.id;
+        if (!user || !messageId) {
+            handler(data, respond);
+            return;
+        }
+        
+        const receipt = MessageReceipts.get(user.sessionId, messageId);
+        if (receipt) {
+            respond({ ...receipt, duplicate: true });
+            return;
+        }
+        
+        handler(data, (ack) => {
+            if (ack && ack.success) MessageReceipts.record(user.sessionId, messageId, ack);
+            respond(ack);
+        });
+    };
+}
+
+/**
+ * Refuse an emit from a spectator (view-only participant)
+ * @param {Object} socket
+ * @param {Object} user - In-memory user state
+ * @param {string} action - What they tried to do, for the error message
+ * @returns {boolean} True if the user is a spectator and was refused
+ */
+function rejectSpectator(socket, user, action) {
+    if (user.role !== 'spectator') return false;
+    socket.emit(MessageType.ERROR, { code: ErrorCode.FORBIDDEN, message: `Spectators cannot ${action}`, context: 'spectator' });
+    return true;
+}
+
+/**
+ * Send a message to every GM socket in a session
+ * @param {string} sessionId
+ * @param {string} event
+ * @param {Object} data
+ */
+function emitToGMs(sessionId, event, data) {
+    for (const [id, user] of users) {
+        if (user.sessionId === sessionId && user.role === 'gm') {
+            io.to(id).emit(event, data);
+        }
+    }
+}
+
+/**
+ * Character bound to a connected user's token
+ * @param {Object} user - Entry from the users map
+ * @returns {string|null}
+ */
+function boundCharacterId(user) {
+    const persistent = SessionManager.validateToken(user.token);
+    return persistent ? persistent.user.characterId || null : null;
+}
+
+/**
+ * Send a character's new state to everyone who needs it: the players bound
+ * to it, and the GMs of sessions where someone is bound to it
+ * @param {Object} character - Full character as stored
+ * @param {Object} [options]
+ * @param {Object|null} [options.changes] - Validated changes; null for a full save
+ * @param {Object|null} [options.by] - User who made the change
+ * @param {string|null} [options.from] - Socket ID of the sender
+ * @param {string|null} [options.exceptToken] - Caller of a REST save (already has it)
+ */
+function pushCharacterUpdate(character, { changes = null, by = null, from = null, exceptToken = null } = {}) {
+    const payload = {
+        from,
+        characterId: character.id,
+        changes,
+        character,
+        by: by ? by.name : null
+    };
+    
+    for (const [id, user] of users) {
+        if (exceptToken && user.token === exceptToken) continue;
+        
+        const wanted = user.role === 'gm'
+            ? SessionManager.getSessionCharacterIds(user.sessionId).includes(character.id)
+            : boundCharacterId(user) === character.id;
+        if (wanted) {
+            io.to(id).emit(MessageType.CHARACTER_UPDATE, payload);
+        }
+    }
+}
+
+/**
+ * Tell clients an asset changed on disk so they refetch it. Content is
+ * shared by every session; players only hear about scenes (the rest would
+ * name NPCs and terminals they haven't met).
+ * @param {Object} change - ContentWatcher change
+ */
+function broadcastContentUpdate(change) {
+    const toPlayers = PLAYER_CONTENT_KINDS.includes(change.kind);
+    for (const [id, user] of users) {
+        if (toPlayers || user.role === 'gm') {
+            io.to(id).emit(MessageType.CONTENT_UPDATED, change);
+        }
+    }
+    console.log(`[Content] ${change.removed ? 'Removed' : 'Updated'}: ${change.file}`);
+}
+
+/**
+ * Journal actor for a connected or REST user
+ * @param {Object|null} user - Socket user or SessionManager UserState
+ * @returns {Object|null} { name, role }
+ */
+function toActor(user) {
+    return user ? { name: user.name, role: user.role } : null;
+}
+
+/**
+ * Stamp a broadcast with the session's state revision. Clients send the last
+ * one they saw when they reconnect and get just the changes after it.
+ * @param {string} sessionId
+ * @param {Object} data - Message payload
+ * @returns {Object}
+ */
+function withRevision(sessionId, data) {
+    return { ...data, revision: SessionManager.getRevision(sessionId) };
+}
+
+/**
+ * Log a system line and show it in everyone's chat
+ * @param {string} sessionId
+ * @param {string} text
+ */
+function announce(sessionId, text) {
+    const entry = SessionManager.addChatMessage(sessionId, {
+        kind: 'system',
+        type: 'system',
+        text
+    });
+    io.to(sessionId).emit(MessageType.CHAT, withRevision(sessionId, {
+        id: entry && entry.id,
+        from: null,
+        kind: 'system',
+        type: 'system',
+        text,
+        timestamp: entry ? entry.timestamp : Date.now()
+    }));
+}
+
+/**
+ * Send every connected socket in a session its own view of the session state
+ * (whispers and GM-only fields are filtered per viewer)
+ * @param {string} sessionId
+ */
+function broadcastStateSync(sessionId) {
+    for (const [id, user] of users) {
+        if (user.sessionId !== sessionId) continue;
+        
+        const persistent = SessionManager.validateToken(user.token);
+        const state = SessionManager.getSessionState(sessionId, persistent && persistent.user);
+        if (state) {
+            io.to(id).emit(MessageType.STATE_SYNC, state);
+        }
+    }
+}
+
+/**
+ * Bring one client up to date: just the changes since the revision it last
+ * saw (STATE_PATCH), or the whole state (STATE_SYNC) if it has none, is too
+ * far behind or counted it in another epoch
+ * @param {Object} socket
+ * @param {string} sessionId
+ * @param {Object|null} viewer - SessionManager UserState (filters whispers and GM-only data)
+ * @param {Object} [since] - From the client's sync:join or sync:state_request
+ * @param {number|null} [since.lastRevision]
+ * @param {string|null} [since.lastEpoch]
+ */
+function sendSessionState(socket, sessionId, viewer, { lastRevision = null, lastEpoch = null } = {}) {
+    const changes = lastRevision === null
+        ? null
+        : SessionManager.getChangesSince(sessionId, lastRevision, lastEpoch, viewer);
+    
+    if (changes) {
+        socket.emit(MessageType.STATE_PATCH, StateDelta.build(sessionId, lastRevision, changes));
+        return;
+    }
+    
+    const state = SessionManager.getSessionState(sessionId, viewer);
+    if (state) {
+        socket.emit(MessageType.STATE_SYNC, state);
+    }
+}
+
+/**
+ * Persist a scene change and push it to everyone in the session
+ * @param {string} sessionId
+ * @param {string} sceneId
+ * @param {Object} [options]
+ * @param {string|null} [options.from] - Socket ID of the GM, null for timeline events
+ * @param {string} [options.transition]
+ */
+function changeScene(sessionId, sceneId, { from = null, transition } = {}) {
+    const session = sessions.get(sessionId);
+    if (session) {
+        session.scene = sceneId;
+    }
+    
+    SessionManager.setScene(sessionId, sceneId, toActor(from && users.get(from)));
+    SessionManager.addChatMessage(sessionId, {
+        kind: 'system',
+        type: 'system',
+        text: `Scene changed to: ${sceneId}`
+    });
+    
+    io.to(sessionId).emit(MessageType.SCENE_CHANGE, withRevision(sessionId, {
+        from,
+        scene: sceneId,
+        transition
+    }));
+}
+
+/**
+ * Send the session's scheduled events to its GMs
+ * @param {string} sessionId
+ */
+function broadcastSchedule(sessionId) {
+    emitToGMs(sessionId, MessageType.CLOCK_SCHEDULE, withRevision(sessionId, {
+        events: CampaignClock.sortEvents(SessionManager.getScheduledEvents(sessionId))
+    }));
+}
+
+/**
+ * Run one action of a scheduled event
+ * @param {string} sessionId
+ * @param {Object} action - See CampaignClock.ActionType
+ */
+function runEventAction(sessionId, action) {
+    switch (action.type) {
+        case CampaignClock.ActionType.FLAG:
+            SessionManager.setFlag(sessionId, action.key, action.value);
+            io.to(sessionId).emit(MessageType.FLAG_UPDATE, withRevision(sessionId, {
+                from: null,
+                key: action.key,
+                value: action.value
+            }));
+            break;
+        
+        case CampaignClock.ActionType.ANNOUNCEMENT:
+            announce(sessionId, action.text);
+            break;
+        
+        case CampaignClock.ActionType.SCENE:
+            changeScene(sessionId, action.scene, { transition: 'fade' });
+            break;
+    }
+}
+
+/**
+ * Set the campaign clock, tell the session, then fire any events it passed
+ * @param {string} sessionId
+ * @param {Object} clock - Normalized { day, time }
+ * @param {Object|null} [actor] - Who set it (events it fires are journaled as the server)
+ * @returns {Object[]} Events that fired
+ */
+function applyCampaignClock(sessionId, clock, actor = null) {
+    SessionManager.setCampaignClock(sessionId, clock, actor);
+    io.to(sessionId).emit(MessageType.CLOCK, withRevision(sessionId, clock));
+    
+    const due = CampaignClock.dueEvents(SessionManager.getScheduledEvents(sessionId), clock);
+    if (due.length === 0) return [];
+    
+    for (const event of due) {
+        console.log('[Sync] Timeline event:', event.label, 'at', CampaignClock.format(event.at));
+        for (const action of event.actions) {
+            runEventAction(sessionId, action);
+        }
+    }
+    
+    SessionManager.markEventsFired(sessionId, due.map(e => e.id), clock);
+    broadcastSchedule(sessionId);
+    return due;
+}
+
+// Socket.io connection handling
+io.on('connection', (socket) => {
+    console.log('[Sync] Client connected:', socket.id);
+    
+    // Rate limits, size caps and schemas for every message (see MessageValidator.js);
+    // handlers below only ever see cleaned payloads
+    socket.use(MessageValidator.createGuard(socket));
+    
+    // ─────────────────────────────────────────────────────────────────────
+    // SELF-TEST: Echo request/response for connection validation
+    // ─────────────────────────────────────────────────────────────────────
+    
+    socket.on(MessageType.ECHO_REQUEST, (data) => {
+        // Immediately echo back with the same token
+        socket.emit(MessageType.ECHO_RESPONSE, {
+            token: data.token,
+            sentAt: data.sentAt,
+            serverTime: Date.now()
+        });
+        console.log('[Sync] Echo request from', socket.id);
+    });
+    
+    // ─────────────────────────────────────────────────────────────────────
+    // PRESENCE: Join, leave, view changes
+    // ─────────────────────────────────────────────────────────────────────
+    
+    socket.on(MessageType.JOIN, (data) => {
+        const { name, view, sessionId, joinCode, token } = data;
+        
+        // Clients built against another protocol version would misread the
+        // messages that follow; turn them away before they join anything
+        const mismatch = SyncProtocol.checkVersion(data.protocolVersion);
+        if (mismatch) {
+            socket.emit(MessageType.ERROR, {
+                code: ErrorCode.PROTOCOL_MISMATCH,
+                message: mismatch,
+                context: 'join',
+                protocolVersion: SyncProtocol.VERSION,
+                minProtocolVersion: SyncProtocol.MIN_VERSION
+            });
+            socket.disconnect();
+            console.warn('[Sync] Rejected client', socket.id, 'with protocol version', data.protocolVersion);
+            return;
+        }
+        
+        // Clients may ask to watch instead of play; the GM role can't be claimed here
+        const requestedRole = data.role === 'spectator' ? 'spectator' : 'player';
+        
+        // Resolve the room: join code, then explicit session, then the
+        // session the token belongs to, then the shared default room
+        let roomId;
+        if (joinCode) {
+            const byCode = SessionManager.findSessionByJoinCode(joinCode);
+            if (!byCode) {
+                socket.emit(MessageType.ERROR, { code: ErrorCode.NOT_FOUND, message: `Unknown join code "${joinCode}"`, context: 'join' });
+                return;
+            }
+            roomId = byCode.id;
+        } else if (sessionId) {
+            roomId = sessionId;
+        } else {
+            const tokenLookup = token ? SessionManager.validateToken(token) : null;
+            roomId = tokenLookup ? tokenLookup.session.id : 'default';
+        }
+        
+        if (!SessionManager.isValidSessionId(roomId)) {
+            socket.emit(MessageType.ERROR, { code: ErrorCode.SESSION_UNAVAILABLE, message: 'Invalid session ID', context: 'join' });
+            return;
+        }
+        
+        const existing = SessionManager.getSession(roomId);
+        if (existing && existing.status === 'archived') {
+            socket.emit(MessageType.ERROR, { code: ErrorCode.SESSION_UNAVAILABLE, message: `Session "${existing.name}" is archived`, context: 'join' });
+            return;
+        }
+        
+        // Switching sessions on the same socket: leave the old room first
+        const previous = users.get(socket.id);
+        if (previous && previous.sessionId !== roomId) {
+            leaveRoom(socket, previous);
+        }
+        
+        let userToken = token;
+        let isReconnect = false;
+        let persistentUser = null;
+        
+        // Check if this is a reconnection with existing token (only valid
+        // for the session the token was issued in)
+        if (token) {
+            const lookup = SessionManager.validateToken(token);
+            const result = lookup && lookup.session.id === roomId ? SessionManager.reconnectUser(token) : null;
+            if (result) {
+                isReconnect = true;
+                persistentUser = result.user;
+                console.log('[Sync] User reconnected with token:', persistentUser.name);
+                
+                // Players can switch between playing and watching; GMs keep their role
+                if (persistentUser.role !== 'gm' && persistentUser.role !== requestedRole) {
+                    SessionManager.updateUser(token, { role: requestedRole });
+                }
+            }
+        }
+        
+        // If no valid token, register as new user. Everyone starts as a
+        // player or spectator; the GM role is only granted by gm:authenticate
+        // and then travels with the token.
+        if (!persistentUser) {
+            const result = SessionManager.registerUser(roomId, {
+                name: name || 'Anonymous',
+                role: requestedRole,
+                view: view || 'scene',
+            });
+            userToken = result.token;
             persistentUser = result.user;
         }
         
@@ -1325,14 +2419,37 @@ io.on('connection', (socket) => {
         console.log('[Sync] User joined:', persistentUser.name, `(${persistentUser.role})`, 'in session:', roomId, isReconnect ? '(reconnect)' : '(new)');
         
         // Send token to client for storage
-        socket.emit(MessageType.TOKEN, { token: userToken });
+        const persistentSession = SessionManager.getSession(roomId);
+        socket.emit(MessageType.TOKEN, {
+            token: userToken,
+            role: persistentUser.role,
+            sessionId: roomId,
+            sessionName: persistentSession.name,
+            joinCode: persistentSession.joinCode,
+            protocolVersion: SyncProtocol.VERSION
+        });
         
-        // If reconnecting, send current session state
+        // If reconnecting, send what changed while the client was away
         if (isReconnect) {
-            const sessionState = SessionManager.getSessionState(roomId);
-            if (sessionState) {
-                socket.emit(MessageType.STATE_SYNC, sessionState);
-            }
+            sendSessionState(socket, roomId, persistentUser, data);
+        }
+        
+        // Everyone sees the in-world time, including brand new users
+        socket.emit(MessageType.CLOCK, SessionManager.getCampaignClock(roomId));
+        
+        // Players get the sheet of the character bound to their token
+        const boundCharacter = persistentUser.characterId && readCharacter(persistentUser.characterId);
+        if (boundCharacter) {
+            socket.emit(MessageType.CHARACTER_UPDATE, {
+                from: null,
+                characterId: boundCharacter.id,
+                changes: null,
+                character: boundCharacter,
+                by: null
+            });
+        }
+        if (persistentUser.role === 'gm') {
+            broadcastSchedule(roomId);
         }
         
         // Broadcast join to others in session
@@ -1340,7 +2457,8 @@ io.on('connection', (socket) => {
             id: socket.id,
             name: persistentUser.name,
             role: persistentUser.role,
-            view: persistentUser.view
+            view: persistentUser.view,
+            characterId: persistentUser.characterId || null
         });
         
         // Send full presence to the joining user
@@ -1349,7 +2467,7 @@ io.on('connection', (socket) => {
     
     socket.on(MessageType.VIEW_CHANGE, (data) => {
         const user = users.get(socket.id);
-        if (!user) return;
+        if (!user || rejectSpectator(socket, user, 'change views')) return;
         
         user.view = data.view;
         
@@ -1363,192 +2481,495 @@ io.on('connection', (socket) => {
     });
     
     // ─────────────────────────────────────────────────────────────────────
-    // CHAT: Broadcast messages to session
+    // CHAT: Broadcast messages to session, or whisper to one target + GMs
     // ─────────────────────────────────────────────────────────────────────
     
-    socket.on(MessageType.CHAT, (data) => {
+    socket.on(MessageType.CHAT, handleOnce(socket, (data, respond) => {
         const user = users.get(socket.id);
-        if (!user) return;
+        if (!user) {
+            respond({ success: false, message: 'Not in a session' });
+            return;
+        }
+        if (rejectSpectator(socket, user, 'chat')) {
+            respond({ success: false, code: ErrorCode.FORBIDDEN, message: 'Spectators cannot chat' });
+            return;
+        }
         
         const message = {
             from: socket.id,
             name: user.name,
             role: user.role,
             text: data.text,
-            type: data.type || 'player',
+            // From the role, never the client: only a GM's lines show as GM
+            type: user.role === 'gm' ? 'gm' : 'player',
+            visibility: 'public',
             timestamp: data.timestamp || Date.now()
         };
         
-        // Broadcast to everyone in session (including sender for confirmation)
-        io.to(user.sessionId).emit(MessageType.CHAT, message);
+        if (!data.to) {
+            // Persist, then broadcast to everyone in session (including sender for confirmation).
+            // The client's message id lets the sender skip its own line in history replays.
+            const entry = SessionManager.addChatMessage(user.sessionId, {
+                name: message.name,
+                role: message.role,
+                text: message.text,
+                type: message.type,
+                clientId: data.id,
+                timestamp: message.timestamp
+            });
+            message.id = entry && entry.id;
+            message.revision = SessionManager.getRevision(user.sessionId);
+            
+            io.to(user.sessionId).emit(MessageType.CHAT, message);
+            respond({ success: true, id: message.id });
+            console.log('[Sync] Chat:', user.name, ':', data.text);
+            return;
+        }
         
-        console.log('[Sync] Chat:', user.name, ':', data.text);
-    });
+        // Whisper: only the target(s), the sender and the session's GMs receive it
+        const targets = findWhisperTargets(user.sessionId, data.to, socket.id);
+        if (targets.length === 0) {
+            const notFound = `No one named "${data.to}" is connected`;
+            socket.emit(MessageType.ERROR, { code: ErrorCode.NOT_FOUND, message: notFound });
+            respond({ success: false, code: ErrorCode.NOT_FOUND, message: notFound });
+            return;
+        }
+        
+        message.visibility = 'whisper';
+        message.to = targets.map(t => t.id);
+        message.toName = targets.length === 1 ? targets[0].name : String(data.to);
+        
+        // Keep whispers in session history with their visibility; participants
+        // are stored by token so a reconnecting player still sees their threads
+        const entry = SessionManager.addChatMessage(user.sessionId, {
+            name: message.name,
+            role: message.role,
+            text: message.text,
+            type: message.type,
+            visibility: message.visibility,
+            toName: message.toName,
+            participants: [user.token, ...targets.map(t => t.token)],
+            clientId: data.id,
+            timestamp: message.timestamp
+        });
+        message.id = entry && entry.id;
+        message.revision = SessionManager.getRevision(user.sessionId);
+        
+        const recipients = new Set([socket.id, ...message.to]);
+        for (const [id, other] of users) {
+            if (other.sessionId === user.sessionId && other.role === 'gm') {
+                recipients.add(id);
+            }
+        }
+        
+        for (const id of recipients) {
+            io.to(id).emit(MessageType.CHAT, message);
+        }
+        respond({ success: true, id: message.id });
+        
+        console.log('[Sync] Whisper:', user.name, '→', message.toName, ':', data.text);
+    }));
     
     // ─────────────────────────────────────────────────────────────────────
-    // DICE: Broadcast rolls to session
+    // DICE: Server rolls the expression, records it, broadcasts the result
     // ─────────────────────────────────────────────────────────────────────
     
-    socket.on(MessageType.ROLL, (data) => {
+    socket.on(MessageType.ROLL, handleOnce(socket, (data, respond) => {
         const user = users.get(socket.id);
-        if (!user) return;
+        if (!user) {
+            respond({ success: false, message: 'Not in a session' });
+            return;
+        }
+        
+        if (rejectSpectator(socket, user, 'roll dice')) {
+            respond({ success: false, message: 'Spectators cannot roll dice' });
+            return;
+        }
+        
+        // Any client-supplied rolls/total are ignored - only the expression is trusted
+        const result = DiceRoller.roll(data && data.expression);
+        if (!result) {
+            const message = `Invalid dice expression: ${data && data.expression}`;
+            socket.emit(MessageType.ERROR, { code: ErrorCode.INVALID_PAYLOAD, message });
+            respond({ success: false, code: ErrorCode.INVALID_PAYLOAD, message });
+            return;
+        }
+        
+        // Optional difficulty - checks that miss it show up in recaps
+        const dc = Number.isInteger(data.dc) && data.dc > 0 && data.dc <= 1000 ? data.dc : null;
+        const check = dc === null ? {} : { dc, success: result.total >= dc };
+        
+        // Persist roll (assigns id + server timestamp)
+        const record = SessionManager.addRoll(user.sessionId, {
+            name: user.name,
+            role: user.role,
+            label: data.label || null,
+            ...result,
+            ...check
+        });
         
         const roll = {
             from: socket.id,
-            name: user.name,
-            expression: data.expression,
-            rolls: data.rolls,
-            total: data.total,
-            kept: data.kept,
-            modifier: data.modifier,
-            timestamp: data.timestamp || Date.now()
+            ...record
         };
         
-        // Broadcast to everyone in session
-        io.to(user.sessionId).emit(MessageType.ROLL, roll);
+        // Rolls also go into the chat log so they replay on reconnect
+        SessionManager.addChatMessage(user.sessionId, {
+            kind: 'roll',
+            name: user.name,
+            role: user.role,
+            type: 'roll',
+            text: `rolled ${result.expression}: ${result.rolls.map(r => `[${r}]`).join(' ')} = ${result.total}` +
+                (dc === null ? '' : ` vs DC ${dc} (${check.success ? 'success' : 'fail'})`),
+            rollId: record.id,
+            clientId: data.id,
+            expression: result.expression,
+            rolls: result.rolls,
+            total: result.total,
+            label: record.label,
+            timestamp: record.timestamp
+        });
         
-        console.log('[Sync] Roll:', user.name, ':', data.expression, '=', data.total);
-    });
+        // Broadcast to everyone in session (sender gets the result via ack)
+        io.to(user.sessionId).emit(MessageType.ROLL, withRevision(user.sessionId, roll));
+        respond({ success: true, roll });
+        
+        console.log('[Sync] Roll:', user.name, ':', result.expression, '=', result.total, `(${roll.id})`);
+    }));
     
     // ─────────────────────────────────────────────────────────────────────
     // SCENE: GM pushes scene changes to players
     // ─────────────────────────────────────────────────────────────────────
     
-    socket.on(MessageType.SCENE_CHANGE, (data) => {
+    socket.on(MessageType.SCENE_CHANGE, handleOnce(socket, (data, respond) => {
         const user = users.get(socket.id);
         if (!user || user.role !== 'gm') {
-            socket.emit(MessageType.ERROR, { message: 'Only GM can change scenes' });
+            socket.emit(MessageType.ERROR, { code: ErrorCode.FORBIDDEN, message: 'Only GM can change scenes' });
+            respond({ success: false, code: ErrorCode.FORBIDDEN, message: 'Only GM can change scenes' });
             return;
         }
         
-        const session = sessions.get(user.sessionId);
-        if (session) {
-            session.scene = data.scene;
-        }
-        
-        // Persist scene change
-        SessionManager.setScene(user.sessionId, data.scene);
-        
-        // Broadcast to all players in session
-        io.to(user.sessionId).emit(MessageType.SCENE_CHANGE, {
-            from: socket.id,
-            scene: data.scene,
-            transition: data.transition
-        });
+        // Persist and broadcast to all players in session
+        changeScene(user.sessionId, data.scene, { from: socket.id, transition: data.transition });
+        respond({ success: true });
         
         console.log('[Sync] Scene change:', data.scene);
-    });
+    }));
     
     // ─────────────────────────────────────────────────────────────────────
     // NPC STATE: GM updates NPC status (alive, dead, hidden, etc.)
     // ─────────────────────────────────────────────────────────────────────
     
-    socket.on(MessageType.NPC_STATE, (data) => {
+    socket.on(MessageType.NPC_STATE, handleOnce(socket, (data, respond) => {
         const user = users.get(socket.id);
         if (!user || user.role !== 'gm') {
-            socket.emit(MessageType.ERROR, { message: 'Only GM can update NPC state' });
+            socket.emit(MessageType.ERROR, { code: ErrorCode.FORBIDDEN, message: 'Only GM can update NPC state' });
+            respond({ success: false, code: ErrorCode.FORBIDDEN, message: 'Only GM can update NPC state' });
             return;
         }
         
-        const { npcId, ...updates } = data;
+        // `id` is the client's message id, not part of the NPC's state
+        const { id, npcId, ...updates } = data;
         if (!npcId) {
-            socket.emit(MessageType.ERROR, { message: 'NPC ID required' });
+            socket.emit(MessageType.ERROR, { code: ErrorCode.INVALID_PAYLOAD, message: 'NPC ID required' });
+            respond({ success: false, code: ErrorCode.INVALID_PAYLOAD, message: 'NPC ID required' });
             return;
         }
         
         // Persist NPC state
-        SessionManager.updateNPCState(user.sessionId, npcId, updates);
+        SessionManager.updateNPCState(user.sessionId, npcId, updates, toActor(user));
         
         // Broadcast to all in session
-        io.to(user.sessionId).emit(MessageType.NPC_STATE, {
+        io.to(user.sessionId).emit(MessageType.NPC_STATE, withRevision(user.sessionId, {
             from: socket.id,
             npcId,
             ...updates
-        });
+        }));
+        respond({ success: true });
         
         console.log('[Sync] NPC state update:', npcId, updates);
-    });
+    }));
     
     // ─────────────────────────────────────────────────────────────────────
     // FLAG UPDATE: GM updates campaign flags
     // ─────────────────────────────────────────────────────────────────────
     
-    socket.on(MessageType.FLAG_UPDATE, (data) => {
+    socket.on(MessageType.FLAG_UPDATE, handleOnce(socket, (data, respond) => {
         const user = users.get(socket.id);
         if (!user || user.role !== 'gm') {
-            socket.emit(MessageType.ERROR, { message: 'Only GM can update flags' });
+            socket.emit(MessageType.ERROR, { code: ErrorCode.FORBIDDEN, message: 'Only GM can update flags' });
+            respond({ success: false, code: ErrorCode.FORBIDDEN, message: 'Only GM can update flags' });
             return;
         }
         
         const { key, value } = data;
         if (!key) {
-            socket.emit(MessageType.ERROR, { message: 'Flag key required' });
+            socket.emit(MessageType.ERROR, { code: ErrorCode.INVALID_PAYLOAD, message: 'Flag key required' });
+            respond({ success: false, code: ErrorCode.INVALID_PAYLOAD, message: 'Flag key required' });
             return;
         }
         
         // Persist flag
-        SessionManager.setFlag(user.sessionId, key, value);
+        SessionManager.setFlag(user.sessionId, key, value, toActor(user));
         
         // Broadcast to all in session
-        io.to(user.sessionId).emit(MessageType.FLAG_UPDATE, {
+        io.to(user.sessionId).emit(MessageType.FLAG_UPDATE, withRevision(user.sessionId, {
             from: socket.id,
             key,
             value
-        });
+        }));
+        respond({ success: true });
         
         console.log('[Sync] Flag update:', key, '=', value);
+    }));
+    
+    // ─────────────────────────────────────────────────────────────────────
+    // CAMPAIGN CLOCK: GM sets or advances in-world time; timeline events
+    // scheduled at or before the new time fire in order
+    // ─────────────────────────────────────────────────────────────────────
+    
+    socket.on(MessageType.CLOCK, handleOnce(socket, (data, respond) => {
+        const user = users.get(socket.id);
+        if (!user || user.role !== 'gm') {
+            socket.emit(MessageType.ERROR, { code: ErrorCode.FORBIDDEN, message: 'Only GM can change the campaign clock' });
+            respond({ success: false, code: ErrorCode.FORBIDDEN, message: 'Only GM can change the campaign clock' });
+            return;
+        }
+        
+        const current = SessionManager.getCampaignClock(user.sessionId);
+        const clock = data && data.advance !== undefined
+            ? CampaignClock.advance(current, data.advance)
+            : CampaignClock.normalizeClock(data);
+        if (!clock) {
+            respond({ success: false, message: 'Clock must be { day, time: "HH:MM" } or { advance: minutes }' });
+            return;
+        }
+        
+        const fired = applyCampaignClock(user.sessionId, clock, toActor(user));
+        respond({ success: true, clock, fired: fired.map(e => e.id) });
+        
+        console.log('[Sync] Campaign clock:', CampaignClock.format(clock), fired.length ? `(${fired.length} event(s) fired)` : '');
+    }));
+    
+    socket.on(MessageType.CLOCK_SCHEDULE, (data, callback) => {
+        const respond = typeof callback === 'function' ? callback : () => {};
+        const user = users.get(socket.id);
+        if (!user || user.role !== 'gm') {
+            respond({ success: false, message: 'Only GM can schedule events' });
+            return;
+        }
+        
+        const action = data && data.action;
+        if (action === 'add') {
+            const now = SessionManager.getCampaignClock(user.sessionId);
+            const { event, error } = CampaignClock.normalizeEvent(data.event, now);
+            if (error) {
+                respond({ success: false, message: error });
+                return;
+            }
+            
+            const stored = SessionManager.addScheduledEvent(user.sessionId, event, toActor(user));
+            broadcastSchedule(user.sessionId);
+            respond({ success: true, event: stored });
+            console.log('[Sync] Event scheduled:', stored.label, 'at', CampaignClock.format(stored.at));
+        } else if (action === 'remove') {
+            const removed = SessionManager.removeScheduledEvent(user.sessionId, data.id, toActor(user));
+            if (removed) {
+                broadcastSchedule(user.sessionId);
+            }
+            respond(removed ? { success: true } : { success: false, message: 'Event not found' });
+        } else if (action === 'list') {
+            respond({
+                success: true,
+                events: CampaignClock.sortEvents(SessionManager.getScheduledEvents(user.sessionId))
+            });
+        } else {
+            respond({ success: false, message: 'Unknown schedule action' });
+        }
     });
     
+    // ─────────────────────────────────────────────────────────────────────
+    // CHARACTERS: GM binds characters to players; the GM or the bound player
+    // changes stress, wounds, armor, gear and cyberware live
+    // ─────────────────────────────────────────────────────────────────────
+    
+    socket.on(MessageType.CHARACTER_ASSIGN, handleOnce(socket, (data, respond) => {
+        const user = users.get(socket.id);
+        if (!user || user.role !== 'gm') {
+            respond({ success: false, message: 'Only GM can assign characters' });
+            return;
+        }
+        
+        const target = data && users.get(data.socketId);
+        if (!target || target.sessionId !== user.sessionId || target.role !== 'player') {
+            respond({ success: false, message: 'Player not found in this session' });
+            return;
+        }
+        
+        const characterId = data.characterId || null;
+        const character = characterId && CharacterSync.isValidCharacterId(characterId)
+            ? readCharacter(characterId)
+            : null;
+        if (characterId && !character) {
+            respond({ success: false, message: 'Character not found' });
+            return;
+        }
+        
+        // Only characters this session made or already plays, unless admin
+        const persistent = SessionManager.validateToken(user.token);
+        if (characterId && !(persistent && canGMCharacter(persistent, characterId))) {
+            respond({ success: false, message: 'That character belongs to another session' });
+            return;
+        }
+        
+        SessionManager.assignCharacter(target.token, characterId, toActor(user));
+        io.to(target.id).emit(MessageType.CHARACTER_UPDATE, {
+            from: socket.id,
+            characterId,
+            changes: null,
+            character,
+            by: user.name
+        });
+        broadcastPresence(user.sessionId);
+        respond({ success: true });
+        
+        console.log('[Sync] Character', characterId || '(none)', 'assigned to', target.name);
+    }));
+    
+    socket.on(MessageType.CHARACTER_UPDATE, handleOnce(socket, (data, respond) => {
+        const user = users.get(socket.id);
+        if (!user || rejectSpectator(socket, user, 'change characters')) {
+            respond({ success: false, message: 'Not allowed' });
+            return;
+        }
+        
+        const characterId = data && data.characterId;
+        const persistent = SessionManager.validateToken(user.token);
+        if (boundCharacterId(user) !== characterId && !(persistent && canGMCharacter(persistent, characterId))) {
+            respond({ success: false, message: 'You can only change your own character' });
+            return;
+        }
+        
+        const character = CharacterSync.isValidCharacterId(characterId) ? readCharacter(characterId) : null;
+        if (!character) {
+            respond({ success: false, message: 'Character not found' });
+            return;
+        }
+        
+        const { changes, error } = CharacterSync.normalizeChanges(data.changes, character);
+        if (error) {
+            respond({ success: false, message: error });
+            return;
+        }
+        
+        try {
+            writeCharacter(CharacterSync.applyChanges(character, changes));
+        } catch (err) {
+            console.error('[Sync] Failed to save character:', characterId, err);
+            respond({ success: false, message: 'Failed to save character' });
+            return;
+        }
+        
+        pushCharacterUpdate(character, { changes, by: user, from: socket.id });
+        respond({ success: true, character });
+        
+        console.log('[Sync] Character update:', characterId, Object.keys(changes).join(', '), 'by', user.name);
+    }));
+    
     // ─────────────────────────────────────────────────────────────────────
     // STATE REQUEST: Client requests current session state
     // ─────────────────────────────────────────────────────────────────────
     
-    socket.on(MessageType.STATE_REQUEST, () => {
+    socket.on(MessageType.STATE_REQUEST, (data) => {
         const user = users.get(socket.id);
         if (!user) return;
         
-        const sessionState = SessionManager.getSessionState(user.sessionId);
-        if (sessionState) {
-            socket.emit(MessageType.STATE_SYNC, sessionState);
-        }
+        const persistent = SessionManager.validateToken(user.token);
+        sendSessionState(socket, user.sessionId, persistent && persistent.user, data || {});
     });
     
     // ─────────────────────────────────────────────────────────────────────
     // GM AUTHENTICATION
     // ─────────────────────────────────────────────────────────────────────
     
-    socket.on('gm:authenticate', (data, callback) => {
+    socket.on(MessageType.GM_AUTHENTICATE, (data, callback) => {
+        const respond = typeof callback === 'function' ? callback : () => {};
         const user = users.get(socket.id);
         if (!user) {
-            callback({ success: false, message: 'Not connected' });
+            respond({ success: false, message: 'Not connected' });
             return;
         }
         
-        if (data.password === GM_PASSWORD) {
-            user.role = 'gm';
-            
-            const session = sessions.get(user.sessionId);
-            if (session) {
-                session.gm = socket.id;
-            }
-            
-            console.log('[Sync] GM authenticated:', user.name);
-            
-            // Broadcast role change
-            broadcastPresence(user.sessionId);
-            
-            callback({ success: true });
-        } else {
-            console.log('[Sync] GM auth failed for:', user.name);
-            callback({ success: false, message: 'Invalid password' });
+        const address = socket.handshake.address;
+        const audit = { name: user.name, address };
+        
+        const lockRemaining = GMAuth.getLockRemaining(address);
+        if (lockRemaining > 0) {
+            SessionManager.addAuditEntry(user.sessionId, { event: 'gm_login_locked', ...audit });
+            respond({
+                success: false,
+                message: `Too many failed attempts. Try again in ${Math.ceil(lockRemaining / 1000)}s`,
+                retryAfter: lockRemaining
+            });
+            return;
+        }
+        
+        // Session's own secret first, then the server admin password
+        const storedSecret = SessionManager.getGMSecret(user.sessionId);
+        if (!storedSecret && !GM_PASSWORD) {
+            respond({ success: false, message: 'No GM secret is set for this session' });
+            return;
+        }
+        
+        const password = data && data.password;
+        const admin = GMAuth.verifyPlainSecret(password, GM_PASSWORD);
+        const valid = admin || (storedSecret && GMAuth.verifySecret(password, storedSecret));
+        
+        if (!valid) {
+            const { locked, remainingAttempts } = GMAuth.recordFailure(address);
+            SessionManager.addAuditEntry(user.sessionId, { event: 'gm_login_failed', ...audit });
+            console.warn('[Sync] GM auth failed for:', user.name, 'from', address, locked ? '(locked out)' : '');
+            respond({
+                success: false,
+                message: locked
+                    ? `Too many failed attempts. Try again in ${Math.ceil(GMAuth.LOCKOUT_MS / 1000)}s`
+                    : 'Invalid password',
+                remainingAttempts
+            });
+            return;
         }
+        
+        user.role = 'gm';
+        
+        // Bind the role to the reconnect token so a refresh keeps it
+        SessionManager.updateUser(user.token, { role: 'gm', admin });
+        SessionManager.addAuditEntry(user.sessionId, { event: 'gm_login', admin, ...audit });
+        
+        const session = sessions.get(user.sessionId);
+        if (session) {
+            session.gm = socket.id;
+        }
+        
+        console.log('[Sync] GM authenticated:', user.name);
+        
+        // Broadcast role change
+        broadcastPresence(user.sessionId);
+        broadcastSchedule(user.sessionId);
+        
+        respond({ success: true, admin });
     });
     
-    socket.on('gm:logout', () => {
+    socket.on(MessageType.GM_LOGOUT, () => {
         const user = users.get(socket.id);
         if (!user) return;
         
         user.role = 'player';
+        SessionManager.updateUser(user.token, { role: 'player', admin: false });
+        SessionManager.addAuditEntry(user.sessionId, {
+            event: 'gm_logout',
+            name: user.name,
+            address: socket.handshake.address
+        });
         
         const session = sessions.get(user.sessionId);
         if (session && session.gm === socket.id) {
@@ -1559,6 +2980,31 @@ io.on('connection', (socket) => {
         console.log('[Sync] GM logout:', user.name);
     });
     
+    // Change this session's GM secret (GM only)
+    socket.on(MessageType.GM_SET_SECRET, handleOnce(socket, (data, respond) => {
+        const user = users.get(socket.id);
+        if (!user || user.role !== 'gm') {
+            respond({ success: false, message: 'Only the GM can change the GM secret' });
+            return;
+        }
+        
+        const secretError = GMAuth.validateNewSecret(data && data.secret);
+        if (secretError) {
+            respond({ success: false, message: secretError });
+            return;
+        }
+        
+        SessionManager.setGMSecret(user.sessionId, GMAuth.hashSecret(data.secret), toActor(user));
+        SessionManager.addAuditEntry(user.sessionId, {
+            event: 'gm_secret_changed',
+            name: user.name,
+            address: socket.handshake.address
+        });
+        
+        console.log('[Sync] GM secret changed for session:', user.sessionId);
+        respond({ success: true });
+    }));
+    
     // ─────────────────────────────────────────────────────────────────────
     // PING/PONG for latency measurement
     // ─────────────────────────────────────────────────────────────────────
@@ -1575,24 +3021,7 @@ io.on('connection', (socket) => {
         const user = users.get(socket.id);
         
         if (user) {
-            const session = sessions.get(user.sessionId);
-            if (session) {
-                session.players.delete(socket.id);
-                if (session.gm === socket.id) {
-                    session.gm = null;
-                }
-            }
-            
-            // Mark user as disconnected in persistent session (preserves state for reconnect)
-            if (user.token) {
-                SessionManager.disconnectUser(user.token);
-            }
-            
-            // Broadcast leave to session
-            socket.to(user.sessionId).emit(MessageType.LEAVE, {
-                id: socket.id
-            });
-            
+            leaveRoom(socket, user);
             console.log('[Sync] User left:', user.name, '(state preserved for reconnect)');
             users.delete(socket.id);
         } else {
@@ -1604,6 +3033,13 @@ io.on('connection', (socket) => {
 // Initialize SessionManager
 SessionManager.init();
 
+// Serve content from memory; pick up edits without a restart.
+// The index refreshes first, so clients told to refetch get the new file.
+ContentIndex.build();
+ContentWatcher.onChange(ContentIndex.applyChange);
+ContentWatcher.onChange(broadcastContentUpdate);
+ContentWatcher.start();
+
 // Handle graceful shutdown
 process.on('SIGINT', () => {
     console.log('\n[Server] Shutting down...');
@@ -8,6 +8,7 @@ import { Sidebar } from './components/layout/Sidebar';
 import { NavBar } from './components/layout/NavBar';
 import { useSceneStore } from './store/sceneStore';
 import { useViewStore } from './store/viewStore';
+import { useSessionListStore } from './store/sessionListStore';
 import { useKeyboardShortcuts } from './hooks/useKeyboardShortcuts';
 import { useSyncManager } from './hooks/useSyncManager';
 import type { Breadcrumb } from './types';
@@ -18,6 +19,8 @@ import { GlobalSearchModal } from './components/modals/GlobalSearchModal';
 import { AdHocCheckModal } from './components/modals/AdHocCheckModal';
 import { SettingsModal } from './components/modals/SettingsModal';
 import { ExportAllModal } from './components/modals/ExportAllModal';
+import { SessionPickerModal } from './components/modals/SessionPickerModal';
+import { GMLoginModal } from './components/modals/GMLoginModal';
 
 // Floating panels
 import { PlayerManagerPanel } from './components/panels/PlayerManagerPanel';
@@ -32,6 +35,12 @@ export function App() {
     isViewingActiveScene 
   } = useSceneStore();
   const { isVisible, setVisible, breadcrumbs, resetToNarrative, openModal } = useViewStore();
+  const loadSessions = useSessionListStore((state) => state.loadSessions);
+  const role = useSessionListStore((state) => state.role);
+  const protocolError = useSessionListStore((state) => state.protocolError);
+  const sessionAdventureId = useSessionListStore(
+    (state) => state.sessions.find((s) => s.id === state.activeSessionId)?.adventureId
+  );
 
   // Initialize keyboard shortcuts
   useKeyboardShortcuts();
@@ -47,6 +56,28 @@ export function App() {
     loadScenes(adventureId);
   }, [loadScenes]);
 
+  // The session is bound to one adventure; follow it once the session list
+  // arrives, and when the GM switches sessions
+  useEffect(() => {
+    if (sessionAdventureId && sessionAdventureId !== useSceneStore.getState().adventureId) {
+      loadScenes(sessionAdventureId);
+    }
+  }, [sessionAdventureId, loadScenes]);
+
+  // Until the GM role is confirmed the server only sends the player
+  // projection of each scene, so fetch the full documents again
+  useEffect(() => {
+    const { adventureId } = useSceneStore.getState();
+    if (role === 'gm' && adventureId) {
+      loadScenes(adventureId);
+    }
+  }, [role, loadScenes]);
+
+  // Load the session list (for the header's session name and join code)
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
   const handleClose = () => {
     setVisible(false);
     // Notify main app that overlay is closing
@@ -57,6 +88,10 @@ export function App() {
     useViewStore.getState().openModal('settings');
   };
 
+  const handleSessions = () => {
+    openModal('sessionPicker');
+  };
+
   const handleExportAll = () => {
     openModal('exportAll');
   };
@@ -91,10 +126,18 @@ export function App() {
         activeSceneLabel={activeSceneLabel}
         isViewingActive={isViewingActiveScene()}
         onSettings={handleSettings}
+        onSessions={handleSessions}
         onExportAll={handleExportAll}
         onClose={handleClose}
       />
 
+      {/* The server refused this build; nothing below is live until it is rebuilt */}
+      {protocolError && (
+        <div role="alert" className="px-4 py-2 text-sm bg-red-900/50 border-b border-red-700 text-red-300">
+          {protocolError}
+        </div>
+      )}
+
       <Breadcrumbs
         trail={breadcrumbs.map((crumb: Breadcrumb, i: number) => ({
           label: crumb.label,
@@ -119,6 +162,8 @@ export function App() {
       <AdHocCheckModal />
       <SettingsModal />
       <ExportAllModal />
+      <SessionPickerModal />
+      <GMLoginModal />
 
       {/* Floating Panels */}
       <PlayerManagerPanel />
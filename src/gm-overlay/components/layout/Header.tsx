@@ -1,6 +1,7 @@
-import { Settings, X, BookOpen, Play, FileDown, Users } from 'lucide-react';
+import { Settings, X, BookOpen, Play, FileDown, Users, FolderOpen, Eye } from 'lucide-react';
 import { cn } from '../../utils/cn';
 import { usePlayerStore } from '../../store/playerStore';
+import { useSessionListStore } from '../../store/sessionListStore';
 
 interface HeaderProps {
   sceneLabel: string;
@@ -8,6 +9,7 @@ interface HeaderProps {
   activeSceneLabel?: string;
   isViewingActive: boolean;
   onSettings: () => void;
+  onSessions: () => void;
   onExportAll: () => void;
   onClose: () => void;
 }
@@ -18,13 +20,17 @@ export function Header({
   activeSceneLabel,
   isViewingActive,
   onSettings,
+  onSessions,
   onExportAll,
   onClose 
 }: HeaderProps) {
   const { connectedPlayers, isPanelOpen, openPanel } = usePlayerStore();
+  const activeSessionId = useSessionListStore((state) => state.activeSessionId);
+  const activeSession = useSessionListStore((state) => state.getActiveSession());
   
-  // Count only players (not GMs)
+  // Count only players (not GMs or spectators)
   const playerCount = connectedPlayers.filter(p => p.role === 'player').length;
+  const spectatorCount = connectedPlayers.filter(p => p.role === 'spectator').length;
   
   return (
     <header
@@ -70,6 +76,19 @@ export function Header({
         <div className="flex items-center gap-4 flex-shrink-0">
           <span className="text-neutral-400 text-sm font-mono">{position}</span>
 
+          {/* Session picker */}
+          <button
+            onClick={onSessions}
+            className="px-3 py-1.5 rounded text-xs font-medium flex items-center gap-1.5 bg-neutral-700 hover:bg-neutral-600 text-neutral-200"
+            title="Switch or manage sessions"
+          >
+            <FolderOpen size={14} />
+            <span className="max-w-[10rem] truncate">{activeSession?.name || activeSessionId}</span>
+            {activeSession && (
+              <span className="font-mono text-amber-300">{activeSession.joinCode}</span>
+            )}
+          </button>
+
           {/* Player count button */}
           <button
             onClick={openPanel}
@@ -80,10 +99,18 @@ export function Header({
                 : 'bg-neutral-700 hover:bg-neutral-600 text-neutral-200',
               playerCount > 0 && 'ring-1 ring-green-400/50'
             )}
-            title="Manage player characters"
+            title={spectatorCount > 0
+              ? `Manage player characters (${spectatorCount} spectating)`
+              : 'Manage player characters'}
           >
             <Users size={14} />
             <span>{playerCount}</span>
+            {spectatorCount > 0 && (
+              <span className="flex items-center gap-0.5 text-neutral-400">
+                <Eye size={12} />
+                {spectatorCount}
+              </span>
+            )}
             {playerCount > 0 && (
               <span className="w-1.5 h-1.5 bg-green-400 rounded-full animate-pulse" />
             )}
@@ -4,6 +4,7 @@ import * as Dialog from '@radix-ui/react-dialog';
 import { cn } from '../../utils/cn';
 import { useViewStore } from '../../store/viewStore';
 import { useChatStore } from '../../store/chatStore';
+import type { ServerRoll } from '../../types';
 
 const SKILLS = [
   'Athletics', 'Acrobatics', 'Sleight of Hand', 'Stealth',
@@ -31,24 +32,36 @@ export function AdHocCheckModal() {
 
   const isOpen = activeModal === 'adHocCheck';
 
-  const handleRoll = () => {
+  const handleRoll = async () => {
     if (!selectedSkill) return;
     
     const dc = selectedDC || parseInt(customDC) || 15;
-    const roll = Math.floor(Math.random() * 20) + 1;
+    
+    // Roll on the server so the result is recorded and trusted by the table
+    const GMOverlay = (window as any).GMOverlay;
+    const serverRoll: ServerRoll | null = GMOverlay?.dice?.roll
+      ? await GMOverlay.dice.roll('1d20', `${selectedSkill} check (DC ${dc})`)
+      : null;
+    
+    if (!serverRoll) {
+      addSystemMessage(`${selectedSkill} check failed: server did not roll`);
+      return;
+    }
+    
+    const roll = serverRoll.total;
     const success = roll >= dc;
     
     const message = `[GM] ${selectedSkill} check (DC ${dc}): d20 = ${roll} - ${success ? '✓ SUCCESS' : '✗ FAIL'}`;
     addSystemMessage(message);
     
     // Broadcast to all players via SyncManager
-    if ((window as any).GMOverlay?.chat?.send) {
-      (window as any).GMOverlay.chat.send(message);
+    if (GMOverlay?.chat?.send) {
+      GMOverlay.chat.send(message);
     }
     
     // Dispatch to main app for any additional handling
     window.dispatchEvent(new CustomEvent('gm-overlay:roll', {
-      detail: { skill: selectedSkill, dc, roll, success }
+      detail: { skill: selectedSkill, dc, roll, success, rollId: serverRoll.id }
     }));
     
     closeModal();
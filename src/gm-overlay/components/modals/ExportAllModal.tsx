@@ -1,8 +1,10 @@
 import { useEffect, useState, useMemo } from 'react';
-import { X, FileDown, Copy } from 'lucide-react';
+import { X, FileDown, Copy, Printer, FileText } from 'lucide-react';
 import * as Dialog from '@radix-ui/react-dialog';
 import { cn } from '../../utils/cn';
 import { useViewStore } from '../../store/viewStore';
+import { useSceneStore } from '../../store/sceneStore';
+import { getAuthHeaders } from '../../store/sessionListStore';
 
 interface ExportSection {
   type: string;
@@ -20,6 +22,7 @@ interface ExportResponse {
 export function ExportAllModal() {
   const { activeModal, closeModal } = useViewStore();
   const isOpen = activeModal === 'exportAll';
+  const adventureId = useSceneStore((state) => state.adventureId) || 'AChangeOfHeart';
 
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState<string | null>(null);
@@ -31,10 +34,7 @@ export function ExportAllModal() {
     setLoading(true);
     setError(null);
 
-    const params = new URLSearchParams(window.location.search);
-    const adventureId = params.get('adventure') || 'AChangeOfHeart';
-
-    fetch(`/api/export/${adventureId}`)
+    fetch(`/api/export/${encodeURIComponent(adventureId)}`, { headers: getAuthHeaders() })
       .then((res) => {
         if (!res.ok) throw new Error(`Failed to export: ${res.statusText}`);
         return res.json();
@@ -48,7 +48,7 @@ export function ExportAllModal() {
         setError(err instanceof Error ? err.message : 'Failed to export data');
         setLoading(false);
       });
-  }, [isOpen]);
+  }, [isOpen, adventureId]);
 
   const text = useMemo(() => {
     if (!exportData) return '';
@@ -220,6 +220,30 @@ export function ExportAllModal() {
     return lines.join('\n');
   }, [exportData]);
 
+  // The printable module is GM only, so it is fetched with our token rather than linked to
+  const handleModule = async (format: 'html' | 'markdown') => {
+    try {
+      const res = await fetch(`/api/export/${encodeURIComponent(adventureId)}?format=${format}`, {
+        headers: getAuthHeaders(),
+      });
+      if (!res.ok) throw new Error(`Failed to export: ${res.statusText}`);
+
+      const url = URL.createObjectURL(await res.blob());
+      if (format === 'html') {
+        window.open(url, '_blank');
+      } else {
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${adventureId}.md`;
+        link.click();
+      }
+      setTimeout(() => URL.revokeObjectURL(url), 60 * 1000);
+    } catch (err) {
+      console.error('[GM Overlay] Module export error:', err);
+      setError(err instanceof Error ? err.message : 'Failed to export module');
+    }
+  };
+
   const handleCopy = () => {
     if (!text) return;
     navigator.clipboard.writeText(text).then(
@@ -250,6 +274,21 @@ export function ExportAllModal() {
               Export All (LLM Bundle)
             </Dialog.Title>
             <div className="flex items-center gap-2">
+              {/* Printable module for running the game from paper or a tablet */}
+              <button
+                onClick={() => handleModule('html')}
+                className="px-3 py-1.5 rounded text-sm flex items-center gap-1.5 bg-neutral-700 hover:bg-neutral-600 text-white"
+                title="Open the printable module (HTML)"
+              >
+                <Printer size={14} /> Print
+              </button>
+              <button
+                onClick={() => handleModule('markdown')}
+                className="px-3 py-1.5 rounded text-sm flex items-center gap-1.5 bg-neutral-700 hover:bg-neutral-600 text-white"
+                title="Download the printable module as Markdown"
+              >
+                <FileText size={14} /> Markdown
+              </button>
               <button
                 onClick={handleCopy}
                 disabled={!text || loading || !!error}
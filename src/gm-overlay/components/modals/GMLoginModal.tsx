@@ -0,0 +1,97 @@
+import { useState } from 'react';
+import { X, KeyRound } from 'lucide-react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { cn } from '../../utils/cn';
+import { useViewStore } from '../../store/viewStore';
+import { useSessionListStore } from '../../store/sessionListStore';
+
+/**
+ * Asks for the active session's GM secret. Shown when the server joins the
+ * overlay without the GM role (first visit, new browser, or a new session).
+ * Once logged in, the role is bound to the session token and survives reloads.
+ */
+export function GMLoginModal() {
+  const { activeModal, closeModal, openModal } = useViewStore();
+  const { activeSessionId, getActiveSession } = useSessionListStore();
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState<string | null>(null);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const isOpen = activeModal === 'gmLogin';
+  const sessionName = getActiveSession()?.name || activeSessionId;
+
+  const handleLogin = async () => {
+    if (!secret || isSubmitting) return;
+    setIsSubmitting(true);
+    setError(null);
+
+    const GMOverlay = (window as any).GMOverlay;
+    const response = await GMOverlay?.auth?.login?.(secret);
+
+    setIsSubmitting(false);
+    if (response?.success) {
+      setSecret('');
+      closeModal();
+    } else {
+      setError(response?.message || 'Login failed');
+    }
+  };
+
+  return (
+    <Dialog.Root open={isOpen} onOpenChange={(open) => !open && closeModal()}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-50" />
+        <Dialog.Content
+          className={cn(
+            'fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2',
+            'w-[360px] bg-neutral-800 rounded-lg shadow-xl z-50'
+          )}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-neutral-700">
+            <Dialog.Title className="text-lg font-semibold flex items-center gap-2">
+              <KeyRound size={16} />
+              GM Login
+            </Dialog.Title>
+            <Dialog.Close className="p-1 hover:bg-neutral-700 rounded">
+              <X size={18} />
+            </Dialog.Close>
+          </div>
+
+          <div className="p-4 space-y-3">
+            <p className="text-sm text-neutral-300">
+              Enter the GM secret for <span className="font-medium">{sessionName}</span>.
+            </p>
+            <input
+              type="password"
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              onKeyDown={(e) => e.key === 'Enter' && handleLogin()}
+              placeholder="GM secret"
+              className="input w-full text-sm"
+              autoFocus
+            />
+            {error && (
+              <p className="text-xs text-red-400">{error}</p>
+            )}
+            <div className="flex justify-between items-center">
+              <button
+                onClick={() => openModal('sessionPicker')}
+                className="text-xs text-neutral-400 hover:text-neutral-100"
+              >
+                Switch session
+              </button>
+              <button
+                onClick={handleLogin}
+                disabled={!secret || isSubmitting}
+                className="btn btn-primary"
+              >
+                {isSubmitting ? 'Checking...' : 'Log in'}
+              </button>
+            </div>
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+}
@@ -4,6 +4,7 @@ import * as Dialog from '@radix-ui/react-dialog';
 import { cn } from '../../utils/cn';
 import { useViewStore } from '../../store/viewStore';
 import { useSceneStore } from '../../store/sceneStore';
+import { getAuthHeaders } from '../../store/sessionListStore';
 
 type SearchCategory = 'all' | 'scenes' | 'npcs' | 'items';
 
@@ -98,7 +99,7 @@ export function GlobalSearchModal() {
       case 'npc':
         // Fetch full NPC data (GM gets full access)
         try {
-          const response = await fetch(`/api/npcs/${result.id}?role=gm`);
+          const response = await fetch(`/api/npcs/${result.id}`, { headers: getAuthHeaders() });
           if (response.ok) {
             const npc = await response.json();
             selectNPC(npc);
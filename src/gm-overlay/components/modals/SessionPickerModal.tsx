@@ -0,0 +1,251 @@
+import { useEffect, useState } from 'react';
+import { X, Plus, Pencil, Archive, ArchiveRestore, Trash2, Check, LogIn } from 'lucide-react';
+import * as Dialog from '@radix-ui/react-dialog';
+import { cn } from '../../utils/cn';
+import { useViewStore } from '../../store/viewStore';
+import { useSceneStore } from '../../store/sceneStore';
+import { useSessionListStore } from '../../store/sessionListStore';
+import type { SessionSummary } from '../../types';
+
+/**
+ * Lists the server's sessions (campaigns) with their join codes, and lets the
+ * GM create, rename, archive, delete and switch between them.
+ */
+export function SessionPickerModal() {
+  const { activeModal, closeModal } = useViewStore();
+  const { loadScenes } = useSceneStore();
+  const {
+    sessions, adventures, isLoading, error, showArchived, activeSessionId,
+    loadSessions, loadAdventures, setShowArchived, createSession, selectSession,
+  } = useSessionListStore();
+  const [newName, setNewName] = useState('');
+  const [newSecret, setNewSecret] = useState('');
+  const [newAdventure, setNewAdventure] = useState<string | null>(null);
+
+  const isOpen = activeModal === 'sessionPicker';
+
+  useEffect(() => {
+    if (isOpen) {
+      loadSessions();
+      loadAdventures();
+    }
+  }, [isOpen, loadSessions, loadAdventures]);
+
+  // Default new sessions to the first adventure once the list arrives
+  useEffect(() => {
+    if (newAdventure === null && adventures.length > 0) {
+      setNewAdventure(adventures[0].id);
+    }
+  }, [adventures, newAdventure]);
+
+  const handleSelect = (session: SessionSummary) => {
+    selectSession(session.id);
+    if (session.adventureId) {
+      loadScenes(session.adventureId);
+    }
+    closeModal();
+  };
+
+  const canCreate = newName.trim() !== '' && newSecret !== '';
+
+  const handleCreate = async () => {
+    if (!canCreate) return;
+    const session = await createSession(newName.trim(), newSecret, newAdventure || null);
+    if (session) {
+      setNewName('');
+      setNewSecret('');
+    }
+  };
+
+  return (
+    <Dialog.Root open={isOpen} onOpenChange={(open) => !open && closeModal()}>
+      <Dialog.Portal>
+        <Dialog.Overlay className="fixed inset-0 bg-black/60 z-50" />
+        <Dialog.Content
+          className={cn(
+            'fixed top-1/2 left-1/2 -translate-x-1/2 -translate-y-1/2',
+            'w-[560px] max-h-[80vh] flex flex-col bg-neutral-800 rounded-lg shadow-xl z-50'
+          )}
+        >
+          {/* Header */}
+          <div className="flex items-center justify-between p-4 border-b border-neutral-700">
+            <Dialog.Title className="text-lg font-semibold">
+              Sessions
+            </Dialog.Title>
+            <Dialog.Close className="p-1 hover:bg-neutral-700 rounded">
+              <X size={18} />
+            </Dialog.Close>
+          </div>
+
+          <div className="p-4 space-y-4 overflow-y-auto scrollbar-thin">
+            {/* New session */}
+            <div className="flex gap-2">
+              <input
+                type="text"
+                value={newName}
+                onChange={(e) => setNewName(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+                placeholder="New session name..."
+                className="input flex-1 text-sm"
+              />
+              <input
+                type="password"
+                value={newSecret}
+                onChange={(e) => setNewSecret(e.target.value)}
+                onKeyDown={(e) => e.key === 'Enter' && handleCreate()}
+                placeholder="GM secret"
+                className="input w-28 text-sm"
+              />
+              <select
+                value={newAdventure ?? ''}
+                onChange={(e) => setNewAdventure(e.target.value)}
+                className="input w-36 text-sm"
+                title="Adventure this session plays"
+              >
+                <option value="">No adventure</option>
+                {adventures.map((adventure) => (
+                  <option key={adventure.id} value={adventure.id} title={adventure.summary || undefined}>
+                    {adventure.name}
+                  </option>
+                ))}
+              </select>
+              <button
+                onClick={handleCreate}
+                disabled={!canCreate}
+                className="btn btn-primary p-2"
+                title="Create session"
+              >
+                <Plus size={14} />
+              </button>
+            </div>
+
+            {error && (
+              <p className="text-xs text-red-400">{error}</p>
+            )}
+
+            <label className="flex items-center gap-2 text-xs text-neutral-400">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+              />
+              Show archived
+            </label>
+
+            {/* Session list */}
+            {isLoading && sessions.length === 0 ? (
+              <p className="text-xs text-neutral-500 text-center py-4">Loading...</p>
+            ) : sessions.length === 0 ? (
+              <p className="text-xs text-neutral-500 text-center py-4">No sessions yet</p>
+            ) : (
+              <ul className="space-y-2">
+                {sessions.map((session) => (
+                  <SessionRow
+                    key={session.id}
+                    session={session}
+                    isActive={session.id === activeSessionId}
+                    onSelect={() => handleSelect(session)}
+                  />
+                ))}
+              </ul>
+            )}
+          </div>
+        </Dialog.Content>
+      </Dialog.Portal>
+    </Dialog.Root>
+  );
+}
+
+interface SessionRowProps {
+  session: SessionSummary;
+  isActive: boolean;
+  onSelect: () => void;
+}
+
+function SessionRow({ session, isActive, onSelect }: SessionRowProps) {
+  const { adventures, renameSession, setArchived, deleteSession } = useSessionListStore();
+  const adventure = adventures.find(a => a.id === session.adventureId);
+  const [isEditing, setIsEditing] = useState(false);
+  const [name, setName] = useState(session.name);
+  const isArchived = session.status === 'archived';
+
+  const handleRename = async () => {
+    if (name.trim() && name.trim() !== session.name) {
+      await renameSession(session.id, name.trim());
+    }
+    setIsEditing(false);
+  };
+
+  const handleDelete = () => {
+    if (confirm(`Delete "${session.name}"? Its chat log and state will be lost.`)) {
+      deleteSession(session.id);
+    }
+  };
+
+  return (
+    <li
+      className={cn(
+        'p-3 rounded border flex items-center gap-3',
+        isActive ? 'border-cyan-500 bg-cyan-900/20' : 'border-neutral-700 bg-neutral-900/40',
+        isArchived && 'opacity-60'
+      )}
+    >
+      <div className="flex-1 min-w-0">
+        {isEditing ? (
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && handleRename()}
+            className="input w-full text-sm"
+            autoFocus
+          />
+        ) : (
+          <div className="text-sm font-medium truncate">{session.name}</div>
+        )}
+        <div className="text-xs text-neutral-400 flex gap-3">
+          <span className="font-mono text-amber-300">{session.joinCode}</span>
+          <span>{adventure?.name || session.adventureId || 'No adventure'}</span>
+          <span>{session.connectedCount} online</span>
+          {isArchived && <span className="text-neutral-500">Archived</span>}
+        </div>
+      </div>
+
+      <div className="flex items-center gap-1 flex-shrink-0">
+        {isEditing ? (
+          <button onClick={handleRename} className="p-1.5 rounded hover:bg-neutral-700" title="Save name">
+            <Check size={14} />
+          </button>
+        ) : (
+          <button onClick={() => setIsEditing(true)} className="p-1.5 rounded hover:bg-neutral-700" title="Rename">
+            <Pencil size={14} />
+          </button>
+        )}
+        <button
+          onClick={() => setArchived(session.id, !isArchived)}
+          className="p-1.5 rounded hover:bg-neutral-700"
+          title={isArchived ? 'Unarchive' : 'Archive'}
+        >
+          {isArchived ? <ArchiveRestore size={14} /> : <Archive size={14} />}
+        </button>
+        <button
+          onClick={handleDelete}
+          disabled={isActive}
+          className="p-1.5 rounded hover:bg-neutral-700 text-red-400 disabled:opacity-30"
+          title={isActive ? 'Switch to another session before deleting' : 'Delete'}
+        >
+          <Trash2 size={14} />
+        </button>
+        <button
+          onClick={onSelect}
+          disabled={isActive || isArchived}
+          className="btn btn-primary px-2 py-1 text-xs flex items-center gap-1 disabled:opacity-40"
+          title="Run this session"
+        >
+          <LogIn size={12} />
+          {isActive ? 'Current' : 'Open'}
+        </button>
+      </div>
+    </li>
+  );
+}
@@ -6,7 +6,12 @@ import { useSessionStore } from '../../store/sessionStore';
 
 export function SettingsModal() {
   const { activeModal, closeModal } = useViewStore();
-  const { clear: clearSession, campaignClock, setTime } = useSessionStore();
+  const { clear: clearSession, campaignClock } = useSessionStore();
+
+  // The server owns the clock and echoes the new value back over sync:clock
+  const setTime = (day: number, time: string) => {
+    (window as any).GMOverlay?.clock?.set?.(day, time);
+  };
 
   const isOpen = activeModal === 'settings';
 
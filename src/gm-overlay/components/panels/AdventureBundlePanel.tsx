@@ -0,0 +1,136 @@
+import { useState } from 'react';
+import { Download, Upload, PackageCheck, XCircle, AlertTriangle } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import { useBundleStore } from '../../store/bundleStore';
+import { useSceneStore } from '../../store/sceneStore';
+import { useSessionListStore } from '../../store/sessionListStore';
+
+/**
+ * Share adventures between GMs: download the loaded adventure as one .zip,
+ * or check an archive (validation, collisions) and install it under assets/.
+ */
+export function AdventureBundlePanel() {
+  const role = useSessionListStore((state) => state.role);
+  const loadAdventures = useSessionListStore((state) => state.loadAdventures);
+  const adventureId = useSceneStore((state) => state.adventureId);
+  const { report, isBusy, error, download, check, install, clear } = useBundleStore();
+  const [file, setFile] = useState<File | null>(null);
+  const [overwrite, setOverwrite] = useState(false);
+
+  if (role !== 'gm') {
+    return <p className="text-xs text-neutral-500">Log in as GM to export or import adventures</p>;
+  }
+
+  const pick = (picked: File | null) => {
+    setFile(picked);
+    setOverwrite(false);
+    if (picked) check(picked);
+    else clear();
+  };
+
+  const onInstall = async () => {
+    if (!file) return;
+    await install(file, overwrite);
+    loadAdventures();
+  };
+
+  const counts = { new: 0, same: 0, collision: 0 };
+  for (const f of report?.files || []) counts[f.status]++;
+  const blocked = !report?.installable || (counts.collision > 0 && !overwrite);
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <button
+          onClick={() => adventureId && download(adventureId)}
+          disabled={!adventureId || isBusy}
+          className="btn btn-secondary flex items-center gap-1"
+        >
+          <Download size={14} />
+          Export {adventureId || 'adventure'}
+        </button>
+        <label className={cn('btn btn-secondary flex items-center gap-1 cursor-pointer', isBusy && 'opacity-50')}>
+          <Upload size={14} />
+          Import .zip
+          <input
+            type="file"
+            accept=".zip,application/zip"
+            className="hidden"
+            disabled={isBusy}
+            onChange={(e) => pick(e.target.files?.[0] || null)}
+          />
+        </label>
+        {file && <span className="text-xs text-neutral-400 truncate" title={file.name}>{file.name}</span>}
+      </div>
+
+      {isBusy && <p className="text-xs text-neutral-400">Working...</p>}
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {report && (
+        <div className="space-y-2 text-xs">
+          <p className="text-neutral-300">
+            {report.name || report.adventureId || 'Unknown adventure'}
+            {report.version && <span className="text-neutral-500"> v{report.version}</span>}
+            {': '}
+            {report.files.length} files ({counts.new} new, {counts.same} unchanged, {counts.collision} different)
+          </p>
+
+          {report.adventureExists && !report.installed && (
+            <p className="text-amber-400">{report.adventureId} is already installed; unchanged files are skipped</p>
+          )}
+
+          {report.validation && (
+            <p className={report.validation.valid ? 'text-green-400' : 'text-amber-400'}>
+              Content check: {report.validation.summary.errors} errors, {report.validation.summary.warnings} warnings
+            </p>
+          )}
+
+          {report.problems.length > 0 && (
+            <ul className="space-y-0.5">
+              {report.problems.map((problem, i) => (
+                <li key={i} className="flex items-start gap-1 text-red-400">
+                  <XCircle size={12} className="mt-0.5 shrink-0" />
+                  <span>{problem}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {report.collisions.length > 0 && (
+            <ul className="space-y-0.5 max-h-40 overflow-y-auto">
+              {report.collisions.map((f) => (
+                <li key={f.path} className="flex items-start gap-1">
+                  <AlertTriangle size={12} className="text-amber-400 mt-0.5 shrink-0" />
+                  <span>
+                    <span className="text-neutral-500">{f.kind} </span>
+                    <span className="font-mono text-neutral-300">{f.id}</span>
+                    <span className="text-neutral-500"> differs from the installed file</span>
+                  </span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {report.installed ? (
+            <p className="flex items-center gap-1 text-green-400">
+              <PackageCheck size={12} />
+              Installed {report.written.length} files
+            </p>
+          ) : report.installable && (
+            <div className="flex items-center gap-2">
+              {counts.collision > 0 && (
+                <label className="flex items-center gap-1 text-neutral-400">
+                  <input type="checkbox" checked={overwrite} onChange={(e) => setOverwrite(e.target.checked)} />
+                  Replace {counts.collision} different files
+                </label>
+              )}
+              <button onClick={onInstall} disabled={blocked || isBusy} className="btn btn-primary">
+                Install
+              </button>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
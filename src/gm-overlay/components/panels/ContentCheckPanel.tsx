@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { ShieldCheck, AlertTriangle, XCircle } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import { useValidationStore } from '../../store/validationStore';
+import { useSceneStore } from '../../store/sceneStore';
+import { useSessionListStore } from '../../store/sessionListStore';
+import type { ValidationIssue } from '../../types';
+
+// Issues by file, keeping the server's order (errors first)
+function groupByFile(issues: ValidationIssue[]): [string, ValidationIssue[]][] {
+  const groups = new Map<string, ValidationIssue[]>();
+  for (const issue of issues) {
+    const group = groups.get(issue.file) || [];
+    group.push(issue);
+    groups.set(issue.file, group);
+  }
+  return [...groups.entries()];
+}
+
+/**
+ * Check the loaded adventure's content files: schema problems and broken
+ * references between scenes, terminals, programs, documents and NPCs.
+ */
+export function ContentCheckPanel() {
+  const role = useSessionListStore((state) => state.role);
+  const adventureId = useSceneStore((state) => state.adventureId);
+  const { report, isValidating, error, validate } = useValidationStore();
+  const [showWarnings, setShowWarnings] = useState(false);
+
+  if (role !== 'gm') {
+    return <p className="text-xs text-neutral-500">Log in as GM to check content</p>;
+  }
+
+  const issues = (report?.issues || []).filter((i) => showWarnings || i.severity === 'error');
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2 text-sm">
+        <button
+          onClick={() => adventureId && validate(adventureId)}
+          disabled={!adventureId || isValidating}
+          className="btn btn-secondary flex items-center gap-1"
+        >
+          <ShieldCheck size={14} />
+          {isValidating ? 'Checking...' : 'Check content'}
+        </button>
+        {report && (
+          <label className="flex items-center gap-1 text-xs text-neutral-400">
+            <input
+              type="checkbox"
+              checked={showWarnings}
+              onChange={(e) => setShowWarnings(e.target.checked)}
+            />
+            Show warnings
+          </label>
+        )}
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {report && (
+        <p className={cn('text-xs', report.valid ? 'text-green-400' : 'text-red-400')}>
+          {report.adventureId}: {report.summary.files} files, {report.summary.errors} errors,{' '}
+          {report.summary.warnings} warnings
+          <span className="text-neutral-500"> · {new Date(report.checkedAt).toLocaleTimeString()}</span>
+        </p>
+      )}
+
+      {report && issues.length > 0 && (
+        <ul className="space-y-2 max-h-80 overflow-y-auto">
+          {groupByFile(issues).map(([file, fileIssues]) => (
+            <li key={file} className="p-2 rounded bg-neutral-900/40">
+              <div className="text-xs font-mono text-neutral-300 truncate" title={file}>{file}</div>
+              <ul className="mt-1 space-y-0.5">
+                {fileIssues.map((issue, i) => (
+                  <li key={i} className="flex items-start gap-1 text-xs">
+                    {issue.severity === 'error' ? (
+                      <XCircle size={12} className="text-red-400 mt-0.5 shrink-0" />
+                    ) : (
+                      <AlertTriangle size={12} className="text-amber-400 mt-0.5 shrink-0" />
+                    )}
+                    <span>
+                      {issue.path && <span className="font-mono text-neutral-500">{issue.path}: </span>}
+                      {issue.message}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
@@ -5,7 +5,8 @@ import {
 } from 'lucide-react';
 import { cn } from '../../utils/cn';
 import { usePlayerStore } from '../../store/playerStore';
-import type { PlayerCharacter } from '../../types';
+import { useChatStore } from '../../store/chatStore';
+import type { PlayerCharacter, ConnectedPlayer } from '../../types';
 
 // Debounce hook for auto-save
 function useDebounce<T>(value: T, delay: number): T {
@@ -209,6 +210,46 @@ function normalizeCharacter(character: PlayerCharacter): PlayerCharacter {
   } as PlayerCharacter;
 }
 
+// Which connected player plays this character (bound to their session token)
+function PlayerAssignment({ 
+  characterId, 
+  players 
+}: { 
+  characterId: string; 
+  players: ConnectedPlayer[];
+}) {
+  const candidates = players.filter(p => p.role === 'player');
+  const current = candidates.find(p => p.characterId === characterId);
+  
+  const handleChange = async (socketId: string) => {
+    const assign = (window as any).GMOverlay?.characters?.assign;
+    if (!assign) return;
+    
+    const response = socketId
+      ? await assign(socketId, characterId)
+      : current && await assign(current.socketId, null);
+    if (response && !response.success) {
+      useChatStore.getState().addSystemMessage(`Character not assigned: ${response.message || 'rejected'}`);
+    }
+  };
+  
+  return (
+    <select
+      value={current?.socketId || ''}
+      onChange={(e) => handleChange(e.target.value)}
+      className="input text-xs py-0.5 max-w-[10rem]"
+      title="Player"
+    >
+      <option value="">Unassigned</option>
+      {candidates.map(p => (
+        <option key={p.socketId} value={p.socketId}>
+          {p.name}{p.characterId && p.characterId !== characterId ? ' (reassign)' : ''}
+        </option>
+      ))}
+    </select>
+  );
+}
+
 // Character editor form
 function CharacterEditor({ 
   character, 
@@ -225,12 +266,16 @@ function CharacterEditor({
     setLocalChar(normalizeCharacter(character));
   }, [character.id]);
   
-  // Auto-save on debounced changes
+  // Auto-save on debounced changes (not when the editor merely (re)mounted,
+  // or a live update from the player would be saved straight back)
   useEffect(() => {
-    if (debouncedChar.id === character.id && debouncedChar !== character) {
+    if (
+      debouncedChar.id === character.id &&
+      JSON.stringify(debouncedChar) !== JSON.stringify(normalizeCharacter(character))
+    ) {
       onUpdate(debouncedChar);
     }
-  }, [debouncedChar, character.id, onUpdate]);
+  }, [debouncedChar, character, onUpdate]);
   
   const updateField = <K extends keyof PlayerCharacter>(
     field: K, 
@@ -444,6 +489,7 @@ export function PlayerManagerPanel() {
     connectedPlayers,
     selectedCharacterId,
     isLoading,
+    remoteRevisions,
     closePanel,
     toggleMinimize,
     setPanelPosition,
@@ -502,6 +548,7 @@ export function PlayerManagerPanel() {
       await saveCharacter(char);
     } catch (err) {
       console.error('Failed to save character:', err);
+      useChatStore.getState().addSystemMessage(`Character not saved: ${(err as Error).message}`);
     }
   }, [saveCharacter]);
   
@@ -513,14 +560,15 @@ export function PlayerManagerPanel() {
       await deleteCharacter(selectedCharacterId);
     } catch (err) {
       console.error('Failed to delete character:', err);
+      useChatStore.getState().addSystemMessage(`Character not deleted: ${(err as Error).message}`);
     }
   }, [selectedCharacterId, deleteCharacter]);
   
   const handleCreateNew = useCallback(() => {
     const newChar = createNewCharacter();
     // Auto-save the new character
-    saveCharacter(newChar);
-  }, [createNewCharacter, saveCharacter]);
+    handleSaveCharacter(newChar);
+  }, [createNewCharacter, handleSaveCharacter]);
   
   const selectedCharacter = characters.find(c => c.id === selectedCharacterId);
   
@@ -627,6 +675,10 @@ export function PlayerManagerPanel() {
                     </span>
                   </div>
                   <div className="flex items-center gap-1">
+                    <PlayerAssignment
+                      characterId={selectedCharacter.id}
+                      players={connectedPlayers}
+                    />
                     <button
                       onClick={() => handleSaveCharacter(selectedCharacter)}
                       className="p-1.5 hover:bg-neutral-700 rounded text-green-400"
@@ -644,6 +696,7 @@ export function PlayerManagerPanel() {
                   </div>
                 </div>
                 <CharacterEditor
+                  key={`${selectedCharacter.id}:${remoteRevisions[selectedCharacter.id] || 0}`}
                   character={selectedCharacter}
                   onUpdate={handleSaveCharacter}
                 />
@@ -0,0 +1,137 @@
+import { useEffect, useState } from 'react';
+import { Wand2, Send, Trash2 } from 'lucide-react';
+import { useRecapStore } from '../../store/recapStore';
+import { useSessionListStore } from '../../store/sessionListStore';
+
+// datetime-local value → epoch ms (undefined when blank)
+function toTimestamp(value: string): number | undefined {
+  if (!value) return undefined;
+  const time = new Date(value).getTime();
+  return Number.isNaN(time) ? undefined : time;
+}
+
+/**
+ * Generate a recap of the session from its journal, edit it, and publish it
+ * to every player's terminal (DOCS / READ commands).
+ */
+export function RecapPanel() {
+  const activeSessionId = useSessionListStore((state) => state.activeSessionId);
+  const role = useSessionListStore((state) => state.role);
+  const {
+    title, markdown, since, isGenerating, error, documents,
+    generate, setTitle, setMarkdown, publish, loadDocuments, unpublish,
+  } = useRecapStore();
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+
+  useEffect(() => {
+    if (role === 'gm') loadDocuments();
+  }, [activeSessionId, role, loadDocuments]);
+
+  const handleGenerate = () => {
+    generate({ since: toTimestamp(from), until: toTimestamp(to) });
+  };
+
+  const handlePublish = async () => {
+    if (confirm(`Publish "${title}" to every player?`)) {
+      await publish();
+    }
+  };
+
+  const handleUnpublish = (id: string, docTitle: string) => {
+    if (confirm(`Withdraw "${docTitle}" from players?`)) {
+      unpublish(id);
+    }
+  };
+
+  if (role !== 'gm') {
+    return <p className="text-xs text-neutral-500">Log in as GM to write recaps</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2 items-center text-sm">
+        <input
+          type="datetime-local"
+          value={from}
+          onChange={(e) => setFrom(e.target.value)}
+          className="input text-sm"
+          title="From (blank: since the last recap)"
+        />
+        <span className="text-neutral-500">to</span>
+        <input
+          type="datetime-local"
+          value={to}
+          onChange={(e) => setTo(e.target.value)}
+          className="input text-sm"
+          title="To (blank: now)"
+        />
+        <button
+          onClick={handleGenerate}
+          disabled={isGenerating}
+          className="btn btn-secondary flex items-center gap-1 ml-auto"
+          title="Generate recap"
+        >
+          <Wand2 size={14} />
+          {isGenerating ? 'Generating…' : 'Generate'}
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {markdown && (
+        <div className="space-y-2">
+          <p className="text-xs text-neutral-500">
+            Covers {since ? `since ${new Date(since).toLocaleString()}` : 'the whole session'}.
+            Edit freely before publishing.
+          </p>
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Title"
+            className="input w-full text-sm"
+          />
+          <textarea
+            value={markdown}
+            onChange={(e) => setMarkdown(e.target.value)}
+            rows={14}
+            className="input w-full text-sm font-mono"
+          />
+          <div className="flex justify-end">
+            <button
+              onClick={handlePublish}
+              disabled={!title.trim() || !markdown.trim()}
+              className="btn btn-primary flex items-center gap-1"
+            >
+              <Send size={14} />
+              Publish to players
+            </button>
+          </div>
+        </div>
+      )}
+
+      {documents.length > 0 && (
+        <ul className="space-y-1">
+          {documents.map((doc) => (
+            <li key={doc.id} className="flex items-center gap-2 px-2 py-1 rounded bg-neutral-900/40 text-sm">
+              <div className="flex-1 min-w-0">
+                <div className="truncate">{doc.title}</div>
+                <div className="text-xs text-neutral-500">
+                  Published {new Date(doc.publishedAt).toLocaleString()}
+                </div>
+              </div>
+              <button
+                onClick={() => handleUnpublish(doc.id, doc.title)}
+                className="p-1 rounded hover:bg-neutral-700 text-red-400"
+                title="Withdraw"
+              >
+                <Trash2 size={12} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
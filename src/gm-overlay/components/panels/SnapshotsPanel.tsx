@@ -0,0 +1,177 @@
+import { useEffect, useState } from 'react';
+import { Save, RotateCcw, Trash2, GitCompare, X } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import { useSnapshotStore, type SnapshotRef } from '../../store/snapshotStore';
+import { useSessionListStore } from '../../store/sessionListStore';
+import type { SnapshotSummary } from '../../types';
+
+function formatValue(value: unknown): string {
+  if (value === undefined) return '—';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value);
+}
+
+/**
+ * Named save points for the active session. Restoring rolls back scene,
+ * flags, NPC states, clock and character stats for every connected client.
+ */
+export function SnapshotsPanel() {
+  const activeSessionId = useSessionListStore((state) => state.activeSessionId);
+  const role = useSessionListStore((state) => state.role);
+  const {
+    snapshots, error, diff,
+    loadSnapshots, createSnapshot, compare, clearDiff,
+  } = useSnapshotStore();
+  const [name, setName] = useState('');
+  const [compareFrom, setCompareFrom] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (role === 'gm') loadSnapshots();
+  }, [activeSessionId, role, loadSnapshots]);
+
+  const handleSave = async () => {
+    if (!name.trim()) return;
+    await createSnapshot(name.trim());
+    setName('');
+  };
+
+  // First click picks the base; second compares it with the clicked snapshot
+  const handleCompare = (id: SnapshotRef) => {
+    if (compareFrom === null) {
+      setCompareFrom(id);
+      return;
+    }
+    compare(compareFrom, id);
+    setCompareFrom(null);
+  };
+
+  const labelFor = (ref: SnapshotRef) =>
+    ref === 'current' ? 'Now' : snapshots.find(s => s.id === ref)?.name || ref;
+
+  if (role !== 'gm') {
+    return <p className="text-xs text-neutral-500">Log in as GM to manage snapshots</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex gap-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSave()}
+          placeholder="Snapshot name (e.g. Before the ambush)"
+          className="input flex-1 text-sm"
+        />
+        <button
+          onClick={handleSave}
+          disabled={!name.trim()}
+          className="btn btn-primary p-2"
+          title="Save snapshot"
+        >
+          <Save size={14} />
+        </button>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      {compareFrom !== null && (
+        <p className="text-xs text-amber-300">
+          Comparing from "{labelFor(compareFrom)}" — pick another snapshot, or{' '}
+          <button onClick={() => handleCompare('current')} className="underline">now</button>
+          {' '}·{' '}
+          <button onClick={() => setCompareFrom(null)} className="underline">cancel</button>
+        </p>
+      )}
+
+      {snapshots.length === 0 ? (
+        <p className="text-xs text-neutral-500">No snapshots yet</p>
+      ) : (
+        <ul className="space-y-1">
+          {snapshots.map((snapshot) => (
+            <SnapshotRow
+              key={snapshot.id}
+              snapshot={snapshot}
+              isCompareBase={compareFrom === snapshot.id}
+              onCompare={() => handleCompare(snapshot.id)}
+            />
+          ))}
+        </ul>
+      )}
+
+      {diff && (
+        <div className="p-2 rounded bg-neutral-900/60 space-y-1">
+          <div className="flex items-center justify-between text-xs text-neutral-400">
+            <span>{labelFor(diff.from)} → {labelFor(diff.to)}</span>
+            <button onClick={clearDiff} className="p-1 rounded hover:bg-neutral-700" title="Close">
+              <X size={12} />
+            </button>
+          </div>
+          {diff.changes.length === 0 ? (
+            <p className="text-xs text-neutral-500">No differences</p>
+          ) : (
+            <ul className="text-xs font-mono space-y-0.5">
+              {diff.changes.map((change) => (
+                <li key={change.path} className="truncate" title={change.path}>
+                  <span className="text-neutral-400">{change.path}</span>{' '}
+                  <span className="text-red-400">{formatValue(change.from)}</span>
+                  {' → '}
+                  <span className="text-green-400">{formatValue(change.to)}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+interface SnapshotRowProps {
+  snapshot: SnapshotSummary;
+  isCompareBase: boolean;
+  onCompare: () => void;
+}
+
+function SnapshotRow({ snapshot, isCompareBase, onCompare }: SnapshotRowProps) {
+  const { restoreSnapshot, deleteSnapshot } = useSnapshotStore();
+
+  const handleRestore = () => {
+    if (confirm(`Roll the session back to "${snapshot.name}"? Players will be resynced.`)) {
+      restoreSnapshot(snapshot.id);
+    }
+  };
+
+  const handleDelete = () => {
+    if (confirm(`Delete snapshot "${snapshot.name}"?`)) {
+      deleteSnapshot(snapshot.id);
+    }
+  };
+
+  return (
+    <li
+      className={cn(
+        'flex items-center gap-2 px-2 py-1 rounded text-sm',
+        isCompareBase ? 'bg-amber-900/30' : 'bg-neutral-900/40'
+      )}
+    >
+      <div className="flex-1 min-w-0">
+        <div className="truncate">{snapshot.name}</div>
+        <div className="text-xs text-neutral-500 flex gap-3">
+          <span className="font-mono">D{snapshot.campaignClock.day} {snapshot.campaignClock.time}</span>
+          <span>{snapshot.currentScene ? `Scene ${snapshot.currentScene}` : 'No scene'}</span>
+          <span>{new Date(snapshot.createdAt).toLocaleTimeString()}</span>
+        </div>
+      </div>
+      <button onClick={onCompare} className="p-1 rounded hover:bg-neutral-700" title="Compare">
+        <GitCompare size={12} />
+      </button>
+      <button onClick={handleRestore} className="p-1 rounded hover:bg-neutral-700 text-amber-400" title="Restore">
+        <RotateCcw size={12} />
+      </button>
+      <button onClick={handleDelete} className="p-1 rounded hover:bg-neutral-700 text-red-400" title="Delete">
+        <Trash2 size={12} />
+      </button>
+    </li>
+  );
+}
@@ -0,0 +1,219 @@
+import { useState } from 'react';
+import { Plus, Trash2, Check } from 'lucide-react';
+import { cn } from '../../utils/cn';
+import { useSessionStore } from '../../store/sessionStore';
+import type { ScheduledEvent, TimelineAction } from '../../types';
+
+const ADVANCE_STEPS = [
+  { label: '+15m', minutes: 15 },
+  { label: '+1h', minutes: 60 },
+  { label: '+8h', minutes: 8 * 60 },
+  { label: '+1d', minutes: 24 * 60 },
+];
+
+type ActionType = TimelineAction['type'];
+
+const ACTION_PLACEHOLDERS: Record<ActionType, string> = {
+  announcement: 'Text everyone sees in chat',
+  flag: 'Flag key to set',
+  scene: 'Scene ID to cut to',
+};
+
+function getGMOverlay() {
+  return (window as any).GMOverlay;
+}
+
+function describeAction(action: TimelineAction): string {
+  switch (action.type) {
+    case 'announcement': return `Announce "${action.text}"`;
+    case 'flag': return `Set ${action.key} = ${String(action.value)}`;
+    case 'scene': return `Cut to ${action.scene}`;
+  }
+}
+
+/**
+ * Campaign clock controls and the scheduled timeline. The server owns both:
+ * changes go out over sync:clock, and events fire when the clock passes them.
+ */
+export function TimelinePanel() {
+  const { campaignClock, scheduledEvents } = useSessionStore();
+  const [error, setError] = useState<string | null>(null);
+
+  const pending = scheduledEvents.filter((e) => !e.fired);
+  const fired = scheduledEvents.filter((e) => e.fired);
+
+  const handleAdvance = async (minutes: number) => {
+    const response = await getGMOverlay()?.clock?.advance?.(minutes);
+    setError(response?.success ? null : response?.message || 'Clock update failed');
+  };
+
+  const handleUnschedule = async (id: string) => {
+    await getGMOverlay()?.clock?.unschedule?.(id);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-4">
+        <div className="text-3xl font-mono text-cyan-400">
+          Day {campaignClock.day}
+        </div>
+        <div className="text-2xl font-mono text-neutral-300">
+          {campaignClock.time}
+        </div>
+        <div className="flex gap-1 ml-auto">
+          {ADVANCE_STEPS.map((step) => (
+            <button
+              key={step.label}
+              onClick={() => handleAdvance(step.minutes)}
+              className="btn btn-secondary px-2 py-1 text-xs font-mono"
+              title={`Advance the clock ${step.label.slice(1)}`}
+            >
+              {step.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+
+      <ScheduleForm onError={setError} />
+
+      {pending.length === 0 ? (
+        <p className="text-xs text-neutral-500">No events scheduled</p>
+      ) : (
+        <ul className="space-y-1">
+          {pending.map((event) => (
+            <EventRow key={event.id} event={event} onRemove={() => handleUnschedule(event.id)} />
+          ))}
+        </ul>
+      )}
+
+      {fired.length > 0 && (
+        <details className="text-xs text-neutral-500">
+          <summary className="cursor-pointer">{fired.length} fired</summary>
+          <ul className="space-y-1 mt-1">
+            {fired.map((event) => (
+              <EventRow key={event.id} event={event} />
+            ))}
+          </ul>
+        </details>
+      )}
+    </div>
+  );
+}
+
+function EventRow({ event, onRemove }: { event: ScheduledEvent; onRemove?: () => void }) {
+  return (
+    <li
+      className={cn(
+        'flex items-start gap-2 px-2 py-1 rounded bg-neutral-900/40 text-sm',
+        event.fired && 'opacity-60'
+      )}
+    >
+      <span className="font-mono text-amber-300 whitespace-nowrap">
+        D{event.at.day} {event.at.time}
+      </span>
+      <div className="flex-1 min-w-0">
+        <div className="truncate">{event.label}</div>
+        <div className="text-xs text-neutral-500 truncate">
+          {event.actions.map(describeAction).join(' · ')}
+        </div>
+      </div>
+      {event.fired ? (
+        <Check size={14} className="text-green-400 mt-1" />
+      ) : onRemove && (
+        <button onClick={onRemove} className="p-1 rounded hover:bg-neutral-700 text-red-400" title="Cancel event">
+          <Trash2 size={12} />
+        </button>
+      )}
+    </li>
+  );
+}
+
+function ScheduleForm({ onError }: { onError: (error: string | null) => void }) {
+  const { campaignClock } = useSessionStore();
+  const [day, setDay] = useState(campaignClock.day);
+  const [time, setTime] = useState(campaignClock.time);
+  const [label, setLabel] = useState('');
+  const [actionType, setActionType] = useState<ActionType>('announcement');
+  const [value, setValue] = useState('');
+
+  const buildAction = (): TimelineAction => {
+    switch (actionType) {
+      case 'announcement': return { type: 'announcement', text: value.trim() };
+      case 'flag': return { type: 'flag', key: value.trim(), value: true };
+      case 'scene': return { type: 'scene', scene: value.trim() };
+    }
+  };
+
+  const handleSchedule = async () => {
+    if (!value.trim()) return;
+    const response = await getGMOverlay()?.clock?.schedule?.({
+      at: { day, time },
+      label: label.trim(),
+      actions: [buildAction()],
+    });
+    if (response?.success) {
+      setLabel('');
+      setValue('');
+      onError(null);
+    } else {
+      onError(response?.message || 'Could not schedule event');
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex gap-2">
+        <input
+          type="number"
+          value={day}
+          onChange={(e) => setDay(parseInt(e.target.value) || 1)}
+          className="input w-16 text-sm"
+          min={1}
+          title="Day"
+        />
+        <input
+          type="time"
+          value={time}
+          onChange={(e) => setTime(e.target.value)}
+          className="input text-sm"
+        />
+        <input
+          type="text"
+          value={label}
+          onChange={(e) => setLabel(e.target.value)}
+          placeholder="Label (GM only)"
+          className="input flex-1 text-sm"
+        />
+      </div>
+      <div className="flex gap-2">
+        <select
+          value={actionType}
+          onChange={(e) => setActionType(e.target.value as ActionType)}
+          className="input text-sm"
+        >
+          <option value="announcement">Announce</option>
+          <option value="flag">Set flag</option>
+          <option value="scene">Scene cue</option>
+        </select>
+        <input
+          type="text"
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          onKeyDown={(e) => e.key === 'Enter' && handleSchedule()}
+          placeholder={ACTION_PLACEHOLDERS[actionType]}
+          className="input flex-1 text-sm"
+        />
+        <button
+          onClick={handleSchedule}
+          disabled={!value.trim()}
+          className="btn btn-primary p-2"
+          title="Schedule event"
+        >
+          <Plus size={14} />
+        </button>
+      </div>
+    </div>
+  );
+}
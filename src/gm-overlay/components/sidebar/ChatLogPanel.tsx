@@ -1,5 +1,5 @@
 import { useState, useRef, useEffect } from 'react';
-import { MessageSquare, Send, Filter, Dice1 } from 'lucide-react';
+import { MessageSquare, Send, Filter, Dice1, Lock } from 'lucide-react';
 import { useChatStore } from '../../store/chatStore';
 import { cn } from '../../utils/cn';
 import type { ChatMessage } from '../../types';
@@ -10,30 +10,62 @@ const FILTER_OPTIONS = [
   { value: 'system', label: 'System' },
   { value: 'rolls', label: 'Rolls' },
   { value: 'gm', label: 'GM' },
+  { value: 'whisper', label: 'Whispers' },
 ] as const;
 
 /**
  * Chat log panel showing messages from players, system events, and dice rolls.
- * Includes filtering and the ability to send GM messages.
+ * Includes filtering, per-player whisper threads, and the ability to send GM
+ * messages. `/w <name> <text>` whispers from any tab; inside a whisper thread
+ * plain text is sent privately to that player. Older messages from the
+ * server's session log can be paged in with "Load earlier".
  */
 export function ChatLogPanel() {
-  const { messages, filter, setFilter, addMessage, getFilteredMessages } = useChatStore();
+  const {
+    messages, filter, activeThread, setFilter, setActiveThread,
+    addMessage, getFilteredMessages, getThreads,
+    hasMoreHistory, loadingHistory, loadEarlier,
+  } = useChatStore();
   const [input, setInput] = useState('');
   const [showFilters, setShowFilters] = useState(false);
   const scrollRef = useRef<HTMLDivElement>(null);
 
   const filteredMessages = getFilteredMessages();
 
-  // Auto-scroll to bottom when new messages arrive
+  // Auto-scroll to bottom when new messages arrive (not when older history is prepended)
+  const lastMessageId = messages[messages.length - 1]?.id;
   useEffect(() => {
     if (scrollRef.current) {
       scrollRef.current.scrollTop = scrollRef.current.scrollHeight;
     }
-  }, [messages.length]);
+  }, [lastMessageId]);
+
+  const threads = getThreads();
 
   const handleSend = () => {
     if (input.trim()) {
       const text = input.trim();
+      const GMOverlay = (window as any).GMOverlay;
+      
+      // Whisper: explicit /w command, or plain text inside an open thread
+      const whisperMatch = text.match(/^\/w(?:hisper)?\s+(?:"([^"]+)"|(\S+))\s+(.+)$/i);
+      const whisperTo = whisperMatch
+        ? whisperMatch[1] || whisperMatch[2]
+        : filter === 'whisper' ? activeThread : null;
+      
+      if (whisperTo) {
+        const body = whisperMatch ? whisperMatch[3] : text;
+        addMessage({
+          type: 'whisper',
+          sender: 'GM',
+          recipient: whisperTo,
+          thread: whisperTo,
+          text: body,
+        });
+        setInput('');
+        GMOverlay?.chat?.whisper?.(whisperTo, body);
+        return;
+      }
       
       // Add to local chat immediately
       addMessage({
@@ -44,8 +76,7 @@ export function ChatLogPanel() {
       setInput('');
       
       // Broadcast via GMOverlay API (which uses Socket.io)
-      if (typeof (window as any).GMOverlay !== 'undefined') {
-        const GMOverlay = (window as any).GMOverlay;
+      if (typeof GMOverlay !== 'undefined') {
         if (GMOverlay.chat?.send) {
           GMOverlay.chat.send(text);
         }
@@ -105,11 +136,51 @@ export function ChatLogPanel() {
         </div>
       )}
 
+      {/* Whisper threads */}
+      {filter === 'whisper' && (
+        <div className="flex gap-1 mb-2 flex-wrap">
+          <button
+            onClick={() => setActiveThread(null)}
+            className={cn(
+              'px-2 py-0.5 rounded text-xs transition-colors',
+              activeThread === null
+                ? 'bg-fuchsia-600 text-white'
+                : 'bg-neutral-700 text-neutral-300 hover:bg-neutral-600'
+            )}
+          >
+            All threads
+          </button>
+          {threads.map((thread) => (
+            <button
+              key={thread.name}
+              onClick={() => setActiveThread(thread.name)}
+              className={cn(
+                'px-2 py-0.5 rounded text-xs transition-colors',
+                activeThread === thread.name
+                  ? 'bg-fuchsia-600 text-white'
+                  : 'bg-neutral-700 text-neutral-300 hover:bg-neutral-600'
+              )}
+            >
+              {thread.name} ({thread.count})
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Messages list */}
       <div
         ref={scrollRef}
         className="flex-1 overflow-y-auto space-y-1 scrollbar-thin bg-neutral-800/50 rounded p-2"
       >
+        {hasMoreHistory && (
+          <button
+            onClick={() => loadEarlier()}
+            disabled={loadingHistory}
+            className="w-full text-xs text-neutral-400 hover:text-neutral-100 py-1 transition-colors"
+          >
+            {loadingHistory ? 'Loading...' : 'Load earlier messages'}
+          </button>
+        )}
         {filteredMessages.length === 0 ? (
           <p className="text-xs text-neutral-500 text-center py-4">
             No messages yet
@@ -128,7 +199,11 @@ export function ChatLogPanel() {
           value={input}
           onChange={(e) => setInput(e.target.value)}
           onKeyDown={handleKeyDown}
-          placeholder="Send GM message..."
+          placeholder={
+            filter === 'whisper' && activeThread
+              ? `Whisper to ${activeThread}...`
+              : 'Send GM message... (/w name text to whisper)'
+          }
           className="input flex-1 text-sm"
         />
         <button
@@ -154,10 +229,12 @@ function ChatMessageItem({ message, formatTime }: ChatMessageItemProps) {
     player: 'text-cyan-300',
     rolls: 'text-amber-300',
     gm: 'text-green-300',
+    whisper: 'text-fuchsia-300',
   };
 
   const typeIcons: Record<string, React.ReactNode> = {
     rolls: <Dice1 size={10} className="inline mr-1" />,
+    whisper: <Lock size={10} className="inline mr-1" />,
   };
 
   return (
@@ -165,7 +242,10 @@ function ChatMessageItem({ message, formatTime }: ChatMessageItemProps) {
       <span className="text-neutral-500 mr-1">[{formatTime(message.timestamp)}]</span>
       {typeIcons[message.type]}
       {message.sender && (
-        <span className="font-medium mr-1">{message.sender}:</span>
+        <span className="font-medium mr-1">
+          {message.sender}
+          {message.recipient && ` → ${message.recipient}`}:
+        </span>
       )}
       <span>{message.text}</span>
     </div>
@@ -2,6 +2,7 @@ import { Users, Package, ArrowRight } from 'lucide-react';
 import { useSceneStore } from '../../store/sceneStore';
 import { useViewStore } from '../../store/viewStore';
 import { cn } from '../../utils/cn';
+import { getAuthHeaders } from '../../store/sessionListStore';
 
 export function SceneElements() {
   const { currentScene, goToSceneById } = useSceneStore();
@@ -34,7 +35,7 @@ export function SceneElements() {
                 onClick={async () => {
                   try {
                     // GM gets full NPC data
-                    const response = await fetch(`/api/npcs/${npc.statblock || npc.id}?role=gm`);
+                    const response = await fetch(`/api/npcs/${npc.statblock || npc.id}`, { headers: getAuthHeaders() });
                     if (response.ok) {
                       const fullNPC = await response.json();
                       selectNPC(fullNPC);
@@ -1,6 +1,7 @@
 import { useState, useRef } from 'react';
 import { Image, Upload, Trash2, RefreshCw } from 'lucide-react';
 import { useSceneStore } from '../../store/sceneStore';
+import { getAuthHeaders } from '../../store/sessionListStore';
 import { cn } from '../../utils/cn';
 
 /**
@@ -42,6 +43,7 @@ export function SceneImageManager() {
 
       const response = await fetch(`/api/scenes/${currentScene.id}/image`, {
         method: 'POST',
+        headers: getAuthHeaders(),
         body: formData,
       });
 
@@ -81,6 +83,7 @@ export function SceneImageManager() {
     try {
       const response = await fetch(`/api/scenes/${currentScene.id}/image`, {
         method: 'DELETE',
+        headers: getAuthHeaders(),
       });
 
       if (!response.ok) {
@@ -1,10 +1,15 @@
-import { Clock, Users, Flag, FileText } from 'lucide-react';
+import { Clock, Users, Flag, FileText, History, ScrollText, ShieldCheck, Package } from 'lucide-react';
 import { useSessionStore } from '../../store/sessionStore';
 import { useSceneStore } from '../../store/sceneStore';
 import { Section } from '../shared/Section';
+import { TimelinePanel } from '../panels/TimelinePanel';
+import { SnapshotsPanel } from '../panels/SnapshotsPanel';
+import { RecapPanel } from '../panels/RecapPanel';
+import { ContentCheckPanel } from '../panels/ContentCheckPanel';
+import { AdventureBundlePanel } from '../panels/AdventureBundlePanel';
 
 export function DashboardView() {
-  const { campaignClock, notes, flags, favorites, recentScenes } = useSessionStore();
+  const { notes, flags, favorites, recentScenes } = useSessionStore();
   const { scenes, goToSceneById } = useSceneStore();
 
   return (
@@ -13,14 +18,27 @@ export function DashboardView() {
 
       {/* Campaign Clock */}
       <Section title="Campaign Clock" icon={Clock}>
-        <div className="flex items-center gap-4">
-          <div className="text-3xl font-mono text-cyan-400">
-            Day {campaignClock.day}
-          </div>
-          <div className="text-2xl font-mono text-neutral-300">
-            {campaignClock.time}
-          </div>
-        </div>
+        <TimelinePanel />
+      </Section>
+
+      {/* Snapshots */}
+      <Section title="Snapshots" icon={History}>
+        <SnapshotsPanel />
+      </Section>
+
+      {/* Recap */}
+      <Section title="Session Recap" icon={ScrollText}>
+        <RecapPanel />
+      </Section>
+
+      {/* Content Check */}
+      <Section title="Content Check" icon={ShieldCheck}>
+        <ContentCheckPanel />
+      </Section>
+
+      {/* Adventure Bundles */}
+      <Section title="Adventure Bundles" icon={Package}>
+        <AdventureBundlePanel />
       </Section>
 
       {/* Quick Stats */}
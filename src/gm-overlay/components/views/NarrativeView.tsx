@@ -6,6 +6,7 @@ import { Section } from '../shared/Section';
 import { NPCLink } from '../shared/NPCLink';
 import { SceneTransitionPanel } from './SceneTransitionPanel';
 import { SceneImageManager } from '../sidebar/SceneImageManager';
+import { getAuthHeaders } from '../../store/sessionListStore';
 
 type SceneEnvironment = NonNullable<Scene['environment']>;
 
@@ -187,7 +188,7 @@ function NPCListItem({ npc }: { npc: NPCReference }) {
   const handleClick = async () => {
     // Fetch full NPC data (GM gets full access)
     try {
-      const response = await fetch(`/api/npcs/${npc.statblock || npc.id}?role=gm`);
+      const response = await fetch(`/api/npcs/${npc.statblock || npc.id}`, { headers: getAuthHeaders() });
       if (response.ok) {
         const fullNPC = await response.json();
         selectNPC(fullNPC);
@@ -257,7 +258,9 @@ function SkillCheckItem({ check }: { check: SkillCheck }) {
 function TriggerItem({ trigger }: { trigger: Trigger }) {
   const handleFire = () => {
     console.log('[GM] Trigger fired:', trigger.label);
-    // TODO: Execute trigger action
+    // Setting the trigger's flag (or, without one, its reveal flag) shows it to players
+    const flag = trigger.sets_flag || trigger.setsFlag || `reveal:${trigger.id}`;
+    (window as any).GMOverlay?.flags?.set(flag, true);
   };
 
   return (
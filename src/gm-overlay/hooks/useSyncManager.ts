@@ -3,38 +3,162 @@ import { useChatStore } from '../store/chatStore';
 import { useSceneStore } from '../store/sceneStore';
 import { useSessionStore } from '../store/sessionStore';
 import { usePlayerStore } from '../store/playerStore';
-import type { ConnectedPlayer } from '../types';
+import { useSessionListStore, getSessionTokenKey } from '../store/sessionListStore';
+import { useViewStore } from '../store/viewStore';
+import { useValidationStore } from '../store/validationStore';
+import protocol from '../../../shared/sync-protocol.json';
+import type { CampaignClock, ConnectedPlayer, ContentChange, ScheduledEvent, ServerRoll } from '../types';
 
 // Socket.io types
+interface TimedEmitter {
+  emit: (event: string, data: any, ack: (err: Error | null, response: any) => void) => void;
+}
+
 interface Socket {
   id: string;
   connected: boolean;
   on: (event: string, callback: (data: any) => void) => void;
   off: (event: string, callback?: (data: any) => void) => void;
-  emit: (event: string, data: any) => void;
+  onAny: (callback: (event: string, data: any) => void) => void;
+  listeners: (event: string) => Array<(data: any) => void>;
+  emit: (event: string, data: any, ack?: (response: any) => void) => void;
+  volatile: { timeout: (ms: number) => TimedEmitter };
   disconnect: () => void;
 }
 
-// Message types (must match server)
-const MessageType = {
-  JOIN: 'sync:join',
-  LEAVE: 'sync:leave',
-  PRESENCE: 'sync:presence',
-  VIEW_CHANGE: 'sync:view_change',
-  CHAT: 'sync:chat',
-  ROLL: 'sync:roll',
-  SCENE_CHANGE: 'sync:scene_change',
-  STATE_SYNC: 'sync:state',
-  STATE_REQUEST: 'sync:state_request',
-  ERROR: 'sync:error',
-  // Session persistence
-  TOKEN: 'sync:token',
-  NPC_STATE: 'sync:npc_state',
-  FLAG_UPDATE: 'sync:flag_update',
-};
-
-// Storage key for session token
-const TOKEN_STORAGE_KEY = 'lightdeck_gm_session_token';
+// Message names shared with the server and the player client. The version
+// is fixed when this overlay is built, so the server can turn away stale builds.
+const { messageTypes: MessageType, errorCodes: ErrorCode, version: PROTOCOL_VERSION } = protocol;
+
+// Server acknowledgement for clock and schedule requests
+interface ClockResponse {
+  success: boolean;
+  message?: string;
+  clock?: CampaignClock;
+  fired?: string[];
+  event?: ScheduledEvent;
+}
+
+// Server acknowledgement for a queued message (duplicates count as delivered)
+interface Ack {
+  success: boolean;
+  message?: string;
+  code?: string;
+  retryAfter?: number;
+  duplicate?: boolean;
+  [key: string]: any;
+}
+
+// A message waiting in the outbox for its ack
+interface OutboxEntry {
+  id: string;
+  type: string;
+  payload: object;
+  attempts: number;
+  resolve: (ack: Ack) => void;
+}
+
+// How long to wait for an ack before sending again, and how often
+const ACK_TIMEOUT_MS = 5000;
+const MAX_DELIVERY_ATTEMPTS = 3;
+
+let messageCounter = 0;
+
+// Message id the server deduplicates resends by (same format as the player client's)
+function createMessageId(): string {
+  messageCounter += 1;
+  return `${Date.now().toString(36)}-${messageCounter.toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * The overlay's outbox, as in the player SyncManager: chat, rolls and state
+ * changes wait here until the server acks them, go out one at a time in
+ * order once we're in a session, and are sent again after a reconnect.
+ */
+function createOutbox(getSocket: () => Socket | null) {
+  const queue: OutboxEntry[] = [];
+  let inFlight: OutboxEntry | null = null;
+  let joined = false;
+
+  const settle = (entry: OutboxEntry, ack: Ack) => {
+    const index = queue.indexOf(entry);
+    if (index !== -1) queue.splice(index, 1);
+    if (!ack.success) {
+      console.warn('[GM Overlay] Not delivered:', entry.type, ack.message || '');
+    }
+    entry.resolve(ack);
+  };
+
+  const flush = () => {
+    const entry = queue[0];
+    const socket = getSocket();
+    if (!entry || inFlight || !socket || !joined) return;
+
+    inFlight = entry;
+    // volatile: a send that can't go out now is dropped rather than replayed
+    // by Socket.io ahead of our next JOIN; the outbox resends it
+    socket.volatile.timeout(ACK_TIMEOUT_MS).emit(entry.type, { ...entry.payload, id: entry.id }, (err, ack) => {
+      inFlight = null;
+
+      if (err) {
+        // Lost with the connection (resent after the rejoin), or no answer
+        if (joined) {
+          entry.attempts += 1;
+          if (entry.attempts >= MAX_DELIVERY_ATTEMPTS) {
+            settle(entry, { success: false, message: 'No answer from the server' });
+          }
+        }
+      } else if (ack?.code === ErrorCode.RATE_LIMITED) {
+        setTimeout(flush, ack.retryAfter || 1000);
+        return;
+      } else {
+        settle(entry, ack || { success: false });
+      }
+
+      flush();
+    });
+  };
+
+  return {
+    // Queue a message; `done` resolves with the server's ack
+    send: (type: string, payload: object): { id: string; done: Promise<Ack> } => {
+      const id = createMessageId();
+      const done = new Promise<Ack>((resolve) => {
+        queue.push({ id, type, payload, attempts: 0, resolve });
+      });
+      flush();
+      return { id, done };
+    },
+    // The server accepted our JOIN (true), or the connection or session is changing (false)
+    setJoined: (value: boolean) => {
+      joined = value;
+      flush();
+    },
+    // Give up on everything still queued
+    fail: (message: string) => {
+      queue.filter(entry => entry !== inFlight).forEach(entry => settle(entry, { success: false, message }));
+    },
+  };
+}
+
+type Outbox = ReturnType<typeof createOutbox>;
+
+// Join a session as GM, reusing the token issued for that session if we have one.
+// With the state revision (and its epoch) we last saw, the server only sends what changed since.
+function emitJoin(socket: Socket, sessionId: string, lastRevision: number | null = null, lastEpoch: string | null = null): boolean {
+  const storedToken = localStorage.getItem(getSessionTokenKey(sessionId));
+  socket.emit(MessageType.JOIN, {
+    name: 'Game Master',
+    role: 'gm',
+    view: 'gm-overlay',
+    sessionId,
+    token: storedToken,
+    protocolVersion: PROTOCOL_VERSION,
+    lastRevision,
+    lastEpoch,
+  });
+  return storedToken !== null;
+}
 
 // Get io from window (loaded via script tag)
 function getIO(): ((url: string, options?: any) => Socket) | null {
@@ -48,10 +172,19 @@ function getIO(): ((url: string, options?: any) => Socket) | null {
 export function useSyncManager() {
   const socketRef = useRef<Socket | null>(null);
   const [ioReady, setIoReady] = useState(() => getIO() !== null);
-  const { addMessage } = useChatStore();
+  const joinedSessionRef = useRef<string | null>(null);
+  // Server state revision we're up to date with (null until a STATE_SYNC),
+  // and the epoch it was counted in (changes when the server restarts)
+  const revisionRef = useRef<number | null>(null);
+  const epochRef = useRef<string | null>(null);
+  const outboxRef = useRef<Outbox | null>(null);
+  if (!outboxRef.current) outboxRef.current = createOutbox(() => socketRef.current);
+  const outbox = outboxRef.current;
+  const { addMessage, markSeen, replayHistory, clearMessages } = useChatStore();
+  const activeSessionId = useSessionListStore((state) => state.activeSessionId);
   const { goToSceneById, loadScenes, activateScene } = useSceneStore();
-  const { addRecentScene, setFlag } = useSessionStore();
-  const { setConnectedPlayers, addConnectedPlayer, removeConnectedPlayer } = usePlayerStore();
+  const { addRecentScene, setFlag, setFlags, setCampaignClock, setScheduledEvents } = useSessionStore();
+  const { setConnectedPlayers, addConnectedPlayer, removeConnectedPlayer, applyRemoteCharacter } = usePlayerStore();
 
   // Wait for Socket.io to load
   useEffect(() => {
@@ -97,30 +230,33 @@ export function useSyncManager() {
     });
     socketRef.current = socket;
 
+    // Live state changes carry the revision they produced
+    socket.onAny((_event, data) => {
+      if (revisionRef.current !== null && Number.isInteger(data?.revision)) {
+        revisionRef.current = Math.max(revisionRef.current, data.revision);
+      }
+    });
+
     socket.on('connect', () => {
       console.log('[GM Overlay] Connected to server:', socket.id);
-      
-      // Check for existing session token
-      const storedToken = localStorage.getItem(TOKEN_STORAGE_KEY);
+      outbox.setJoined(false);
       
       // Join as GM (with token for reconnection)
-      socket.emit(MessageType.JOIN, {
-        name: 'Game Master',
-        role: 'gm',
-        view: 'gm-overlay',
-        sessionId: 'default',
-        token: storedToken,
-      });
+      const sessionId = useSessionListStore.getState().activeSessionId;
+      if (joinedSessionRef.current !== sessionId) revisionRef.current = null;
+      const hadToken = emitJoin(socket, sessionId, revisionRef.current, epochRef.current);
+      joinedSessionRef.current = sessionId;
 
       // Add system message
       addMessage({
         type: 'system',
-        text: storedToken ? 'Reconnected to server' : 'Connected to server',
+        text: hadToken ? 'Reconnected to server' : 'Connected to server',
       });
     });
 
     socket.on('disconnect', () => {
       console.log('[GM Overlay] Disconnected from server');
+      outbox.setJoined(false);
       addMessage({
         type: 'system',
         text: 'Disconnected from server',
@@ -129,22 +265,50 @@ export function useSyncManager() {
 
     // Handle incoming chat messages
     socket.on(MessageType.CHAT, (data) => {
+      if (data.id) markSeen(data.id);
+
       // Don't duplicate our own messages (we add them locally)
       if (data.from === socket.id) return;
       
+      // Server announcements (e.g. scheduled timeline events)
+      if (data.kind === 'system') {
+        addMessage({
+          type: 'system',
+          text: data.text,
+          serverId: data.id,
+        });
+        return;
+      }
+      
+      if (data.visibility === 'whisper') {
+        // Threads are keyed by the player side of the conversation
+        addMessage({
+          type: 'whisper',
+          sender: data.name,
+          recipient: data.toName,
+          thread: data.role === 'gm' ? data.toName : data.name,
+          text: data.text,
+          serverId: data.id,
+        });
+        return;
+      }
+      
       addMessage({
         type: data.type === 'gm' ? 'gm' : 'player',
         sender: data.name,
         text: data.text,
+        serverId: data.id,
       });
     });
 
-    // Handle dice rolls
+    // Handle dice rolls (results are generated by the server)
     socket.on(MessageType.ROLL, (data) => {
+      const rolls = Array.isArray(data.rolls) ? data.rolls.map((r: number) => `[${r}]`).join(' ') : '';
       addMessage({
         type: 'rolls',
         sender: data.name,
-        text: `rolled ${data.expression} = ${data.total}`,
+        text: `rolled ${data.expression}: ${rolls} = ${data.total}${data.label ? ` (${data.label})` : ''}`,
+        serverId: data.id,
       });
     });
 
@@ -152,8 +316,8 @@ export function useSyncManager() {
     socket.on(MessageType.PRESENCE, (data) => {
       console.log('[GM Overlay] Presence update:', data.users);
       
-      // Update player store with connected users
-      const players: ConnectedPlayer[] = data.users.map((u: any) => ({
+      // Update player store with connected users (spectators are listed separately)
+      const players: ConnectedPlayer[] = [...data.users, ...(data.spectators || [])].map((u: any) => ({
         socketId: u.socketId || u.id,
         name: u.name,
         role: u.role,
@@ -164,7 +328,7 @@ export function useSyncManager() {
       
       addMessage({
         type: 'system',
-        text: `${data.users.length} user(s) connected`,
+        text: `${data.users.length} user(s) connected${data.spectators?.length ? `, ${data.spectators.length} watching` : ''}`,
       });
     });
 
@@ -201,6 +365,9 @@ export function useSyncManager() {
     // Handle errors
     socket.on(MessageType.ERROR, (data) => {
       console.error('[GM Overlay] Server error:', data.message);
+      if (data.code === ErrorCode.PROTOCOL_MISMATCH) {
+        useSessionListStore.getState().setProtocolError(data.message);
+      }
       addMessage({
         type: 'system',
         text: `Error: ${data.message}`,
@@ -210,9 +377,18 @@ export function useSyncManager() {
     // Handle session token (store for reconnection)
     socket.on(MessageType.TOKEN, (data) => {
       if (data.token) {
-        localStorage.setItem(TOKEN_STORAGE_KEY, data.token);
+        localStorage.setItem(getSessionTokenKey(data.sessionId || 'default'), data.token);
         console.log('[GM Overlay] Session token stored');
       }
+
+      // The GM role travels with the token; without it, ask for the GM secret
+      useSessionListStore.getState().setRole(data.role === 'gm' ? 'gm' : 'player');
+      if (data.role !== 'gm') {
+        useViewStore.getState().openModal('gmLogin');
+      }
+
+      // In the session now: send what waited for it
+      outbox.setJoined(true);
     });
 
     // Handle state sync (restore session state on reconnect)
@@ -226,12 +402,30 @@ export function useSyncManager() {
         addRecentScene(data.currentScene);
       }
       
-      // Restore flags if provided
+      // Restore flags if provided (the server's set replaces ours, so flags
+      // cleared by a snapshot restore disappear here too)
       if (data.flags) {
         console.log('[GM Overlay] Restoring flags:', Object.keys(data.flags).length);
-        for (const [key, value] of Object.entries(data.flags)) {
-          setFlag(key, value as boolean | string);
-        }
+        setFlags(data.flags);
+      }
+      
+      if (data.campaignClock) {
+        setCampaignClock(data.campaignClock);
+      }
+      
+      // Only sent to GMs
+      if (data.scheduledEvents) {
+        setScheduledEvents(data.scheduledEvents);
+      }
+      
+      // Replay the chat log we missed while away
+      if (data.chatHistory) {
+        replayHistory(data.chatHistory, data.chatHistoryHasMore);
+      }
+      
+      if (Number.isInteger(data.revision)) {
+        revisionRef.current = data.revision;
+        epochRef.current = data.epoch ?? null;
       }
       
       addMessage({
@@ -240,6 +434,37 @@ export function useSyncManager() {
       });
     });
 
+    // Only what changed since the revision we rejoined with: the missed
+    // messages go through the same handlers as live ones
+    socket.on(MessageType.STATE_PATCH, (data) => {
+      if (!Array.isArray(data?.patches)) return;
+      
+      for (const patch of data.patches) {
+        socket.listeners(patch.type).forEach(handler => handler(patch.data));
+      }
+      
+      if (data.chatHistory) {
+        replayHistory(data.chatHistory);
+      }
+      
+      revisionRef.current = data.revision;
+      epochRef.current = data.epoch ?? null;
+      
+      const count = data.patches.length + (data.chatHistory?.length || 0);
+      addMessage({
+        type: 'system',
+        text: `Caught up on ${count} change(s)`,
+      });
+    });
+
+    // Scene changed by another GM (or missed while away)
+    socket.on(MessageType.SCENE_CHANGE, (data) => {
+      if (data.from === socket.id || !data.scene) return;
+      
+      goToSceneById(data.scene);
+      addRecentScene(data.scene);
+    });
+
     // Handle NPC state updates
     socket.on(MessageType.NPC_STATE, (data) => {
       // Don't echo our own updates
@@ -259,11 +484,72 @@ export function useSyncManager() {
       setFlag(data.key, data.value);
     });
 
+    // Campaign clock (sent on join and whenever it moves)
+    socket.on(MessageType.CLOCK, (data) => {
+      if (data?.time) {
+        setCampaignClock({ day: data.day, time: data.time });
+      }
+    });
+
+    // Bound characters changed by their player, another GM or a restore
+    socket.on(MessageType.CHARACTER_UPDATE, (data) => {
+      if (data.from === socket.id || !data.character) return;
+      applyRemoteCharacter(data.character);
+    });
+
+    // Scheduled timeline events (sent to GMs whenever the list changes)
+    socket.on(MessageType.CLOCK_SCHEDULE, (data) => {
+      if (Array.isArray(data?.events)) {
+        setScheduledEvents(data.events);
+      }
+    });
+
+    // Content files edited on the server: refetch just the changed asset
+    socket.on(MessageType.CONTENT_UPDATED, (change: ContentChange) => {
+      if (!change?.kind || !change.id) return;
+      console.log('[GM Overlay] Content updated:', change.file);
+
+      if (change.kind === 'scene') {
+        useSceneStore.getState().reloadScene(change.id);
+      } else if (change.kind === 'npc') {
+        useViewStore.getState().refreshNPC(change.id);
+      }
+
+      // An open content check report is stale now
+      const { report, validate } = useValidationStore.getState();
+      if (report) validate(report.adventureId);
+
+      addMessage({
+        type: 'system',
+        text: `Content ${change.removed ? 'removed' : 'updated'}: ${change.file}`,
+      });
+    });
+
     return () => {
       socket.disconnect();
       socketRef.current = null;
     };
-  }, [ioReady, addMessage, setConnectedPlayers, addConnectedPlayer, removeConnectedPlayer, goToSceneById, addRecentScene, setFlag]);
+  }, [ioReady, outbox, addMessage, setConnectedPlayers, addConnectedPlayer, removeConnectedPlayer, applyRemoteCharacter, goToSceneById, addRecentScene, setFlag, setFlags, setCampaignClock, setScheduledEvents]);
+
+  // Switch sessions when the GM picks another one in the session picker
+  useEffect(() => {
+    const socket = socketRef.current;
+    if (!socket?.connected || joinedSessionRef.current === activeSessionId) return;
+
+    clearMessages();
+    revisionRef.current = null;
+    outbox.setJoined(false);
+    outbox.fail('Switched to another session');
+    emitJoin(socket, activeSessionId);
+    joinedSessionRef.current = activeSessionId;
+
+    // A fresh GM user gets no STATE_SYNC on join, so ask for it
+    socket.emit(MessageType.STATE_REQUEST, {});
+    addMessage({
+      type: 'system',
+      text: `Switched to session ${activeSessionId}`,
+    });
+  }, [activeSessionId, outbox, addMessage, clearMessages]);
 
   // Handle scene activation events
   useEffect(() => {
@@ -279,14 +565,16 @@ export function useSyncManager() {
       // Track as recent
       addRecentScene(sceneId);
       
-      // Broadcast to players via Socket.io
-      if (socketRef.current?.connected) {
-        socketRef.current.emit(MessageType.SCENE_CHANGE, {
-          scene: sceneId,
-          transition: 'fade',
-        });
-        console.log('[GM Overlay] Scene broadcast to players:', sceneId);
-      }
+      // Broadcast to players via Socket.io (queued while offline)
+      outbox.send(MessageType.SCENE_CHANGE, {
+        scene: sceneId,
+        transition: 'fade',
+      }).done.then((ack) => {
+        if (!ack.success) {
+          addMessage({ type: 'system', text: `Scene not sent to players: ${ack.message || 'no answer from the server'}` });
+        }
+      });
+      console.log('[GM Overlay] Scene broadcast to players:', sceneId);
     };
 
     window.addEventListener('gm-overlay:activate-scene', handleActivateScene as EventListener);
@@ -294,26 +582,108 @@ export function useSyncManager() {
     return () => {
       window.removeEventListener('gm-overlay:activate-scene', handleActivateScene as EventListener);
     };
-  }, [addMessage, addRecentScene]);
+  }, [outbox, addMessage, addRecentScene]);
 
   // Expose API for components to send messages
   useEffect(() => {
+    const emitClock = (event: string, data: object): Promise<ClockResponse> => {
+      return new Promise((resolve) => {
+        const socket = socketRef.current;
+        if (!socket?.connected) {
+          resolve({ success: false, message: 'Not connected' });
+          return;
+        }
+        socket.emit(event, data, (response) => resolve(response || { success: false }));
+      });
+    };
+
+
+    // Queue a chat line; the caller has already shown it. Once delivered,
+    // history replays skip it; if it isn't, say so in the log.
+    const sendChat = (payload: { text: string; to?: string }): string => {
+      const { id, done } = outbox.send(MessageType.CHAT, { ...payload, timestamp: Date.now() });
+      done.then((ack) => {
+        if (ack.success && ack.id) {
+          markSeen(ack.id);
+        } else if (!ack.success) {
+          addMessage({ type: 'system', text: `Not sent: ${ack.message || 'no answer from the server'}` });
+        }
+      });
+      return id;
+    };
+
     (window as any).GMOverlay = {
       socket: socketRef.current,
       chat: {
-        send: (text: string) => {
-          if (socketRef.current?.connected) {
-            socketRef.current.emit(MessageType.CHAT, {
-              text,
-              type: 'gm',
-              timestamp: Date.now(),
-            });
-          }
-        },
+        send: (text: string) => sendChat({ text }),
+        whisper: (to: string, text: string) => sendChat({ text, to }),
         addMessage: (msg: { type: string; sender?: string; text: string }) => {
           addMessage(msg as any);
         },
       },
+      auth: {
+        // Log in with the session's GM secret; the server binds the role to our token
+        login: (secret: string): Promise<{ success: boolean; message?: string }> => {
+          return new Promise((resolve) => {
+            const socket = socketRef.current;
+            if (!socket?.connected) {
+              resolve({ success: false, message: 'Not connected' });
+              return;
+            }
+
+            socket.emit(MessageType.GM_AUTHENTICATE, { password: secret }, (response) => {
+              if (response?.success) {
+                useSessionListStore.getState().setRole('gm');
+              }
+              resolve(response || { success: false });
+            });
+          });
+        },
+      },
+      clock: {
+        // The server owns the clock; it broadcasts the new time and fires due events
+        set: (day: number, time: string): Promise<ClockResponse> =>
+          outbox.send(MessageType.CLOCK, { day, time }).done,
+        advance: (minutes: number): Promise<ClockResponse> =>
+          outbox.send(MessageType.CLOCK, { advance: minutes }).done,
+        schedule: (event: Pick<ScheduledEvent, 'at' | 'label' | 'actions'>) =>
+          emitClock(MessageType.CLOCK_SCHEDULE, { action: 'add', event }),
+        unschedule: (id: string) => emitClock(MessageType.CLOCK_SCHEDULE, { action: 'remove', id }),
+      },
+      flags: {
+        // Set a campaign flag for the session. Reveals are flags too
+        // (reveal:<id>), and players' scene views follow them.
+        // Applied here at once (the server echo carries our socket ID and is
+        // skipped), and put back if the server refuses it or never answers.
+        set: (key: string, value: boolean | string): Promise<Ack> => {
+          const hadFlag = key in useSessionStore.getState().flags;
+          const previous = useSessionStore.getState().flags[key];
+          setFlag(key, value);
+
+          return outbox.send(MessageType.FLAG_UPDATE, { key, value }).done.then((ack) => {
+            const { flags, setFlags } = useSessionStore.getState();
+            // Unless something else has changed it since
+            if (!ack.success && flags[key] === value) {
+              const { [key]: _rejected, ...rest } = flags;
+              setFlags(hadFlag ? { ...rest, [key]: previous } : rest);
+              addMessage({ type: 'system', text: `Flag ${key} not set: ${ack.message || 'no answer from the server'}` });
+            }
+            return ack;
+          });
+        },
+      },
+      characters: {
+        // Bind a character to a connected player (null unbinds); the server
+        // saves it with their token and sends them the sheet
+        assign: (socketId: string, characterId: string | null): Promise<Ack> =>
+          outbox.send(MessageType.CHARACTER_ASSIGN, { socketId, characterId }).done,
+      },
+      dice: {
+        // Server-authoritative roll; resolves with the recorded roll or null on failure
+        roll: (expression: string, label?: string): Promise<ServerRoll | null> =>
+          outbox.send(MessageType.ROLL, { expression, label }).done
+            .then((ack) => (ack.success ? ack.roll : null)),
+      },
       scene: {
         goTo: (sceneId: string) => {
           goToSceneById(sceneId);
@@ -331,5 +701,5 @@ export function useSyncManager() {
     return () => {
       delete (window as any).GMOverlay;
     };
-  }, [addMessage, goToSceneById, addRecentScene, loadScenes, activateScene]);
+  }, [outbox, addMessage, markSeen, goToSceneById, addRecentScene, loadScenes, activateScene, setFlag]);
 }
@@ -0,0 +1,88 @@
+import { create } from 'zustand';
+import type { BundleReport } from '../types';
+import { getAuthHeaders } from './sessionListStore';
+
+interface BundleState {
+  // Report for the archive picked for import
+  report: BundleReport | null;
+  isBusy: boolean;
+  error: string | null;
+
+  // Actions
+  download: (adventureId: string) => Promise<void>;
+  check: (file: File) => Promise<void>;
+  install: (file: File, overwrite: boolean) => Promise<void>;
+  clear: () => void;
+}
+
+// 422 (problems) and 409 (collisions) still carry a report worth showing
+async function upload(file: File, fields: Record<string, string>): Promise<BundleReport> {
+  const body = new FormData();
+  body.append('bundle', file);
+  for (const [key, value] of Object.entries(fields)) body.append(key, value);
+
+  const response = await fetch('/api/adventures/import', {
+    method: 'POST',
+    headers: getAuthHeaders(),
+    body,
+  });
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok && !Array.isArray(data.files)) {
+    throw new Error(data.error || `HTTP ${response.status}`);
+  }
+  return data as BundleReport;
+}
+
+export const useBundleStore = create<BundleState>((set) => ({
+  report: null,
+  isBusy: false,
+  error: null,
+
+  // GM only (see server/ApiAuth.js), so fetch with the token instead of a plain link
+  download: async (adventureId) => {
+    set({ isBusy: true, error: null });
+    try {
+      const response = await fetch(`/api/adventures/${encodeURIComponent(adventureId)}/bundle`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+      }
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `${adventureId}.zip`;
+      link.click();
+      URL.revokeObjectURL(url);
+      set({ isBusy: false });
+    } catch (err) {
+      console.error('[BundleStore] Failed to export adventure:', err);
+      set({ error: (err as Error).message, isBusy: false });
+    }
+  },
+
+  check: async (file) => {
+    set({ isBusy: true, error: null, report: null });
+    try {
+      set({ report: await upload(file, {}), isBusy: false });
+    } catch (err) {
+      console.error('[BundleStore] Failed to check bundle:', err);
+      set({ error: (err as Error).message, isBusy: false });
+    }
+  },
+
+  install: async (file, overwrite) => {
+    set({ isBusy: true, error: null });
+    try {
+      const fields: Record<string, string> = { install: 'true' };
+      if (overwrite) fields.overwrite = 'true';
+      set({ report: await upload(file, fields), isBusy: false });
+    } catch (err) {
+      console.error('[BundleStore] Failed to install bundle:', err);
+      set({ error: (err as Error).message, isBusy: false });
+    }
+  },
+
+  clear: () => set({ report: null, error: null }),
+}));
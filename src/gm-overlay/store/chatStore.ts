@@ -1,35 +1,88 @@
 import { create } from 'zustand';
-import type { ChatMessage } from '../types';
+import type { ChatMessage, ChatHistoryEntry } from '../types';
+import { useSessionListStore, getAuthHeaders } from './sessionListStore';
+
+export interface WhisperThread {
+  name: string;
+  count: number;
+  lastTimestamp: number;
+}
 
 interface ChatState {
   messages: ChatMessage[];
-  filter: 'all' | 'system' | 'player' | 'rolls' | 'gm';
-  
+  filter: 'all' | 'system' | 'player' | 'rolls' | 'gm' | 'whisper';
+  activeThread: string | null;
+  hasMoreHistory: boolean;
+  loadingHistory: boolean;
+
   // Actions
-  addMessage: (message: Omit<ChatMessage, 'id' | 'timestamp'>) => void;
+  addMessage: (message: Omit<ChatMessage, 'id' | 'timestamp'> & { timestamp?: number }) => void;
   addSystemMessage: (text: string) => void;
   addGMNote: (text: string) => void;
   setFilter: (filter: ChatState['filter']) => void;
+  setActiveThread: (thread: string | null) => void;
   clearMessages: () => void;
-  
+
+  // Server chat log
+  markSeen: (serverId: string) => void;
+  replayHistory: (entries: ChatHistoryEntry[], hasMore?: boolean) => void;
+  loadEarlier: () => Promise<void>;
+
   // Filtered messages
   getFilteredMessages: () => ChatMessage[];
+  getThreads: () => WhisperThread[];
 }
 
+const MAX_MESSAGES = 500;
+const HISTORY_PAGE_SIZE = 100;
+
 let messageId = 0;
 
+// Server IDs already in the log (including our own messages, which are added locally)
+const seenServerIds = new Set<string>();
+
+function fromHistoryEntry(entry: ChatHistoryEntry): ChatMessage {
+  const base = { id: `msg-${++messageId}`, serverId: entry.id, timestamp: entry.timestamp };
+
+  if (entry.kind === 'system') {
+    return { ...base, type: 'system', text: entry.text };
+  }
+  if (entry.kind === 'roll') {
+    return { ...base, type: 'rolls', sender: entry.name, text: entry.text };
+  }
+  if (entry.visibility === 'whisper') {
+    return {
+      ...base,
+      type: 'whisper',
+      sender: entry.name,
+      recipient: entry.toName,
+      thread: entry.role === 'gm' ? entry.toName : entry.name,
+      text: entry.text,
+    };
+  }
+  return { ...base, type: entry.type === 'gm' ? 'gm' : 'player', sender: entry.name, text: entry.text };
+}
+
+function isSeen(entry: ChatHistoryEntry): boolean {
+  return seenServerIds.has(entry.id) || (!!entry.rollId && seenServerIds.has(entry.rollId));
+}
+
 export const useChatStore = create<ChatState>((set, get) => ({
   messages: [],
   filter: 'all',
+  activeThread: null,
+  hasMoreHistory: false,
+  loadingHistory: false,
 
   addMessage: (message) => {
     const newMessage: ChatMessage = {
       ...message,
       id: `msg-${++messageId}`,
-      timestamp: Date.now(),
+      timestamp: message.timestamp ?? Date.now(),
     };
+    if (newMessage.serverId) seenServerIds.add(newMessage.serverId);
     set((state) => ({
-      messages: [...state.messages, newMessage].slice(-500) // Keep last 500
+      messages: [...state.messages, newMessage].slice(-MAX_MESSAGES)
     }));
   },
 
@@ -43,11 +96,74 @@ export const useChatStore = create<ChatState>((set, get) => ({
 
   setFilter: (filter) => set({ filter }),
 
-  clearMessages: () => set({ messages: [] }),
+  setActiveThread: (thread) => set({ activeThread: thread }),
+
+  clearMessages: () => {
+    seenServerIds.clear();
+    set({ messages: [], hasMoreHistory: false });
+  },
+
+  markSeen: (serverId) => {
+    seenServerIds.add(serverId);
+  },
+
+  // Merge server log entries into the local log, keeping it in time order
+  replayHistory: (entries, hasMore) => {
+    const fresh = entries.filter(entry => !isSeen(entry)).map(fromHistoryEntry);
+    fresh.forEach(m => seenServerIds.add(m.serverId!));
+    set((state) => ({
+      messages: [...state.messages, ...fresh]
+        .sort((a, b) => a.timestamp - b.timestamp)
+        .slice(-MAX_MESSAGES),
+      hasMoreHistory: hasMore ?? state.hasMoreHistory,
+    }));
+  },
+
+  // Fetch the page of server history before the oldest entry we have
+  loadEarlier: async () => {
+    if (get().loadingHistory) return;
+    set({ loadingHistory: true });
+
+    try {
+      const sessionId = useSessionListStore.getState().activeSessionId;
+      const oldest = get().messages.find(m => m.serverId);
+      const params = new URLSearchParams({ limit: String(HISTORY_PAGE_SIZE) });
+      if (oldest?.serverId) params.set('before', oldest.serverId);
+
+      const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/chat?${params}`, {
+        headers: getAuthHeaders(sessionId),
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const page: { messages: ChatHistoryEntry[]; hasMore: boolean } = await response.json();
+      get().replayHistory(page.messages, page.hasMore);
+    } catch (err) {
+      console.error('[ChatStore] Failed to load earlier messages:', err);
+      get().addSystemMessage('Failed to load earlier messages');
+    } finally {
+      set({ loadingHistory: false });
+    }
+  },
 
   getFilteredMessages: () => {
-    const { messages, filter } = get();
+    const { messages, filter, activeThread } = get();
     if (filter === 'all') return messages;
+    if (filter === 'whisper' && activeThread) {
+      return messages.filter(m => m.type === 'whisper' && m.thread === activeThread);
+    }
     return messages.filter(m => m.type === filter);
   },
+
+  // One thread per player the GM has whispered with, most recent first
+  getThreads: () => {
+    const threads = new Map<string, WhisperThread>();
+    for (const m of get().messages) {
+      if (m.type !== 'whisper' || !m.thread) continue;
+      const thread = threads.get(m.thread) || { name: m.thread, count: 0, lastTimestamp: 0 };
+      thread.count++;
+      thread.lastTimestamp = m.timestamp;
+      threads.set(m.thread, thread);
+    }
+    return Array.from(threads.values()).sort((a, b) => b.lastTimestamp - a.lastTimestamp);
+  },
 }));
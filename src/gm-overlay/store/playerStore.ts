@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import type { PlayerCharacter, ConnectedPlayer } from '../types';
+import { getAuthHeaders } from './sessionListStore';
 
 interface PlayerState {
   // Connected players (from Socket.io presence)
@@ -31,6 +32,16 @@ interface PlayerState {
   saveCharacter: (character: PlayerCharacter) => Promise<void>;
   deleteCharacter: (id: string) => Promise<void>;
   createNewCharacter: () => PlayerCharacter;
+  
+  // Live updates (sync:character_update from players, other GMs, restores)
+  remoteRevisions: Record<string, number>;
+  applyRemoteCharacter: (character: PlayerCharacter) => void;
+}
+
+// Server error text (e.g. "GM access required" on a 403), or the fallback
+async function errorMessage(res: Response, fallback: string): Promise<string> {
+  const body = await res.json().catch(() => ({}));
+  return body.error || fallback;
 }
 
 // Generate a unique character ID
@@ -162,11 +173,11 @@ export const usePlayerStore = create<PlayerState>((set) => ({
       
       const res = await fetch('/api/characters', {
         method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
+        headers: { 'Content-Type': 'application/json', ...getAuthHeaders() },
         body: JSON.stringify(character),
       });
       
-      if (!res.ok) throw new Error('Failed to save character');
+      if (!res.ok) throw new Error(await errorMessage(res, 'Failed to save character'));
       
       // Update local state
       set((state) => {
@@ -188,8 +199,11 @@ export const usePlayerStore = create<PlayerState>((set) => ({
   // Delete character
   deleteCharacter: async (id) => {
     try {
-      const res = await fetch(`/api/characters/${id}`, { method: 'DELETE' });
-      if (!res.ok) throw new Error('Failed to delete character');
+      const res = await fetch(`/api/characters/${id}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(),
+      });
+      if (!res.ok) throw new Error(await errorMessage(res, 'Failed to delete character'));
       
       set((state) => ({
         characters: state.characters.filter(c => c.id !== id),
@@ -201,6 +215,22 @@ export const usePlayerStore = create<PlayerState>((set) => ({
     }
   },
   
+  // Replace a character changed elsewhere; bumping its revision remounts the
+  // editor so it shows the new values instead of our stale local copy
+  remoteRevisions: {},
+  applyRemoteCharacter: (character) => set((state) => {
+    const exists = state.characters.some(c => c.id === character.id);
+    return {
+      characters: exists
+        ? state.characters.map(c => c.id === character.id ? character : c)
+        : [...state.characters, character],
+      remoteRevisions: {
+        ...state.remoteRevisions,
+        [character.id]: (state.remoteRevisions[character.id] || 0) + 1,
+      },
+    };
+  }),
+  
   // Create new character
   createNewCharacter: () => {
     const newChar = createBlankCharacter();
@@ -0,0 +1,112 @@
+import { create } from 'zustand';
+import type { RecapDraft, SessionDocument } from '../types';
+import { getAuthHeaders, useSessionListStore } from './sessionListStore';
+
+interface RecapState {
+  // Draft being edited (empty until generate() runs)
+  title: string;
+  markdown: string;
+  since: number | null;
+  isGenerating: boolean;
+  error: string | null;
+
+  // Documents already published to the active session, oldest first
+  documents: SessionDocument[];
+
+  // Actions
+  generate: (window: { since?: number; until?: number }) => Promise<void>;
+  setTitle: (title: string) => void;
+  setMarkdown: (markdown: string) => void;
+  publish: () => Promise<boolean>;
+  loadDocuments: () => Promise<void>;
+  unpublish: (id: string) => Promise<void>;
+}
+
+// Recap routes are GM-of-this-session only (see server/ApiAuth.js)
+async function request<T>(path: string, options: RequestInit = {}): Promise<T> {
+  const sessionId = useSessionListStore.getState().activeSessionId;
+  const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...getAuthHeaders(sessionId), ...options.headers },
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+export const useRecapStore = create<RecapState>((set, get) => ({
+  title: '',
+  markdown: '',
+  since: null,
+  isGenerating: false,
+  error: null,
+  documents: [],
+
+  generate: async ({ since, until }) => {
+    set({ isGenerating: true, error: null });
+    try {
+      const params = new URLSearchParams();
+      if (since !== undefined) params.set('since', String(since));
+      if (until !== undefined) params.set('until', String(until));
+      const query = params.toString() ? `?${params}` : '';
+      const draft = await request<RecapDraft>(`/recap${query}`);
+      set({
+        title: draft.recap.title,
+        markdown: draft.markdown,
+        since: draft.recap.since,
+        isGenerating: false,
+      });
+    } catch (err) {
+      console.error('[RecapStore] Failed to generate recap:', err);
+      set({ error: (err as Error).message, isGenerating: false });
+    }
+  },
+
+  setTitle: (title) => set({ title }),
+  setMarkdown: (markdown) => set({ markdown }),
+
+  // Players get it as a sync:document and a chat notice
+  publish: async () => {
+    const { title, markdown } = get();
+    try {
+      const document = await request<SessionDocument>('/documents', {
+        method: 'POST',
+        body: JSON.stringify({ title, markdown }),
+      });
+      set((state) => ({
+        documents: [...state.documents, document],
+        title: '',
+        markdown: '',
+        since: null,
+        error: null,
+      }));
+      return true;
+    } catch (err) {
+      console.error('[RecapStore] Failed to publish recap:', err);
+      set({ error: (err as Error).message });
+      return false;
+    }
+  },
+
+  loadDocuments: async () => {
+    try {
+      const documents = await request<SessionDocument[]>('/documents');
+      set({ documents });
+    } catch (err) {
+      console.error('[RecapStore] Failed to load documents:', err);
+      set({ documents: [], error: (err as Error).message });
+    }
+  },
+
+  unpublish: async (id) => {
+    try {
+      await request(`/documents/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      set((state) => ({ documents: state.documents.filter(d => d.id !== id), error: null }));
+    } catch (err) {
+      console.error('[RecapStore] Failed to unpublish document:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+}));
@@ -1,7 +1,9 @@
 import { create } from 'zustand';
 import type { Scene } from '../types';
+import { getAuthHeaders } from './sessionListStore';
 
 interface SceneState {
+  adventureId: string | null;
   scenes: Scene[];
   currentIndex: number;
   currentScene: Scene | null;
@@ -15,6 +17,7 @@ interface SceneState {
 
   // Actions
   loadScenes: (adventureId: string) => Promise<void>;
+  reloadScene: (sceneId: string) => Promise<void>;
   goToScene: (index: number) => void;
   goToSceneById: (sceneId: string) => void;
   nextScene: () => void;
@@ -33,6 +36,7 @@ interface SceneState {
 }
 
 export const useSceneStore = create<SceneState>((set, get) => ({
+  adventureId: null,
   scenes: [],
   currentIndex: 0,
   currentScene: null,
@@ -45,24 +49,30 @@ export const useSceneStore = create<SceneState>((set, get) => ({
   activeScene: null,
 
   loadScenes: async (adventureId: string) => {
-    set({ loading: true, error: null });
+    set({ loading: true, error: null, adventureId });
     try {
-      // Fetch scenes from API
-      const response = await fetch(`/api/adventures/${adventureId}/scenes`);
+      // Fetch scenes from API (the full documents need our GM token;
+      // without it the server sends the player projection)
+      const response = await fetch(`/api/adventures/${adventureId}/scenes`, {
+        headers: getAuthHeaders(),
+      });
       if (!response.ok) {
         throw new Error(`Failed to load scenes: ${response.statusText}`);
       }
-      const scenes = await response.json();
-      const firstScene = scenes[0] || null;
+      const scenes: Scene[] = await response.json();
+      
+      // Reloading the same adventure keeps our place; otherwise start at the first scene
+      const { currentScene, activeSceneId } = get();
+      const currentIndex = Math.max(0, scenes.findIndex((s) => s.id === currentScene?.id));
+      const activeSceneIndex = Math.max(0, scenes.findIndex((s) => s.id === activeSceneId));
       set({
         scenes,
-        currentIndex: 0,
-        currentScene: firstScene,
+        currentIndex,
+        currentScene: scenes[currentIndex] || null,
         loading: false,
-        // Set first scene as active by default
-        activeSceneId: firstScene?.id || null,
-        activeSceneIndex: 0,
-        activeScene: firstScene,
+        activeSceneId: scenes[activeSceneIndex]?.id || null,
+        activeSceneIndex,
+        activeScene: scenes[activeSceneIndex] || null,
       });
     } catch (error) {
       console.error('[SceneStore] Failed to load scenes:', error);
@@ -73,7 +83,7 @@ export const useSceneStore = create<SceneState>((set, get) => ({
       
       // Try to load from local scene backgrounds as fallback
       try {
-        const fallbackResponse = await fetch('/api/scenes');
+        const fallbackResponse = await fetch('/api/scenes', { headers: getAuthHeaders() });
         if (fallbackResponse.ok) {
           const scenes = await fallbackResponse.json();
           const firstScene = scenes[0] || null;
@@ -95,6 +105,38 @@ export const useSceneStore = create<SceneState>((set, get) => ({
     }
   },
 
+  // Refetch one scene after its file changed on the server, keeping our place.
+  // New and removed scenes change the list, so those reload the adventure.
+  reloadScene: async (sceneId: string) => {
+    const { adventureId, scenes, loadScenes } = get();
+    if (!adventureId || !sceneId.startsWith(adventureId)) return;
+    if (!scenes.some((s) => s.id === sceneId)) {
+      await loadScenes(adventureId);
+      return;
+    }
+
+    try {
+      const response = await fetch(`/api/scenes/${encodeURIComponent(sceneId)}`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        await loadScenes(adventureId);
+        return;
+      }
+      const scene: Scene = await response.json();
+
+      const { currentScene, activeScene } = get();
+      set({
+        scenes: get().scenes.map((s) => (s.id === sceneId ? scene : s)),
+        currentScene: currentScene?.id === sceneId ? scene : currentScene,
+        activeScene: activeScene?.id === sceneId ? scene : activeScene,
+      });
+      console.log('[SceneStore] Scene reloaded:', scene.title);
+    } catch (error) {
+      console.error('[SceneStore] Failed to reload scene:', sceneId, error);
+    }
+  },
+
   goToScene: (index: number) => {
     const { scenes } = get();
     if (index >= 0 && index < scenes.length) {
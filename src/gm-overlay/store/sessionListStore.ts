@@ -0,0 +1,182 @@
+import { create } from 'zustand';
+import type { AdventureSummary, SessionSummary } from '../types';
+
+interface SessionListState {
+  // Sessions known to the server (from /api/sessions)
+  sessions: SessionSummary[];
+  isLoading: boolean;
+  error: string | null;
+  showArchived: boolean;
+
+  // Adventures a new session can be bound to (from /api/adventures)
+  adventures: AdventureSummary[];
+
+  // Session the GM overlay is joined to, and our role in it (the GM role
+  // comes from logging in with the session's GM secret)
+  activeSessionId: string;
+  role: 'gm' | 'player' | null;
+
+  // Why the server turned this build away (sync protocol version mismatch)
+  protocolError: string | null;
+
+  // Actions
+  loadSessions: () => Promise<void>;
+  loadAdventures: () => Promise<void>;
+  setShowArchived: (show: boolean) => void;
+  createSession: (name: string, gmSecret: string, adventureId: string | null) => Promise<SessionSummary | null>;
+  renameSession: (id: string, name: string) => Promise<void>;
+  setArchived: (id: string, archived: boolean) => Promise<void>;
+  deleteSession: (id: string) => Promise<void>;
+  selectSession: (id: string) => void;
+  setRole: (role: 'gm' | 'player' | null) => void;
+  setProtocolError: (message: string | null) => void;
+  getActiveSession: () => SessionSummary | undefined;
+}
+
+const ACTIVE_SESSION_STORAGE_KEY = 'lightdeck_gm_session_id';
+
+// Base key for the GM's reconnect token. Tokens are only valid in the session
+// they were issued in, so each non-default session gets its own key.
+const TOKEN_STORAGE_KEY = 'lightdeck_gm_session_token';
+
+export function getSessionTokenKey(sessionId: string): string {
+  return sessionId === 'default' ? TOKEN_STORAGE_KEY : `${TOKEN_STORAGE_KEY}:${sessionId}`;
+}
+
+// Identifies us to the REST API, which checks GM-only routes against the
+// role bound to the token (see server/ApiAuth.js)
+export function getAuthHeaders(sessionId?: string): Record<string, string> {
+  const id = sessionId ?? useSessionListStore.getState().activeSessionId;
+  const token = localStorage.getItem(getSessionTokenKey(id));
+  return token ? { 'X-Session-Token': token } : {};
+}
+
+async function request<T>(url: string, options: RequestInit = {}): Promise<T> {
+  const response = await fetch(url, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...options.headers },
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+export const useSessionListStore = create<SessionListState>((set, get) => ({
+  sessions: [],
+  isLoading: false,
+  error: null,
+  showArchived: false,
+  adventures: [],
+  activeSessionId: localStorage.getItem(ACTIVE_SESSION_STORAGE_KEY) || 'default',
+  role: null,
+  protocolError: null,
+
+  loadSessions: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const query = get().showArchived ? '?includeArchived=true' : '';
+      const sessions = await request<SessionSummary[]>(`/api/sessions${query}`);
+      set({ sessions, isLoading: false });
+    } catch (err) {
+      console.error('[SessionListStore] Failed to load sessions:', err);
+      set({ error: (err as Error).message, isLoading: false });
+    }
+  },
+
+  loadAdventures: async () => {
+    try {
+      const adventures = await request<AdventureSummary[]>('/api/adventures');
+      set({ adventures });
+    } catch (err) {
+      console.error('[SessionListStore] Failed to load adventures:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+
+  setShowArchived: (show) => {
+    set({ showArchived: show });
+    get().loadSessions();
+  },
+
+  createSession: async (name, gmSecret, adventureId) => {
+    try {
+      // Server admin only: log in to the current session with GM_PASSWORD first
+      const session = await request<SessionSummary>('/api/sessions', {
+        method: 'POST',
+        headers: getAuthHeaders(),
+        body: JSON.stringify({ name, gmSecret, adventureId }),
+      });
+      set((state) => ({ sessions: [session, ...state.sessions], error: null }));
+      return session;
+    } catch (err) {
+      console.error('[SessionListStore] Failed to create session:', err);
+      set({ error: (err as Error).message });
+      return null;
+    }
+  },
+
+  renameSession: async (id, name) => {
+    try {
+      const updated = await request<SessionSummary>(`/api/sessions/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(id),
+        body: JSON.stringify({ name }),
+      });
+      set((state) => ({
+        sessions: state.sessions.map(s => s.id === id ? updated : s),
+        error: null,
+      }));
+    } catch (err) {
+      console.error('[SessionListStore] Failed to rename session:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+
+  setArchived: async (id, archived) => {
+    try {
+      await request<SessionSummary>(`/api/sessions/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: getAuthHeaders(id),
+        body: JSON.stringify({ archived }),
+      });
+      await get().loadSessions();
+    } catch (err) {
+      console.error('[SessionListStore] Failed to archive session:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+
+  deleteSession: async (id) => {
+    try {
+      await request(`/api/sessions/${encodeURIComponent(id)}`, {
+        method: 'DELETE',
+        headers: getAuthHeaders(id),
+      });
+      localStorage.removeItem(getSessionTokenKey(id));
+      set((state) => ({ sessions: state.sessions.filter(s => s.id !== id), error: null }));
+      if (get().activeSessionId === id) {
+        get().selectSession('default');
+      }
+    } catch (err) {
+      console.error('[SessionListStore] Failed to delete session:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+
+  // useSyncManager re-joins whenever this changes
+  selectSession: (id) => {
+    localStorage.setItem(ACTIVE_SESSION_STORAGE_KEY, id);
+    set({ activeSessionId: id, role: null });
+  },
+
+  setRole: (role) => set({ role }),
+
+  setProtocolError: (message) => set({ protocolError: message }),
+
+  getActiveSession: () => {
+    const { sessions, activeSessionId } = get();
+    return sessions.find(s => s.id === activeSessionId);
+  },
+}));
@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
+import type { CampaignClock, ScheduledEvent } from '../types';
 
 interface SessionState {
   // Session notes (editable by GM)
@@ -11,15 +12,15 @@ interface SessionState {
   // Campaign flags
   flags: Record<string, boolean | string>;
   setFlag: (key: string, value: boolean | string) => void;
+  setFlags: (flags: Record<string, boolean | string>) => void;
   toggleFlag: (key: string) => void;
   
-  // Campaign clock
-  campaignClock: {
-    day: number;
-    time: string;
-  };
-  advanceTime: (minutes: number) => void;
-  setTime: (day: number, time: string) => void;
+  // Campaign clock and timeline, mirrored from the server (sync:clock).
+  // Change them through window.GMOverlay.clock so players see it too.
+  campaignClock: CampaignClock;
+  setCampaignClock: (clock: CampaignClock) => void;
+  scheduledEvents: ScheduledEvent[];
+  setScheduledEvents: (events: ScheduledEvent[]) => void;
   
   // Recently visited scenes
   recentScenes: string[];
@@ -68,33 +69,16 @@ export const useSessionStore = create<SessionState>()(
       setFlag: (key, value) => set((state) => ({
         flags: { ...state.flags, [key]: value }
       })),
+      setFlags: (flags) => set({ flags }),
       toggleFlag: (key) => set((state) => ({
         flags: { ...state.flags, [key]: !state.flags[key] }
       })),
 
       // Campaign clock
       campaignClock: { day: 1, time: '00:00' },
-      advanceTime: (minutes) => set((state) => {
-        const [hours, mins] = state.campaignClock.time.split(':').map(Number);
-        let totalMins = hours * 60 + mins + minutes;
-        let day = state.campaignClock.day;
-        
-        while (totalMins >= 24 * 60) {
-          totalMins -= 24 * 60;
-          day++;
-        }
-        while (totalMins < 0) {
-          totalMins += 24 * 60;
-          day = Math.max(1, day - 1);
-        }
-        
-        const newHours = Math.floor(totalMins / 60);
-        const newMins = totalMins % 60;
-        const time = `${String(newHours).padStart(2, '0')}:${String(newMins).padStart(2, '0')}`;
-        
-        return { campaignClock: { day, time } };
-      }),
-      setTime: (day, time) => set({ campaignClock: { day, time } }),
+      setCampaignClock: (clock) => set({ campaignClock: clock }),
+      scheduledEvents: [],
+      setScheduledEvents: (events) => set({ scheduledEvents: events }),
 
       // Recently visited scenes
       recentScenes: [],
@@ -162,6 +146,7 @@ export const useSessionStore = create<SessionState>()(
           notes: [],
           flags: {},
           campaignClock: { day: 1, time: '00:00' },
+          scheduledEvents: [],
           recentScenes: [],
           favorites: [],
           undoStack: [],
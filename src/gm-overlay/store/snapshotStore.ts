@@ -0,0 +1,105 @@
+import { create } from 'zustand';
+import type { SnapshotChange, SnapshotSummary } from '../types';
+import { getAuthHeaders, useSessionListStore } from './sessionListStore';
+
+// 'current' compares against the live session
+export type SnapshotRef = string | 'current';
+
+interface SnapshotState {
+  // Snapshots of the active session, newest first
+  snapshots: SnapshotSummary[];
+  isLoading: boolean;
+  error: string | null;
+
+  // Last comparison made with compare()
+  diff: { from: SnapshotRef; to: SnapshotRef; changes: SnapshotChange[] } | null;
+
+  // Actions
+  loadSnapshots: () => Promise<void>;
+  createSnapshot: (name: string) => Promise<void>;
+  deleteSnapshot: (id: string) => Promise<void>;
+  restoreSnapshot: (id: string) => Promise<boolean>;
+  compare: (from: SnapshotRef, to: SnapshotRef) => Promise<void>;
+  clearDiff: () => void;
+}
+
+// Snapshot routes are GM-of-this-session only (see server/ApiAuth.js)
+async function request<T>(path: string, options: RequestInit = {}): Promise<T> {
+  const sessionId = useSessionListStore.getState().activeSessionId;
+  const response = await fetch(`/api/sessions/${encodeURIComponent(sessionId)}/snapshots${path}`, {
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...getAuthHeaders(sessionId), ...options.headers },
+  });
+  if (!response.ok) {
+    const body = await response.json().catch(() => ({}));
+    throw new Error(body.error || `HTTP ${response.status}`);
+  }
+  return response.json();
+}
+
+export const useSnapshotStore = create<SnapshotState>((set) => ({
+  snapshots: [],
+  isLoading: false,
+  error: null,
+  diff: null,
+
+  loadSnapshots: async () => {
+    set({ isLoading: true, error: null });
+    try {
+      const snapshots = await request<SnapshotSummary[]>('');
+      set({ snapshots, isLoading: false });
+    } catch (err) {
+      console.error('[SnapshotStore] Failed to load snapshots:', err);
+      set({ snapshots: [], error: (err as Error).message, isLoading: false });
+    }
+  },
+
+  createSnapshot: async (name) => {
+    try {
+      const snapshot = await request<SnapshotSummary>('', {
+        method: 'POST',
+        body: JSON.stringify({ name }),
+      });
+      set((state) => ({ snapshots: [snapshot, ...state.snapshots], error: null }));
+    } catch (err) {
+      console.error('[SnapshotStore] Failed to save snapshot:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+
+  deleteSnapshot: async (id) => {
+    try {
+      await request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      set((state) => ({ snapshots: state.snapshots.filter(s => s.id !== id), error: null }));
+    } catch (err) {
+      console.error('[SnapshotStore] Failed to delete snapshot:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+
+  // The server resyncs every client (including us) with sync:state
+  restoreSnapshot: async (id) => {
+    try {
+      await request(`/${encodeURIComponent(id)}/restore`, { method: 'POST' });
+      set({ error: null, diff: null });
+      return true;
+    } catch (err) {
+      console.error('[SnapshotStore] Failed to restore snapshot:', err);
+      set({ error: (err as Error).message });
+      return false;
+    }
+  },
+
+  compare: async (from, to) => {
+    try {
+      const query = `?from=${encodeURIComponent(from)}&to=${encodeURIComponent(to)}`;
+      const diff = await request<{ changes: SnapshotChange[] }>(`/diff${query}`);
+      set({ diff: { from, to, changes: diff.changes }, error: null });
+    } catch (err) {
+      console.error('[SnapshotStore] Failed to compare snapshots:', err);
+      set({ error: (err as Error).message });
+    }
+  },
+
+  clearDiff: () => set({ diff: null }),
+}));
@@ -0,0 +1,41 @@
+import { create } from 'zustand';
+import type { ValidationReport } from '../types';
+import { getAuthHeaders } from './sessionListStore';
+
+interface ValidationState {
+  // Last report for the loaded adventure
+  report: ValidationReport | null;
+  isValidating: boolean;
+  error: string | null;
+
+  // Actions
+  validate: (adventureId: string) => Promise<void>;
+  clear: () => void;
+}
+
+export const useValidationStore = create<ValidationState>((set) => ({
+  report: null,
+  isValidating: false,
+  error: null,
+
+  // GM only (see server/ApiAuth.js); the report names unrevealed content
+  validate: async (adventureId) => {
+    set({ isValidating: true, error: null });
+    try {
+      const response = await fetch(`/api/adventures/${encodeURIComponent(adventureId)}/validate`, {
+        headers: getAuthHeaders(),
+      });
+      if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(body.error || `HTTP ${response.status}`);
+      }
+      const report: ValidationReport = await response.json();
+      set({ report, isValidating: false });
+    } catch (err) {
+      console.error('[ValidationStore] Failed to validate content:', err);
+      set({ error: (err as Error).message, isValidating: false });
+    }
+  },
+
+  clear: () => set({ report: null, error: null }),
+}));
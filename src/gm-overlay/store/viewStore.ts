@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import type { ViewType, ModalType, Breadcrumb, NPC, Item } from '../types';
+import { getAuthHeaders } from './sessionListStore';
 
 interface ViewState {
   // Visibility
@@ -37,6 +38,9 @@ interface ViewState {
   // NPC/Item selection
   selectNPC: (npc: NPC) => void;
   selectItem: (item: Item) => void;
+
+  // Refetch the open NPC after its file changed on the server
+  refreshNPC: (npcId: string) => Promise<void>;
 }
 
 export const useViewStore = create<ViewState>((set, get) => ({
@@ -133,4 +137,25 @@ export const useViewStore = create<ViewState>((set, get) => ({
   selectItem: (item) => {
     get().pushView('item', item, item.name);
   },
+
+  refreshNPC: async (npcId) => {
+    if (get().selectedNPC?.id !== npcId) return;
+    try {
+      const response = await fetch(`/api/npcs/${encodeURIComponent(npcId)}`, { headers: getAuthHeaders() });
+      if (!response.ok) return;
+      const npc: NPC = await response.json();
+
+      // The GM may have moved on while we were fetching
+      const { selectedNPC, breadcrumbs } = get();
+      if (selectedNPC?.id !== npcId) return;
+      set({
+        selectedNPC: npc,
+        breadcrumbs: breadcrumbs.map((crumb) =>
+          crumb.view === 'npc' && (crumb.data as NPC | undefined)?.id === npcId ? { ...crumb, data: npc } : crumb
+        ),
+      });
+    } catch (error) {
+      console.error('[ViewStore] Failed to refresh NPC:', npcId, error);
+    }
+  },
 }));
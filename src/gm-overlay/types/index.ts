@@ -70,6 +70,7 @@ export interface Trigger {
   sound?: string;
   targetScene?: string;
   setsFlag?: string;
+  sets_flag?: string;
   irreversible?: boolean;
 }
 
@@ -215,7 +216,7 @@ export interface Item {
 // View types
 export type ViewType = 'narrative' | 'npc' | 'item' | 'conversation' | 'dashboard' | 'karaoke';
 
-export type ModalType = 'sceneJumper' | 'globalSearch' | 'adHocCheck' | 'settings' | 'confirmTrigger' | 'exportAll' | null;
+export type ModalType = 'sceneJumper' | 'globalSearch' | 'adHocCheck' | 'settings' | 'confirmTrigger' | 'exportAll' | 'sessionPicker' | 'gmLogin' | null;
 
 export interface Breadcrumb {
   label: string;
@@ -226,27 +227,204 @@ export interface Breadcrumb {
 // Chat types
 export interface ChatMessage {
   id: string;
-  type: 'system' | 'player' | 'rolls' | 'gm';
+  type: 'system' | 'player' | 'rolls' | 'gm' | 'whisper';
   sender?: string;
   text: string;
   timestamp: number;
+  // Whispers only: who it was sent to, and the player the thread belongs to
+  recipient?: string;
+  thread?: string;
+  // ID of the entry in the server's session chat log, if it came from there
+  serverId?: string;
+}
+
+// Entry in the server's persisted session chat log
+export interface ChatHistoryEntry {
+  id: string;
+  kind: 'chat' | 'roll' | 'system';
+  visibility: 'public' | 'whisper';
+  name?: string;
+  role?: string;
+  text: string;
+  type?: string;
+  toName?: string;
+  rollId?: string;
+  timestamp: number;
+}
+
+// Dice roll generated and recorded by the server
+export interface ServerRoll {
+  id: string;
+  from: string;
+  name: string;
+  role: string;
+  label?: string | null;
+  expression: string;
+  sides: number;
+  rolls: number[];
+  modifier: number;
+  total: number;
+  timestamp: number;
 }
 
 // Session types
 export interface SessionState {
   notes: string[];
   flags: Record<string, boolean | string>;
-  campaignClock: {
-    day: number;
-    time: string;
+  campaignClock: CampaignClock;
+}
+
+// In-world time, owned by the server (sync:clock)
+export interface CampaignClock {
+  day: number;
+  time: string; // "HH:MM"
+}
+
+// What a scheduled event does when the clock reaches it
+export type TimelineAction =
+  | { type: 'flag'; key: string; value: boolean | string }
+  | { type: 'announcement'; text: string }
+  | { type: 'scene'; scene: string };
+
+// Timeline event fired by the server when the clock passes `at`
+export interface ScheduledEvent {
+  id: string;
+  at: CampaignClock;
+  label: string;
+  actions: TimelineAction[];
+  fired: boolean;
+  firedAt?: CampaignClock;
+  createdAt: number;
+}
+
+// Named session (campaign) as listed by /api/sessions
+export interface SessionSummary {
+  id: string;
+  name: string;
+  joinCode: string;
+  status: 'active' | 'archived';
+  adventureId: string | null;
+  currentScene: string | null;
+  hasGMSecret: boolean;
+  userCount: number;
+  connectedCount: number;
+  createdAt: number;
+  updatedAt: number;
+}
+
+// Adventure a session can be bound to (from /api/adventures)
+export interface AdventureSummary {
+  id: string;
+  name: string;
+  version: string | null;
+  summary: string | null;
+  coverUrl: string | null;
+  hasManifest: boolean;
+  counts: {
+    scenes: number;
+    npcs: number;
+    terminals: number;
+    documents: number;
+    programs: number;
   };
 }
 
+// Named save point of a session (from /api/sessions/:id/snapshots)
+export interface SnapshotSummary {
+  id: string;
+  name: string;
+  createdBy: string | null;
+  createdAt: number;
+  currentScene: string | null;
+  campaignClock: CampaignClock;
+  characterCount: number;
+}
+
+// One difference between two snapshots; from/to are undefined when added/removed
+export interface SnapshotChange {
+  path: string;
+  from?: unknown;
+  to?: unknown;
+}
+
+// Document the GM published to players (from /api/sessions/:id/documents)
+export interface SessionDocument {
+  id: string;
+  kind: 'recap';
+  title: string;
+  markdown: string;
+  html: string;
+  text: string;
+  publishedBy: string | null;
+  publishedAt: number;
+}
+
+// Generated recap draft (from /api/sessions/:id/recap)
+export interface RecapDraft {
+  markdown: string;
+  html: string;
+  recap: {
+    title: string;
+    since: number | null;
+    until: number | null;
+  };
+}
+
+// Problem found in an adventure's content files (from /api/adventures/:id/validate)
+export interface ValidationIssue {
+  severity: 'error' | 'warning';
+  code: string;
+  file: string;
+  path: string;
+  message: string;
+}
+
+export interface ValidationReport {
+  adventureId: string;
+  valid: boolean;
+  checkedAt: number;
+  summary: { files: number; errors: number; warnings: number };
+  counts: Record<string, number>;
+  issues: ValidationIssue[];
+}
+
+// File in an adventure archive (POST /api/adventures/import)
+export interface BundleFile {
+  path: string;
+  size: number;
+  kind: string;
+  id: string;
+  status: 'new' | 'same' | 'collision';
+}
+
+export interface BundleReport {
+  adventureId: string | null;
+  name: string | null;
+  version: string | null;
+  adventureExists: boolean;
+  files: BundleFile[];
+  collisions: BundleFile[];
+  problems: string[];
+  validation: ValidationReport | null;
+  installable: boolean;
+  installed: boolean;
+  written: string[];
+}
+
+// Adventure asset edited on disk (content:updated)
+export interface ContentChange {
+  kind: 'guide' | 'scene' | 'terminal' | 'program' | 'document' | 'npc';
+  id: string;
+  file: string;
+  removed: boolean;
+  at: number;
+}
+
 // Connected player (from Socket.io presence)
 export interface ConnectedPlayer {
   socketId: string;
   name: string;
-  role: 'player' | 'gm';
+  role: 'player' | 'gm' | 'spectator';
   view: string;
   characterId?: string;
 }
@@ -23,6 +23,10 @@ export default defineConfig({
   },
   server: {
     port: 5174,
+    fs: {
+      // The sync protocol contract lives outside the overlay (shared/)
+      allow: ['.', '../../shared'],
+    },
     proxy: {
       '/api': 'http://localhost:3000',
       '/assets': 'http://localhost:3000',
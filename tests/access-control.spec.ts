@@ -0,0 +1,357 @@
+import { Page } from '@playwright/test';
+import {
+  test,
+  expect,
+  openApp,
+  tokenHeaders,
+  waitForAppReady,
+  waitForSyncManagerReady,
+  getSyncManagerState,
+} from './helpers/session-fixtures';
+
+/**
+ * Access Control Tests
+ *
+ * Tests for who may read and change what: REST tokens and policies,
+ * spectators, and the player projection of scene documents.
+ *
+ * Key features tested:
+ * - 401/403 responses from protected REST routes
+ * - Spectator mode
+ * - Redacted scenes for players, full scenes for the GM
+ * - Content files kept off the static routes
+ */
+
+// Declare browser globals
+declare const SyncManager: any;
+declare const SyncProtocol: any;
+
+/**
+ * Send one socket message with the page's token (and so its role) and
+ * return the server's ack
+ */
+async function emitAs(page: Page, sessionId: string, type: string, payload: any) {
+  return page.evaluate(({ sessionId, type, payload }) => new Promise<any>((resolve) => {
+    const socket = (window as any).io({ transports: ['websocket'] });
+    socket.on('sync:token', async () => {
+      const ack = await socket.emitWithAck(type, payload);
+      socket.close();
+      resolve(ack);
+    });
+    socket.on('connect', () => socket.emit('sync:join', {
+      sessionId,
+      token: localStorage.getItem('lightdeck_session_token'),
+      protocolVersion: SyncProtocol.VERSION,
+    }));
+  }), { sessionId, type, payload });
+}
+
+// ============================================================================
+// SECTION 1: REST AUTHORIZATION
+// ============================================================================
+
+test.describe('10.1 REST Authorization', () => {
+
+  test('ACC-001: Mutating endpoints reject requests without a token', async ({ request }) => {
+    const diceRes = await request.put('/api/dice/defaults', { data: { scale: 1 } });
+    expect(diceRes.status()).toBe(401);
+    expect(await diceRes.json()).toEqual({ error: 'Authentication required', code: 'AUTH_REQUIRED' });
+
+    const charRes = await request.delete('/api/characters/no_such_character');
+    expect(charRes.status()).toBe(401);
+
+    const imageRes = await request.delete('/api/scenes/no_such_scene/image');
+    expect(imageRes.status()).toBe(401);
+  });
+
+  test('ACC-002: Unknown tokens are rejected', async ({ request }) => {
+    const response = await request.patch('/api/sessions/default', {
+      headers: { 'X-Session-Token': 'not-a-real-token' },
+      data: { name: 'Hijacked' },
+    });
+    expect(response.status()).toBe(401);
+  });
+
+  test('ACC-003: Players cannot use GM-only endpoints', async ({ page, request }) => {
+    await openApp(page);
+
+    const headers = await tokenHeaders(page);
+    const response = await request.put('/api/dice/defaults', { headers, data: { scale: 1 } });
+    expect(response.status()).toBe(403);
+    expect((await response.json()).code).toBe('FORBIDDEN');
+  });
+
+  test('ACC-004: Only the server admin changes shared content', async ({ page, request, adminHeaders, createCampaign }) => {
+    const campaign = await createCampaign('Shared Content Campaign');
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+
+    // A session's own GM chose its secret, so it can't touch what every session uses
+    const dice = await request.put('/api/dice/defaults', { headers, data: { scale: 1 } });
+    expect(dice.status()).toBe(403);
+    expect((await request.delete('/api/scenes/no_such_scene/image', { headers })).status()).toBe(403);
+
+    const defaults = await (await request.get('/api/dice/defaults')).json();
+    const admin = await request.put('/api/dice/defaults', { headers: adminHeaders, data: { scale: defaults.scale } });
+    expect(admin.ok()).toBeTruthy();
+  });
+
+  test('ACC-005: Characters are changed by their player, their session\'s GM or an admin', async ({ browser, page, request, adminHeaders, createCampaign }) => {
+    const campaign = await createCampaign('Character Owner Campaign');
+    const otherCampaign = await createCampaign('Other Character Campaign');
+    const characterId = `acc_char_${Date.now()}`;
+    const headers = await campaign.join(page);
+
+    // IDs that aren't plain file names never reach the characters directory
+    expect((await request.get('/api/characters/..%2F..%2Fpackage')).status()).toBe(400);
+    expect((await request.put('/api/characters/..%2F..%2Fx', { headers, data: { name: 'x' } })).status()).toBe(400);
+    expect((await request.post('/api/characters', { headers, data: { id: '../x', name: 'x' } })).status()).toBe(400);
+
+    const gmContext = await browser.newContext();
+    const otherGMContext = await browser.newContext();
+
+    try {
+      const created = await request.post('/api/characters', { headers, data: { id: characterId, name: 'Owned Runner' } });
+      expect(created.ok()).toBeTruthy();
+
+      const gmPage = await gmContext.newPage();
+      await campaign.join(gmPage);
+      const gmHeaders = await campaign.loginAsGM(gmPage);
+
+      const otherGMPage = await otherGMContext.newPage();
+      await otherCampaign.join(otherGMPage);
+      const otherGMHeaders = await otherCampaign.loginAsGM(otherGMPage);
+
+      // A GM of a session nobody plays the character in can't touch it
+      const refused = await request.put(`/api/characters/${characterId}`, { headers: otherGMHeaders, data: { name: 'Stolen' } });
+      expect(refused.status()).toBe(403);
+      expect((await request.delete(`/api/characters/${characterId}`, { headers: otherGMHeaders })).status()).toBe(403);
+
+      const edited = await request.put(`/api/characters/${characterId}`, { headers: gmHeaders, data: { name: 'Edited Runner' } });
+      expect(edited.ok()).toBeTruthy();
+      expect((await (await request.get(`/api/characters/${characterId}`)).json()).name).toBe('Edited Runner');
+    } finally {
+      await gmContext.close();
+      await otherGMContext.close();
+      expect((await request.delete(`/api/characters/${characterId}`, { headers: adminHeaders })).ok()).toBeTruthy();
+    }
+  });
+
+  test('ACC-006: Session GMs only assign characters their session made, and players make one', async ({ browser, request, adminHeaders, createCampaign }) => {
+    const campaign = await createCampaign('Assign Home Campaign');
+    const otherCampaign = await createCampaign('Assign Other Campaign');
+    const stamp = Date.now();
+    const playerCharacter = `acc_player_${stamp}`;
+    const gmCharacter = `acc_gm_${stamp}`;
+    const contexts = await Promise.all([0, 1, 2].map(() => browser.newContext()));
+
+    try {
+      const [owner, player, gm] = await Promise.all(contexts.map((context) => context.newPage()));
+      const ownerHeaders = await campaign.join(owner);
+      await otherCampaign.join(player);
+      await otherCampaign.join(gm);
+      const gmHeaders = await otherCampaign.loginAsGM(gm);
+
+      expect((await request.post('/api/characters', { headers: ownerHeaders, data: { id: playerCharacter, name: 'Home Runner' } })).ok()).toBeTruthy();
+
+      // A player with a character can't mint more IDs
+      const second = await request.post('/api/characters', { headers: ownerHeaders, data: { id: `${playerCharacter}_2`, name: 'Spare' } });
+      expect(second.status()).toBe(403);
+
+      // Binding another session's character would let this GM edit it
+      const playerSocketId = (await player.evaluate(() => SyncManager.getLocalState())).id;
+      const refused = await emitAs(gm, otherCampaign.id, 'sync:character_assign', { socketId: playerSocketId, characterId: playerCharacter });
+      expect(refused).toMatchObject({ success: false, message: 'That character belongs to another session' });
+      expect((await request.put(`/api/characters/${playerCharacter}`, { headers: gmHeaders, data: { name: 'Stolen' } })).status()).toBe(403);
+
+      // One the GM made here is theirs to hand out
+      expect((await request.post('/api/characters', { headers: gmHeaders, data: { id: gmCharacter, name: 'Pregen' } })).ok()).toBeTruthy();
+      const assigned = await emitAs(gm, otherCampaign.id, 'sync:character_assign', { socketId: playerSocketId, characterId: gmCharacter });
+      expect(assigned).toMatchObject({ success: true });
+      await expect.poll(() => player.evaluate(() => SyncManager.getCharacter()?.id)).toBe(gmCharacter);
+    } finally {
+      await Promise.all(contexts.map((context) => context.close()));
+      for (const id of [playerCharacter, gmCharacter]) {
+        await request.delete(`/api/characters/${id}`, { headers: adminHeaders });
+      }
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 2: SPECTATORS
+// ============================================================================
+
+test.describe('10.2 Spectators', () => {
+
+  test('ACC-010: Spectators are listed separately and cannot chat or roll', async ({ browser }) => {
+    const playerContext = await browser.newContext();
+    const spectatorContext = await browser.newContext();
+
+    try {
+      const player = await playerContext.newPage();
+      const spectator = await spectatorContext.newPage();
+
+      await openApp(player);
+
+      await spectator.goto('/?spectate');
+      await waitForAppReady(spectator);
+      await waitForSyncManagerReady(spectator);
+      await spectator.waitForTimeout(1000);
+
+      expect(await spectator.evaluate(() => SyncManager.isSpectator())).toBeTruthy();
+
+      // The player sees the spectator in its own list, not among peers
+      const spectatorName = (await getSyncManagerState(spectator)).name;
+      const seen = await player.evaluate(() => ({
+        peers: SyncManager.getPeers().map((p: any) => p.name),
+        spectators: SyncManager.getSpectators().map((p: any) => p.name),
+      }));
+      expect(seen.spectators).toContain(spectatorName);
+      expect(seen.peers).not.toContain(spectatorName);
+
+      // Rolls are refused
+      const roll = await spectator.evaluate(() => SyncManager.requestRoll('1d6'));
+      expect(roll).toBeNull();
+    } finally {
+      await playerContext.close();
+      await spectatorContext.close();
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 3: SCENE PROJECTION
+// ============================================================================
+
+test.describe('10.3 Scene Projection', () => {
+
+  test('ACC-020: Players get a redacted scene and GMs the full document', async ({ browser, request, createCampaign }) => {
+    const sceneId = 'AChangeOfHeart_Act_01_Chapter_01_Scene_01';
+    const campaign = await createCampaign('Projection Campaign');
+
+    const gmContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+    const gmPage = await gmContext.newPage();
+    const playerPage = await playerContext.newPage();
+
+    try {
+      await campaign.join(gmPage);
+      const playerHeaders = await campaign.join(playerPage);
+      const gmHeaders = await campaign.loginAsGM(gmPage);
+
+      // Anonymous and player callers get the projection: no GM notes or DCs
+      const anonymous = await (await request.get(`/api/scenes/${sceneId}`)).json();
+      expect(anonymous._fullAccess).toBe(false);
+      expect(anonymous.gmNotes).toBeUndefined();
+      expect(anonymous.narrative).toBeTruthy();
+
+      const player = await (await request.get(`/api/scenes/${sceneId}`, { headers: playerHeaders })).json();
+      expect(player._fullAccess).toBe(false);
+      expect(player.triggers).toEqual([]);
+      expect(JSON.stringify(player)).not.toContain('"dc"');
+
+      const gm = await (await request.get(`/api/scenes/${sceneId}`, { headers: gmHeaders })).json();
+      expect(gm._fullAccess).toBe(true);
+      expect(gm.gmNotes).toBeTruthy();
+
+      // Firing a trigger's flag reveals it to the player
+      await gmPage.evaluate(() => SyncManager.broadcastFlag('witnessed_jax_cough', true));
+      await expect.poll(async () => {
+        const revealed = await (await request.get(`/api/scenes/${sceneId}`, { headers: playerHeaders })).json();
+        return revealed.triggers.map((t: { id: string }) => t.id);
+      }).toEqual(['clue_sludge']);
+    } finally {
+      await gmContext.close();
+      await playerContext.close();
+    }
+  });
+
+  test('ACC-021: Terminals and documents are projected like scenes', async ({ browser, request, createCampaign }) => {
+    const campaign = await createCampaign('Terminal Projection Campaign');
+
+    const gmContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+    const gmPage = await gmContext.newPage();
+    const playerPage = await playerContext.newPage();
+
+    try {
+      await campaign.join(gmPage);
+      const playerHeaders = await campaign.join(playerPage);
+      const gmHeaders = await campaign.loginAsGM(gmPage);
+
+      // Players see the terminal's screen, not its events or notes
+      const terminal = await (await request.get('/api/terminals/oakhaven_admin_terminal', { headers: playerHeaders })).json();
+      expect(terminal._fullAccess).toBe(false);
+      expect(terminal.filesystem).toBeTruthy();
+      expect(terminal.gmNotes).toBeUndefined();
+      expect(terminal.events).toBeUndefined();
+
+      const gmTerminal = await (await request.get('/api/terminals/oakhaven_admin_terminal', { headers: gmHeaders })).json();
+      expect(gmTerminal._fullAccess).toBe(true);
+      expect(gmTerminal.gmNotes).toBeTruthy();
+
+      // A document is only its cover until the session has found it
+      const anonymous = await (await request.get('/api/documents/doc_liquidation_order')).json();
+      expect(anonymous._fullAccess).toBe(false);
+      expect(anonymous.content).toBeUndefined();
+      expect(anonymous.gmNotes).toBeUndefined();
+      expect(anonymous.unlocks_clues).toBeUndefined();
+
+      const gmDocument = await (await request.get('/api/documents/doc_liquidation_order', { headers: gmHeaders })).json();
+      expect(gmDocument._fullAccess).toBe(true);
+      expect(gmDocument.gmNotes).toBeTruthy();
+
+      await gmPage.evaluate(() => SyncManager.broadcastFlag('knows_liquidation_order', true));
+      await expect.poll(async () => {
+        const found = await (await request.get('/api/documents/doc_liquidation_order', { headers: playerHeaders })).json();
+        return Boolean(found.content) && found.gmNotes === undefined;
+      }).toBe(true);
+    } finally {
+      await gmContext.close();
+      await playerContext.close();
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 4: CONTENT FILES
+// ============================================================================
+
+test.describe('10.4 Content Files', () => {
+
+  test('ACC-030: Content JSON only leaves the server through the API', async ({ request }) => {
+    // Raw scene files carry GM notes; the static route serves images only
+    const sceneId = 'AChangeOfHeart_Act_01_Chapter_01_Scene_01';
+    expect((await request.get(`/assets/scene_backgrounds/${sceneId}.json`)).status()).toBe(404);
+    expect((await request.get(`/assets/scene_backgrounds/${sceneId}.JSON`)).status()).toBe(404);
+    expect((await request.get(`/assets/scene_backgrounds/${sceneId}%2Ejson`)).status()).toBe(404);
+    expect((await request.get('/assets/adventures/AChangeOfHeart_Guide.json')).status()).toBe(404);
+    expect((await request.get('/assets/character_artwork/npc%20(2).png')).ok()).toBeTruthy();
+
+    // Guides and exports are GM material
+    expect((await request.get('/api/adventures/AChangeOfHeart/guide')).status()).toBe(401);
+    expect((await request.get('/api/guides/AChangeOfHeart_Guide')).status()).toBe(401);
+    expect((await request.get('/api/export/AChangeOfHeart')).status()).toBe(401);
+
+    // Asking for the GM view of an NPC is not enough to get it
+    const npc = await (await request.get('/api/npcs/jax?role=gm')).json();
+    expect(npc._fullAccess).toBe(false);
+    expect(npc.secrets).toBeUndefined();
+  });
+
+  test('ACC-031: Players cannot read guides or exports', async ({ page, request }) => {
+    await openApp(page);
+    const headers = await tokenHeaders(page);
+
+    expect((await request.get('/api/adventures/AChangeOfHeart/guide', { headers })).status()).toBe(403);
+    expect((await request.get('/api/guides/AChangeOfHeart_Guide/section/clues', { headers })).status()).toBe(403);
+    expect(await (await request.get('/api/guides', { headers })).json()).toEqual([]);
+    expect((await request.get('/api/export/AChangeOfHeart', { headers })).status()).toBe(403);
+    expect((await (await request.get('/api/npcs/jax?role=gm', { headers })).json())._fullAccess).toBe(false);
+  });
+
+});
@@ -0,0 +1,357 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { test, expect } from './helpers/session-fixtures';
+
+/**
+ * Adventure Tools Tests
+ *
+ * Tests for the GM-facing tooling built on adventure content: checks and
+ * reports, exports and bundles, and the registry that binds a session to
+ * one adventure.
+ *
+ * Key features tested:
+ * - Content validation, scene graph and difficulty reports
+ * - Printable module export
+ * - Adventure bundles (export, check, install)
+ * - Adventure registry and per-session content scoping
+ */
+
+// Declare browser globals
+declare const SyncManager: any;
+declare const SceneManager: any;
+
+// ============================================================================
+// SECTION 1: CONTENT VALIDATION
+// ============================================================================
+
+test.describe('11.1 Content Validation', () => {
+
+  test('ADV-001: GMs can validate adventure content and get a structured report', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Validation Campaign');
+    const headers = await campaign.join(page);
+
+    // The report names unrevealed content, so players are refused
+    const refused = await request.get('/api/adventures/AChangeOfHeart/validate', { headers });
+    expect(refused.status()).toBe(403);
+
+    await campaign.loginAsGM(page);
+    const response = await request.get('/api/adventures/AChangeOfHeart/validate', { headers });
+    expect(response.ok()).toBeTruthy();
+    const report = await response.json();
+
+    expect(report.adventureId).toBe('AChangeOfHeart');
+    expect(report.counts.scenes).toBeGreaterThan(0);
+    expect(report.summary.errors + report.summary.warnings).toBe(report.issues.length);
+    expect(report.valid).toBe(report.summary.errors === 0);
+    for (const issue of report.issues) {
+      expect(['error', 'warning']).toContain(issue.severity);
+      expect(issue.file).toBeTruthy();
+      expect(issue.message).toBeTruthy();
+    }
+    // Every scene exit leads somewhere
+    expect(report.issues.filter((i: { code: string }) => i.code === 'UNKNOWN_SCENE')).toEqual([]);
+
+    const missing = await request.get('/api/adventures/NoSuchAdventure/validate', { headers });
+    expect(missing.status()).toBe(404);
+  });
+
+});
+
+// ============================================================================
+// SECTION 2: ADVENTURE GRAPH
+// ============================================================================
+
+test.describe('11.2 Adventure Graph', () => {
+
+  test('ADV-010: GMs can analyze the scene graph for dead ends and unset flags', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Graph Campaign');
+    const headers = await campaign.join(page);
+
+    // Exit conditions and flags are spoilers, so players are refused
+    const refused = await request.get('/api/adventures/AChangeOfHeart/graph', { headers });
+    expect(refused.status()).toBe(403);
+
+    await campaign.loginAsGM(page);
+    const response = await request.get('/api/adventures/AChangeOfHeart/graph', { headers });
+    expect(response.ok()).toBeTruthy();
+    const report = await response.json();
+
+    expect(report.adventureId).toBe('AChangeOfHeart');
+    expect(report.start).toBe('AChangeOfHeart_Act_01_Chapter_01_Scene_01');
+    expect(report.scenes.length).toBeGreaterThan(0);
+    expect(report.scenes.every((s: { reachable: boolean }) => s.reachable)).toBe(true);
+    expect(report.scenes.some((s: { ending: boolean }) => s.ending)).toBe(true);
+
+    const types = report.issues.map((i: { type: string }) => i.type);
+    expect(types).not.toContain('DEAD_END');
+    expect(types).not.toContain('SOFT_LOCK');
+    expect(report.verdict.issueCount.critical).toBe(0);
+
+    // The surgery check reads a choice flag nothing sets yet
+    expect(report.flags.neverSet).toContain('player_chose_save_jax');
+    expect(report.issues).toContainEqual(expect.objectContaining({
+      type: 'FLAG_NEVER_SET', flag: 'player_chose_save_jax', severity: 'warning',
+    }));
+
+    const missing = await request.get('/api/adventures/NoSuchAdventure/graph', { headers });
+    expect(missing.status()).toBe(404);
+  });
+
+});
+
+// ============================================================================
+// SECTION 3: DIFFICULTY SIMULATION
+// ============================================================================
+
+test.describe('11.3 Difficulty Simulation', () => {
+
+  test('ADV-020: GMs can simulate an adventure for a character with reproducible odds', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Difficulty Campaign');
+    const headers = await campaign.join(page);
+    const url = '/api/adventures/AChangeOfHeart/difficulty?character=kira_voltage&runs=500&seed=7';
+
+    const refused = await request.get(url, { headers });
+    expect(refused.status()).toBe(403);
+
+    await campaign.loginAsGM(page);
+    const response = await request.get(url, { headers });
+    expect(response.ok()).toBeTruthy();
+    const report = await response.json();
+
+    expect(report.character.id).toBe('kira_voltage');
+    expect(report.runs).toBe(500);
+    expect(report.summary.completionRate).toBeGreaterThanOrEqual(0);
+    expect(report.summary.completionRate).toBeLessThanOrEqual(1);
+    const outcomes = Object.values(report.summary.outcomes) as number[];
+    expect(outcomes.reduce((a, b) => a + b, 0)).toBe(500);
+
+    // Kira rolls Tech 3 + Hardware 3 against the DC 8 vent: only a natural 1 fails
+    const vent = report.challenges.find((c: { id: string }) => c.id === 'bypass_vent');
+    expect(vent.bonus).toBe(6);
+    expect(vent.expectedRate).toBe(0.95);
+    expect(vent.attempts).toBe(500);
+
+    expect(report.paths.length).toBeGreaterThan(0);
+    const shares = report.paths.reduce((sum: number, p: { share: number }) => sum + p.share, 0);
+    expect(shares).toBeCloseTo(1, 5);
+    expect(Array.isArray(report.highRisk)).toBe(true);
+
+    // Same seed, same odds
+    const again = await (await request.get(url, { headers })).json();
+    expect(again.challenges).toEqual(report.challenges);
+    expect(again.paths).toEqual(report.paths);
+
+    const noCharacter = await request.get('/api/adventures/AChangeOfHeart/difficulty?character=nobody', { headers });
+    expect(noCharacter.status()).toBe(404);
+  });
+
+});
+
+// ============================================================================
+// SECTION 4: PRINTABLE MODULE EXPORT
+// ============================================================================
+
+test.describe('11.4 Printable Module Export', () => {
+
+  test('ADV-030: The adventure exports as linked Markdown and self-contained HTML', async ({ request, adminHeaders }) => {
+    const headers = adminHeaders;
+    const markdownResponse = await request.get('/api/export/AChangeOfHeart?format=markdown', { headers });
+    expect(markdownResponse.ok()).toBeTruthy();
+    expect(markdownResponse.headers()['content-type']).toContain('text/markdown');
+    const markdown = await markdownResponse.text();
+
+    expect(markdown).toContain('## Contents');
+    expect(markdown).toContain('](#scene-AChangeOfHeart_Act_01_Chapter_01_Scene_01)');
+    expect(markdown).toContain('<a id="scene-AChangeOfHeart_Act_01_Chapter_01_Scene_02"></a>');
+    expect(markdown).toContain('| Challenge | Skill | DC | Success | Failure |');
+    // Scene NPCs link to their stat blocks, exits to their scenes
+    expect(markdown).toContain('](#npc-jax)');
+    expect(markdown).toContain('<a id="npc-jax"></a>');
+    expect(markdown).toContain('> The Oakhaven gate looms ahead.');
+    // Terminal file trees
+    expect(markdown).toMatch(/├── admin\/ \[locked/);
+
+    // Scenes come in act/chapter/scene order
+    const first = markdown.indexOf('<a id="scene-AChangeOfHeart_Act_01_Chapter_01_Scene_01">');
+    const last = markdown.indexOf('<a id="scene-AChangeOfHeart_Act_03_Chapter_01_Scene_07">');
+    expect(first).toBeGreaterThan(-1);
+    expect(last).toBeGreaterThan(first);
+
+    const html = await (await request.get('/api/export/AChangeOfHeart?format=html', { headers })).text();
+    expect(html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(html).toContain('<style>');
+    expect(html).toContain('<h3 id="npc-jax">');
+    expect(html).toContain('href="#scene-AChangeOfHeart_Act_02_Chapter_01_Scene_03"');
+    // Nothing to fetch: no scripts, stylesheets or images from elsewhere
+    expect(html).not.toMatch(/<script|<link|src=/);
+
+    const unknown = await request.get('/api/export/AChangeOfHeart?format=pdf', { headers });
+    expect(unknown.status()).toBe(400);
+  });
+
+  test('ADV-031: Only GMs of the adventure can print it', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Printable Campaign', { adventureId: 'AChangeOfHeart' });
+    const formats = ['html', 'markdown'];
+
+    // The module carries every GM note and secret
+    for (const format of formats) {
+      expect((await request.get(`/api/export/AChangeOfHeart?format=${format}`)).status()).toBe(401);
+    }
+
+    const headers = await campaign.join(page);
+    for (const format of formats) {
+      const refused = await request.get(`/api/export/AChangeOfHeart?format=${format}`, { headers });
+      expect(refused.status()).toBe(403);
+      expect((await refused.json()).code).toBe('FORBIDDEN');
+    }
+
+    await campaign.loginAsGM(page);
+    for (const format of formats) {
+      expect((await request.get(`/api/export/AChangeOfHeart?format=${format}`, { headers })).ok()).toBeTruthy();
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 5: ADVENTURE BUNDLES
+// ============================================================================
+
+test.describe('11.5 Adventure Bundles', () => {
+
+  test('ADV-040: GMs export an adventure as a zip and admins check it before installing', async ({ page, request, adminHeaders, createCampaign }) => {
+    const campaign = await createCampaign('Bundle Campaign');
+    const headers = await campaign.join(page);
+
+    // The archive holds GM notes, so players are refused
+    const refused = await request.get('/api/adventures/AChangeOfHeart/bundle', { headers });
+    expect(refused.status()).toBe(403);
+
+    await campaign.loginAsGM(page);
+    const response = await request.get('/api/adventures/AChangeOfHeart/bundle', { headers });
+    expect(response.ok()).toBeTruthy();
+    expect(response.headers()['content-type']).toContain('application/zip');
+    const archive = await response.body();
+    expect(archive.subarray(0, 2).toString()).toBe('PK');
+
+    const upload = (fields: Record<string, string> = {}, uploadHeaders = adminHeaders) => request.post('/api/adventures/import', {
+      headers: uploadHeaders,
+      multipart: { bundle: { name: 'AChangeOfHeart.zip', mimeType: 'application/zip', buffer: archive }, ...fields },
+    });
+
+    // Installing writes shared content, so a session's own GM is refused
+    expect((await upload({}, headers)).status()).toBe(403);
+
+    // Checking only reports: this server already has every file, unchanged
+    const report = await (await upload()).json();
+    expect(report.adventureId).toBe('AChangeOfHeart');
+    expect(report.adventureExists).toBe(true);
+    expect(report.installable).toBe(true);
+    expect(report.installed).toBe(false);
+    expect(report.problems).toEqual([]);
+    expect(report.collisions).toEqual([]);
+    expect(report.validation.adventureId).toBe('AChangeOfHeart');
+    const paths = report.files.map((f: { path: string }) => f.path);
+    expect(paths).toContain('adventures/AChangeOfHeart_Manifest.json');
+    expect(paths).toContain('characters/npcs/jax.json');
+    expect(paths).toContain('terminals/oakhaven_lobby_kiosk.json');
+    for (const file of report.files) expect(file.status).toBe('same');
+
+    // Installing identical files writes nothing
+    const installed = await (await upload({ install: 'true' })).json();
+    expect(installed.installed).toBe(true);
+    expect(installed.written).toEqual([]);
+
+    const garbage = await request.post('/api/adventures/import', {
+      headers: adminHeaders,
+      multipart: { bundle: { name: 'notes.zip', mimeType: 'application/zip', buffer: Buffer.from('not a zip') } },
+    });
+    expect(garbage.status()).toBe(400);
+
+    const missing = await request.get('/api/adventures/NoSuchAdventure/bundle', { headers });
+    expect(missing.status()).toBe(404);
+  });
+
+});
+
+// ============================================================================
+// SECTION 6: ADVENTURE REGISTRY
+// ============================================================================
+
+test.describe('11.6 Adventure Registry', () => {
+
+  test('ADV-050: Sessions bound to an adventure only list its content', async ({ page, request, adminHeaders, createCampaign }) => {
+    const listed = await (await request.get('/api/adventures')).json();
+    expect(listed).toContainEqual(expect.objectContaining({
+      id: 'AChangeOfHeart', name: 'A Change of Heart', hasManifest: true,
+    }));
+
+    const unknown = await request.post('/api/sessions', {
+      headers: adminHeaders,
+      data: { name: 'Lost Campaign', gmSecret: 'test-secret', adventureId: 'NoSuchAdventure' },
+    });
+    expect(unknown.status()).toBe(400);
+
+    // A second, smaller adventure: one scene, one NPC, no terminals
+    const manifestFile = path.join(__dirname, '..', 'assets', 'adventures', 'RegistryTest_Manifest.json');
+    fs.writeFileSync(manifestFile, JSON.stringify({
+      id: 'RegistryTest',
+      name: 'Registry Test',
+      scenes: ['AChangeOfHeart_Act_01_Chapter_01_Scene_01'],
+      npcs: ['jax'],
+    }, null, 2));
+
+    try {
+      const campaign = await createCampaign('Registry Campaign', { adventureId: 'RegistryTest' });
+      expect(campaign.summary.adventureId).toBe('RegistryTest');
+      const headers = await campaign.join(page);
+
+      const scenes = await (await request.get('/api/scenes', { headers })).json();
+      expect(scenes.map((s: { id: string }) => s.id)).toEqual(['AChangeOfHeart_Act_01_Chapter_01_Scene_01']);
+      const npcs = await (await request.get('/api/npcs', { headers })).json();
+      expect(npcs.map((n: { id: string }) => n.id)).toEqual(['jax']);
+      expect(await (await request.get('/api/terminals', { headers })).json()).toEqual([]);
+
+      // The player's scene list is scoped too
+      await expect.poll(() => page.evaluate(() => SceneManager.getSceneCount())).toBe(1);
+
+      // Without a session token nothing is scoped
+      const everything = await (await request.get('/api/scenes')).json();
+      expect(everything.length).toBeGreaterThan(1);
+
+      // The export follows each manifest: only AChangeOfHeart names a world setting
+      const exported = await (await request.get('/api/export/RegistryTest', { headers: adminHeaders })).json();
+      const sections = exported.sections.map((s: { type: string }) => s.type);
+      expect(sections).not.toContain('world_setting');
+      expect(exported.sections.find((s: { type: string }) => s.type === 'scenes').count).toBe(1);
+      const full = await (await request.get('/api/export/AChangeOfHeart', { headers: adminHeaders })).json();
+      expect(full.sections.map((s: { type: string }) => s.type)).toContain('world_setting');
+
+      // The manifest names content players haven't met
+      const refused = await request.get('/api/adventures/RegistryTest', { headers });
+      expect(refused.status()).toBe(403);
+
+      await campaign.loginAsGM(page);
+      const manifest = await (await request.get('/api/adventures/RegistryTest', { headers })).json();
+      expect(manifest.npcs).toEqual(['jax']);
+
+      // Its GM gets no GM material from other adventures
+      expect((await request.get('/api/adventures/AChangeOfHeart', { headers })).status()).toBe(403);
+      expect((await request.get('/api/adventures/AChangeOfHeart/validate', { headers })).status()).toBe(403);
+      expect((await request.get('/api/export/AChangeOfHeart?format=html', { headers })).status()).toBe(403);
+      expect((await request.get('/api/export/AChangeOfHeart?format=markdown', { headers })).status()).toBe(403);
+      const own = await (await request.get('/api/scenes/AChangeOfHeart_Act_01_Chapter_01_Scene_01', { headers })).json();
+      expect(own._fullAccess).toBe(true);
+      const other = await (await request.get('/api/scenes/AChangeOfHeart_Act_01_Chapter_01_Scene_02', { headers })).json();
+      expect(other._fullAccess).toBe(false);
+      expect(other.gmNotes).toBeUndefined();
+
+      // Nor can it rebind the session to one
+      const rebind = await request.patch(`/api/sessions/${campaign.id}`, { headers, data: { adventureId: 'AChangeOfHeart' } });
+      expect(rebind.status()).toBe(403);
+    } finally {
+      fs.unlinkSync(manifestFile);
+    }
+  });
+
+});
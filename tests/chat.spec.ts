@@ -0,0 +1,220 @@
+import { Page } from '@playwright/test';
+import { test, expect, waitForAppReady, getSyncManagerState } from './helpers/session-fixtures';
+
+/**
+ * Chat Tests
+ *
+ * Tests for what players type into the chat panel, driven through
+ * ChatManager's input as the keyboard would.
+ *
+ * Key features tested:
+ * - /roll results as the server rolled them
+ * - Server rolls landing the 3D dice on their values
+ * - Local rolls read from the 3D dice
+ * - Whispers seen only by their target and the GM
+ */
+
+// Declare browser globals
+declare const ChatManager: any;
+declare const DiceManager: any;
+declare const EventBus: any;
+
+/**
+ * Type a line into the chat input and submit it
+ */
+async function sendChat(page: Page, input: string) {
+  await page.evaluate((text) => {
+    ChatManager.setInputActive(true);
+    for (const char of text) ChatManager.handleChar(char);
+    ChatManager.handleKey('Enter');
+  }, input);
+}
+
+/**
+ * Chat panel lines, oldest first
+ */
+async function chatLines(page: Page): Promise<string[]> {
+  return page.evaluate(() => ChatManager.getState().messages.map((m: { text: string }) => m.text));
+}
+
+/**
+ * Stand in for the 3D dice: record each throw and land on `landed`
+ * (null: dice-box gave nothing back), record each server roll landed,
+ * and keep the last 'dice:rolled'
+ */
+async function fakeDice(page: Page, landed: number[] | null = null) {
+  await page.evaluate((values) => {
+    (window as any).__thrown = [];
+    (window as any).__landed = [];
+    (window as any).__rolled = null;
+    DiceManager.isInitialized = () => true;
+    DiceManager.roll = async (notation: string) => {
+      (window as any).__thrown.push(notation);
+      if (!values) return null;
+      const rolls = values.map((value) => ({ type: 'd6', sides: 6, value }));
+      return { expression: notation, rolls, modifier: 0, total: values.reduce((a, b) => a + b, 0), raw: [] };
+    };
+    DiceManager.land = async (notation: string, serverValues: number[]) => {
+      (window as any).__landed.push({ notation, values: serverValues });
+      return null;
+    };
+    EventBus.on('dice:rolled', (data: any) => { (window as any).__rolled = data; });
+  }, landed);
+}
+
+// ============================================================================
+// SECTION 1: DICE ROLLS
+// ============================================================================
+
+test.describe('3.1 Dice Rolls', () => {
+
+  test('CHT-001: A roll shows the numbers the server rolled, and the 3D dice land on them', async ({ browser, createCampaign }) => {
+    const campaign = await createCampaign('Dice Campaign');
+    const rollerContext = await browser.newContext();
+    const watcherContext = await browser.newContext();
+
+    try {
+      const roller = await rollerContext.newPage();
+      const watcher = await watcherContext.newPage();
+      await campaign.join(roller);
+      await campaign.join(watcher);
+      await fakeDice(roller);
+
+      await sendChat(roller, '/roll 2d6+1');
+      await expect.poll(() => roller.evaluate(() => (window as any).__rolled)).not.toBeNull();
+
+      const rolled = await roller.evaluate(() => (window as any).__rolled);
+      expect(rolled).toMatchObject({ expression: '2d6+1', modifier: 1, verified: true });
+      expect(rolled.id).toBeTruthy();
+      expect(rolled.rolls).toHaveLength(2);
+      expect(rolled.total).toBe(rolled.rolls[0] + rolled.rolls[1] + 1);
+
+      // The dice are thrown for the server's values, never read from
+      expect(await roller.evaluate(() => (window as any).__thrown)).toEqual([]);
+      expect(await roller.evaluate(() => (window as any).__landed)).toEqual([{ notation: '2d6+1', values: rolled.rolls }]);
+
+      const dice = rolled.rolls.map((r: number) => `[${r}]`).join(' ');
+      expect((await chatLines(roller)).some((line) => line.includes(`rolled 2d6+1: ${dice} +1 = ${rolled.total}`))).toBe(true);
+
+      // Everyone else sees the same numbers
+      await expect.poll(async () => (await chatLines(watcher)).some((line) => line.includes(`: ${dice} = ${rolled.total}`)))
+        .toBe(true);
+    } finally {
+      await rollerContext.close();
+      await watcherContext.close();
+    }
+  });
+
+  test('CHT-002: Without sync, a roll takes its numbers from where the 3D dice land', async ({ page }) => {
+    // No SyncManager: the app rolls locally
+    await page.route('**/js/core/sync-manager.js', (route) => route.abort());
+    await page.goto('/');
+    await waitForAppReady(page);
+    await fakeDice(page, [6, 5]);
+
+    await sendChat(page, '/roll 2d6+1');
+    await expect.poll(() => page.evaluate(() => (window as any).__rolled)).not.toBeNull();
+
+    expect(await page.evaluate(() => (window as any).__thrown)).toEqual(['2d6+1']);
+    expect(await page.evaluate(() => (window as any).__rolled)).toMatchObject({
+      expression: '2d6+1', rolls: [6, 5], modifier: 1, total: 12, verified: false,
+    });
+    expect((await chatLines(page)).some((line) => line.includes('rolled 2d6+1: [6] [5] +1 = 12 (offline, unverified)'))).toBe(true);
+  });
+
+  test('CHT-003: Without sync or 3D dice, the roll falls back to random numbers', async ({ page }) => {
+    await page.route('**/js/core/sync-manager.js', (route) => route.abort());
+    await page.goto('/');
+    await waitForAppReady(page);
+    await fakeDice(page, null);
+
+    await sendChat(page, '/roll 3d6');
+    await expect.poll(() => page.evaluate(() => (window as any).__rolled)).not.toBeNull();
+
+    const rolled = await page.evaluate(() => (window as any).__rolled);
+    expect(rolled.rolls).toHaveLength(3);
+    for (const r of rolled.rolls) expect(r).toBeGreaterThanOrEqual(1);
+    for (const r of rolled.rolls) expect(r).toBeLessThanOrEqual(6);
+    expect(rolled.total).toBe(rolled.rolls.reduce((a: number, b: number) => a + b, 0));
+  });
+
+});
+
+// ============================================================================
+// SECTION 2: WHISPERS
+// ============================================================================
+
+test.describe('3.2 Whispers', () => {
+
+  test('CHT-010: A whisper reaches its target and the GM, and no other player', async ({ browser, request, createCampaign }) => {
+    const campaign = await createCampaign('Whisper Campaign');
+    const contexts = await Promise.all([0, 1, 2, 3].map(() => browser.newContext()));
+
+    try {
+      const [sender, target, bystander, gm] = await Promise.all(contexts.map((context) => context.newPage()));
+      await campaign.join(sender);
+      const targetHeaders = await campaign.join(target);
+      const bystanderHeaders = await campaign.join(bystander);
+      await campaign.join(gm);
+      await campaign.loginAsGM(gm);
+
+      const senderName = (await getSyncManagerState(sender)).name;
+      const targetName = (await getSyncManagerState(target)).name;
+
+      await sendChat(sender, `/w "${targetName}" Meet me at the docks`);
+      await sendChat(sender, 'Nice weather today');
+
+      // The target is told it's for them; the GM sees who it went to
+      await expect.poll(async () => chatLines(target))
+        .toContainEqual(expect.stringContaining(`[WHISPER] ${senderName}: Meet me at the docks`));
+      await expect.poll(async () => chatLines(gm))
+        .toContainEqual(expect.stringContaining(`[WHISPER → ${targetName}] ${senderName}: Meet me at the docks`));
+      expect(await chatLines(sender)).toContainEqual(expect.stringContaining(`[WHISPER → ${targetName}] Meet me at the docks`));
+
+      // The bystander gets the chat line sent after it, and never the whisper
+      await expect.poll(async () => chatLines(bystander))
+        .toContainEqual(expect.stringContaining(`${senderName}: Nice weather today`));
+      expect((await chatLines(bystander)).some((line) => line.includes('Meet me at the docks'))).toBe(false);
+
+      // Chat history keeps it to the same people
+      const history = async (headers?: Record<string, string>) => {
+        const page = await (await request.get(`/api/sessions/${campaign.id}/chat`, { headers })).json();
+        return page.messages.map((m: { text: string }) => m.text);
+      };
+      expect(await history(targetHeaders)).toContain('Meet me at the docks');
+      expect(await history(bystanderHeaders)).not.toContain('Meet me at the docks');
+      expect(await history()).not.toContain('Meet me at the docks');
+    } finally {
+      await Promise.all(contexts.map((context) => context.close()));
+    }
+  });
+
+  test('CHT-011: "/w gm" reaches the GM, and whispers to nobody are refused', async ({ browser, createCampaign }) => {
+    const campaign = await createCampaign('GM Whisper Campaign');
+    const playerContext = await browser.newContext();
+    const gmContext = await browser.newContext();
+
+    try {
+      const player = await playerContext.newPage();
+      const gm = await gmContext.newPage();
+      await campaign.join(player);
+      await campaign.join(gm);
+      await campaign.loginAsGM(gm);
+
+      const playerName = (await getSyncManagerState(player)).name;
+
+      await sendChat(player, '/w gm Can I pick the lock quietly?');
+      await expect.poll(async () => chatLines(gm))
+        .toContainEqual(expect.stringContaining(`[WHISPER] ${playerName}: Can I pick the lock quietly?`));
+
+      await sendChat(player, '/w Nobody Hello?');
+      await expect.poll(async () => chatLines(player))
+        .toContainEqual(expect.stringContaining('No one named "Nobody" is connected'));
+      expect((await chatLines(gm)).some((line) => line.includes('Hello?'))).toBe(false);
+    } finally {
+      await playerContext.close();
+      await gmContext.close();
+    }
+  });
+
+});
@@ -0,0 +1,111 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { test, expect } from './helpers/session-fixtures';
+
+/**
+ * Content Delivery Tests
+ *
+ * Tests for how adventure files reach clients: cached REST responses and
+ * live updates when a file changes on disk.
+ *
+ * Key features tested:
+ * - ETag / Last-Modified validators and field selection
+ * - New and edited files picked up without a restart
+ * - Hot reload of the active scene
+ */
+
+// Declare browser globals
+declare const SceneManager: any;
+declare const EventBus: any;
+
+// ============================================================================
+// SECTION 1: CONTENT CACHE
+// ============================================================================
+
+test.describe('12.1 Content Cache', () => {
+
+  test('CNT-001: Content routes answer 304s, select fields and follow file edits', async ({ request }) => {
+    const first = await request.get('/api/scenes');
+    const etag = first.headers()['etag'];
+    const lastModified = first.headers()['last-modified'];
+    expect(etag).toMatch(/^"[^"]+"$/);
+    expect(lastModified).toBeTruthy();
+
+    expect((await request.get('/api/scenes', { headers: { 'If-None-Match': etag } })).status()).toBe(304);
+    expect((await request.get('/api/scenes', { headers: { 'If-Modified-Since': lastModified } })).status()).toBe(304);
+
+    // List views can leave out narratives
+    const listed = await (await request.get('/api/scenes?fields=id,title')).json();
+    expect(listed.length).toBeGreaterThan(0);
+    for (const scene of listed) expect(Object.keys(scene).sort()).toEqual(['id', 'title']);
+    const one = await (await request.get('/api/npcs/jax?fields=name')).json();
+    expect(one).toEqual({ name: expect.any(String) });
+    expect((await request.get('/api/scenes?fields=narrative.text')).status()).toBe(400);
+
+    // A new file shows up without a restart, and changes the validators
+    const npcFile = path.join(__dirname, '..', 'assets', 'characters', 'npcs', 'cache_test_npc.json');
+    const npcs = await request.get('/api/npcs');
+    fs.writeFileSync(npcFile, JSON.stringify({ id: 'cache_test_npc', name: 'Cache Test', type: 'bystander' }, null, 2));
+
+    try {
+      await expect.poll(async () => {
+        const response = await request.get('/api/npcs', { headers: { 'If-None-Match': npcs.headers()['etag'] } });
+        return response.status() === 200 && (await response.json()).some((n: { id: string }) => n.id === 'cache_test_npc');
+      }).toBe(true);
+      expect((await (await request.get('/api/npcs/cache_test_npc')).json()).name).toBe('Cache Test');
+    } finally {
+      fs.unlinkSync(npcFile);
+    }
+
+    await expect.poll(async () => (await request.get('/api/npcs/cache_test_npc')).status()).toBe(404);
+  });
+
+});
+
+// ============================================================================
+// SECTION 2: CONTENT HOT RELOAD
+// ============================================================================
+
+test.describe('12.2 Content Hot Reload', () => {
+
+  test('CNT-010: Editing the active scene file updates players in place', async ({ page, createCampaign }) => {
+    const campaign = await createCampaign('Hot Reload Campaign');
+    await campaign.join(page);
+
+    const sceneId = await page.evaluate(() => {
+      (window as any).__sceneUpdates = [];
+      EventBus.on('scene:updated', (data: any) => (window as any).__sceneUpdates.push(data));
+      SceneManager.setCurrentIndex(0, false, false);
+      return SceneManager.getCurrentScene().id;
+    });
+    const sceneFile = path.join(__dirname, '..', 'assets', 'scene_backgrounds', `${sceneId}.json`);
+    const original = fs.readFileSync(sceneFile, 'utf8');
+
+    try {
+      const edited = JSON.parse(original);
+      edited.title = `${edited.title} (Revised)`;
+      fs.writeFileSync(sceneFile, JSON.stringify(edited, null, 4));
+
+      await expect.poll(() => page.evaluate(() => SceneManager.getCurrentScene()?.title), { timeout: 10000 })
+        .toBe(edited.title);
+
+      // Same scene, same place, no scene change
+      const after = await page.evaluate(() => ({
+        id: SceneManager.getCurrentScene().id,
+        index: SceneManager.getCurrentIndex(),
+        listed: SceneManager.getSceneById(SceneManager.getCurrentScene().id).title,
+        updates: (window as any).__sceneUpdates.map((u: any) => ({ id: u.scene.id, isCurrent: u.isCurrent })),
+      }));
+      expect(after.id).toBe(sceneId);
+      expect(after.index).toBe(0);
+      expect(after.listed).toBe(edited.title);
+      expect(after.updates).toContainEqual({ id: sceneId, isCurrent: true });
+    } finally {
+      fs.writeFileSync(sceneFile, original);
+    }
+
+    await expect.poll(() => page.evaluate(() => SceneManager.getCurrentScene()?.title), { timeout: 10000 })
+      .toBe(JSON.parse(original).title);
+  });
+
+});
@@ -1,4 +1,5 @@
 import { test, expect, Page } from '@playwright/test';
+import { openGMOverlay } from './helpers/session-fixtures';
 
 /**
  * GM Overlay Tests
@@ -17,8 +18,9 @@ async function waitForGMOverlayReady(page: Page, timeout = 15000) {
   await page.waitForSelector('text=Act', { timeout });
 }
 
+// The overlay asks for a GM secret until its token has the GM role
 async function navigateToGMOverlay(page: Page) {
-  await page.goto('/gm-overlay/');
+  await openGMOverlay(page);
   await waitForGMOverlayReady(page);
 }
 
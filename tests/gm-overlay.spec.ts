@@ -1,4 +1,5 @@
 import { test, expect } from '@playwright/test';
+import { loginToGMOverlay } from './helpers/session-fixtures';
 
 test.describe('GM Overlay', () => {
 
@@ -31,6 +32,41 @@ test.describe('GM Overlay', () => {
     }
   });
 
+  test('GM overlay asks for the GM secret before it can be used', async ({ page }) => {
+    await page.goto('/gm-overlay/');
+
+    // A fresh browser has no GM token, so the overlay joins as a player and prompts
+    await expect(page.getByRole('dialog', { name: 'GM Login' })).toBeVisible();
+    await loginToGMOverlay(page);
+
+    await expect(page.locator('header').first()).toBeVisible();
+
+    // The overlay's token now opens GM-only routes
+    const guide = await page.evaluate(async () => {
+      const token = localStorage.getItem('lightdeck_gm_session_token') || '';
+      return (await fetch('/api/adventures/AChangeOfHeart/guide', { headers: { 'X-Session-Token': token } })).status;
+    });
+    expect(guide).toBe(200);
+  });
+
+  test('GM overlay changes wait for the server ack', async ({ page }) => {
+    await page.goto('/gm-overlay/');
+    await expect(page.getByRole('dialog', { name: 'GM Login' })).toBeVisible();
+
+    // Not a GM yet: the server refuses the flag (and the overlay puts it back)
+    const refused = await page.evaluate(() => (window as any).GMOverlay.flags.set('overlay_ack_test', true));
+    expect(refused).toMatchObject({ success: false, code: 'FORBIDDEN' });
+
+    await loginToGMOverlay(page);
+
+    const accepted = await page.evaluate(() => (window as any).GMOverlay.flags.set('overlay_ack_test', true));
+    expect(accepted).toMatchObject({ success: true });
+
+    const roll = await page.evaluate(() => (window as any).GMOverlay.dice.roll('1d20', 'Ack test'));
+    expect(roll.total).toBeGreaterThanOrEqual(1);
+    expect(roll.total).toBeLessThanOrEqual(20);
+  });
+
   test('GM overlay API - adventure scenes endpoint works', async ({ request }) => {
     const response = await request.get('/api/adventures/AChangeOfHeart/scenes');
     
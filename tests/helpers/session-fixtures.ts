@@ -0,0 +1,182 @@
+import { test as base, expect, Page } from '@playwright/test';
+
+/**
+ * Shared helpers for specs that drive the player app against the server
+ *
+ * - App readiness waits and token lookups used by every multiplayer spec
+ * - `sendInOrder`: raw socket messages with the page's token, for acks
+ * - GM overlay login: the overlay asks for a GM secret whenever its join
+ *   doesn't grant the GM role, so overlay specs log in as the server admin
+ * - `adminHeaders` fixture: token headers of a server admin (GM logged in
+ *   with GM_PASSWORD, which playwright.config.ts loads from .env)
+ * - `createCampaign` fixture: a throwaway session with a known GM secret,
+ *   deleted again when the test ends (pass or fail)
+ */
+
+// ============================================================================
+// APP HELPERS
+// ============================================================================
+
+export const TOKEN_STORAGE_KEY = 'lightdeck_session_token';
+export const GM_TOKEN_STORAGE_KEY = 'lightdeck_gm_session_token';
+
+// GM secret of every session created through createCampaign
+export const GM_SECRET = 'test-secret';
+
+// Server admin password; logs in as GM of any session
+export const ADMIN_PASSWORD = process.env.GM_PASSWORD || '';
+
+export type Headers = Record<string, string>;
+
+export async function waitForAppReady(page: Page) {
+  await page.waitForLoadState('domcontentloaded');
+  await page.waitForSelector('#scene-canvas', { timeout: 15000 });
+  await page.waitForTimeout(2000);
+}
+
+export async function waitForSyncManagerReady(page: Page, timeout = 10000) {
+  const startTime = Date.now();
+  while (Date.now() - startTime < timeout) {
+    const ready = await page.evaluate(() => {
+      const sync = (window as any).SyncManager;
+      return typeof sync !== 'undefined' && sync.isConnected && sync.isConnected();
+    });
+    if (ready) return true;
+    await page.waitForTimeout(200);
+  }
+  throw new Error('SyncManager did not connect');
+}
+
+export async function getStoredToken(page: Page, key: string = TOKEN_STORAGE_KEY): Promise<string | null> {
+  return await page.evaluate((storageKey) => localStorage.getItem(storageKey), key);
+}
+
+export async function getSyncManagerState(page: Page): Promise<any> {
+  return await page.evaluate(() => {
+    const sync = (window as any).SyncManager;
+    return typeof sync === 'undefined' ? null : sync.getLocalState();
+  });
+}
+
+// REST headers carrying the page's session token
+export async function tokenHeaders(page: Page): Promise<Headers> {
+  return { 'X-Session-Token': (await getStoredToken(page)) || '' };
+}
+
+// Open the player app (in a session, if given) and wait until it is connected
+export async function openApp(page: Page, sessionId?: string) {
+  await page.goto(sessionId ? `/?session=${sessionId}` : '/');
+  await waitForAppReady(page);
+  await waitForSyncManagerReady(page);
+}
+
+// Join a session with the page's token on a socket of its own, send each
+// [type, payload] in order and return the acks (what the app would hide)
+export async function sendInOrder(page: Page, sessionId: string, messages: [string, any][]): Promise<any[]> {
+  return page.evaluate(({ sessionId, messages, tokenKey }) => new Promise<any[]>((resolve) => {
+    const socket = (window as any).io({ transports: ['websocket'] });
+    socket.on('sync:token', async () => {
+      const acks = [];
+      for (const [type, payload] of messages) acks.push(await socket.emitWithAck(type, payload));
+      socket.close();
+      resolve(acks);
+    });
+    socket.on('connect', () => socket.emit('sync:join', {
+      sessionId,
+      token: localStorage.getItem(tokenKey),
+      protocolVersion: (window as any).SyncProtocol.VERSION,
+    }));
+  }), { sessionId, messages, tokenKey: TOKEN_STORAGE_KEY });
+}
+
+// Answer the GM overlay's login prompt with the server admin password
+export async function loginToGMOverlay(page: Page) {
+  const secret = page.getByPlaceholder('GM secret');
+  await secret.fill(ADMIN_PASSWORD);
+  await secret.press('Enter');
+  await expect(page.getByRole('dialog', { name: 'GM Login' })).toBeHidden();
+}
+
+// Open the GM overlay and log in
+export async function openGMOverlay(page: Page) {
+  await page.goto('/gm-overlay/');
+  await loginToGMOverlay(page);
+}
+
+// ============================================================================
+// CAMPAIGN FIXTURE
+// ============================================================================
+
+// A session the server admin created; the fixture deletes it afterwards
+export interface Campaign {
+  id: string;
+  joinCode: string;
+  // Session summary as POST /api/sessions returned it
+  summary: any;
+  // Open the player app in this session; returns the page's token headers
+  join(page: Page): Promise<Headers>;
+  // Log an open page in as this session's GM; returns its token headers
+  loginAsGM(page: Page): Promise<Headers>;
+}
+
+export interface CampaignOptions {
+  adventureId?: string;
+}
+
+type Fixtures = {
+  createCampaign: (name: string, options?: CampaignOptions) => Promise<Campaign>;
+};
+
+type WorkerFixtures = {
+  adminHeaders: Headers;
+};
+
+export const test = base.extend<Fixtures, WorkerFixtures>({
+  // One admin login per worker, in the default session
+  adminHeaders: [async ({ browser }, use, workerInfo) => {
+    const page = await browser.newPage({ baseURL: workerInfo.project.use.baseURL });
+    await openApp(page);
+    const login = await page.evaluate((password) => (window as any).SyncManager.authenticateGM(password), ADMIN_PASSWORD);
+    expect(login.success, 'GM_PASSWORD must be the server admin password').toBeTruthy();
+    expect(login.admin).toBe(true);
+    const headers = await tokenHeaders(page);
+    await page.close();
+    await use(headers);
+  }, { scope: 'worker' }],
+
+  createCampaign: async ({ request, adminHeaders }, use) => {
+    const created: string[] = [];
+
+    await use(async (name, options = {}) => {
+      const response = await request.post('/api/sessions', {
+        headers: adminHeaders,
+        data: { name, gmSecret: GM_SECRET, ...options },
+      });
+      expect(response.status()).toBe(201);
+      const summary = await response.json();
+      created.push(summary.id);
+
+      return {
+        id: summary.id,
+        joinCode: summary.joinCode,
+        summary,
+        join: async (page) => {
+          await openApp(page, summary.id);
+          return tokenHeaders(page);
+        },
+        loginAsGM: async (page) => {
+          const login = await page.evaluate((secret) => (window as any).SyncManager.authenticateGM(secret), GM_SECRET);
+          expect(login.success).toBeTruthy();
+          return tokenHeaders(page);
+        },
+      };
+    });
+
+    // Tests may have deleted theirs already; a 404 here is fine
+    for (const id of created) {
+      await request.delete(`/api/sessions/${id}`, { headers: adminHeaders });
+    }
+  },
+});
+
+export { expect };
@@ -0,0 +1,666 @@
+import * as fs from 'fs';
+import * as os from 'os';
+import * as path from 'path';
+import { spawn, ChildProcess } from 'child_process';
+import { APIRequestContext, Page } from '@playwright/test';
+import { test, expect, openApp, sendInOrder, ADMIN_PASSWORD } from './helpers/session-fixtures';
+
+/**
+ * Session Management Tests
+ *
+ * Tests for named sessions and the state a GM manages in them through the
+ * REST API and the sync socket.
+ *
+ * Key features tested:
+ * - Session lifecycle (create, join code lookup, rename, archive, delete)
+ * - Campaign clock
+ * - Snapshots, event journal and recaps
+ * - Character binding
+ */
+
+// Declare browser globals
+declare const SyncManager: any;
+declare const SyncProtocol: any;
+
+/**
+ * Start a server of our own on `port`, keeping its sessions and journals in
+ * `sessionsDir`, and wait until it answers
+ */
+async function startServer(request: APIRequestContext, port: number, sessionsDir: string): Promise<ChildProcess> {
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'index.js')], {
+    env: { ...process.env, PORT: String(port), SESSIONS_DIR: sessionsDir },
+    stdio: 'ignore',
+  });
+  await expect.poll(() => request.get(`http://localhost:${port}/api/health`).then((r) => r.ok(), () => false), { timeout: 15000 })
+    .toBe(true);
+  return server;
+}
+
+/**
+ * Kill a server the way a crash would: no shutdown handlers, no final save
+ */
+async function crashServer(server: ChildProcess) {
+  if (server.exitCode !== null || server.signalCode !== null) return;
+  const exited = new Promise((resolve) => server.once('exit', resolve));
+  server.kill('SIGKILL');
+  await exited;
+}
+
+/**
+ * Join a session on the server at `port` with a raw socket, kept on the page
+ * for sendTo() and stateOf()
+ */
+async function joinServer(page: Page, port: number, sessionId: string) {
+  await page.evaluate(({ url, sessionId }) => new Promise<void>((resolve) => {
+    const sockets = (window as any).serverSockets = (window as any).serverSockets || {};
+    const socket = sockets[sessionId] = (window as any).io(url, { transports: ['websocket'], reconnection: false });
+    socket.on('sync:token', () => resolve());
+    socket.on('connect', () => socket.emit('sync:join', { name: 'Survivor', sessionId, protocolVersion: SyncProtocol.VERSION }));
+  }), { url: `http://localhost:${port}`, sessionId });
+}
+
+/**
+ * Send one message on a joinServer() socket and return the ack
+ */
+async function sendTo(page: Page, sessionId: string, type: string, payload: any) {
+  return page.evaluate(({ sessionId, type, payload }) => (window as any).serverSockets[sessionId].emitWithAck(type, payload),
+    { sessionId, type, payload });
+}
+
+/**
+ * Status of each [method, url, data?] request, made with `headers`
+ */
+async function statuses(request: APIRequestContext, routes: [string, string, any?][], headers: Record<string, string> = {}) {
+  const result: number[] = [];
+  for (const [method, url, data] of routes) {
+    result.push((await request.fetch(url, { method, headers, data })).status());
+  }
+  return result;
+}
+
+/**
+ * Ask for the full state of a joinServer() session
+ */
+async function stateOf(page: Page, sessionId: string) {
+  return page.evaluate((sessionId) => new Promise<any>((resolve) => {
+    const socket = (window as any).serverSockets[sessionId];
+    socket.once('sync:state', resolve);
+    socket.emit('sync:state_request', {});
+  }), sessionId);
+}
+
+// ============================================================================
+// SECTION 1: SESSION API
+// ============================================================================
+
+test.describe('9.1 Session API', () => {
+
+  test('SMG-001: Session lifecycle - create, find by code, rename, archive, delete', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Test Campaign', { adventureId: 'AChangeOfHeart' });
+    const session = campaign.summary;
+    expect(session.id).toBeTruthy();
+    expect(session.joinCode).toMatch(/^[A-Z0-9]{6}$/);
+    expect(session.status).toBe('active');
+    expect(session.hasGMSecret).toBeTruthy();
+    expect(session.gmSecret).toBeUndefined();
+
+    // Renaming, archiving and deleting need the session's GM token
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+
+    // Join codes are case-insensitive
+    const byCode = await request.get(`/api/sessions/by-code/${session.joinCode.toLowerCase()}`);
+    expect(byCode.ok()).toBeTruthy();
+    expect((await byCode.json()).id).toBe(session.id);
+
+    const renamed = await request.patch(`/api/sessions/${session.id}`, { headers, data: { name: 'Renamed Campaign' } });
+    expect((await renamed.json()).name).toBe('Renamed Campaign');
+
+    // Archived sessions drop out of the default listing
+    await request.patch(`/api/sessions/${session.id}`, { headers, data: { archived: true } });
+    const active = await (await request.get('/api/sessions')).json();
+    expect(active.some((s: any) => s.id === session.id)).toBeFalsy();
+    const all = await (await request.get('/api/sessions?includeArchived=true')).json();
+    expect(all.find((s: any) => s.id === session.id)?.status).toBe('archived');
+
+    const deleteRes = await request.delete(`/api/sessions/${session.id}`, { headers });
+    expect(deleteRes.ok()).toBeTruthy();
+
+    const gone = await request.get(`/api/sessions/${session.id}`);
+    expect(gone.status()).toBe(404);
+  });
+
+  test('SMG-002: Creating a session requires a name', async ({ request, adminHeaders }) => {
+    const response = await request.post('/api/sessions', { headers: adminHeaders, data: { adventureId: 'AChangeOfHeart' } });
+    expect(response.status()).toBe(400);
+  });
+
+  test('SMG-003: Unknown join code returns 404', async ({ request }) => {
+    const response = await request.get('/api/sessions/by-code/NOPE00');
+    expect(response.status()).toBe(404);
+  });
+
+  test('SMG-004: Creating a session requires a GM secret', async ({ request, adminHeaders }) => {
+    const response = await request.post('/api/sessions', { headers: adminHeaders, data: { name: 'No Secret' } });
+    expect(response.status()).toBe(400);
+    expect((await response.json()).error).toContain('GM secret');
+  });
+
+  test('SMG-005: Only the server admin can create sessions', async ({ page, request, createCampaign }) => {
+    const data = { name: 'Self-Made Campaign', gmSecret: 'my-own-secret' };
+
+    const anonymous = await request.post('/api/sessions', { data });
+    expect(anonymous.status()).toBe(401);
+
+    // A session's own GM is not an admin
+    const campaign = await createCampaign('Existing Campaign');
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+    const sessionGM = await request.post('/api/sessions', { headers, data });
+    expect(sessionGM.status()).toBe(403);
+    expect((await sessionGM.json()).code).toBe('FORBIDDEN');
+  });
+
+});
+
+// ============================================================================
+// SECTION 2: CAMPAIGN CLOCK
+// ============================================================================
+
+test.describe('9.2 Campaign Clock', () => {
+
+  test('SMG-010: GM moves the clock and players see it', async ({ browser, createCampaign }) => {
+    const campaign = await createCampaign('Clock Campaign');
+    const gmContext = await browser.newContext();
+    const playerContext = await browser.newContext();
+
+    try {
+      const gm = await gmContext.newPage();
+      const player = await playerContext.newPage();
+      await campaign.join(gm);
+      await campaign.join(player);
+
+      // Everyone is told the time on join
+      expect(await player.evaluate(() => SyncManager.getCampaignClock())).toEqual({ day: 1, time: '00:00' });
+
+      // Players can't move the clock
+      const refused = await player.evaluate(() => SyncManager.changeClock({ advance: 60 }));
+      expect(refused.success).toBeFalsy();
+
+      await campaign.loginAsGM(gm);
+      const moved = await gm.evaluate(() => SyncManager.changeClock({ advance: 24 * 60 + 90 }));
+      expect(moved.clock).toEqual({ day: 2, time: '01:30' });
+
+      await player.waitForTimeout(500);
+      expect(await player.evaluate(() => SyncManager.getCampaignClock())).toEqual({ day: 2, time: '01:30' });
+    } finally {
+      await gmContext.close();
+      await playerContext.close();
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 3: SNAPSHOTS
+// ============================================================================
+
+test.describe('9.3 Snapshots', () => {
+
+  test('SMG-020: Snapshots can be diffed and restored', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Snapshot Campaign');
+    const base = `/api/sessions/${campaign.id}/snapshots`;
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+
+    const created = await request.post(base, { headers, data: { name: 'Start' } });
+    expect(created.status()).toBe(201);
+    const snapshot = await created.json();
+    expect(snapshot.campaignClock).toEqual({ day: 1, time: '00:00' });
+
+    await page.evaluate(() => SyncManager.changeClock({ advance: 60 }));
+
+    const diff = await (await request.get(`${base}/diff?from=${snapshot.id}&to=current`, { headers })).json();
+    expect(diff.changes).toContainEqual({ path: 'campaignClock.time', from: '00:00', to: '01:00' });
+
+    // Restoring resyncs connected clients
+    const restored = await request.post(`${base}/${snapshot.id}/restore`, { headers });
+    expect(restored.ok()).toBeTruthy();
+    await page.waitForTimeout(500);
+    expect(await page.evaluate(() => SyncManager.getCampaignClock())).toEqual({ day: 1, time: '00:00' });
+
+    const list = await (await request.get(base, { headers })).json();
+    expect(list.map((s: any) => s.name)).toEqual(['Start']);
+  });
+
+  test('SMG-021: Snapshot routes refuse bad names and unknown snapshots', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Snapshot Errors Campaign');
+    const base = `/api/sessions/${campaign.id}/snapshots`;
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+
+    expect((await request.post(base, { headers, data: {} })).status()).toBe(400);
+    expect((await request.post(base, { headers, data: { name: '   ' } })).status()).toBe(400);
+
+    expect((await request.get(`${base}/diff?from=no_such_snapshot&to=current`, { headers })).status()).toBe(404);
+    expect((await request.get(`${base}/diff`, { headers })).status()).toBe(404);
+    expect((await request.post(`${base}/no_such_snapshot/restore`, { headers })).status()).toBe(404);
+    expect((await request.delete(`${base}/no_such_snapshot`, { headers })).status()).toBe(404);
+
+    // A deleted snapshot can't be restored
+    const snapshot = await (await request.post(base, { headers, data: { name: 'Short-lived' } })).json();
+    expect((await request.delete(`${base}/${snapshot.id}`, { headers })).ok()).toBeTruthy();
+    expect((await request.post(`${base}/${snapshot.id}/restore`, { headers })).status()).toBe(404);
+    expect(await (await request.get(base, { headers })).json()).toEqual([]);
+  });
+
+  test('SMG-022: Only the session\'s GM or an admin can use its snapshots', async ({ browser, request, adminHeaders, createCampaign }) => {
+    const campaign = await createCampaign('Guarded Snapshot Campaign');
+    const other = await createCampaign('Neighbouring Snapshot Campaign');
+    const base = `/api/sessions/${campaign.id}/snapshots`;
+    const playerContext = await browser.newContext();
+    const otherGMContext = await browser.newContext();
+
+    try {
+      const created = await request.post(base, { headers: adminHeaders, data: { name: 'Admin made' } });
+      expect(created.status()).toBe(201);
+      const snapshot = await created.json();
+
+      const routes: [string, string, any?][] = [
+        ['GET', base],
+        ['POST', base, { name: 'Sneaky' }],
+        ['GET', `${base}/diff?from=${snapshot.id}&to=current`],
+        ['POST', `${base}/${snapshot.id}/restore`],
+        ['DELETE', `${base}/${snapshot.id}`],
+      ];
+
+      const player = await campaign.join(await playerContext.newPage());
+      const otherGMPage = await otherGMContext.newPage();
+      await other.join(otherGMPage);
+      const otherGM = await other.loginAsGM(otherGMPage);
+
+      expect(await statuses(request, routes)).toEqual([401, 401, 401, 401, 401]);
+      expect(await statuses(request, routes, player)).toEqual([403, 403, 403, 403, 403]);
+      // GM of another session
+      expect(await statuses(request, routes, otherGM)).toEqual([403, 403, 403, 403, 403]);
+
+      // Nothing was made or deleted
+      const list = await (await request.get(base, { headers: adminHeaders })).json();
+      expect(list.map((s: any) => s.name)).toEqual(['Admin made']);
+    } finally {
+      await playerContext.close();
+      await otherGMContext.close();
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 4: EVENT JOURNAL
+// ============================================================================
+
+test.describe('9.4 Event Journal', () => {
+
+  test('SMG-030: Mutations are journaled and can be replayed', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Journal Campaign');
+    const base = `/api/sessions/${campaign.id}/journal`;
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+
+    await page.evaluate(() => SyncManager.changeClock({ advance: 90 }));
+
+    const clockEntries = await (await request.get(`${base}?type=clock`, { headers })).json();
+    expect(clockEntries.entries).toHaveLength(1);
+    expect(clockEntries.entries[0].payload.clock).toEqual({ day: 1, time: '01:30' });
+    expect(clockEntries.entries[0].actor.role).toBe('gm');
+
+    const replayed = await (await request.get(`${base}/replay`, { headers })).json();
+    expect(replayed.campaignClock).toEqual({ day: 1, time: '01:30' });
+
+    // Anonymous callers can't read the journal
+    expect((await request.get(base)).status()).toBe(401);
+  });
+
+  test('SMG-031: A deleted session keeps its journal and a new one under its ID starts fresh', async ({ page, request, adminHeaders }) => {
+    // An ad-hoc session: joining an unknown ID creates it, so the ID can come back
+    const sessionId = `smg_031_${Date.now()}`;
+    const base = `/api/sessions/${sessionId}/journal`;
+    const archiveDir = path.join(__dirname, '..', 'server', 'sessions', 'archive');
+    const archived = () => fs.existsSync(archiveDir)
+      ? fs.readdirSync(archiveDir).filter((f) => f.startsWith(`${sessionId}.`))
+      : [];
+
+    try {
+      await openApp(page, sessionId);
+      await page.evaluate(() => SyncManager.broadcastChat('Before the delete'));
+      await expect.poll(async () => (await (await request.get(`${base}?type=chat`, { headers: adminHeaders })).json()).entries.length)
+        .toBe(1);
+
+      expect((await request.delete(`/api/sessions/${sessionId}`, { headers: adminHeaders })).ok()).toBeTruthy();
+
+      // The journal is the audit record: archived, not deleted
+      const journal = archived().find((f) => f.endsWith('.journal.jsonl'));
+      expect(journal).toBeTruthy();
+      expect(fs.readFileSync(path.join(archiveDir, journal!), 'utf8')).toContain('Before the delete');
+
+      // Same ID again: nothing of the old session is replayed
+      await openApp(page, sessionId);
+      const fresh = await (await request.get(base, { headers: adminHeaders })).json();
+      expect(fresh.entries[0]).toMatchObject({ seq: 1, type: 'session.created' });
+      expect(fresh.entries.some((e: any) => e.type === 'chat.message')).toBe(false);
+      const replayed = await (await request.get(`${base}/replay`, { headers: adminHeaders })).json();
+      expect(replayed.chatHistory).toEqual([]);
+    } finally {
+      await request.delete(`/api/sessions/${sessionId}`, { headers: adminHeaders });
+      for (const file of archived()) fs.unlinkSync(path.join(archiveDir, file));
+    }
+  });
+
+  test('SMG-032: After a crash the journal brings back what the session files missed', async ({ page, request }, testInfo) => {
+    const port = 3100 + testInfo.parallelIndex;
+    const sessionsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'lightdeck-sessions-'));
+    const onDisk = (file: string) => {
+      const filePath = path.join(sessionsDir, file);
+      return fs.existsSync(filePath) ? fs.readFileSync(filePath, 'utf8') : null;
+    };
+    const chatTexts = (state: any) => state.chatHistory.map((entry: any) => entry.text);
+    const saved = 'smg_032_saved';
+    const unsaved = 'smg_032_unsaved';
+    let server = await startServer(request, port, sessionsDir);
+
+    try {
+      await openApp(page);
+
+      // Saved once, then changed again inside the save debounce
+      await joinServer(page, port, saved);
+      expect(await sendTo(page, saved, 'gm:authenticate', { password: ADMIN_PASSWORD })).toMatchObject({ success: true });
+      expect(await sendTo(page, saved, 'sync:clock', { advance: 30 })).toMatchObject({ success: true });
+      await expect.poll(() => JSON.parse(onDisk(`${saved}.json`) || '{}').campaignClock?.time, { timeout: 10000 }).toBe('00:30');
+      expect(await sendTo(page, saved, 'sync:clock', { advance: 60 })).toMatchObject({ success: true });
+      expect(await sendTo(page, saved, 'sync:chat', { text: 'Said after the last save' })).toMatchObject({ success: true });
+
+      // Never saved at all
+      await joinServer(page, port, unsaved);
+      expect(await sendTo(page, unsaved, 'sync:chat', { text: 'Said before the first save' })).toMatchObject({ success: true });
+
+      // Crash as soon as both journals are on disk
+      await expect.poll(() => onDisk(`${saved}.journal.jsonl`)).toContain('Said after the last save');
+      await expect.poll(() => onDisk(`${unsaved}.journal.jsonl`)).toContain('Said before the first save');
+      await crashServer(server);
+      expect(onDisk(`${saved}.json`)).not.toContain('Said after the last save');
+      expect(onDisk(`${unsaved}.json`)).toBeNull();
+
+      server = await startServer(request, port, sessionsDir);
+
+      // The saved session is rolled forward past its file
+      await joinServer(page, port, saved);
+      const rolledForward = await stateOf(page, saved);
+      expect(rolledForward.campaignClock).toEqual({ day: 1, time: '01:30' });
+      expect(chatTexts(rolledForward)).toContain('Said after the last save');
+
+      // The unsaved one is rebuilt from its journal and written out
+      expect((await request.get(`http://localhost:${port}/api/sessions/${unsaved}`)).ok()).toBeTruthy();
+      expect(onDisk(`${unsaved}.json`)).not.toBeNull();
+      await joinServer(page, port, unsaved);
+      expect(chatTexts(await stateOf(page, unsaved))).toContain('Said before the first save');
+    } finally {
+      await crashServer(server);
+      fs.rmSync(sessionsDir, { recursive: true, force: true });
+    }
+  });
+
+  test('SMG-033: Only the session\'s GM reads its journal, with valid time ranges', async ({ browser, page, request, createCampaign }) => {
+    const campaign = await createCampaign('Guarded Journal Campaign');
+    const other = await createCampaign('Neighbouring Journal Campaign');
+    const base = `/api/sessions/${campaign.id}/journal`;
+    const routes: [string, string][] = [['GET', base], ['GET', `${base}/replay`]];
+    const otherGMContext = await browser.newContext();
+
+    try {
+      const player = await campaign.join(page);
+      const otherGMPage = await otherGMContext.newPage();
+      await other.join(otherGMPage);
+      const otherGM = await other.loginAsGM(otherGMPage);
+
+      expect(await statuses(request, routes)).toEqual([401, 401]);
+      expect(await statuses(request, routes, player)).toEqual([403, 403]);
+      expect(await statuses(request, routes, otherGM)).toEqual([403, 403]);
+
+      const headers = await campaign.loginAsGM(page);
+      expect((await request.get(`${base}?since=yesterday`, { headers })).status()).toBe(400);
+      expect((await request.get(`${base}?until=later`, { headers })).status()).toBe(400);
+      expect((await request.get(`${base}/replay?until=soon`, { headers })).status()).toBe(400);
+
+      // Paged by seq: `after` picks up where the last page stopped
+      const first = await (await request.get(`${base}?limit=1`, { headers })).json();
+      expect(first.entries).toHaveLength(1);
+      expect(first.hasMore).toBe(true);
+      const next = await (await request.get(`${base}?limit=1&after=${first.entries[0].seq}`, { headers })).json();
+      expect(next.entries[0].seq).toBeGreaterThan(first.entries[0].seq);
+    } finally {
+      await otherGMContext.close();
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 5: SESSION RECAPS
+// ============================================================================
+
+test.describe('9.5 Session Recaps', () => {
+
+  test('SMG-040: A recap can be drafted, published and read by players', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Recap Campaign');
+    const base = `/api/sessions/${campaign.id}`;
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+
+    await page.evaluate(() => SyncManager.changeClock({ advance: 90 }));
+
+    const draft = await (await request.get(`${base}/recap`, { headers })).json();
+    expect(draft.markdown).toContain('Day 1, 00:00 to Day 1, 01:30');
+
+    const published = await request.post(`${base}/documents`, {
+      headers,
+      data: { title: 'Session 1', markdown: draft.markdown },
+    });
+    expect(published.status()).toBe(201);
+
+    await expect.poll(() => page.evaluate(() => SyncManager.getDocuments().length)).toBe(1);
+    const doc = await page.evaluate(() => SyncManager.getDocuments()[0]);
+    expect(doc.title).toBe('Session 1');
+    expect(doc.html).toContain('<h1>');
+
+    // Only the session GM may publish
+    expect((await request.post(`${base}/documents`, { data: { title: 'x', markdown: 'x' } })).status()).toBe(401);
+  });
+
+  test('SMG-041: The next draft starts where the last published recap ended', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Second Recap Campaign');
+    const base = `/api/sessions/${campaign.id}`;
+    await campaign.join(page);
+    const headers = await campaign.loginAsGM(page);
+
+    await page.evaluate(() => SyncManager.changeClock({ advance: 90 }));
+    const first = await (await request.get(`${base}/recap`, { headers })).json();
+    expect((await request.post(`${base}/documents`, { headers, data: { title: 'Session 1', markdown: first.markdown } })).status())
+      .toBe(201);
+
+    await page.evaluate(() => SyncManager.changeClock({ advance: 60 }));
+    const second = await (await request.get(`${base}/recap`, { headers })).json();
+    expect(second.markdown).toContain('Day 1, 01:30 to Day 1, 02:30');
+    expect(second.markdown).not.toContain('Day 1, 00:00');
+
+    // An explicit window still reaches back past it
+    const whole = await (await request.get(`${base}/recap?since=0`, { headers })).json();
+    expect(whole.markdown).toContain('Day 1, 00:00 to Day 1, 02:30');
+  });
+
+  test('SMG-042: Recaps and documents refuse outsiders and bad input', async ({ browser, page, request, createCampaign }) => {
+    const campaign = await createCampaign('Guarded Recap Campaign');
+    const other = await createCampaign('Neighbouring Recap Campaign');
+    const base = `/api/sessions/${campaign.id}`;
+    const otherGMContext = await browser.newContext();
+
+    try {
+      const player = await campaign.join(page);
+      const otherGMPage = await otherGMContext.newPage();
+      await other.join(otherGMPage);
+      const otherGM = await other.loginAsGM(otherGMPage);
+
+      const headers = await campaign.loginAsGM(page);
+      const published = await (await request.post(`${base}/documents`, { headers, data: { title: 'Kept', markdown: 'Kept' } })).json();
+
+      const routes: [string, string, any?][] = [
+        ['GET', `${base}/recap`],
+        ['POST', `${base}/documents`, { title: 'Forged', markdown: 'Forged' }],
+        ['DELETE', `${base}/documents/${published.id}`],
+      ];
+      expect(await statuses(request, routes)).toEqual([401, 401, 401]);
+      expect(await statuses(request, routes, player)).toEqual([403, 403, 403]);
+      expect(await statuses(request, routes, otherGM)).toEqual([403, 403, 403]);
+
+      expect((await request.get(`${base}/recap?since=yesterday`, { headers })).status()).toBe(400);
+      expect((await request.post(`${base}/documents`, { headers, data: { markdown: 'No title' } })).status()).toBe(400);
+      expect((await request.post(`${base}/documents`, { headers, data: { title: 'No text', markdown: ' ' } })).status()).toBe(400);
+      expect((await request.post(`${base}/documents`, { headers, data: { title: 'Too long', markdown: 'x'.repeat(20001) } })).status())
+        .toBe(400);
+      expect((await request.delete(`${base}/documents/no_such_document`, { headers })).status()).toBe(404);
+      expect((await request.get('/api/sessions/no_such_session/documents')).status()).toBe(404);
+
+      // Only the GM's document was published, and players still have it
+      const documents = await (await request.get(`${base}/documents`)).json();
+      expect(documents.map((d: any) => d.title)).toEqual(['Kept']);
+    } finally {
+      await otherGMContext.close();
+    }
+  });
+
+});
+
+// ============================================================================
+// SECTION 6: CHARACTER BINDING
+// ============================================================================
+
+test.describe('9.6 Character Binding', () => {
+
+  test('SMG-050: A created character is bound to the player and syncs live', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Character Campaign');
+    const characterId = `char_test_${Date.now()}`;
+    const headers = await campaign.join(page);
+
+    try {
+      // Saving a character with our token claims it (as onboarding does)
+      const saved = await request.post('/api/characters', {
+        headers,
+        data: {
+          id: characterId,
+          name: 'Test Runner',
+          derived: { stress: 0, stressMax: 5, armor: 0, wounds: [{ slot: 1, name: null, penalty: -1 }] },
+          gear: [],
+          cyberware: [],
+        },
+      });
+      expect(saved.ok()).toBeTruthy();
+      await expect.poll(() => page.evaluate(() => SyncManager.getCharacter()?.id)).toBe(characterId);
+
+      const result = await page.evaluate(() => SyncManager.updateCharacter({ stress: 2, gear: [{ name: 'Medkit' }] }));
+      expect(result.success).toBeTruthy();
+
+      const stored = await (await request.get(`/api/characters/${characterId}`)).json();
+      expect(stored.derived.stress).toBe(2);
+      expect(stored.gear).toEqual([{ id: 'medkit', name: 'Medkit', quantity: 1 }]);
+
+      // Out-of-range values are refused
+      const refused = await page.evaluate(() => SyncManager.updateCharacter({ stress: 99 }));
+      expect(refused.success).toBeFalsy();
+    } finally {
+      await request.delete(`/api/characters/${characterId}`, { headers });
+    }
+  });
+
+  test('SMG-051: Only a character\'s player changes it, and a late resend is not applied again', async ({ browser, request, adminHeaders, createCampaign }) => {
+    const campaign = await createCampaign('Character Guard Campaign');
+    const stamp = Date.now();
+    const characterId = `char_guard_${stamp}`;
+    const contexts = await Promise.all([0, 1].map(() => browser.newContext()));
+    const update = (id: string, changes: any): [string, any] => ['sync:character_update', { id, characterId, changes }];
+
+    try {
+      const [owner, intruder] = await Promise.all(contexts.map((context) => context.newPage()));
+      const headers = await campaign.join(owner);
+      await campaign.join(intruder);
+      const created = await request.post('/api/characters', {
+        headers,
+        data: { id: characterId, name: 'Guarded Runner', derived: { stress: 0, stressMax: 5, armor: 0, wounds: [] }, gear: [], cyberware: [] },
+      });
+      expect(created.ok()).toBeTruthy();
+
+      const [stolen] = await sendInOrder(intruder, campaign.id, [update(`smg-051-intruder-${stamp}`, { stress: 5 })]);
+      expect(stolen).toMatchObject({ success: false, message: 'You can only change your own character' });
+
+      const acks = await sendInOrder(owner, campaign.id, [
+        update(`smg-051-bad-${stamp}`, { stress: 'a lot' }),
+        update(`smg-051-unknown-${stamp}`, { mood: 'grim' }),
+        update(`smg-051-first-${stamp}`, { stress: 1 }),
+        update(`smg-051-second-${stamp}`, { stress: 2 }),
+        // The first again, after the second: its ack was lost on the way
+        update(`smg-051-first-${stamp}`, { stress: 1 }),
+      ]);
+      expect(acks[0]).toMatchObject({ success: false });
+      expect(acks[1]).toMatchObject({ success: false });
+      expect(acks[1].message).toContain('Nothing to update');
+      expect(acks[2]).toMatchObject({ success: true });
+      expect(acks[3]).toMatchObject({ success: true });
+      expect(acks[4]).toMatchObject({ success: true, duplicate: true });
+
+      const stored = await (await request.get(`/api/characters/${characterId}`)).json();
+      expect(stored.derived.stress).toBe(2);
+    } finally {
+      await Promise.all(contexts.map((context) => context.close()));
+      await request.delete(`/api/characters/${characterId}`, { headers: adminHeaders });
+    }
+  });
+
+  test('SMG-052: Character assignments refuse bad targets and are journaled once per message', async ({ browser, request, adminHeaders, createCampaign }) => {
+    const campaign = await createCampaign('Character Assign Campaign');
+    const stamp = Date.now();
+    const characterId = `char_pregen_${stamp}`;
+    const contexts = await Promise.all([0, 1].map(() => browser.newContext()));
+
+    try {
+      const [player, gm] = await Promise.all(contexts.map((context) => context.newPage()));
+      await campaign.join(player);
+      await campaign.join(gm);
+      const headers = await campaign.loginAsGM(gm);
+      expect((await request.post('/api/characters', { headers, data: { id: characterId, name: 'Pregen' } })).ok()).toBeTruthy();
+      const socketId = (await player.evaluate(() => SyncManager.getLocalState())).id;
+
+      const [byPlayer] = await sendInOrder(player, campaign.id, [['sync:character_assign', { socketId, characterId }]]);
+      expect(byPlayer).toMatchObject({ success: false, message: 'Only GM can assign characters' });
+
+      const acks = await sendInOrder(gm, campaign.id, [
+        ['sync:character_assign', { socketId: 'no_such_socket', characterId }],
+        ['sync:character_assign', { socketId, characterId: 'no_such_character' }],
+        ['sync:character_assign', { id: `smg-052-assign-${stamp}`, socketId, characterId }],
+        ['sync:character_assign', { id: `smg-052-unassign-${stamp}`, socketId }],
+        // The assignment again, after the unassignment: its ack was lost on the way
+        ['sync:character_assign', { id: `smg-052-assign-${stamp}`, socketId, characterId }],
+      ]);
+      expect(acks[0]).toMatchObject({ success: false, message: 'Player not found in this session' });
+      expect(acks[1]).toMatchObject({ success: false, message: 'Character not found' });
+      expect(acks[2]).toMatchObject({ success: true });
+      expect(acks[3]).toMatchObject({ success: true });
+      expect(acks[4]).toMatchObject({ success: true, duplicate: true });
+
+      // Refused and repeated messages leave no entry; the player ends up without one
+      const journal = await (await request.get(`/api/sessions/${campaign.id}/journal?type=character.assigned`, { headers })).json();
+      expect(journal.entries.map((entry: any) => entry.payload.characterId)).toEqual([characterId, null]);
+    } finally {
+      await Promise.all(contexts.map((context) => context.close()));
+      await request.delete(`/api/characters/${characterId}`, { headers: adminHeaders });
+    }
+  });
+
+});
@@ -1,4 +1,15 @@
-import { test, expect, Page, BrowserContext } from '@playwright/test';
+import { Page } from '@playwright/test';
+import {
+  test,
+  expect,
+  tokenHeaders,
+  sendInOrder,
+  TOKEN_STORAGE_KEY,
+  waitForAppReady,
+  waitForSyncManagerReady,
+  getStoredToken,
+  getSyncManagerState,
+} from './helpers/session-fixtures';
 
 /**
  * Session Persistence Tests
@@ -13,6 +24,7 @@ import { test, expect, Page, BrowserContext } from '@playwright/test';
  * - NPC state persistence
  * - Flag persistence
  * - Multi-user scenarios
+ * - Chat history: resent messages logged once, whispers kept private
  */
 
 // Declare browser globals
@@ -24,48 +36,12 @@ declare const EventBus: any;
 // TEST HELPERS
 // ============================================================================
 
-const TOKEN_STORAGE_KEY = 'lightdeck_session_token';
-const GM_TOKEN_STORAGE_KEY = 'lightdeck_gm_session_token';
-
-async function waitForAppReady(page: Page) {
-  await page.waitForLoadState('domcontentloaded');
-  await page.waitForSelector('#scene-canvas', { timeout: 15000 });
-  await page.waitForTimeout(2000);
-}
-
-async function waitForSyncManagerReady(page: Page, timeout = 10000) {
-  const startTime = Date.now();
-  while (Date.now() - startTime < timeout) {
-    const ready = await page.evaluate(() => {
-      return typeof SyncManager !== 'undefined' && 
-             SyncManager.isConnected && 
-             SyncManager.isConnected();
-    });
-    if (ready) return true;
-    await page.waitForTimeout(200);
-  }
-  throw new Error('SyncManager did not connect');
-}
-
-async function getStoredToken(page: Page, key: string = TOKEN_STORAGE_KEY): Promise<string | null> {
-  return await page.evaluate((storageKey) => {
-    return localStorage.getItem(storageKey);
-  }, key);
-}
-
 async function clearStoredToken(page: Page, key: string = TOKEN_STORAGE_KEY): Promise<void> {
   await page.evaluate((storageKey) => {
     localStorage.removeItem(storageKey);
   }, key);
 }
 
-async function getSyncManagerState(page: Page): Promise<any> {
-  return await page.evaluate(() => {
-    if (typeof SyncManager === 'undefined') return null;
-    return SyncManager.getLocalState();
-  });
-}
-
 // ============================================================================
 // SECTION 1: TOKEN MANAGEMENT
 // ============================================================================
@@ -441,3 +417,108 @@ test.describe('6.7 GM Overlay Session Persistence', () => {
   });
 
 });
+
+// ============================================================================
+// SECTION 8: CHAT HISTORY
+// ============================================================================
+
+test.describe('6.8 Chat History', () => {
+
+  test('SESS-070: Chat messages are persisted and paged via the API', async ({ page, request }) => {
+    await page.goto('/');
+    await waitForAppReady(page);
+    await waitForSyncManagerReady(page);
+    
+    const marker = `persist-check-${Date.now()}`;
+    await page.evaluate((text) => SyncManager.broadcastChat(text), marker);
+    await page.waitForTimeout(500);
+    
+    const token = await getStoredToken(page);
+    const response = await request.get('/api/sessions/default/chat?limit=10', {
+      headers: { 'X-Session-Token': token || '' },
+    });
+    expect(response.ok()).toBeTruthy();
+    
+    const data = await response.json();
+    expect(data.sessionId).toBe('default');
+    expect(data.messages.length).toBeLessThanOrEqual(10);
+    expect(typeof data.hasMore).toBe('boolean');
+    expect(data.messages.some((m: any) => m.text === marker && m.id)).toBeTruthy();
+    
+    // Whisper participant tokens never leave the server
+    for (const message of data.messages) {
+      expect(message.participants).toBeUndefined();
+    }
+  });
+
+  test('SESS-071: Chat log endpoint 404s for unknown session', async ({ request }) => {
+    const response = await request.get('/api/sessions/no_such_session/chat');
+    expect(response.status()).toBe(404);
+  });
+
+  test('SESS-072: A resent chat message or roll is logged once, in its own session only', async ({ page, request, createCampaign }) => {
+    const campaign = await createCampaign('Resend Campaign');
+    const headers = await campaign.join(page);
+    const stamp = Date.now();
+    const chat = { id: `sess-072-chat-${stamp}`, text: `Said once ${stamp}` };
+    const roll = { id: `sess-072-roll-${stamp}`, expression: '1d20' };
+
+    // Acks lost in a blip: the client sends each message again with its id
+    const acks = await sendInOrder(page, campaign.id, [
+      ['sync:chat', chat], ['sync:chat', chat],
+      ['sync:roll', roll], ['sync:roll', roll],
+    ]);
+    expect(acks[0]).toMatchObject({ success: true });
+    expect(acks[0].duplicate).toBeUndefined();
+    expect(acks[1]).toMatchObject({ success: true, duplicate: true, id: acks[0].id });
+    // The same dice come back, not a second roll
+    expect(acks[3]).toMatchObject({ success: true, duplicate: true });
+    expect(acks[3].roll).toEqual(acks[2].roll);
+
+    const log = await (await request.get(`/api/sessions/${campaign.id}/chat?limit=200`, { headers })).json();
+    expect(log.messages.filter((m: any) => m.text === chat.text)).toHaveLength(1);
+    expect(log.messages.filter((m: any) => m.kind === 'roll')).toHaveLength(1);
+
+    // Ids are remembered per session: elsewhere the same id is a new message
+    await page.goto('/');
+    await waitForAppReady(page);
+    await waitForSyncManagerReady(page);
+    const [elsewhere] = await sendInOrder(page, 'default', [['sync:chat', chat]]);
+    expect(elsewhere).toMatchObject({ success: true });
+    expect(elsewhere.duplicate).toBeUndefined();
+  });
+
+  test('SESS-073: Refused whispers are not logged, and logged ones stay with the GM and participants', async ({ browser, request, adminHeaders, createCampaign }) => {
+    // Target and bystander views are covered by CHT-010; these are the other readers
+    const campaign = await createCampaign('Whisper Log Campaign');
+    const stamp = Date.now();
+    const contexts = await Promise.all([1, 2, 3].map(() => browser.newContext()));
+
+    try {
+      const [sender, target, gm] = await Promise.all(contexts.map((context) => context.newPage()));
+      for (const page of [sender, target, gm]) await campaign.join(page);
+      await campaign.loginAsGM(gm);
+      const targetName = (await getSyncManagerState(target)).name;
+
+      const acks = await sendInOrder(sender, campaign.id, [
+        ['sync:chat', { text: `To nobody ${stamp}`, to: 'Nobody Here' }],
+        ['sync:chat', { text: `To the target ${stamp}`, to: targetName }],
+      ]);
+      expect(acks[0]).toMatchObject({ success: false, code: 'NOT_FOUND' });
+      expect(acks[1]).toMatchObject({ success: true });
+
+      const sees = async (headers: Record<string, string>) => {
+        const log = await (await request.get(`/api/sessions/${campaign.id}/chat?limit=200`, { headers })).json();
+        return log.messages.map((m: any) => m.text).filter((text: string) => text.endsWith(String(stamp)));
+      };
+      expect(await sees(await tokenHeaders(gm))).toEqual([`To the target ${stamp}`]);
+      expect(await sees(await tokenHeaders(sender))).toEqual([`To the target ${stamp}`]);
+      expect(await sees({ 'X-Session-Token': 'not-a-real-token' })).toEqual([]);
+      // A token from another session (even an admin's) reads as anonymous here
+      expect(await sees(adminHeaders)).toEqual([]);
+    } finally {
+      await Promise.all(contexts.map((context) => context.close()));
+    }
+  });
+
+});
@@ -1,6 +1,7 @@
 import { test, expect, Page, BrowserContext } from '@playwright/test';
 import * as fs from 'fs';
 import * as path from 'path';
+import { openGMOverlay } from './helpers/session-fixtures';
 
 /**
  * Simulation Test Mode - Phase 8 (Player Archetypes)
@@ -1673,7 +1674,11 @@ class SimulationRunner {
     try {
       // Try to load the adventure guide
       const response = await this.gmPage.evaluate(async () => {
-        const res = await fetch('/api/adventures/AChangeOfHeart/guide');
+        // The guide is GM material: send the GM overlay's token
+        const token = localStorage.getItem('lightdeck_gm_session_token');
+        const res = await fetch('/api/adventures/AChangeOfHeart/guide', {
+          headers: token ? { 'X-Session-Token': token } : {},
+        });
         if (res.ok) {
           return await res.json();
         }
@@ -1824,12 +1829,19 @@ class SimulationRunner {
   // -------------------------------------------------------------------------
 
   async fetchScenes(): Promise<any[]> {
-    const response = await this.gmPage.request.get('/api/adventures/AChangeOfHeart/scenes');
+    // The GM overlay's token gets the full scenes (DCs, GM notes, hidden triggers)
+    const token = await this.gmPage.evaluate(() => localStorage.getItem('lightdeck_gm_session_token'));
+    const response = await this.gmPage.request.get('/api/adventures/AChangeOfHeart/scenes', {
+      headers: token ? { 'X-Session-Token': token } : {},
+    });
     if (!response.ok()) {
       this.addIssue('critical', 'API_ERROR', 'Failed to fetch scenes');
       return [];
     }
-    return await response.json();
+    const scenes = await response.json();
+    // Player projections would hide the challenges and exits the run walks
+    expect(scenes.every((scene: any) => scene._fullAccess === true)).toBe(true);
+    return scenes;
   }
 
   async gmOpenOverlay() {
@@ -2981,8 +2993,9 @@ async function setupBrowsers(browser: any) {
   const gmPage = await gmContext.newPage();
   const playerPage = await playerContext.newPage();
   
-  // GM navigates to the React GM Overlay (full DOM access for testing)
-  await gmPage.goto('/gm-overlay/');
+  // GM navigates to the React GM Overlay (full DOM access for testing) and
+  // logs in, so its token gets the full scenes and the guide
+  await openGMOverlay(gmPage);
   // Player navigates to the main app
   await playerPage.goto('/');
   
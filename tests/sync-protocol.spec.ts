@@ -0,0 +1,257 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { test, expect, openApp } from './helpers/session-fixtures';
+
+/**
+ * Sync Protocol Tests
+ *
+ * Tests for the socket protocol between clients and the server, driven
+ * through raw sockets where the app would hide the behaviour.
+ *
+ * Key features tested:
+ * - Payload validation and rate limits
+ * - Protocol version handshake
+ * - Acked, deduplicated delivery
+ * - Revision-based state patches on rejoin
+ */
+
+// Declare browser globals
+declare const SyncManager: any;
+declare const SyncProtocol: any;
+declare const EventBus: any;
+
+// ============================================================================
+// SECTION 1: SOCKET PAYLOAD VALIDATION
+// ============================================================================
+
+test.describe('13.1 Socket Payload Validation', () => {
+
+  test('PRO-001: Oversized and rapid messages are refused with coded sync:errors', async ({ page }) => {
+    await openApp(page);
+
+    await page.evaluate(() => {
+      (window as any).syncErrors = [];
+      EventBus.on('sync:error', (data: any) => (window as any).syncErrors.push(data));
+    });
+    const syncErrors = () => page.evaluate(() => (window as any).syncErrors);
+
+    // Longer than a chat message may be: never broadcast
+    await page.evaluate(() => SyncManager.broadcastChat('x'.repeat(2500)));
+    await expect.poll(async () => (await syncErrors()).length).toBe(1);
+    expect((await syncErrors())[0]).toMatchObject({ code: 'INVALID_PAYLOAD', type: 'sync:chat' });
+
+    // Rolls past the burst fail through the ack and are reported once
+    const rolls = await page.evaluate(() => Promise.all(Array.from({ length: 8 }, () => SyncManager.requestRoll('1d6'))));
+    expect(rolls.filter((roll: unknown) => roll === null).length).toBeGreaterThan(0);
+
+    await expect.poll(async () => (await syncErrors()).length).toBe(2);
+    const limited = (await syncErrors())[1];
+    expect(limited).toMatchObject({ code: 'RATE_LIMITED', type: 'sync:roll' });
+    expect(limited.retryAfter).toBeGreaterThan(0);
+    expect(await page.evaluate((data) => SyncManager.describeError(data), limited)).toContain('Slow down');
+  });
+
+  test('PRO-002: NPC custom data only takes known keys, and every contract message has a schema', async ({ page }) => {
+    await openApp(page);
+
+    const acks = await page.evaluate(() => new Promise<any[]>((resolve) => {
+      const socket = (window as any).io({ transports: ['websocket'] });
+      socket.on('sync:token', async () => {
+        const send = (customData: any) => socket.emitWithAck('sync:npc_state', { npcId: 'jax', customData });
+        const results = [
+          await send({ disposition: 'friendly', location: 'Oakhaven gate', notes: 'Owes the crew a favour' }),
+          await send({ secretPlan: 'Betray the crew' }),
+          await send({ disposition: 'smitten' }),
+          await send({ notes: 'x'.repeat(501) }),
+          // Names the old contract listed without anything handling them
+          await socket.emitWithAck('sync:scene_request', {}),
+        ];
+        socket.close();
+        resolve(results);
+      });
+      socket.on('connect', () => socket.emit('sync:join', { name: 'Meddler', protocolVersion: SyncProtocol.VERSION }));
+    }));
+
+    // Well-formed: past the validator, then refused because players can't change NPCs
+    expect(acks[0]).toMatchObject({ success: false, code: 'FORBIDDEN' });
+    expect(acks[1]).toMatchObject({ success: false, code: 'INVALID_PAYLOAD' });
+    expect(acks[1].message).toContain('unknown key secretPlan');
+    expect(acks[2]).toMatchObject({ success: false, code: 'INVALID_PAYLOAD' });
+    expect(acks[3]).toMatchObject({ success: false, code: 'INVALID_PAYLOAD' });
+    expect(acks[4]).toMatchObject({ success: false, code: 'UNKNOWN_MESSAGE' });
+
+    const contract = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'shared', 'sync-protocol.json'), 'utf8'));
+    expect(Object.keys(contract.messageTypes)).not.toContain('SCENE_REQUEST');
+    expect(Object.keys(contract.messageTypes)).not.toContain('RECONNECT');
+  });
+
+  test('PRO-003: Players cannot post as the GM, and clock and transition values are bounded', async ({ page }) => {
+    await openApp(page);
+
+    const result = await page.evaluate(() => new Promise<any>((resolve) => {
+      const socket = (window as any).io({ transports: ['websocket'] });
+      const lines: any[] = [];
+      socket.on('sync:chat', (data: any) => lines.push(data));
+      socket.on('sync:token', async () => {
+        const acks = [
+          await socket.emitWithAck('sync:chat', { text: 'I am the GM now', type: 'gm' }),
+          await socket.emitWithAck('sync:clock', { advance: 999999 }),
+          await socket.emitWithAck('sync:clock', { day: 0, time: '12:00' }),
+          await socket.emitWithAck('sync:clock', { advance: 60 }),
+          await socket.emitWithAck('sync:scene_change', { scene: 'x', transition: { fade: true, wipe: 'left' } }),
+        ];
+        socket.close();
+        resolve({ acks, lines });
+      });
+      socket.on('connect', () => socket.emit('sync:join', { name: 'Impostor', protocolVersion: SyncProtocol.VERSION }));
+    }));
+
+    // The chat goes out, marked from the sender's role
+    expect(result.acks[0]).toMatchObject({ success: true });
+    expect(result.lines.find((line: any) => line.text === 'I am the GM now')?.type).toBe('player');
+
+    // Out of range: refused by the validator before the GM check
+    expect(result.acks[1]).toMatchObject({ success: false, code: 'INVALID_PAYLOAD' });
+    expect(result.acks[2]).toMatchObject({ success: false, code: 'INVALID_PAYLOAD' });
+    expect(result.acks[3]).toMatchObject({ success: false, code: 'FORBIDDEN' });
+    expect(result.acks[4]).toMatchObject({ success: false, code: 'INVALID_PAYLOAD' });
+    expect(result.acks[4].message).toContain('unknown key wipe');
+  });
+
+});
+
+// ============================================================================
+// SECTION 2: PROTOCOL VERSIONING
+// ============================================================================
+
+test.describe('13.2 Protocol Versioning', () => {
+
+  test('PRO-010: Clients share one protocol contract and stale ones are turned away', async ({ page, request }) => {
+    const contract = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'shared', 'sync-protocol.json'), 'utf8'));
+    const script = await request.get('/js/core/sync-protocol.js');
+    expect(script.ok()).toBeTruthy();
+    expect(await script.text()).toContain(`"VERSION": ${contract.version}`);
+
+    await openApp(page);
+    expect(await page.evaluate(() => SyncManager.MessageType)).toEqual(contract.messageTypes);
+
+    // A client from before versioning sends no protocolVersion: refused, then disconnected
+    const stale = await page.evaluate(() => new Promise<any>((resolve) => {
+      const socket = (window as any).io({ transports: ['websocket'] });
+      let error: any = null;
+      socket.on('connect', () => socket.emit('sync:join', { name: 'Stale Build' }));
+      socket.on('sync:error', (data: any) => { error = data; });
+      socket.on('disconnect', (reason: string) => resolve({ error, reason }));
+    }));
+    expect(stale.error).toMatchObject({ code: 'PROTOCOL_MISMATCH', context: 'join', protocolVersion: contract.version });
+    expect(stale.reason).toBe('io server disconnect');
+  });
+
+});
+
+// ============================================================================
+// SECTION 3: RELIABLE DELIVERY
+// ============================================================================
+
+test.describe('13.3 Reliable Delivery', () => {
+
+  test('PRO-020: Resent messages count once and queued chat is confirmed', async ({ page }) => {
+    await openApp(page);
+
+    // The same message id twice (ack lost in a blip): the second send gets the first ack back
+    const acks = await page.evaluate(() => new Promise<any[]>((resolve) => {
+      const socket = (window as any).io({ transports: ['websocket'] });
+      socket.on('sync:token', async () => {
+        const message = { id: `pro-020-${Date.now()}`, text: 'Only once' };
+        const first = await socket.emitWithAck('sync:chat', message);
+        const second = await socket.emitWithAck('sync:chat', message);
+        socket.close();
+        resolve([first, second]);
+      });
+      socket.on('connect', () => socket.emit('sync:join', { name: 'Flaky Wi-Fi', protocolVersion: SyncProtocol.VERSION }));
+    }));
+    expect(acks[0]).toMatchObject({ success: true });
+    expect(acks[1]).toMatchObject({ success: true, duplicate: true, id: acks[0].id });
+
+    // Chat from the app goes through the outbox and is reported as delivered
+    const delivery = await page.evaluate(() => new Promise<any>((resolve) => {
+      let id: string | null = null;
+      EventBus.on('sync:delivery', (data: any) => {
+        if (data.id === id) resolve(data);
+      });
+      id = SyncManager.broadcastChat('Through the outbox');
+    }));
+    expect(delivery).toMatchObject({ status: 'sent', type: 'sync:chat' });
+  });
+
+});
+
+// ============================================================================
+// SECTION 4: DELTA STATE SYNC
+// ============================================================================
+
+test.describe('13.4 Delta State Sync', () => {
+
+  test('PRO-030: Rejoining with a revision and its epoch gets only the missed changes', async ({ page }) => {
+    await openApp(page);
+
+    const result = await page.evaluate(async () => {
+      const io = (window as any).io;
+      const joined = (payload: any) => new Promise<{ socket: any, token: any }>((resolve) => {
+        const socket = io({ transports: ['websocket'] });
+        socket.on('sync:token', (token: any) => resolve({ socket, token }));
+        socket.on('connect', () => socket.emit('sync:join', { protocolVersion: SyncProtocol.VERSION, ...payload }));
+      });
+      // The first reply to a rejoin: a patch or a full state
+      const rejoin = (token: any, lastRevision: number, lastEpoch: string) => new Promise<{ event: string, data: any }>((resolve) => {
+        const socket = io({ transports: ['websocket'] });
+        const done = (event: string) => (data: any) => { socket.close(); resolve({ event, data }); };
+        socket.on('sync:state_patch', done('sync:state_patch'));
+        socket.on('sync:state', done('sync:state'));
+        socket.on('connect', () => socket.emit('sync:join', {
+          name: 'Returning', token: token.token, sessionId: token.sessionId,
+          protocolVersion: SyncProtocol.VERSION, lastRevision, lastEpoch
+        }));
+      });
+
+      // Baseline from a full state, then drop off
+      const away = await joined({ name: 'Returning' });
+      const baseline = await new Promise<{ revision: number, epoch: string }>((resolve) => {
+        away.socket.once('sync:state', (state: any) => resolve({ revision: state.revision, epoch: state.epoch }));
+        away.socket.emit('sync:state_request', {});
+      });
+      away.socket.close();
+
+      // Someone else chats meanwhile
+      const other = await joined({ name: 'Stayed' });
+      const text = `Missed while away ${Date.now()}`;
+      await other.socket.emitWithAck('sync:chat', { text });
+      other.socket.close();
+
+      return {
+        baseline,
+        text,
+        caughtUp: await rejoin(away.token, baseline.revision, baseline.epoch),
+        tooNew: await rejoin(away.token, baseline.revision + 1000000, baseline.epoch),
+        // Counted before a restart: the same number may mean other changes now
+        otherEpoch: await rejoin(away.token, baseline.revision, 'before-restart')
+      };
+    });
+
+    expect(result.baseline.epoch).toBeTruthy();
+    expect(result.caughtUp.event).toBe('sync:state_patch');
+    expect(result.caughtUp.data.epoch).toBe(result.baseline.epoch);
+    expect(result.caughtUp.data.fromRevision).toBe(result.baseline.revision);
+    expect(result.caughtUp.data.revision).toBeGreaterThan(result.baseline.revision);
+    expect(result.caughtUp.data.chatHistory.map((entry: any) => entry.text)).toContain(result.text);
+
+    // A revision the server never had falls back to the full state
+    expect(result.tooNew.event).toBe('sync:state');
+    expect(result.tooNew.data.revision).toBeGreaterThanOrEqual(result.caughtUp.data.revision);
+
+    // So does a revision from another epoch
+    expect(result.otherEpoch.event).toBe('sync:state');
+    expect(result.otherEpoch.data.epoch).toBe(result.baseline.epoch);
+  });
+
+});